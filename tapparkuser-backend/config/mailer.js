@@ -0,0 +1,64 @@
+const nodemailer = require('nodemailer');
+
+// Email Configuration
+// EMAIL_TRANSPORT=smtp sends through EMAIL_HOST (a real server, or a local catcher such as
+// Mailpit/MailHog on localhost:1025); EMAIL_TRANSPORT=log only prints the message to the console
+const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || 'smtp';
+const EMAIL_HOST = process.env.EMAIL_HOST || 'localhost';
+const EMAIL_PORT = parseInt(process.env.EMAIL_PORT, 10) || 587;
+const EMAIL_SECURE = process.env.EMAIL_SECURE === 'true';
+const EMAIL_USER = process.env.EMAIL_USER;
+const EMAIL_PASS = process.env.EMAIL_PASS;
+const EMAIL_FROM = process.env.EMAIL_FROM || (EMAIL_USER ? `TapPark <${EMAIL_USER}>` : 'TapPark <no-reply@tappark.local>');
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (transporter) {
+    return transporter;
+  }
+
+  if (EMAIL_TRANSPORT === 'log') {
+    transporter = nodemailer.createTransport({ jsonTransport: true });
+  } else {
+    transporter = nodemailer.createTransport({
+      host: EMAIL_HOST,
+      port: EMAIL_PORT,
+      secure: EMAIL_SECURE,
+      // SMTP catchers accept mail without credentials
+      auth: EMAIL_USER ? { user: EMAIL_USER, pass: EMAIL_PASS } : undefined
+    });
+  }
+
+  return transporter;
+};
+
+// Send an email; resolves with nodemailer's info object
+const sendMail = async ({ to, subject, html, text }) => {
+  try {
+    const info = await getTransporter().sendMail({
+      from: EMAIL_FROM,
+      to,
+      subject,
+      html,
+      text
+    });
+
+    if (EMAIL_TRANSPORT === 'log') {
+      console.log(`📧 [log transport] ${subject} -> ${to}\n${text}`);
+    } else {
+      console.log(`📧 Sent "${subject}" to ${to} (${info.messageId})`);
+    }
+
+    return info;
+  } catch (error) {
+    console.error('Error sending email:', error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  sendMail,
+  EMAIL_TRANSPORT,
+  EMAIL_FROM
+};
@@ -5,9 +5,12 @@ const PAYPAL_MODE = process.env.PAYPAL_MODE || 'sandbox'; // 'sandbox' or 'live'
 const PAYPAL_CLIENT_ID = process.env.PAYPAL_CLIENT_ID;
 const PAYPAL_CLIENT_SECRET = process.env.PAYPAL_CLIENT_SECRET;
 
-const PAYPAL_API_BASE = PAYPAL_MODE === 'sandbox' 
+const PAYPAL_WEBHOOK_ID = process.env.PAYPAL_WEBHOOK_ID;
+
+// PAYPAL_API_BASE can point at a local stand-in (see scripts/paypal-stand-in.js) for development
+const PAYPAL_API_BASE = process.env.PAYPAL_API_BASE || (PAYPAL_MODE === 'sandbox' 
   ? 'https://api-m.sandbox.paypal.com'
-  : 'https://api-m.paypal.com';
+  : 'https://api-m.paypal.com');
 
 // Generate PayPal access token
 const generateAccessToken = async () => {
@@ -112,11 +115,76 @@ const getOrderDetails = async (orderId) => {
   }
 };
 
+// Refund a captured payment; omit amount for a full refund.
+// PayPal answers a repeated requestId with the refund it already made instead of refunding again.
+const refundCapture = async (captureId, amount = null, currency = 'USD', requestId = null) => {
+  try {
+    const accessToken = await generateAccessToken();
+
+    const response = await axios({
+      url: `${PAYPAL_API_BASE}/v2/payments/captures/${captureId}/refund`,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${accessToken}`,
+        ...(requestId ? { 'PayPal-Request-Id': requestId } : {})
+      },
+      data: amount != null ? {
+        amount: {
+          currency_code: currency,
+          value: parseFloat(amount).toFixed(2)
+        }
+      } : {}
+    });
+
+    return response.data;
+  } catch (error) {
+    console.error('Error refunding PayPal capture:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+// Verify a webhook delivery with PayPal using the transmission headers it was sent with
+const verifyWebhookSignature = async (headers, webhookEvent) => {
+  try {
+    if (!PAYPAL_WEBHOOK_ID) {
+      throw new Error('PayPal webhook ID not configured');
+    }
+
+    const accessToken = await generateAccessToken();
+
+    const response = await axios({
+      url: `${PAYPAL_API_BASE}/v1/notifications/verify-webhook-signature`,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${accessToken}`
+      },
+      data: {
+        auth_algo: headers['paypal-auth-algo'],
+        cert_url: headers['paypal-cert-url'],
+        transmission_id: headers['paypal-transmission-id'],
+        transmission_sig: headers['paypal-transmission-sig'],
+        transmission_time: headers['paypal-transmission-time'],
+        webhook_id: PAYPAL_WEBHOOK_ID,
+        webhook_event: webhookEvent
+      }
+    });
+
+    return response.data.verification_status === 'SUCCESS';
+  } catch (error) {
+    console.error('Error verifying PayPal webhook signature:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
 module.exports = {
   generateAccessToken,
   createOrder,
   captureOrder,
   getOrderDetails,
+  refundCapture,
+  verifyWebhookSignature,
   PAYPAL_MODE,
   PAYPAL_API_BASE
 };
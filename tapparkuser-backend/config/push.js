@@ -0,0 +1,74 @@
+const axios = require('axios');
+
+// Push Notification Configuration
+// PUSH_PROVIDER=expo sends through the Expo push service at EXPO_PUSH_API_URL (or a local
+// stand-in, see scripts/push-stand-in.js); PUSH_PROVIDER=log only prints the message to the
+// console; PUSH_PROVIDER=none turns push delivery off
+const PUSH_PROVIDER = process.env.PUSH_PROVIDER || 'expo';
+const EXPO_PUSH_API_URL = process.env.EXPO_PUSH_API_URL || 'https://exp.host/--/api/v2/push/send';
+const EXPO_ACCESS_TOKEN = process.env.EXPO_ACCESS_TOKEN;
+
+// Expo accepts at most 100 messages per request
+const EXPO_BATCH_SIZE = 100;
+
+const sendWithExpo = async (messages) => {
+  const tickets = [];
+
+  for (let i = 0; i < messages.length; i += EXPO_BATCH_SIZE) {
+    const batch = messages.slice(i, i + EXPO_BATCH_SIZE);
+    const response = await axios({
+      url: EXPO_PUSH_API_URL,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        ...(EXPO_ACCESS_TOKEN ? { 'Authorization': `Bearer ${EXPO_ACCESS_TOKEN}` } : {})
+      },
+      data: batch,
+      timeout: 10000
+    });
+
+    tickets.push(...(response.data?.data || []));
+  }
+
+  return tickets;
+};
+
+const sendWithLog = async (messages) => {
+  messages.forEach((message) => {
+    console.log(`📲 [log provider] ${message.title} -> ${message.to}\n${message.body}`);
+  });
+  return messages.map(() => ({ status: 'ok', id: 'log' }));
+};
+
+const providers = {
+  expo: sendWithExpo,
+  log: sendWithLog
+};
+
+/**
+ * Send push messages ({ to, title, body, data, sound }) through the configured provider.
+ * Resolves with one ticket per message, in order: { status: 'ok', id } or
+ * { status: 'error', message, details: { error } } (e.g. error 'DeviceNotRegistered').
+ */
+const sendPushMessages = async (messages) => {
+  const send = providers[PUSH_PROVIDER];
+  if (!send || messages.length === 0) {
+    return [];
+  }
+
+  try {
+    return await send(messages);
+  } catch (error) {
+    console.error('Error sending push notifications:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+const isPushEnabled = () => Boolean(providers[PUSH_PROVIDER]);
+
+module.exports = {
+  sendPushMessages,
+  isPushEnabled,
+  PUSH_PROVIDER
+};
@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const db = require('../config/database');
+const { Privileges, getUserAccess, hasPrivilege, canAccessArea } = require('../services/accessControl');
+const { findGatewayByKey } = require('../services/sensorIngestion');
+const { getStatusBlock } = require('../services/loginProtection');
 
 // Verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -38,10 +41,11 @@ const authenticateToken = async (req, res, next) => {
       }
       
       if (jwtError.name === 'TokenExpiredError') {
-        console.error('❌ Token expired');
+        // Normal for short-lived access tokens; the app refreshes and retries
         return res.status(401).json({
           success: false,
-          message: 'Token expired'
+          message: 'Token expired',
+          errorCode: 'TOKEN_EXPIRED'
         });
       }
       throw jwtError;
@@ -55,13 +59,16 @@ const authenticateToken = async (req, res, next) => {
       });
     }
     
-    // Check if user still exists and is active
+    // Check if user still exists and the login session behind the token has not been signed out
     let user;
     try {
-      user = await db.query(
-        'SELECT user_id, email, first_name, last_name FROM users WHERE user_id = ?',
-        [decoded.userId]
-      );
+      user = await db.query(`
+        SELECT u.user_id, u.email, u.first_name, u.last_name, u.status, s.session_id
+        FROM users u
+        LEFT JOIN auth_sessions s
+          ON s.session_id = ? AND s.user_id = u.user_id AND s.revoked_at IS NULL AND s.expires_at > NOW()
+        WHERE u.user_id = ?
+      `, [decoded.sid || 0, decoded.userId]);
     } catch (dbError) {
       console.error('❌ Database query error in auth middleware:', dbError);
       
@@ -96,7 +103,24 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // User is valid (no verification check needed for existing users)
+    // Tokens issued before sessions existed carry no sid and are treated as signed out
+    if (!user[0].session_id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been signed out',
+        errorCode: 'SESSION_REVOKED'
+      });
+    }
+
+    // Deactivating or suspending an account cuts off its existing tokens too
+    const statusBlock = getStatusBlock(user[0].status);
+    if (statusBlock) {
+      return res.status(403).json({
+        success: false,
+        message: statusBlock.message,
+        errorCode: statusBlock.code
+      });
+    }
 
     // Add user info to request
     req.user = user[0];
@@ -133,10 +157,13 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await db.query(
-        'SELECT user_id, email, first_name, last_name FROM users WHERE user_id = ?',
-        [decoded.userId]
-      );
+      const user = await db.query(`
+        SELECT u.user_id, u.email, u.first_name, u.last_name, s.session_id
+        FROM users u
+        JOIN auth_sessions s
+          ON s.session_id = ? AND s.user_id = u.user_id AND s.revoked_at IS NULL AND s.expires_at > NOW()
+        WHERE u.user_id = ? AND COALESCE(u.status, 'active') = 'active'
+      `, [decoded.sid || 0, decoded.userId]);
 
       if (user.length) {
         req.user = user[0];
@@ -192,8 +219,8 @@ const checkBalance = (requiredAmount = 0) => {
   };
 };
 
-// Admin only middleware
-const adminOnly = async (req, res, next) => {
+// Block actions that need a confirmed email (booking, buying plans) for unverified accounts
+const requireVerifiedEmail = async (req, res, next) => {
   try {
     if (!req.user) {
       return res.status(401).json({
@@ -202,29 +229,127 @@ const adminOnly = async (req, res, next) => {
       });
     }
 
-    // Check if user is admin (you can modify this logic based on your admin system)
-    const isAdmin = req.user.email === 'admin@tapparkuser.com' || req.user.role === 'admin';
-    
-    if (!isAdmin) {
+    const users = await db.query(
+      'SELECT is_verified FROM users WHERE user_id = ?',
+      [req.user.user_id]
+    );
+
+    if (!users.length || !users[0].is_verified) {
       return res.status(403).json({
         success: false,
-        message: 'Admin access required'
+        message: 'Please verify your email address first. Check your inbox for the verification link.',
+        errorCode: 'EMAIL_NOT_VERIFIED'
       });
     }
 
     next();
   } catch (error) {
-    console.error('Admin check error:', error);
+    console.error('Email verification check error:', error);
     return res.status(500).json({
       success: false,
-      message: 'Authorization error'
+      message: 'Verification check failed'
     });
   }
 };
 
+// Require a privilege granted to the user's account type through type_privileges
+const requirePrivilege = (privilege) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required'
+        });
+      }
+
+      const access = req.access || await getUserAccess(req.user.user_id);
+      if (!hasPrivilege(access, privilege)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to perform this action',
+          errorCode: 'PRIVILEGE_REQUIRED',
+          requiredPrivilege: privilege
+        });
+      }
+
+      req.access = access;
+      next();
+    } catch (error) {
+      console.error('Privilege check error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Authorization error'
+      });
+    }
+  };
+};
+
+// Restrict staff to their assigned parking area. resolveAreaId(req) returns the area the
+// request targets, or null when the target does not exist (the route then answers 404 itself).
+// onDenied(req, areaId) runs before the 403, e.g. to audit a refused scan.
+const requireAreaAccess = (resolveAreaId, { onDenied } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const access = req.access || await getUserAccess(req.user.user_id);
+      const areaId = await resolveAreaId(req);
+
+      if (areaId !== null && areaId !== undefined && !canAccessArea(access, areaId)) {
+        if (onDenied) {
+          await onDenied(req, areaId);
+        }
+        return res.status(403).json({
+          success: false,
+          message: 'This parking area is not assigned to you',
+          errorCode: 'AREA_NOT_ASSIGNED'
+        });
+      }
+
+      req.access = access;
+      next();
+    } catch (error) {
+      console.error('Area access check error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Authorization error'
+      });
+    }
+  };
+};
+
+// Sensor gateways authenticate with the API key issued when they were created (X-Sensor-Key header)
+const authenticateSensorGateway = async (req, res, next) => {
+  try {
+    const gateway = await findGatewayByKey(req.headers['x-sensor-key']);
+    if (!gateway) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid sensor gateway key',
+        errorCode: 'INVALID_GATEWAY_KEY'
+      });
+    }
+
+    req.sensorGateway = gateway;
+    next();
+  } catch (error) {
+    console.error('Sensor gateway auth error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication error'
+    });
+  }
+};
+
+// Admin only middleware
+const adminOnly = requirePrivilege(Privileges.MANAGE_MASTERS);
+
 module.exports = {
   authenticateToken,
   optionalAuth,
   checkBalance,
+  requireVerifiedEmail,
+  requirePrivilege,
+  requireAreaAccess,
+  authenticateSensorGateway,
   adminOnly
 };
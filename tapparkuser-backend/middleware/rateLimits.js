@@ -0,0 +1,71 @@
+const { rateLimit } = require('express-rate-limit');
+
+// Rate limits for the credential endpoints. Each endpoint gets a per-IP limit and a per-account
+// limit, so one address cannot spray many accounts and many addresses cannot hammer one account.
+// Counters live in memory, per server process.
+const WINDOW_MINUTES = parseInt(process.env.AUTH_RATE_WINDOW_MINUTES, 10) || 15;
+const LOGIN_IP_LIMIT = parseInt(process.env.LOGIN_RATE_LIMIT_PER_IP, 10) || 30;
+const LOGIN_ACCOUNT_LIMIT = parseInt(process.env.LOGIN_RATE_LIMIT_PER_ACCOUNT, 10) || 10;
+const REGISTER_IP_LIMIT = parseInt(process.env.REGISTER_RATE_LIMIT_PER_IP, 10) || 10;
+const PASSWORD_CHANGE_LIMIT = parseInt(process.env.PASSWORD_CHANGE_RATE_LIMIT, 10) || 5;
+
+const sendRateLimited = (req, res, next, options) => {
+  res.status(options.statusCode).json({
+    success: false,
+    message: `Too many attempts. Please try again in ${WINDOW_MINUTES} minutes.`,
+    errorCode: 'RATE_LIMITED'
+  });
+};
+
+const createLimiter = (options) => rateLimit({
+  windowMs: WINDOW_MINUTES * 60 * 1000,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  handler: sendRateLimited,
+  ...options
+});
+
+// Normalized by the route's validators, which run before the per-account limiters
+const emailKey = (prefix) => (req) => `${prefix}:${String(req.body?.email || '').toLowerCase()}`;
+
+// Successful logins do not count, so a campus NAT shared by many students is not blocked
+const loginIpLimiter = createLimiter({
+  limit: LOGIN_IP_LIMIT,
+  skipSuccessfulRequests: true
+});
+
+const loginAccountLimiter = createLimiter({
+  limit: LOGIN_ACCOUNT_LIMIT,
+  skipSuccessfulRequests: true,
+  keyGenerator: emailKey('login')
+});
+
+const registerIpLimiter = createLimiter({
+  limit: REGISTER_IP_LIMIT
+});
+
+const registerAccountLimiter = createLimiter({
+  limit: 3,
+  keyGenerator: emailKey('register')
+});
+
+const passwordChangeIpLimiter = createLimiter({
+  limit: PASSWORD_CHANGE_LIMIT * 2,
+  skipSuccessfulRequests: true
+});
+
+// Needs authenticateToken first
+const passwordChangeAccountLimiter = createLimiter({
+  limit: PASSWORD_CHANGE_LIMIT,
+  skipSuccessfulRequests: true,
+  keyGenerator: (req) => `password-change:${req.user.user_id}`
+});
+
+module.exports = {
+  loginIpLimiter,
+  loginAccountLimiter,
+  registerIpLimiter,
+  registerAccountLimiter,
+  passwordChangeIpLimiter,
+  passwordChangeAccountLimiter
+};
@@ -0,0 +1,1355 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken, requirePrivilege } = require('../middleware/auth');
+const {
+  Privileges,
+  getAccessControlErrorStatus,
+  listPrivileges,
+  setTypePrivileges,
+  setAssignedArea
+} = require('../services/accessControl');
+const {
+  SectionModes,
+  VehicleTypes,
+  getParkingMasterErrorStatus,
+  listAreas,
+  getArea,
+  createArea,
+  updateArea,
+  deleteArea,
+  createSection,
+  updateSection,
+  deleteSection,
+  listSpots,
+  createSpot,
+  updateSpot,
+  deleteSpot
+} = require('../services/parkingMaster');
+const {
+  getLayoutErrorStatus,
+  uploadLayout,
+  listLayoutRevisions,
+  publishLayout,
+  rollbackLayout
+} = require('../services/parkingLayouts');
+const {
+  GroupBy,
+  Intervals,
+  getAnalyticsErrorStatus,
+  buildSnapshots,
+  getOccupancySeries,
+  getOccupancyHeatmap,
+  getUsageSummary,
+  getPeakHours
+} = require('../services/occupancyAnalytics');
+const {
+  getForecastErrorStatus,
+  listClosures,
+  createClosure,
+  deleteClosure
+} = require('../services/availabilityForecast');
+const {
+  ReportTypes,
+  ReportFormats,
+  getReportErrorStatus,
+  getMonthPeriod,
+  buildReport,
+  renderReport,
+  archiveMonthlyReports,
+  listArchivedReports,
+  getArchivedReportFile
+} = require('../services/reports');
+const { getLoginProtectionErrorStatus, unlockAccount } = require('../services/loginProtection');
+const {
+  AccessDirections,
+  ScanDenialReasons,
+  queryAccessLogs,
+  findRepeatedDenials
+} = require('../services/accessLogs');
+const { publishSectionStatus } = require('../services/realtime');
+const { logUserActivity, ActionTypes } = require('../utils/userLogger');
+
+const router = express.Router();
+
+// Everything under /api/admin manages master data
+router.use(authenticateToken, requirePrivilege(Privileges.MANAGE_MASTERS));
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+const sendAccessControlError = (res, error) => {
+  const statusCode = getAccessControlErrorStatus(error);
+  if (!statusCode) {
+    return false;
+  }
+  res.status(statusCode).json({
+    success: false,
+    message: error.message,
+    errorCode: error.code
+  });
+  return true;
+};
+
+const sendParkingMasterError = (res, error) => {
+  const statusCode = getParkingMasterErrorStatus(error);
+  if (!statusCode) {
+    return false;
+  }
+  res.status(statusCode).json({
+    success: false,
+    message: error.message,
+    errorCode: error.code
+  });
+  return true;
+};
+
+const sendLayoutError = (res, error) => {
+  const statusCode = getLayoutErrorStatus(error);
+  if (!statusCode) {
+    return false;
+  }
+  res.status(statusCode).json({
+    success: false,
+    message: error.message,
+    errorCode: error.code
+  });
+  return true;
+};
+
+const sendAnalyticsError = (res, error) => {
+  const statusCode = getAnalyticsErrorStatus(error);
+  if (!statusCode) {
+    return false;
+  }
+  res.status(statusCode).json({
+    success: false,
+    message: error.message,
+    errorCode: error.code
+  });
+  return true;
+};
+
+const sendForecastError = (res, error) => {
+  const statusCode = getForecastErrorStatus(error);
+  if (!statusCode) {
+    return false;
+  }
+  res.status(statusCode).json({
+    success: false,
+    message: error.message,
+    errorCode: error.code
+  });
+  return true;
+};
+
+const sendReportError = (res, error) => {
+  const statusCode = getReportErrorStatus(error);
+  if (!statusCode) {
+    return false;
+  }
+  res.status(statusCode).json({
+    success: false,
+    message: error.message,
+    errorCode: error.code
+  });
+  return true;
+};
+
+const sendLoginProtectionError = (res, error) => {
+  const statusCode = getLoginProtectionErrorStatus(error);
+  if (!statusCode) {
+    return false;
+  }
+  res.status(statusCode).json({
+    success: false,
+    message: error.message,
+    errorCode: error.code
+  });
+  return true;
+};
+
+// Field rules shared by create (name required) and update (everything optional)
+const requiredOnCreate = (field, isCreate) => (isCreate ? body(field) : body(field).optional());
+
+const areaValidators = (isCreate) => [
+  requiredOnCreate('name', isCreate).trim().isLength({ min: 1, max: 120 }).withMessage('Area name is required (max 120 characters)'),
+  body('location').optional({ nullable: true }).trim().isLength({ max: 191 }).withMessage('Location must be at most 191 characters'),
+  body(['numOfFloors', 'floorNumber']).optional().isInt({ min: 1 }).withMessage('Floors must be positive integers'),
+  body(['gridRows', 'gridCols']).optional().isInt({ min: 1, max: 200 }).withMessage('Grid size must be between 1 and 200'),
+  body('totalCapacity').optional().isInt({ min: 0 }).withMessage('Total capacity must be a non-negative integer'),
+  body('status').optional().isIn(['active', 'inactive', 'maintenance']).withMessage('Status must be active, inactive or maintenance')
+];
+
+const sectionValidators = (isCreate) => [
+  requiredOnCreate('name', isCreate).trim().isLength({ min: 1, max: 120 }).withMessage('Section name is required (max 120 characters)'),
+  body('sectionType').optional().isIn(['A', 'B', 'C', 'Custom']).withMessage('Section type must be A, B, C or Custom'),
+  body('status').optional().isIn(['active', 'inactive', 'maintenance', 'unavailable']).withMessage('Invalid section status'),
+  body('floor').optional().isInt({ min: 1 }).withMessage('Floor must be a positive integer'),
+  body(['rows', 'columns']).optional().isInt({ min: 1, max: 100 }).withMessage('Rows and columns must be between 1 and 100').toInt(),
+  body(['startRow', 'startCol']).optional().isInt({ min: 0 }).withMessage('Start position must be a non-negative integer'),
+  body('gridWidth').optional().isInt({ min: 1 }).withMessage('Grid width must be a positive integer'),
+  body('sectionMode').optional().isIn(Object.values(SectionModes)).withMessage('Section mode must be slot_based or capacity_only'),
+  body('capacity').optional().isInt({ min: 0 }).withMessage('Capacity must be a non-negative integer'),
+  body('vehicleType').optional().isIn(VehicleTypes).withMessage('Vehicle type must be car, motorcycle or bicycle'),
+  body('isRotated').optional().isBoolean({ strict: true }).withMessage('isRotated must be true or false')
+];
+
+const spotValidators = (isCreate) => [
+  requiredOnCreate('spotNumber', isCreate).trim().isLength({ min: 1, max: 32 }).withMessage('Spot number is required (max 32 characters)'),
+  body('status').optional().isIn(['available', 'reserved', 'occupied', 'maintenance']).withMessage('Invalid spot status'),
+  body('spotType').optional().trim().isLength({ min: 1, max: 32 }).withMessage('Spot type must be at most 32 characters'),
+  body(['gridRow', 'gridCol']).optional().isInt({ min: 0 }).withMessage('Grid position must be a non-negative integer')
+];
+
+const describeChanges = (changed) => (changed.length > 0 ? changed.join(', ') : null);
+
+// Parking areas
+router.get('/parking-areas', async (req, res) => {
+  try {
+    const areas = await listAreas();
+
+    res.json({
+      success: true,
+      data: { areas }
+    });
+  } catch (error) {
+    console.error('Get parking areas error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch parking areas'
+    });
+  }
+});
+
+router.get('/parking-areas/:areaId', [
+  param('areaId').isInt({ min: 1 }).withMessage('Area ID must be a positive integer')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const area = await getArea(parseInt(req.params.areaId, 10));
+
+    res.json({
+      success: true,
+      data: { area }
+    });
+  } catch (error) {
+    if (sendParkingMasterError(res, error)) {
+      return;
+    }
+    console.error('Get parking area error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch parking area'
+    });
+  }
+});
+
+router.post('/parking-areas', areaValidators(true), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const area = await createArea(req.body);
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.PARKING_AREA_CREATE,
+      `Parking area "${area.parking_area_name}" created`,
+      area.parking_area_id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Parking area created',
+      data: { area }
+    });
+  } catch (error) {
+    console.error('Create parking area error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create parking area'
+    });
+  }
+});
+
+router.put('/parking-areas/:areaId', [
+  param('areaId').isInt({ min: 1 }).withMessage('Area ID must be a positive integer'),
+  ...areaValidators(false)
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const areaId = parseInt(req.params.areaId, 10);
+    const { area, changed } = await updateArea(areaId, req.body);
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.PARKING_AREA_UPDATE,
+      `Parking area "${area.parking_area_name}" updated`,
+      areaId,
+      describeChanges(changed)
+    );
+
+    res.json({
+      success: true,
+      message: 'Parking area updated',
+      data: { area }
+    });
+  } catch (error) {
+    if (sendParkingMasterError(res, error)) {
+      return;
+    }
+    console.error('Update parking area error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update parking area'
+    });
+  }
+});
+
+router.delete('/parking-areas/:areaId', [
+  param('areaId').isInt({ min: 1 }).withMessage('Area ID must be a positive integer')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const areaId = parseInt(req.params.areaId, 10);
+    const result = await deleteArea(areaId);
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.PARKING_AREA_DELETE,
+      `Parking area "${result.name}" deleted with ${result.sectionCount} section(s) and ${result.spotCount} spot(s)`,
+      areaId
+    );
+
+    res.json({
+      success: true,
+      message: 'Parking area deleted'
+    });
+  } catch (error) {
+    if (sendParkingMasterError(res, error)) {
+      return;
+    }
+    console.error('Delete parking area error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete parking area'
+    });
+  }
+});
+
+// Parking sections; slot-based sections keep one spot per grid cell
+router.post('/parking-areas/:areaId/sections', [
+  param('areaId').isInt({ min: 1 }).withMessage('Area ID must be a positive integer'),
+  ...sectionValidators(true)
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const areaId = parseInt(req.params.areaId, 10);
+    const section = await createSection(areaId, req.body);
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.PARKING_SECTION_CREATE,
+      `Section "${section.section_name}" (${section.section_mode}, ${section.rows}x${section.columns}) created in area ${areaId}`,
+      section.parking_section_id
+    );
+    publishSectionStatus(section.parking_section_id, section.status);
+
+    res.status(201).json({
+      success: true,
+      message: 'Parking section created',
+      data: { section }
+    });
+  } catch (error) {
+    if (sendParkingMasterError(res, error)) {
+      return;
+    }
+    console.error('Create parking section error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create parking section'
+    });
+  }
+});
+
+router.put('/sections/:sectionId', [
+  param('sectionId').isInt({ min: 1 }).withMessage('Section ID must be a positive integer'),
+  ...sectionValidators(false)
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const sectionId = parseInt(req.params.sectionId, 10);
+    const { section, changed, spots } = await updateSection(sectionId, req.body);
+
+    const spotSummary = spots
+      ? `; spots regenerated (${spots.created} added, ${spots.moved} moved, ${spots.removed} removed)`
+      : '';
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.PARKING_SECTION_UPDATE,
+      `Section "${section.section_name}" updated${spotSummary}`,
+      sectionId,
+      describeChanges(changed)
+    );
+    publishSectionStatus(sectionId, section.status);
+
+    res.json({
+      success: true,
+      message: 'Parking section updated',
+      data: { section, spots }
+    });
+  } catch (error) {
+    if (sendParkingMasterError(res, error)) {
+      return;
+    }
+    console.error('Update parking section error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update parking section'
+    });
+  }
+});
+
+router.delete('/sections/:sectionId', [
+  param('sectionId').isInt({ min: 1 }).withMessage('Section ID must be a positive integer')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const sectionId = parseInt(req.params.sectionId, 10);
+    const result = await deleteSection(sectionId);
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.PARKING_SECTION_DELETE,
+      `Section "${result.name}" deleted from area ${result.areaId} with ${result.spotCount} spot(s)`,
+      sectionId
+    );
+
+    res.json({
+      success: true,
+      message: 'Parking section deleted'
+    });
+  } catch (error) {
+    if (sendParkingMasterError(res, error)) {
+      return;
+    }
+    console.error('Delete parking section error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete parking section'
+    });
+  }
+});
+
+// Parking spots
+router.get('/sections/:sectionId/spots', [
+  param('sectionId').isInt({ min: 1 }).withMessage('Section ID must be a positive integer')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const spots = await listSpots(parseInt(req.params.sectionId, 10));
+
+    res.json({
+      success: true,
+      data: { spots }
+    });
+  } catch (error) {
+    if (sendParkingMasterError(res, error)) {
+      return;
+    }
+    console.error('Get parking spots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch parking spots'
+    });
+  }
+});
+
+router.post('/sections/:sectionId/spots', [
+  param('sectionId').isInt({ min: 1 }).withMessage('Section ID must be a positive integer'),
+  ...spotValidators(true)
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const sectionId = parseInt(req.params.sectionId, 10);
+    const spot = await createSpot(sectionId, req.body);
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.PARKING_SPOT_CREATE,
+      `Spot ${spot.spot_number} created in section ${sectionId}`,
+      spot.parking_spot_id
+    );
+    publishSectionStatus(sectionId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Parking spot created',
+      data: { spot }
+    });
+  } catch (error) {
+    if (sendParkingMasterError(res, error)) {
+      return;
+    }
+    console.error('Create parking spot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create parking spot'
+    });
+  }
+});
+
+router.put('/spots/:spotId', [
+  param('spotId').isInt({ min: 1 }).withMessage('Spot ID must be a positive integer'),
+  ...spotValidators(false)
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const spotId = parseInt(req.params.spotId, 10);
+    const { spot, sectionId, changed } = await updateSpot(spotId, req.body);
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.PARKING_SPOT_UPDATE,
+      `Spot ${spot.spot_number} updated`,
+      spotId,
+      describeChanges(changed)
+    );
+    publishSectionStatus(sectionId);
+
+    res.json({
+      success: true,
+      message: 'Parking spot updated',
+      data: { spot }
+    });
+  } catch (error) {
+    if (sendParkingMasterError(res, error)) {
+      return;
+    }
+    console.error('Update parking spot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update parking spot'
+    });
+  }
+});
+
+router.delete('/spots/:spotId', [
+  param('spotId').isInt({ min: 1 }).withMessage('Spot ID must be a positive integer')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const spotId = parseInt(req.params.spotId, 10);
+    const result = await deleteSpot(spotId);
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.PARKING_SPOT_DELETE,
+      `Spot ${result.spotNumber} deleted from section ${result.sectionId}`,
+      spotId
+    );
+    publishSectionStatus(result.sectionId);
+
+    res.json({
+      success: true,
+      message: 'Parking spot deleted'
+    });
+  } catch (error) {
+    if (sendParkingMasterError(res, error)) {
+      return;
+    }
+    console.error('Delete parking spot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete parking spot'
+    });
+  }
+});
+
+// Layout revisions. Uploads are sanitized and their geometry linked to spot ids once, here.
+router.get('/parking-areas/:areaId/layouts', [
+  param('areaId').isInt({ min: 1 }).withMessage('Area ID must be a positive integer'),
+  query('floor').optional().isInt({ min: 1 }).withMessage('Floor must be a positive integer')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const floor = req.query.floor !== undefined ? parseInt(req.query.floor, 10) : null;
+    const revisions = await listLayoutRevisions(parseInt(req.params.areaId, 10), floor);
+
+    res.json({
+      success: true,
+      data: { revisions }
+    });
+  } catch (error) {
+    console.error('Get layout revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch layout revisions'
+    });
+  }
+});
+
+router.post('/parking-areas/:areaId/layouts', [
+  param('areaId').isInt({ min: 1 }).withMessage('Area ID must be a positive integer'),
+  body('floor').isInt({ min: 1 }).withMessage('Floor must be a positive integer').toInt(),
+  body('svg').isString().withMessage('svg must be the layout SVG markup'),
+  body('layoutData').optional({ nullable: true }).isObject().withMessage('layoutData must be an object'),
+  body('notes').optional({ nullable: true }).trim().isLength({ max: 255 }).withMessage('Notes must be at most 255 characters'),
+  body('publish').optional().isBoolean({ strict: true }).withMessage('publish must be true or false')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const areaId = parseInt(req.params.areaId, 10);
+    const { revision, geometry } = await uploadLayout(areaId, req.body, req.user.user_id);
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.PARKING_LAYOUT_UPLOAD,
+      `Layout v${revision.version} uploaded for area ${areaId} floor ${revision.floor}${revision.status === 'published' ? ' and published' : ''}`,
+      revision.layoutId
+    );
+
+    res.status(201).json({
+      success: true,
+      message: revision.status === 'published' ? 'Layout uploaded and published' : 'Layout uploaded as a draft',
+      data: {
+        revision,
+        spotCount: geometry.spots.length,
+        sectionCount: geometry.sections.length,
+        warnings: geometry.warnings
+      }
+    });
+  } catch (error) {
+    if (sendLayoutError(res, error)) {
+      return;
+    }
+    console.error('Upload layout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload layout'
+    });
+  }
+});
+
+router.post('/layouts/:layoutId/publish', [
+  param('layoutId').isInt({ min: 1 }).withMessage('Layout ID must be a positive integer')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const revision = await publishLayout(parseInt(req.params.layoutId, 10), req.user.user_id);
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.PARKING_LAYOUT_PUBLISH,
+      `Layout v${revision.version} published for area ${revision.areaId} floor ${revision.floor}`,
+      revision.layoutId
+    );
+
+    res.json({
+      success: true,
+      message: 'Layout published',
+      data: { revision }
+    });
+  } catch (error) {
+    if (sendLayoutError(res, error)) {
+      return;
+    }
+    console.error('Publish layout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to publish layout'
+    });
+  }
+});
+
+// Re-publish the revision that was live before the current one
+router.post('/parking-areas/:areaId/layouts/rollback', [
+  param('areaId').isInt({ min: 1 }).withMessage('Area ID must be a positive integer'),
+  body('floor').isInt({ min: 1 }).withMessage('Floor must be a positive integer').toInt()
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const areaId = parseInt(req.params.areaId, 10);
+    const revision = await rollbackLayout(areaId, req.body.floor, req.user.user_id);
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.PARKING_LAYOUT_ROLLBACK,
+      `Layout for area ${areaId} floor ${revision.floor} rolled back to v${revision.version}`,
+      revision.layoutId
+    );
+
+    res.json({
+      success: true,
+      message: `Rolled back to layout v${revision.version}`,
+      data: { revision }
+    });
+  } catch (error) {
+    if (sendLayoutError(res, error)) {
+      return;
+    }
+    console.error('Rollback layout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to roll back layout'
+    });
+  }
+});
+
+// Planned closures; availability forecasts count closed areas and sections as full
+router.get('/closures', [
+  query('areaId').optional().isInt({ min: 1 }).withMessage('Area ID must be a positive integer')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const closures = await listClosures(req.query.areaId ? parseInt(req.query.areaId, 10) : null);
+
+    res.json({
+      success: true,
+      data: { closures }
+    });
+  } catch (error) {
+    console.error('Get closures error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch closures'
+    });
+  }
+});
+
+router.post('/closures', [
+  body('areaId').isInt({ min: 1 }).withMessage('Area ID must be a positive integer').toInt(),
+  body('sectionId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Section ID must be a positive integer').toInt(),
+  body(['startsAt', 'endsAt']).isISO8601().withMessage('startsAt and endsAt must be ISO 8601 dates'),
+  body('reason').optional({ nullable: true }).trim().isLength({ max: 255 }).withMessage('Reason must be at most 255 characters')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const closure = await createClosure({
+      areaId: req.body.areaId,
+      sectionId: req.body.sectionId || null,
+      startsAt: new Date(req.body.startsAt),
+      endsAt: new Date(req.body.endsAt),
+      reason: req.body.reason || null
+    }, req.user.user_id);
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.PARKING_CLOSURE_CREATE,
+      `Closure planned for ${closure.parkingAreaName}${closure.sectionName ? ` / ${closure.sectionName}` : ''}`,
+      closure.closureId
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Closure created',
+      data: { closure }
+    });
+  } catch (error) {
+    if (sendForecastError(res, error)) {
+      return;
+    }
+    console.error('Create closure error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create closure'
+    });
+  }
+});
+
+router.delete('/closures/:closureId', [
+  param('closureId').isInt({ min: 1 }).withMessage('Closure ID must be a positive integer')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const closureId = parseInt(req.params.closureId, 10);
+    await deleteClosure(closureId);
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.PARKING_CLOSURE_DELETE,
+      `Closure ${closureId} removed`,
+      closureId
+    );
+
+    res.json({
+      success: true,
+      message: 'Closure removed'
+    });
+  } catch (error) {
+    if (sendForecastError(res, error)) {
+      return;
+    }
+    console.error('Delete closure error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove closure'
+    });
+  }
+});
+
+// List privileges and which account types hold them
+router.get('/privileges', async (req, res) => {
+  try {
+    const data = await listPrivileges();
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Get privileges error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch privileges'
+    });
+  }
+});
+
+// Replace the privileges of an account type
+router.put('/types/:typeId/privileges', [
+  param('typeId').isInt({ min: 1 }).withMessage('Type ID must be a positive integer'),
+  body('privilegeIds').isArray().withMessage('privilegeIds must be an array'),
+  body('privilegeIds.*').isInt({ min: 1 }).withMessage('Privilege IDs must be positive integers')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const typeId = parseInt(req.params.typeId, 10);
+    const result = await setTypePrivileges(typeId, req.body.privilegeIds);
+
+    if (result.granted.length > 0) {
+      await logUserActivity(
+        req.user.user_id,
+        ActionTypes.PRIVILEGE_GRANT,
+        `Granted ${result.granted.join(', ')} to ${result.typeName}`,
+        typeId
+      );
+    }
+    if (result.revoked.length > 0) {
+      await logUserActivity(
+        req.user.user_id,
+        ActionTypes.PRIVILEGE_REVOKE,
+        `Revoked ${result.revoked.join(', ')} from ${result.typeName}`,
+        typeId
+      );
+    }
+
+    res.json({
+      success: true,
+      message: `Privileges updated for ${result.typeName}`,
+      data: result
+    });
+  } catch (error) {
+    if (sendAccessControlError(res, error)) {
+      return;
+    }
+    console.error('Update type privileges error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update privileges'
+    });
+  }
+});
+
+// Assign the parking area an attendant may operate in (null clears it)
+router.put('/users/:userId/assigned-area', [
+  param('userId').isInt({ min: 1 }).withMessage('User ID must be a positive integer'),
+  body('areaId').custom(value => value === null || (Number.isInteger(value) && value > 0))
+    .withMessage('areaId must be a parking area ID or null')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const userId = parseInt(req.params.userId, 10);
+    const { areaId } = req.body;
+    const result = await setAssignedArea(userId, areaId);
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.USER_AREA_ASSIGN,
+      `Assigned area for ${result.email} changed from ${result.previousAreaId || 'none'} to ${areaId || 'none'}`,
+      userId,
+      'assigned_area_id'
+    );
+
+    res.json({
+      success: true,
+      message: areaId ? 'Parking area assigned' : 'Parking area assignment cleared',
+      data: {
+        userId,
+        assignedAreaId: areaId
+      }
+    });
+  } catch (error) {
+    if (sendAccessControlError(res, error)) {
+      return;
+    }
+    console.error('Assign area error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign parking area'
+    });
+  }
+});
+
+// Lift a login lockout before it expires, e.g. after the office has confirmed who is asking
+router.post('/users/:userId/unlock', [
+  param('userId').isInt({ min: 1 }).withMessage('User ID must be a positive integer')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const result = await unlockAccount(parseInt(req.params.userId, 10));
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.ACCOUNT_UNLOCKED,
+      `Login lockout cleared for ${result.email}`,
+      result.userId
+    );
+
+    res.json({
+      success: true,
+      message: result.wasLocked ? 'Account unlocked' : 'Account was not locked; failed login count reset',
+      data: result
+    });
+  } catch (error) {
+    if (sendLoginProtectionError(res, error)) {
+      return;
+    }
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock account'
+    });
+  }
+});
+
+// ===== Occupancy analytics =====
+
+const DEFAULT_ANALYTICS_DAYS = 30;
+
+const analyticsFilterValidators = [
+  query(['from', 'to']).optional().isISO8601().withMessage('from and to must be ISO 8601 dates'),
+  query(['areaId', 'sectionId']).optional().isInt({ min: 1 }).withMessage('Area and section IDs must be positive integers'),
+  query('vehicleType').optional().isIn(VehicleTypes).withMessage(`Vehicle type must be one of: ${VehicleTypes.join(', ')}`),
+  query('groupBy').optional().isIn(Object.values(GroupBy)).withMessage(`groupBy must be one of: ${Object.values(GroupBy).join(', ')}`)
+];
+
+// Defaults to the last 30 days up to now
+const getAnalyticsFilters = (req) => {
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(to.getTime() - DEFAULT_ANALYTICS_DAYS * 24 * 60 * 60 * 1000);
+  return {
+    from,
+    to,
+    areaId: req.query.areaId ? parseInt(req.query.areaId, 10) : null,
+    sectionId: req.query.sectionId ? parseInt(req.query.sectionId, 10) : null,
+    vehicleType: req.query.vehicleType || null
+  };
+};
+
+const sendAnalytics = (name, load) => async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const filters = getAnalyticsFilters(req);
+    const data = await load(filters, req);
+
+    res.json({
+      success: true,
+      data: {
+        from: filters.from,
+        to: filters.to,
+        ...data
+      }
+    });
+  } catch (error) {
+    if (sendAnalyticsError(res, error)) {
+      return;
+    }
+    console.error(`Get ${name} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to fetch ${name}`
+    });
+  }
+};
+
+// Occupancy per hour or day, per area (default), section or vehicle type
+router.get('/analytics/occupancy', [
+  ...analyticsFilterValidators,
+  query('interval').optional().isIn(Object.values(Intervals)).withMessage('interval must be hour or day')
+], sendAnalytics('occupancy analytics', async (filters, req) => ({
+  series: await getOccupancySeries(filters, req.query.groupBy || GroupBy.AREA, req.query.interval || Intervals.HOUR)
+})));
+
+// Day-of-week x hour-of-day occupancy
+router.get('/analytics/heatmap', analyticsFilterValidators, sendAnalytics('occupancy heatmap', async (filters) => ({
+  cells: await getOccupancyHeatmap(filters)
+})));
+
+// Dwell time, turnover and no-show rate per area (default), section or vehicle type
+router.get('/analytics/summary', analyticsFilterValidators, sendAnalytics('usage summary', async (filters, req) => ({
+  groups: await getUsageSummary(filters, req.query.groupBy || GroupBy.AREA)
+})));
+
+router.get('/analytics/peak-hours', [
+  ...analyticsFilterValidators,
+  query('limit').optional().isInt({ min: 1, max: 24 }).withMessage('limit must be between 1 and 24')
+], sendAnalytics('peak hours', async (filters, req) => (
+  getPeakHours(filters, req.query.limit ? parseInt(req.query.limit, 10) : 5)
+)));
+
+// Recompute snapshots, e.g. after correcting reservations in the past
+router.post('/analytics/snapshots', [
+  body(['from', 'to']).isISO8601().withMessage('from and to must be ISO 8601 dates')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const result = await buildSnapshots(new Date(req.body.from), new Date(req.body.to));
+
+    res.json({
+      success: true,
+      message: `Rebuilt ${result.hours} hour(s) of occupancy snapshots`,
+      data: result
+    });
+  } catch (error) {
+    if (sendAnalyticsError(res, error)) {
+      return;
+    }
+    console.error('Rebuild occupancy snapshots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rebuild occupancy snapshots'
+    });
+  }
+});
+
+// ===== Reports =====
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const parseMonth = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(year, monthNumber - 1, 1);
+};
+
+// ?month=2025-10, or ?from=&to= with `to` exclusive; defaults to last month
+const getReportPeriod = (req) => {
+  if (req.query.month) {
+    return getMonthPeriod(parseMonth(req.query.month));
+  }
+  if (req.query.from && req.query.to) {
+    return { from: new Date(req.query.from), to: new Date(req.query.to) };
+  }
+  const now = new Date();
+  return getMonthPeriod(new Date(now.getFullYear(), now.getMonth() - 1, 1));
+};
+
+router.get('/reports/archive', [
+  query('type').optional().isIn(Object.values(ReportTypes)).withMessage(`type must be one of: ${Object.values(ReportTypes).join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit must be between 1 and 500')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const reports = await listArchivedReports({
+      type: req.query.type || null,
+      limit: req.query.limit ? parseInt(req.query.limit, 10) : 100
+    });
+
+    res.json({
+      success: true,
+      data: { reports }
+    });
+  } catch (error) {
+    console.error('Get archived reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch archived reports'
+    });
+  }
+});
+
+// Generate and store every report for a month now (the schedule does last month automatically)
+router.post('/reports/archive', [
+  body('month').matches(MONTH_PATTERN).withMessage('month must be YYYY-MM'),
+  body('formats').optional().isArray({ min: 1 }).withMessage('formats must be a non-empty array'),
+  body('formats.*').optional().isIn(Object.values(ReportFormats)).withMessage(`formats must be of: ${Object.values(ReportFormats).join(', ')}`)
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const result = await archiveMonthlyReports(
+      parseMonth(req.body.month),
+      req.user.user_id,
+      req.body.formats || Object.values(ReportFormats)
+    );
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.REPORT_ARCHIVE,
+      `Generated ${result.reports.length} report file(s) for ${req.body.month}`
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Stored ${result.reports.length} report file(s) for ${req.body.month}`,
+      data: result
+    });
+  } catch (error) {
+    if (sendReportError(res, error)) {
+      return;
+    }
+    console.error('Archive reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate reports'
+    });
+  }
+});
+
+router.get('/reports/archive/:reportId/download', [
+  param('reportId').isInt({ min: 1 }).withMessage('Report ID must be a positive integer')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const { filePath, fileName } = await getArchivedReportFile(parseInt(req.params.reportId, 10));
+    res.download(filePath, fileName);
+  } catch (error) {
+    if (sendReportError(res, error)) {
+      return;
+    }
+    console.error('Download archived report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download report'
+    });
+  }
+});
+
+// Download a report for any period: /reports/revenue?format=xlsx&month=2025-10
+router.get('/reports/:type', [
+  param('type').isIn(Object.values(ReportTypes)).withMessage(`Report must be one of: ${Object.values(ReportTypes).join(', ')}`),
+  query('format').optional().isIn(Object.values(ReportFormats)).withMessage(`format must be one of: ${Object.values(ReportFormats).join(', ')}`),
+  query('month').optional().matches(MONTH_PATTERN).withMessage('month must be YYYY-MM'),
+  query(['from', 'to']).optional().isISO8601().withMessage('from and to must be ISO 8601 dates')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const format = req.query.format || ReportFormats.CSV;
+    const report = await buildReport(req.params.type, getReportPeriod(req));
+    const { buffer, contentType, fileName } = await renderReport(report, format);
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.REPORT_EXPORT,
+      `Exported ${fileName}`
+    );
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(buffer);
+  } catch (error) {
+    if (sendReportError(res, error)) {
+      return;
+    }
+    console.error('Export report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export report'
+    });
+  }
+});
+
+// ===== Access logs =====
+
+const DEFAULT_ACCESS_LOG_DAYS = 7;
+
+const accessLogFilterValidators = [
+  query(['from', 'to']).optional().isISO8601().withMessage('from and to must be ISO 8601 dates'),
+  query('reason').optional().isIn(Object.values(ScanDenialReasons)).withMessage(`reason must be one of: ${Object.values(ScanDenialReasons).join(', ')}`),
+  query(['areaId', 'attendantId', 'reservationId']).optional().isInt({ min: 1 }).withMessage('IDs must be positive integers')
+];
+
+// Defaults to the last 7 days up to now
+const getAccessLogFilters = (req) => {
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(to.getTime() - DEFAULT_ACCESS_LOG_DAYS * 24 * 60 * 60 * 1000);
+  return {
+    from,
+    to,
+    action: req.query.action || null,
+    direction: req.query.direction || null,
+    reason: req.query.reason || null,
+    areaId: req.query.areaId ? parseInt(req.query.areaId, 10) : null,
+    attendantId: req.query.attendantId ? parseInt(req.query.attendantId, 10) : null,
+    reservationId: req.query.reservationId ? parseInt(req.query.reservationId, 10) : null,
+    plate: req.query.plate ? req.query.plate.trim().toUpperCase() : null
+  };
+};
+
+// Gate scans, newest first: /access-logs?action=denied&reason=wrong_area&areaId=2
+router.get('/access-logs', [
+  ...accessLogFilterValidators,
+  query('action').optional().isIn(['granted', 'denied']).withMessage('action must be granted or denied'),
+  query('direction').optional().isIn(Object.values(AccessDirections)).withMessage('direction must be ENTRY or EXIT'),
+  query('plate').optional().isLength({ min: 1, max: 20 }).withMessage('plate must be at most 20 characters'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit must be between 1 and 500')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const filters = getAccessLogFilters(req);
+    const page = req.query.page ? parseInt(req.query.page, 10) : 1;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100;
+    const { logs, total } = await queryAccessLogs(filters, { page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        from: filters.from,
+        to: filters.to,
+        logs,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get access logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch access logs'
+    });
+  }
+});
+
+// Reservations, tickets and attendants behind repeated denied scans in the period
+router.get('/access-logs/repeated-denials', [
+  ...accessLogFilterValidators,
+  query('minAttempts').optional().isInt({ min: 2, max: 100 }).withMessage('minAttempts must be between 2 and 100')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const filters = getAccessLogFilters(req);
+    const minAttempts = req.query.minAttempts ? parseInt(req.query.minAttempts, 10) : 3;
+    const offenders = await findRepeatedDenials(filters, minAttempts);
+
+    res.json({
+      success: true,
+      data: {
+        from: filters.from,
+        to: filters.to,
+        minAttempts,
+        offenders
+      }
+    });
+  } catch (error) {
+    console.error('Get repeated denials error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch repeated denials'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,16 +1,34 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePrivilege, requireAreaAccess } = require('../middleware/auth');
+const { Privileges, getAreaScope, getAreaIdForSpot, getAreaIdForReservation, getAreaIdForQrCode } = require('../services/accessControl');
 const { logUserActivity, ActionTypes } = require('../utils/userLogger');
+const { SessionActors, getSessionErrorStatus, startSession, endSession, cancelSession } = require('../services/parkingSession');
+const { findUpcomingSpotHold } = require('../services/reservationSchedule');
+const { RealtimeEvents, publishReservationEvent } = require('../services/realtime');
+const { getQrTicketErrorStatus, listOfflineTickets, readQrPayloadIds, verifyQrTicket } = require('../services/qrTickets');
+const { getOfflineScanErrorStatus, parseOfflineScans, syncOfflineScans } = require('../services/offlineScans');
+const { getReservationLookupErrorStatus, searchReservations, parseIdentityCheck } = require('../services/reservationLookup');
+const {
+  AccessDirections,
+  ScanDenialReasons,
+  getDenialReasonForError,
+  platesMatch,
+  recordDeniedScan,
+  classifyUnscannable,
+  listDeniedScans
+} = require('../services/accessLogs');
 const bcrypt = require('bcryptjs');
-const QRCode = require('qrcode');
 
 // Get vehicle types with occupied, vacant, and total capacity
-router.get('/vehicle-types', authenticateToken, async (req, res) => {
+router.get('/vehicle-types', authenticateToken, requirePrivilege(Privileges.VIEW_ALL_RESERVATIONS), async (req, res) => {
   try {
     console.log('📊 Fetching vehicle types data...');
 
+    // Attendants only see their assigned area
+    const areaScope = getAreaScope(req.access);
+
     // Query to get vehicle type statistics
     const query = `
       SELECT 
@@ -22,7 +40,7 @@ router.get('/vehicle-types', authenticateToken, async (req, res) => {
       FROM parking_spot ps
       INNER JOIN parking_section psec ON ps.parking_section_id = psec.parking_section_id
       INNER JOIN parking_area pa ON psec.parking_area_id = pa.parking_area_id
-      WHERE pa.status = 'active'
+      WHERE pa.status = 'active' ${areaScope === null ? '' : 'AND pa.parking_area_id = ?'}
       GROUP BY ps.spot_type
       ORDER BY 
         CASE ps.spot_type 
@@ -33,7 +51,7 @@ router.get('/vehicle-types', authenticateToken, async (req, res) => {
         END
     `;
 
-    const results = await db.query(query);
+    const results = await db.query(query, areaScope === null ? [] : [areaScope]);
     
     console.log(`Found ${results.length} vehicle types:`);
     results.forEach(type => {
@@ -68,7 +86,7 @@ router.get('/vehicle-types', authenticateToken, async (req, res) => {
 });
 
 // Get parking slots with detailed information
-router.get('/parking-slots', authenticateToken, async (req, res) => {
+router.get('/parking-slots', authenticateToken, requirePrivilege(Privileges.VIEW_ALL_RESERVATIONS), async (req, res) => {
   try {
     console.log('📊 Fetching parking slots data for attendant:', req.user.user_id);
 
@@ -120,6 +138,7 @@ router.get('/parking-slots', authenticateToken, async (req, res) => {
         ps.spot_type as vehicleType,
         ps.status,
         psec.section_name as section,
+        psec.floor,
         pa.parking_area_name as areaName,
         pa.location
       FROM parking_spot ps
@@ -148,6 +167,7 @@ router.get('/parking-slots', authenticateToken, async (req, res) => {
       vehicleType: slot.vehicleType,
       status: slot.status || 'available', // Default to 'available' if status is empty/null
       section: slot.section,
+      floor: slot.floor,
       areaName: slot.areaName,
       location: slot.location
     }));
@@ -170,10 +190,15 @@ router.get('/parking-slots', authenticateToken, async (req, res) => {
 });
 
 // Get dashboard statistics
-router.get('/dashboard-stats', authenticateToken, async (req, res) => {
+router.get('/dashboard-stats', authenticateToken, requirePrivilege(Privileges.VIEW_ALL_RESERVATIONS), async (req, res) => {
   try {
     console.log('📊 Fetching dashboard statistics...');
 
+    // Attendants only see their assigned area
+    const areaScope = getAreaScope(req.access);
+    const areaFilter = areaScope === null ? '' : 'AND pa.parking_area_id = ?';
+    const areaParams = areaScope === null ? [] : [areaScope];
+
     // Get total statistics
     const totalQuery = `
       SELECT 
@@ -184,10 +209,10 @@ router.get('/dashboard-stats', authenticateToken, async (req, res) => {
       FROM parking_spot ps
       INNER JOIN parking_section psec ON ps.parking_section_id = psec.parking_section_id
       INNER JOIN parking_area pa ON psec.parking_area_id = pa.parking_area_id
-      WHERE pa.status = 'active'
+      WHERE pa.status = 'active' ${areaFilter}
     `;
 
-    const totalStats = await db.query(totalQuery);
+    const totalStats = await db.query(totalQuery, areaParams);
     const stats = totalStats[0];
 
     // Get vehicle type breakdown
@@ -199,19 +224,19 @@ router.get('/dashboard-stats', authenticateToken, async (req, res) => {
       FROM parking_spot ps
       INNER JOIN parking_section psec ON ps.parking_section_id = psec.parking_section_id
       INNER JOIN parking_area pa ON psec.parking_area_id = pa.parking_area_id
-      WHERE pa.status = 'active'
+      WHERE pa.status = 'active' ${areaFilter}
       GROUP BY ps.spot_type
     `;
 
-    const vehicleTypes = await db.query(vehicleTypesQuery);
+    const vehicleTypes = await db.query(vehicleTypesQuery, areaParams);
 
     res.json({
       success: true,
       data: {
-        totalSpots: parseInt(stats.total_spots),
-        totalOccupied: parseInt(stats.total_occupied),
-        totalVacant: parseInt(stats.total_vacant),
-        totalReserved: parseInt(stats.total_reserved),
+        totalSpots: parseInt(stats.total_spots) || 0,
+        totalOccupied: parseInt(stats.total_occupied) || 0,
+        totalVacant: parseInt(stats.total_vacant) || 0,
+        totalReserved: parseInt(stats.total_reserved) || 0,
         vehicleTypes: vehicleTypes.map(type => ({
           type: type.vehicle_type,
           total: parseInt(type.total),
@@ -232,7 +257,8 @@ router.get('/dashboard-stats', authenticateToken, async (req, res) => {
 });
 
 // Get detailed information for a specific parking slot
-router.get('/parking-slot/:slotId', authenticateToken, async (req, res) => {
+router.get('/parking-slot/:slotId', authenticateToken, requirePrivilege(Privileges.VIEW_ALL_RESERVATIONS),
+  requireAreaAccess(req => getAreaIdForSpot(req.params.slotId)), async (req, res) => {
   try {
     const { slotId } = req.params;
     console.log(`📊 Fetching details for parking slot: ${slotId}`);
@@ -438,45 +464,48 @@ router.put('/notification-settings', authenticateToken, async (req, res) => {
   }
 });
 
+// Refused QR scans are kept in access_logs with their reason. Ids come from the reservation when it
+// was found, otherwise from what the payload claims.
+async function logDeniedQrScan(req, direction, reason, { reservation = null, areaId = null, details = null } = {}) {
+  const claimed = readQrPayloadIds(req.body.qrCodeData);
+  await recordDeniedScan({
+    reservationId: reservation?.reservation_id || claimed.reservationId,
+    qrKey: reservation?.qr_key || claimed.qrKey,
+    direction,
+    reason,
+    attendantId: req.user.user_id,
+    areaId: areaId || reservation?.parking_area_id || await getAreaIdForQrCode(req.body.qrCodeData).catch(() => null),
+    vehiclePlate: reservation?.plate_number || req.body.vehiclePlate,
+    details
+  });
+}
+
+const denyWrongArea = (direction) => (req, areaId) => logDeniedQrScan(req, direction, ScanDenialReasons.WRONG_AREA, {
+  areaId,
+  details: 'Ticket belongs to a parking area not assigned to this attendant'
+});
+
 // Start parking session via QR scan (attendant)
-router.post('/start-parking-session', authenticateToken, async (req, res) => {
+router.post('/start-parking-session', authenticateToken, requirePrivilege(Privileges.OPERATE_KIOSK),
+  requireAreaAccess(req => getAreaIdForQrCode(req.body.qrCodeData), { onDenied: denyWrongArea(AccessDirections.ENTRY) }),
+  async (req, res) => {
   try {
-    const { qrCodeData } = req.body;
+    // vehiclePlate is optional: the plate the attendant reads off the car, checked against the booking
+    const { qrCodeData, vehiclePlate } = req.body;
     console.log(`🚗 Starting parking session via QR scan: ${qrCodeData}`);
 
-    // Parse QR code data - supports both old format (reservationId) and new format (qr_key)
-    let reservationId;
-    let qrKey = null;
-    
-    try {
-      const qrData = JSON.parse(qrCodeData);
-      
-      // Check for new format with qr_key
-      if (qrData.qr_key) {
-        qrKey = qrData.qr_key;
-        console.log(`🔑 QR code contains qr_key: ${qrKey}`);
-      } 
-      // Check for old format with reservationId (backward compatibility)
-      else if (qrData.reservationId) {
-        reservationId = qrData.reservationId;
-        console.log(`📋 QR code contains reservationId: ${reservationId}`);
-      } else {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid QR code format: missing qr_key or reservationId'
-        });
-      }
-    } catch (error) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid QR code format: not valid JSON'
-      });
+    // Signed tickets name the reservation; unsigned legacy payloads carry qr_key or reservationId.
+    // The ticket is only used up by the session transition, after the checks below pass.
+    const ticket = await verifyQrTicket(qrCodeData);
+    const { reservationId, qrKey, legacy } = ticket;
+    if (legacy) {
+      console.log(`⚠️ Unsigned legacy QR payload accepted (${qrKey ? 'qr_key' : 'reservationId'})`);
     }
 
-    // Find the reservation by qr_key (new format) or reservation_id (old format)
+    // Find the reservation by qr_key (legacy format) or reservation_id
     let reservation;
     if (qrKey) {
-      // New format: find by qr_key - try regular spot first
+      // Legacy format: find by qr_key - try regular spot first
       reservation = await db.query(`
         SELECT 
           r.reservation_id,
@@ -527,7 +556,7 @@ router.post('/start-parking-session', authenticateToken, async (req, res) => {
         `, [qrKey]);
       }
     } else {
-      // Old format: find by reservation_id - try regular spot first
+      // Find by reservation_id - try regular spot first
       reservation = await db.query(`
         SELECT 
           r.reservation_id,
@@ -580,106 +609,41 @@ router.post('/start-parking-session', authenticateToken, async (req, res) => {
     }
 
     if (reservation.length === 0) {
+      const denial = await classifyUnscannable({ reservationId, qrKey }, AccessDirections.ENTRY);
+      await logDeniedQrScan(req, AccessDirections.ENTRY, denial.reason, denial);
       return res.status(404).json({
         success: false,
-        message: 'Reservation not found or already started'
+        message: 'Reservation not found or already started',
+        denialReason: denial.reason
       });
     }
 
     const reservationData = reservation[0];
 
-    // Handle capacity sections differently
-    if (reservationData.booking_type === 'capacity_section') {
-      console.log(`🏍️ Processing capacity section QR scan for section ${reservationData.parking_section_id}`);
-      
-      // Call the confirm-parking logic for capacity sections
-      const connection = await db.connection.getConnection();
-      try {
-        await connection.beginTransaction();
-        
-        // Update reservation status to active
-        await connection.execute(`
-          UPDATE reservations 
-          SET booking_status = 'active', start_time = NOW()
-          WHERE reservation_id = ?
-        `, [reservationData.reservation_id]);
-        
-        // Move from reserved_count to parked_count - use parking_section_id
-        await connection.execute(`
-          UPDATE parking_section 
-          SET 
-            reserved_count = reserved_count - 1,
-            parked_count = parked_count + 1
-          WHERE parking_section_id = ?
-        `, [reservationData.parking_section_id]);
-        
-        await connection.commit();
-        console.log(`✅ Capacity section confirmed: moved from reserved to parked`);
-      } catch (error) {
-        await connection.rollback();
-        throw error;
-      } finally {
-        connection.release();
-      }
-    } else {
-      console.log(`🚗 Processing regular spot QR scan for spot ${reservationData.parking_spots_id}`);
-      
-      // Update booking status to active and set start time
-      await db.query(`
-        UPDATE reservations 
-        SET booking_status = 'active', start_time = NOW()
-        WHERE reservation_id = ?
-      `, [reservationData.reservation_id]);
-
-      // Update parking spot status from 'reserved' to 'occupied'
-      await db.query(`
-        UPDATE parking_spot 
-        SET status = 'occupied'
-        WHERE parking_spot_id = ? AND status = 'reserved'
-      `, [reservationData.parking_spots_id]);
+    if (vehiclePlate && !platesMatch(vehiclePlate, reservationData.plate_number)) {
+      await logDeniedQrScan(req, AccessDirections.ENTRY, ScanDenialReasons.VEHICLE_MISMATCH, {
+        reservation: reservationData,
+        details: `Scanned at vehicle ${vehiclePlate}`
+      });
+      return res.status(409).json({
+        success: false,
+        message: `This ticket is for ${reservationData.plate_number}, not ${vehiclePlate}`,
+        errorCode: 'VEHICLE_MISMATCH',
+        denialReason: ScanDenialReasons.VEHICLE_MISMATCH
+      });
     }
 
-    // Get the actual start_time from database to ensure accuracy
-    const updatedReservation = await db.query(`
-      SELECT start_time
-      FROM reservations
-      WHERE reservation_id = ?
-    `, [reservationData.reservation_id]);
-
-    const actualStartTime = updatedReservation[0]?.start_time || new Date().toISOString();
-
-    // Insert into qr_scan_tracking table
-    await db.query(`
-      INSERT INTO qr_scan_tracking (
-        reservation_id,
-        attendant_user_id,
-        vehicle_plate,
-        parking_area_name,
-        spot_number,
-        scan_type,
-        scan_timestamp,
-        status_at_scan
-      ) VALUES (?, ?, ?, ?, ?, 'start', NOW(), ?)
-    `, [
-      reservationData.reservation_id,
-      req.user.user_id, // The attendant who scanned
-      reservationData.plate_number, // Vehicle plate number
-      reservationData.parking_area_name,
-      reservationData.spot_number,
-      'active' // Status at scan
-    ]);
+    console.log(`${reservationData.booking_type === 'capacity_section' ? '🏍️ Processing capacity section' : '🚗 Processing regular spot'} QR scan for reservation ${reservationData.reservation_id}`);
+
+    const session = await startSession(reservationData.reservation_id, {
+      scannedBy: req.user.user_id,
+      ticket
+    });
+    const actualStartTime = session.start_time;
 
     console.log(`✅ Parking session started for reservation ${reservationData.reservation_id} at ${actualStartTime}`);
     console.log(`📝 Attendant log recorded: Staff ${req.user.user_id} scanned START for ${reservationData.user_name}`);
 
-    // Log parking start from user's perspective
-    await logUserActivity(
-      reservationData.user_id,
-      ActionTypes.PARKING_START,
-      `Parking session started by attendant: Spot ${reservationData.spot_number} at ${reservationData.parking_area_name}`,
-      reservationData.reservation_id
-    );
-
     res.json({
       success: true,
       message: 'Parking session started successfully',
@@ -695,6 +659,17 @@ router.post('/start-parking-session', authenticateToken, async (req, res) => {
     });
 
   } catch (error) {
+    const statusCode = getSessionErrorStatus(error) || getQrTicketErrorStatus(error);
+    if (statusCode) {
+      const denialReason = getDenialReasonForError(error) || ScanDenialReasons.NOT_SCANNABLE;
+      await logDeniedQrScan(req, AccessDirections.ENTRY, denialReason, { details: error.message });
+      return res.status(statusCode).json({
+        success: false,
+        message: error.message,
+        errorCode: error.code,
+        denialReason
+      });
+    }
     console.error('Error starting parking session:', error);
     res.status(500).json({
       success: false,
@@ -705,45 +680,27 @@ router.post('/start-parking-session', authenticateToken, async (req, res) => {
 });
 
 // End parking session via QR scan (attendant)
-router.post('/end-parking-session', authenticateToken, async (req, res) => {
+router.post('/end-parking-session', authenticateToken, requirePrivilege(Privileges.OPERATE_KIOSK),
+  requireAreaAccess(req => getAreaIdForQrCode(req.body.qrCodeData), { onDenied: denyWrongArea(AccessDirections.EXIT) }),
+  async (req, res) => {
   try {
-    const { qrCodeData } = req.body;
+    // vehiclePlate is optional: the plate the attendant reads off the car, checked against the booking
+    const { qrCodeData, vehiclePlate } = req.body;
     console.log(`🛑 Ending parking session via QR scan: ${qrCodeData}`);
 
-    // Parse QR code data - supports both old format (reservationId) and new format (qr_key)
-    let reservationId;
-    let qrKey = null;
-    
-    try {
-      const qrData = JSON.parse(qrCodeData);
-      
-      // Check for new format with qr_key
-      if (qrData.qr_key) {
-        qrKey = qrData.qr_key;
-        console.log(`🔑 QR code contains qr_key: ${qrKey}`);
-      } 
-      // Check for old format with reservationId (backward compatibility)
-      else if (qrData.reservationId) {
-        reservationId = qrData.reservationId;
-        console.log(`📋 QR code contains reservationId: ${reservationId}`);
-      } else {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid QR code format: missing qr_key or reservationId'
-        });
-      }
-    } catch (error) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid QR code format: not valid JSON'
-      });
+    // Signed tickets name the reservation; unsigned legacy payloads carry qr_key or reservationId.
+    // The ticket is only used up by the session transition, after the checks below pass.
+    const ticket = await verifyQrTicket(qrCodeData);
+    const { reservationId, qrKey, legacy } = ticket;
+    if (legacy) {
+      console.log(`⚠️ Unsigned legacy QR payload accepted (${qrKey ? 'qr_key' : 'reservationId'})`);
     }
 
-    // Find the reservation by qr_key (new format) or reservation_id (old format)
-    // Look for both 'reserved' and 'active' status to handle cases where attendant ends directly
+    // Find the reservation by qr_key (legacy format) or reservation_id
+    // Any status: endSession refuses bookings that are not reserved or active
     let reservation;
     if (qrKey) {
-      // New format: find by qr_key - try regular spot first
+      // Legacy format: find by qr_key - try regular spot first
       reservation = await db.query(`
         SELECT 
           r.reservation_id,
@@ -764,7 +721,7 @@ router.post('/end-parking-session', authenticateToken, async (req, res) => {
         JOIN parking_section psec ON ps.parking_section_id = psec.parking_section_id
         JOIN parking_area pa ON psec.parking_area_id = pa.parking_area_id
         JOIN users u ON r.user_id = u.user_id
-        WHERE r.qr_key = ? AND r.booking_status IN ('active', 'reserved')
+        WHERE r.qr_key = ?
       `, [qrKey]);
       
       // If no regular spot found, try capacity section
@@ -789,11 +746,11 @@ router.post('/end-parking-session', authenticateToken, async (req, res) => {
           JOIN parking_section ps ON r.parking_section_id = ps.parking_section_id
           JOIN parking_area pa ON ps.parking_area_id = pa.parking_area_id
           JOIN users u ON r.user_id = u.user_id
-          WHERE r.qr_key = ? AND r.booking_status IN ('active', 'reserved') AND r.parking_spots_id = 0
+          WHERE r.qr_key = ? AND r.parking_spots_id = 0
         `, [qrKey]);
       }
     } else {
-      // Old format: find by reservation_id - try regular spot first
+      // Find by reservation_id - try regular spot first
       reservation = await db.query(`
         SELECT 
           r.reservation_id,
@@ -814,7 +771,7 @@ router.post('/end-parking-session', authenticateToken, async (req, res) => {
         JOIN parking_section psec ON ps.parking_section_id = psec.parking_section_id
         JOIN parking_area pa ON psec.parking_area_id = pa.parking_area_id
         JOIN users u ON r.user_id = u.user_id
-        WHERE r.reservation_id = ? AND r.booking_status IN ('active', 'reserved')
+        WHERE r.reservation_id = ?
       `, [reservationId]);
       
       // If no regular spot found, try capacity section
@@ -839,204 +796,46 @@ router.post('/end-parking-session', authenticateToken, async (req, res) => {
           JOIN parking_section ps ON r.parking_section_id = ps.parking_section_id
           JOIN parking_area pa ON ps.parking_area_id = pa.parking_area_id
           JOIN users u ON r.user_id = u.user_id
-          WHERE r.reservation_id = ? AND r.booking_status IN ('active', 'reserved') AND r.parking_spots_id = 0
+          WHERE r.reservation_id = ? AND r.parking_spots_id = 0
         `, [reservationId]);
       }
     }
 
     if (reservation.length === 0) {
+      const denial = await classifyUnscannable({ reservationId, qrKey }, AccessDirections.EXIT);
+      await logDeniedQrScan(req, AccessDirections.EXIT, denial.reason, denial);
       return res.status(404).json({
         success: false,
-        message: 'Active parking session not found'
+        message: 'Active parking session not found',
+        denialReason: denial.reason
       });
     }
 
     const reservationData = reservation[0];
 
-    // Handle different booking statuses
-    let startTime;
-    let actualStartTime;
-    
-    if (reservationData.booking_status === 'reserved') {
-      // Reservation hasn't been activated yet
-      // Use current time as start time since attendant is ending it directly
-      actualStartTime = new Date();
-      startTime = actualStartTime;
-      console.log(`🔄 Reservation was 'reserved', setting start_time to current time: ${actualStartTime.toISOString()}`);
-    } else {
-      // Reservation is already active
-      actualStartTime = reservationData.start_time ? new Date(reservationData.start_time) : new Date();
-      startTime = actualStartTime;
-      console.log(`✅ Reservation was 'active', using existing start_time: ${actualStartTime.toISOString()}`);
-    }
-
-    const endTime = new Date();
-    
-    // Calculate duration in minutes, ensuring minimum of 1 minute (even for seconds)
-    const durationMinutes = Math.max(1, Math.ceil((endTime - startTime) / (1000 * 60)));
-    // Convert to decimal hours (e.g., 1 minute = 0.0167 hours, 30 minutes = 0.50 hours)
-    const durationHours = durationMinutes / 60;
-
-    // Get user's subscription hours balance
-    const subscriptionHours = await db.query(`
-      SELECT 
-        COALESCE(SUM(hours_remaining), 0) as total_hours_remaining
-      FROM subscriptions
-      WHERE user_id = ? AND status = 'active' AND hours_remaining > 0
-    `, [reservationData.user_id]);
-
-    const balanceHours = subscriptionHours[0]?.total_hours_remaining || 0;
-
-    // Calculate charge (hours used)
-    const chargeHours = durationHours;
-
-    // Get active subscription BEFORE updating (to ensure we have the right data)
-    const activeSubscription = await db.query(`
-      SELECT subscription_id, hours_remaining
-      FROM subscriptions
-      WHERE user_id = ? AND status = 'active' AND hours_remaining > 0
-      ORDER BY purchase_date ASC
-      LIMIT 1
-    `, [reservationData.user_id]);
-
-    // Check if duration exceeds available balance
-    const exceedsBalance = activeSubscription.length > 0 && activeSubscription[0].hours_remaining < chargeHours;
-    
-    // Calculate hours to deduct (deduct what's available, up to chargeHours)
-    let hoursToDeduct = 0;
-    let penaltyHours = 0;
-    
-    if (activeSubscription.length > 0 && balanceHours > 0 && chargeHours > 0) {
-      hoursToDeduct = Math.min(chargeHours, activeSubscription[0].hours_remaining);
-      
-      // Calculate penalty if user exceeds their balance (regardless of how much they have)
-      if (exceedsBalance) {
-        penaltyHours = chargeHours - activeSubscription[0].hours_remaining;
-        console.log(`⚠️ Penalty detected: User has ${activeSubscription[0].hours_remaining} hours, used ${chargeHours} hours, penalty: ${penaltyHours} hours`);
-      }
-      
-      console.log(`💰 Deduction calculation: chargeHours=${chargeHours}, available=${activeSubscription[0].hours_remaining}, willDeduct=${hoursToDeduct}, penalty=${penaltyHours}`);
-    } else {
-      console.log(`⚠️ Cannot deduct: activeSubscription.length=${activeSubscription.length}, balanceHours=${balanceHours}, chargeHours=${chargeHours}`);
-    }
-
-    // Build transaction queries
-    const transactionQueries = [
-      // Update booking status to completed and set end time
-      // Also set start_time if it was null (reserved status)
-      {
-        sql: `
-          UPDATE reservations 
-          SET booking_status = 'completed', 
-              end_time = NOW(),
-              start_time = CASE 
-                WHEN start_time IS NULL THEN NOW()
-                ELSE start_time
-              END
-          WHERE reservation_id = ?
-        `,
-        params: [reservationData.reservation_id]
-      },
-      // Handle parking spot/section freeing
-      ...(reservationData.booking_type === 'capacity_section' ? [
-        // If reservation was reserved, decrement reserved_count
-        ...(reservationData.booking_status === 'reserved' ? [{
-          sql: `
-            UPDATE parking_section 
-            SET reserved_count = GREATEST(0, reserved_count - 1)
-            WHERE parking_section_id = ?
-          `,
-          params: [reservationData.booking_type === 'capacity_section' ? reservationData.parking_section_id : reservationData.parking_spots_id]
-        }] : []),
-        // If reservation was active, decrement parked_count
-        ...(reservationData.booking_status === 'active' ? [{
-          sql: `
-            UPDATE parking_section 
-            SET parked_count = GREATEST(0, parked_count - 1)
-            WHERE parking_section_id = ?
-          `,
-          params: [reservationData.booking_type === 'capacity_section' ? reservationData.parking_section_id : reservationData.parking_spots_id]
-        }] : [])
-      ] : [{
-        sql: `
-          UPDATE parking_spot 
-          SET status = 'available'
-          WHERE parking_spot_id = ?
-        `,
-        params: [reservationData.parking_spots_id]
-      }]),
-      // Deduct subscription hours if applicable
-      ...(hoursToDeduct > 0 && activeSubscription.length > 0 ? [{
-        sql: `
-          UPDATE subscriptions 
-          SET hours_remaining = GREATEST(0, hours_remaining - ?), hours_used = hours_used + ?
-          WHERE subscription_id = ?
-        `,
-        params: [hoursToDeduct, hoursToDeduct, activeSubscription[0].subscription_id]
-      }] : []),
-      // Insert into qr_scan_tracking table
-      {
-        sql: `
-          INSERT INTO qr_scan_tracking (
-            reservation_id,
-            attendant_user_id,
-            vehicle_plate,
-            parking_area_name,
-            spot_number,
-            scan_type,
-            scan_timestamp,
-            status_at_scan
-          ) VALUES (?, ?, ?, ?, ?, ?, NOW(), ?)
-        `,
-        params: [
-          reservationData.reservation_id,
-          req.user.user_id, // The attendant who scanned
-          reservationData.plate_number, // Vehicle plate number
-          reservationData.parking_area_name,
-          reservationData.spot_number,
-          reservationData.booking_status === 'reserved' ? 'end_reserved' : 'end_active', // More specific scan type
-          reservationData.booking_status // Status at scan
-        ]
-      }
-    ];
-
-    // Add penalty insertion if penalty exists
-    if (penaltyHours > 0) {
-      transactionQueries.push({
-        sql: `
-          INSERT INTO penalty (user_id, penalty_time)
-          VALUES (?, ?)
-        `,
-        params: [reservationData.user_id, penaltyHours]
+    if (vehiclePlate && !platesMatch(vehiclePlate, reservationData.plate_number)) {
+      await logDeniedQrScan(req, AccessDirections.EXIT, ScanDenialReasons.VEHICLE_MISMATCH, {
+        reservation: reservationData,
+        details: `Scanned at vehicle ${vehiclePlate}`
+      });
+      return res.status(409).json({
+        success: false,
+        message: `This ticket is for ${reservationData.plate_number}, not ${vehiclePlate}`,
+        errorCode: 'VEHICLE_MISMATCH',
+        denialReason: ScanDenialReasons.VEHICLE_MISMATCH
       });
     }
 
-    // Use transaction to ensure all updates happen atomically
-    await db.transaction(transactionQueries);
-
-    // Verify the deduction by getting updated balance (include all active subscriptions, even if hours_remaining is 0)
-    const updatedSubscriptionHours = await db.query(`
-      SELECT 
-        COALESCE(SUM(hours_remaining), 0) as total_hours_remaining
-      FROM subscriptions
-      WHERE user_id = ? AND status = 'active'
-    `, [reservationData.user_id]);
+    const result = await endSession(reservationData.reservation_id, {
+      endedBy: SessionActors.ATTENDANT_SCAN,
+      scannedBy: req.user.user_id,
+      ticket
+    });
+    const { durationMinutes, durationHours, endTime, hoursDeducted: hoursToDeduct, penaltyHours } = result;
 
-    const verifiedBalanceHours = updatedSubscriptionHours[0]?.total_hours_remaining || 0;
-    
-    console.log(`✅ ${reservationData.booking_status === 'reserved' ? 'Reserved parking ended directly' : 'Active parking session ended'} - Deducted ${hoursToDeduct} hours. Balance: ${balanceHours} -> ${verifiedBalanceHours}`);
+    console.log(`✅ ${reservationData.booking_status === 'reserved' ? 'Reserved parking ended directly' : 'Active parking session ended'} - Deducted ${hoursToDeduct} hours. Balance: ${result.balanceBefore} -> ${result.balanceAfter}`);
     console.log(`📝 Attendant log recorded: Staff ${req.user.user_id} scanned END for ${reservationData.user_name} (${reservationData.booking_status})`);
 
-    // Log parking end from user's perspective
-    await logUserActivity(
-      reservationData.user_id,
-      ActionTypes.PARKING_END,
-      `${reservationData.booking_status === 'reserved' ? 'Reserved parking' : 'Parking session'} ended by attendant: Spot ${reservationData.spot_number} at ${reservationData.parking_area_name}. Duration: ${durationHours} hours, ${hoursToDeduct} hours deducted`,
-      reservationData.reservation_id
-    );
-
-    console.log(`✅ ${reservationData.booking_status === 'reserved' ? 'Reserved parking' : 'Parking session'} ended for reservation ${reservationData.reservation_id}`);
-
     // Prepare response message
     let responseMessage = reservationData.booking_status === 'reserved' 
       ? 'Reserved parking ended successfully' 
@@ -1062,7 +861,7 @@ router.post('/end-parking-session', authenticateToken, async (req, res) => {
         durationMinutes: durationMinutes,
         durationHours: durationHours,
         chargeHours: hoursToDeduct,
-        balanceHours: verifiedBalanceHours,
+        balanceHours: result.balanceAfter,
         status: 'completed',
         penaltyHours: penaltyHours > 0 ? penaltyHours : 0,
         hasPenalty: penaltyHours > 0
@@ -1070,6 +869,17 @@ router.post('/end-parking-session', authenticateToken, async (req, res) => {
     });
 
   } catch (error) {
+    const statusCode = getSessionErrorStatus(error) || getQrTicketErrorStatus(error);
+    if (statusCode) {
+      const denialReason = getDenialReasonForError(error) || ScanDenialReasons.NOT_SCANNABLE;
+      await logDeniedQrScan(req, AccessDirections.EXIT, denialReason, { details: error.message });
+      return res.status(statusCode).json({
+        success: false,
+        message: error.message,
+        errorCode: error.code,
+        denialReason
+      });
+    }
     console.error('Error ending parking session:', error);
     res.status(500).json({
       success: false,
@@ -1080,7 +890,8 @@ router.post('/end-parking-session', authenticateToken, async (req, res) => {
 });
 
 // Get current parking session status for a reservation (for real-time updates)
-router.get('/parking-session-status/:reservationId', authenticateToken, async (req, res) => {
+router.get('/parking-session-status/:reservationId', authenticateToken, requirePrivilege(Privileges.VIEW_ALL_RESERVATIONS),
+  requireAreaAccess(req => getAreaIdForReservation({ reservationId: req.params.reservationId })), async (req, res) => {
   try {
     const { reservationId } = req.params;
     console.log(`📊 Getting parking session status for reservation ID: ${reservationId}`);
@@ -1152,20 +963,25 @@ router.get('/parking-session-status/:reservationId', authenticateToken, async (r
 });
 
 // Get parking session status by QR code (for real-time updates)
-router.get('/parking-session-status-qr/:qrCode', authenticateToken, async (req, res) => {
+router.get('/parking-session-status-qr/:qrCode', authenticateToken, requirePrivilege(Privileges.VIEW_ALL_RESERVATIONS),
+  requireAreaAccess(req => getAreaIdForQrCode(req.params.qrCode)), async (req, res) => {
   try {
     const { qrCode } = req.params;
     console.log(`📊 Getting parking session status for QR: ${qrCode}`);
 
-    // Parse QR code data to get reservation ID
+    // Only looks the ticket up; it is used up when it is scanned to start or end the session
     let reservationId;
     try {
-      const qrData = JSON.parse(qrCode);
-      reservationId = qrData.reservationId;
+      ({ reservationId } = await verifyQrTicket(qrCode));
     } catch (error) {
-      return res.status(400).json({
+      const statusCode = getQrTicketErrorStatus(error);
+      if (!statusCode) {
+        throw error;
+      }
+      return res.status(statusCode).json({
         success: false,
-        message: 'Invalid QR code format'
+        message: error.message,
+        errorCode: error.code
       });
     }
 
@@ -1236,10 +1052,13 @@ router.get('/parking-session-status-qr/:qrCode', authenticateToken, async (req,
 });
 
 // Get parking scan history for attendants
-router.get('/scan-history', authenticateToken, async (req, res) => {
+router.get('/scan-history', authenticateToken, requirePrivilege(Privileges.VIEW_ALL_RESERVATIONS), async (req, res) => {
   try {
     console.log('📊 Fetching parking scan history from qr_scan_tracking...');
 
+    // Attendants only see scans from their assigned area
+    const areaScope = getAreaScope(req.access);
+
     // Get all QR scan tracking records with additional details
     const scanHistory = await db.query(`
       SELECT 
@@ -1263,10 +1082,10 @@ router.get('/scan-history', authenticateToken, async (req, res) => {
       LEFT JOIN users u ON r.user_id = u.user_id
       LEFT JOIN vehicles v ON r.vehicle_id = v.vehicle_id
       WHERE qst.attendant_user_id IS NOT NULL
-      
+        ${areaScope === null ? '' : 'AND qst.parking_area_id = ?'}
       ORDER BY qst.scan_timestamp DESC
       LIMIT 100
-    `);
+    `, areaScope === null ? [] : [areaScope]);
 
     console.log(`✅ Found ${scanHistory.length} scan records from qr_scan_tracking`);
 
@@ -1287,36 +1106,226 @@ router.get('/scan-history', authenticateToken, async (req, res) => {
   }
 });
 
-// Admin: Create guest booking for available parking spot
-router.post('/create-guest-booking', authenticateToken, async (req, res) => {
+// Recent denied QR scans in the attendant's area (invalid, expired, wrong-area and mismatched tickets)
+router.get('/denied-scans', authenticateToken, requirePrivilege(Privileges.VIEW_ALL_RESERVATIONS), async (req, res) => {
   try {
-    // Check if user is admin
-    const userCheck = await db.query(`
-      SELECT u.user_id, u.user_type_id, t.account_type_name
-      FROM users u
-      LEFT JOIN types t ON u.user_type_id = t.type_id
-      WHERE u.user_id = ?
-    `, [req.user.user_id]);
+    const hours = Math.min(Math.max(parseInt(req.query.hours, 10) || 24, 1), 168);
 
-    if (userCheck.length === 0) {
-      return res.status(404).json({
+    const scans = await listDeniedScans({
+      areaScope: getAreaScope(req.access),
+      attendantId: req.user.user_id,
+      hours
+    });
+
+    res.json({
+      success: true,
+      data: {
+        hours,
+        scans
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching denied scans:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch denied scans',
+      error: error.message
+    });
+  }
+});
+
+// Public ticket keys for the attendant's assigned area, so the scanner can check tickets while there
+// is no signal. Accounts without an assigned area, admins included, get an empty pack.
+router.get('/offline-tickets', authenticateToken, requirePrivilege(Privileges.OPERATE_KIOSK), async (req, res) => {
+  try {
+    const pack = await listOfflineTickets(req.access ? req.access.assignedAreaId : null);
+
+    console.log(`📦 Offline ticket pack for staff ${req.user.user_id}: ${pack.tickets.length} open reservations`);
+
+    res.json({
+      success: true,
+      data: pack
+    });
+
+  } catch (error) {
+    console.error('Error fetching offline tickets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch offline tickets',
+      error: error.message
+    });
+  }
+});
+
+// Upload start/end scans queued while offline; applied in the order they happened
+router.post('/offline-scans', authenticateToken, requirePrivilege(Privileges.OPERATE_KIOSK), async (req, res) => {
+  try {
+    const scans = parseOfflineScans(req.body.scans);
+    const { results, applied, conflicts } = await syncOfflineScans(req.user.user_id, req.access, scans);
+
+    console.log(`📶 Synced ${scans.length} offline scans from staff ${req.user.user_id}: ${applied} applied, ${conflicts} conflicts`);
+
+    res.json({
+      success: true,
+      message: conflicts > 0
+        ? `${applied} offline scan${applied !== 1 ? 's' : ''} applied, ${conflicts} could not be applied`
+        : `${applied} offline scan${applied !== 1 ? 's' : ''} applied`,
+      data: {
+        results,
+        applied,
+        conflicts
+      }
+    });
+
+  } catch (error) {
+    const statusCode = getOfflineScanErrorStatus(error);
+    if (statusCode) {
+      return res.status(statusCode).json({
         success: false,
-        message: 'User not found'
+        message: error.message,
+        errorCode: error.code
       });
     }
+    console.error('Error syncing offline scans:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sync offline scans',
+      error: error.message
+    });
+  }
+});
+
+// Find a booking without its QR code (?q= plate, owner name, reservation ID or spot number)
+router.get('/reservations/search', authenticateToken, requirePrivilege(Privileges.VIEW_ALL_RESERVATIONS), async (req, res) => {
+  try {
+    const reservations = await searchReservations(req.query.q, getAreaScope(req.access));
+
+    res.json({
+      success: true,
+      data: {
+        reservations
+      }
+    });
 
-    // Allow both Admin and Attendant to create guest bookings
-    const isAdminOrAttendant = userCheck[0].account_type_name === 'Admin' || 
-                               userCheck[0].account_type_name === 'Attendant' || 
-                               userCheck[0].user_type_id === 3 || 
-                               userCheck[0].user_type_id === 2;
-    if (!isAdminOrAttendant) {
-      return res.status(403).json({
+  } catch (error) {
+    const statusCode = getReservationLookupErrorStatus(error);
+    if (statusCode) {
+      return res.status(statusCode).json({
         success: false,
-        message: 'Admin or Attendant access required'
+        message: error.message,
+        errorCode: error.code
       });
     }
+    console.error('Error searching reservations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search reservations',
+      error: error.message
+    });
+  }
+});
+
+// Start a session by hand when the driver cannot show the QR code; the identity check is recorded with the scan
+router.post('/reservations/:reservationId/manual-start', authenticateToken, requirePrivilege(Privileges.OPERATE_KIOSK),
+  requireAreaAccess(req => getAreaIdForReservation({ reservationId: req.params.reservationId })), async (req, res) => {
+  try {
+    const identityCheck = parseIdentityCheck(req.body);
+    const session = await startSession(req.params.reservationId, {
+      scannedBy: req.user.user_id,
+      identityCheck
+    });
+
+    console.log(`🪪 Staff ${req.user.user_id} started reservation ${session.reservation_id} manually (${identityCheck.document})`);
+
+    res.json({
+      success: true,
+      message: 'Parking session started successfully',
+      data: {
+        reservationId: session.reservation_id,
+        vehiclePlate: session.plate_number,
+        spotNumber: session.spot_number,
+        areaName: session.parking_area_name,
+        location: session.location,
+        startTime: session.start_time,
+        status: 'active'
+      }
+    });
+
+  } catch (error) {
+    const statusCode = getReservationLookupErrorStatus(error) || getSessionErrorStatus(error);
+    if (statusCode) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error.message,
+        errorCode: error.code
+      });
+    }
+    console.error('Error starting parking session manually:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start parking session',
+      error: error.message
+    });
+  }
+});
 
+// End a session by hand when the driver cannot show the QR code; the identity check is recorded with the scan
+router.post('/reservations/:reservationId/manual-end', authenticateToken, requirePrivilege(Privileges.OPERATE_KIOSK),
+  requireAreaAccess(req => getAreaIdForReservation({ reservationId: req.params.reservationId })), async (req, res) => {
+  try {
+    const identityCheck = parseIdentityCheck(req.body);
+    const result = await endSession(req.params.reservationId, {
+      endedBy: SessionActors.ATTENDANT,
+      scannedBy: req.user.user_id,
+      identityCheck
+    });
+
+    console.log(`🪪 Staff ${req.user.user_id} ended reservation ${result.session.reservation_id} manually (${identityCheck.document}) - Deducted ${result.hoursDeducted} hours`);
+
+    res.json({
+      success: true,
+      message: result.previousStatus === 'reserved' ? 'Reserved parking ended successfully' : 'Parking session ended successfully',
+      data: {
+        reservationId: result.session.reservation_id,
+        vehiclePlate: result.session.plate_number,
+        spotNumber: result.session.spot_number,
+        areaName: result.session.parking_area_name,
+        location: result.session.location,
+        startTime: result.startTime,
+        endTime: result.endTime.toISOString(),
+        durationMinutes: result.durationMinutes,
+        durationHours: result.durationHours,
+        chargeHours: result.hoursDeducted,
+        balanceHours: result.balanceAfter,
+        status: 'completed',
+        penaltyHours: result.penaltyHours,
+        hasPenalty: result.penaltyHours > 0
+      }
+    });
+
+  } catch (error) {
+    const statusCode = getReservationLookupErrorStatus(error) || getSessionErrorStatus(error);
+    if (statusCode) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error.message,
+        errorCode: error.code
+      });
+    }
+    console.error('Error ending parking session manually:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to end parking session',
+      error: error.message
+    });
+  }
+});
+
+// Admin: Create guest booking for available parking spot
+router.post('/create-guest-booking', authenticateToken, requirePrivilege(Privileges.OPERATE_KIOSK),
+  requireAreaAccess(req => getAreaIdForSpot(req.body.spotId)), async (req, res) => {
+  try {
     const { spotId, guestName, plateNumber, vehicleType, brand, model, color } = req.body;
 
     // Validate required fields
@@ -1369,6 +1378,18 @@ router.post('/create-guest-booking', authenticateToken, async (req, res) => {
         });
       }
 
+      // Guest bookings start immediately, so they must not take a spot held for a scheduled booking
+      const upcomingHold = await findUpcomingSpotHold(connection, spotId);
+      if (upcomingHold) {
+        await connection.rollback();
+        connection.release();
+        return res.status(409).json({
+          success: false,
+          message: `This parking spot is held for a scheduled booking starting at ${new Date(upcomingHold.scheduled_start).toLocaleTimeString()}`,
+          errorCode: 'SPOT_HELD_FOR_SCHEDULE'
+        });
+      }
+
       // Validate vehicle type compatibility
       let expectedSpotType = vehicleType.toLowerCase();
       if (vehicleType.toLowerCase() === 'bicycle' || vehicleType.toLowerCase() === 'ebike') {
@@ -1424,46 +1445,16 @@ router.post('/create-guest-booking', authenticateToken, async (req, res) => {
       const spotNumber = spotDetails.length > 0 ? `${spotDetails[0].section_name}-${spotDetails[0].spot_number}` : null;
       const parkingSectionId = spotDetails.length > 0 ? spotDetails[0].parking_section_id : null;
 
-      // Create reservation with active status and start_time (since attendant booking starts immediately)
+      // Create reservation with active status and start_time (since attendant booking starts immediately).
+      // Guests have no phone to show a signed ticket, so the attendant ends the session by hand.
       const [reservationResult] = await connection.execute(
-        `INSERT INTO reservations (user_id, vehicle_id, parking_spots_id, parking_section_id, spot_number, time_stamp, start_time, booking_status, QR)
-         VALUES (?, ?, ?, ?, ?, NOW(), NOW(), 'active', '')`,
+        `INSERT INTO reservations (user_id, vehicle_id, parking_spots_id, parking_section_id, spot_number, time_stamp, start_time, booking_status)
+         VALUES (?, ?, ?, ?, ?, NOW(), NOW(), 'active')`,
         [guestUserId, vehicleId, spotId, parkingSectionId, spotNumber]
       );
 
       const reservationId = reservationResult.insertId;
 
-      // Generate QR code data
-      const qrData = {
-        reservationId: reservationId,
-        userId: guestUserId,
-        vehicleId: vehicleId,
-        spotId: spotId,
-        areaId: spot.parking_area_id,
-        plateNumber: plateNumber,
-        parkingArea: spot.parking_area_name,
-        spotNumber: spot.spot_number,
-        isGuest: true,
-        guestName: guestName,
-        timestamp: Date.now()
-      };
-
-      // Generate QR code as data URL
-      const qrCodeDataURL = await QRCode.toDataURL(JSON.stringify(qrData), {
-        width: 256,
-        margin: 2,
-        color: {
-          dark: '#000000',
-          light: '#FFFFFF'
-        }
-      });
-
-      // Update reservation with QR code
-      await connection.execute(
-        'UPDATE reservations SET QR = ? WHERE reservation_id = ?',
-        [qrCodeDataURL, reservationId]
-      );
-
       await connection.commit();
       connection.release();
 
@@ -1474,16 +1465,15 @@ router.post('/create-guest-booking', authenticateToken, async (req, res) => {
         `Admin created guest booking: ${guestName} - Spot ${spot.spot_number}`,
         reservationId
       );
+      await publishReservationEvent(reservationId, RealtimeEvents.RESERVATION_STARTED);
 
       res.json({
         success: true,
         message: 'Guest booking created successfully',
         data: {
           reservationId: reservationId,
-          qrCode: qrCodeDataURL,
           bookingDetails: {
             reservationId: reservationId,
-            qrCode: qrCodeDataURL,
             guestName: guestName,
             vehiclePlate: plateNumber,
             vehicleType: vehicleType,
@@ -1517,113 +1507,44 @@ router.post('/create-guest-booking', authenticateToken, async (req, res) => {
 });
 
 // Admin/Attendant: End parking session (for occupied spots)
-router.put('/end-parking-session/:reservationId', authenticateToken, async (req, res) => {
+router.put('/end-parking-session/:reservationId', authenticateToken, requirePrivilege(Privileges.OPERATE_KIOSK),
+  requireAreaAccess(req => getAreaIdForReservation({ reservationId: req.params.reservationId })), async (req, res) => {
   try {
-    // Check if user is admin or attendant
-    const userCheck = await db.query(`
-      SELECT u.user_id, u.user_type_id, t.account_type_name
-      FROM users u
-      LEFT JOIN types t ON u.user_type_id = t.type_id
-      WHERE u.user_id = ?
-    `, [req.user.user_id]);
-
-    if (userCheck.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    const isAdminOrAttendant = userCheck[0].account_type_name === 'Admin' || 
-                               userCheck[0].account_type_name === 'Attendant' || 
-                               userCheck[0].user_type_id === 3 || 
-                               userCheck[0].user_type_id === 2;
-    
-    if (!isAdminOrAttendant) {
-      return res.status(403).json({
-        success: false,
-        message: 'Admin or Attendant access required'
-      });
-    }
-
     const { reservationId } = req.params;
 
-    // Get reservation details
-    const reservations = await db.query(`
-      SELECT 
-        r.reservation_id,
-        r.user_id,
-        r.parking_spots_id,
-        r.booking_status,
-        r.start_time
-      FROM reservations r
-      WHERE r.reservation_id = ? AND r.booking_status = 'active'
-    `, [reservationId]);
-
-    if (reservations.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Active parking session not found'
-      });
-    }
+    // The admin/attendant button ends active sessions only; reserved bookings are cancelled instead
+    const result = await endSession(reservationId, {
+      endedBy: SessionActors.ATTENDANT,
+      allowedFrom: ['active']
+    });
 
-    const reservation = reservations[0];
+    console.log(`✅ Staff ${req.user.user_id} ended parking session ${reservationId} - Deducted ${result.hoursDeducted} hours. Balance: ${result.balanceBefore} -> ${result.balanceAfter}`);
 
-    // Use transaction to update reservation and spot status
-    let connection = null;
-    try {
-      if (!db.connection) {
-        await db.connect();
+    res.json({
+      success: true,
+      message: 'Parking session ended successfully',
+      data: {
+        reservationId: parseInt(reservationId),
+        status: 'completed',
+        spotFreed: true,
+        durationMinutes: result.durationMinutes,
+        durationHours: result.durationHours,
+        chargeHours: result.hoursDeducted,
+        balanceHours: result.balanceAfter,
+        penaltyHours: result.penaltyHours,
+        hasPenalty: result.penaltyHours > 0
       }
-      connection = await db.connection.getConnection();
-      await connection.beginTransaction();
-
-      // Update reservation to completed
-      await connection.execute(
-        `UPDATE reservations 
-         SET booking_status = 'completed', end_time = NOW()
-         WHERE reservation_id = ? AND booking_status = 'active'`,
-        [reservationId]
-      );
-
-      // Update spot status to available
-      await connection.execute(
-        `UPDATE parking_spot 
-         SET status = 'available'
-         WHERE parking_spot_id = ?`,
-        [reservation.parking_spots_id]
-      );
-
-      await connection.commit();
-      connection.release();
-
-      // Log activity
-      await logUserActivity(
-        req.user.user_id,
-        ActionTypes.OTHER,
-        `Admin/Attendant ended parking session for reservation ${reservationId}`,
-        reservationId
-      );
+    });
 
-      res.json({
-        success: true,
-        message: 'Parking session ended successfully',
-        data: {
-          reservationId: parseInt(reservationId),
-          status: 'completed',
-          spotFreed: true
-        }
+  } catch (error) {
+    const statusCode = getSessionErrorStatus(error);
+    if (statusCode) {
+      return res.status(statusCode).json({
+        success: false,
+        message: statusCode === 404 ? 'Active parking session not found' : error.message,
+        errorCode: error.code
       });
-
-    } catch (error) {
-      if (connection) {
-        await connection.rollback();
-        connection.release();
-      }
-      throw error;
     }
-
-  } catch (error) {
     console.error('End parking session error:', error);
     res.status(500).json({
       success: false,
@@ -1634,112 +1555,41 @@ router.put('/end-parking-session/:reservationId', authenticateToken, async (req,
 });
 
 // Admin/Attendant: Cancel booking (for reserved spots)
-router.put('/cancel-booking/:reservationId', authenticateToken, async (req, res) => {
+router.put('/cancel-booking/:reservationId', authenticateToken, requirePrivilege(Privileges.OPERATE_KIOSK),
+  requireAreaAccess(req => getAreaIdForReservation({ reservationId: req.params.reservationId })), async (req, res) => {
   try {
-    // Check if user is admin or attendant
-    const userCheck = await db.query(`
-      SELECT u.user_id, u.user_type_id, t.account_type_name
-      FROM users u
-      LEFT JOIN types t ON u.user_type_id = t.type_id
-      WHERE u.user_id = ?
-    `, [req.user.user_id]);
-
-    if (userCheck.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    const isAdminOrAttendant = userCheck[0].account_type_name === 'Admin' || 
-                               userCheck[0].account_type_name === 'Attendant' || 
-                               userCheck[0].user_type_id === 3 || 
-                               userCheck[0].user_type_id === 2;
-    
-    if (!isAdminOrAttendant) {
-      return res.status(403).json({
-        success: false,
-        message: 'Admin or Attendant access required'
-      });
-    }
-
     const { reservationId } = req.params;
 
-    // Get reservation details
-    const reservations = await db.query(`
-      SELECT 
-        r.reservation_id,
-        r.user_id,
-        r.parking_spots_id,
-        r.booking_status
-      FROM reservations r
-      WHERE r.reservation_id = ? AND r.booking_status = 'reserved'
-    `, [reservationId]);
-
-    if (reservations.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Reserved booking not found'
-      });
-    }
+    const session = await cancelSession(reservationId, {
+      allowedFrom: ['reserved']
+    });
 
-    const reservation = reservations[0];
+    await logUserActivity(
+      session.user_id,
+      ActionTypes.PARKING_CANCEL,
+      `Booking cancelled by attendant: Spot ${session.spot_number} at ${session.parking_area_name}`,
+      session.reservation_id
+    );
 
-    // Use transaction to cancel reservation and free spot
-    let connection = null;
-    try {
-      if (!db.connection) {
-        await db.connect();
+    res.json({
+      success: true,
+      message: 'Booking cancelled successfully',
+      data: {
+        reservationId: parseInt(reservationId),
+        status: 'cancelled',
+        spotFreed: true
       }
-      connection = await db.connection.getConnection();
-      await connection.beginTransaction();
-
-      // Update reservation to cancelled
-      await connection.execute(
-        `UPDATE reservations 
-         SET booking_status = 'cancelled'
-         WHERE reservation_id = ? AND booking_status = 'reserved'`,
-        [reservationId]
-      );
-
-      // Update spot status to available
-      await connection.execute(
-        `UPDATE parking_spot 
-         SET status = 'available'
-         WHERE parking_spot_id = ?`,
-        [reservation.parking_spots_id]
-      );
-
-      await connection.commit();
-      connection.release();
-
-      // Log activity
-      await logUserActivity(
-        req.user.user_id,
-        ActionTypes.OTHER,
-        `Admin/Attendant cancelled booking for reservation ${reservationId}`,
-        reservationId
-      );
+    });
 
-      res.json({
-        success: true,
-        message: 'Booking cancelled successfully',
-        data: {
-          reservationId: parseInt(reservationId),
-          status: 'cancelled',
-          spotFreed: true
-        }
+  } catch (error) {
+    const statusCode = getSessionErrorStatus(error);
+    if (statusCode) {
+      return res.status(statusCode).json({
+        success: false,
+        message: statusCode === 404 ? 'Reserved booking not found' : error.message,
+        errorCode: error.code
       });
-
-    } catch (error) {
-      if (connection) {
-        await connection.rollback();
-        connection.release();
-      }
-      throw error;
     }
-
-  } catch (error) {
     console.error('Cancel booking error:', error);
     res.status(500).json({
       success: false,
@@ -1,13 +1,47 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const db = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const {
+  loginIpLimiter,
+  loginAccountLimiter,
+  registerIpLimiter,
+  registerAccountLimiter,
+  passwordChangeIpLimiter,
+  passwordChangeAccountLimiter
+} = require('../middleware/rateLimits');
 const { logUserActivity, ActionTypes } = require('../utils/userLogger');
+const { renderTemplate } = require('../utils/templates');
+const { newPasswordRule } = require('../utils/passwordPolicy');
+const {
+  getAccountEmailErrorStatus,
+  sendVerificationEmail,
+  verifyEmailToken,
+  resendVerificationEmail,
+  requestPasswordReset,
+  resetPassword
+} = require('../services/accountEmails');
+const {
+  SessionRevokeReasons,
+  getAuthSessionErrorStatus,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+} = require('../services/authSessions');
+const {
+  getStatusBlock,
+  getLockRemainingSeconds,
+  getUnknownLockRemainingSeconds,
+  recordFailedLogin,
+  recordUnknownLogin,
+  clearLoginFailures
+} = require('../services/loginProtection');
 
 const router = express.Router();
 
@@ -51,7 +85,7 @@ const upload = multer({
 // Validation rules
 const registerValidation = [
   body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  newPasswordRule('password'),
   body('firstName').trim().isLength({ min: 1 }).withMessage('First name is required'),
   body('lastName').trim().isLength({ min: 1 }).withMessage('Last name is required')
   // Phone field is optional and will be stored as provided
@@ -63,7 +97,7 @@ const loginValidation = [
 ];
 
 // Register new user
-router.post('/register', registerValidation, async (req, res) => {
+router.post('/register', registerIpLimiter, registerValidation, registerAccountLimiter, async (req, res) => {
   try {
     // Check validation errors
     const errors = validationResult(req);
@@ -108,16 +142,23 @@ router.post('/register', registerValidation, async (req, res) => {
       `User registered with email: ${email}, name: ${firstName} ${lastName}`
     );
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId, email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // The account exists either way; the user can ask for a new link if this email is lost
+    let verificationEmailSent = true;
+    try {
+      await sendVerificationEmail({ user_id: userId, email, first_name: firstName });
+    } catch (mailError) {
+      verificationEmailSent = false;
+      console.error('Verification email error:', mailError.message);
+    }
+
+    // Sign the new user in on this device
+    const session = await createSession({ user_id: userId, email }, req);
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: verificationEmailSent
+        ? 'User registered successfully. Check your email to verify your account.'
+        : 'User registered successfully. We could not send the verification email; you can resend it from the app.',
       data: {
         user: {
           id: userId,
@@ -126,7 +167,10 @@ router.post('/register', registerValidation, async (req, res) => {
           lastName,
           isVerified: false
         },
-        token
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn,
+        verificationEmailSent
       }
     });
 
@@ -147,8 +191,16 @@ router.post('/register', registerValidation, async (req, res) => {
   }
 });
 
+// Same answer for locked accounts and for emails without one, so a lock does not reveal which exist
+const sendAccountLocked = (res, lockSeconds) => res.status(423).json({
+  success: false,
+  message: `Too many failed attempts. Try again in ${Math.ceil(lockSeconds / 60)} minutes or reset your password.`,
+  errorCode: 'ACCOUNT_LOCKED',
+  retryAfterSeconds: lockSeconds
+});
+
 // Login user
-router.post('/login', loginValidation, async (req, res) => {
+router.post('/login', loginIpLimiter, loginValidation, loginAccountLimiter, async (req, res) => {
   try {
     // Check validation errors
     const errors = validationResult(req);
@@ -166,7 +218,7 @@ router.post('/login', loginValidation, async (req, res) => {
     // Check if user has accepted terms by checking if they have a TERMS_ACCEPTED log entry
     const users = await db.query(`
       SELECT u.user_id, u.email, u.password, u.first_name, u.last_name, u.hour_balance, u.user_type_id, u.profile_picture, 
-             t.account_type_name,
+             u.is_verified, u.status, u.locked_until, t.account_type_name,
              CASE 
                WHEN EXISTS (
                  SELECT 1 FROM user_logs 
@@ -181,6 +233,15 @@ router.post('/login', loginValidation, async (req, res) => {
     `, [email]);
 
     if (users.length === 0) {
+      const unknownLockSeconds = getUnknownLockRemainingSeconds(email);
+      if (unknownLockSeconds > 0) {
+        return sendAccountLocked(res, unknownLockSeconds);
+      }
+
+      const failure = await recordUnknownLogin(email, password, req.ip);
+      if (failure.locked) {
+        return sendAccountLocked(res, failure.lockSeconds);
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -189,24 +250,43 @@ router.post('/login', loginValidation, async (req, res) => {
 
     const user = users[0];
 
+    // Locked accounts are refused before the password is checked, so guessing cannot continue
+    const lockSeconds = getLockRemainingSeconds(user);
+    if (lockSeconds > 0) {
+      return sendAccountLocked(res, lockSeconds);
+    }
+
     // Check password
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
+      const failure = await recordFailedLogin(user, req.ip);
+      if (failure.locked) {
+        return sendAccountLocked(res, failure.lockSeconds);
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.user_id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Only told to someone who knows the password, so it does not reveal which accounts exist
+    const statusBlock = getStatusBlock(user.status);
+    if (statusBlock) {
+      return res.status(403).json({
+        success: false,
+        message: statusBlock.message,
+        errorCode: statusBlock.code
+      });
+    }
+
+    await clearLoginFailures(user.user_id);
 
-    // Remove password from response and format user data
+    // Start a session for this device: short-lived access token plus a rotating refresh token
+    const session = await createSession(user, req);
+
+    // Remove password and lockout state from response and format user data
     delete user.password;
+    delete user.locked_until;
     
     // Construct profile image URL if exists
     let profileImageUrl = null;
@@ -225,6 +305,7 @@ router.post('/login', loginValidation, async (req, res) => {
       type_id: user.user_type_id,
       account_type_name: user.account_type_name,
       profile_image: profileImageUrl,
+      is_verified: user.is_verified === 1 || user.is_verified === true,
       terms_accepted: user.terms_accepted === 1 || user.terms_accepted === true
     };
 
@@ -240,7 +321,9 @@ router.post('/login', loginValidation, async (req, res) => {
       message: 'Login successful',
       data: {
         user: userResponse,
-        token
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn
       }
     });
 
@@ -279,7 +362,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
   try {
     const users = await db.query(`
       SELECT u.user_id, u.email, u.first_name, u.last_name, u.hour_balance, u.user_type_id, u.profile_picture, 
-             t.account_type_name, u.created_at,
+             u.is_verified, t.account_type_name, u.created_at,
              CASE 
                WHEN EXISTS (
                  SELECT 1 FROM user_logs 
@@ -319,6 +402,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
       type_id: user.user_type_id,
       account_type_name: user.account_type_name,
       profile_image: profileImageUrl,
+      is_verified: user.is_verified === 1 || user.is_verified === true,
       terms_accepted: user.terms_accepted === 1 || user.terms_accepted === true,
       created_at: user.created_at
     };
@@ -566,9 +650,11 @@ router.delete('/profile/picture', authenticateToken, async (req, res) => {
 });
 
 // Change password
-router.put('/change-password', authenticateToken, [
+router.put('/change-password', passwordChangeIpLimiter, authenticateToken, passwordChangeAccountLimiter, [
   body('currentPassword').notEmpty().withMessage('Current password is required'),
-  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+  newPasswordRule('newPassword')
+    .custom((value, { req }) => value !== req.body.currentPassword)
+    .withMessage('New password must be different from the current password')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -613,11 +699,17 @@ router.put('/change-password', authenticateToken, [
       [hashedNewPassword, req.user.user_id]
     );
 
+    // Other devices must sign in again with the new password
+    const signedOut = await revokeAllSessions(req.user.user_id, {
+      exceptSessionId: req.user.session_id,
+      reason: SessionRevokeReasons.PASSWORD_CHANGE
+    });
+
     // Log password change
     await logUserActivity(
       req.user.user_id,
       ActionTypes.PASSWORD_CHANGE,
-      `Password changed successfully`,
+      `Password changed successfully${signedOut > 0 ? `, ${signedOut} other devices signed out` : ''}`,
       req.user.user_id,
       'password'
     );
@@ -636,11 +728,59 @@ router.put('/change-password', authenticateToken, [
   }
 });
 
-// Logout (invalidate token)
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await refreshSession(req.body.refreshToken, req);
+
+    res.json({
+      success: true,
+      data: {
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn
+      }
+    });
+
+  } catch (error) {
+    const statusCode = getAuthSessionErrorStatus(error);
+    if (statusCode) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error.message,
+        errorCode: error.code
+      });
+    }
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh session'
+    });
+  }
+});
+
+// Logout this device
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
-    // In a more sophisticated system, you would maintain a blacklist of tokens
-    // For now, we'll just return success
+    await revokeSession(req.user.user_id, req.user.session_id, SessionRevokeReasons.LOGOUT);
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.LOGOUT,
+      `User logged out (session ${req.user.session_id})`
+    );
+
     res.json({
       success: true,
       message: 'Logged out successfully'
@@ -654,39 +794,212 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
-// Verify email (placeholder - you would implement email verification)
-router.get('/verify/:token', async (req, res) => {
+// Logout every device, optionally keeping this one
+router.post('/logout-all', authenticateToken, async (req, res) => {
   try {
-    const { token } = req.params;
+    const keepCurrent = req.body.keepCurrent === true;
+    const signedOut = await revokeAllSessions(req.user.user_id, {
+      exceptSessionId: keepCurrent ? req.user.session_id : null,
+      reason: SessionRevokeReasons.LOGOUT_ALL
+    });
 
-    const users = await db.query(
-      'SELECT id FROM users WHERE verification_token = ?',
-      [token]
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.LOGOUT,
+      `User logged out of ${keepCurrent ? 'all other' : 'all'} devices (${signedOut} sessions)`
     );
 
-    if (users.length === 0) {
+    res.json({
+      success: true,
+      message: keepCurrent ? 'Logged out of all other devices' : 'Logged out of all devices',
+      data: {
+        sessionsRevoked: signedOut
+      }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out of all devices'
+    });
+  }
+});
+
+// List devices signed in to this account
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.user_id, req.user.session_id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions'
+    });
+  }
+});
+
+// Sign out one device
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    await revokeSession(req.user.user_id, req.params.sessionId, SessionRevokeReasons.REVOKED_BY_USER);
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.LOGOUT,
+      `Device signed out remotely (session ${req.params.sessionId})`,
+      req.params.sessionId
+    );
+
+    res.json({
+      success: true,
+      message: 'Device signed out'
+    });
+  } catch (error) {
+    const statusCode = getAuthSessionErrorStatus(error);
+    if (statusCode) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error.message,
+        errorCode: error.code
+      });
+    }
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out device'
+    });
+  }
+});
+
+// Verify email from the link in the verification email.
+// Opened in a browser, so it answers with a page unless JSON is asked for.
+router.get('/verify/:token', async (req, res) => {
+  const respond = (statusCode, success, title, message) => {
+    if (req.accepts(['html', 'json']) === 'json') {
+      return res.status(statusCode).json({ success, message });
+    }
+    res.status(statusCode).type('html').send(renderTemplate('pages/message.html', { title, message }));
+  };
+
+  try {
+    const result = await verifyEmailToken(req.params.token);
+
+    if (result === 'verified') {
+      return respond(200, true, 'Email verified', 'Your email address is confirmed. You can go back to the TapPark app.');
+    }
+    if (result === 'already_verified') {
+      return respond(200, true, 'Already verified', 'This email address was already confirmed. You can go back to the TapPark app.');
+    }
+    respond(400, false, 'Link expired', 'This verification link is invalid or has expired. Request a new one from the TapPark app.');
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    respond(500, false, 'Something went wrong', 'Email verification failed. Please try again later.');
+  }
+});
+
+// Send a new verification link to the signed-in user
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    await resendVerificationEmail(req.user.user_id);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    const statusCode = getAccountEmailErrorStatus(error);
+    if (statusCode) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error.message,
+        errorCode: error.code
+      });
+    }
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email'
+    });
+  }
+});
+
+// Request a password reset code by email
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid verification token'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Mark user as verified
-    await db.query(
-      'UPDATE users SET is_verified = TRUE, verification_token = NULL WHERE id = ?',
-      [users[0].id]
-    );
+    await requestPasswordReset(req.body.email);
 
+    // Same answer whether or not the account exists
     res.json({
       success: true,
-      message: 'Email verified successfully'
+      message: 'If an account exists for this email, a reset code has been sent.'
     });
 
   } catch (error) {
-    console.error('Email verification error:', error);
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send reset code'
+    });
+  }
+});
+
+// Set a new password with the emailed reset code
+router.post('/reset-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('code').trim().notEmpty().withMessage('Reset code is required'),
+  newPasswordRule('newPassword')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, code, newPassword } = req.body;
+    await resetPassword(email, code, newPassword);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. You can now log in with your new password.'
+    });
+
+  } catch (error) {
+    const statusCode = getAccountEmailErrorStatus(error);
+    if (statusCode) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error.message,
+        errorCode: error.code
+      });
+    }
+    console.error('Reset password error:', error);
     res.status(500).json({
       success: false,
-      message: 'Email verification failed'
+      message: 'Failed to reset password'
     });
   }
 });
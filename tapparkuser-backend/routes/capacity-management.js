@@ -1,8 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireVerifiedEmail, requirePrivilege, requireAreaAccess } = require('../middleware/auth');
+const { Privileges, getAreaIdForSection } = require('../services/accessControl');
 const bcrypt = require('bcryptjs');
+const { SessionActors, getSessionErrorStatus, startSession, endSession } = require('../services/parkingSession');
+const { RealtimeEvents, publishReservationEvent, publishSectionStatus } = require('../services/realtime');
+const { NotificationCategories, NotificationLinks, createNotification } = require('../utils/notifications');
 
 // Get capacity status for all sections in an area
 router.get('/areas/:areaId/capacity-status', authenticateToken, async (req, res) => {
@@ -32,6 +36,7 @@ router.get('/areas/:areaId/capacity-status', authenticateToken, async (req, res)
         ps.section_mode,
         ps.vehicle_type,
         ps.status,
+        ps.floor,
         CASE 
           WHEN EXISTS (
             SELECT 1 
@@ -93,6 +98,7 @@ router.get('/areas/:areaId/capacity-status', authenticateToken, async (req, res)
         totalUsed: totalUsed,
         utilizationRate: utilizationRate,
         status: section.status || 'available', // Include section status
+        floor: section.floor,
         isUserBooked: section.is_user_booked === 1
       };
     });
@@ -112,7 +118,7 @@ router.get('/areas/:areaId/capacity-status', authenticateToken, async (req, res)
 });
 
 // Reserve capacity in a section
-router.post('/sections/:sectionId/reserve', authenticateToken, async (req, res) => {
+router.post('/sections/:sectionId/reserve', authenticateToken, requirePrivilege(Privileges.RESERVE_SPOT), requireVerifiedEmail, async (req, res) => {
   try {
     const { sectionId } = req.params;
     const userId = req.user.user_id;
@@ -157,9 +163,9 @@ router.post('/sections/:sectionId/reserve', authenticateToken, async (req, res)
       // Just create a reservation tied to the section itself
       const [reservationResult] = await connection.execute(`
         INSERT INTO reservations 
-        (user_id, parking_spots_id, booking_status, time_stamp, start_time, end_time, QR, qr_key)
-        VALUES (?, ?, 'reserved', NOW(), NOW(), DATE_ADD(NOW(), INTERVAL 24 HOUR), ?, ?)
-      `, [userId, sectionId, `CAP-${Date.now()}-${userId}`, `CAP-${Date.now()}-${userId}`]);
+        (user_id, parking_spots_id, booking_status, time_stamp, start_time, end_time)
+        VALUES (?, ?, 'reserved', NOW(), NOW(), DATE_ADD(NOW(), INTERVAL 24 HOUR))
+      `, [userId, sectionId]);
       
       // Increment reserved_count for the section
       await connection.execute(`
@@ -169,6 +175,7 @@ router.post('/sections/:sectionId/reserve', authenticateToken, async (req, res)
       `, [sectionId]);
       
       await connection.commit();
+      await publishSectionStatus(sectionId);
       
       res.json({
         success: true,
@@ -197,7 +204,7 @@ router.post('/sections/:sectionId/reserve', authenticateToken, async (req, res)
 });
 
 // Confirm parking (attendant scans QR - moves from reserved to parked)
-router.post('/sections/:sectionId/confirm-parking', authenticateToken, async (req, res) => {
+router.post('/sections/:sectionId/confirm-parking', authenticateToken, requirePrivilege(Privileges.RESERVE_SPOT), async (req, res) => {
   try {
     const { sectionId } = req.params;
     const userId = req.user.user_id;
@@ -205,51 +212,23 @@ router.post('/sections/:sectionId/confirm-parking', authenticateToken, async (re
     
     console.log(`✅ Confirming parking in section ${sectionId} for user ${userId}, reservation ${reservationId}`);
     
-    // Start transaction
-    const connection = await db.connection.getConnection();
-    
-    try {
-      await connection.beginTransaction();
-      
-      // Update reservation status to active
-      const [updateResult] = await connection.execute(`
-        UPDATE reservations 
-        SET booking_status = 'active', start_time = NOW()
-        WHERE reservation_id = ? AND user_id = ? AND booking_status = 'reserved'
-      `, [reservationId, userId]);
-      
-      if (updateResult.affectedRows === 0) {
-        await connection.rollback();
-        return res.status(404).json({
-          success: false,
-          message: 'Reservation not found or already confirmed'
-        });
-      }
-      
-      // Move from reserved_count to parked_count
-      await connection.execute(`
-        UPDATE parking_section 
-        SET 
-          reserved_count = reserved_count - 1,
-          parked_count = parked_count + 1
-        WHERE parking_section_id = ?
-      `, [sectionId]);
-      
-      await connection.commit();
-      
-      res.json({
-        success: true,
-        message: 'Parking confirmed successfully'
+    await startSession(reservationId, {
+      userId,
+      allowedFrom: ['reserved']
+    });
+
+    res.json({
+      success: true,
+      message: 'Parking confirmed successfully'
+    });
+
+  } catch (error) {
+    if (getSessionErrorStatus(error)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reservation not found or already confirmed'
       });
-      
-    } catch (error) {
-      await connection.rollback();
-      throw error;
-    } finally {
-      connection.release();
     }
-    
-  } catch (error) {
     console.error('Confirm parking error:', error);
     res.status(500).json({
       success: false,
@@ -259,56 +238,56 @@ router.post('/sections/:sectionId/confirm-parking', authenticateToken, async (re
 });
 
 // End capacity reservation (when parking ends)
-router.post('/sections/:sectionId/end-reservation', authenticateToken, async (req, res) => {
+router.post('/sections/:sectionId/end-reservation', authenticateToken, requirePrivilege(Privileges.RESERVE_SPOT), async (req, res) => {
   try {
     const { sectionId } = req.params;
     const userId = req.user.user_id;
     
     console.log(`🏁 Ending capacity reservation in section ${sectionId} for user ${userId}`);
     
-    // Start transaction
-    const connection = await db.connection.getConnection();
-    
-    try {
-      await connection.beginTransaction();
-      
-      // Find and update user's active reservation in this section
-      const [updateResult] = await connection.execute(`
-        UPDATE reservations 
-        SET booking_status = 'completed', end_time = NOW()
-        WHERE parking_spots_id = ? AND user_id = ? AND booking_status = 'active'
-      `, [sectionId, userId]);
-      
-      if (updateResult.affectedRows === 0) {
-        await connection.rollback();
-        return res.status(404).json({
-          success: false,
-          message: 'No active reservation found for this user in this section'
-        });
-      }
-      
-      // Decrement parked_count
-      await connection.execute(`
-        UPDATE parking_section 
-        SET parked_count = parked_count - 1
-        WHERE parking_section_id = ?
-      `, [sectionId]);
-      
-      await connection.commit();
-      
-      res.json({
-        success: true,
-        message: 'Capacity reservation ended successfully'
+    // Find the user's booking in this section, active first; endSession refuses any other status
+    const reservations = await db.query(`
+      SELECT reservation_id
+      FROM reservations
+      WHERE parking_section_id = ? AND parking_spots_id = 0 AND user_id = ?
+      ORDER BY booking_status = 'active' DESC, reservation_id DESC
+      LIMIT 1
+    `, [sectionId, userId]);
+
+    if (reservations.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No reservation found for this user in this section'
       });
-      
-    } catch (error) {
-      await connection.rollback();
-      throw error;
-    } finally {
-      connection.release();
     }
-    
+
+    const result = await endSession(reservations[0].reservation_id, {
+      endedBy: SessionActors.USER,
+      userId,
+      allowedFrom: ['active']
+    });
+
+    res.json({
+      success: true,
+      message: 'Capacity reservation ended successfully',
+      data: {
+        reservationId: reservations[0].reservation_id,
+        durationMinutes: result.durationMinutes,
+        chargeHours: result.hoursDeducted,
+        balanceHours: result.balanceAfter,
+        penaltyHours: result.penaltyHours
+      }
+    });
+
   } catch (error) {
+    const statusCode = getSessionErrorStatus(error);
+    if (statusCode) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error.message,
+        errorCode: error.code
+      });
+    }
     console.error('End capacity reservation error:', error);
     res.status(500).json({
       success: false,
@@ -340,7 +319,8 @@ router.get('/user/capacity-reservations', authenticateToken, async (req, res) =>
 });
 
 // Get parked users for a specific motorcycle section
-router.get('/sections/:sectionId/parked-users', authenticateToken, async (req, res) => {
+router.get('/sections/:sectionId/parked-users', authenticateToken, requirePrivilege(Privileges.VIEW_ALL_RESERVATIONS),
+  requireAreaAccess(req => getAreaIdForSection(req.params.sectionId)), async (req, res) => {
   try {
     const { sectionId } = req.params;
     const userId = req.user.user_id;
@@ -566,7 +546,7 @@ router.get('/sections/:sectionId/spots', authenticateToken, async (req, res) =>
 });
 
 // Assign user to specific motorcycle spot
-router.post('/sections/:sectionId/spots/:spotNumber/assign', authenticateToken, async (req, res) => {
+router.post('/sections/:sectionId/spots/:spotNumber/assign', authenticateToken, requirePrivilege(Privileges.RESERVE_SPOT), async (req, res) => {
   try {
     const { sectionId, spotNumber } = req.params;
     const { vehicleId } = req.body;
@@ -648,88 +628,25 @@ router.post('/sections/:sectionId/spots/:spotNumber/assign', authenticateToken,
       });
     }
     
-    // Generate unique QR key before creating reservation (same as regular parking)
-    const qrKey = require('uuid').v4();
-    
     console.log('🔍 Motorcycle Booking Debug - Creating reservation:', { 
       sectionId, 
       spotNumber, 
       vehicleId, 
-      qrKey,
       userId
     });
     
     // Create reservation for the virtual spot (same as regular parking process)
-    // Use dummy parking_spots_id = 0 for capacity-only sections
-    let reservationResult;
-    try {
-      reservationResult = await db.execute(`
-        INSERT INTO reservations (
-          user_id, vehicle_id, parking_spots_id, parking_section_id, spot_number, 
-          time_stamp, start_time, booking_status, QR, qr_key
-        ) VALUES (?, ?, 0, ?, ?, NOW(), NULL, 'reserved', '', ?)
-      `, [userId, vehicleId, sectionId, spotNumber, qrKey]);
-    } catch (insertError) {
-      // If qr_key column doesn't exist, add it and retry (same as regular parking)
-      if (insertError.message && insertError.message.includes('Unknown column')) {
-        console.log('  qr_key column not found, adding it now...');
-        try {
-          await db.execute(`
-            ALTER TABLE reservations 
-            ADD COLUMN qr_key VARCHAR(255) UNIQUE NULL AFTER QR
-          `);
-          console.log(' Added qr_key column to reservations table');
-        } catch (alterError) {
-          if (!alterError.message.includes('Duplicate column name')) {
-            throw alterError;
-          }
-        }
-        // Retry insert with qr_key
-        reservationResult = await db.execute(`
-          INSERT INTO reservations (
-            user_id, vehicle_id, parking_spots_id, parking_section_id, spot_number, 
-            time_stamp, start_time, booking_status, QR, qr_key
-          ) VALUES (?, ?, 0, ?, ?, NOW(), NULL, 'reserved', '', ?)
-        `, [userId, vehicleId, sectionId, spotNumber, qrKey]);
-      } else {
-        throw insertError;
-      }
-    }
+    // Use dummy parking_spots_id = 0 for capacity-only sections. The phone shows a signed ticket,
+    // so no static QR code is stored; see services/qrTickets.js
+    const reservationResult = await db.execute(`
+      INSERT INTO reservations (
+        user_id, vehicle_id, parking_spots_id, parking_section_id, spot_number, 
+        time_stamp, start_time, booking_status
+      ) VALUES (?, ?, 0, ?, ?, NOW(), NULL, 'reserved')
+    `, [userId, vehicleId, sectionId, spotNumber]);
 
     const reservationId = reservationResult.insertId;
     
-    // Generate QR code data with only qr_key (same as regular parking)
-    // IMPORTANT: Only qr_key is included in the QR code for validation
-    const qrData = {
-      qr_key: qrKey
-    };
-    
-    console.log('🔍 Capacity QR Debug - qrData:', qrData);
-    console.log('🔍 Capacity QR Debug - JSON string:', JSON.stringify(qrData));
-    
-    // Generate QR code as data URL (same as regular parking)
-    // The QR code contains only: qr_key
-    const QRCode = require('qrcode');
-    const qrCodeDataURL = await QRCode.toDataURL(JSON.stringify(qrData), {
-      width: 256,
-      margin: 2,
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
-      }
-    });
-    
-    console.log('🔍 Capacity QR Debug - Generated QR code length:', qrCodeDataURL.length);
-    console.log('🔍 Capacity QR Debug - QR code starts with data:', qrCodeDataURL.startsWith('data:'));
-    
-    // Update the reservation with the QR code (same as regular parking)
-    await db.execute(
-      'UPDATE reservations SET QR = ? WHERE reservation_id = ?',
-      [qrCodeDataURL, reservationId]
-    );
-    
-    console.log('🔍 Capacity QR Debug - Updated reservation with QR code');
-    
     // Update section counts
     await db.execute(`
       UPDATE parking_section 
@@ -761,7 +678,7 @@ router.post('/sections/:sectionId/spots/:spotNumber/assign', authenticateToken,
     
     console.log('🔍 Debug - Extracted details:', {
       vehiclePlate, vehicleType, vehicleBrand, areaName, areaLocation,
-      reservationId, qrKey, spotNumber
+      reservationId, spotNumber
     });
     
     // Debug the response data
@@ -769,13 +686,9 @@ router.post('/sections/:sectionId/spots/:spotNumber/assign', authenticateToken,
       success: true,
       data: {
         reservationId,
-        qrCode: qrCodeDataURL, // Use the actual QR code
-        qrKey: qrKey,
         message: 'Parking spot booked successfully',
         bookingDetails: {
           reservationId,
-          qrCode: qrCodeDataURL, // Use the actual QR code
-          qrKey: qrKey,
           vehiclePlate: vehiclePlate,
           vehicleType: vehicleType,
           vehicleBrand: vehicleBrand,
@@ -790,6 +703,15 @@ router.post('/sections/:sectionId/spots/:spotNumber/assign', authenticateToken,
     };
     
     console.log('🔍 Debug response data:', JSON.stringify(responseData, null, 2));
+    await createNotification(
+      userId,
+      'Booking Confirmed',
+      `Spot ${spotNumber} at ${areaName} is reserved for ${vehiclePlate}. Show your QR code to the attendant when you arrive.`,
+      'success',
+      { reservationId, bookingStatus: 'reserved', link: NotificationLinks.activeParking(reservationId) },
+      NotificationCategories.BOOKING
+    );
+    await publishReservationEvent(reservationId, RealtimeEvents.RESERVATION_RESERVED);
     
     // Return response in exact same format as regular parking
     res.json(responseData);
@@ -804,7 +726,8 @@ router.post('/sections/:sectionId/spots/:spotNumber/assign', authenticateToken,
 });
 
 // Assign guest to specific motorcycle spot
-router.post('/sections/:sectionId/spots/:spotNumber/guest-assign', authenticateToken, async (req, res) => {
+router.post('/sections/:sectionId/spots/:spotNumber/guest-assign', authenticateToken, requirePrivilege(Privileges.OPERATE_KIOSK),
+  requireAreaAccess(req => getAreaIdForSection(req.params.sectionId)), async (req, res) => {
   try {
     const { sectionId, spotNumber } = req.params;
     const { guestName, plateNumber, brand, model, color } = req.body;
@@ -890,16 +813,12 @@ router.post('/sections/:sectionId/spots/:spotNumber/guest-assign', authenticateT
       const vehicleId = vehicleResult.insertId;
       console.log(`✅ Guest vehicle created with ID: ${vehicleId}`);
       
-      // Generate QR key for guest booking
-      const qrKey = require('uuid').v4();
-      console.log(`🔑 Creating guest reservation with qrKey: ${qrKey}`);
-      
       // Create guest reservation following the same pattern as bookMotorcycleSection
       const [insertResult] = await connection.execute(`
         INSERT INTO reservations (
           user_id, vehicle_id, parking_spots_id, parking_section_id, spot_number,
-          time_stamp, start_time, booking_status, QR
-        ) VALUES (?, ?, 0, ?, ?, NOW(), NOW(), 'active', '')
+          time_stamp, start_time, booking_status
+        ) VALUES (?, ?, 0, ?, ?, NOW(), NOW(), 'active')
       `, [
         guestUserId, // Use guest user ID
         vehicleId,   // Use guest vehicle ID
@@ -922,6 +841,7 @@ router.post('/sections/:sectionId/spots/:spotNumber/guest-assign', authenticateT
       connection.release();
       
       console.log(`✅ Transaction committed successfully`);
+      await publishReservationEvent(insertResult.insertId, RealtimeEvents.RESERVATION_STARTED);
       
       console.log(`✅ Successfully assigned guest ${guestName} to virtual spot ${spotNumber} in section ${sectionId}`);
       
@@ -953,7 +873,7 @@ router.post('/sections/:sectionId/spots/:spotNumber/guest-assign', authenticateT
 });
 
 // Release/unassign motorcycle spot
-router.post('/sections/:sectionId/spots/:spotNumber/release', authenticateToken, async (req, res) => {
+router.post('/sections/:sectionId/spots/:spotNumber/release', authenticateToken, requirePrivilege(Privileges.RESERVE_SPOT), async (req, res) => {
   try {
     const { sectionId, spotNumber } = req.params;
     const userId = req.user.user_id;
@@ -985,6 +905,7 @@ router.post('/sections/:sectionId/spots/:spotNumber/release', authenticateToken,
     `, [sectionId]);
     
     console.log(`✅ Successfully released spot ${spotNumber} in section ${sectionId}`);
+    await publishSectionStatus(sectionId);
     
     res.json({
       success: true,
@@ -1001,7 +922,8 @@ router.post('/sections/:sectionId/spots/:spotNumber/release', authenticateToken,
 });
 
 // Update spot status (for attendant actions)
-router.put('/sections/:sectionId/spots/:spotNumber/status', authenticateToken, async (req, res) => {
+router.put('/sections/:sectionId/spots/:spotNumber/status', authenticateToken, requirePrivilege(Privileges.OVERRIDE_SPOT),
+  requireAreaAccess(req => getAreaIdForSection(req.params.sectionId)), async (req, res) => {
   try {
     const { sectionId, spotNumber } = req.params;
     const { status } = req.body;
@@ -1048,6 +970,7 @@ router.put('/sections/:sectionId/spots/:spotNumber/status', authenticateToken, a
       // The status is managed at the reservation level
       // For now, we'll just return success since motorcycle sections are capacity-based
       console.log(`✅ Successfully updated spot ${spotNumber} status to '${status}' in section ${sectionId}`);
+      await publishSectionStatus(sectionId, status);
       
       res.json({
         success: true,
@@ -1071,7 +994,8 @@ router.put('/sections/:sectionId/spots/:spotNumber/status', authenticateToken, a
 });
 
 // Update section status (for attendant actions)
-router.put('/sections/:sectionId/status', authenticateToken, async (req, res) => {
+router.put('/sections/:sectionId/status', authenticateToken, requirePrivilege(Privileges.OVERRIDE_SPOT),
+  requireAreaAccess(req => getAreaIdForSection(req.params.sectionId)), async (req, res) => {
   try {
     const { sectionId } = req.params;
     const { status } = req.body;
@@ -1137,6 +1061,7 @@ router.put('/sections/:sectionId/status', authenticateToken, async (req, res) =>
     }
     
     console.log(`✅ Successfully updated section ${sectionId} status to '${status}'`);
+    await publishSectionStatus(sectionId, status);
     
     res.json({
       success: true,
@@ -1,6 +1,7 @@
 const express = require('express');
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePrivilege } = require('../middleware/auth');
+const { Privileges } = require('../services/accessControl');
 const { logUserActivity, ActionTypes } = require('../utils/userLogger');
 
 const router = express.Router();
@@ -176,7 +177,7 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Add parking spot to favorites
-router.post('/:parkingSpotId', authenticateToken, async (req, res) => {
+router.post('/:parkingSpotId', authenticateToken, requirePrivilege(Privileges.FAVORITE_SPOTS), async (req, res) => {
   try {
     const { parkingSpotId } = req.params;
 
@@ -330,7 +331,7 @@ router.post('/:parkingSpotId', authenticateToken, async (req, res) => {
 });
 
 // Remove parking spot from favorites
-router.delete('/:parkingSpotId', authenticateToken, async (req, res) => {
+router.delete('/:parkingSpotId', authenticateToken, requirePrivilege(Privileges.FAVORITE_SPOTS), async (req, res) => {
   try {
     const { parkingSpotId } = req.params;
 
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { Privileges, getUserAccess, hasPrivilege } = require('../services/accessControl');
+const { NotificationCategories, NotificationLinks, createNotification } = require('../utils/notifications');
 
 // Test endpoint to debug database connection
 router.get('/test', async (req, res) => {
@@ -418,14 +420,19 @@ router.post('/:feedbackId/comments', authenticateToken, async (req, res) => {
 
     // Verify feedback exists
     const feedbackQuery = `
-      SELECT feedback_id 
+      SELECT feedback_id, user_id
       FROM feedback 
       WHERE feedback_id = ?
     `;
     
-    const [feedbackResult] = await db.query(feedbackQuery, [feedbackId]);
+    const feedbackResult = await db.query(feedbackQuery, [feedbackId]);
+
+    // Only the author and admins may comment; everyone else gets the same 404
+    const isAuthor = feedbackResult.length > 0 && Number(feedbackResult[0].user_id) === Number(user_id);
+    const isAdmin = !isAuthor && feedbackResult.length > 0 &&
+      hasPrivilege(await getUserAccess(user_id), Privileges.MANAGE_MASTERS);
     
-    if (feedbackResult.length === 0) {
+    if (!isAuthor && !isAdmin) {
       return res.status(404).json({
         success: false,
         message: 'Feedback not found'
@@ -435,15 +442,28 @@ router.post('/:feedbackId/comments', authenticateToken, async (req, res) => {
     // Insert comment
     const insertCommentQuery = `
       INSERT INTO feedback_comments (feedback_id, user_id, role, comment, created_at)
-      VALUES (?, ?, 'user', ?, NOW())
+      VALUES (?, ?, ?, ?, NOW())
     `;
     
-    const [result] = await db.query(insertCommentQuery, [
+    const result = await db.execute(insertCommentQuery, [
       feedbackId,
       user_id,
+      isAuthor ? 'user' : 'admin',
       comment.trim()
     ]);
 
+    if (isAdmin) {
+      const preview = comment.trim().length > 120 ? `${comment.trim().substring(0, 117)}...` : comment.trim();
+      await createNotification(
+        feedbackResult[0].user_id,
+        'New Reply to Your Feedback',
+        preview,
+        'info',
+        { feedbackId: Number(feedbackId), commentId: result.insertId, link: NotificationLinks.feedback(feedbackId) },
+        NotificationCategories.FEEDBACK
+      );
+    }
+
     console.log('💬 Comment added:', {
       comment_id: result.insertId,
       feedback_id: feedbackId,
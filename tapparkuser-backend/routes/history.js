@@ -1,6 +1,7 @@
 const express = require('express');
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePrivilege } = require('../middleware/auth');
+const { Privileges } = require('../services/accessControl');
 
 const router = express.Router();
 
@@ -330,11 +331,24 @@ router.get('/payments', authenticateToken, async (req, res) => {
         'subscription' as payment_type,
         pm.method_name as payment_method,
         p.status,
+        p.refunded_amount,
+        p.refunded_at,
+        s.status as subscription_status,
         p.payment_date as created_at,
         pl.plan_name as location_name,
         pl.description as location_address,
         pl.number_of_hours,
-        pl.cost
+        pl.cost,
+        (
+          SELECT COALESCE(SUM(t.hours), 0)
+          FROM transactions t
+          WHERE t.subscription_id = p.subscription_id AND t.transaction_type = 'penalty_deduction'
+        ) as penalty_hours_deducted,
+        (
+          SELECT COALESCE(-SUM(t.hours), 0)
+          FROM transactions t
+          WHERE t.subscription_id = p.subscription_id AND t.transaction_type = 'refund'
+        ) as refunded_hours
       FROM payments p
       LEFT JOIN payment_method pm ON p.payment_method_id = pm.id
       LEFT JOIN subscriptions s ON p.subscription_id = s.subscription_id
@@ -607,7 +621,7 @@ router.get('/frequent-spots', authenticateToken, async (req, res) => {
 });
 
 // Delete parking history record
-router.delete('/parking/:reservationId', authenticateToken, async (req, res) => {
+router.delete('/parking/:reservationId', authenticateToken, requirePrivilege(Privileges.VIEW_OWN_HISTORY), async (req, res) => {
   try {
     const { reservationId } = req.params;
     const userId = req.user.user_id;
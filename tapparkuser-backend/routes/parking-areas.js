@@ -1,11 +1,26 @@
 const express = require('express');
-const QRCode = require('qrcode');
 const path = require('path');
 const fs = require('fs');
-const { v4: uuidv4 } = require('uuid');
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireVerifiedEmail, requirePrivilege } = require('../middleware/auth');
+const { Privileges } = require('../services/accessControl');
 const { logUserActivity, ActionTypes } = require('../utils/userLogger');
+const { NotificationCategories, NotificationLinks, createNotification } = require('../utils/notifications');
+const { getReservationExpiry } = require('../services/reservationExpiry');
+const {
+  WALK_IN_BUFFER_MINUTES,
+  validateScheduleWindow,
+  findSpotScheduleConflicts,
+  countSectionScheduleHolds,
+  getFreeSectionSlotLabel,
+  findUpcomingSpotHold,
+  countUpcomingSectionHolds
+} = require('../services/reservationSchedule');
+const { SessionActors, getSessionErrorStatus, endSession } = require('../services/parkingSession');
+const { RealtimeEvents, publishReservationEvent } = require('../services/realtime');
+const { getPublishedLayout, getAreaFloors } = require('../services/parkingLayouts');
+const { getForecastErrorStatus, forecastAvailability } = require('../services/availabilityForecast');
+const { getTicketSettings } = require('../services/qrTickets');
 
 const router = express.Router();
 
@@ -40,6 +55,95 @@ router.get('/areas', async (req, res) => {
   }
 });
 
+// Expected free capacity per area and vehicle type at ?at= (ISO time within the next week)
+router.get('/forecast', authenticateToken, async (req, res) => {
+  try {
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    const areaId = req.query.areaId ? parseInt(req.query.areaId, 10) : null;
+
+    const forecasts = await forecastAvailability({
+      at,
+      areaId: Number.isInteger(areaId) ? areaId : null,
+      vehicleType: req.query.vehicleType || null
+    });
+
+    res.json({
+      success: true,
+      data: {
+        at,
+        forecasts
+      }
+    });
+
+  } catch (error) {
+    const statusCode = getForecastErrorStatus(error);
+    if (statusCode) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error.message,
+        errorCode: error.code
+      });
+    }
+    console.error('Get availability forecast error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch availability forecast'
+    });
+  }
+});
+
+// Admin: Set how long a reservation is held before it expires as a no-show
+router.put('/areas/:areaId/grace-period', authenticateToken, requirePrivilege(Privileges.MANAGE_MASTERS), async (req, res) => {
+  try {
+    const { areaId } = req.params;
+    const graceMinutes = parseInt(req.body.graceMinutes, 10);
+
+    if (!Number.isInteger(graceMinutes) || graceMinutes < 1 || graceMinutes > 1440) {
+      return res.status(400).json({
+        success: false,
+        message: 'graceMinutes must be a whole number between 1 and 1440'
+      });
+    }
+
+    const result = await db.execute(`
+      UPDATE parking_area
+      SET reservation_grace_minutes = ?
+      WHERE parking_area_id = ?
+    `, [graceMinutes, areaId]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Parking area not found'
+      });
+    }
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.PARKING_AREA_UPDATE,
+      `Set reservation grace period for parking area ${areaId} to ${graceMinutes} minutes`,
+      areaId,
+      'reservation_grace_minutes'
+    );
+
+    res.json({
+      success: true,
+      message: 'Grace period updated successfully',
+      data: {
+        parkingAreaId: parseInt(areaId, 10),
+        graceMinutes
+      }
+    });
+
+  } catch (error) {
+    console.error('Update grace period error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update grace period'
+    });
+  }
+});
+
 // Get parking spots for a specific area
 router.get('/areas/:areaId/spots', async (req, res) => {
   try {
@@ -56,12 +160,22 @@ router.get('/areas/:areaId/spots', async (req, res) => {
     if (vehicleType === 'motorcycle') {
       console.log(`🏍️ Getting capacity sections for motorcycles`);
       
+      // Scheduled bookings about to start count against the free capacity
+      const upcomingHolds = `(
+        SELECT COUNT(*) FROM reservations r
+        WHERE r.parking_spots_id = 0
+          AND r.parking_section_id = ps.parking_section_id
+          AND r.booking_status = 'scheduled'
+          AND r.scheduled_start < DATE_ADD(NOW(), INTERVAL ${WALK_IN_BUFFER_MINUTES} MINUTE)
+          AND r.scheduled_end > NOW()
+      )`;
+
       let query = `
         SELECT 
           ps.parking_section_id as id,
           ps.section_name as spot_number,
           CASE 
-            WHEN (ps.capacity - ps.parked_count - ps.reserved_count) > 0 THEN 'available'
+            WHEN (ps.capacity - ps.parked_count - ps.reserved_count - ${upcomingHolds}) > 0 THEN 'available'
             ELSE 'full'
           END as status,
           'motorcycle' as spot_type,
@@ -77,7 +191,7 @@ router.get('/areas/:areaId/spots', async (req, res) => {
 
       // Only show available sections unless includeAll is set
       if (!includeAll || includeAll === 'false') {
-        query += ` AND (ps.capacity - ps.parked_count - ps.reserved_count) > 0`;
+        query += ` AND (ps.capacity - ps.parked_count - ps.reserved_count - ${upcomingHolds}) > 0`;
       }
 
       query += ` ORDER BY ps.section_name`;
@@ -106,8 +220,16 @@ router.get('/areas/:areaId/spots', async (req, res) => {
       const params = [areaId];
 
       // Only filter by status if includeAll is not set (for backward compatibility)
+      // Spots held for a scheduled booking that starts soon are not offered for walk-in booking
       if (!includeAll || includeAll === 'false') {
-        query += ` AND ps.status = 'available'`;
+        query += ` AND ps.status = 'available'
+          AND NOT EXISTS (
+            SELECT 1 FROM reservations r
+            WHERE r.parking_spots_id = ps.parking_spot_id
+              AND r.booking_status = 'scheduled'
+              AND r.scheduled_start < DATE_ADD(NOW(), INTERVAL ${WALK_IN_BUFFER_MINUTES} MINUTE)
+              AND r.scheduled_end > NOW()
+          )`;
       }
 
       // Filter by vehicle type if provided
@@ -166,6 +288,7 @@ router.get('/areas/:areaId/spots-status', authenticateToken, async (req, res) =>
         ps.status,
         ps.spot_type,
         psec.section_name,
+        psec.floor,
         CASE 
           WHEN EXISTS (
             SELECT 1 
@@ -203,7 +326,7 @@ router.get('/areas/:areaId/spots-status', authenticateToken, async (req, res) =>
 });
 
 // Book a parking spot or section
-router.post('/book', authenticateToken, async (req, res) => {
+router.post('/book', authenticateToken, requirePrivilege(Privileges.RESERVE_SPOT), requireVerifiedEmail, async (req, res) => {
   try {
     const { vehicleId, spotId, areaId } = req.body;
 
@@ -331,6 +454,18 @@ router.post('/book', authenticateToken, async (req, res) => {
         });
       }
 
+      // Don't let a walk-in booking take a spot promised to a scheduled booking
+      const upcomingHold = await findUpcomingSpotHold(connection, spotId);
+      if (upcomingHold) {
+        await connection.rollback();
+        connection.release();
+        return res.status(409).json({
+          success: false,
+          message: 'This parking spot is held for a scheduled booking. Please choose a different spot.',
+          errorCode: 'SPOT_HELD_FOR_SCHEDULE'
+        });
+      }
+
       const vehicleType = vehicleDetails[0].vehicle_type;
       const spotType = spot.spot_type;
       
@@ -386,13 +521,9 @@ router.post('/book', authenticateToken, async (req, res) => {
         });
       }
 
-      // Generate unique QR key before creating reservation
-      const qrKey = uuidv4();
-      
       console.log('🔍 Booking Debug - Creating reservation for regular spot:', { 
         spotId, 
         vehicleId, 
-        qrKey,
         vehicleType: vehicle.vehicle_type 
       });
       
@@ -407,71 +538,16 @@ router.post('/book', authenticateToken, async (req, res) => {
       const spotNumber = spotDetails.length > 0 ? `${spotDetails[0].section_name}-${spotDetails[0].spot_number}` : null;
       const parkingSectionId = spotDetails.length > 0 ? spotDetails[0].parking_section_id : null;
 
-      // Create reservation within the same transaction
-      // Try to insert with qr_key, fallback if column doesn't exist
-      let insertResult;
-      try {
-        [insertResult] = await connection.execute(`
-          INSERT INTO reservations (
-            user_id, vehicle_id, parking_spots_id, parking_section_id, spot_number, 
-            time_stamp, start_time, booking_status, QR, qr_key
-          ) VALUES (?, ?, ?, ?, ?, NOW(), NULL, 'reserved', '', ?)
-        `, [req.user.user_id, vehicleId, spotId, parkingSectionId, spotNumber, qrKey]);
-      } catch (insertError) {
-        // If qr_key column doesn't exist, add it and retry
-        if (insertError.message && insertError.message.includes('Unknown column')) {
-          console.log('  qr_key column not found, adding it now...');
-          try {
-            await connection.execute(`
-              ALTER TABLE reservations 
-              ADD COLUMN qr_key VARCHAR(255) UNIQUE NULL AFTER QR
-            `);
-            console.log(' Added qr_key column to reservations table');
-          } catch (alterError) {
-            // Column might have been added by another request, try insert again
-            if (!alterError.message.includes('Duplicate column name')) {
-              throw alterError;
-            }
-          }
-          // Retry insert with qr_key
-          [insertResult] = await connection.execute(`
-            INSERT INTO reservations (
-              user_id, vehicle_id, parking_spots_id, parking_section_id, spot_number, 
-              time_stamp, start_time, booking_status, QR, qr_key
-            ) VALUES (?, ?, ?, ?, ?, NOW(), NULL, 'reserved', '', ?)
-          `, [req.user.user_id, vehicleId, spotId, parkingSectionId, spotNumber, qrKey]);
-        } else {
-          throw insertError;
-        }
-      }
+      // Create reservation within the same transaction. The phone shows a signed ticket instead of
+      // a static QR code, so QR and qr_key stay NULL; see services/qrTickets.js
+      const [insertResult] = await connection.execute(`
+        INSERT INTO reservations (
+          user_id, vehicle_id, parking_spots_id, parking_section_id, spot_number, 
+          time_stamp, start_time, booking_status
+        ) VALUES (?, ?, ?, ?, ?, NOW(), NULL, 'reserved')
+      `, [req.user.user_id, vehicleId, spotId, parkingSectionId, spotNumber]);
 
       const reservationId = insertResult.insertId;
-      
-      // Generate QR code data with only qr_key
-      // IMPORTANT: Only qr_key is included in the QR code for validation
-      const qrData = {
-        qr_key: qrKey
-      };
-      
-      console.log('🔍 Regular Spot QR Debug - qrData:', qrData);
-      console.log('🔍 Regular Spot QR Debug - JSON string:', JSON.stringify(qrData));
-      
-      // Generate QR code as data URL
-      // The QR code contains only: qr_key
-      const qrCodeDataURL = await QRCode.toDataURL(JSON.stringify(qrData), {
-        width: 256,
-        margin: 2,
-        color: {
-          dark: '#000000',
-          light: '#FFFFFF'
-        }
-      });
-      
-      // Update the reservation with the QR code (qr_key already set in INSERT)
-      await connection.execute(
-        'UPDATE reservations SET QR = ? WHERE reservation_id = ?',
-        [qrCodeDataURL, reservationId]
-      );
 
       // Commit the transaction
       await connection.commit();
@@ -484,18 +560,23 @@ router.post('/book', authenticateToken, async (req, res) => {
         `Parking spot booked: ${spot.spot_number} at ${areaDetails[0].parking_area_name} for vehicle ${vehicleDetails[0].plate_number}`,
         reservationId
       );
+      await createNotification(
+        req.user.user_id,
+        'Booking Confirmed',
+        `Spot ${spot.spot_number} at ${areaDetails[0].parking_area_name} is reserved for ${vehicleDetails[0].plate_number}. Show your QR code to the attendant when you arrive.`,
+        'success',
+        { reservationId, bookingStatus: 'reserved', link: NotificationLinks.activeParking(reservationId) },
+        NotificationCategories.BOOKING
+      );
+      await publishReservationEvent(reservationId, RealtimeEvents.RESERVATION_RESERVED);
 
       res.json({
         success: true,
         data: {
           reservationId,
-          qrCode: qrCodeDataURL,
-          qrKey: qrKey,
           message: 'Parking spot booked successfully',
           bookingDetails: {
             reservationId,
-            qrCode: qrCodeDataURL,
-            qrKey: qrKey,
             vehiclePlate: vehicleDetails[0].plate_number,
             vehicleType: vehicleDetails[0].vehicle_type,
             vehicleBrand: vehicleDetails[0].brand,
@@ -567,11 +648,22 @@ async function bookMotorcycleSection(req, res, vehicle, areaId) {
       }
       
       const assignedSection = assignedSections[0];
+
+      // Capacity promised to scheduled bookings that start soon is not available for walk-ins
+      const upcomingHolds = await countUpcomingSectionHolds(connection, assignedSection.parking_section_id);
+      if (assignedSection.available_capacity - upcomingHolds <= 0) {
+        await connection.rollback();
+        connection.release();
+        return res.status(409).json({
+          success: false,
+          message: 'The remaining capacity in this section is held for scheduled bookings',
+          errorCode: 'SECTION_HELD_FOR_SCHEDULE'
+        });
+      }
+
       console.log(`✅ Using recommended section ${assignedSection.section_name} with ${assignedSection.available_capacity} spots available`);
       
       // Create reservation for the section
-      const qrKey = uuidv4();
-      console.log(`🔑 Creating reservation with qrKey: ${qrKey}`);
       console.log(`🔑 Section ID: ${assignedSection.parking_section_id}`);
       console.log(`🔑 User ID: ${req.user.user_id}`);
       console.log(`🔑 Vehicle ID: ${req.body.vehicleId}`);
@@ -585,9 +677,9 @@ async function bookMotorcycleSection(req, res, vehicle, areaId) {
       const [insertResult] = await connection.execute(`
         INSERT INTO reservations (
           user_id, vehicle_id, parking_spots_id, parking_section_id, spot_number,
-          time_stamp, start_time, booking_status, QR, qr_key
-        ) VALUES (?, ?, ?, ?, ?, NOW(), NULL, 'reserved', ?, ?)
-      `, [req.user.user_id, req.body.vehicleId, dummyParkingSpotId, assignedSection.parking_section_id, spotNumber, qrKey, qrKey]);
+          time_stamp, start_time, booking_status
+        ) VALUES (?, ?, ?, ?, ?, NOW(), NULL, 'reserved')
+      `, [req.user.user_id, req.body.vehicleId, dummyParkingSpotId, assignedSection.parking_section_id, spotNumber]);
       
       console.log(`✅ Reservation created with ID: ${insertResult.insertId}`);
       
@@ -605,34 +697,6 @@ async function bookMotorcycleSection(req, res, vehicle, areaId) {
       
       console.log(`✅ Transaction committed successfully`);
       
-      // Generate QR code data with only qr_key (same as regular spots)
-      // IMPORTANT: Only qr_key is included in the QR code for validation
-      const qrData = {
-        qr_key: qrKey
-      };
-      
-      console.log('🔍 Motorcycle QR Debug - qrData:', qrData);
-      console.log('🔍 Motorcycle QR Debug - JSON string:', JSON.stringify(qrData));
-      
-      // Generate QR code as data URL (same format as regular spots)
-      // The QR code contains only: qr_key
-      const qrCodeDataURL = await QRCode.toDataURL(JSON.stringify(qrData), {
-        width: 256,
-        margin: 2,
-        color: {
-          dark: '#000000',
-          light: '#FFFFFF'
-        }
-      });
-      
-      // Update the reservation with the QR code (same as regular parking)
-      await db.execute(
-        'UPDATE reservations SET QR = ? WHERE reservation_id = ?',
-        [qrCodeDataURL, insertResult.insertId]
-      );
-      
-      console.log(`🔍 Motorcycle QR Debug - Updated reservation ${insertResult.insertId} with QR code`);
-      
       // Log motorcycle section booking
       await logUserActivity(
         req.user.user_id,
@@ -640,6 +704,15 @@ async function bookMotorcycleSection(req, res, vehicle, areaId) {
         `Motorcycle section ${assignedSection.section_name} booked in area ${areaId}`,
         insertResult.insertId
       );
+      await createNotification(
+        req.user.user_id,
+        'Booking Confirmed',
+        `A space in motorcycle section ${assignedSection.section_name} is reserved for you. Show your QR code to the attendant when you arrive.`,
+        'success',
+        { reservationId: insertResult.insertId, bookingStatus: 'reserved', link: NotificationLinks.activeParking(insertResult.insertId) },
+        NotificationCategories.BOOKING
+      );
+      await publishReservationEvent(insertResult.insertId, RealtimeEvents.RESERVATION_RESERVED);
       
       console.log(`🎯 Sending response for reservation ${insertResult.insertId}`);
       res.json({
@@ -647,13 +720,9 @@ async function bookMotorcycleSection(req, res, vehicle, areaId) {
         message: `Motorcycle section ${assignedSection.section_name} booked successfully`,
         data: {
           reservationId: insertResult.insertId,
-          qrCode: qrCodeDataURL,
-          qrKey: qrKey,
           message: `You've been assigned to ${assignedSection.section_name} section`,
           bookingDetails: {
             reservationId: insertResult.insertId,
-            qrCode: qrCodeDataURL,
-            qrKey: qrKey,
             vehicleType: vehicle.vehicle_type,
             plateNumber: vehicle.plate_number,
             sectionName: assignedSection.section_name,
@@ -685,173 +754,345 @@ async function bookMotorcycleSection(req, res, vehicle, areaId) {
   }
 }
 
-// Timer is now purely local - no server-side timer needed
-// Timer starts/stops only through QR scans
-
-// Get parking area layout info (AJAX approach)
-router.get('/area/:areaId/layout', authenticateToken, async (req, res) => {
+// Book a parking spot or motorcycle section for a future time slot
+// The spot is only held (status 'reserved') once the slot starts - see services/reservationSchedule.js
+router.post('/book-scheduled', authenticateToken, requirePrivilege(Privileges.RESERVE_SPOT), requireVerifiedEmail, async (req, res) => {
   try {
-    const { areaId } = req.params;
+    const { vehicleId, areaId, spotId, scheduledStart, scheduledEnd } = req.body;
 
-    const result = await db.query(`
-      SELECT 
-        pa.parking_area_id,
-        pa.parking_area_name,
-        pa.location,
-        pl.parking_layout_id,
-        pl.layout_data,
-        pl.floor
-      FROM parking_area pa
-      LEFT JOIN parking_layout pl ON pa.parking_area_id = pl.parking_area_id
-      WHERE pa.parking_area_id = ? AND pa.status = 'active'
-      ORDER BY pl.created_at DESC, pl.parking_layout_id DESC
-      LIMIT 1
-    `, [areaId]);
+    if (!vehicleId || !areaId || !scheduledStart || !scheduledEnd) {
+      return res.status(400).json({
+        success: false,
+        message: 'Vehicle ID, area ID, scheduledStart and scheduledEnd are required'
+      });
+    }
 
-    if (result.length === 0) {
-      return res.status(404).json({
+    const start = new Date(scheduledStart);
+    const end = new Date(scheduledEnd);
+    const windowError = validateScheduleWindow(start, end);
+    if (windowError) {
+      return res.status(400).json({
+        success: false,
+        message: windowError,
+        errorCode: 'INVALID_SCHEDULE'
+      });
+    }
+
+    const vehicles = await db.query(
+      'SELECT vehicle_id, plate_number, vehicle_type, brand FROM vehicles WHERE vehicle_id = ? AND user_id = ?',
+      [vehicleId, req.user.user_id]
+    );
+
+    if (vehicles.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Vehicle not found or does not belong to user'
+      });
+    }
+
+    const vehicle = vehicles[0];
+    const isMotorcycle = vehicle.vehicle_type.toLowerCase() === 'motorcycle';
+
+    const areaDetails = await db.query(
+      'SELECT parking_area_name, location FROM parking_area WHERE parking_area_id = ?',
+      [areaId]
+    );
+
+    if (areaDetails.length === 0) {
+      return res.status(400).json({
         success: false,
         message: 'Parking area not found'
       });
     }
 
-    const area = result[0];
-    
-    // Parse the layout data to extract SVG and sections
-    let layoutSvg = '';
-    let hasLayout = false;
-    let sections = [];
-    
-    if (area.layout_data) {
-      try {
-        // Handle both string and already-parsed object cases
-        let layoutData;
-        if (typeof area.layout_data === 'string') {
-          layoutData = JSON.parse(area.layout_data);
-        } else {
-          layoutData = area.layout_data;
-        }
-        
-        if (layoutData) {
-          // Extract SVG data
-          if (layoutData.svg_data) {
-            layoutSvg = layoutData.svg_data;
-            hasLayout = true;
-            console.log('✅ Successfully extracted SVG, length:', layoutSvg.length);
-          } else {
-            console.log('⚠️ Layout data exists but no svg_data field found');
-          }
-          
-          // Extract sections data - THIS IS THE KEY FIX!
-          if (layoutData.sections && Array.isArray(layoutData.sections)) {
-            sections = layoutData.sections;
-            console.log('✅ Successfully extracted sections:', sections.length, 'sections');
-            console.log('🔍 Section details:', sections.map(s => ({
-              position: s.position,
-              section_name: s.section_data?.section_name,
-              section_mode: s.section_data?.section_mode,
-              type: s.section_data?.type,
-              capacity: s.section_data?.capacity
-            })));
-          } else {
-            console.log('⚠️ No sections array found in layout data');
-            console.log('🔍 Available layout data properties:', Object.keys(layoutData));
+    // A user can only have one booking per time slot
+    const ownOverlap = await db.query(`
+      SELECT reservation_id
+      FROM reservations
+      WHERE user_id = ?
+        AND booking_status IN ('scheduled', 'reserved')
+        AND scheduled_start < ?
+        AND scheduled_end > ?
+      LIMIT 1
+    `, [req.user.user_id, end, start]);
+
+    if (ownOverlap.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a scheduled booking that overlaps this time slot',
+        errorCode: 'SCHEDULE_OVERLAP'
+      });
+    }
+
+    let connection = null;
+    try {
+      if (!db.connection) {
+        await db.connect();
+      }
+
+      connection = await db.connection.getConnection();
+      await connection.beginTransaction();
+
+      let parkingSpotsId;
+      let parkingSectionId;
+      let spotNumber;
+      let spotType;
+
+      if (isMotorcycle) {
+        // Lock the area's motorcycle sections so concurrent bookings see each other's holds
+        const [sections] = await connection.execute(`
+          SELECT parking_section_id, section_name, capacity
+          FROM parking_section
+          WHERE parking_area_id = ?
+            AND vehicle_type = 'motorcycle'
+            AND section_mode = 'capacity_only'
+            AND status != 'unavailable'
+            ${spotId ? 'AND parking_section_id = ?' : ''}
+          ORDER BY section_name
+          FOR UPDATE
+        `, spotId ? [areaId, spotId] : [areaId]);
+
+        for (const section of sections) {
+          const holds = await countSectionScheduleHolds(connection, section.parking_section_id, start, end);
+          if (holds < section.capacity) {
+            parkingSpotsId = 0;
+            parkingSectionId = section.parking_section_id;
+            spotNumber = await getFreeSectionSlotLabel(connection, section, start, end);
+            spotType = 'motorcycle';
+            break;
           }
         }
-      } catch (parseError) {
-        // Try to extract SVG directly using regex as fallback
-        if (area.layout_data && typeof area.layout_data === 'string') {
-          // Method 1: Try to find SVG tag directly (most reliable for malformed JSON)
-          // This works best when JSON is broken but SVG content is intact
-          const svgMatch = area.layout_data.match(/<svg[\s\S]*?<\/svg>/);
-          if (svgMatch && svgMatch[0].length > 100) {
-            layoutSvg = svgMatch[0];
-            hasLayout = true;
-            // Silent success - no console log needed
-          } else {
-            // Method 2: Try to find svg_data field with proper handling of escaped quotes
-            let svgDataMatch = area.layout_data.match(/"svg_data"\s*:\s*"((?:[^"\\]|\\.)*)"/);
-            
-            if (svgDataMatch && svgDataMatch[1].length > 100) {
-              // Unescape the SVG string from method 2
-              layoutSvg = svgDataMatch[1]
-                .replace(/\\"/g, '"')
-                .replace(/\\n/g, '\n')
-                .replace(/\\t/g, '\t')
-                .replace(/\\r/g, '\r')
-                .replace(/\\\\/g, '\\');
-              hasLayout = true;
-              // Silent success - no console log needed
-            } else {
-              // Method 3: Manual parsing as last resort (only use if substantial)
-              const svgDataStart = area.layout_data.indexOf('"svg_data"');
-              if (svgDataStart !== -1) {
-                const colonIndex = area.layout_data.indexOf(':', svgDataStart);
-                if (colonIndex !== -1) {
-                  let searchStart = colonIndex + 1;
-                  while (searchStart < area.layout_data.length && /\s/.test(area.layout_data[searchStart])) {
-                    searchStart++;
-                  }
-                  const valueStart = area.layout_data.indexOf('"', searchStart) + 1;
-                  if (valueStart > 0 && valueStart < area.layout_data.length) {
-                    let valueEnd = valueStart;
-                    let escaped = false;
-                    while (valueEnd < area.layout_data.length) {
-                      const char = area.layout_data[valueEnd];
-                      if (char === '\\' && !escaped) {
-                        escaped = true;
-                        valueEnd++;
-                      } else if (char === '"' && !escaped) {
-                        break;
-                      } else {
-                        escaped = false;
-                        valueEnd++;
-                      }
-                    }
-                    if (valueEnd > valueStart) {
-                      const svgString = area.layout_data.substring(valueStart, valueEnd);
-                      const unescapedSvg = svgString
-                        .replace(/\\"/g, '"')
-                        .replace(/\\n/g, '\n')
-                        .replace(/\\t/g, '\t')
-                        .replace(/\\r/g, '\r')
-                        .replace(/\\\\/g, '\\');
-                      // Only use if it's substantial (more than 100 chars)
-                      if (unescapedSvg.length > 100) {
-                        layoutSvg = unescapedSvg;
-                        hasLayout = true;
-                        // Silent success - no console log needed
-                      }
-                    }
-                  }
-                }
-              }
+      } else {
+        // Map vehicle types to spot types for compatibility
+        let expectedSpotType = vehicle.vehicle_type.toLowerCase();
+        if (expectedSpotType === 'bicycle' || expectedSpotType === 'ebike') {
+          expectedSpotType = 'bike';
+        }
+
+        const [candidates] = await connection.execute(`
+          SELECT ps.parking_spot_id, ps.spot_number, ps.spot_type, ps.parking_section_id, psec.section_name
+          FROM parking_spot ps
+          JOIN parking_section psec ON ps.parking_section_id = psec.parking_section_id
+          WHERE psec.parking_area_id = ?
+            AND psec.status != 'unavailable'
+            ${spotId ? 'AND ps.parking_spot_id = ?' : 'AND ps.spot_type = ?'}
+          ORDER BY ps.spot_number
+        `, [areaId, spotId || expectedSpotType]);
+
+        if (spotId && candidates.length > 0 && candidates[0].spot_type.toLowerCase() !== expectedSpotType) {
+          await connection.rollback();
+          connection.release();
+          return res.status(400).json({
+            success: false,
+            errorCode: 'VEHICLE_TYPE_MISMATCH',
+            message: `This parking spot is for ${candidates[0].spot_type}s only. Your vehicle is a ${vehicle.vehicle_type}.`,
+            data: {
+              vehicleType: vehicle.vehicle_type,
+              spotType: candidates[0].spot_type,
+              expectedSpotType: expectedSpotType
             }
+          });
+        }
+
+        for (const candidate of candidates) {
+          // Lock the spot row, then check its slot is free while holding the lock
+          await connection.execute(
+            'SELECT parking_spot_id FROM parking_spot WHERE parking_spot_id = ? FOR UPDATE',
+            [candidate.parking_spot_id]
+          );
+
+          const conflicts = await findSpotScheduleConflicts(connection, candidate.parking_spot_id, start, end);
+          if (conflicts.length === 0) {
+            parkingSpotsId = candidate.parking_spot_id;
+            parkingSectionId = candidate.parking_section_id;
+            spotNumber = `${candidate.section_name}-${candidate.spot_number}`;
+            spotType = candidate.spot_type;
+            break;
           }
-          
-          if (!hasLayout) {
-            // Only log as error if we couldn't extract anything
-            const errorPos = parseError.message.match(/position (\d+)/)?.[1] || 'unknown';
-            console.error('❌ Error parsing layout data:', parseError.message);
-            console.error('📄 Error at position:', errorPos);
-            console.error('❌ Could not extract SVG from malformed JSON');
+        }
+      }
+
+      if (parkingSpotsId === undefined) {
+        await connection.rollback();
+        connection.release();
+        return res.status(409).json({
+          success: false,
+          message: spotId
+            ? 'This spot is already booked for part of the selected time slot'
+            : 'No parking spots are free for the selected time slot',
+          errorCode: 'SLOT_UNAVAILABLE'
+        });
+      }
+
+      // No static QR code: the phone shows a signed ticket once the booking is held
+      const [insertResult] = await connection.execute(`
+        INSERT INTO reservations (
+          user_id, vehicle_id, parking_spots_id, parking_section_id, spot_number,
+          time_stamp, start_time, booking_status, scheduled_start, scheduled_end
+        ) VALUES (?, ?, ?, ?, ?, NOW(), NULL, 'scheduled', ?, ?)
+      `, [req.user.user_id, vehicleId, parkingSpotsId, parkingSectionId, spotNumber, start, end]);
+
+      const reservationId = insertResult.insertId;
+
+      await connection.commit();
+      connection.release();
+
+      await logUserActivity(
+        req.user.user_id,
+        ActionTypes.PARKING_BOOK,
+        `Scheduled booking: ${spotNumber} at ${areaDetails[0].parking_area_name} for vehicle ${vehicle.plate_number} from ${start.toISOString()} to ${end.toISOString()}`,
+        reservationId
+      );
+      await createNotification(
+        req.user.user_id,
+        'Booking Confirmed',
+        `Spot ${spotNumber} at ${areaDetails[0].parking_area_name} is booked for ${vehicle.plate_number} on ${start.toLocaleString()}. We will notify you when the spot is being held.`,
+        'success',
+        { reservationId, bookingStatus: 'scheduled', link: NotificationLinks.history() },
+        NotificationCategories.BOOKING
+      );
+
+      res.json({
+        success: true,
+        data: {
+          reservationId,
+          message: 'Parking spot scheduled successfully',
+          bookingDetails: {
+            reservationId,
+            vehiclePlate: vehicle.plate_number,
+            vehicleType: vehicle.vehicle_type,
+            vehicleBrand: vehicle.brand,
+            areaName: areaDetails[0].parking_area_name,
+            areaLocation: areaDetails[0].location,
+            spotNumber: spotNumber,
+            spotType: spotType,
+            scheduledStart: start.toISOString(),
+            scheduledEnd: end.toISOString(),
+            startTime: null, // Will be set when attendant scans QR
+            status: 'scheduled'
           }
         }
+      });
+
+    } catch (transactionError) {
+      if (connection) {
+        await connection.rollback();
+        connection.release();
       }
+      throw transactionError;
     }
 
+  } catch (error) {
+    console.error('Book scheduled parking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to schedule parking'
+    });
+  }
+});
+
+// Cancel an upcoming scheduled booking (before its slot starts the spot is not held, so nothing to release)
+router.put('/scheduled/:reservationId/cancel', authenticateToken, requirePrivilege(Privileges.RESERVE_SPOT), async (req, res) => {
+  try {
+    const { reservationId } = req.params;
+
+    const result = await db.execute(`
+      UPDATE reservations
+      SET booking_status = 'cancelled', end_time = NOW()
+      WHERE reservation_id = ? AND user_id = ? AND booking_status = 'scheduled'
+    `, [reservationId, req.user.user_id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scheduled booking not found or already started'
+      });
+    }
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.PARKING_CANCEL,
+      `Scheduled booking ${reservationId} cancelled by user`,
+      reservationId
+    );
+
+    res.json({
+      success: true,
+      message: 'Scheduled booking cancelled successfully',
+      data: {
+        reservationId: parseInt(reservationId, 10),
+        status: 'cancelled'
+      }
+    });
+
+  } catch (error) {
+    console.error('Cancel scheduled booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel scheduled booking'
+    });
+  }
+});
+
+// Timer is now purely local - no server-side timer needed
+// Timer starts/stops only through QR scans
+
+// Published layout of an area floor (?floor=, defaults to the lowest floor with a layout).
+// Spot and section geometry is extracted at upload time, so clients do not parse the SVG.
+router.get('/area/:areaId/layout', authenticateToken, async (req, res) => {
+  try {
+    const { areaId } = req.params;
+    const floor = req.query.floor !== undefined ? parseInt(req.query.floor, 10) : null;
+
+    const areas = await db.query(`
+      SELECT parking_area_id, parking_area_name, location
+      FROM parking_area
+      WHERE parking_area_id = ? AND status = 'active'
+    `, [areaId]);
+
+    if (areas.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Parking area not found'
+      });
+    }
+
+    const area = areas[0];
+
+    // Without ?floor, open the floor of the user's own booking in this area
+    const bookings = await db.query(`
+      SELECT psec.floor
+      FROM reservations r
+      LEFT JOIN parking_spot ps ON r.parking_spots_id = ps.parking_spot_id
+      JOIN parking_section psec ON psec.parking_section_id = COALESCE(ps.parking_section_id, r.parking_section_id)
+      WHERE r.user_id = ? AND psec.parking_area_id = ?
+        AND r.booking_status IN ('scheduled', 'reserved', 'active')
+      ORDER BY FIELD(r.booking_status, 'active', 'reserved', 'scheduled'), r.reservation_id DESC
+      LIMIT 1
+    `, [req.user.user_id, area.parking_area_id]);
+    const bookedFloor = bookings.length > 0 ? Number(bookings[0].floor) : null;
+
+    const [layout, floors] = await Promise.all([
+      getPublishedLayout(area.parking_area_id, Number.isInteger(floor) ? floor : bookedFloor),
+      getAreaFloors(area.parking_area_id)
+    ]);
+
     res.json({
       success: true,
       data: {
         areaId: area.parking_area_id,
         areaName: area.parking_area_name,
         location: area.location,
-        layoutId: area.parking_layout_id || null,
-        layoutName: `${area.parking_area_name}_floor_${area.floor || 1}`,
-        layoutSvg: layoutSvg,
-        hasLayout: hasLayout,
-        floor: area.floor || 1,
-        sections: sections // ADD SECTIONS DATA TO RESPONSE!
+        layoutId: layout ? layout.layoutId : null,
+        version: layout ? layout.version : null,
+        layoutName: `${area.parking_area_name}_floor_${layout ? layout.floor : floor || 1}`,
+        layoutSvg: layout ? layout.svg : '',
+        hasLayout: Boolean(layout && layout.svg),
+        floor: layout ? layout.floor : floor || 1,
+        geometry: layout ? layout.geometry : null,
+        sections: layout ? layout.sections : [],
+        bookedFloor,
+        floors
       }
     });
 
@@ -988,8 +1229,11 @@ router.get('/booking/:reservationId', authenticateToken, async (req, res) => {
             r.start_time,
             r.end_time,
             r.booking_status,
+            r.scheduled_start,
+            r.scheduled_end,
             r.QR,
             r.qr_key,
+            r.legacy_qr,
             u.first_name,
             u.last_name,
             u.email,
@@ -1000,6 +1244,7 @@ router.get('/booking/:reservationId', authenticateToken, async (req, res) => {
             ps.parking_area_id,
             pa.parking_area_name,
             pa.location,
+            pa.reservation_grace_minutes,
             r.parking_spots_id,
             r.spot_number,
             'motorcycle' as spot_type,
@@ -1031,8 +1276,11 @@ router.get('/booking/:reservationId', authenticateToken, async (req, res) => {
               r.start_time,
               r.end_time,
               r.booking_status,
+              r.scheduled_start,
+              r.scheduled_end,
               r.QR,
               r.qr_key,
+              r.legacy_qr,
               u.first_name,
               u.last_name,
               u.email,
@@ -1043,6 +1291,7 @@ router.get('/booking/:reservationId', authenticateToken, async (req, res) => {
               ps.parking_area_id,
               pa.parking_area_name,
               pa.location,
+              pa.reservation_grace_minutes,
               r.parking_spots_id,
               CONCAT('M1-', ps.section_name, '-1') as spot_number,
               'motorcycle' as spot_type,
@@ -1069,8 +1318,11 @@ router.get('/booking/:reservationId', authenticateToken, async (req, res) => {
           r.start_time,
           r.end_time,
           r.booking_status,
+          r.scheduled_start,
+          r.scheduled_end,
           r.QR,
           r.qr_key,
+          r.legacy_qr,
           u.first_name,
           u.last_name,
           u.email,
@@ -1081,6 +1333,7 @@ router.get('/booking/:reservationId', authenticateToken, async (req, res) => {
           psec.parking_area_id,
           pa.parking_area_name,
           pa.location,
+          pa.reservation_grace_minutes,
           r.parking_spots_id,
           ps.spot_number,
           ps.spot_type,
@@ -1104,39 +1357,6 @@ router.get('/booking/:reservationId', authenticateToken, async (req, res) => {
 
     const booking = bookingDetails[0];
     
-    console.log('🔍 QR Debug - bookingData: exists');
-    console.log('🔍 QR Debug - bookingData.qrKey:', booking.qr_key);
-    console.log('🔍 QR Debug - rawKey:', booking.qr_key);
-    console.log('🔍 QR Debug - bookingData.QR:', booking.QR);
-    console.log('🔍 QR Debug - QR type:', typeof booking.QR);
-    console.log('🔍 QR Debug - QR length:', booking.QR?.length);
-    console.log('🔍 QR Debug - QR starts with data:', booking.QR?.startsWith('data:'));
-    console.log('✅ QR Code Debug - Valid qrKey found:', booking.qr_key);
-
-    // Ensure qr_key is a clean UUID string, not JSON
-    let qrKey = booking.qr_key;
-    if (qrKey) {
-      // Convert to string and trim
-      qrKey = String(qrKey).trim();
-      
-      // If qr_key appears to be JSON, try to extract the actual UUID
-      // This handles cases where old data might have JSON stored in qr_key
-      if (qrKey.startsWith('{') || qrKey.startsWith('[')) {
-        try {
-          const parsed = JSON.parse(qrKey);
-          // If it parsed to an object, it's not a valid UUID
-          if (typeof parsed === 'object') {
-            qrKey = null;
-          }
-        } catch (e) {
-          // Parse failed but starts with {, still not valid
-          qrKey = null;
-        }
-      }
-      // If not JSON, use as is (should be UUID)
-    }
-    // If qrKey is null/undefined, it will be returned as null (no logging to reduce spam)
-
     // Check for penalty if reservation is completed
     let penaltyInfo = null;
     if (booking.booking_status === 'completed' && booking.start_time && booking.end_time) {
@@ -1158,6 +1378,11 @@ router.get('/booking/:reservationId', authenticateToken, async (req, res) => {
       }
     }
 
+    // Reserved bookings are released if not scanned within the area's grace window
+    const expiry = booking.booking_status === 'reserved'
+      ? getReservationExpiry(booking.scheduled_start || booking.time_stamp, booking.reservation_grace_minutes)
+      : null;
+
     res.json({
       success: true,
       data: {
@@ -1184,12 +1409,19 @@ router.get('/booking/:reservationId', authenticateToken, async (req, res) => {
         timestamps: {
           bookingTime: booking.time_stamp,
           startTime: booking.start_time,
-          endTime: booking.end_time || null
+          endTime: booking.end_time || null,
+          scheduledStart: booking.scheduled_start || null,
+          scheduledEnd: booking.scheduled_end || null
         },
         bookingStatus: booking.booking_status,
-        qrCode: booking.QR,
-        qrKey: qrKey || null,
-        penaltyInfo: penaltyInfo
+        // Static QR codes only exist for reservations booked before signed tickets
+        qrCode: booking.legacy_qr ? booking.QR : null,
+        qrKey: booking.legacy_qr ? booking.qr_key : null,
+        // The phone signs its rotating ticket QR with this; see services/qrTickets.js
+        ticket: getTicketSettings(booking),
+        penaltyInfo: penaltyInfo,
+        expiresAt: expiry ? expiry.expiresAt : null,
+        gracePeriodMinutes: expiry ? expiry.gracePeriodMinutes : null
       }
     });
 
@@ -1215,8 +1447,8 @@ router.get('/current-booking', authenticateToken, async (req, res) => {
         r.start_time,
         r.end_time,
         r.booking_status,
-        r.QR,
-        r.qr_key,
+        CASE WHEN r.legacy_qr = 1 THEN r.QR END as QR,
+        CASE WHEN r.legacy_qr = 1 THEN r.qr_key END as qr_key,
         r.parking_spots_id,
         v.plate_number,
         v.vehicle_type,
@@ -1377,8 +1609,10 @@ router.get('/my-bookings', authenticateToken, async (req, res) => {
         r.start_time,
         r.end_time,
         r.booking_status,
-        r.QR,
-        r.qr_key,
+        r.scheduled_start,
+        r.scheduled_end,
+        CASE WHEN r.legacy_qr = 1 THEN r.QR END as QR,
+        CASE WHEN r.legacy_qr = 1 THEN r.qr_key END as qr_key,
         r.parking_spots_id,
         r.parking_section_id,
         r.spot_number,
@@ -1450,7 +1684,9 @@ router.get('/my-bookings', authenticateToken, async (req, res) => {
               timestamps: {
                 bookingTime: reservation.time_stamp,
                 startTime: reservation.start_time,
-                endTime: reservation.end_time
+                endTime: reservation.end_time,
+                scheduledStart: reservation.scheduled_start,
+                scheduledEnd: reservation.scheduled_end
               },
               bookingStatus: reservation.booking_status,
               qrCode: reservation.QR,
@@ -1500,7 +1736,9 @@ router.get('/my-bookings', authenticateToken, async (req, res) => {
             timestamps: {
               bookingTime: reservation.time_stamp,
               startTime: reservation.start_time,
-              endTime: reservation.end_time
+              endTime: reservation.end_time,
+              scheduledStart: reservation.scheduled_start,
+              scheduledEnd: reservation.scheduled_end
             },
             bookingStatus: reservation.booking_status,
             qrCode: reservation.QR,
@@ -1512,10 +1750,16 @@ router.get('/my-bookings', authenticateToken, async (req, res) => {
 
     console.log('📋 Final formatted bookings:', formattedBookings.length);
 
+    // Scheduled bookings that have not started yet, soonest first
+    const upcomingBookings = formattedBookings
+      .filter(booking => booking.bookingStatus === 'scheduled')
+      .sort((a, b) => new Date(a.timestamps.scheduledStart) - new Date(b.timestamps.scheduledStart));
+
     res.json({
       success: true,
       data: {
-        bookings: formattedBookings
+        bookings: formattedBookings,
+        upcomingBookings
       }
     });
 
@@ -1529,61 +1773,40 @@ router.get('/my-bookings', authenticateToken, async (req, res) => {
 });
 
 // End parking session - update booking status to inactive and free the spot
-router.put('/end-session/:reservationId', authenticateToken, async (req, res) => {
+router.put('/end-session/:reservationId', authenticateToken, requirePrivilege(Privileges.RESERVE_SPOT), async (req, res) => {
   try {
     const { reservationId } = req.params;
-    const userId = req.user.user_id;
 
-    try {
-      // Get the reservation details
-      const reservation = await db.query(`
-        SELECT 
-          r.reservation_id,
-          r.user_id,
-          r.parking_spots_id,
-          r.booking_status
-        FROM reservations r
-        WHERE r.reservation_id = ? AND r.user_id = ?
-      `, [reservationId, userId]);
+    const result = await endSession(reservationId, {
+      endedBy: SessionActors.USER,
+      userId: req.user.user_id
+    });
 
-      if (reservation.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Reservation not found'
-        });
+    res.json({
+      success: true,
+      message: result.penaltyHours > 0
+        ? `Parking session ended successfully. ${result.penaltyHours} hours exceeded your balance and will be deducted from your next subscription plan.`
+        : 'Parking session ended successfully',
+      data: {
+        reservationId: parseInt(reservationId, 10),
+        status: 'completed',
+        spotFreed: true,
+        durationMinutes: result.durationMinutes,
+        chargeHours: result.hoursDeducted,
+        balanceHours: result.balanceAfter,
+        penaltyHours: result.penaltyHours
       }
+    });
 
-      const reservationData = reservation[0];
-
-      // Update booking status to completed
-      await db.query(`
-        UPDATE reservations 
-        SET booking_status = 'completed', end_time = NOW()
-        WHERE reservation_id = ?
-      `, [reservationId]);
-
-      // Free the parking spot (set status to free)
-      await db.query(`
-        UPDATE parking_spot 
-        SET status = 'available'
-        WHERE parking_spot_id = ?
-      `, [reservationData.parking_spots_id]);
-
-      res.json({
-        success: true,
-        message: 'Parking session ended successfully',
-        data: {
-          reservationId: reservationId,
-          status: 'completed',
-          spotFreed: true
-        }
+  } catch (error) {
+    const statusCode = getSessionErrorStatus(error);
+    if (statusCode) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error.message,
+        errorCode: error.code
       });
-
-    } catch (error) {
-      throw error;
     }
-
-  } catch (error) {
     console.error('End parking session error:', error);
     res.status(500).json({
       success: false,
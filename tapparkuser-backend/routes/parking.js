@@ -1,14 +1,19 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
-const { authenticateToken, checkBalance } = require('../middleware/auth');
+const { authenticateToken, checkBalance, requireVerifiedEmail, requirePrivilege, requireAreaAccess } = require('../middleware/auth');
+const { Privileges, getAreaIdForSpot } = require('../services/accessControl');
+const { deductSubscriptionHours } = require('../services/subscriptionLedger');
+const { calculateSessionCharge } = require('../services/parkingSession');
+const { publishSpotStatus } = require('../services/realtime');
 const QRCode = require('qrcode');
 const { v4: uuidv4 } = require('uuid');
 
 const router = express.Router();
 
 // Update parking spot status (for attendant actions)
-router.put('/spots/:spotId/status', authenticateToken, async (req, res) => {
+router.put('/spots/:spotId/status', authenticateToken, requirePrivilege(Privileges.OVERRIDE_SPOT),
+  requireAreaAccess(req => getAreaIdForSpot(req.params.spotId)), async (req, res) => {
   try {
     const { spotId } = req.params;
     const { status } = req.body;
@@ -80,6 +85,7 @@ router.put('/spots/:spotId/status', authenticateToken, async (req, res) => {
     }
     
     console.log(`✅ Successfully updated regular spot ${spotId} status to '${status}'`);
+    await publishSpotStatus(spotId, status);
     
     res.json({
       success: true,
@@ -211,7 +217,7 @@ router.get('/locations/:id', async (req, res) => {
 });
 
 // Start parking session
-router.post('/start', authenticateToken, startParkingValidation, checkBalance(50), async (req, res) => {
+router.post('/start', authenticateToken, requirePrivilege(Privileges.RESERVE_SPOT), requireVerifiedEmail, startParkingValidation, checkBalance(50), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -333,7 +339,7 @@ router.post('/start', authenticateToken, startParkingValidation, checkBalance(50
 });
 
 // End parking session
-router.post('/end/:sessionId', authenticateToken, async (req, res) => {
+router.post('/end/:sessionId', authenticateToken, requirePrivilege(Privileges.RESERVE_SPOT), async (req, res) => {
   try {
     const { sessionId } = req.params;
 
@@ -366,10 +372,7 @@ router.post('/end/:sessionId', authenticateToken, async (req, res) => {
     const session = sessions[0];
     const endTime = new Date();
     const startTime = new Date(session.start_time);
-    // Calculate duration in minutes, ensuring minimum of 1 minute (even for seconds)
-    const durationMinutes = Math.max(1, Math.ceil((endTime - startTime) / (1000 * 60)));
-    // Convert to decimal hours (e.g., 1 minute = 0.0167 hours, 30 minutes = 0.50 hours)
-    const durationHours = durationMinutes / 60;
+    const { durationMinutes, durationHours } = calculateSessionCharge(startTime, endTime);
     const totalCost = Math.ceil(durationHours) * session.hourly_rate; // Round up for cost calculation
 
     // Check user's subscription hours - this is the ONLY payment method
@@ -394,21 +397,9 @@ router.post('/end/:sessionId', authenticateToken, async (req, res) => {
       });
     }
 
-    // Check if duration exceeds available balance
-    const exceedsBalance = subscriptionHours[0].hours_remaining < durationHours;
-    
-    // Calculate penalty if user exceeds their balance (regardless of how much they have)
-    let penaltyHours = 0;
-    if (exceedsBalance) {
-      penaltyHours = durationHours - subscriptionHours[0].hours_remaining;
-      console.log(`⚠️ Penalty detected: User has ${subscriptionHours[0].hours_remaining} hours, used ${durationHours} hours, penalty: ${penaltyHours} hours`);
-    }
-
     // Use subscription hours
     const paymentMethod = 'subscription';
     const subscriptionId = subscriptionHours[0].subscription_id;
-    // Deduct only what's available, excess will be penalty
-    const hoursToDeduct = Math.min(durationHours, subscriptionHours[0].hours_remaining);
 
     // Build transaction queries
     const transactionQueries = [
@@ -420,14 +411,6 @@ router.post('/end/:sessionId', authenticateToken, async (req, res) => {
         `,
         params: [sessionId]
       },
-      {
-        sql: `
-          UPDATE subscriptions 
-          SET hours_remaining = GREATEST(0, hours_remaining - ?), hours_used = hours_used + ?
-          WHERE subscription_id = ?
-        `,
-        params: [hoursToDeduct, hoursToDeduct, subscriptionId]
-      },
       {
         sql: `
           UPDATE parking_spot ps
@@ -448,19 +431,38 @@ router.post('/end/:sessionId', authenticateToken, async (req, res) => {
       }
     ];
 
-    // Add penalty insertion if penalty exists
-    if (penaltyHours > 0) {
-      transactionQueries.push({
-        sql: `
-          INSERT INTO penalty (user_id, penalty_time)
-          VALUES (?, ?)
-        `,
-        params: [req.user.user_id, penaltyHours]
+    if (!db.connection) {
+      await db.connect();
+    }
+
+    // Process payment using subscription hours only, drawing down the oldest subscription first
+    const connection = await db.connection.getConnection();
+    let ledger;
+    try {
+      await connection.beginTransaction();
+
+      for (const query of transactionQueries) {
+        await connection.execute(query.sql, query.params);
+      }
+
+      ledger = await deductSubscriptionHours(connection, req.user.user_id, durationHours, {
+        reservationId: session.id,
+        description: `Parking at ${session.location_name}`
       });
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
     }
 
-    // Process payment using subscription hours only
-    await db.transaction(transactionQueries);
+    const hoursToDeduct = ledger.hoursDeducted;
+    const penaltyHours = ledger.penaltyHours;
+    if (penaltyHours > 0) {
+      console.log(`⚠️ Penalty detected: User had ${ledger.balanceBefore} hours, used ${durationHours} hours, penalty: ${penaltyHours} hours`);
+    }
 
     // Prepare response message
     let responseMessage = 'Parking session ended successfully';
@@ -1,7 +1,8 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
-const { authenticateToken, checkBalance } = require('../middleware/auth');
+const { authenticateToken, checkBalance, requirePrivilege } = require('../middleware/auth');
+const { Privileges } = require('../services/accessControl');
 const { logUserActivity, ActionTypes } = require('../utils/userLogger');
 
 const router = express.Router();
@@ -101,7 +102,7 @@ router.get('/history', authenticateToken, async (req, res) => {
 });
 
 // Top up wallet
-router.post('/topup', authenticateToken, topUpValidation, async (req, res) => {
+router.post('/topup', authenticateToken, requirePrivilege(Privileges.PAY_ONLINE), topUpValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -221,7 +222,7 @@ router.get('/balance', authenticateToken, async (req, res) => {
 });
 
 // Process parking payment
-router.post('/parking/:sessionId', authenticateToken, async (req, res) => {
+router.post('/parking/:sessionId', authenticateToken, requirePrivilege(Privileges.PAY_ONLINE), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { paymentMethod = 'wallet' } = req.body;
@@ -1,13 +1,14 @@
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireVerifiedEmail, requirePrivilege } = require('../middleware/auth');
+const { Privileges } = require('../services/accessControl');
 const db = require('../config/database');
 const paypal = require('../config/paypal');
-const { logUserActivity, ActionTypes } = require('../utils/userLogger');
+const { creditPayPalOrder, markPayPalOrderDenied, refundPayPalOrder } = require('../services/paypalFulfillment');
 
 const router = express.Router();
 
 // Create PayPal order for subscription plan
-router.post('/create-order', authenticateToken, async (req, res) => {
+router.post('/create-order', authenticateToken, requirePrivilege(Privileges.PAY_ONLINE), requireVerifiedEmail, async (req, res) => {
   try {
     const { plan_id } = req.body;
 
@@ -80,7 +81,7 @@ router.post('/create-order', authenticateToken, async (req, res) => {
 });
 
 // Capture PayPal payment after user approval
-router.post('/capture-order', authenticateToken, async (req, res) => {
+router.post('/capture-order', authenticateToken, requirePrivilege(Privileges.PAY_ONLINE), async (req, res) => {
   try {
     const { orderId } = req.body;
 
@@ -133,41 +134,13 @@ router.post('/capture-order', authenticateToken, async (req, res) => {
 
     // Check if payment was successful
     if (captureData.status === 'COMPLETED') {
-      // Get plan details
-      const plans = await db.query(
-        'SELECT plan_id, plan_name, cost, number_of_hours FROM plans WHERE plan_id = ?',
-        [transaction.plan_id]
-      );
-
-      if (plans.length === 0) {
-        throw new Error('Plan not found');
+      // The webhook may already have credited this order - creditPayPalOrder only grants hours once
+      const captureId = captureData.purchase_units?.[0]?.payments?.captures?.[0]?.id || captureData.id || null;
+      const result = await creditPayPalOrder(orderId, { captureId, source: 'capture' });
+      if (!result) {
+        throw new Error('Transaction not found');
       }
 
-      const plan = plans[0];
-
-      // Start transaction to create subscription and update payment
-      await db.transaction([
-        // Create subscription
-        {
-          sql: `INSERT INTO subscriptions (user_id, plan_id, hours_remaining, hours_used, status, purchase_date)
-                VALUES (?, ?, ?, 0, 'active', NOW())`,
-          params: [req.user.user_id, plan.plan_id, plan.number_of_hours]
-        },
-        // Create payment record
-        {
-          sql: `INSERT INTO payments (user_id, amount, status, payment_date, payment_method_id, subscription_id, payment_type)
-                VALUES (?, ?, 'completed', NOW(), 1, LAST_INSERT_ID(), 'paypal')`,
-          params: [req.user.user_id, plan.cost]
-        },
-        // Update PayPal transaction
-        {
-          sql: `UPDATE paypal_transactions 
-                SET status = 'completed', capture_id = ?, updated_at = NOW() 
-                WHERE paypal_order_id = ?`,
-          params: [captureData.id, orderId]
-        }
-      ]);
-
       // Get updated balance
       const updatedBalance = await db.query(
         `SELECT COALESCE(SUM(hours_remaining), 0) as total_hours_remaining
@@ -175,24 +148,21 @@ router.post('/capture-order', authenticateToken, async (req, res) => {
         [req.user.user_id]
       );
 
-      // Log subscription purchase
-      await logUserActivity(
-        req.user.user_id,
-        ActionTypes.SUBSCRIPTION_PURCHASE,
-        `Subscription purchased via PayPal: ${plan.plan_name} - ${plan.number_of_hours} hours for ₱${plan.cost}`,
-        null
-      );
-
       res.json({
         success: true,
-        message: 'Payment successful! Subscription activated.',
+        message: result.alreadyCredited
+          ? 'Payment already processed. Subscription is active.'
+          : 'Payment successful! Subscription activated.',
         data: {
-          plan_name: plan.plan_name,
-          hours_added: plan.number_of_hours,
-          cost: plan.cost,
+          plan_name: result.transaction.plan_name,
+          hours_added: result.transaction.number_of_hours,
+          cost: result.transaction.cost,
+          penalty_hours_deducted: result.settlement?.hoursDeducted || 0,
+          remaining_penalty_hours: result.settlement?.remainingPenaltyHours || 0,
           total_hours_remaining: updatedBalance[0]?.total_hours_remaining || 0,
           orderId: orderId,
-          captureId: captureData.id
+          captureId: captureId,
+          alreadyCredited: result.alreadyCredited
         }
       });
 
@@ -220,8 +190,107 @@ router.post('/capture-order', authenticateToken, async (req, res) => {
   }
 });
 
+// Find the capture id of a refund from its "up" link (.../v2/payments/captures/{id})
+const getRefundedCaptureId = (resource) => {
+  if (resource.supplementary_data?.related_ids?.capture_id) {
+    return resource.supplementary_data.related_ids.capture_id;
+  }
+  const upLink = (resource.links || []).find(link => link.rel === 'up');
+  return upLink ? upLink.href.split('/').pop() : null;
+};
+
+// PayPal webhook - credits orders even if the app never calls /capture-order
+router.post('/webhook', async (req, res) => {
+  try {
+    const event = req.body;
+
+    if (!event || !event.id || !event.event_type) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook payload'
+      });
+    }
+
+    let verified = false;
+    try {
+      verified = await paypal.verifyWebhookSignature(req.headers, event);
+    } catch (verifyError) {
+      verified = false;
+    }
+
+    if (!verified) {
+      console.log(`⚠️ Rejected PayPal webhook ${event.id} (${event.event_type}): signature not verified`);
+      return res.status(400).json({
+        success: false,
+        message: 'Webhook signature verification failed'
+      });
+    }
+
+    const processed = await db.query(
+      'SELECT id FROM paypal_webhook_events WHERE event_id = ?',
+      [event.id]
+    );
+
+    if (processed.length > 0) {
+      return res.json({
+        success: true,
+        message: 'Event already processed'
+      });
+    }
+
+    const resource = event.resource || {};
+    const orderId = resource.supplementary_data?.related_ids?.order_id || null;
+    console.log(`📨 PayPal webhook ${event.id}: ${event.event_type} (order ${orderId || 'unknown'})`);
+
+    let result = null;
+    switch (event.event_type) {
+      case 'PAYMENT.CAPTURE.COMPLETED':
+        if (orderId) {
+          result = await creditPayPalOrder(orderId, { captureId: resource.id, source: 'webhook' });
+        }
+        break;
+      case 'PAYMENT.CAPTURE.DENIED':
+        if (orderId) {
+          result = await markPayPalOrderDenied(orderId);
+        }
+        break;
+      case 'PAYMENT.CAPTURE.REFUNDED':
+        result = await refundPayPalOrder(
+          orderId ? { orderId } : { captureId: getRefundedCaptureId(resource) },
+          { refundId: resource.id || null, amount: resource.amount ? resource.amount.value : null }
+        );
+        break;
+      default:
+        console.log(`ℹ️  Ignoring PayPal webhook event type ${event.event_type}`);
+    }
+
+    if (!result && event.event_type.startsWith('PAYMENT.CAPTURE.')) {
+      console.log(`⚠️ PayPal webhook ${event.id} did not match a known order`);
+    }
+
+    await db.query(
+      `INSERT IGNORE INTO paypal_webhook_events (event_id, event_type, resource_id, paypal_order_id)
+       VALUES (?, ?, ?, ?)`,
+      [event.id, event.event_type, resource.id || null, orderId]
+    );
+
+    res.json({
+      success: true,
+      message: 'Webhook processed'
+    });
+
+  } catch (error) {
+    // A non-2xx response makes PayPal retry the delivery
+    console.error('PayPal webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook'
+    });
+  }
+});
+
 // Cancel PayPal order
-router.post('/cancel-order', authenticateToken, async (req, res) => {
+router.post('/cancel-order', authenticateToken, requirePrivilege(Privileges.PAY_ONLINE), async (req, res) => {
   try {
     const { orderId } = req.body;
 
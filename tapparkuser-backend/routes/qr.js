@@ -1,12 +1,13 @@
 const express = require('express');
 const QRCode = require('qrcode');
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePrivilege } = require('../middleware/auth');
+const { Privileges } = require('../services/accessControl');
 
 const router = express.Router();
 
 // Generate QR code for parking session
-router.post('/generate', authenticateToken, async (req, res) => {
+router.post('/generate', authenticateToken, requirePrivilege(Privileges.RESERVE_SPOT), async (req, res) => {
   try {
     const { data, size = 200, margin = 2 } = req.body;
 
@@ -44,7 +45,7 @@ router.post('/generate', authenticateToken, async (req, res) => {
 });
 
 // Scan QR code (validate parking session)
-router.post('/scan', authenticateToken, async (req, res) => {
+router.post('/scan', authenticateToken, requirePrivilege(Privileges.OPERATE_KIOSK), async (req, res) => {
   try {
     const { qrCode } = req.body;
 
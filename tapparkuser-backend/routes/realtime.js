@@ -0,0 +1,72 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { authenticateToken } = require('../middleware/auth');
+const { Privileges, getUserAccess, hasPrivilege, getAreaScope } = require('../services/accessControl');
+const { addClient } = require('../services/realtime');
+
+const router = express.Router();
+
+const MAX_WATCHED_AREAS = 20;
+
+// Server-sent events stream. ?areas=1,2 adds availability updates for those parking areas;
+// staff automatically receive reservation events for the area they are assigned to.
+router.get('/stream', authenticateToken, async (req, res) => {
+  try {
+    const areaIds = String(req.query.areas || '')
+      .split(',')
+      .map(id => parseInt(id, 10))
+      .filter(id => Number.isInteger(id) && id > 0)
+      .slice(0, MAX_WATCHED_AREAS);
+
+    const access = await getUserAccess(req.user.user_id);
+    let staffAreaIds = [];
+    if (hasPrivilege(access, Privileges.VIEW_ALL_RESERVATIONS)) {
+      const scope = getAreaScope(access);
+      staffAreaIds = scope === null ? null : scope ? [scope] : [];
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.locals.isEventStream = true;
+    res.flushHeaders();
+    // Tell EventSource-style clients how long to wait before reconnecting
+    res.write('retry: 5000\n\n');
+
+    const detach = addClient(res, {
+      userId: req.user.user_id,
+      areaIds,
+      staffAreaIds
+    });
+
+    // Close when the access token expires so a signed-out device stops receiving events;
+    // the app refreshes its token and reconnects.
+    const token = req.headers['authorization'].split(' ')[1];
+    const { exp } = jwt.decode(token) || {};
+    const expiryTimer = exp
+      ? setTimeout(() => res.end(), Math.max(0, exp * 1000 - Date.now()))
+      : null;
+
+    req.on('close', () => {
+      if (expiryTimer) {
+        clearTimeout(expiryTimer);
+      }
+      detach();
+    });
+  } catch (error) {
+    console.error('Realtime stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to open realtime stream'
+      });
+    } else {
+      res.end();
+    }
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,239 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const {
+  authenticateToken,
+  requirePrivilege,
+  requireAreaAccess,
+  authenticateSensorGateway,
+  adminOnly
+} = require('../middleware/auth');
+const { Privileges, getAreaScope, getAreaIdForSensor } = require('../services/accessControl');
+const {
+  SensorStatuses,
+  getSensorErrorStatus,
+  createGateway,
+  listGateways,
+  revokeGateway,
+  ingestReadings,
+  setSensorStatus,
+  getSensorHealth,
+  getSensorDiscrepancies
+} = require('../services/sensorIngestion');
+const { logUserActivity, ActionTypes } = require('../utils/userLogger');
+
+const router = express.Router();
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+const sendSensorError = (res, error) => {
+  const statusCode = getSensorErrorStatus(error);
+  if (!statusCode) {
+    return false;
+  }
+  res.status(statusCode).json({
+    success: false,
+    message: error.message,
+    errorCode: error.code
+  });
+  return true;
+};
+
+// Batch of readings from a sensor gateway: { readings: [{ sensorId, occupied, value?, readAt? }] }.
+// Invalid or foreign readings are listed in `rejected`; the rest of the batch is still applied.
+router.post('/readings', authenticateSensorGateway, async (req, res) => {
+  try {
+    const result = await ingestReadings(req.sensorGateway, req.body?.readings);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (sendSensorError(res, error)) {
+      return;
+    }
+    console.error('Sensor ingestion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record sensor readings'
+    });
+  }
+});
+
+// Spots where sensors and reservations disagree, for the attendant dashboard
+router.get('/discrepancies', authenticateToken, requirePrivilege(Privileges.VIEW_ALL_RESERVATIONS), async (req, res) => {
+  try {
+    const discrepancies = await getSensorDiscrepancies(getAreaScope(req.access));
+
+    res.json({
+      success: true,
+      data: { discrepancies }
+    });
+  } catch (error) {
+    console.error('Get sensor discrepancies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sensor discrepancies'
+    });
+  }
+});
+
+// Sensors with their last reading and status
+router.get('/health', authenticateToken, requirePrivilege(Privileges.VIEW_ALL_RESERVATIONS), async (req, res) => {
+  try {
+    const data = await getSensorHealth(getAreaScope(req.access));
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Get sensor health error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sensor health'
+    });
+  }
+});
+
+// Take a sensor out of service for maintenance, or put it back
+router.patch('/:sensorId/status', authenticateToken, requirePrivilege(Privileges.OVERRIDE_SPOT),
+  requireAreaAccess(req => getAreaIdForSensor(req.params.sensorId)), [
+    param('sensorId').isInt({ min: 1 }).withMessage('Sensor ID must be a positive integer'),
+    body('status').isIn(Object.values(SensorStatuses)).withMessage('Status must be active, inactive or maintenance')
+  ], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const sensorId = parseInt(req.params.sensorId, 10);
+    const { status } = req.body;
+    await setSensorStatus(sensorId, status);
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.SENSOR_STATUS_UPDATE,
+      `Sensor ${sensorId} set to ${status}`,
+      sensorId,
+      'status'
+    );
+
+    res.json({
+      success: true,
+      message: 'Sensor status updated',
+      data: { sensorId, status }
+    });
+  } catch (error) {
+    if (sendSensorError(res, error)) {
+      return;
+    }
+    console.error('Update sensor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update sensor status'
+    });
+  }
+});
+
+// Sensor gateways (devices allowed to post readings)
+router.get('/gateways', authenticateToken, adminOnly, async (req, res) => {
+  try {
+    const gateways = await listGateways();
+
+    res.json({
+      success: true,
+      data: { gateways }
+    });
+  } catch (error) {
+    console.error('Get sensor gateways error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sensor gateways'
+    });
+  }
+});
+
+// The API key is only shown in this response
+router.post('/gateways', authenticateToken, adminOnly, [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Gateway name is required'),
+  body('parkingAreaId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('parkingAreaId must be a parking area ID')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const parkingAreaId = req.body.parkingAreaId ? parseInt(req.body.parkingAreaId, 10) : null;
+    const { gatewayId, apiKey } = await createGateway(req.body.name, parkingAreaId, req.user.user_id);
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.SENSOR_GATEWAY_CREATE,
+      `Sensor gateway "${req.body.name}" created for ${parkingAreaId ? `area ${parkingAreaId}` : 'all areas'}`,
+      gatewayId
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Sensor gateway created. Store the API key now; it cannot be shown again.',
+      data: { gatewayId, apiKey }
+    });
+  } catch (error) {
+    if (sendSensorError(res, error)) {
+      return;
+    }
+    console.error('Create sensor gateway error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create sensor gateway'
+    });
+  }
+});
+
+router.delete('/gateways/:gatewayId', authenticateToken, adminOnly, [
+  param('gatewayId').isInt({ min: 1 }).withMessage('Gateway ID must be a positive integer')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const gatewayId = parseInt(req.params.gatewayId, 10);
+    await revokeGateway(gatewayId);
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.SENSOR_GATEWAY_REVOKE,
+      `Sensor gateway ${gatewayId} revoked`,
+      gatewayId
+    );
+
+    res.json({
+      success: true,
+      message: 'Sensor gateway revoked'
+    });
+  } catch (error) {
+    if (sendSensorError(res, error)) {
+      return;
+    }
+    console.error('Revoke sensor gateway error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sensor gateway'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,12 @@
 const express = require('express');
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireVerifiedEmail, requirePrivilege } = require('../middleware/auth');
+const { Privileges } = require('../services/accessControl');
 const { logUserActivity, ActionTypes } = require('../utils/userLogger');
+const { NotificationCategories, NotificationLinks, createNotification } = require('../utils/notifications');
 const { body, validationResult } = require('express-validator');
+const { getOutstandingPenalties, settlePenaltiesOnPurchase } = require('../services/penaltySettlement');
+const { RefundModes, getRefundErrorStatus, refundSubscription, cancelSubscription } = require('../services/subscriptionRefunds');
 
 const router = express.Router();
 
@@ -34,7 +38,7 @@ router.get('/plans', async (req, res) => {
 });
 
 // Purchase a subscription plan
-router.post('/purchase', authenticateToken, [
+router.post('/purchase', authenticateToken, requirePrivilege(Privileges.PAY_ONLINE), requireVerifiedEmail, [
   body('plan_id').isInt().withMessage('Plan ID must be a valid integer'),
   body('payment_method_id').isInt().withMessage('Payment method ID must be a valid integer')
 ], async (req, res) => {
@@ -66,25 +70,37 @@ router.post('/purchase', authenticateToken, [
 
     const plan = plans[0];
 
-    // Start transaction
-    const results = await db.transaction([
-      // Create subscription
-      {
-        sql: `
-          INSERT INTO subscriptions (user_id, plan_id, hours_remaining, hours_used, status)
-          VALUES (?, ?, ?, 0, 'active')
-        `,
-        params: [req.user.user_id, plan_id, plan.number_of_hours]
-      },
-      // Create payment record
-      {
-        sql: `
-          INSERT INTO payments (user_id, amount, status, payment_date, payment_method_id, subscription_id)
-          VALUES (?, ?, 'paid', NOW(), ?, LAST_INSERT_ID())
-        `,
-        params: [req.user.user_id, plan.cost, payment_method_id]
-      }
-    ]);
+    if (!db.connection) {
+      await db.connect();
+    }
+
+    // Create the subscription and payment, then settle any outstanding penalty from the new hours
+    const connection = await db.connection.getConnection();
+    let subscriptionId;
+    let settlement;
+    try {
+      await connection.beginTransaction();
+
+      const [subscriptionResult] = await connection.execute(`
+        INSERT INTO subscriptions (user_id, plan_id, hours_remaining, hours_used, status)
+        VALUES (?, ?, ?, 0, 'active')
+      `, [req.user.user_id, plan_id, plan.number_of_hours]);
+      subscriptionId = subscriptionResult.insertId;
+
+      await connection.execute(`
+        INSERT INTO payments (user_id, amount, status, payment_date, payment_method_id, subscription_id)
+        VALUES (?, ?, 'paid', NOW(), ?, ?)
+      `, [req.user.user_id, plan.cost, payment_method_id, subscriptionId]);
+
+      settlement = await settlePenaltiesOnPurchase(connection, req.user.user_id, subscriptionId);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
 
     // Get updated balance
     const updatedBalance = await db.query(`
@@ -94,20 +110,25 @@ router.post('/purchase', authenticateToken, [
       WHERE s.user_id = ? AND s.status = 'active'
     `, [req.user.user_id]);
 
-    // Get subscription ID for logging
-    const subscriptionRecord = await db.query(
-      'SELECT subscription_id FROM subscriptions WHERE user_id = ? ORDER BY subscription_id DESC LIMIT 1',
-      [req.user.user_id]
+    // Log subscription purchase
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.SUBSCRIPTION_PURCHASE,
+      `Subscription purchased: ${plan.plan_name} - ${plan.number_of_hours} hours for ₱${plan.cost}`,
+      subscriptionId
     );
 
-    // Log subscription purchase
-    if (subscriptionRecord.length > 0) {
-      await logUserActivity(
-        req.user.user_id,
-        ActionTypes.SUBSCRIPTION_PURCHASE,
-        `Subscription purchased: ${plan.plan_name} - ${plan.number_of_hours} hours for ₱${plan.cost}`,
-        subscriptionRecord[0].subscription_id
-      );
+    await createNotification(
+      req.user.user_id,
+      'Purchase Completed',
+      `${plan.plan_name} was added to your account with ${plan.number_of_hours} hours.${settlement.hoursDeducted > 0 ? ` ${settlement.hoursDeducted} hours went to an outstanding penalty.` : ''}`,
+      'success',
+      { subscriptionId, link: NotificationLinks.balance() },
+      NotificationCategories.PAYMENT
+    );
+
+    if (settlement.hoursDeducted > 0) {
+      console.log(`⚖️ Deducted ${settlement.hoursDeducted} penalty hours from subscription ${subscriptionId} (user ${req.user.user_id})`);
     }
 
     res.json({
@@ -117,6 +138,8 @@ router.post('/purchase', authenticateToken, [
         plan_name: plan.plan_name,
         hours_added: plan.number_of_hours,
         cost: plan.cost,
+        penalty_hours_deducted: settlement.hoursDeducted,
+        remaining_penalty_hours: settlement.remainingPenaltyHours,
         total_hours_remaining: updatedBalance[0]?.total_hours_remaining || 0
       }
     });
@@ -159,12 +182,15 @@ router.get('/balance', authenticateToken, async (req, res) => {
       ORDER BY s.purchase_date DESC
     `, [req.user.user_id]);
 
+    const { outstandingHours } = await getOutstandingPenalties(req.user.user_id);
+
     res.json({
       success: true,
       data: {
         total_hours_remaining: subscriptionBalance[0].total_hours_remaining,
         total_hours_used: subscriptionBalance[0].total_hours_used,
         active_subscriptions: subscriptionBalance[0].active_subscriptions,
+        outstanding_penalty_hours: outstandingHours,
         subscriptions: subscriptionDetails
       }
     });
@@ -177,4 +203,109 @@ router.get('/balance', authenticateToken, async (req, res) => {
   }
 });
 
+// Get outstanding penalty hours that will be deducted from the next purchase
+router.get('/penalty', authenticateToken, async (req, res) => {
+  try {
+    const { outstandingHours, penalties } = await getOutstandingPenalties(req.user.user_id);
+
+    res.json({
+      success: true,
+      data: {
+        outstanding_hours: outstandingHours,
+        penalties
+      }
+    });
+  } catch (error) {
+    console.error('Get outstanding penalty error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch outstanding penalty'
+    });
+  }
+});
+
+// Admin: Refund a purchase in full or pro-rated by its unused hours, and close the subscription
+router.post('/:subscriptionId/refund', authenticateToken, requirePrivilege(Privileges.MANAGE_MASTERS), [
+  body('mode').isIn(Object.values(RefundModes)).withMessage('Mode must be full or prorated'),
+  body('reason').optional().isString().isLength({ max: 255 }).withMessage('Reason must be at most 255 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const refund = await refundSubscription(req.params.subscriptionId, {
+      mode: req.body.mode,
+      reason: req.body.reason || null,
+      adminId: req.user.user_id
+    });
+
+    res.json({
+      success: true,
+      message: `Refunded ₱${refund.refundAmount}`,
+      data: refund
+    });
+  } catch (error) {
+    const statusCode = getRefundErrorStatus(error);
+    if (statusCode) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error.message,
+        errorCode: error.code
+      });
+    }
+    console.error('Refund subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refund subscription'
+    });
+  }
+});
+
+// Admin: Cancel an active subscription without a refund, removing its unused hours
+router.post('/:subscriptionId/cancel', authenticateToken, requirePrivilege(Privileges.MANAGE_MASTERS), [
+  body('reason').optional().isString().isLength({ max: 255 }).withMessage('Reason must be at most 255 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const cancellation = await cancelSubscription(req.params.subscriptionId, {
+      reason: req.body.reason || null,
+      adminId: req.user.user_id
+    });
+
+    res.json({
+      success: true,
+      message: 'Subscription cancelled',
+      data: cancellation
+    });
+  } catch (error) {
+    const statusCode = getRefundErrorStatus(error);
+    if (statusCode) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error.message,
+        errorCode: error.code
+      });
+    }
+    console.error('Cancel subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel subscription'
+    });
+  }
+});
+
 module.exports = router;
@@ -3,9 +3,27 @@ const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
 const { authenticateToken, adminOnly } = require('../middleware/auth');
 const { logUserActivity, ActionTypes } = require('../utils/userLogger');
+const {
+  getPushNotificationErrorStatus,
+  registerPushToken,
+  unregisterPushToken,
+  getNotificationPreferences,
+  updateNotificationPreferences
+} = require('../services/pushNotifications');
 
 const router = express.Router();
 
+function parseNotificationData(data) {
+  if (!data || typeof data !== 'string') {
+    return data || null;
+  }
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return null;
+  }
+}
+
 // Get user notifications
 router.get('/notifications', authenticateToken, async (req, res) => {
   try {
@@ -41,7 +59,11 @@ router.get('/notifications', authenticateToken, async (req, res) => {
     res.json({
       success: true,
       data: {
-        notifications,
+        // data is stored as JSON text; send it parsed so the app can read the deep link
+        notifications: notifications.map(notification => ({
+          ...notification,
+          data: parseNotificationData(notification.data)
+        })),
         unreadCount: unreadCount[0].count,
         pagination: {
           currentPage: parseInt(page),
@@ -61,6 +83,30 @@ router.get('/notifications', authenticateToken, async (req, res) => {
   }
 });
 
+// Unread count for the notification badge
+router.get('/notifications/unread-count', authenticateToken, async (req, res) => {
+  try {
+    const unreadCount = await db.query(
+      'SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND is_read = FALSE',
+      [req.user.user_id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        unreadCount: Number(unreadCount[0].count)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get unread notification count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch unread notification count'
+    });
+  }
+});
+
 // Mark notification as read
 router.patch('/notifications/:id/read', authenticateToken, async (req, res) => {
   try {
@@ -170,6 +216,144 @@ router.delete('/notifications/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Register this device's Expo push token for the signed-in session
+router.post('/push-tokens', authenticateToken, [
+  body('token').isString().notEmpty().withMessage('Push token is required'),
+  body('platform').optional({ nullable: true }).isString().isLength({ max: 30 }),
+  body('deviceName').optional({ nullable: true }).isString().isLength({ max: 150 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, platform, deviceName } = req.body;
+    await registerPushToken(req.user.user_id, req.user.session_id, { token, platform, deviceName });
+
+    res.json({
+      success: true,
+      message: 'Push token registered'
+    });
+
+  } catch (error) {
+    const statusCode = getPushNotificationErrorStatus(error);
+    if (statusCode) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error.message,
+        errorCode: error.code
+      });
+    }
+    console.error('Register push token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register push token'
+    });
+  }
+});
+
+// Stop push notifications to a device (called by the app before signing out)
+router.delete('/push-tokens', authenticateToken, [
+  body('token').isString().notEmpty().withMessage('Push token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await unregisterPushToken(req.user.user_id, req.body.token);
+
+    res.json({
+      success: true,
+      message: 'Push token removed'
+    });
+
+  } catch (error) {
+    const statusCode = getPushNotificationErrorStatus(error);
+    if (statusCode) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error.message,
+        errorCode: error.code
+      });
+    }
+    console.error('Unregister push token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove push token'
+    });
+  }
+});
+
+// Get push notification settings per category
+router.get('/notification-preferences', authenticateToken, async (req, res) => {
+  try {
+    const preferences = await getNotificationPreferences(req.user.user_id);
+
+    res.json({
+      success: true,
+      data: { preferences }
+    });
+
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notification preferences'
+    });
+  }
+});
+
+// Turn push notifications on or off per category, e.g. { preferences: { parking: false } }
+router.put('/notification-preferences', authenticateToken, [
+  body('preferences').isObject().withMessage('Preferences are required'),
+  body('preferences.*').isBoolean({ strict: true }).withMessage('Each preference must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const preferences = await updateNotificationPreferences(req.user.user_id, req.body.preferences);
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: { preferences }
+    });
+
+  } catch (error) {
+    const statusCode = getPushNotificationErrorStatus(error);
+    if (statusCode) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error.message,
+        errorCode: error.code
+      });
+    }
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification preferences'
+    });
+  }
+});
+
 // Get user dashboard data
 router.get('/dashboard', authenticateToken, async (req, res) => {
   try {
@@ -0,0 +1,65 @@
+const db = require('../config/database');
+
+async function addAccessLogDetails() {
+  try {
+    console.log('🔄 Updating database for access log details...');
+
+    // Step 1: Denied scans may not resolve to a reservation or a qr_key
+    console.log('📝 Allowing access_logs rows without a reservation...');
+    await db.query(`
+      ALTER TABLE access_logs
+      MODIFY reservation_id BIGINT(20) NULL DEFAULT NULL,
+      MODIFY qr_key VARCHAR(255) NULL DEFAULT NULL
+    `);
+    console.log('✅ reservation_id and qr_key are now optional');
+
+    // Step 2: Who scanned where, and why a scan was refused
+    const columns = [
+      ['denial_reason', 'VARCHAR(32) NULL DEFAULT NULL AFTER action_type'],
+      ['attendant_user_id', 'BIGINT UNSIGNED NULL DEFAULT NULL AFTER denial_reason'],
+      ['parking_area_id', 'BIGINT UNSIGNED NULL DEFAULT NULL AFTER attendant_user_id'],
+      ['vehicle_plate', 'VARCHAR(20) NULL DEFAULT NULL AFTER parking_area_id'],
+      ['details', 'VARCHAR(255) NULL DEFAULT NULL AFTER vehicle_plate']
+    ];
+    for (const [name, definition] of columns) {
+      console.log(`📝 Checking access_logs table for ${name} column...`);
+      try {
+        await db.query(`ALTER TABLE access_logs ADD COLUMN ${name} ${definition}`);
+        console.log(`✅ Added ${name} column to access_logs table`);
+      } catch (error) {
+        if (error.code === 'ER_DUP_FIELDNAME') {
+          console.log(`ℹ️  ${name} column already exists`);
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    // Step 3: Indexes for the attendant denied-scan list and the admin queries
+    const indexes = [
+      ['idx_access_time', '(access_time)'],
+      ['idx_action_time', '(action_type, access_time)'],
+      ['idx_area_time', '(parking_area_id, access_time)']
+    ];
+    for (const [name, keyColumns] of indexes) {
+      console.log(`📝 Checking access_logs table for ${name} index...`);
+      try {
+        await db.query(`ALTER TABLE access_logs ADD INDEX ${name} ${keyColumns}`);
+        console.log(`✅ Added ${name} index to access_logs table`);
+      } catch (error) {
+        if (error.code === 'ER_DUP_KEYNAME') {
+          console.log(`ℹ️  ${name} index already exists`);
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding access log details:', error);
+    process.exit(1);
+  }
+}
+
+addAccessLogDetails();
@@ -0,0 +1,39 @@
+const db = require('../config/database');
+
+async function addAuthSessions() {
+  try {
+    console.log('🔄 Updating database for login sessions and refresh tokens...');
+
+    // One row per signed-in device. Only hashes of refresh tokens are stored;
+    // previous_token_hash lets a replayed (already rotated) token be detected.
+    console.log('📝 Creating auth_sessions table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS auth_sessions (
+        session_id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        user_id BIGINT UNSIGNED NOT NULL,
+        refresh_token_hash CHAR(64) NOT NULL,
+        previous_token_hash CHAR(64) NULL DEFAULT NULL,
+        device_name VARCHAR(150) NULL DEFAULT NULL,
+        platform VARCHAR(30) NULL DEFAULT NULL,
+        ip_address VARCHAR(45) NULL DEFAULT NULL,
+        user_agent VARCHAR(255) NULL DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP NULL DEFAULT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP NULL DEFAULT NULL,
+        revoked_reason VARCHAR(50) NULL DEFAULT NULL,
+        UNIQUE KEY uniq_refresh_token_hash (refresh_token_hash),
+        INDEX idx_previous_token_hash (previous_token_hash),
+        INDEX idx_user_active (user_id, revoked_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ Auth sessions table ready');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding auth sessions:', error);
+    process.exit(1);
+  }
+}
+
+addAuthSessions();
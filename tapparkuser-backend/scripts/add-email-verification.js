@@ -0,0 +1,66 @@
+const db = require('../config/database');
+
+async function addEmailVerification() {
+  try {
+    console.log('🔄 Updating database for email verification and password reset...');
+
+    // Step 1: Verification flag on users
+    const columns = [
+      { name: 'is_verified', definition: 'TINYINT(1) NOT NULL DEFAULT 0 AFTER password' },
+      { name: 'email_verified_at', definition: 'TIMESTAMP NULL DEFAULT NULL AFTER is_verified' }
+    ];
+
+    let addedVerifiedFlag = false;
+    for (const column of columns) {
+      console.log(`📝 Checking users table for ${column.name} column...`);
+      try {
+        await db.query(`ALTER TABLE users ADD COLUMN ${column.name} ${column.definition}`);
+        console.log(`✅ Added ${column.name} column to users table`);
+        if (column.name === 'is_verified') {
+          addedVerifiedFlag = true;
+        }
+      } catch (error) {
+        if (error.code === 'ER_DUP_FIELDNAME') {
+          console.log(`ℹ️  ${column.name} column already exists`);
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    // Accounts that existed before verification was introduced keep working.
+    // Only done when the column is first added so later sign-ups are never auto-verified.
+    if (addedVerifiedFlag) {
+      const backfill = await db.execute(`
+        UPDATE users
+        SET is_verified = 1, email_verified_at = created_at
+      `);
+      console.log(`ℹ️  Marked ${backfill.affectedRows} existing accounts as verified`);
+    }
+
+    // Step 2: Single-use tokens for verification links and reset codes (only hashes are stored)
+    console.log('📝 Creating email_tokens table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS email_tokens (
+        id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        user_id BIGINT UNSIGNED NOT NULL,
+        purpose ENUM('verify_email', 'password_reset') NOT NULL,
+        token_hash CHAR(64) NOT NULL,
+        failed_attempts INT NOT NULL DEFAULT 0,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP NULL DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_token_hash (token_hash),
+        INDEX idx_user_purpose (user_id, purpose)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ Email tokens table ready');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding email verification:', error);
+    process.exit(1);
+  }
+}
+
+addEmailVerification();
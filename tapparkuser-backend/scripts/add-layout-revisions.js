@@ -0,0 +1,99 @@
+const db = require('../config/database');
+const { processSvgLayout, extractLegacySvg } = require('../utils/svgLayout');
+const { linkGeometry } = require('../services/parkingLayouts');
+
+async function addColumn(table, column, definition) {
+  try {
+    await db.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`✅ Added ${column} column to ${table} table`);
+  } catch (error) {
+    if (error.code === 'ER_DUP_FIELDNAME') {
+      console.log(`ℹ️  ${column} column already exists`);
+    } else {
+      throw error;
+    }
+  }
+}
+
+async function addLayoutRevisions() {
+  try {
+    console.log('🔄 Updating database for versioned parking layouts...');
+
+    // Step 1: Each upload becomes a numbered revision of an area floor; one is published at a time
+    console.log('📝 Checking parking_layout table for revision columns...');
+    await addColumn('parking_layout', 'version', 'INT UNSIGNED NOT NULL DEFAULT 1 AFTER floor');
+    await addColumn('parking_layout', 'status', "ENUM('draft', 'published', 'archived') NOT NULL DEFAULT 'draft' AFTER version");
+    await addColumn('parking_layout', 'svg_data', 'LONGTEXT NULL AFTER layout_data');
+    await addColumn('parking_layout', 'geometry', 'LONGTEXT NULL AFTER svg_data');
+    await addColumn('parking_layout', 'notes', 'VARCHAR(255) NULL DEFAULT NULL AFTER geometry');
+    await addColumn('parking_layout', 'uploaded_by', 'BIGINT UNSIGNED NULL DEFAULT NULL AFTER notes');
+    await addColumn('parking_layout', 'published_at', 'DATETIME NULL DEFAULT NULL AFTER uploaded_by');
+    await addColumn('parking_layout', 'published_by', 'BIGINT UNSIGNED NULL DEFAULT NULL AFTER published_at');
+
+    // Step 2: (area, floor) used to be unique; it now holds every revision
+    console.log('📝 Replacing the one-layout-per-floor key...');
+    try {
+      await db.query('ALTER TABLE parking_layout ADD UNIQUE KEY uniq_area_floor_version (parking_area_id, floor, version)');
+      console.log('✅ Added (parking_area_id, floor, version) key');
+    } catch (error) {
+      if (error.code === 'ER_DUP_KEYNAME') {
+        console.log('ℹ️  (parking_area_id, floor, version) key already exists');
+      } else {
+        throw error;
+      }
+    }
+    try {
+      await db.query('ALTER TABLE parking_layout DROP INDEX unique_area_floor');
+      console.log('✅ Dropped unique_area_floor key');
+    } catch (error) {
+      if (error.code === 'ER_CANT_DROP_FIELD_OR_KEY') {
+        console.log('ℹ️  unique_area_floor key already dropped');
+      } else {
+        throw error;
+      }
+    }
+
+    // Step 3: Existing layouts become published version 1 with precomputed geometry.
+    // Their layout_data was written by the old editor and is not always valid JSON.
+    console.log('📝 Converting existing layouts...');
+    const layouts = await db.query(`
+      SELECT parking_layout_id, parking_area_id, floor, layout_data, created_at
+      FROM parking_layout
+      WHERE geometry IS NULL
+    `);
+
+    for (const layout of layouts) {
+      const legacySvg = extractLegacySvg(layout.layout_data);
+      if (!legacySvg) {
+        console.log(`⚠️  Layout ${layout.parking_layout_id} has no SVG; archived`);
+        await db.query("UPDATE parking_layout SET status = 'archived' WHERE parking_layout_id = ?", [layout.parking_layout_id]);
+        continue;
+      }
+
+      try {
+        const { svg, geometry } = processSvgLayout(legacySvg);
+        const linked = await linkGeometry(layout.parking_area_id, layout.floor, geometry);
+        await db.query(`
+          UPDATE parking_layout
+          SET svg_data = ?, geometry = ?, status = 'published', published_at = COALESCE(created_at, NOW())
+          WHERE parking_layout_id = ?
+        `, [svg, JSON.stringify(linked), layout.parking_layout_id]);
+        console.log(`✅ Layout ${layout.parking_layout_id}: ${linked.spots.length} spot(s), ${linked.sections.length} section(s)`);
+        linked.warnings.forEach(warning => console.log(`   ⚠️  ${warning}`));
+      } catch (error) {
+        if (error.code !== 'INVALID_SVG') {
+          throw error;
+        }
+        console.log(`⚠️  Layout ${layout.parking_layout_id} could not be converted (${error.message}); archived`);
+        await db.query("UPDATE parking_layout SET status = 'archived' WHERE parking_layout_id = ?", [layout.parking_layout_id]);
+      }
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding layout revisions:', error);
+    process.exit(1);
+  }
+}
+
+addLayoutRevisions();
@@ -0,0 +1,49 @@
+const db = require('../config/database');
+
+async function addLoginProtection() {
+  try {
+    console.log('🔄 Updating database for login protection...');
+
+    // Step 1: Consecutive failures and the current lock, see services/loginProtection.js
+    const columns = [
+      { name: 'failed_login_count', definition: 'INT UNSIGNED NOT NULL DEFAULT 0' },
+      { name: 'lockout_level', definition: 'INT UNSIGNED NOT NULL DEFAULT 0' },
+      { name: 'last_failed_login_at', definition: 'DATETIME NULL DEFAULT NULL' },
+      { name: 'locked_until', definition: 'DATETIME NULL DEFAULT NULL' }
+    ];
+
+    for (const column of columns) {
+      console.log(`📝 Checking users table for ${column.name} column...`);
+      try {
+        await db.query(`ALTER TABLE users ADD COLUMN ${column.name} ${column.definition}`);
+        console.log(`✅ Added ${column.name} column to users table`);
+      } catch (error) {
+        if (error.code === 'ER_DUP_FIELDNAME') {
+          console.log(`ℹ️  ${column.name} column already exists`);
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    // Step 2: Login and every authenticated request now check users.status
+    const result = await db.execute("UPDATE users SET status = 'active' WHERE status IS NULL");
+    console.log(`ℹ️  Set ${result.affectedRows} user(s) without a status to active`);
+
+    const blocked = await db.query(`
+      SELECT status, COUNT(*) as count FROM users
+      WHERE status IN ('inactive', 'suspended')
+      GROUP BY status
+    `);
+    blocked.forEach(row => {
+      console.log(`📋 ${row.count} ${row.status} user(s) will no longer be able to sign in`);
+    });
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding login protection:', error);
+    process.exit(1);
+  }
+}
+
+addLoginProtection();
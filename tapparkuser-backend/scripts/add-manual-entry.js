@@ -0,0 +1,34 @@
+const db = require('../config/database');
+
+async function addManualEntry() {
+  try {
+    console.log('🔄 Updating database for manual attendant entry...');
+
+    // Step 1: Scans started or ended by hand (no QR code) record the identity check the attendant confirmed
+    const columns = [
+      ['entry_method', "ENUM('qr', 'manual') NOT NULL DEFAULT 'qr' AFTER status_at_scan"],
+      ['identity_document', 'VARCHAR(32) NULL DEFAULT NULL AFTER entry_method'],
+      ['identity_note', 'VARCHAR(255) NULL DEFAULT NULL AFTER identity_document']
+    ];
+    for (const [name, definition] of columns) {
+      console.log(`📝 Checking qr_scan_tracking table for ${name} column...`);
+      try {
+        await db.query(`ALTER TABLE qr_scan_tracking ADD COLUMN ${name} ${definition}`);
+        console.log(`✅ Added ${name} column to qr_scan_tracking table`);
+      } catch (error) {
+        if (error.code === 'ER_DUP_FIELDNAME') {
+          console.log(`ℹ️  ${name} column already exists`);
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding manual entry:', error);
+    process.exit(1);
+  }
+}
+
+addManualEntry();
@@ -0,0 +1,67 @@
+const db = require('../config/database');
+const { buildSnapshots } = require('../services/occupancyAnalytics');
+
+// Days of history to snapshot right away; the server job only fills the last hours after this
+const BACKFILL_DAYS = parseInt(process.argv[2], 10) || 90;
+
+async function addOccupancySnapshots() {
+  try {
+    console.log('🔄 Updating database for occupancy analytics...');
+
+    // Step 1: One row per section and hour; reports aggregate these instead of the reservations
+    console.log('📝 Creating occupancy_snapshots table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS occupancy_snapshots (
+        snapshot_id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        bucket_start DATETIME NOT NULL,
+        parking_area_id BIGINT UNSIGNED NOT NULL,
+        parking_section_id BIGINT UNSIGNED NOT NULL,
+        vehicle_type VARCHAR(32) NOT NULL,
+        capacity INT UNSIGNED NOT NULL DEFAULT 0,
+        occupied_minutes INT UNSIGNED NOT NULL DEFAULT 0,
+        peak_occupied INT UNSIGNED NOT NULL DEFAULT 0,
+        arrivals INT UNSIGNED NOT NULL DEFAULT 0,
+        departures INT UNSIGNED NOT NULL DEFAULT 0,
+        dwell_minutes INT UNSIGNED NOT NULL DEFAULT 0,
+        bookings INT UNSIGNED NOT NULL DEFAULT 0,
+        no_shows INT UNSIGNED NOT NULL DEFAULT 0,
+        computed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_section_bucket (parking_section_id, bucket_start),
+        INDEX idx_area_bucket (parking_area_id, bucket_start),
+        INDEX idx_bucket (bucket_start)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ Occupancy snapshots table ready');
+
+    // Step 2: Snapshots look up the start/end scans of each reservation
+    console.log('📝 Checking qr_scan_tracking index...');
+    try {
+      await db.query('ALTER TABLE qr_scan_tracking ADD INDEX idx_qst_reservation (reservation_id, scan_type)');
+      console.log('✅ Added qr_scan_tracking (reservation_id, scan_type) index');
+    } catch (error) {
+      if (error.code === 'ER_DUP_KEYNAME') {
+        console.log('ℹ️  qr_scan_tracking index already exists');
+      } else {
+        throw error;
+      }
+    }
+
+    // Step 3: Backfill history, a month at a time to keep memory flat
+    console.log(`📝 Snapshotting the last ${BACKFILL_DAYS} day(s)...`);
+    const end = new Date();
+    let from = new Date(end.getTime() - BACKFILL_DAYS * 24 * 60 * 60 * 1000);
+    while (from < end) {
+      const to = new Date(Math.min(from.getTime() + 31 * 24 * 60 * 60 * 1000, end.getTime()));
+      const result = await buildSnapshots(from, to);
+      console.log(`✅ ${result.from.toISOString()} - ${result.to.toISOString()}: ${result.rows} row(s)`);
+      from = to;
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding occupancy snapshots:', error);
+    process.exit(1);
+  }
+}
+
+addOccupancySnapshots();
@@ -0,0 +1,35 @@
+const db = require('../config/database');
+
+async function addOfflineScans() {
+  try {
+    console.log('🔄 Updating database for offline attendant scans...');
+
+    // Step 1: Outcome of every uploaded offline scan, keyed by the id the phone gave it, so a
+    // retried upload returns the stored outcome instead of applying the scan again
+    console.log('📝 Creating offline_scan_syncs table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS offline_scan_syncs (
+        offline_scan_id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        attendant_user_id BIGINT UNSIGNED NOT NULL,
+        client_scan_id VARCHAR(64) NOT NULL,
+        reservation_id BIGINT NULL,
+        scan_type ENUM('start', 'end') NOT NULL,
+        scanned_at DATETIME NOT NULL,
+        sync_status ENUM('applied', 'conflict') NOT NULL,
+        error_code VARCHAR(40) NULL,
+        message VARCHAR(255) NULL,
+        synced_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_attendant_scan (attendant_user_id, client_scan_id),
+        INDEX idx_reservation (reservation_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ Offline scan syncs table ready');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding offline scans:', error);
+    process.exit(1);
+  }
+}
+
+addOfflineScans();
@@ -0,0 +1,32 @@
+const db = require('../config/database');
+
+async function addParkingClosures() {
+  try {
+    console.log('🔄 Updating database for availability forecasts...');
+
+    // Step 1: Planned closures of a whole area or one section (events, maintenance, holidays)
+    console.log('📝 Creating parking_closures table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS parking_closures (
+        closure_id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        parking_area_id BIGINT UNSIGNED NOT NULL,
+        parking_section_id BIGINT UNSIGNED NULL,
+        starts_at DATETIME NOT NULL,
+        ends_at DATETIME NOT NULL,
+        reason VARCHAR(255) NULL,
+        created_by BIGINT UNSIGNED NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_closure_area_time (parking_area_id, starts_at, ends_at),
+        INDEX idx_closure_time (starts_at, ends_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ Parking closures table ready');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding parking closures:', error);
+    process.exit(1);
+  }
+}
+
+addParkingClosures();
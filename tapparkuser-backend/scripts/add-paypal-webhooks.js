@@ -0,0 +1,82 @@
+const db = require('../config/database');
+const { addEnumValues } = require('./helpers/addEnumValues');
+
+async function addPayPalWebhooks() {
+  try {
+    console.log('🔄 Updating database for PayPal webhooks...');
+
+    // Step 1: Track which subscription an order credited so it is only credited once
+    const columns = [
+      { name: 'subscription_id', definition: 'BIGINT UNSIGNED NULL DEFAULT NULL AFTER capture_id' },
+      { name: 'credited_at', definition: 'TIMESTAMP NULL DEFAULT NULL AFTER status' }
+    ];
+
+    for (const column of columns) {
+      console.log(`📝 Checking paypal_transactions table for ${column.name} column...`);
+      try {
+        await db.query(`ALTER TABLE paypal_transactions ADD COLUMN ${column.name} ${column.definition}`);
+        console.log(`✅ Added ${column.name} column to paypal_transactions table`);
+      } catch (error) {
+        if (error.code === 'ER_DUP_FIELDNAME') {
+          console.log(`ℹ️  ${column.name} column already exists`);
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    // Step 2: Allow refunded and partially refunded orders. Only missing values are added, so
+    // statuses added by later migrations (refund_pending) survive a re-run.
+    console.log('📝 Checking paypal_transactions.status for refund statuses...');
+    const addedStatuses = await addEnumValues(db, 'paypal_transactions', 'status', ['partially_refunded', 'refunded']);
+    console.log(addedStatuses.length > 0
+      ? `✅ Added ${addedStatuses.join(', ')} to paypal_transactions.status`
+      : 'ℹ️  Refund statuses already exist');
+
+    // Orders completed before this change were credited by the app capture call
+    const backfill = await db.execute(`
+      UPDATE paypal_transactions
+      SET credited_at = updated_at
+      WHERE status = 'completed' AND credited_at IS NULL
+    `);
+    console.log(`ℹ️  Marked ${backfill.affectedRows} previously completed orders as credited`);
+
+    // Step 3: Remember processed webhook deliveries (PayPal retries until it gets a 2xx)
+    console.log('📝 Creating paypal_webhook_events table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS paypal_webhook_events (
+        id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        event_id VARCHAR(100) NOT NULL UNIQUE,
+        event_type VARCHAR(100) NOT NULL,
+        resource_id VARCHAR(100),
+        paypal_order_id VARCHAR(100),
+        received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_order_id (paypal_order_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ PayPal webhook events table ready');
+
+    // Step 4: One row per PayPal refund, so each refund's webhook is applied once
+    console.log('📝 Creating paypal_refunds table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS paypal_refunds (
+        id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        paypal_transaction_id BIGINT UNSIGNED NOT NULL,
+        refund_id VARCHAR(100) NOT NULL UNIQUE,
+        amount DECIMAL(10,2) NOT NULL,
+        hours_removed DECIMAL(10,2) NOT NULL DEFAULT 0,
+        source ENUM('admin', 'webhook') NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_paypal_transaction (paypal_transaction_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ PayPal refunds table ready');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding PayPal webhooks:', error);
+    process.exit(1);
+  }
+}
+
+addPayPalWebhooks();
@@ -0,0 +1,52 @@
+const db = require('../config/database');
+
+async function addPenaltySettlement() {
+  try {
+    console.log('🔄 Updating database for penalty settlement...');
+
+    // Track how much of each penalty has been deducted from later subscriptions
+    const columns = [
+      { name: 'status', definition: "ENUM('outstanding', 'settled') NOT NULL DEFAULT 'outstanding'" },
+      { name: 'hours_settled', definition: 'DOUBLE(10,2) NOT NULL DEFAULT 0.00' },
+      { name: 'created_at', definition: 'TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP' },
+      { name: 'settled_at', definition: 'TIMESTAMP NULL DEFAULT NULL' }
+    ];
+
+    for (const column of columns) {
+      console.log(`📝 Checking penalty table for ${column.name} column...`);
+      try {
+        await db.query(`ALTER TABLE penalty ADD COLUMN ${column.name} ${column.definition}`);
+        console.log(`✅ Added ${column.name} column to penalty table`);
+      } catch (error) {
+        if (error.code === 'ER_DUP_FIELDNAME') {
+          console.log(`ℹ️  ${column.name} column already exists`);
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    // Penalties already referenced by a subscription were settled before this change
+    const result = await db.execute(`
+      UPDATE penalty p
+      JOIN subscriptions s ON s.penalty_id = p.penalty_id
+      SET p.status = 'settled', p.hours_settled = p.penalty_time
+      WHERE p.status = 'outstanding'
+    `);
+    console.log(`ℹ️  Marked ${result.affectedRows} previously linked penalties as settled`);
+
+    const outstanding = await db.query(`
+      SELECT COUNT(*) as count, COALESCE(SUM(penalty_time - hours_settled), 0) as hours
+      FROM penalty
+      WHERE status = 'outstanding'
+    `);
+    console.log(`📋 Outstanding penalties: ${outstanding[0].count} (${outstanding[0].hours} hours)`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding penalty settlement:', error);
+    process.exit(1);
+  }
+}
+
+addPenaltySettlement();
@@ -0,0 +1,63 @@
+const db = require('../config/database');
+const { Privileges } = require('../services/accessControl');
+
+const PRIVILEGE_DESCRIPTIONS = {
+  [Privileges.RESERVE_SPOT]: 'Create and activate personal reservations',
+  [Privileges.PAY_ONLINE]: 'Use GCash or Credit Card',
+  [Privileges.FAVORITE_SPOTS]: 'Save favorite parking spots',
+  [Privileges.VIEW_OWN_HISTORY]: 'See own reservations and payments',
+  [Privileges.OPERATE_KIOSK]: 'Scan or verify QR and operate kiosk',
+  [Privileges.OVERRIDE_SPOT]: 'Manually set or override spot status',
+  [Privileges.VIEW_ALL_RESERVATIONS]: 'View reservations of all users',
+  [Privileges.MANAGE_MASTERS]: 'Administer users, plans, layout, sensors'
+};
+
+// Default grants by account type name, used only when a type has no privileges yet
+const DEFAULT_TYPE_PRIVILEGES = {
+  Subscriber: [Privileges.RESERVE_SPOT, Privileges.PAY_ONLINE, Privileges.FAVORITE_SPOTS, Privileges.VIEW_OWN_HISTORY],
+  Attendant: [Privileges.OPERATE_KIOSK, Privileges.OVERRIDE_SPOT, Privileges.VIEW_ALL_RESERVATIONS],
+  Admin: Object.values(Privileges)
+};
+
+async function addPrivileges() {
+  try {
+    console.log('🔄 Updating database for privilege-based access control...');
+
+    // Step 1: Make sure every privilege the routes check for exists
+    for (const [name, description] of Object.entries(PRIVILEGE_DESCRIPTIONS)) {
+      const result = await db.execute(
+        'INSERT IGNORE INTO privileges (privileges_name, privileges_description) VALUES (?, ?)',
+        [name, description]
+      );
+      console.log(result.affectedRows > 0 ? `✅ Added privilege "${name}"` : `ℹ️  Privilege "${name}" already exists`);
+    }
+
+    // Step 2: Grant defaults to account types that have nothing assigned
+    const types = await db.query('SELECT type_id, account_type_name FROM types');
+    for (const type of types) {
+      const defaults = DEFAULT_TYPE_PRIVILEGES[type.account_type_name];
+      if (!defaults) {
+        continue;
+      }
+
+      const existing = await db.query('SELECT COUNT(*) as count FROM type_privileges WHERE type_id = ?', [type.type_id]);
+      if (Number(existing[0].count) > 0) {
+        console.log(`ℹ️  ${type.account_type_name} already has privileges assigned`);
+        continue;
+      }
+
+      await db.query(`
+        INSERT INTO type_privileges (type_id, privilege_id)
+        SELECT ?, privilege_id FROM privileges WHERE privileges_name IN (${defaults.map(() => '?').join(', ')})
+      `, [type.type_id, ...defaults]);
+      console.log(`✅ Granted default privileges to ${type.account_type_name}`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding privileges:', error);
+    process.exit(1);
+  }
+}
+
+addPrivileges();
@@ -0,0 +1,49 @@
+const db = require('../config/database');
+
+async function addPushNotifications() {
+  try {
+    console.log('🔄 Updating database for push notifications...');
+
+    // One row per device. A token registered from a login session stops receiving pushes
+    // once that session is signed out; the same device re-registers on its next login.
+    console.log('📝 Creating push_tokens table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS push_tokens (
+        push_token_id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        user_id BIGINT UNSIGNED NOT NULL,
+        session_id BIGINT UNSIGNED NULL DEFAULT NULL,
+        expo_push_token VARCHAR(255) NOT NULL,
+        platform VARCHAR(30) NULL DEFAULT NULL,
+        device_name VARCHAR(150) NULL DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP NULL DEFAULT NULL,
+        disabled_at TIMESTAMP NULL DEFAULT NULL,
+        disabled_reason VARCHAR(50) NULL DEFAULT NULL,
+        UNIQUE KEY uniq_expo_push_token (expo_push_token),
+        INDEX idx_user_active (user_id, disabled_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ Push tokens table ready');
+
+    // Only opt-outs need a row; a category without one is delivered
+    console.log('📝 Creating notification_preferences table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS notification_preferences (
+        preference_id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        user_id BIGINT UNSIGNED NOT NULL,
+        category VARCHAR(30) NOT NULL,
+        push_enabled TINYINT(1) NOT NULL DEFAULT 1,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_user_category (user_id, category)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ Notification preferences table ready');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding push notifications:', error);
+    process.exit(1);
+  }
+}
+
+addPushNotifications();
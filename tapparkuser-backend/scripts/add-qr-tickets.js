@@ -0,0 +1,52 @@
+const db = require('../config/database');
+
+async function addQrTickets() {
+  try {
+    console.log('🔄 Updating database for signed QR tickets...');
+
+    // Step 1: Expiry of the last ticket accepted per reservation, so a scanned QR code cannot be replayed
+    console.log('📝 Checking reservations table for last_ticket_exp column...');
+    try {
+      await db.query('ALTER TABLE reservations ADD COLUMN last_ticket_exp INT UNSIGNED NULL DEFAULT NULL');
+      console.log('✅ Added last_ticket_exp column to reservations table');
+    } catch (error) {
+      if (error.code === 'ER_DUP_FIELDNAME') {
+        console.log('ℹ️  last_ticket_exp column already exists');
+      } else {
+        throw error;
+      }
+    }
+
+    // Step 2: Mark the reservations booked so far, the only ones with a static QR code. Unsigned
+    // legacy payloads are accepted for these alone, so the flag is set once, when the column is added.
+    console.log('📝 Checking reservations table for legacy_qr column...');
+    try {
+      await db.query('ALTER TABLE reservations ADD COLUMN legacy_qr TINYINT(1) NOT NULL DEFAULT 0');
+      const result = await db.execute('UPDATE reservations SET legacy_qr = 1');
+      console.log(`✅ Added legacy_qr column and marked ${result.affectedRows} existing reservation(s)`);
+    } catch (error) {
+      if (error.code === 'ER_DUP_FIELDNAME') {
+        console.log('ℹ️  legacy_qr column already exists');
+      } else {
+        throw error;
+      }
+    }
+
+    // Step 3: New bookings store no static QR code or qr_key
+    await db.query('ALTER TABLE reservations MODIFY COLUMN qr_key VARCHAR(255) NULL DEFAULT NULL');
+    console.log('✅ reservations.qr_key is optional');
+
+    if (process.env.QR_ACCEPT_LEGACY_PAYLOADS === 'true') {
+      console.log('⚠️  Unsigned legacy QR payloads are accepted for reservations booked before signed tickets; remove QR_ACCEPT_LEGACY_PAYLOADS once they have ended');
+    } else {
+      console.log('🔒 Unsigned legacy QR payloads are rejected');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding QR tickets:', error);
+    process.exit(1);
+  }
+}
+
+addQrTickets();
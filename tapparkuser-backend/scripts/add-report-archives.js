@@ -0,0 +1,34 @@
+const db = require('../config/database');
+
+async function addReportArchives() {
+  try {
+    console.log('🔄 Updating database for report archives...');
+
+    // Step 1: One row per stored report file; regenerating a month replaces its row
+    console.log('📝 Creating report_archives table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS report_archives (
+        report_id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        report_type VARCHAR(32) NOT NULL,
+        format VARCHAR(8) NOT NULL,
+        period_start DATETIME NOT NULL,
+        period_end DATETIME NOT NULL,
+        file_name VARCHAR(191) NOT NULL,
+        file_path VARCHAR(255) NOT NULL,
+        file_size INT UNSIGNED NOT NULL DEFAULT 0,
+        generated_by BIGINT UNSIGNED NULL,
+        generated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_report_period (report_type, format, period_start),
+        INDEX idx_report_period (period_start)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ Report archives table ready');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding report archives:', error);
+    process.exit(1);
+  }
+}
+
+addReportArchives();
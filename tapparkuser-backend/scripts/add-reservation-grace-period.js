@@ -0,0 +1,52 @@
+const db = require('../config/database');
+
+async function addReservationGracePeriod() {
+  try {
+    console.log('🔄 Updating database for reservation expiry...');
+
+    // Add reservation_grace_minutes column to parking_area table if it doesn't exist
+    console.log('📝 Checking parking_area table for reservation_grace_minutes column...');
+    try {
+      await db.query(`
+        ALTER TABLE parking_area 
+        ADD COLUMN reservation_grace_minutes INT UNSIGNED NOT NULL DEFAULT 30 AFTER status
+      `);
+      console.log('✅ Added reservation_grace_minutes column to parking_area table');
+    } catch (error) {
+      if (error.code === 'ER_DUP_FIELDNAME') {
+        console.log('ℹ️  reservation_grace_minutes column already exists');
+      } else {
+        throw error;
+      }
+    }
+
+    // Index used by the expiry job to find stale reserved bookings
+    console.log('📝 Checking reservations table for booking status index...');
+    try {
+      await db.query(`
+        ALTER TABLE reservations 
+        ADD INDEX idx_booking_status_time (booking_status, time_stamp)
+      `);
+      console.log('✅ Added idx_booking_status_time index to reservations table');
+    } catch (error) {
+      if (error.code === 'ER_DUP_KEYNAME') {
+        console.log('ℹ️  idx_booking_status_time index already exists');
+      } else {
+        throw error;
+      }
+    }
+
+    const areas = await db.query('SELECT parking_area_id, parking_area_name, reservation_grace_minutes FROM parking_area');
+    console.log('📋 Grace periods per parking area:');
+    areas.forEach(area => {
+      console.log(`  - ${area.parking_area_name} (#${area.parking_area_id}): ${area.reservation_grace_minutes} minutes`);
+    });
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding reservation grace period:', error);
+    process.exit(1);
+  }
+}
+
+addReservationGracePeriod();
@@ -0,0 +1,56 @@
+const db = require('../config/database');
+
+async function addScheduledReservations() {
+  try {
+    console.log('🔄 Updating database for scheduled reservations...');
+
+    // Step 1: Add time slot columns to reservations table if they don't exist
+    const columns = [
+      { name: 'scheduled_start', definition: 'DATETIME NULL AFTER end_time' },
+      { name: 'scheduled_end', definition: 'DATETIME NULL AFTER scheduled_start' }
+    ];
+
+    for (const column of columns) {
+      console.log(`📝 Checking reservations table for ${column.name} column...`);
+      try {
+        await db.query(`ALTER TABLE reservations ADD COLUMN ${column.name} ${column.definition}`);
+        console.log(`✅ Added ${column.name} column to reservations table`);
+      } catch (error) {
+        if (error.code === 'ER_DUP_FIELDNAME') {
+          console.log(`ℹ️  ${column.name} column already exists`);
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    // Step 2: Index used for overlap checks and the activation job
+    console.log('📝 Checking reservations table for schedule index...');
+    try {
+      await db.query(`
+        ALTER TABLE reservations 
+        ADD INDEX idx_schedule_window (booking_status, scheduled_start, scheduled_end)
+      `);
+      console.log('✅ Added idx_schedule_window index to reservations table');
+    } catch (error) {
+      if (error.code === 'ER_DUP_KEYNAME') {
+        console.log('ℹ️  idx_schedule_window index already exists');
+      } else {
+        throw error;
+      }
+    }
+
+    const structure = await db.query(`SHOW COLUMNS FROM reservations LIKE 'scheduled_%'`);
+    console.log('📋 Schedule columns:');
+    structure.forEach(col => {
+      console.log(`  - ${col.Field}: ${col.Type}`);
+    });
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding scheduled reservations:', error);
+    process.exit(1);
+  }
+}
+
+addScheduledReservations();
@@ -0,0 +1,63 @@
+const db = require('../config/database');
+
+async function addSensorIngestion() {
+  try {
+    console.log('🔄 Updating database for occupancy sensor ingestion...');
+
+    // Step 1: Why a sensor is in maintenance. 'stale' is set by the health check and cleared by
+    // the next reading; 'manual' is set by staff and only cleared by staff.
+    console.log('📝 Checking sensors table for maintenance_reason column...');
+    try {
+      await db.query(`
+        ALTER TABLE sensors
+        ADD COLUMN maintenance_reason ENUM('stale', 'manual') NULL DEFAULT NULL AFTER status
+      `);
+      console.log('✅ Added maintenance_reason column to sensors table');
+    } catch (error) {
+      if (error.code === 'ER_DUP_FIELDNAME') {
+        console.log('ℹ️  maintenance_reason column already exists');
+      } else {
+        throw error;
+      }
+    }
+
+    // Step 2: Readings are looked up per sensor in time order
+    console.log('📝 Checking sensor_readings index...');
+    try {
+      await db.query('ALTER TABLE sensor_readings ADD INDEX idx_sr_sensor_time (sensor_id, reading_time)');
+      console.log('✅ Added sensor_readings (sensor_id, reading_time) index');
+    } catch (error) {
+      if (error.code === 'ER_DUP_KEYNAME') {
+        console.log('ℹ️  sensor_readings index already exists');
+      } else {
+        throw error;
+      }
+    }
+
+    // Step 3: Devices that post readings. Only a hash of each API key is stored;
+    // a gateway tied to an area may only report sensors in that area.
+    console.log('📝 Creating sensor_gateways table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS sensor_gateways (
+        gateway_id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        parking_area_id BIGINT UNSIGNED NULL DEFAULT NULL,
+        api_key_hash CHAR(64) NOT NULL,
+        created_by BIGINT UNSIGNED NULL DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP NULL DEFAULT NULL,
+        revoked_at TIMESTAMP NULL DEFAULT NULL,
+        UNIQUE KEY uniq_api_key_hash (api_key_hash),
+        INDEX idx_parking_area (parking_area_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ Sensor gateways table ready');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding sensor ingestion:', error);
+    process.exit(1);
+  }
+}
+
+addSensorIngestion();
@@ -0,0 +1,63 @@
+const db = require('../config/database');
+const { addEnumValues } = require('./helpers/addEnumValues');
+
+async function addSubscriptionRefunds() {
+  try {
+    console.log('🔄 Updating database for subscription refunds...');
+
+    // Step 1: Refunds and cancellations are written to the ledger as negative 'refund' entries
+    console.log('📝 Checking transactions.transaction_type for refund...');
+    const addedTypes = await addEnumValues(db, 'transactions', 'transaction_type', ['refund']);
+    console.log(addedTypes.length > 0
+      ? '✅ transactions.transaction_type accepts refund'
+      : 'ℹ️  refund transaction type already exists');
+
+    // Step 2: Track refunded money on the payment row
+    const paymentColumns = [
+      { name: 'refunded_amount', definition: 'DECIMAL(10,2) NULL DEFAULT NULL AFTER status' },
+      { name: 'refunded_at', definition: 'TIMESTAMP NULL DEFAULT NULL AFTER refunded_amount' }
+    ];
+
+    for (const column of paymentColumns) {
+      console.log(`📝 Checking payments table for ${column.name} column...`);
+      try {
+        await db.query(`ALTER TABLE payments ADD COLUMN ${column.name} ${column.definition}`);
+        console.log(`✅ Added ${column.name} column to payments table`);
+      } catch (error) {
+        if (error.code === 'ER_DUP_FIELDNAME') {
+          console.log(`ℹ️  ${column.name} column already exists`);
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    // Step 3: Keep PayPal's refund id for support lookups
+    console.log('📝 Checking paypal_transactions table for refund_id column...');
+    try {
+      await db.query('ALTER TABLE paypal_transactions ADD COLUMN refund_id VARCHAR(100) NULL DEFAULT NULL AFTER capture_id');
+      console.log('✅ Added refund_id column to paypal_transactions table');
+    } catch (error) {
+      if (error.code === 'ER_DUP_FIELDNAME') {
+        console.log('ℹ️  refund_id column already exists');
+      } else {
+        throw error;
+      }
+    }
+
+    // Step 4: Admin refunds hold the PayPal order in refund_pending while PayPal is called.
+    // The refund statuses are shared with add-paypal-webhooks, which adds them the same way.
+    console.log('📝 Checking paypal_transactions.status for refund statuses...');
+    const addedStatuses = await addEnumValues(db, 'paypal_transactions', 'status', ['refund_pending', 'partially_refunded', 'refunded']);
+    console.log(addedStatuses.length > 0
+      ? `✅ Added ${addedStatuses.join(', ')} to paypal_transactions.status`
+      : 'ℹ️  Refund statuses already exist');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding subscription refunds:', error);
+    process.exit(1);
+  }
+}
+
+addSubscriptionRefunds();
@@ -0,0 +1,48 @@
+/**
+ * Add values to an ENUM column without restating the ones it already has, so migrations that
+ * extend the same column can run in any order and be re-run. Missing values are appended;
+ * nullability and the default are kept.
+ * @param {object} db - config/database
+ * @param {string} table
+ * @param {string} column
+ * @param {string[]} values
+ * @returns {Promise<string[]>} the values that were added
+ */
+async function addEnumValues(db, table, column, values) {
+  const rows = await db.query(`
+    SELECT COLUMN_TYPE as column_type, IS_NULLABLE as is_nullable, COLUMN_DEFAULT as column_default
+    FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+  `, [table, column]);
+
+  if (rows.length === 0) {
+    throw new Error(`${table}.${column} does not exist`);
+  }
+
+  const { column_type: columnType, is_nullable: isNullable, column_default: columnDefault } = rows[0];
+  const current = [...columnType.matchAll(/'((?:[^']|'')*)'/g)].map(match => match[1].replace(/''/g, "'"));
+  const missing = values.filter(value => !current.includes(value));
+
+  if (missing.length === 0) {
+    return [];
+  }
+
+  const quote = (value) => `'${value.replace(/'/g, "''")}'`;
+  // MariaDB reports defaults quoted and a missing default as the string NULL
+  const defaultValue = columnDefault === null || columnDefault === 'NULL'
+    ? null
+    : columnDefault.replace(/^'(.*)'$/, (match, inner) => inner.replace(/''/g, "'"));
+
+  await db.query(`
+    ALTER TABLE ${table}
+    MODIFY COLUMN ${column} ENUM(${[...current, ...missing].map(quote).join(', ')})
+      ${isNullable === 'YES' ? 'NULL' : 'NOT NULL'}
+      ${defaultValue === null ? '' : `DEFAULT ${quote(defaultValue)}`}
+  `);
+
+  return missing;
+}
+
+module.exports = {
+  addEnumValues
+};
@@ -0,0 +1,158 @@
+/**
+ * Local PayPal stand-in for developing the checkout and webhook flow without the sandbox.
+ *
+ *   PAYPAL_API_BASE=http://localhost:4010 PAYPAL_WEBHOOK_ID=stand-in npm run fast
+ *   npm run paypal-stand-in
+ *
+ * Send a webhook for an order created through the app:
+ *   curl -X POST http://localhost:4010/simulate/PAYMENT.CAPTURE.COMPLETED/<orderId>
+ *   curl -X POST http://localhost:4010/simulate/PAYMENT.CAPTURE.REFUNDED/<orderId>
+ * Add ?amount=2.50 to a refund to simulate a partial refund from the PayPal dashboard.
+ * Add ?signature=invalid to check that unverified deliveries are rejected.
+ */
+const express = require('express');
+const axios = require('axios');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.PAYPAL_STAND_IN_PORT, 10) || 4010;
+const WEBHOOK_TARGET = process.env.PAYPAL_STAND_IN_WEBHOOK_URL || 'http://localhost:3000/api/paypal/webhook';
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+const orders = new Map();
+const refunds = new Map();
+const newId = () => crypto.randomBytes(8).toString('hex').toUpperCase();
+
+app.post('/v1/oauth2/token', (req, res) => {
+  res.json({ access_token: 'stand-in-token', token_type: 'Bearer', expires_in: 32400 });
+});
+
+app.post('/v2/checkout/orders', (req, res) => {
+  const id = newId();
+  const order = {
+    id,
+    status: 'CREATED',
+    purchase_units: req.body.purchase_units,
+    links: [
+      { rel: 'approve', href: `http://localhost:${PORT}/checkout/${id}/approve`, method: 'GET' }
+    ]
+  };
+  orders.set(id, order);
+  console.log(`🧾 Order ${id} created`);
+  res.status(201).json(order);
+});
+
+// Approving in the WebView redirects to the backend return_url the same way PayPal does
+app.get('/checkout/:orderId/approve', (req, res) => {
+  const order = orders.get(req.params.orderId);
+  if (!order) {
+    return res.status(404).send('Unknown order');
+  }
+  order.status = 'APPROVED';
+  res.send(`<html><body><a href="/success?token=${order.id}">Pay now</a></body></html>`);
+});
+
+app.get('/success', (req, res) => {
+  res.send(`<html><body>Payment approved for ${req.query.token}. Return to the app (/success).</body></html>`);
+});
+
+app.post('/v2/checkout/orders/:orderId/capture', (req, res) => {
+  const order = orders.get(req.params.orderId);
+  if (!order) {
+    return res.status(404).json({ name: 'RESOURCE_NOT_FOUND', details: [{ issue: 'INVALID_RESOURCE_ID' }] });
+  }
+  if (order.status === 'COMPLETED') {
+    return res.status(422).json({ name: 'UNPROCESSABLE_ENTITY', details: [{ issue: 'ORDER_ALREADY_CAPTURED' }] });
+  }
+
+  order.status = 'COMPLETED';
+  order.captureId = newId();
+  res.status(201).json({
+    id: order.id,
+    status: 'COMPLETED',
+    purchase_units: [{ payments: { captures: [{ id: order.captureId, status: 'COMPLETED' }] } }]
+  });
+});
+
+app.get('/v2/checkout/orders/:orderId', (req, res) => {
+  const order = orders.get(req.params.orderId);
+  if (!order) {
+    return res.status(404).json({ name: 'RESOURCE_NOT_FOUND' });
+  }
+  res.json(order);
+});
+
+app.post('/v2/payments/captures/:captureId/refund', (req, res) => {
+  const order = [...orders.values()].find(o => o.captureId === req.params.captureId);
+  if (!order) {
+    return res.status(404).json({ name: 'RESOURCE_NOT_FOUND', details: [{ issue: 'INVALID_RESOURCE_ID' }] });
+  }
+  // Like PayPal, a repeated PayPal-Request-Id returns the first refund
+  const requestId = req.get('PayPal-Request-Id');
+  if (requestId && refunds.has(requestId)) {
+    return res.status(200).json(refunds.get(requestId));
+  }
+  console.log(`↩️ Capture ${req.params.captureId} refunded${req.body.amount ? ` (${req.body.amount.value})` : ''}`);
+  const refund = { id: newId(), status: 'COMPLETED', amount: req.body.amount };
+  if (requestId) {
+    refunds.set(requestId, refund);
+  }
+  res.status(201).json(refund);
+});
+
+app.post('/v1/notifications/verify-webhook-signature', (req, res) => {
+  const valid = req.body.transmission_sig && req.body.transmission_sig !== 'invalid';
+  res.json({ verification_status: valid ? 'SUCCESS' : 'FAILURE' });
+});
+
+// Deliver a webhook for an order to the backend
+app.post('/simulate/:eventType/:orderId', async (req, res) => {
+  const { eventType, orderId } = req.params;
+  const order = orders.get(orderId) || { id: orderId };
+  order.captureId = order.captureId || newId();
+
+  const resource = eventType === 'PAYMENT.CAPTURE.REFUNDED'
+    ? {
+      id: newId(),
+      status: 'COMPLETED',
+      ...(req.query.amount ? { amount: { currency_code: 'USD', value: String(req.query.amount) } } : {}),
+      links: [{ rel: 'up', href: `http://localhost:${PORT}/v2/payments/captures/${order.captureId}`, method: 'GET' }]
+    }
+    : {
+      id: order.captureId,
+      status: eventType === 'PAYMENT.CAPTURE.DENIED' ? 'DECLINED' : 'COMPLETED',
+      supplementary_data: { related_ids: { order_id: orderId } }
+    };
+
+  const event = {
+    id: `WH-${newId()}`,
+    event_type: eventType,
+    resource_type: eventType === 'PAYMENT.CAPTURE.REFUNDED' ? 'refund' : 'capture',
+    create_time: new Date().toISOString(),
+    resource
+  };
+
+  try {
+    const response = await axios.post(WEBHOOK_TARGET, event, {
+      headers: {
+        'paypal-auth-algo': 'SHA256withRSA',
+        'paypal-cert-url': `http://localhost:${PORT}/certs/stand-in`,
+        'paypal-transmission-id': newId(),
+        'paypal-transmission-sig': req.query.signature || 'stand-in-signature',
+        'paypal-transmission-time': new Date().toISOString()
+      },
+      validateStatus: () => true
+    });
+    console.log(`📨 ${eventType} for ${orderId} -> ${response.status}`);
+    res.json({ event, response: { status: response.status, body: response.data } });
+  } catch (error) {
+    res.status(502).json({ message: `Could not reach ${WEBHOOK_TARGET}: ${error.message}` });
+  }
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 PayPal stand-in listening on http://localhost:${PORT}`);
+  console.log(`📨 Webhooks are delivered to ${WEBHOOK_TARGET}`);
+});
@@ -0,0 +1,55 @@
+/**
+ * Local stand-in for the Expo push service, for developing push delivery without real devices.
+ *
+ *   PUSH_PROVIDER=expo EXPO_PUSH_API_URL=http://localhost:4020/--/api/v2/push/send npm run fast
+ *   npm run push-stand-in
+ *
+ * Any ExponentPushToken[...] is accepted; tokens containing "Unregistered" get a DeviceNotRegistered
+ * ticket so token clean-up can be checked. Inspect or clear what was delivered:
+ *   curl http://localhost:4020/messages
+ *   curl -X DELETE http://localhost:4020/messages
+ */
+const express = require('express');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.PUSH_STAND_IN_PORT, 10) || 4020;
+
+const app = express();
+app.use(express.json());
+
+let messages = [];
+
+app.post('/--/api/v2/push/send', (req, res) => {
+  const batch = Array.isArray(req.body) ? req.body : [req.body];
+
+  const tickets = batch.map((message) => {
+    if (String(message.to).includes('Unregistered')) {
+      console.log(`🚫 ${message.to} is not registered`);
+      return {
+        status: 'error',
+        message: `"${message.to}" is not a registered push notification recipient`,
+        details: { error: 'DeviceNotRegistered' }
+      };
+    }
+
+    const id = crypto.randomUUID();
+    messages.push({ id, receivedAt: new Date().toISOString(), ...message });
+    console.log(`📲 ${message.title} -> ${message.to}`);
+    return { status: 'ok', id };
+  });
+
+  res.json({ data: tickets });
+});
+
+app.get('/messages', (req, res) => {
+  res.json({ messages });
+});
+
+app.delete('/messages', (req, res) => {
+  messages = [];
+  res.json({ cleared: true });
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 Expo push stand-in listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,135 @@
+/**
+ * Forwards occupancy readings from an MQTT broker to POST /api/sensors/readings.
+ * Sensors publish to tappark/sensors/<sensorId>/occupancy with either a JSON payload
+ * ({ "occupied": true, "value": "112cm", "readAt": "2025-01-01T08:00:00Z" }) or a bare
+ * 1 / 0 / occupied / vacant. Readings are batched and retried until the API accepts them.
+ *
+ *   SENSOR_GATEWAY_KEY=<key from POST /api/sensors/gateways> npm run sensor-mqtt-bridge
+ *
+ * Try it against a local broker (e.g. `mosquitto -p 1883`):
+ *   mosquitto_pub -t tappark/sensors/1/occupancy -m 1
+ */
+const mqtt = require('mqtt');
+const axios = require('axios');
+require('dotenv').config();
+
+const MQTT_URL = process.env.MQTT_URL || 'mqtt://localhost:1883';
+const MQTT_TOPIC = process.env.MQTT_SENSOR_TOPIC || 'tappark/sensors/+/occupancy';
+const INGEST_URL = process.env.SENSOR_INGEST_URL || `http://localhost:${process.env.PORT || 3000}/api/sensors/readings`;
+const GATEWAY_KEY = process.env.SENSOR_GATEWAY_KEY;
+const FLUSH_INTERVAL_MS = parseInt(process.env.SENSOR_BRIDGE_FLUSH_MS, 10) || 1000;
+
+// Must match MAX_READINGS_PER_BATCH in services/sensorIngestion.js
+const MAX_BATCH = 500;
+// Readings kept while the API is unreachable; the oldest are dropped beyond this
+const MAX_PENDING = 5000;
+
+if (!GATEWAY_KEY) {
+  console.error('❌ SENSOR_GATEWAY_KEY is required (create a gateway with POST /api/sensors/gateways)');
+  process.exit(1);
+}
+
+let pending = [];
+let isFlushing = false;
+
+// tappark/sensors/12/occupancy -> 12, using the position of the + wildcard in MQTT_TOPIC
+const wildcardIndex = MQTT_TOPIC.split('/').indexOf('+');
+const sensorIdFromTopic = (topic) => parseInt(topic.split('/')[wildcardIndex], 10);
+
+function parsePayload(payload) {
+  const text = payload.toString().trim();
+  try {
+    const parsed = JSON.parse(text);
+    if (parsed && typeof parsed === 'object') {
+      return parsed;
+    }
+    return { occupied: parsed };
+  } catch (error) {
+    return { occupied: text };
+  }
+}
+
+async function flush() {
+  if (isFlushing || pending.length === 0) {
+    return;
+  }
+  isFlushing = true;
+
+  const batch = pending.slice(0, MAX_BATCH);
+  try {
+    const response = await axios.post(INGEST_URL, { readings: batch }, {
+      headers: { 'X-Sensor-Key': GATEWAY_KEY },
+      timeout: 10000
+    });
+    pending = pending.slice(batch.length);
+
+    const { accepted, occupancyChanges, rejected } = response.data.data;
+    console.log(`📡 Sent ${batch.length} reading(s): ${accepted} accepted, ${occupancyChanges} occupancy change(s)`);
+    rejected.forEach(item => {
+      console.warn(`⚠️ Reading for sensor ${item.sensorId} rejected: ${item.reason}`);
+    });
+  } catch (error) {
+    const status = error.response?.status;
+    if (status && status < 500 && status !== 429) {
+      // The API will never accept this batch (bad key, malformed readings); drop it instead of retrying forever
+      console.error(`❌ Batch rejected (${status}):`, error.response.data?.message || error.message);
+      pending = pending.slice(batch.length);
+    } else {
+      console.error(`❌ Could not reach ${INGEST_URL} - keeping ${pending.length} reading(s) for retry:`, error.message);
+    }
+  } finally {
+    isFlushing = false;
+  }
+}
+
+const client = mqtt.connect(MQTT_URL, {
+  username: process.env.MQTT_USERNAME || undefined,
+  password: process.env.MQTT_PASSWORD || undefined
+});
+
+client.on('connect', () => {
+  console.log(`🔌 Connected to ${MQTT_URL}`);
+  client.subscribe(MQTT_TOPIC, { qos: 1 }, (error) => {
+    if (error) {
+      console.error(`❌ Could not subscribe to ${MQTT_TOPIC}:`, error.message);
+    } else {
+      console.log(`📥 Listening on ${MQTT_TOPIC}, forwarding to ${INGEST_URL}`);
+    }
+  });
+});
+
+client.on('message', (topic, payload) => {
+  const sensorId = sensorIdFromTopic(topic);
+  if (!sensorId) {
+    console.warn(`⚠️ Ignoring message on ${topic}: no sensor id in topic`);
+    return;
+  }
+
+  const reading = parsePayload(payload);
+  pending.push({
+    sensorId,
+    occupied: reading.occupied,
+    value: reading.value,
+    // Stamp on arrival so readings held for retry keep their real time
+    readAt: reading.readAt || new Date().toISOString()
+  });
+
+  if (pending.length > MAX_PENDING) {
+    pending = pending.slice(pending.length - MAX_PENDING);
+  }
+});
+
+client.on('error', (error) => {
+  console.error('❌ MQTT error:', error.message);
+});
+
+const flushTimer = setInterval(flush, FLUSH_INTERVAL_MS);
+
+async function shutdown() {
+  clearInterval(flushTimer);
+  await flush();
+  client.end(false, () => process.exit(0));
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
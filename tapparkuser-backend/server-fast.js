@@ -20,10 +20,24 @@ const attendantRoutes = require('./routes/attendant');
 const paypalRoutes = require('./routes/paypal');
 const capacityRoutes = require('./routes/capacity-management');
 const feedbackRoutes = require('./routes/feedback_v2');
+const adminRoutes = require('./routes/admin');
+const realtimeRoutes = require('./routes/realtime');
+const sensorRoutes = require('./routes/sensors');
+const { startReservationExpiryJob, stopReservationExpiryJob } = require('./services/reservationExpiry');
+const { startScheduledReservationJob, stopScheduledReservationJob } = require('./services/reservationSchedule');
+const { startSensorHealthJob, stopSensorHealthJob } = require('./services/sensorIngestion');
+const { startOccupancySnapshotJob, stopOccupancySnapshotJob } = require('./services/occupancyAnalytics');
+const { startMonthlyReportJob, stopMonthlyReportJob } = require('./services/reports');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy req.ip would be the proxy's address, which breaks the per-IP login limits
+const trustedProxies = parseInt(process.env.TRUST_PROXY, 10);
+if (trustedProxies > 0) {
+  app.set('trust proxy', trustedProxies);
+}
+
 // Basic middleware with performance optimizations
 app.use(helmet({
   contentSecurityPolicy: false, // Disable CSP for development
@@ -50,7 +64,7 @@ app.use((req, res, next) => {
   const start = Date.now();
   res.on('finish', () => {
     const duration = Date.now() - start;
-    if (duration > 1000) { // Log slow requests
+    if (duration > 1000 && !res.locals.isEventStream) { // Log slow requests (event streams stay open by design)
       console.warn(`⚠️ Slow request: ${req.method} ${req.path} - ${duration}ms`);
     }
   });
@@ -108,6 +122,9 @@ app.use('/api/attendant', attendantRoutes);
 app.use('/api/paypal', paypalRoutes);
 app.use('/api/capacity', capacityRoutes);
 app.use('/api/feedback', feedbackRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/realtime', realtimeRoutes);
+app.use('/api/sensors', sensorRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -135,6 +152,17 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`🌐 Network access: http://192.168.1.5:${PORT}/health`);
   console.log(`📋 API Documentation: http://localhost:${PORT}/api`);
   console.log('💡 Database will connect when first API call is made');
+
+  // Release spots held by reservations nobody showed up for
+  startReservationExpiryJob();
+  // Start holding spots for scheduled bookings once their slot begins
+  startScheduledReservationJob();
+  // Put occupancy sensors that stopped reporting in maintenance
+  startSensorHealthJob();
+  // Keep the hourly occupancy snapshots behind /api/admin/analytics current
+  startOccupancySnapshotJob();
+  // Store last month's admin reports under REPORTS_DIR once the month is over
+  startMonthlyReportJob();
 });
 
 // Database will connect automatically on first API call - no startup delay
@@ -143,12 +171,22 @@ console.log('💡 Database connects automatically on first API call');
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
+  stopReservationExpiryJob();
+  stopScheduledReservationJob();
+  stopSensorHealthJob();
+  stopOccupancySnapshotJob();
+  stopMonthlyReportJob();
   await db.disconnect();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully');
+  stopReservationExpiryJob();
+  stopScheduledReservationJob();
+  stopSensorHealthJob();
+  stopOccupancySnapshotJob();
+  stopMonthlyReportJob();
   await db.disconnect();
   process.exit(0);
 });
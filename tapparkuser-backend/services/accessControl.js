@@ -0,0 +1,288 @@
+const db = require('../config/database');
+const { readQrPayloadIds } = require('./qrTickets');
+
+// Names as stored in `privileges.privileges_name`; type_privileges decides which account types hold them
+const Privileges = {
+  RESERVE_SPOT: 'Reserve Spot',
+  PAY_ONLINE: 'Pay Online',
+  FAVORITE_SPOTS: 'Favorite Spots',
+  VIEW_OWN_HISTORY: 'View Own History',
+  OPERATE_KIOSK: 'Operate Kiosk',
+  OVERRIDE_SPOT: 'Override Spot',
+  VIEW_ALL_RESERVATIONS: 'View All Reservations',
+  MANAGE_MASTERS: 'Manage Masters'
+};
+
+// Privileges per type change rarely; cache them briefly instead of joining on every request
+const TYPE_PRIVILEGE_CACHE_MS = 60 * 1000;
+let typePrivilegeCache = null;
+
+function accessControlError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * HTTP status for an error thrown by this module, or null for unexpected errors
+ */
+function getAccessControlErrorStatus(error) {
+  if (error.code === 'TYPE_NOT_FOUND') return 404;
+  if (error.code === 'PRIVILEGE_NOT_FOUND') return 404;
+  if (error.code === 'USER_NOT_FOUND') return 404;
+  if (error.code === 'AREA_NOT_FOUND') return 404;
+  if (error.code === 'ADMIN_LOCKOUT') return 409;
+  return null;
+}
+
+async function loadTypePrivileges() {
+  if (typePrivilegeCache && Date.now() - typePrivilegeCache.loadedAt < TYPE_PRIVILEGE_CACHE_MS) {
+    return typePrivilegeCache.byType;
+  }
+
+  const rows = await db.query(`
+    SELECT tp.type_id, p.privileges_name
+    FROM type_privileges tp
+    JOIN privileges p ON tp.privilege_id = p.privilege_id
+  `);
+
+  const byType = new Map();
+  rows.forEach(row => {
+    const typeId = Number(row.type_id);
+    if (!byType.has(typeId)) {
+      byType.set(typeId, new Set());
+    }
+    byType.get(typeId).add(row.privileges_name);
+  });
+
+  typePrivilegeCache = { byType, loadedAt: Date.now() };
+  return byType;
+}
+
+function clearPrivilegeCache() {
+  typePrivilegeCache = null;
+}
+
+/**
+ * Account type, privileges and assigned area of a user
+ * @returns {Promise<{ userId: number, typeId: number, typeName: string, assignedAreaId: number|null, privileges: Set<string> }|null>}
+ */
+async function getUserAccess(userId) {
+  const users = await db.query(`
+    SELECT u.user_id, u.user_type_id, u.assigned_area_id, t.account_type_name
+    FROM users u
+    LEFT JOIN types t ON u.user_type_id = t.type_id
+    WHERE u.user_id = ?
+  `, [userId]);
+
+  if (users.length === 0) {
+    return null;
+  }
+
+  const byType = await loadTypePrivileges();
+  const user = users[0];
+  return {
+    userId: user.user_id,
+    typeId: Number(user.user_type_id),
+    typeName: user.account_type_name,
+    assignedAreaId: user.assigned_area_id ? Number(user.assigned_area_id) : null,
+    privileges: byType.get(Number(user.user_type_id)) || new Set()
+  };
+}
+
+function hasPrivilege(access, privilege) {
+  return Boolean(access && access.privileges.has(privilege));
+}
+
+/**
+ * Area a user may operate on: null means every area (master data managers),
+ * otherwise the user's assigned area (0 when none is assigned, which matches nothing)
+ */
+function getAreaScope(access) {
+  if (hasPrivilege(access, Privileges.MANAGE_MASTERS)) {
+    return null;
+  }
+  return access && access.assignedAreaId ? access.assignedAreaId : 0;
+}
+
+function canAccessArea(access, areaId) {
+  const scope = getAreaScope(access);
+  return scope === null || (scope !== 0 && Number(areaId) === scope);
+}
+
+// Area lookups used by requireAreaAccess; each resolves to null when the record does not exist
+
+async function getAreaIdForSection(sectionId) {
+  const rows = await db.query(
+    'SELECT parking_area_id FROM parking_section WHERE parking_section_id = ?',
+    [sectionId]
+  );
+  return rows.length > 0 ? rows[0].parking_area_id : null;
+}
+
+async function getAreaIdForSpot(spotId) {
+  const rows = await db.query(`
+    SELECT psec.parking_area_id
+    FROM parking_spot ps
+    JOIN parking_section psec ON ps.parking_section_id = psec.parking_section_id
+    WHERE ps.parking_spot_id = ?
+  `, [spotId]);
+  return rows.length > 0 ? rows[0].parking_area_id : null;
+}
+
+async function getAreaIdForSensor(sensorId) {
+  const rows = await db.query(`
+    SELECT psec.parking_area_id
+    FROM sensors s
+    JOIN parking_spot ps ON s.parking_spot_id = ps.parking_spot_id
+    JOIN parking_section psec ON ps.parking_section_id = psec.parking_section_id
+    WHERE s.sensor_id = ?
+  `, [sensorId]);
+  return rows.length > 0 ? rows[0].parking_area_id : null;
+}
+
+// Spot reservations reach the area through the spot, capacity reservations (spot id 0) through the section
+async function getAreaIdForReservation({ reservationId = null, qrKey = null }) {
+  if (!reservationId && !qrKey) {
+    return null;
+  }
+
+  const rows = await db.query(`
+    SELECT COALESCE(spot_section.parking_area_id, res_section.parking_area_id) as parking_area_id
+    FROM reservations r
+    LEFT JOIN parking_spot ps ON r.parking_spots_id = ps.parking_spot_id
+    LEFT JOIN parking_section spot_section ON ps.parking_section_id = spot_section.parking_section_id
+    LEFT JOIN parking_section res_section ON r.parking_section_id = res_section.parking_section_id
+    WHERE ${reservationId ? 'r.reservation_id = ?' : 'r.qr_key = ?'}
+    ORDER BY r.reservation_id DESC
+    LIMIT 1
+  `, [reservationId || qrKey]);
+  return rows.length > 0 ? rows[0].parking_area_id : null;
+}
+
+// QR payloads are signed tickets naming the reservation (rid) or legacy JSON with qr_key or reservationId.
+// This only routes the area check; the scan itself verifies the ticket.
+async function getAreaIdForQrCode(qrCodeData) {
+  return getAreaIdForReservation(readQrPayloadIds(qrCodeData));
+}
+
+/**
+ * Privileges with the account types holding each
+ */
+async function listPrivileges() {
+  const [privileges, assignments, types] = await Promise.all([
+    db.query('SELECT privilege_id, privileges_name, privileges_description FROM privileges ORDER BY privilege_id'),
+    db.query('SELECT type_id, privilege_id FROM type_privileges'),
+    db.query('SELECT type_id, account_type_name FROM types ORDER BY type_id')
+  ]);
+
+  return {
+    privileges: privileges.map(privilege => ({
+      ...privilege,
+      type_ids: assignments
+        .filter(assignment => Number(assignment.privilege_id) === Number(privilege.privilege_id))
+        .map(assignment => Number(assignment.type_id))
+    })),
+    types: types.map(type => ({
+      ...type,
+      privilege_ids: assignments
+        .filter(assignment => Number(assignment.type_id) === Number(type.type_id))
+        .map(assignment => Number(assignment.privilege_id))
+    }))
+  };
+}
+
+/**
+ * Replace the privileges of an account type
+ * @throws TYPE_NOT_FOUND | PRIVILEGE_NOT_FOUND | ADMIN_LOCKOUT (would leave no type able to manage privileges)
+ * @returns {Promise<{ typeName: string, granted: string[], revoked: string[] }>}
+ */
+async function setTypePrivileges(typeId, privilegeIds) {
+  const ids = [...new Set(privilegeIds.map(id => parseInt(id, 10)))];
+
+  const types = await db.query('SELECT type_id, account_type_name FROM types WHERE type_id = ?', [typeId]);
+  if (types.length === 0) {
+    throw accessControlError('TYPE_NOT_FOUND', 'Account type not found');
+  }
+
+  const privileges = await db.query('SELECT privilege_id, privileges_name FROM privileges');
+  const namesById = new Map(privileges.map(privilege => [Number(privilege.privilege_id), privilege.privileges_name]));
+  const unknown = ids.filter(id => !namesById.has(id));
+  if (unknown.length > 0) {
+    throw accessControlError('PRIVILEGE_NOT_FOUND', `Unknown privilege ids: ${unknown.join(', ')}`);
+  }
+
+  const current = await db.query('SELECT privilege_id FROM type_privileges WHERE type_id = ?', [typeId]);
+  const currentIds = current.map(row => Number(row.privilege_id));
+  const granted = ids.filter(id => !currentIds.includes(id));
+  const revoked = currentIds.filter(id => !ids.includes(id));
+
+  const manageMastersId = privileges.find(privilege => privilege.privileges_name === Privileges.MANAGE_MASTERS)?.privilege_id;
+  if (manageMastersId && revoked.includes(Number(manageMastersId))) {
+    const otherManagers = await db.query(
+      'SELECT COUNT(*) as count FROM type_privileges WHERE privilege_id = ? AND type_id <> ?',
+      [manageMastersId, typeId]
+    );
+    if (Number(otherManagers[0].count) === 0) {
+      throw accessControlError('ADMIN_LOCKOUT', `At least one account type must keep "${Privileges.MANAGE_MASTERS}"`);
+    }
+  }
+
+  await db.transaction([
+    { sql: 'DELETE FROM type_privileges WHERE type_id = ?', params: [typeId] },
+    ...ids.map(id => ({
+      sql: 'INSERT INTO type_privileges (type_id, privilege_id) VALUES (?, ?)',
+      params: [typeId, id]
+    }))
+  ]);
+  clearPrivilegeCache();
+
+  return {
+    typeName: types[0].account_type_name,
+    granted: granted.map(id => namesById.get(id)),
+    revoked: revoked.map(id => namesById.get(id))
+  };
+}
+
+/**
+ * Assign (or clear with null) the parking area an attendant works in
+ * @throws USER_NOT_FOUND | AREA_NOT_FOUND
+ */
+async function setAssignedArea(userId, areaId) {
+  const users = await db.query('SELECT user_id, email, assigned_area_id FROM users WHERE user_id = ?', [userId]);
+  if (users.length === 0) {
+    throw accessControlError('USER_NOT_FOUND', 'User not found');
+  }
+
+  if (areaId !== null) {
+    const areas = await db.query('SELECT parking_area_id FROM parking_area WHERE parking_area_id = ?', [areaId]);
+    if (areas.length === 0) {
+      throw accessControlError('AREA_NOT_FOUND', 'Parking area not found');
+    }
+  }
+
+  await db.query('UPDATE users SET assigned_area_id = ? WHERE user_id = ?', [areaId, userId]);
+
+  return {
+    email: users[0].email,
+    previousAreaId: users[0].assigned_area_id
+  };
+}
+
+module.exports = {
+  Privileges,
+  getAccessControlErrorStatus,
+  getUserAccess,
+  hasPrivilege,
+  getAreaScope,
+  canAccessArea,
+  clearPrivilegeCache,
+  getAreaIdForSection,
+  getAreaIdForSpot,
+  getAreaIdForSensor,
+  getAreaIdForReservation,
+  getAreaIdForQrCode,
+  listPrivileges,
+  setTypePrivileges,
+  setAssignedArea
+};
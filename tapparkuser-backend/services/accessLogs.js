@@ -0,0 +1,277 @@
+const db = require('../config/database');
+
+/**
+ * Gate scan audit trail. Every attendant QR scan writes one access_logs row: ENTRY for start scans,
+ * EXIT for end scans, granted or denied. Denials carry a machine-readable reason so repeated
+ * invalid attempts can be traced to a reservation, a ticket or an attendant.
+ */
+const AccessDirections = {
+  ENTRY: 'ENTRY',
+  EXIT: 'EXIT'
+};
+
+const ScanDenialReasons = {
+  INVALID_FORMAT: 'invalid_format',
+  UNKNOWN_KEY: 'unknown_key',
+  INVALID_SIGNATURE: 'invalid_signature',
+  EXPIRED: 'expired',
+  REPLAYED: 'replayed',
+  LEGACY_PAYLOAD: 'legacy_payload',
+  WRONG_AREA: 'wrong_area',
+  VEHICLE_MISMATCH: 'vehicle_mismatch',
+  ALREADY_ACTIVE: 'already_active',
+  NOT_SCANNABLE: 'not_scannable'
+};
+
+// Errors from services/qrTickets.js, services/parkingSession.js and services/offlineScans.js that end a scan
+const ERROR_REASONS = {
+  QR_INVALID: ScanDenialReasons.INVALID_FORMAT,
+  QR_LEGACY_REJECTED: ScanDenialReasons.LEGACY_PAYLOAD,
+  QR_SIGNATURE_INVALID: ScanDenialReasons.INVALID_SIGNATURE,
+  QR_EXPIRED: ScanDenialReasons.EXPIRED,
+  QR_NOT_YET_VALID: ScanDenialReasons.EXPIRED,
+  QR_REPLAYED: ScanDenialReasons.REPLAYED,
+  SESSION_NOT_FOUND: ScanDenialReasons.UNKNOWN_KEY,
+  INVALID_SESSION_TRANSITION: ScanDenialReasons.NOT_SCANNABLE,
+  AREA_NOT_ASSIGNED: ScanDenialReasons.WRONG_AREA,
+  SCAN_TOO_OLD: ScanDenialReasons.EXPIRED
+};
+
+const DEFAULT_LOG_LIMIT = 100;
+
+/**
+ * Denial reason for an error thrown while handling a scan, or null for unexpected errors
+ */
+function getDenialReasonForError(error) {
+  return ERROR_REASONS[error.code] || null;
+}
+
+const normalizePlate = (plate) => String(plate || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Whether the plate the attendant sees matches the reservation's vehicle (spacing and dashes ignored)
+ */
+function platesMatch(observedPlate, reservedPlate) {
+  return normalizePlate(observedPlate) === normalizePlate(reservedPlate);
+}
+
+/**
+ * Write one access_logs row
+ * @param {object} executor - db, or a transaction connection so a granted scan is logged with the session change
+ * @param {object} entry
+ * @param {string} entry.direction - one of AccessDirections
+ * @param {boolean} entry.granted
+ * @param {string} [entry.reason] - one of ScanDenialReasons, for denials
+ * @param {Date} [entry.accessTime] - when the scan happened, for scans synced after the fact (default now)
+ */
+async function recordAccess(executor, entry) {
+  await executor.execute(`
+    INSERT INTO access_logs (
+      reservation_id, qr_key, access_time, status, action_type,
+      denial_reason, attendant_user_id, parking_area_id, vehicle_plate, details
+    ) VALUES (?, ?, COALESCE(?, NOW()), ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    entry.reservationId || null,
+    entry.qrKey ? String(entry.qrKey).slice(0, 255) : null,
+    entry.accessTime || null,
+    entry.direction,
+    entry.granted ? 'granted' : 'denied',
+    entry.granted ? null : entry.reason,
+    entry.attendantId || null,
+    entry.areaId || null,
+    entry.vehiclePlate ? String(entry.vehiclePlate).slice(0, 20) : null,
+    entry.details ? String(entry.details).slice(0, 255) : null
+  ]);
+}
+
+/**
+ * Log a denied scan; failures are only reported so the attendant still gets the denial
+ */
+async function recordDeniedScan(entry) {
+  try {
+    await recordAccess(db, { ...entry, granted: false });
+  } catch (error) {
+    console.error('❌ Failed to record denied scan:', error);
+  }
+}
+
+/**
+ * Why a ticket that resolved to no scannable reservation was refused, with what is known about it
+ * @param {{ reservationId?: number, qrKey?: string }} target
+ * @param {string} direction - one of AccessDirections
+ * @returns {Promise<{ reason: string, details: string, reservation: object|null }>}
+ */
+async function classifyUnscannable({ reservationId = null, qrKey = null }, direction) {
+  const rows = reservationId || qrKey
+    ? await db.query(`
+        SELECT r.reservation_id, r.qr_key, r.booking_status, v.plate_number,
+               COALESCE(spot_section.parking_area_id, res_section.parking_area_id) as parking_area_id
+        FROM reservations r
+        LEFT JOIN vehicles v ON r.vehicle_id = v.vehicle_id
+        LEFT JOIN parking_spot ps ON r.parking_spots_id = ps.parking_spot_id
+        LEFT JOIN parking_section spot_section ON ps.parking_section_id = spot_section.parking_section_id
+        LEFT JOIN parking_section res_section ON r.parking_section_id = res_section.parking_section_id
+        WHERE ${reservationId ? 'r.reservation_id = ?' : 'r.qr_key = ?'}
+        ORDER BY r.reservation_id DESC
+        LIMIT 1
+      `, [reservationId || qrKey])
+    : [];
+
+  if (rows.length === 0) {
+    return { reason: ScanDenialReasons.UNKNOWN_KEY, details: 'No reservation matches this QR code', reservation: null };
+  }
+
+  const reservation = rows[0];
+  if (direction === AccessDirections.ENTRY && reservation.booking_status === 'active') {
+    return { reason: ScanDenialReasons.ALREADY_ACTIVE, details: 'Parking session already started', reservation };
+  }
+  if (reservation.booking_status === 'expired') {
+    return { reason: ScanDenialReasons.EXPIRED, details: 'Reservation expired before it was scanned', reservation };
+  }
+  return { reason: ScanDenialReasons.NOT_SCANNABLE, details: `Reservation is ${reservation.booking_status}`, reservation };
+}
+
+const LOG_COLUMNS = `
+  l.id as access_log_id,
+  l.reservation_id,
+  l.qr_key,
+  l.access_time,
+  l.status as direction,
+  l.action_type,
+  l.denial_reason,
+  l.attendant_user_id,
+  CONCAT(att.first_name, ' ', att.last_name) as attendant_name,
+  l.parking_area_id,
+  pa.parking_area_name,
+  l.vehicle_plate,
+  l.details
+`;
+
+const LOG_JOINS = `
+  FROM access_logs l
+  LEFT JOIN users att ON l.attendant_user_id = att.user_id
+  LEFT JOIN parking_area pa ON l.parking_area_id = pa.parking_area_id
+`;
+
+/**
+ * Recent denied scans for the attendant dashboard
+ * @param {object} options
+ * @param {number|null} options.areaScope - from getAreaScope; null for every area
+ * @param {number} options.attendantId - the attendant's own denials are always included (their area may be unknown)
+ * @param {number} [options.hours=24]
+ */
+async function listDeniedScans({ areaScope, attendantId, hours = 24, limit = DEFAULT_LOG_LIMIT }) {
+  const conditions = ["l.action_type = 'denied'", 'l.access_time >= DATE_SUB(NOW(), INTERVAL ? HOUR)'];
+  const params = [hours];
+  if (areaScope !== null) {
+    conditions.push('(l.parking_area_id = ? OR l.attendant_user_id = ?)');
+    params.push(areaScope, attendantId);
+  }
+
+  return db.query(`
+    SELECT ${LOG_COLUMNS}
+    ${LOG_JOINS}
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY l.access_time DESC, l.id DESC
+    LIMIT ${parseInt(limit, 10)}
+  `, params);
+}
+
+function buildLogFilters(filters) {
+  const conditions = ['l.access_time >= ?', 'l.access_time < ?'];
+  const params = [filters.from, filters.to];
+
+  if (filters.action) {
+    conditions.push('l.action_type = ?');
+    params.push(filters.action);
+  }
+  if (filters.direction) {
+    conditions.push('l.status = ?');
+    params.push(filters.direction);
+  }
+  if (filters.reason) {
+    conditions.push('l.denial_reason = ?');
+    params.push(filters.reason);
+  }
+  if (filters.areaId) {
+    conditions.push('l.parking_area_id = ?');
+    params.push(filters.areaId);
+  }
+  if (filters.attendantId) {
+    conditions.push('l.attendant_user_id = ?');
+    params.push(filters.attendantId);
+  }
+  if (filters.reservationId) {
+    conditions.push('l.reservation_id = ?');
+    params.push(filters.reservationId);
+  }
+  if (filters.plate) {
+    conditions.push('l.vehicle_plate = ?');
+    params.push(filters.plate);
+  }
+
+  return { where: conditions.join(' AND '), params };
+}
+
+/**
+ * Access log entries matching the filters, newest first
+ * @param {object} filters - from/to (Date, to exclusive) plus optional action, direction, reason,
+ *   areaId, attendantId, reservationId and plate
+ * @returns {Promise<{ logs: object[], total: number }>}
+ */
+async function queryAccessLogs(filters, { page = 1, limit = DEFAULT_LOG_LIMIT } = {}) {
+  const { where, params } = buildLogFilters(filters);
+  const offset = (page - 1) * limit;
+
+  const [logs, totals] = await Promise.all([
+    db.query(`
+      SELECT ${LOG_COLUMNS}
+      ${LOG_JOINS}
+      WHERE ${where}
+      ORDER BY l.access_time DESC, l.id DESC
+      LIMIT ${parseInt(limit, 10)} OFFSET ${parseInt(offset, 10)}
+    `, params),
+    db.query(`SELECT COUNT(*) as total FROM access_logs l WHERE ${where}`, params)
+  ]);
+
+  return { logs, total: Number(totals[0].total) };
+}
+
+/**
+ * Reservations, tickets and attendants with at least minAttempts denied scans in the period.
+ * Denials that could not be tied to a reservation are grouped by the scanning attendant.
+ */
+async function findRepeatedDenials(filters, minAttempts = 3) {
+  const { where, params } = buildLogFilters({ ...filters, action: 'denied' });
+
+  return db.query(`
+    SELECT
+      l.reservation_id,
+      CASE WHEN l.reservation_id IS NULL THEN l.qr_key END as qr_key,
+      CASE WHEN l.reservation_id IS NULL AND l.qr_key IS NULL THEN l.attendant_user_id END as attendant_user_id,
+      COUNT(*) as attempts,
+      GROUP_CONCAT(DISTINCT l.denial_reason ORDER BY l.denial_reason) as reasons,
+      COUNT(DISTINCT l.attendant_user_id) as attendants,
+      GROUP_CONCAT(DISTINCT l.parking_area_id ORDER BY l.parking_area_id) as parking_area_ids,
+      MIN(l.access_time) as first_attempt_at,
+      MAX(l.access_time) as last_attempt_at
+    FROM access_logs l
+    WHERE ${where}
+    GROUP BY 1, 2, 3
+    HAVING attempts >= ?
+    ORDER BY attempts DESC, last_attempt_at DESC
+  `, [...params, minAttempts]);
+}
+
+module.exports = {
+  AccessDirections,
+  ScanDenialReasons,
+  getDenialReasonForError,
+  platesMatch,
+  recordAccess,
+  recordDeniedScan,
+  classifyUnscannable,
+  listDeniedScans,
+  queryAccessLogs,
+  findRepeatedDenials
+};
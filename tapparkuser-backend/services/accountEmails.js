@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const db = require('../config/database');
+const { sendMail } = require('../config/mailer');
+const { renderEmail } = require('../utils/templates');
+const { logUserActivity, ActionTypes } = require('../utils/userLogger');
+const { SessionRevokeReasons, revokeAllSessions } = require('./authSessions');
+const { clearLoginFailures } = require('./loginProtection');
+
+const VERIFY_TOKEN_TTL_HOURS = parseInt(process.env.EMAIL_VERIFY_TOKEN_TTL_HOURS, 10) || 24;
+const RESET_CODE_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_CODE_TTL_MINUTES, 10) || 30;
+const RESET_CODE_MAX_ATTEMPTS = parseInt(process.env.PASSWORD_RESET_MAX_ATTEMPTS, 10) || 5;
+// Minimum time between two emails of the same kind to one account
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.EMAIL_RESEND_COOLDOWN_SECONDS, 10) || 60;
+
+// Links in emails point at the API (verification page) and the app (reset screen)
+const PUBLIC_API_URL = (process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+const APP_SCHEME = process.env.APP_SCHEME || 'tapparkuser';
+
+const TokenPurposes = {
+  VERIFY_EMAIL: 'verify_email',
+  PASSWORD_RESET: 'password_reset'
+};
+
+// No 0/O or 1/I so codes can be typed from the email without confusion
+const RESET_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const RESET_CODE_LENGTH = 8;
+
+function accountEmailError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * HTTP status for an error thrown by this module, or null for unexpected errors
+ */
+function getAccountEmailErrorStatus(error) {
+  if (error.code === 'INVALID_RESET_CODE') return 400;
+  if (error.code === 'ALREADY_VERIFIED') return 400;
+  if (error.code === 'EMAIL_RATE_LIMITED') return 429;
+  return null;
+}
+
+// Reset codes are short, so the hash is salted with the user id to keep it unique per account
+const hashToken = (userId, token) => crypto
+  .createHash('sha256')
+  .update(`${userId}:${token}`)
+  .digest('hex');
+
+function generateResetCode() {
+  let code = '';
+  for (let i = 0; i < RESET_CODE_LENGTH; i++) {
+    code += RESET_CODE_ALPHABET[crypto.randomInt(RESET_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Store a new token for a user and retire any earlier unused one of the same purpose
+ * @throws EMAIL_RATE_LIMITED when the previous token was issued within the cooldown
+ */
+async function issueToken(userId, purpose, token, ttlMinutes) {
+  const recent = await db.query(`
+    SELECT id FROM email_tokens
+    WHERE user_id = ? AND purpose = ? AND created_at > DATE_SUB(NOW(), INTERVAL ? SECOND)
+    LIMIT 1
+  `, [userId, purpose, RESEND_COOLDOWN_SECONDS]);
+
+  if (recent.length > 0) {
+    throw accountEmailError('EMAIL_RATE_LIMITED', `Please wait ${RESEND_COOLDOWN_SECONDS} seconds before requesting another email`);
+  }
+
+  await db.transaction([
+    {
+      sql: `UPDATE email_tokens SET expires_at = NOW()
+            WHERE user_id = ? AND purpose = ? AND used_at IS NULL AND expires_at > NOW()`,
+      params: [userId, purpose]
+    },
+    {
+      sql: `INSERT INTO email_tokens (user_id, purpose, token_hash, expires_at)
+            VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+      params: [userId, purpose, hashToken(userId, token), ttlMinutes]
+    }
+  ]);
+}
+
+/**
+ * Email a verification link to a newly registered (or still unverified) user
+ * @param {{ user_id: number, email: string, first_name: string }} user
+ */
+async function sendVerificationEmail(user) {
+  // The link carries the user id so the token hash can be recomputed without a lookup table
+  const token = crypto.randomBytes(32).toString('hex');
+  await issueToken(user.user_id, TokenPurposes.VERIFY_EMAIL, token, VERIFY_TOKEN_TTL_HOURS * 60);
+
+  const verifyUrl = `${PUBLIC_API_URL}/api/auth/verify/${user.user_id}.${token}`;
+  await sendMail({
+    to: user.email,
+    ...renderEmail('verify-email', 'Verify your TapPark email', {
+      firstName: user.first_name,
+      verifyUrl,
+      expiresInHours: VERIFY_TOKEN_TTL_HOURS
+    })
+  });
+}
+
+/**
+ * Consume a verification link token (`<userId>.<token>`)
+ * @returns {Promise<'verified'|'already_verified'|'invalid'>}
+ */
+async function verifyEmailToken(linkToken) {
+  const [userIdPart, token] = String(linkToken).split('.');
+  const userId = parseInt(userIdPart, 10);
+  if (!userId || !token) {
+    return 'invalid';
+  }
+
+  const users = await db.query('SELECT user_id, email, is_verified FROM users WHERE user_id = ?', [userId]);
+  if (users.length === 0) {
+    return 'invalid';
+  }
+
+  const consumed = await db.execute(`
+    UPDATE email_tokens
+    SET used_at = NOW()
+    WHERE user_id = ? AND purpose = ? AND token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+  `, [userId, TokenPurposes.VERIFY_EMAIL, hashToken(userId, token)]);
+
+  if (consumed.affectedRows === 0) {
+    return users[0].is_verified ? 'already_verified' : 'invalid';
+  }
+
+  await db.query(
+    'UPDATE users SET is_verified = 1, email_verified_at = NOW() WHERE user_id = ?',
+    [userId]
+  );
+
+  await logUserActivity(userId, ActionTypes.EMAIL_VERIFIED, `Email verified: ${users[0].email}`);
+
+  return 'verified';
+}
+
+/**
+ * Send a new verification link to a signed-in user who has not verified yet
+ */
+async function resendVerificationEmail(userId) {
+  const users = await db.query(
+    'SELECT user_id, email, first_name, is_verified FROM users WHERE user_id = ?',
+    [userId]
+  );
+
+  if (users.length === 0 || users[0].is_verified) {
+    throw accountEmailError('ALREADY_VERIFIED', 'Email address is already verified');
+  }
+
+  await sendVerificationEmail(users[0]);
+}
+
+/**
+ * Email a single-use reset code. Unknown addresses are ignored so the response
+ * does not reveal which emails have accounts.
+ */
+async function requestPasswordReset(email) {
+  const users = await db.query(
+    'SELECT user_id, email, first_name FROM users WHERE email = ?',
+    [email]
+  );
+
+  if (users.length === 0) {
+    return;
+  }
+
+  const user = users[0];
+  const code = generateResetCode();
+
+  try {
+    await issueToken(user.user_id, TokenPurposes.PASSWORD_RESET, code, RESET_CODE_TTL_MINUTES);
+  } catch (error) {
+    // A repeated request within the cooldown keeps the code that was already sent
+    if (error.code === 'EMAIL_RATE_LIMITED') {
+      return;
+    }
+    throw error;
+  }
+
+  const resetUrl = `${APP_SCHEME}://screens/ForgotPasswordScreen?email=${encodeURIComponent(user.email)}&code=${code}`;
+  await sendMail({
+    to: user.email,
+    ...renderEmail('password-reset', 'Reset your TapPark password', {
+      firstName: user.first_name,
+      code,
+      resetUrl,
+      expiresInMinutes: RESET_CODE_TTL_MINUTES
+    })
+  });
+
+  await logUserActivity(user.user_id, ActionTypes.PASSWORD_RESET_REQUEST, `Password reset code sent to ${user.email}`);
+}
+
+/**
+ * Set a new password with a reset code. The code is consumed on success and retired
+ * after RESET_CODE_MAX_ATTEMPTS wrong guesses.
+ * @throws INVALID_RESET_CODE
+ */
+async function resetPassword(email, code, newPassword) {
+  const invalid = () => accountEmailError('INVALID_RESET_CODE', 'Invalid or expired reset code');
+
+  const users = await db.query('SELECT user_id, email FROM users WHERE email = ?', [email]);
+  if (users.length === 0) {
+    throw invalid();
+  }
+  const user = users[0];
+
+  const tokens = await db.query(`
+    SELECT id, token_hash, failed_attempts
+    FROM email_tokens
+    WHERE user_id = ? AND purpose = ? AND used_at IS NULL AND expires_at > NOW()
+    ORDER BY created_at DESC
+    LIMIT 1
+  `, [user.user_id, TokenPurposes.PASSWORD_RESET]);
+
+  if (tokens.length === 0) {
+    throw invalid();
+  }
+
+  const token = tokens[0];
+  const expected = Buffer.from(token.token_hash, 'hex');
+  const actual = Buffer.from(hashToken(user.user_id, String(code).trim().toUpperCase()), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    await db.query(`
+      UPDATE email_tokens
+      SET failed_attempts = failed_attempts + 1,
+          expires_at = IF(failed_attempts >= ?, NOW(), expires_at)
+      WHERE id = ?
+    `, [RESET_CODE_MAX_ATTEMPTS, token.id]);
+    throw invalid();
+  }
+
+  const hashedPassword = await bcrypt.hash(newPassword, 12);
+
+  if (!db.connection) {
+    await db.connect();
+  }
+  const connection = await db.connection.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    // Conditional update makes the code single-use even if two resets race
+    const [consumed] = await connection.execute(
+      'UPDATE email_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+      [token.id]
+    );
+    if (consumed.affectedRows === 0) {
+      throw invalid();
+    }
+
+    // Receiving the code proves ownership of the address
+    await connection.execute(
+      'UPDATE users SET password = ?, is_verified = 1, email_verified_at = COALESCE(email_verified_at, NOW()) WHERE user_id = ?',
+      [hashedPassword, user.user_id]
+    );
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  // Whoever knew the old password is signed out everywhere
+  await revokeAllSessions(user.user_id, { reason: SessionRevokeReasons.PASSWORD_RESET });
+  // Resetting by email is the self-service way out of a login lockout
+  await clearLoginFailures(user.user_id);
+
+  await logUserActivity(user.user_id, ActionTypes.PASSWORD_RESET, 'Password reset with emailed code', user.user_id, 'password');
+}
+
+module.exports = {
+  TokenPurposes,
+  getAccountEmailErrorStatus,
+  sendVerificationEmail,
+  verifyEmailToken,
+  resendVerificationEmail,
+  requestPasswordReset,
+  resetPassword
+};
@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+
+// Access tokens are short-lived JWTs carrying the session id (sid); the long-lived
+// refresh token is opaque, stored hashed, and replaced on every refresh.
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const SessionRevokeReasons = {
+  LOGOUT: 'logout',
+  LOGOUT_ALL: 'logout_all',
+  REVOKED_BY_USER: 'revoked_by_user',
+  PASSWORD_CHANGE: 'password_change',
+  PASSWORD_RESET: 'password_reset',
+  TOKEN_REUSE: 'token_reuse'
+};
+
+function authSessionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * HTTP status for an error thrown by this module, or null for unexpected errors
+ */
+function getAuthSessionErrorStatus(error) {
+  if (error.code === 'INVALID_REFRESH_TOKEN') return 401;
+  if (error.code === 'REFRESH_TOKEN_REUSED') return 401;
+  if (error.code === 'SESSION_REVOKED') return 401;
+  if (error.code === 'SESSION_NOT_FOUND') return 404;
+  return null;
+}
+
+const hashRefreshToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user.user_id, email: user.email, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+}
+
+// Seconds until the access token expires, for clients that refresh ahead of time
+function getAccessTokenTtlSeconds(accessToken) {
+  const decoded = jwt.decode(accessToken);
+  return decoded && decoded.exp ? decoded.exp - Math.floor(Date.now() / 1000) : null;
+}
+
+/**
+ * Describe the device a login came from; the app sends deviceName/platform, otherwise the user agent is used
+ */
+function describeClient(req) {
+  const body = req.body || {};
+  const userAgent = (req.get('user-agent') || '').substring(0, 255) || null;
+  return {
+    deviceName: (body.deviceName ? String(body.deviceName) : userAgent || 'Unknown device').substring(0, 150),
+    platform: body.platform ? String(body.platform).substring(0, 30) : null,
+    ipAddress: (req.ip || '').substring(0, 45) || null,
+    userAgent
+  };
+}
+
+/**
+ * Start a session for a user who just logged in or registered
+ * @param {{ user_id: number, email: string }} user
+ * @param {object} req - express request, used to label the device
+ * @returns {Promise<{ sessionId: number, token: string, refreshToken: string, expiresIn: number }>}
+ */
+async function createSession(user, req) {
+  const refreshToken = generateRefreshToken();
+  const client = describeClient(req);
+
+  const result = await db.execute(`
+    INSERT INTO auth_sessions (
+      user_id, refresh_token_hash, device_name, platform, ip_address, user_agent,
+      last_used_at, expires_at
+    ) VALUES (?, ?, ?, ?, ?, ?, NOW(), DATE_ADD(NOW(), INTERVAL ? DAY))
+  `, [
+    user.user_id,
+    hashRefreshToken(refreshToken),
+    client.deviceName,
+    client.platform,
+    client.ipAddress,
+    client.userAgent,
+    REFRESH_TOKEN_TTL_DAYS
+  ]);
+
+  const token = signAccessToken(user, result.insertId);
+  return {
+    sessionId: result.insertId,
+    token,
+    refreshToken,
+    expiresIn: getAccessTokenTtlSeconds(token)
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * Presenting a token that was already rotated away means it was copied, so the whole session is revoked.
+ * @throws INVALID_REFRESH_TOKEN | REFRESH_TOKEN_REUSED | SESSION_REVOKED
+ */
+async function refreshSession(refreshToken, req) {
+  const tokenHash = hashRefreshToken(refreshToken);
+  const nextRefreshToken = generateRefreshToken();
+
+  if (!db.connection) {
+    await db.connect();
+  }
+  const connection = await db.connection.getConnection();
+
+  let outcome;
+  try {
+    await connection.beginTransaction();
+
+    const [sessions] = await connection.execute(`
+      SELECT s.session_id, s.user_id, s.refresh_token_hash, s.revoked_at, s.expires_at < NOW() as is_expired,
+             u.email, u.status
+      FROM auth_sessions s
+      JOIN users u ON s.user_id = u.user_id
+      WHERE s.refresh_token_hash = ? OR s.previous_token_hash = ?
+      FOR UPDATE
+    `, [tokenHash, tokenHash]);
+
+    const session = sessions[0];
+
+    if (!session) {
+      outcome = { error: authSessionError('INVALID_REFRESH_TOKEN', 'Invalid refresh token') };
+    } else if (session.refresh_token_hash !== tokenHash) {
+      if (!session.revoked_at) {
+        await connection.execute(
+          'UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE session_id = ?',
+          [SessionRevokeReasons.TOKEN_REUSE, session.session_id]
+        );
+        console.warn(`⚠️ Refresh token reuse detected for session ${session.session_id} (user ${session.user_id}); session revoked`);
+      }
+      outcome = { error: authSessionError('REFRESH_TOKEN_REUSED', 'Session has been signed out') };
+    } else if (session.revoked_at || session.is_expired || (session.status && session.status !== 'active')) {
+      outcome = { error: authSessionError('SESSION_REVOKED', 'Session has been signed out') };
+    } else {
+      await connection.execute(`
+        UPDATE auth_sessions
+        SET previous_token_hash = refresh_token_hash,
+            refresh_token_hash = ?,
+            last_used_at = NOW(),
+            ip_address = ?
+        WHERE session_id = ?
+      `, [hashRefreshToken(nextRefreshToken), describeClient(req).ipAddress, session.session_id]);
+      outcome = { session };
+    }
+
+    // Commit also when rejecting, so a reuse revocation is kept
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  if (outcome.error) {
+    throw outcome.error;
+  }
+
+  const token = signAccessToken(outcome.session, outcome.session.session_id);
+  return {
+    sessionId: outcome.session.session_id,
+    token,
+    refreshToken: nextRefreshToken,
+    expiresIn: getAccessTokenTtlSeconds(token)
+  };
+}
+
+/**
+ * Sign out one session of a user
+ * @throws SESSION_NOT_FOUND when the session does not belong to the user or is already signed out
+ */
+async function revokeSession(userId, sessionId, reason = SessionRevokeReasons.LOGOUT) {
+  const result = await db.execute(`
+    UPDATE auth_sessions
+    SET revoked_at = NOW(), revoked_reason = ?
+    WHERE session_id = ? AND user_id = ? AND revoked_at IS NULL
+  `, [reason, sessionId, userId]);
+
+  if (result.affectedRows === 0) {
+    throw authSessionError('SESSION_NOT_FOUND', 'Session not found');
+  }
+}
+
+/**
+ * Sign out every session of a user, optionally keeping the one making the request
+ * @returns {Promise<number>} number of sessions signed out
+ */
+async function revokeAllSessions(userId, { exceptSessionId = null, reason = SessionRevokeReasons.LOGOUT_ALL } = {}) {
+  const result = await db.execute(`
+    UPDATE auth_sessions
+    SET revoked_at = NOW(), revoked_reason = ?
+    WHERE user_id = ? AND revoked_at IS NULL ${exceptSessionId ? 'AND session_id <> ?' : ''}
+  `, exceptSessionId ? [reason, userId, exceptSessionId] : [reason, userId]);
+
+  return result.affectedRows;
+}
+
+/**
+ * Signed-in devices of a user, most recently used first
+ */
+async function listSessions(userId, currentSessionId = null) {
+  const sessions = await db.query(`
+    SELECT session_id, device_name, platform, ip_address, created_at, last_used_at, expires_at
+    FROM auth_sessions
+    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+    ORDER BY last_used_at DESC, session_id DESC
+  `, [userId]);
+
+  return sessions.map(session => ({
+    ...session,
+    is_current: Number(session.session_id) === Number(currentSessionId)
+  }));
+}
+
+module.exports = {
+  SessionRevokeReasons,
+  getAuthSessionErrorStatus,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+};
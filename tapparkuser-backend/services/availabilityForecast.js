@@ -0,0 +1,337 @@
+const db = require('../config/database');
+
+/**
+ * Availability forecasts: expected free capacity per area and vehicle type at a time in the
+ * coming week. The baseline is the same hour on the same weekday over the last few weeks,
+ * read from occupancy_snapshots (built from reservation start/end times), with recent weeks
+ * weighted more. Scheduled bookings already holding the slot set a floor under the estimate,
+ * and sections closed in parking_closures (or marked unavailable) contribute no capacity.
+ */
+
+const HISTORY_WEEKS = parseInt(process.env.FORECAST_HISTORY_WEEKS, 10) || 8;
+// Each week further back counts this much less than the one after it
+const WEEK_DECAY = 0.8;
+const MAX_AHEAD_DAYS = 7;
+
+const HOUR_MS = 60 * 60 * 1000;
+const WEEK_MS = 7 * 24 * HOUR_MS;
+
+const Confidence = {
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high'
+};
+
+function forecastError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * HTTP status for an error thrown by this module, or null for unexpected errors
+ */
+function getForecastErrorStatus(error) {
+  if (error.code === 'INVALID_FORECAST_TIME') return 400;
+  if (error.code === 'INVALID_RANGE') return 400;
+  if (error.code === 'AREA_NOT_FOUND') return 404;
+  if (error.code === 'SECTION_NOT_FOUND') return 404;
+  if (error.code === 'CLOSURE_NOT_FOUND') return 404;
+  return null;
+}
+
+const floorToHour = (date) => {
+  const hour = new Date(date);
+  hour.setMinutes(0, 0, 0);
+  return hour;
+};
+
+const getConfidence = (weeksWithData) => {
+  if (weeksWithData >= 6) return Confidence.HIGH;
+  if (weeksWithData >= 3) return Confidence.MEDIUM;
+  return Confidence.LOW;
+};
+
+// Open sections of active areas with their capacity (spots, or the configured capacity)
+async function loadSections(areaId, vehicleType) {
+  const conditions = ["pa.status = 'active'"];
+  const params = [];
+  if (areaId) {
+    conditions.push('pa.parking_area_id = ?');
+    params.push(areaId);
+  }
+  if (vehicleType) {
+    conditions.push('psec.vehicle_type = ?');
+    params.push(vehicleType);
+  }
+
+  const rows = await db.query(`
+    SELECT
+      psec.parking_section_id,
+      psec.parking_area_id,
+      pa.parking_area_name,
+      psec.vehicle_type,
+      psec.status,
+      CASE WHEN psec.section_mode = 'capacity_only' THEN COALESCE(psec.capacity, 0)
+           ELSE COUNT(ps.parking_spot_id) END as capacity
+    FROM parking_section psec
+    JOIN parking_area pa ON pa.parking_area_id = psec.parking_area_id
+    LEFT JOIN parking_spot ps ON ps.parking_section_id = psec.parking_section_id
+    WHERE ${conditions.join(' AND ')}
+    GROUP BY psec.parking_section_id, psec.parking_area_id, pa.parking_area_name, psec.vehicle_type,
+      psec.status, psec.section_mode, psec.capacity
+  `, params);
+
+  return rows.map(row => ({
+    sectionId: Number(row.parking_section_id),
+    areaId: Number(row.parking_area_id),
+    areaName: row.parking_area_name,
+    vehicleType: row.vehicle_type,
+    capacity: Number(row.capacity),
+    unavailable: row.status === 'unavailable'
+  }));
+}
+
+/**
+ * Weighted average of the most vehicles parked at once in each section during the same
+ * weekday/hour over the last HISTORY_WEEKS weeks
+ */
+async function loadBaselines(hour) {
+  const latestComplete = floorToHour(new Date()).getTime() - HOUR_MS;
+  const samples = [];
+  for (let week = 1; week <= HISTORY_WEEKS; week++) {
+    const bucket = hour.getTime() - week * WEEK_MS;
+    if (bucket <= latestComplete) {
+      samples.push({ bucket: new Date(bucket), weight: Math.pow(WEEK_DECAY, week - 1) });
+    }
+  }
+  // The week before a target in the current hour is still being snapshotted
+  if (samples.length === 0) {
+    return new Map();
+  }
+
+  const rows = await db.query(`
+    SELECT parking_section_id, bucket_start, peak_occupied
+    FROM occupancy_snapshots
+    WHERE bucket_start IN (${samples.map(() => '?').join(', ')})
+  `, samples.map(sample => sample.bucket));
+
+  const weights = new Map(samples.map(sample => [sample.bucket.getTime(), sample.weight]));
+  const baselines = new Map();
+  rows.forEach(row => {
+    const sectionId = Number(row.parking_section_id);
+    const weight = weights.get(new Date(row.bucket_start).getTime()) || 0;
+    const baseline = baselines.get(sectionId) || { weightedPeak: 0, weight: 0, weeks: 0 };
+    baseline.weightedPeak += Number(row.peak_occupied) * weight;
+    baseline.weight += weight;
+    baseline.weeks++;
+    baselines.set(sectionId, baseline);
+  });
+  return baselines;
+}
+
+// Scheduled bookings whose slot covers the target time, per section
+async function loadScheduledHolds(at) {
+  const rows = await db.query(`
+    SELECT COALESCE(r.parking_section_id, ps.parking_section_id) as parking_section_id, COUNT(*) as holds
+    FROM reservations r
+    LEFT JOIN parking_spot ps ON ps.parking_spot_id = r.parking_spots_id
+    WHERE r.booking_status IN ('scheduled', 'reserved')
+      AND r.scheduled_start IS NOT NULL
+      AND r.scheduled_start <= ?
+      AND r.scheduled_end > ?
+    GROUP BY COALESCE(r.parking_section_id, ps.parking_section_id)
+  `, [at, at]);
+  return new Map(rows.map(row => [Number(row.parking_section_id), Number(row.holds)]));
+}
+
+async function loadClosuresAt(at) {
+  return db.query(`
+    SELECT closure_id, parking_area_id, parking_section_id, starts_at, ends_at, reason
+    FROM parking_closures
+    WHERE starts_at <= ? AND ends_at > ?
+  `, [at, at]);
+}
+
+/**
+ * Forecast free capacity at a time within the next week
+ * @param {{ at: Date, areaId?: number, vehicleType?: string }} options
+ * @returns {Promise<object[]>} one entry per area and vehicle type
+ */
+async function forecastAvailability({ at, areaId = null, vehicleType = null }) {
+  const now = Date.now();
+  if (!(at instanceof Date) || isNaN(at.getTime())) {
+    throw forecastError('INVALID_FORECAST_TIME', 'at must be a valid date');
+  }
+  if (at.getTime() < now - HOUR_MS || at.getTime() > now + MAX_AHEAD_DAYS * 24 * HOUR_MS) {
+    throw forecastError('INVALID_FORECAST_TIME', `Forecasts cover the next ${MAX_AHEAD_DAYS} days`);
+  }
+
+  const [sections, baselines, holds, closures] = await Promise.all([
+    loadSections(areaId, vehicleType),
+    loadBaselines(floorToHour(at)),
+    loadScheduledHolds(at),
+    loadClosuresAt(at)
+  ]);
+
+  const closedAreas = new Map();
+  const closedSections = new Map();
+  closures.forEach(closure => {
+    const entry = {
+      closureId: closure.closure_id,
+      startsAt: closure.starts_at,
+      endsAt: closure.ends_at,
+      reason: closure.reason
+    };
+    if (closure.parking_section_id) {
+      closedSections.set(Number(closure.parking_section_id), entry);
+    } else {
+      closedAreas.set(Number(closure.parking_area_id), entry);
+    }
+  });
+
+  const groups = new Map();
+  sections.forEach(section => {
+    const key = `${section.areaId}:${section.vehicleType}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        parkingAreaId: section.areaId,
+        parkingAreaName: section.areaName,
+        vehicleType: section.vehicleType,
+        capacity: 0,
+        openCapacity: 0,
+        demand: 0,
+        scheduledHolds: 0,
+        weeksWithData: 0,
+        closures: closedAreas.has(section.areaId) ? [closedAreas.get(section.areaId)] : []
+      });
+    }
+    const group = groups.get(key);
+    const baseline = baselines.get(section.sectionId);
+    const sectionHolds = holds.get(section.sectionId) || 0;
+    const closure = closedSections.get(section.sectionId);
+    const isClosed = closedAreas.has(section.areaId) || Boolean(closure) || section.unavailable;
+
+    group.capacity += section.capacity;
+    if (!isClosed) {
+      group.openCapacity += section.capacity;
+    }
+    if (closure) {
+      group.closures.push({ ...closure, parkingSectionId: section.sectionId });
+    }
+    // Drivers who usually park in a closed section look for space in the open ones
+    group.demand += Math.max(baseline ? baseline.weightedPeak / baseline.weight : 0, sectionHolds);
+    group.scheduledHolds += sectionHolds;
+    group.weeksWithData = Math.max(group.weeksWithData, baseline ? baseline.weeks : 0);
+  });
+
+  return Array.from(groups.values())
+    .map(group => {
+      const expectedOccupied = Math.min(group.openCapacity, Math.round(group.demand));
+      return {
+        parkingAreaId: group.parkingAreaId,
+        parkingAreaName: group.parkingAreaName,
+        vehicleType: group.vehicleType,
+        capacity: group.capacity,
+        openCapacity: group.openCapacity,
+        expectedOccupied,
+        expectedFree: group.openCapacity - expectedOccupied,
+        scheduledHolds: group.scheduledHolds,
+        closed: group.openCapacity === 0 && group.capacity > 0 && group.closures.length > 0,
+        closures: group.closures,
+        confidence: getConfidence(group.weeksWithData)
+      };
+    })
+    .sort((a, b) => a.parkingAreaName.localeCompare(b.parkingAreaName) || a.vehicleType.localeCompare(b.vehicleType));
+}
+
+// ===== Closures =====
+
+const mapClosure = (row) => ({
+  closureId: row.closure_id,
+  parkingAreaId: row.parking_area_id,
+  parkingAreaName: row.parking_area_name,
+  parkingSectionId: row.parking_section_id,
+  sectionName: row.section_name || null,
+  startsAt: row.starts_at,
+  endsAt: row.ends_at,
+  reason: row.reason,
+  createdBy: row.created_by,
+  createdAt: row.created_at
+});
+
+/**
+ * Closures that have not ended yet, optionally for one area
+ */
+async function listClosures(areaId = null) {
+  const params = [];
+  let areaFilter = '';
+  if (areaId) {
+    areaFilter = 'AND pc.parking_area_id = ?';
+    params.push(areaId);
+  }
+
+  const rows = await db.query(`
+    SELECT pc.*, pa.parking_area_name, psec.section_name
+    FROM parking_closures pc
+    JOIN parking_area pa ON pa.parking_area_id = pc.parking_area_id
+    LEFT JOIN parking_section psec ON psec.parking_section_id = pc.parking_section_id
+    WHERE pc.ends_at > NOW() ${areaFilter}
+    ORDER BY pc.starts_at
+  `, params);
+  return rows.map(mapClosure);
+}
+
+/**
+ * Plan a closure of a whole area, or of one section when sectionId is given
+ */
+async function createClosure({ areaId, sectionId = null, startsAt, endsAt, reason = null }, createdBy) {
+  if (!(startsAt < endsAt)) {
+    throw forecastError('INVALID_RANGE', 'startsAt must be before endsAt');
+  }
+
+  const areas = await db.query('SELECT parking_area_id FROM parking_area WHERE parking_area_id = ?', [areaId]);
+  if (areas.length === 0) {
+    throw forecastError('AREA_NOT_FOUND', 'Parking area not found');
+  }
+  if (sectionId) {
+    const sections = await db.query(`
+      SELECT parking_section_id FROM parking_section
+      WHERE parking_section_id = ? AND parking_area_id = ?
+    `, [sectionId, areaId]);
+    if (sections.length === 0) {
+      throw forecastError('SECTION_NOT_FOUND', 'Parking section not found in this area');
+    }
+  }
+
+  const result = await db.execute(`
+    INSERT INTO parking_closures (parking_area_id, parking_section_id, starts_at, ends_at, reason, created_by)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [areaId, sectionId, startsAt, endsAt, reason, createdBy]);
+
+  const rows = await db.query(`
+    SELECT pc.*, pa.parking_area_name, psec.section_name
+    FROM parking_closures pc
+    JOIN parking_area pa ON pa.parking_area_id = pc.parking_area_id
+    LEFT JOIN parking_section psec ON psec.parking_section_id = pc.parking_section_id
+    WHERE pc.closure_id = ?
+  `, [result.insertId]);
+  return mapClosure(rows[0]);
+}
+
+async function deleteClosure(closureId) {
+  const result = await db.execute('DELETE FROM parking_closures WHERE closure_id = ?', [closureId]);
+  if (result.affectedRows === 0) {
+    throw forecastError('CLOSURE_NOT_FOUND', 'Closure not found');
+  }
+}
+
+module.exports = {
+  Confidence,
+  MAX_AHEAD_DAYS,
+  getForecastErrorStatus,
+  forecastAvailability,
+  listClosures,
+  createClosure,
+  deleteClosure
+};
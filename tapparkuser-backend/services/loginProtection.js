@@ -0,0 +1,224 @@
+const bcrypt = require('bcryptjs');
+const db = require('../config/database');
+const { logUserActivity, ActionTypes } = require('../utils/userLogger');
+
+/**
+ * Progressive account lockout. Every LOCKOUT_THRESHOLD consecutive failed logins lock the
+ * account, for LOCKOUT_BASE_MINUTES the first time and twice as long each time after
+ * (up to LOCKOUT_MAX_MINUTES). A successful login, a password reset or an admin unlock clears it.
+ * Failures older than FAILURE_WINDOW_MINUTES start a new count.
+ */
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5;
+const LOCKOUT_BASE_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES, 10) || 15;
+const LOCKOUT_MAX_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES, 10) || 24 * 60;
+const FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 60;
+
+// Emails without an account are counted the same way, in memory, so the lockout does not reveal
+// which accounts exist. Stale entries are swept once this many emails are tracked.
+const UNKNOWN_LOGIN_MAX_TRACKED = 10000;
+const unknownLogins = new Map();
+
+// Compared against on unknown emails so they take as long as a wrong password (cost as in routes/auth.js)
+let dummyPasswordHash = null;
+
+// users.status values that may not sign in or use a token
+const BLOCKED_STATUSES = {
+  inactive: {
+    code: 'ACCOUNT_INACTIVE',
+    message: 'This account has been deactivated. Please contact the parking office.'
+  },
+  suspended: {
+    code: 'ACCOUNT_SUSPENDED',
+    message: 'This account has been suspended. Please contact the parking office.'
+  }
+};
+
+function loginProtectionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * HTTP status for an error thrown by this module, or null for unexpected errors
+ */
+function getLoginProtectionErrorStatus(error) {
+  if (error.code === 'USER_NOT_FOUND') return 404;
+  return null;
+}
+
+/**
+ * Why a users.status blocks access, or null for active accounts
+ * @returns {{ code: string, message: string } | null}
+ */
+function getStatusBlock(status) {
+  return BLOCKED_STATUSES[status] || null;
+}
+
+const getLockoutMinutes = (level) => Math.min(LOCKOUT_BASE_MINUTES * Math.pow(2, Math.max(level - 1, 0)), LOCKOUT_MAX_MINUTES);
+
+/**
+ * Seconds until a locked account can try again, or 0 when it is not locked
+ * @param {{ locked_until: Date|string|null }} user
+ */
+function getLockRemainingSeconds(user) {
+  if (!user.locked_until) {
+    return 0;
+  }
+  return Math.max(0, Math.ceil((new Date(user.locked_until).getTime() - Date.now()) / 1000));
+}
+
+/**
+ * Count a wrong password and lock the account when it reaches the threshold
+ * @returns {Promise<{ locked: boolean, lockSeconds: number, attemptsRemaining: number }>}
+ */
+async function recordFailedLogin(user, ipAddress) {
+  // Assignments run left to right, so the window checks read the previous failure time
+  await db.query(`
+    UPDATE users
+    SET failed_login_count = IF(last_failed_login_at IS NULL OR last_failed_login_at < DATE_SUB(NOW(), INTERVAL ? MINUTE),
+                                1, failed_login_count + 1),
+        lockout_level = IF(last_failed_login_at IS NULL OR last_failed_login_at < DATE_SUB(NOW(), INTERVAL 1 DAY),
+                           0, lockout_level),
+        last_failed_login_at = NOW()
+    WHERE user_id = ?
+  `, [FAILURE_WINDOW_MINUTES, user.user_id]);
+
+  const rows = await db.query(
+    'SELECT failed_login_count, lockout_level FROM users WHERE user_id = ?',
+    [user.user_id]
+  );
+  const failures = Number(rows[0].failed_login_count);
+
+  await logUserActivity(
+    user.user_id,
+    ActionTypes.LOGIN_FAILED,
+    `Failed login for ${user.email} from ${ipAddress || 'unknown IP'} (${failures} in a row)`
+  );
+
+  if (failures < LOCKOUT_THRESHOLD) {
+    return { locked: false, lockSeconds: 0, attemptsRemaining: LOCKOUT_THRESHOLD - failures };
+  }
+
+  const level = Number(rows[0].lockout_level) + 1;
+  const lockMinutes = getLockoutMinutes(level);
+  const result = await db.execute(`
+    UPDATE users
+    SET locked_until = DATE_ADD(NOW(), INTERVAL ? MINUTE), lockout_level = ?, failed_login_count = 0
+    WHERE user_id = ? AND failed_login_count >= ?
+  `, [lockMinutes, level, user.user_id, LOCKOUT_THRESHOLD]);
+
+  // A concurrent failure already locked the account
+  if (result.affectedRows > 0) {
+    await logUserActivity(
+      user.user_id,
+      ActionTypes.ACCOUNT_LOCKED,
+      `Account locked for ${lockMinutes} minutes after ${LOCKOUT_THRESHOLD} failed logins (lockout ${level})`
+    );
+  }
+
+  return { locked: true, lockSeconds: lockMinutes * 60, attemptsRemaining: 0 };
+}
+
+const unknownLoginKey = (email) => String(email || '').toLowerCase();
+
+/**
+ * Seconds until an email without an account can try again, like getLockRemainingSeconds
+ */
+function getUnknownLockRemainingSeconds(email) {
+  const entry = unknownLogins.get(unknownLoginKey(email));
+  return entry ? getLockRemainingSeconds({ locked_until: entry.lockedUntil }) : 0;
+}
+
+function sweepUnknownLogins(now) {
+  for (const [key, entry] of unknownLogins) {
+    const locked = entry.lockedUntil && entry.lockedUntil > now;
+    if (!locked && entry.lastFailedAt < now - 24 * 60 * 60 * 1000) {
+      unknownLogins.delete(key);
+    }
+  }
+}
+
+/**
+ * Failed login for an email with no account. Runs a password comparison and the same lockout
+ * counting as recordFailedLogin, so the answer and its timing match an existing account's.
+ * Logged without a user so probing shows up in user_logs.
+ * @returns {Promise<{ locked: boolean, lockSeconds: number, attemptsRemaining: number }>}
+ */
+async function recordUnknownLogin(email, password, ipAddress) {
+  if (!dummyPasswordHash) {
+    dummyPasswordHash = await bcrypt.hash('tappark-unknown-login', 12);
+  }
+  await bcrypt.compare(String(password || ''), dummyPasswordHash);
+
+  const now = Date.now();
+  if (unknownLogins.size >= UNKNOWN_LOGIN_MAX_TRACKED) {
+    sweepUnknownLogins(now);
+  }
+
+  const key = unknownLoginKey(email);
+  const previous = unknownLogins.get(key);
+  const entry = {
+    failures: previous && previous.lastFailedAt >= now - FAILURE_WINDOW_MINUTES * 60 * 1000 ? previous.failures + 1 : 1,
+    level: previous && previous.lastFailedAt >= now - 24 * 60 * 60 * 1000 ? previous.level : 0,
+    lastFailedAt: now,
+    lockedUntil: previous ? previous.lockedUntil : null
+  };
+  unknownLogins.set(key, entry);
+
+  await logUserActivity(
+    null,
+    ActionTypes.LOGIN_FAILED,
+    `Failed login for unknown account ${email} from ${ipAddress || 'unknown IP'} (${entry.failures} in a row)`
+  );
+
+  if (entry.failures < LOCKOUT_THRESHOLD) {
+    return { locked: false, lockSeconds: 0, attemptsRemaining: LOCKOUT_THRESHOLD - entry.failures };
+  }
+
+  entry.level += 1;
+  entry.failures = 0;
+  const lockMinutes = getLockoutMinutes(entry.level);
+  entry.lockedUntil = now + lockMinutes * 60 * 1000;
+
+  return { locked: true, lockSeconds: lockMinutes * 60, attemptsRemaining: 0 };
+}
+
+/**
+ * Reset the failure count and any lock, e.g. after a successful login or a password reset
+ */
+async function clearLoginFailures(userId) {
+  await db.query(`
+    UPDATE users
+    SET failed_login_count = 0, lockout_level = 0, locked_until = NULL, last_failed_login_at = NULL
+    WHERE user_id = ? AND (failed_login_count > 0 OR lockout_level > 0 OR locked_until IS NOT NULL)
+  `, [userId]);
+}
+
+/**
+ * Admin unlock of an account that is locked out
+ * @throws USER_NOT_FOUND
+ */
+async function unlockAccount(userId) {
+  const users = await db.query('SELECT user_id, email, locked_until FROM users WHERE user_id = ?', [userId]);
+  if (users.length === 0) {
+    throw loginProtectionError('USER_NOT_FOUND', 'User not found');
+  }
+
+  const wasLocked = getLockRemainingSeconds(users[0]) > 0;
+  await clearLoginFailures(userId);
+
+  return { userId, email: users[0].email, wasLocked };
+}
+
+module.exports = {
+  LOCKOUT_THRESHOLD,
+  getLoginProtectionErrorStatus,
+  getStatusBlock,
+  getLockRemainingSeconds,
+  getUnknownLockRemainingSeconds,
+  recordFailedLogin,
+  recordUnknownLogin,
+  clearLoginFailures,
+  unlockAccount
+};
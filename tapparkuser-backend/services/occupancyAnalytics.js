@@ -0,0 +1,566 @@
+const db = require('../config/database');
+
+/**
+ * Occupancy analytics. Parked sessions (reservations, with arrival/departure taken from
+ * qr_scan_tracking when the attendant scanned them) are folded into one occupancy_snapshots row
+ * per section and hour. Every report reads that table, so queries cost the same whatever the
+ * size of the reservation history.
+ */
+
+const SNAPSHOT_INTERVAL_MS = parseInt(process.env.OCCUPANCY_SNAPSHOT_INTERVAL_MS, 10) || 15 * 60 * 1000;
+// How far back the first run fills an empty snapshot table
+const BACKFILL_DAYS = parseInt(process.env.OCCUPANCY_BACKFILL_DAYS, 10) || 30;
+// Largest range a single rebuild or report may cover
+const MAX_RANGE_DAYS = 366;
+const INSERT_BATCH_SIZE = 500;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const GroupBy = {
+  AREA: 'area',
+  SECTION: 'section',
+  VEHICLE_TYPE: 'vehicle_type'
+};
+
+const Intervals = {
+  HOUR: 'hour',
+  DAY: 'day'
+};
+
+let snapshotTimer = null;
+let isRunning = false;
+
+function analyticsError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * HTTP status for an error thrown by this module, or null for unexpected errors
+ */
+function getAnalyticsErrorStatus(error) {
+  if (error.code === 'INVALID_RANGE') return 400;
+  return null;
+}
+
+const floorToHour = (date) => {
+  const hour = new Date(date);
+  hour.setMinutes(0, 0, 0);
+  return hour;
+};
+
+function assertRange(from, to) {
+  if (!(from < to)) {
+    throw analyticsError('INVALID_RANGE', '"from" must be before "to"');
+  }
+  if (to - from > MAX_RANGE_DAYS * 24 * HOUR_MS) {
+    throw analyticsError('INVALID_RANGE', `Date range may not exceed ${MAX_RANGE_DAYS} days`);
+  }
+}
+
+// Capacity is the number of spots for slot sections and the configured capacity otherwise
+async function loadSections() {
+  const rows = await db.query(`
+    SELECT
+      psec.parking_section_id,
+      psec.parking_area_id,
+      psec.vehicle_type,
+      CASE WHEN psec.section_mode = 'capacity_only' THEN COALESCE(psec.capacity, 0)
+           ELSE COUNT(ps.parking_spot_id) END as capacity
+    FROM parking_section psec
+    LEFT JOIN parking_spot ps ON ps.parking_section_id = psec.parking_section_id
+    GROUP BY psec.parking_section_id, psec.parking_area_id, psec.vehicle_type, psec.section_mode, psec.capacity
+  `);
+  return rows.map(row => ({
+    sectionId: Number(row.parking_section_id),
+    areaId: Number(row.parking_area_id),
+    vehicleType: row.vehicle_type,
+    capacity: Number(row.capacity)
+  }));
+}
+
+// Sessions that were parked at some point in [from, to). Open sessions run until now.
+async function loadSessions(from, to) {
+  const rows = await db.query(`
+    SELECT
+      r.reservation_id,
+      r.booking_status,
+      COALESCE(r.parking_section_id, ps.parking_section_id) as parking_section_id,
+      COALESCE(scan.started_at, r.start_time) as arrived_at,
+      COALESCE(scan.ended_at, r.end_time) as departed_at
+    FROM reservations r
+    LEFT JOIN parking_spot ps ON ps.parking_spot_id = r.parking_spots_id
+    LEFT JOIN (
+      SELECT
+        reservation_id,
+        MIN(CASE WHEN scan_type = 'start' THEN scan_timestamp END) as started_at,
+        MAX(CASE WHEN scan_type = 'end' THEN scan_timestamp END) as ended_at
+      FROM qr_scan_tracking
+      GROUP BY reservation_id
+    ) scan ON scan.reservation_id = r.reservation_id
+    WHERE r.booking_status IN ('active', 'completed')
+      AND COALESCE(scan.started_at, r.start_time) IS NOT NULL
+      AND COALESCE(scan.started_at, r.start_time) < ?
+      AND (COALESCE(scan.ended_at, r.end_time) IS NULL OR COALESCE(scan.ended_at, r.end_time) >= ?)
+  `, [to, from]);
+
+  const now = new Date();
+  return rows
+    .filter(row => row.parking_section_id)
+    .map(row => {
+      const arrivedAt = new Date(row.arrived_at);
+      let departedAt = row.departed_at ? new Date(row.departed_at) : null;
+      if (!departedAt) {
+        // Completed sessions without an end time are legacy rows; count the arrival only
+        departedAt = row.booking_status === 'active' ? now : arrivedAt;
+      }
+      return {
+        sectionId: Number(row.parking_section_id),
+        arrivedAt,
+        departedAt: departedAt < arrivedAt ? arrivedAt : departedAt,
+        completed: row.booking_status === 'completed' && Boolean(row.departed_at)
+      };
+    });
+}
+
+// Bookings made in [from, to); expired ones are no-shows. Cancelled and future bookings are left out.
+async function loadBookings(from, to) {
+  const rows = await db.query(`
+    SELECT
+      COALESCE(r.parking_section_id, ps.parking_section_id) as parking_section_id,
+      r.time_stamp,
+      r.booking_status
+    FROM reservations r
+    LEFT JOIN parking_spot ps ON ps.parking_spot_id = r.parking_spots_id
+    WHERE r.time_stamp >= ? AND r.time_stamp < ?
+      AND r.booking_status IN ('reserved', 'active', 'completed', 'expired')
+  `, [from, to]);
+
+  return rows
+    .filter(row => row.parking_section_id)
+    .map(row => ({
+      sectionId: Number(row.parking_section_id),
+      bookedAt: new Date(row.time_stamp),
+      noShow: row.booking_status === 'expired'
+    }));
+}
+
+function emptyBucket() {
+  return { occupiedMinutes: 0, peakOccupied: 0, arrivals: 0, departures: 0, dwellMinutes: 0, bookings: 0, noShows: 0 };
+}
+
+/**
+ * Per-hour figures of one section: parked vehicle-minutes, the most vehicles parked at once,
+ * arrivals, and completed sessions with their dwell time (counted in the hour they left)
+ */
+function foldSectionHours(sessions, bookings, hours) {
+  const buckets = new Map(hours.map(hour => [hour.getTime(), emptyBucket()]));
+  const firstHour = hours[0].getTime();
+  const endTime = hours[hours.length - 1].getTime() + HOUR_MS;
+
+  sessions.forEach(session => {
+    const start = Math.max(session.arrivedAt.getTime(), firstHour);
+    const end = Math.min(session.departedAt.getTime(), endTime);
+    for (let hour = floorToHour(new Date(start)).getTime(); hour < end; hour += HOUR_MS) {
+      const overlap = Math.min(end, hour + HOUR_MS) - Math.max(start, hour);
+      if (overlap > 0 && buckets.has(hour)) {
+        buckets.get(hour).occupiedMinutes += overlap / 60000;
+      }
+    }
+
+    const arrivalBucket = buckets.get(floorToHour(session.arrivedAt).getTime());
+    if (arrivalBucket) {
+      arrivalBucket.arrivals++;
+    }
+    const departureBucket = session.completed ? buckets.get(floorToHour(session.departedAt).getTime()) : null;
+    if (departureBucket) {
+      departureBucket.departures++;
+      departureBucket.dwellMinutes += (session.departedAt - session.arrivedAt) / 60000;
+    }
+  });
+
+  bookings.forEach(booking => {
+    const bucket = buckets.get(floorToHour(booking.bookedAt).getTime());
+    if (bucket) {
+      bucket.bookings++;
+      if (booking.noShow) {
+        bucket.noShows++;
+      }
+    }
+  });
+
+  // Sweep arrivals/departures in time order to find the most vehicles parked at once per hour
+  const events = [];
+  sessions.forEach(session => {
+    events.push({ time: session.arrivedAt.getTime(), delta: 1 });
+    events.push({ time: session.departedAt.getTime(), delta: -1 });
+  });
+  events.sort((a, b) => a.time - b.time || a.delta - b.delta);
+
+  let parked = 0;
+  let eventIndex = 0;
+  hours.forEach(hour => {
+    const hourStart = hour.getTime();
+    while (eventIndex < events.length && events[eventIndex].time <= hourStart) {
+      parked += events[eventIndex++].delta;
+    }
+    let peak = parked;
+    while (eventIndex < events.length && events[eventIndex].time < hourStart + HOUR_MS) {
+      parked += events[eventIndex++].delta;
+      peak = Math.max(peak, parked);
+    }
+    buckets.get(hourStart).peakOccupied = peak;
+  });
+
+  return buckets;
+}
+
+async function writeSnapshots(rows) {
+  for (let index = 0; index < rows.length; index += INSERT_BATCH_SIZE) {
+    const batch = rows.slice(index, index + INSERT_BATCH_SIZE);
+    const placeholders = batch.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())').join(', ');
+    await db.query(`
+      INSERT INTO occupancy_snapshots
+        (bucket_start, parking_area_id, parking_section_id, vehicle_type, capacity, occupied_minutes,
+         peak_occupied, arrivals, departures, dwell_minutes, bookings, no_shows, computed_at)
+      VALUES ${placeholders}
+      ON DUPLICATE KEY UPDATE
+        parking_area_id = VALUES(parking_area_id),
+        vehicle_type = VALUES(vehicle_type),
+        capacity = VALUES(capacity),
+        occupied_minutes = VALUES(occupied_minutes),
+        peak_occupied = VALUES(peak_occupied),
+        arrivals = VALUES(arrivals),
+        departures = VALUES(departures),
+        dwell_minutes = VALUES(dwell_minutes),
+        bookings = VALUES(bookings),
+        no_shows = VALUES(no_shows),
+        computed_at = NOW()
+    `, batch.flat());
+  }
+}
+
+/**
+ * Recompute the hourly snapshots of every section for [from, to). Safe to run repeatedly;
+ * the current hour is rewritten on every run until it is over.
+ * @throws INVALID_RANGE
+ * @returns {Promise<{ from: Date, to: Date, hours: number, rows: number }>}
+ */
+async function buildSnapshots(from, to) {
+  const start = floorToHour(from);
+  const end = floorToHour(new Date(to.getTime() + HOUR_MS - 1));
+  assertRange(start, end);
+
+  const hours = [];
+  for (let hour = start.getTime(); hour < end.getTime(); hour += HOUR_MS) {
+    hours.push(new Date(hour));
+  }
+
+  const [sections, sessions, bookings] = await Promise.all([
+    loadSections(),
+    loadSessions(start, end),
+    loadBookings(start, end)
+  ]);
+
+  const rows = [];
+  sections.forEach(section => {
+    const buckets = foldSectionHours(
+      sessions.filter(session => session.sectionId === section.sectionId),
+      bookings.filter(booking => booking.sectionId === section.sectionId),
+      hours
+    );
+
+    hours.forEach(hour => {
+      const bucket = buckets.get(hour.getTime());
+      rows.push([
+        hour,
+        section.areaId,
+        section.sectionId,
+        section.vehicleType,
+        section.capacity,
+        Math.round(bucket.occupiedMinutes),
+        bucket.peakOccupied,
+        bucket.arrivals,
+        bucket.departures,
+        Math.round(bucket.dwellMinutes),
+        bucket.bookings,
+        bucket.noShows
+      ]);
+    });
+  });
+
+  await writeSnapshots(rows);
+  return { from: start, to: end, hours: hours.length, rows: rows.length };
+}
+
+/**
+ * Bring the snapshots up to date: the previous and current hour, or the backfill window
+ * when the table is still empty
+ */
+async function refreshSnapshots() {
+  if (isRunning) {
+    return null;
+  }
+  isRunning = true;
+
+  try {
+    const now = new Date();
+    const latest = await db.query('SELECT MAX(bucket_start) as bucket_start FROM occupancy_snapshots');
+    const from = latest[0].bucket_start
+      ? new Date(Math.min(new Date(latest[0].bucket_start).getTime(), now.getTime() - HOUR_MS))
+      : new Date(now.getTime() - BACKFILL_DAYS * 24 * HOUR_MS);
+    return await buildSnapshots(from, now);
+  } finally {
+    isRunning = false;
+  }
+}
+
+function buildFilters({ from, to, areaId = null, sectionId = null, vehicleType = null }) {
+  assertRange(from, to);
+  const conditions = ['os.bucket_start >= ?', 'os.bucket_start < ?'];
+  const params = [floorToHour(from), to];
+  if (areaId) {
+    conditions.push('os.parking_area_id = ?');
+    params.push(areaId);
+  }
+  if (sectionId) {
+    conditions.push('os.parking_section_id = ?');
+    params.push(sectionId);
+  }
+  if (vehicleType) {
+    conditions.push('os.vehicle_type = ?');
+    params.push(vehicleType);
+  }
+  return { where: conditions.join(' AND '), params };
+}
+
+// Column and label of each grouping; values are fixed here, never taken from the request
+const groupColumns = {
+  [GroupBy.AREA]: { key: 'os.parking_area_id', label: 'pa.parking_area_name' },
+  [GroupBy.SECTION]: { key: 'os.parking_section_id', label: "CONCAT(pa.parking_area_name, ' / ', psec.section_name)" },
+  [GroupBy.VEHICLE_TYPE]: { key: 'os.vehicle_type', label: 'os.vehicle_type' }
+};
+
+const rate = (numerator, denominator) => (denominator > 0 ? Number((numerator / denominator).toFixed(4)) : null);
+const round = (value, digits = 2) => Number(Number(value || 0).toFixed(digits));
+
+/**
+ * Occupancy per hour (or day) for each area, section or vehicle type.
+ * occupancyRate is parked vehicle-minutes over capacity-minutes; peakOccupied adds up the peaks of
+ * the group's sections, so it can overstate a group whose sections peak at different times.
+ */
+async function getOccupancySeries(filters, groupBy = GroupBy.AREA, interval = Intervals.HOUR) {
+  const { where, params } = buildFilters(filters);
+  const group = groupColumns[groupBy];
+  const bucket = interval === Intervals.DAY ? 'DATE(hourly.bucket_start)' : 'hourly.bucket_start';
+
+  // Sum the sections of a group per hour first, so daily rows report the busiest hour as their peak
+  const rows = await db.query(`
+    SELECT
+      ${bucket} as bucket,
+      hourly.group_key,
+      hourly.group_label,
+      AVG(hourly.capacity) as capacity,
+      SUM(hourly.occupied_minutes) as occupied_minutes,
+      SUM(hourly.capacity) * 60 as capacity_minutes,
+      MAX(hourly.peak_occupied) as peak_occupied,
+      SUM(hourly.arrivals) as arrivals,
+      SUM(hourly.departures) as departures
+    FROM (
+      SELECT
+        os.bucket_start,
+        ${group.key} as group_key,
+        ${group.label} as group_label,
+        SUM(os.capacity) as capacity,
+        SUM(os.occupied_minutes) as occupied_minutes,
+        SUM(os.peak_occupied) as peak_occupied,
+        SUM(os.arrivals) as arrivals,
+        SUM(os.departures) as departures
+      FROM occupancy_snapshots os
+      JOIN parking_area pa ON pa.parking_area_id = os.parking_area_id
+      JOIN parking_section psec ON psec.parking_section_id = os.parking_section_id
+      WHERE ${where}
+      GROUP BY os.bucket_start, group_key, group_label
+    ) hourly
+    GROUP BY bucket, hourly.group_key, hourly.group_label
+    ORDER BY bucket, hourly.group_label
+  `, params);
+
+  const hoursPerBucket = interval === Intervals.DAY ? 24 : 1;
+  return rows.map(row => ({
+    bucket: row.bucket,
+    groupKey: row.group_key,
+    groupLabel: row.group_label,
+    capacity: Math.round(Number(row.capacity)),
+    avgOccupied: round(Number(row.occupied_minutes) / (60 * hoursPerBucket)),
+    peakOccupied: Math.round(Number(row.peak_occupied)),
+    occupancyRate: rate(Number(row.occupied_minutes), Number(row.capacity_minutes)),
+    arrivals: Number(row.arrivals),
+    departures: Number(row.departures)
+  }));
+}
+
+/**
+ * Average occupancy by day of week (1 = Sunday, as MySQL DAYOFWEEK) and hour of day
+ */
+async function getOccupancyHeatmap(filters) {
+  const { where, params } = buildFilters(filters);
+  const rows = await db.query(`
+    SELECT
+      DAYOFWEEK(os.bucket_start) as day_of_week,
+      HOUR(os.bucket_start) as hour,
+      SUM(os.occupied_minutes) as occupied_minutes,
+      SUM(os.capacity) * 60 as capacity_minutes,
+      COUNT(DISTINCT os.bucket_start) as samples,
+      SUM(os.arrivals) as arrivals
+    FROM occupancy_snapshots os
+    WHERE ${where}
+    GROUP BY day_of_week, hour
+    ORDER BY day_of_week, hour
+  `, params);
+
+  return rows.map(row => ({
+    dayOfWeek: Number(row.day_of_week),
+    hour: Number(row.hour),
+    occupancyRate: rate(Number(row.occupied_minutes), Number(row.capacity_minutes)),
+    avgOccupied: round(Number(row.occupied_minutes) / 60 / Number(row.samples)),
+    avgArrivals: round(Number(row.arrivals) / Number(row.samples))
+  }));
+}
+
+/**
+ * Dwell time, turnover (completed sessions per unit of capacity per day), no-show rate and
+ * overall occupancy for each group
+ */
+async function getUsageSummary(filters, groupBy = GroupBy.AREA) {
+  const { where, params } = buildFilters(filters);
+  const group = groupColumns[groupBy];
+
+  const rows = await db.query(`
+    SELECT
+      ${group.key} as group_key,
+      ${group.label} as group_label,
+      SUM(os.capacity) / COUNT(DISTINCT os.bucket_start) as capacity,
+      COUNT(DISTINCT DATE(os.bucket_start)) as days,
+      SUM(os.occupied_minutes) as occupied_minutes,
+      SUM(os.capacity) * 60 as capacity_minutes,
+      SUM(os.arrivals) as arrivals,
+      SUM(os.departures) as completed_sessions,
+      SUM(os.dwell_minutes) as dwell_minutes,
+      SUM(os.bookings) as bookings,
+      SUM(os.no_shows) as no_shows
+    FROM occupancy_snapshots os
+    JOIN parking_area pa ON pa.parking_area_id = os.parking_area_id
+    JOIN parking_section psec ON psec.parking_section_id = os.parking_section_id
+    WHERE ${where}
+    GROUP BY group_key, group_label
+    ORDER BY group_label
+  `, params);
+
+  return rows.map(row => {
+    const capacity = Number(row.capacity);
+    const completedSessions = Number(row.completed_sessions);
+    return {
+      groupKey: row.group_key,
+      groupLabel: row.group_label,
+      capacity: Math.round(capacity),
+      occupancyRate: rate(Number(row.occupied_minutes), Number(row.capacity_minutes)),
+      arrivals: Number(row.arrivals),
+      completedSessions,
+      avgDwellMinutes: completedSessions > 0 ? round(Number(row.dwell_minutes) / completedSessions, 1) : null,
+      turnoverPerDay: capacity > 0 ? round(completedSessions / capacity / Number(row.days)) : null,
+      bookings: Number(row.bookings),
+      noShows: Number(row.no_shows),
+      noShowRate: rate(Number(row.no_shows), Number(row.bookings))
+    };
+  });
+}
+
+/**
+ * Busiest hours of the day on average, and the single busiest hours in the range
+ */
+async function getPeakHours(filters, limit = 5) {
+  const { where, params } = buildFilters(filters);
+
+  const [byHour, busiest] = await Promise.all([
+    db.query(`
+      SELECT
+        HOUR(os.bucket_start) as hour,
+        SUM(os.occupied_minutes) as occupied_minutes,
+        SUM(os.capacity) * 60 as capacity_minutes,
+        SUM(os.arrivals) / COUNT(DISTINCT os.bucket_start) as avg_arrivals
+      FROM occupancy_snapshots os
+      WHERE ${where}
+      GROUP BY hour
+    `, params),
+    db.query(`
+      SELECT
+        os.bucket_start,
+        SUM(os.peak_occupied) as peak_occupied,
+        SUM(os.capacity) as capacity,
+        SUM(os.occupied_minutes) as occupied_minutes
+      FROM occupancy_snapshots os
+      WHERE ${where}
+      GROUP BY os.bucket_start
+      HAVING peak_occupied > 0
+      ORDER BY peak_occupied DESC, occupied_minutes DESC
+      LIMIT ${Number(limit)}
+    `, params)
+  ]);
+
+  return {
+    hoursOfDay: byHour
+      .map(row => ({
+        hour: Number(row.hour),
+        occupancyRate: rate(Number(row.occupied_minutes), Number(row.capacity_minutes)),
+        avgArrivals: round(row.avg_arrivals)
+      }))
+      .sort((a, b) => (b.occupancyRate || 0) - (a.occupancyRate || 0))
+      .slice(0, Number(limit)),
+    busiestHours: busiest.map(row => ({
+      bucket: row.bucket_start,
+      peakOccupied: Number(row.peak_occupied),
+      capacity: Number(row.capacity),
+      occupancyRate: rate(Number(row.occupied_minutes), Number(row.capacity) * 60)
+    }))
+  };
+}
+
+function startOccupancySnapshotJob() {
+  if (snapshotTimer) {
+    return;
+  }
+
+  const run = () => {
+    refreshSnapshots().catch(error => {
+      console.error('Occupancy snapshot job error:', error);
+    });
+  };
+  snapshotTimer = setInterval(run, SNAPSHOT_INTERVAL_MS);
+  run();
+
+  console.log(`📈 Occupancy snapshot job running every ${SNAPSHOT_INTERVAL_MS / 1000}s`);
+}
+
+function stopOccupancySnapshotJob() {
+  if (snapshotTimer) {
+    clearInterval(snapshotTimer);
+    snapshotTimer = null;
+  }
+}
+
+module.exports = {
+  GroupBy,
+  Intervals,
+  MAX_RANGE_DAYS,
+  getAnalyticsErrorStatus,
+  buildSnapshots,
+  refreshSnapshots,
+  getOccupancySeries,
+  getOccupancyHeatmap,
+  getUsageSummary,
+  getPeakHours,
+  startOccupancySnapshotJob,
+  stopOccupancySnapshotJob
+};
@@ -0,0 +1,237 @@
+const db = require('../config/database');
+const { canAccessArea, getAreaIdForReservation } = require('./accessControl');
+const { SessionActors, getSessionErrorStatus, startSession, endSession } = require('./parkingSession');
+const { getQrTicketErrorStatus, readQrPayloadIds, verifyQrTicket } = require('./qrTickets');
+const { AccessDirections, ScanDenialReasons, getDenialReasonForError, recordDeniedScan } = require('./accessLogs');
+
+/**
+ * Offline attendant scans. Without signal the attendant phone checks tickets against its offline
+ * ticket pack (qrTickets.listOfflineTickets) and queues start/end scans with the time they happened.
+ * Once back online it uploads the queue here: scans are applied oldest first with their recorded
+ * times, so parked time is billed as it happened at the gate. Scans that can no longer be applied
+ * (the booking was cancelled or expired meanwhile, the ticket is refused...) come back as conflicts.
+ * Every outcome is stored under the phone's scan id so a retried upload never applies a scan twice.
+ */
+const ScanTypes = {
+  START: 'start',
+  END: 'end'
+};
+
+const SyncStatuses = {
+  APPLIED: 'applied',
+  CONFLICT: 'conflict',
+  // Uploaded before; the stored outcome is returned again
+  DUPLICATE: 'duplicate'
+};
+
+const MAX_BATCH_SIZE = 200;
+const MAX_SCAN_AGE_HOURS = parseInt(process.env.OFFLINE_SCAN_MAX_AGE_HOURS, 10) || 24;
+// Scans stamped further in the future than this come from a wrong phone clock
+const CLOCK_TOLERANCE_SECONDS = 120;
+
+function offlineScanError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * HTTP status for an error thrown by this module, or null for unexpected errors
+ */
+function getOfflineScanErrorStatus(error) {
+  if (error.code === 'OFFLINE_SCANS_INVALID') return 400;
+  if (error.code === 'SCAN_TIME_INVALID' || error.code === 'SCAN_TOO_OLD') return 422;
+  if (error.code === 'AREA_NOT_ASSIGNED') return 403;
+  return null;
+}
+
+/**
+ * Validate an uploaded batch
+ * @param {Array} scans - [{ clientScanId, scanType: 'start'|'end', qrCodeData, scannedAt: ISO 8601 }]
+ * @returns {Array<{ clientScanId: string, scanType: string, qrCodeData: string, scannedAt: Date }>}
+ * @throws OFFLINE_SCANS_INVALID
+ */
+function parseOfflineScans(scans) {
+  if (!Array.isArray(scans) || scans.length === 0 || scans.length > MAX_BATCH_SIZE) {
+    throw offlineScanError('OFFLINE_SCANS_INVALID', `scans must be a list of 1 to ${MAX_BATCH_SIZE} scans`);
+  }
+
+  return scans.map((scan, index) => {
+    const clientScanId = scan && typeof scan.clientScanId === 'string' ? scan.clientScanId.trim() : '';
+    const scannedAt = scan ? new Date(scan.scannedAt) : null;
+    if (!clientScanId || clientScanId.length > 64) {
+      throw offlineScanError('OFFLINE_SCANS_INVALID', `Scan ${index + 1}: clientScanId must be 1 to 64 characters`);
+    }
+    if (!Object.values(ScanTypes).includes(scan.scanType)) {
+      throw offlineScanError('OFFLINE_SCANS_INVALID', `Scan ${index + 1}: scanType must be start or end`);
+    }
+    if (typeof scan.qrCodeData !== 'string' || !scan.qrCodeData) {
+      throw offlineScanError('OFFLINE_SCANS_INVALID', `Scan ${index + 1}: qrCodeData is required`);
+    }
+    if (!scan.scannedAt || Number.isNaN(scannedAt.getTime())) {
+      throw offlineScanError('OFFLINE_SCANS_INVALID', `Scan ${index + 1}: scannedAt must be an ISO 8601 time`);
+    }
+    return { clientScanId, scanType: scan.scanType, qrCodeData: scan.qrCodeData, scannedAt };
+  });
+}
+
+async function findSyncedScan(attendantId, clientScanId) {
+  const rows = await db.query(`
+    SELECT reservation_id, sync_status, error_code, message
+    FROM offline_scan_syncs
+    WHERE attendant_user_id = ? AND client_scan_id = ?
+  `, [attendantId, clientScanId]);
+  return rows[0] || null;
+}
+
+async function saveSyncedScan(attendantId, scan, outcome) {
+  try {
+    await db.execute(`
+      INSERT INTO offline_scan_syncs (
+        attendant_user_id, client_scan_id, reservation_id, scan_type, scanned_at, sync_status, error_code, message
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      attendantId,
+      scan.clientScanId,
+      outcome.reservationId || null,
+      scan.scanType,
+      scan.scannedAt,
+      outcome.status,
+      outcome.errorCode || null,
+      outcome.message ? String(outcome.message).slice(0, 255) : null
+    ]);
+  } catch (error) {
+    // A concurrent upload of the same queue stored it first
+    if (error.code !== 'ER_DUP_ENTRY') {
+      throw error;
+    }
+  }
+}
+
+const isConflict = (error) => Boolean(
+  getSessionErrorStatus(error) || getQrTicketErrorStatus(error) || getOfflineScanErrorStatus(error)
+);
+
+async function applyScan(attendantId, access, scan) {
+  const direction = scan.scanType === ScanTypes.START ? AccessDirections.ENTRY : AccessDirections.EXIT;
+  let reservationId = readQrPayloadIds(scan.qrCodeData).reservationId;
+
+  try {
+    const ageSeconds = (Date.now() - scan.scannedAt.getTime()) / 1000;
+    if (ageSeconds < -CLOCK_TOLERANCE_SECONDS) {
+      throw offlineScanError('SCAN_TIME_INVALID', 'The scan time is in the future. Check the date and time on the phone.');
+    }
+    if (ageSeconds > MAX_SCAN_AGE_HOURS * 60 * 60) {
+      throw offlineScanError('SCAN_TOO_OLD', `Offline scans older than ${MAX_SCAN_AGE_HOURS} hours are not applied`);
+    }
+
+    // Tickets are checked as of the scan time, and later tickets of a reservation replace earlier ones
+    const ticket = await verifyQrTicket(scan.qrCodeData, { at: scan.scannedAt });
+    if (ticket.legacy) {
+      throw offlineScanError('QR_LEGACY_REJECTED', 'Unsigned QR codes from older app versions cannot be scanned offline');
+    }
+    reservationId = ticket.reservationId;
+
+    const areaId = await getAreaIdForReservation({ reservationId });
+    if (areaId !== null && !canAccessArea(access, areaId)) {
+      throw offlineScanError('AREA_NOT_ASSIGNED', 'This parking area is not assigned to you');
+    }
+
+    if (scan.scanType === ScanTypes.START) {
+      const session = await startSession(reservationId, { scannedBy: attendantId, at: scan.scannedAt, ticket });
+      return {
+        status: SyncStatuses.APPLIED,
+        reservationId,
+        vehiclePlate: session.plate_number,
+        spotNumber: session.spot_number,
+        areaName: session.parking_area_name
+      };
+    }
+
+    const result = await endSession(reservationId, {
+      endedBy: SessionActors.ATTENDANT_SCAN,
+      scannedBy: attendantId,
+      at: scan.scannedAt,
+      ticket
+    });
+    return {
+      status: SyncStatuses.APPLIED,
+      reservationId,
+      vehiclePlate: result.session.plate_number,
+      spotNumber: result.session.spot_number,
+      areaName: result.session.parking_area_name,
+      durationMinutes: result.durationMinutes,
+      chargeHours: result.hoursDeducted,
+      penaltyHours: result.penaltyHours
+    };
+  } catch (error) {
+    if (!isConflict(error)) {
+      throw error;
+    }
+
+    await recordDeniedScan({
+      reservationId,
+      direction,
+      reason: getDenialReasonForError(error) || ScanDenialReasons.NOT_SCANNABLE,
+      attendantId,
+      accessTime: scan.scannedAt,
+      details: `Offline scan: ${error.message}`
+    });
+    return {
+      status: SyncStatuses.CONFLICT,
+      reservationId,
+      errorCode: error.code,
+      message: error.message
+    };
+  }
+}
+
+/**
+ * Apply an uploaded queue of offline scans in the order they happened
+ * @param {number} attendantId
+ * @param {object} access - from getUserAccess, for the area check
+ * @param {Array} scans - from parseOfflineScans
+ * @returns {Promise<{ results: object[], applied: number, conflicts: number }>} results in timestamp order
+ */
+async function syncOfflineScans(attendantId, access, scans) {
+  const ordered = scans
+    .map((scan, index) => ({ scan, index }))
+    .sort((a, b) => (a.scan.scannedAt - b.scan.scannedAt) || (a.index - b.index))
+    .map(({ scan }) => scan);
+
+  const results = [];
+  for (const scan of ordered) {
+    const base = { clientScanId: scan.clientScanId, scanType: scan.scanType, scannedAt: scan.scannedAt };
+
+    const synced = await findSyncedScan(attendantId, scan.clientScanId);
+    if (synced) {
+      results.push({
+        ...base,
+        status: SyncStatuses.DUPLICATE,
+        previousStatus: synced.sync_status,
+        reservationId: synced.reservation_id,
+        errorCode: synced.error_code,
+        message: synced.message
+      });
+      continue;
+    }
+
+    const outcome = await applyScan(attendantId, access, scan);
+    await saveSyncedScan(attendantId, scan, outcome);
+    results.push({ ...base, ...outcome });
+  }
+
+  return {
+    results,
+    applied: results.filter(result => result.status === SyncStatuses.APPLIED).length,
+    conflicts: results.filter(result => result.status === SyncStatuses.CONFLICT).length
+  };
+}
+
+module.exports = {
+  ScanTypes,
+  SyncStatuses,
+  getOfflineScanErrorStatus,
+  parseOfflineScans,
+  syncOfflineScans
+};
@@ -0,0 +1,374 @@
+const db = require('../config/database');
+const { processSvgLayout } = require('../utils/svgLayout');
+
+const LayoutStatuses = {
+  DRAFT: 'draft',
+  PUBLISHED: 'published',
+  ARCHIVED: 'archived'
+};
+
+function layoutError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * HTTP status for an error thrown by this module, or null for unexpected errors
+ */
+function getLayoutErrorStatus(error) {
+  if (error.code === 'INVALID_SVG') return 400;
+  if (error.code === 'AREA_NOT_FOUND') return 404;
+  if (error.code === 'LAYOUT_NOT_FOUND') return 404;
+  if (error.code === 'LAYOUT_UNLINKED_SPOTS') return 409;
+  if (error.code === 'NO_PREVIOUS_LAYOUT') return 409;
+  return null;
+}
+
+const parseJson = (value) => {
+  if (!value) return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+/**
+ * Attach parking_spot_id / parking_section_id to the extracted geometry.
+ * Slot ids in the SVG are spot numbers (e.g. FPA-S-001); sections are matched by name,
+ * preferring the layout's floor.
+ */
+async function linkGeometry(areaId, floor, geometry) {
+  const [spots, sections] = await Promise.all([
+    db.query(`
+      SELECT ps.parking_spot_id, ps.spot_number, psec.parking_section_id, psec.section_name
+      FROM parking_spot ps
+      JOIN parking_section psec ON ps.parking_section_id = psec.parking_section_id
+      WHERE psec.parking_area_id = ?
+    `, [areaId]),
+    db.query(`
+      SELECT parking_section_id, section_name, section_mode, floor
+      FROM parking_section
+      WHERE parking_area_id = ?
+      ORDER BY floor = ? DESC, parking_section_id
+    `, [areaId, floor])
+  ]);
+
+  const warnings = [...geometry.warnings];
+
+  const linkedSpots = geometry.spots.map(spot => {
+    const candidates = spots.filter(row => row.spot_number === spot.spotNumber);
+    const match = candidates.find(row => row.section_name === spot.section) || candidates[0];
+    if (!match) {
+      warnings.push(`Slot ${spot.elementId} does not match a parking spot in this area`);
+    }
+    return {
+      ...spot,
+      parkingSpotId: match ? Number(match.parking_spot_id) : null,
+      parkingSectionId: match ? Number(match.parking_section_id) : null
+    };
+  });
+
+  const linkedSections = geometry.sections.map(section => {
+    const match = sections.find(row => row.section_name === section.sectionName);
+    if (!match) {
+      warnings.push(`Section label ${section.sectionName} does not match a section in this area`);
+    }
+    return {
+      ...section,
+      parkingSectionId: match ? Number(match.parking_section_id) : null,
+      sectionMode: match ? match.section_mode : null
+    };
+  });
+
+  return { ...geometry, spots: linkedSpots, sections: linkedSections, warnings };
+}
+
+const toRevision = (row) => ({
+  layoutId: row.parking_layout_id,
+  areaId: row.parking_area_id,
+  floor: row.floor,
+  version: row.version,
+  status: row.status,
+  notes: row.notes,
+  uploadedBy: row.uploaded_by,
+  createdAt: row.created_at,
+  publishedAt: row.published_at,
+  publishedBy: row.published_by
+});
+
+async function getLayoutRow(layoutId) {
+  const rows = await db.query('SELECT * FROM parking_layout WHERE parking_layout_id = ?', [layoutId]);
+  if (rows.length === 0) {
+    throw layoutError('LAYOUT_NOT_FOUND', 'Layout not found');
+  }
+  return rows[0];
+}
+
+// Publishing archives whatever was live on that floor
+async function publishRow(connection, layout, userId) {
+  await connection.execute(`
+    UPDATE parking_layout SET status = ?
+    WHERE parking_area_id = ? AND floor = ? AND status = ? AND parking_layout_id <> ?
+  `, [LayoutStatuses.ARCHIVED, layout.parking_area_id, layout.floor, LayoutStatuses.PUBLISHED, layout.parking_layout_id]);
+
+  await connection.execute(`
+    UPDATE parking_layout SET status = ?, published_at = NOW(), published_by = ?, updated_at = NOW()
+    WHERE parking_layout_id = ?
+  `, [LayoutStatuses.PUBLISHED, userId, layout.parking_layout_id]);
+}
+
+async function withTransaction(work) {
+  if (!db.connection) {
+    await db.connect();
+  }
+  const connection = await db.connection.getConnection();
+
+  try {
+    await connection.beginTransaction();
+    const result = await work(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+function assertLinked(geometry) {
+  const unlinked = geometry.spots.filter(spot => !spot.parkingSpotId).map(spot => spot.elementId);
+  if (unlinked.length > 0) {
+    throw layoutError(
+      'LAYOUT_UNLINKED_SPOTS',
+      `Slots without a matching parking spot: ${unlinked.join(', ')}. Create the spots first or fix the slot ids.`
+    );
+  }
+}
+
+/**
+ * Store a new layout revision for an area floor.
+ * The SVG is sanitized and its geometry extracted and linked to spot/section ids here, once.
+ * @param {object} upload - { floor, svg, layoutData?, notes?, publish? }
+ * @throws AREA_NOT_FOUND | INVALID_SVG | LAYOUT_UNLINKED_SPOTS (only when publishing)
+ * @returns {Promise<{ revision: object, geometry: object }>}
+ */
+async function uploadLayout(areaId, { floor, svg, layoutData = null, notes = null, publish = false }, userId) {
+  const areas = await db.query('SELECT parking_area_id FROM parking_area WHERE parking_area_id = ?', [areaId]);
+  if (areas.length === 0) {
+    throw layoutError('AREA_NOT_FOUND', 'Parking area not found');
+  }
+
+  const processed = processSvgLayout(svg);
+  const geometry = await linkGeometry(areaId, floor, processed.geometry);
+  if (publish) {
+    assertLinked(geometry);
+  }
+
+  const layoutId = await withTransaction(async (connection) => {
+    const [versions] = await connection.execute(
+      'SELECT COALESCE(MAX(version), 0) as version FROM parking_layout WHERE parking_area_id = ? AND floor = ? FOR UPDATE',
+      [areaId, floor]
+    );
+
+    const [result] = await connection.execute(`
+      INSERT INTO parking_layout
+        (parking_area_id, floor, version, status, layout_data, svg_data, geometry, notes, uploaded_by, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+    `, [
+      areaId,
+      floor,
+      Number(versions[0].version) + 1,
+      LayoutStatuses.DRAFT,
+      JSON.stringify(layoutData || {}),
+      processed.svg,
+      JSON.stringify(geometry),
+      notes,
+      userId
+    ]);
+
+    if (publish) {
+      await publishRow(connection, { parking_layout_id: result.insertId, parking_area_id: areaId, floor }, userId);
+    }
+    return result.insertId;
+  });
+
+  return { revision: toRevision(await getLayoutRow(layoutId)), geometry };
+}
+
+/**
+ * Revisions of an area (newest first), optionally for one floor
+ */
+async function listLayoutRevisions(areaId, floor = null) {
+  const rows = await db.query(`
+    SELECT parking_layout_id, parking_area_id, floor, version, status, notes, uploaded_by,
+           created_at, published_at, published_by
+    FROM parking_layout
+    WHERE parking_area_id = ? ${floor !== null ? 'AND floor = ?' : ''}
+    ORDER BY floor, version DESC
+  `, floor !== null ? [areaId, floor] : [areaId]);
+  return rows.map(toRevision);
+}
+
+/**
+ * Make a revision the live layout of its floor
+ * @throws LAYOUT_NOT_FOUND | LAYOUT_UNLINKED_SPOTS
+ */
+async function publishLayout(layoutId, userId) {
+  const layout = await getLayoutRow(layoutId);
+  // Spots may have been added since the upload; link again before checking
+  const geometry = await linkGeometry(layout.parking_area_id, layout.floor, {
+    ...parseJson(layout.geometry),
+    warnings: []
+  });
+  assertLinked(geometry);
+
+  await withTransaction(async (connection) => {
+    await connection.execute(
+      'UPDATE parking_layout SET geometry = ? WHERE parking_layout_id = ?',
+      [JSON.stringify(geometry), layoutId]
+    );
+    await publishRow(connection, layout, userId);
+  });
+
+  return toRevision(await getLayoutRow(layoutId));
+}
+
+/**
+ * Re-publish the revision that was live before the current one
+ * @throws NO_PREVIOUS_LAYOUT
+ */
+async function rollbackLayout(areaId, floor, userId) {
+  const current = await db.query(`
+    SELECT version FROM parking_layout
+    WHERE parking_area_id = ? AND floor = ? AND status = ?
+  `, [areaId, floor, LayoutStatuses.PUBLISHED]);
+
+  // Archived revisions that were published at some point, newest below the live one
+  const previous = await db.query(`
+    SELECT * FROM parking_layout
+    WHERE parking_area_id = ? AND floor = ? AND status = ? AND published_at IS NOT NULL
+      AND version < ?
+    ORDER BY version DESC
+    LIMIT 1
+  `, [areaId, floor, LayoutStatuses.ARCHIVED, current.length > 0 ? current[0].version : Number.MAX_SAFE_INTEGER]);
+
+  if (previous.length === 0) {
+    throw layoutError('NO_PREVIOUS_LAYOUT', 'There is no earlier published layout to roll back to');
+  }
+
+  await withTransaction(connection => publishRow(connection, previous[0], userId));
+  return toRevision(await getLayoutRow(previous[0].parking_layout_id));
+}
+
+/**
+ * Published layout of an area floor, or of its lowest floor with one when floor is null
+ */
+async function getPublishedLayout(areaId, floor = null) {
+  const rows = await db.query(`
+    SELECT pl.*, pa.parking_area_name, pa.location
+    FROM parking_layout pl
+    JOIN parking_area pa ON pl.parking_area_id = pa.parking_area_id
+    WHERE pl.parking_area_id = ? AND pl.status = ? ${floor !== null ? 'AND pl.floor = ?' : ''}
+    ORDER BY pl.floor
+    LIMIT 1
+  `, floor !== null ? [areaId, LayoutStatuses.PUBLISHED, floor] : [areaId, LayoutStatuses.PUBLISHED]);
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const layout = rows[0];
+  let layoutData = null;
+  try {
+    layoutData = parseJson(layout.layout_data);
+  } catch (error) {
+    // Editor metadata only; the SVG and geometry have their own columns
+  }
+
+  return {
+    ...toRevision(layout),
+    areaName: layout.parking_area_name,
+    location: layout.location,
+    svg: layout.svg_data,
+    geometry: parseJson(layout.geometry),
+    sections: Array.isArray(layoutData?.sections) ? layoutData.sections : []
+  };
+}
+
+/**
+ * Every floor of an area with its availability, whether or not it has a published layout.
+ * Floors come from num_of_floors, section floors and published layouts, so a section placed
+ * on a floor above num_of_floors still shows up. Capacity sections count their free capacity.
+ */
+async function getAreaFloors(areaId) {
+  const [areas, sectionCounts, layouts] = await Promise.all([
+    db.query('SELECT num_of_floors FROM parking_area WHERE parking_area_id = ?', [areaId]),
+    db.query(`
+      SELECT
+        psec.floor,
+        SUM(CASE WHEN psec.section_mode = 'capacity_only' THEN psec.capacity ELSE 0 END) as capacity_total,
+        SUM(CASE WHEN psec.section_mode = 'capacity_only'
+          THEN GREATEST(psec.capacity - psec.parked_count - psec.reserved_count, 0) ELSE 0 END) as capacity_available,
+        SUM(CASE WHEN psec.section_mode = 'capacity_only' THEN psec.parked_count ELSE 0 END) as capacity_occupied,
+        SUM(CASE WHEN psec.section_mode = 'capacity_only' THEN psec.reserved_count ELSE 0 END) as capacity_reserved,
+        COALESCE(SUM(spots.total), 0) as spot_total,
+        COALESCE(SUM(spots.available), 0) as spot_available,
+        COALESCE(SUM(spots.occupied), 0) as spot_occupied,
+        COALESCE(SUM(spots.reserved), 0) as spot_reserved
+      FROM parking_section psec
+      LEFT JOIN (
+        SELECT
+          parking_section_id,
+          COUNT(*) as total,
+          SUM(CASE WHEN status = 'available' THEN 1 ELSE 0 END) as available,
+          SUM(CASE WHEN status = 'occupied' THEN 1 ELSE 0 END) as occupied,
+          SUM(CASE WHEN status = 'reserved' THEN 1 ELSE 0 END) as reserved
+        FROM parking_spot
+        GROUP BY parking_section_id
+      ) spots ON spots.parking_section_id = psec.parking_section_id
+      WHERE psec.parking_area_id = ?
+      GROUP BY psec.floor
+    `, [areaId]),
+    db.query(`
+      SELECT parking_layout_id, floor, version
+      FROM parking_layout
+      WHERE parking_area_id = ? AND status = ?
+    `, [areaId, LayoutStatuses.PUBLISHED])
+  ]);
+
+  const floorNumbers = new Set();
+  const numOfFloors = areas.length > 0 ? Number(areas[0].num_of_floors) || 1 : 1;
+  for (let floor = 1; floor <= numOfFloors; floor++) {
+    floorNumbers.add(floor);
+  }
+  sectionCounts.forEach(row => floorNumbers.add(Number(row.floor)));
+  layouts.forEach(row => floorNumbers.add(Number(row.floor)));
+
+  return [...floorNumbers].sort((a, b) => a - b).map(floor => {
+    const counts = sectionCounts.find(row => Number(row.floor) === floor);
+    const layout = layouts.find(row => Number(row.floor) === floor);
+    const sum = (spotKey, capacityKey) => counts ? Number(counts[spotKey]) + Number(counts[capacityKey]) : 0;
+
+    return {
+      floor,
+      hasLayout: Boolean(layout),
+      layoutId: layout ? layout.parking_layout_id : null,
+      version: layout ? layout.version : null,
+      totalSpots: sum('spot_total', 'capacity_total'),
+      availableSpots: sum('spot_available', 'capacity_available'),
+      occupiedSpots: sum('spot_occupied', 'capacity_occupied'),
+      reservedSpots: sum('spot_reserved', 'capacity_reserved')
+    };
+  });
+}
+
+module.exports = {
+  LayoutStatuses,
+  getLayoutErrorStatus,
+  linkGeometry,
+  uploadLayout,
+  listLayoutRevisions,
+  publishLayout,
+  rollbackLayout,
+  getPublishedLayout,
+  getAreaFloors
+};
@@ -0,0 +1,620 @@
+const db = require('../config/database');
+
+// Reservations that still hold their spot or section capacity
+const ACTIVE_RESERVATION_STATUSES = `('scheduled', 'reserved', 'active')`;
+
+const SectionModes = {
+  SLOT_BASED: 'slot_based',
+  CAPACITY_ONLY: 'capacity_only'
+};
+
+const VehicleTypes = ['car', 'motorcycle', 'bicycle'];
+
+// Columns an admin may set, keyed by the request field name
+const AREA_FIELDS = {
+  name: 'parking_area_name',
+  location: 'location',
+  numOfFloors: 'num_of_floors',
+  totalCapacity: 'total_capacity',
+  gridRows: 'grid_rows',
+  gridCols: 'grid_cols',
+  floorNumber: 'floor_number',
+  status: 'status'
+};
+
+const SECTION_FIELDS = {
+  name: 'section_name',
+  sectionType: 'section_type',
+  status: 'status',
+  floor: 'floor',
+  rows: 'rows',
+  columns: 'columns',
+  startRow: 'start_row',
+  startCol: 'start_col',
+  sectionMode: 'section_mode',
+  capacity: 'capacity',
+  gridWidth: 'grid_width',
+  vehicleType: 'vehicle_type',
+  isRotated: 'is_rotated'
+};
+
+const SPOT_FIELDS = {
+  spotNumber: 'spot_number',
+  status: 'status',
+  spotType: 'spot_type',
+  gridRow: 'grid_row',
+  gridCol: 'grid_col'
+};
+
+function parkingMasterError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * HTTP status for an error thrown by this module, or null for unexpected errors
+ */
+function getParkingMasterErrorStatus(error) {
+  if (error.code === 'AREA_NOT_FOUND') return 404;
+  if (error.code === 'SECTION_NOT_FOUND') return 404;
+  if (error.code === 'SPOT_NOT_FOUND') return 404;
+  if (error.code === 'VEHICLE_TYPE_NOT_FOUND') return 400;
+  if (error.code === 'SPOT_OUTSIDE_GRID') return 400;
+  if (error.code === 'SPOT_NUMBER_TAKEN') return 409;
+  if (error.code === 'ACTIVE_RESERVATIONS') return 409;
+  if (error.code === 'SENSORS_ATTACHED') return 409;
+  if (error.code === 'AREA_IN_USE') return 409;
+  return null;
+}
+
+// Only the fields present in the request, as { column: value }
+function pickColumns(fields, changes) {
+  const columns = {};
+  Object.entries(fields).forEach(([field, column]) => {
+    if (changes[field] !== undefined) {
+      columns[column] = typeof changes[field] === 'boolean' ? (changes[field] ? 1 : 0) : changes[field];
+    }
+  });
+  return columns;
+}
+
+const assignments = (columns) => Object.keys(columns).map(column => `\`${column}\` = ?`).join(', ');
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+async function withTransaction(work) {
+  if (!db.connection) {
+    await db.connect();
+  }
+  const connection = await db.connection.getConnection();
+
+  try {
+    await connection.beginTransaction();
+    const result = await work(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Spot numbers follow the existing "<AREA>-<SECTION>-<NNN>" pattern, e.g. MAI-ADS-001 for Main Campus / ADS
+function spotNumberPrefix(areaName, sectionName) {
+  const areaPrefix = String(areaName || '').replace(/[^a-z0-9]/gi, '').slice(0, 3).toUpperCase() || 'P';
+  const sectionPrefix = String(sectionName || '').replace(/\s+/g, '').toUpperCase() || 'S';
+  return `${areaPrefix}-${sectionPrefix}`;
+}
+
+async function getAreaRow(areaId) {
+  const areas = await db.query('SELECT * FROM parking_area WHERE parking_area_id = ?', [areaId]);
+  if (areas.length === 0) {
+    throw parkingMasterError('AREA_NOT_FOUND', 'Parking area not found');
+  }
+  return areas[0];
+}
+
+async function getSectionRow(sectionId) {
+  const sections = await db.query(`
+    SELECT ps.*, pa.parking_area_name
+    FROM parking_section ps
+    JOIN parking_area pa ON ps.parking_area_id = pa.parking_area_id
+    WHERE ps.parking_section_id = ?
+  `, [sectionId]);
+  if (sections.length === 0) {
+    throw parkingMasterError('SECTION_NOT_FOUND', 'Parking section not found');
+  }
+  return sections[0];
+}
+
+async function getSpotRow(spotId) {
+  const spots = await db.query('SELECT * FROM parking_spot WHERE parking_spot_id = ?', [spotId]);
+  if (spots.length === 0) {
+    throw parkingMasterError('SPOT_NOT_FOUND', 'Parking spot not found');
+  }
+  return spots[0];
+}
+
+// vehicle_type (enum) and vehicle_type_id both describe a section's vehicles; keep them in step
+async function getVehicleTypeId(vehicleType) {
+  const types = await db.query(
+    'SELECT vehicle_type_id FROM vehicle_types WHERE LOWER(vehicle_type_name) = ?',
+    [vehicleType]
+  );
+  if (types.length === 0) {
+    throw parkingMasterError('VEHICLE_TYPE_NOT_FOUND', `Vehicle type "${vehicleType}" is not configured`);
+  }
+  return types[0].vehicle_type_id;
+}
+
+/**
+ * Active reservations on the given spots or sections (capacity reservations use spot id 0)
+ */
+async function findActiveReservations({ spotIds = [], sectionIds = [] }) {
+  const conditions = [];
+  const params = [];
+  if (spotIds.length > 0) {
+    conditions.push(`parking_spots_id IN (${placeholders(spotIds)})`);
+    params.push(...spotIds);
+  }
+  if (sectionIds.length > 0) {
+    conditions.push(`(parking_spots_id = 0 AND parking_section_id IN (${placeholders(sectionIds)}))`);
+    params.push(...sectionIds);
+  }
+  if (conditions.length === 0) {
+    return [];
+  }
+
+  return db.query(`
+    SELECT reservation_id, parking_spots_id, parking_section_id, spot_number
+    FROM reservations
+    WHERE booking_status IN ${ACTIVE_RESERVATION_STATUSES}
+      AND (${conditions.join(' OR ')})
+  `, params);
+}
+
+async function assertNoActiveReservations(target, what) {
+  const reservations = await findActiveReservations(target);
+  if (reservations.length > 0) {
+    const spotNumbers = [...new Set(reservations.map(r => r.spot_number).filter(Boolean))];
+    throw parkingMasterError(
+      'ACTIVE_RESERVATIONS',
+      `Cannot ${what}: ${reservations.length} active reservation(s)${spotNumbers.length > 0 ? ` on ${spotNumbers.join(', ')}` : ''}`
+    );
+  }
+}
+
+// sensors.parking_spot_id has no ON DELETE rule, so spots with sensors cannot be removed
+async function assertNoSensors(spotIds, what) {
+  if (spotIds.length === 0) {
+    return;
+  }
+  const sensors = await db.query(
+    `SELECT COUNT(*) as count FROM sensors WHERE parking_spot_id IN (${placeholders(spotIds)})`,
+    spotIds
+  );
+  if (Number(sensors[0].count) > 0) {
+    throw parkingMasterError('SENSORS_ATTACHED', `Cannot ${what}: move or remove the ${sensors[0].count} sensor(s) on its spots first`);
+  }
+}
+
+/**
+ * Work out how a slot-based section's spots follow a new rows x columns grid.
+ * Spots already inside the grid keep their cell; spots outside it (or sharing a cell) move to
+ * the free cells first so their ids and numbers survive, and only the surplus is removed.
+ * @returns {{ moves: Array<{ spotId, gridRow, gridCol }>, removals: object[], additions: Array<{ gridRow, gridCol }> }}
+ */
+function planSpotGrid(spots, rows, columns) {
+  const placed = new Set();
+  const leftovers = [];
+
+  spots.forEach(spot => {
+    const key = `${spot.grid_row}:${spot.grid_col}`;
+    if (spot.grid_row < rows && spot.grid_col < columns && !placed.has(key)) {
+      placed.add(key);
+    } else {
+      leftovers.push(spot);
+    }
+  });
+
+  const freeCells = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < columns; col++) {
+      if (!placed.has(`${row}:${col}`)) {
+        freeCells.push({ gridRow: row, gridCol: col });
+      }
+    }
+  }
+
+  const moves = leftovers.slice(0, freeCells.length).map((spot, index) => ({
+    spotId: spot.parking_spot_id,
+    ...freeCells[index]
+  }));
+
+  return {
+    moves,
+    removals: leftovers.slice(freeCells.length),
+    additions: freeCells.slice(leftovers.length)
+  };
+}
+
+/**
+ * Bring a slot-based section's parking_spot rows in line with its grid
+ * @throws ACTIVE_RESERVATIONS | SENSORS_ATTACHED when spots that would be removed are still in use
+ */
+async function syncSectionSpots(connection, section) {
+  const [spots] = await connection.execute(`
+    SELECT parking_spot_id, spot_number, grid_row, grid_col
+    FROM parking_spot
+    WHERE parking_section_id = ?
+    ORDER BY grid_row, grid_col, parking_spot_id
+  `, [section.parking_section_id]);
+
+  const plan = planSpotGrid(spots, Number(section.rows), Number(section.columns));
+  const removedIds = plan.removals.map(spot => spot.parking_spot_id);
+
+  await assertNoActiveReservations({ spotIds: removedIds }, 'shrink the section');
+  await assertNoSensors(removedIds, 'shrink the section');
+
+  for (const move of plan.moves) {
+    await connection.execute(
+      'UPDATE parking_spot SET grid_row = ?, grid_col = ? WHERE parking_spot_id = ?',
+      [move.gridRow, move.gridCol, move.spotId]
+    );
+  }
+
+  if (removedIds.length > 0) {
+    await connection.execute(
+      `DELETE FROM parking_spot WHERE parking_spot_id IN (${placeholders(removedIds)})`,
+      removedIds
+    );
+  }
+
+  const prefix = spotNumberPrefix(section.parking_area_name, section.section_name);
+  const usedNumbers = new Set(
+    spots.filter(spot => !removedIds.includes(spot.parking_spot_id)).map(spot => spot.spot_number)
+  );
+  let sequence = 0;
+  const nextSpotNumber = () => {
+    let spotNumber;
+    do {
+      sequence += 1;
+      spotNumber = `${prefix}-${String(sequence).padStart(3, '0')}`;
+    } while (usedNumbers.has(spotNumber));
+    usedNumbers.add(spotNumber);
+    return spotNumber;
+  };
+
+  for (const cell of plan.additions) {
+    await connection.execute(`
+      INSERT INTO parking_spot (parking_section_id, spot_number, status, spot_type, grid_row, grid_col, is_occupied, created_at)
+      VALUES (?, ?, 'available', ?, ?, ?, 0, NOW())
+    `, [section.parking_section_id, nextSpotNumber(), section.vehicle_type, cell.gridRow, cell.gridCol]);
+  }
+
+  return {
+    created: plan.additions.length,
+    moved: plan.moves.length,
+    removed: removedIds.length
+  };
+}
+
+// ---- Areas ----
+
+async function listAreas() {
+  return db.query(`
+    SELECT pa.*,
+           COUNT(DISTINCT ps.parking_section_id) as section_count,
+           COUNT(spot.parking_spot_id) as spot_count
+    FROM parking_area pa
+    LEFT JOIN parking_section ps ON ps.parking_area_id = pa.parking_area_id
+    LEFT JOIN parking_spot spot ON spot.parking_section_id = ps.parking_section_id
+    GROUP BY pa.parking_area_id
+    ORDER BY pa.parking_area_id
+  `);
+}
+
+/**
+ * An area with its sections (and the number of spots in each)
+ * @throws AREA_NOT_FOUND
+ */
+async function getArea(areaId) {
+  const area = await getAreaRow(areaId);
+  const sections = await db.query(`
+    SELECT ps.*, COUNT(spot.parking_spot_id) as spot_count
+    FROM parking_section ps
+    LEFT JOIN parking_spot spot ON spot.parking_section_id = ps.parking_section_id
+    WHERE ps.parking_area_id = ?
+    GROUP BY ps.parking_section_id
+    ORDER BY ps.floor, ps.section_name
+  `, [areaId]);
+
+  return { ...area, sections };
+}
+
+async function createArea(fields) {
+  const columns = pickColumns(AREA_FIELDS, fields);
+  const names = Object.keys(columns);
+
+  const result = await db.execute(`
+    INSERT INTO parking_area (${names.map(name => `\`${name}\``).join(', ')}, created_at, updated_at)
+    VALUES (${placeholders(names)}, NOW(), NOW())
+  `, Object.values(columns));
+
+  return getAreaRow(result.insertId);
+}
+
+/**
+ * @throws AREA_NOT_FOUND
+ * @returns {Promise<{ area: object, changed: string[] }>}
+ */
+async function updateArea(areaId, fields) {
+  await getAreaRow(areaId);
+  const columns = pickColumns(AREA_FIELDS, fields);
+
+  if (Object.keys(columns).length > 0) {
+    await db.execute(
+      `UPDATE parking_area SET ${assignments(columns)}, updated_at = NOW() WHERE parking_area_id = ?`,
+      [...Object.values(columns), areaId]
+    );
+  }
+
+  return { area: await getAreaRow(areaId), changed: Object.keys(columns) };
+}
+
+/**
+ * Delete an area with its sections and spots
+ * @throws AREA_NOT_FOUND | ACTIVE_RESERVATIONS | SENSORS_ATTACHED | AREA_IN_USE (attendants still assigned)
+ */
+async function deleteArea(areaId) {
+  const area = await getAreaRow(areaId);
+
+  const sections = await db.query('SELECT parking_section_id FROM parking_section WHERE parking_area_id = ?', [areaId]);
+  const sectionIds = sections.map(section => section.parking_section_id);
+  const spots = sectionIds.length > 0
+    ? await db.query(`SELECT parking_spot_id FROM parking_spot WHERE parking_section_id IN (${placeholders(sectionIds)})`, sectionIds)
+    : [];
+  const spotIds = spots.map(spot => spot.parking_spot_id);
+
+  await assertNoActiveReservations({ spotIds, sectionIds }, 'delete the area');
+  await assertNoSensors(spotIds, 'delete the area');
+
+  const attendants = await db.query('SELECT COUNT(*) as count FROM users WHERE assigned_area_id = ?', [areaId]);
+  if (Number(attendants[0].count) > 0) {
+    throw parkingMasterError('AREA_IN_USE', `Cannot delete the area: ${attendants[0].count} user(s) are still assigned to it`);
+  }
+
+  // Sections, spots and layouts cascade
+  await db.execute('DELETE FROM parking_area WHERE parking_area_id = ?', [areaId]);
+
+  return { name: area.parking_area_name, sectionCount: sectionIds.length, spotCount: spotIds.length };
+}
+
+// ---- Sections ----
+
+/**
+ * Create a section; slot-based sections get one spot per grid cell
+ * @throws AREA_NOT_FOUND | VEHICLE_TYPE_NOT_FOUND
+ */
+async function createSection(areaId, fields) {
+  await getAreaRow(areaId);
+
+  const values = {
+    sectionMode: SectionModes.SLOT_BASED,
+    vehicleType: 'car',
+    rows: 1,
+    columns: 1,
+    ...fields
+  };
+  if (values.gridWidth === undefined) {
+    values.gridWidth = values.columns;
+  }
+  if (values.sectionMode === SectionModes.SLOT_BASED) {
+    values.capacity = values.rows * values.columns;
+  }
+
+  const columns = {
+    parking_area_id: areaId,
+    ...pickColumns(SECTION_FIELDS, values),
+    vehicle_type_id: await getVehicleTypeId(values.vehicleType)
+  };
+  const names = Object.keys(columns);
+
+  const sectionId = await withTransaction(async (connection) => {
+    const [result] = await connection.execute(`
+      INSERT INTO parking_section (${names.map(name => `\`${name}\``).join(', ')}, created_at)
+      VALUES (${placeholders(names)}, NOW())
+    `, Object.values(columns));
+
+    if (values.sectionMode === SectionModes.SLOT_BASED) {
+      const [sections] = await connection.execute(`
+        SELECT ps.*, pa.parking_area_name
+        FROM parking_section ps
+        JOIN parking_area pa ON ps.parking_area_id = pa.parking_area_id
+        WHERE ps.parking_section_id = ?
+      `, [result.insertId]);
+      await syncSectionSpots(connection, sections[0]);
+    }
+
+    return result.insertId;
+  });
+
+  return getSectionRow(sectionId);
+}
+
+/**
+ * Update a section. Changing rows/columns of a slot-based section regenerates its spots
+ * (see planSpotGrid); spots holding active reservations are never removed.
+ * @throws SECTION_NOT_FOUND | VEHICLE_TYPE_NOT_FOUND | ACTIVE_RESERVATIONS | SENSORS_ATTACHED
+ * @returns {Promise<{ section: object, changed: string[], spots: { created, moved, removed }|null }>}
+ */
+async function updateSection(sectionId, fields) {
+  const current = await getSectionRow(sectionId);
+  const columns = pickColumns(SECTION_FIELDS, fields);
+
+  if (fields.vehicleType !== undefined) {
+    columns.vehicle_type_id = await getVehicleTypeId(fields.vehicleType);
+  }
+
+  const next = { ...current, ...columns };
+  const isSlotBased = next.section_mode === SectionModes.SLOT_BASED;
+  const gridChanged = Number(next.rows) !== Number(current.rows) ||
+    Number(next.columns) !== Number(current.columns) ||
+    current.section_mode !== next.section_mode;
+
+  if (isSlotBased) {
+    columns.capacity = Number(next.rows) * Number(next.columns);
+  }
+  if (fields.gridWidth === undefined && fields.columns !== undefined) {
+    columns.grid_width = next.columns;
+  }
+
+  const spots = await withTransaction(async (connection) => {
+    if (Object.keys(columns).length > 0) {
+      await connection.execute(
+        `UPDATE parking_section SET ${assignments(columns)} WHERE parking_section_id = ?`,
+        [...Object.values(columns), sectionId]
+      );
+    }
+    return isSlotBased && gridChanged ? syncSectionSpots(connection, { ...next, ...columns }) : null;
+  });
+
+  return { section: await getSectionRow(sectionId), changed: Object.keys(pickColumns(SECTION_FIELDS, fields)), spots };
+}
+
+/**
+ * Delete a section with its spots
+ * @throws SECTION_NOT_FOUND | ACTIVE_RESERVATIONS | SENSORS_ATTACHED
+ */
+async function deleteSection(sectionId) {
+  const section = await getSectionRow(sectionId);
+  const spots = await db.query('SELECT parking_spot_id FROM parking_spot WHERE parking_section_id = ?', [sectionId]);
+  const spotIds = spots.map(spot => spot.parking_spot_id);
+
+  await assertNoActiveReservations({ spotIds, sectionIds: [sectionId] }, 'delete the section');
+  await assertNoSensors(spotIds, 'delete the section');
+
+  // Spots cascade
+  await db.execute('DELETE FROM parking_section WHERE parking_section_id = ?', [sectionId]);
+
+  return { name: section.section_name, areaId: section.parking_area_id, spotCount: spotIds.length };
+}
+
+// ---- Spots ----
+
+/**
+ * @throws SECTION_NOT_FOUND
+ */
+async function listSpots(sectionId) {
+  await getSectionRow(sectionId);
+  return db.query(
+    'SELECT * FROM parking_spot WHERE parking_section_id = ? ORDER BY grid_row, grid_col, spot_number',
+    [sectionId]
+  );
+}
+
+async function assertSpotNumberFree(sectionId, spotNumber, exceptSpotId = 0) {
+  const existing = await db.query(
+    'SELECT parking_spot_id FROM parking_spot WHERE parking_section_id = ? AND spot_number = ? AND parking_spot_id <> ?',
+    [sectionId, spotNumber, exceptSpotId]
+  );
+  if (existing.length > 0) {
+    throw parkingMasterError('SPOT_NUMBER_TAKEN', `Spot ${spotNumber} already exists in this section`);
+  }
+}
+
+function assertInsideGrid(section, gridRow, gridCol) {
+  if (section.section_mode === SectionModes.SLOT_BASED &&
+      (Number(gridRow) >= Number(section.rows) || Number(gridCol) >= Number(section.columns))) {
+    throw parkingMasterError('SPOT_OUTSIDE_GRID', `Spot position must be within the section's ${section.rows} x ${section.columns} grid`);
+  }
+}
+
+/**
+ * Add a single spot to a section
+ * @throws SECTION_NOT_FOUND | SPOT_NUMBER_TAKEN | SPOT_OUTSIDE_GRID
+ */
+async function createSpot(sectionId, fields) {
+  const section = await getSectionRow(sectionId);
+  const values = {
+    status: 'available',
+    spotType: section.vehicle_type,
+    gridRow: 0,
+    gridCol: 0,
+    ...fields
+  };
+
+  assertInsideGrid(section, values.gridRow, values.gridCol);
+  await assertSpotNumberFree(sectionId, values.spotNumber);
+
+  const columns = { parking_section_id: sectionId, ...pickColumns(SPOT_FIELDS, values) };
+  const names = Object.keys(columns);
+  const result = await db.execute(`
+    INSERT INTO parking_spot (${names.map(name => `\`${name}\``).join(', ')}, is_occupied, created_at)
+    VALUES (${placeholders(names)}, 0, NOW())
+  `, Object.values(columns));
+
+  return getSpotRow(result.insertId);
+}
+
+/**
+ * Renaming a spot that has active reservations is refused: reservations also store the spot number
+ * @throws SPOT_NOT_FOUND | SPOT_NUMBER_TAKEN | SPOT_OUTSIDE_GRID | ACTIVE_RESERVATIONS
+ * @returns {Promise<{ spot: object, sectionId: number, changed: string[] }>}
+ */
+async function updateSpot(spotId, fields) {
+  const spot = await getSpotRow(spotId);
+  const section = await getSectionRow(spot.parking_section_id);
+  const columns = pickColumns(SPOT_FIELDS, fields);
+
+  if (columns.grid_row !== undefined || columns.grid_col !== undefined) {
+    assertInsideGrid(section, columns.grid_row ?? spot.grid_row, columns.grid_col ?? spot.grid_col);
+  }
+  if (columns.spot_number !== undefined && columns.spot_number !== spot.spot_number) {
+    await assertSpotNumberFree(spot.parking_section_id, columns.spot_number, spotId);
+    await assertNoActiveReservations({ spotIds: [spotId] }, 'rename the spot');
+  }
+
+  if (Object.keys(columns).length > 0) {
+    await db.execute(
+      `UPDATE parking_spot SET ${assignments(columns)} WHERE parking_spot_id = ?`,
+      [...Object.values(columns), spotId]
+    );
+  }
+
+  return { spot: await getSpotRow(spotId), sectionId: spot.parking_section_id, changed: Object.keys(columns) };
+}
+
+/**
+ * @throws SPOT_NOT_FOUND | ACTIVE_RESERVATIONS | SENSORS_ATTACHED
+ */
+async function deleteSpot(spotId) {
+  const spot = await getSpotRow(spotId);
+
+  await assertNoActiveReservations({ spotIds: [spotId] }, 'delete the spot');
+  await assertNoSensors([spotId], 'delete the spot');
+
+  await db.execute('DELETE FROM parking_spot WHERE parking_spot_id = ?', [spotId]);
+
+  return { spotNumber: spot.spot_number, sectionId: spot.parking_section_id };
+}
+
+module.exports = {
+  SectionModes,
+  VehicleTypes,
+  getParkingMasterErrorStatus,
+  listAreas,
+  getArea,
+  createArea,
+  updateArea,
+  deleteArea,
+  createSection,
+  updateSection,
+  deleteSection,
+  listSpots,
+  createSpot,
+  updateSpot,
+  deleteSpot
+};
@@ -0,0 +1,331 @@
+const db = require('../config/database');
+const { logUserActivity, ActionTypes } = require('../utils/userLogger');
+const { deductSubscriptionHours } = require('./subscriptionLedger');
+const sessionStore = require('./sessionStore');
+const { RealtimeEvents, publishReservationEvent } = require('./realtime');
+const { NotificationCategories, NotificationLinks, createNotification } = require('../utils/notifications');
+const { AccessDirections, recordAccess } = require('./accessLogs');
+const { consumeQrTicket } = require('./qrTickets');
+
+/**
+ * Reservation lifecycle. Every route that starts, ends, cancels or expires a booking goes through
+ * this module so the status rules, spot/section release and billing stay identical across
+ * the QR scan path, the attendant/admin buttons and the user's own actions.
+ *
+ *   scheduled ──► reserved ──► active ──► completed
+ *       │            │  └──────────────────▲
+ *       ▼            ├──► cancelled
+ *   cancelled        └──► expired
+ */
+const SESSION_TRANSITIONS = {
+  scheduled: ['reserved', 'cancelled'],
+  reserved: ['active', 'completed', 'cancelled', 'expired'],
+  active: ['completed'],
+  completed: [],
+  cancelled: [],
+  expired: []
+};
+
+// Who ended a session - used for activity logs and qr_scan_tracking
+const SessionActors = {
+  ATTENDANT_SCAN: 'attendant_scan',
+  ATTENDANT: 'attendant',
+  USER: 'user',
+  SYSTEM: 'system'
+};
+
+function canTransition(fromStatus, toStatus) {
+  return (SESSION_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+/**
+ * Errors carry a code like mysql2 errors do, so routes can map them to a response
+ */
+function sessionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * HTTP status for an error thrown by this module, or null for unexpected errors
+ */
+function getSessionErrorStatus(error) {
+  if (error.code === 'SESSION_NOT_FOUND') return 404;
+  if (error.code === 'INVALID_SESSION_TRANSITION') return 409;
+  return null;
+}
+
+/**
+ * Billing rule shared by every end-session path: whole minutes rounded up, at least one minute,
+ * charged as decimal hours (1 minute = 0.0167 hours, 30 minutes = 0.50 hours)
+ * @param {Date} startTime
+ * @param {Date} endTime
+ * @returns {{ durationMinutes: number, durationHours: number }}
+ */
+function calculateSessionCharge(startTime, endTime) {
+  const durationMinutes = Math.max(1, Math.ceil((endTime - startTime) / (1000 * 60)));
+  return {
+    durationMinutes,
+    durationHours: durationMinutes / 60
+  };
+}
+
+async function lockSession(connection, reservationId) {
+  const session = await sessionStore.lockSession(connection, reservationId);
+  if (!session) {
+    throw sessionError('SESSION_NOT_FOUND', 'Reservation not found');
+  }
+  return session;
+}
+
+function assertTransition(session, toStatus, options = {}) {
+  if (options.userId && Number(session.user_id) !== Number(options.userId)) {
+    throw sessionError('SESSION_NOT_FOUND', 'Reservation not found');
+  }
+  if (options.allowedFrom && !options.allowedFrom.includes(session.booking_status)) {
+    throw sessionError('INVALID_SESSION_TRANSITION', `Reservation is ${session.booking_status}`);
+  }
+  if (!canTransition(session.booking_status, toStatus)) {
+    throw sessionError('INVALID_SESSION_TRANSITION', `Cannot move a ${session.booking_status} reservation to ${toStatus}`);
+  }
+}
+
+// Successful attendant scans go to qr_scan_tracking and the access_logs audit trail.
+// identityCheck ({ document, note }) marks a manual start/end confirmed without the QR code.
+async function recordScan(connection, session, attendantId, scanType, statusAtScan, { scannedAt = null, identityCheck = null } = {}) {
+  await sessionStore.insertScan(connection, session, attendantId, scanType, statusAtScan, { scannedAt, identityCheck });
+
+  await recordAccess(connection, {
+    reservationId: session.reservation_id,
+    qrKey: session.qr_key,
+    direction: scanType === 'start' ? AccessDirections.ENTRY : AccessDirections.EXIT,
+    granted: true,
+    attendantId,
+    areaId: session.parking_area_id,
+    vehiclePlate: session.plate_number,
+    accessTime: scannedAt,
+    details: identityCheck ? `Manual entry, identity checked (${identityCheck.document})` : null
+  });
+}
+
+/**
+ * Run fn(connection) in a transaction and release the connection
+ */
+async function withTransaction(fn) {
+  if (!db.connection) {
+    await db.connect();
+  }
+
+  const connection = await db.connection.getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await fn(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * reserved → active: the vehicle has arrived and parking time starts counting
+ * @param {number} reservationId
+ * @param {object} [options]
+ * @param {number} [options.scannedBy] - attendant user id; records a 'start' scan
+ * @param {Date} [options.at] - when the vehicle was scanned, for offline scans synced later (default now)
+ * @param {object} [options.identityCheck] - { document, note } when started by hand without the QR code
+ * @param {object} [options.ticket] - the scanned ticket from verifyQrTicket, used up once the start is allowed
+ */
+async function startSession(reservationId, options = {}) {
+  const session = await withTransaction(async (connection) => {
+    const current = await lockSession(connection, reservationId);
+    assertTransition(current, 'active', options);
+    if (options.ticket) {
+      await consumeQrTicket(connection, options.ticket);
+    }
+
+    const startTime = await sessionStore.markSessionActive(connection, reservationId, options.at || null);
+    await sessionStore.occupySessionHold(connection, current);
+
+    if (options.scannedBy) {
+      await recordScan(connection, current, options.scannedBy, 'start', 'active', {
+        scannedAt: options.at || null,
+        identityCheck: options.identityCheck || null
+      });
+    }
+
+    return { ...current, previous_status: current.booking_status, booking_status: 'active', start_time: startTime };
+  });
+
+  await logUserActivity(
+    session.user_id,
+    ActionTypes.PARKING_START,
+    `Parking session started${options.scannedBy ? ' by attendant' : ''}: Spot ${session.spot_number} at ${session.parking_area_name}`,
+    session.reservation_id
+  );
+  await createNotification(
+    session.user_id,
+    'Parking Started',
+    `Your parking time at ${session.parking_area_name || 'the parking area'} (spot ${session.spot_number || '-'}) has started.`,
+    'info',
+    { reservationId: session.reservation_id, bookingStatus: 'active', link: NotificationLinks.activeParking(session.reservation_id) },
+    NotificationCategories.PARKING
+  );
+  await publishReservationEvent(session.reservation_id, RealtimeEvents.RESERVATION_STARTED);
+
+  return session;
+}
+
+/**
+ * reserved/active → completed: free the spot and bill the parked time against the user's subscriptions.
+ * A reservation ended before it was started is billed the one-minute minimum.
+ * @param {number} reservationId
+ * @param {object} [options]
+ * @param {string} [options.endedBy] - one of SessionActors
+ * @param {number} [options.scannedBy] - attendant user id; records an end_reserved/end_active scan
+ * @param {number} [options.userId] - only end the session if it belongs to this user
+ * @param {string[]} [options.allowedFrom] - restrict which statuses may be ended
+ * @param {Date} [options.at] - when the vehicle was scanned out; billing runs up to this time (default now)
+ * @param {object} [options.identityCheck] - { document, note } when ended by hand without the QR code
+ * @param {object} [options.ticket] - the scanned ticket from verifyQrTicket, used up once the end is allowed
+ */
+async function endSession(reservationId, options = {}) {
+  const { endedBy = SessionActors.SYSTEM } = options;
+
+  const result = await withTransaction(async (connection) => {
+    const session = await lockSession(connection, reservationId);
+    assertTransition(session, 'completed', options);
+
+    const endTime = options.at || new Date();
+    const startTime = session.booking_status === 'active' && session.start_time
+      ? new Date(session.start_time)
+      : endTime;
+    if (options.at && startTime > endTime) {
+      throw sessionError('INVALID_SESSION_TRANSITION', 'The recorded end time is before the parking session started');
+    }
+    if (options.ticket) {
+      await consumeQrTicket(connection, options.ticket);
+    }
+    const charge = calculateSessionCharge(startTime, endTime);
+
+    await sessionStore.markSessionCompleted(connection, reservationId, options.at || null);
+    await sessionStore.releaseSessionHold(connection, session);
+
+    if (options.scannedBy) {
+      await recordScan(
+        connection,
+        session,
+        options.scannedBy,
+        session.booking_status === 'reserved' ? 'end_reserved' : 'end_active',
+        session.booking_status,
+        { scannedAt: options.at || null, identityCheck: options.identityCheck || null }
+      );
+    }
+
+    const ledger = await deductSubscriptionHours(connection, session.user_id, charge.durationHours, {
+      reservationId: session.reservation_id,
+      description: `Parking at ${session.parking_area_name || 'parking area'} (spot ${session.spot_number || '-'})`
+    });
+
+    return {
+      session,
+      previousStatus: session.booking_status,
+      startTime,
+      endTime,
+      ...charge,
+      hoursDeducted: ledger.hoursDeducted,
+      penaltyHours: ledger.penaltyHours,
+      balanceBefore: ledger.balanceBefore,
+      balanceAfter: ledger.balanceAfter
+    };
+  });
+
+  const label = result.previousStatus === 'reserved' ? 'Reserved parking' : 'Parking session';
+  const actor = endedBy === SessionActors.USER ? 'by user' : endedBy === SessionActors.SYSTEM ? 'by system' : 'by attendant';
+  await logUserActivity(
+    result.session.user_id,
+    ActionTypes.PARKING_END,
+    `${label} ended ${actor}: Spot ${result.session.spot_number} at ${result.session.parking_area_name}. Duration: ${result.durationMinutes} minutes, ${result.hoursDeducted} hours deducted${result.penaltyHours > 0 ? `, ${result.penaltyHours} penalty hours` : ''}`,
+    result.session.reservation_id
+  );
+  await createNotification(
+    result.session.user_id,
+    'Parking Ended',
+    `Your parking at ${result.session.parking_area_name || 'the parking area'} ended after ${result.durationMinutes} minutes. ${result.hoursDeducted} hours were deducted, leaving ${result.balanceAfter} hours.`,
+    'info',
+    {
+      reservationId: result.session.reservation_id,
+      bookingStatus: 'completed',
+      hoursDeducted: result.hoursDeducted,
+      link: NotificationLinks.history()
+    },
+    NotificationCategories.PARKING
+  );
+  if (result.penaltyHours > 0) {
+    await createNotification(
+      result.session.user_id,
+      'Penalty Recorded',
+      `Your parking exceeded your remaining balance by ${result.penaltyHours} hours. This will be deducted from your next plan.`,
+      'warning',
+      { reservationId: result.session.reservation_id, penaltyHours: result.penaltyHours, link: NotificationLinks.balance() },
+      NotificationCategories.PAYMENT
+    );
+  }
+  await publishReservationEvent(result.session.reservation_id, RealtimeEvents.RESERVATION_ENDED);
+
+  return result;
+}
+
+/**
+ * Move a booking to a terminal status without billing (cancelled or expired) and release its hold
+ */
+async function closeWithoutCharge(reservationId, toStatus, options) {
+  const session = await withTransaction(async (connection) => {
+    const session = await lockSession(connection, reservationId);
+    assertTransition(session, toStatus, options);
+
+    await sessionStore.markSessionClosed(connection, reservationId, toStatus);
+    await sessionStore.releaseSessionHold(connection, session);
+
+    return { ...session, previous_status: session.booking_status, booking_status: toStatus };
+  });
+
+  await publishReservationEvent(
+    session.reservation_id,
+    toStatus === 'expired' ? RealtimeEvents.RESERVATION_EXPIRED : RealtimeEvents.RESERVATION_CANCELLED
+  );
+
+  return session;
+}
+
+/**
+ * scheduled/reserved → cancelled
+ * @param {number} reservationId
+ * @param {object} [options] - userId / allowedFrom as for endSession
+ */
+async function cancelSession(reservationId, options = {}) {
+  return closeWithoutCharge(reservationId, 'cancelled', options);
+}
+
+/**
+ * reserved → expired: the vehicle never arrived within the grace window
+ */
+async function expireSession(reservationId) {
+  return closeWithoutCharge(reservationId, 'expired', {});
+}
+
+module.exports = {
+  SESSION_TRANSITIONS,
+  SessionActors,
+  canTransition,
+  calculateSessionCharge,
+  getSessionErrorStatus,
+  startSession,
+  endSession,
+  cancelSession,
+  expireSession
+};
@@ -0,0 +1,279 @@
+const db = require('../config/database');
+const { logUserActivity, ActionTypes } = require('../utils/userLogger');
+const { NotificationCategories, NotificationLinks, createNotification } = require('../utils/notifications');
+const { settlePenaltiesOnPurchase } = require('./penaltySettlement');
+const { revokeSubscriptionHours } = require('./subscriptionLedger');
+const { calculateRefundHours } = require('./subscriptionRefunds');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Run fn(connection) in a transaction and release the connection
+ */
+async function withTransaction(fn) {
+  if (!db.connection) {
+    await db.connect();
+  }
+
+  const connection = await db.connection.getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await fn(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Lock a PayPal order row together with its plan
+ * @param {object} connection
+ * @param {{ orderId?: string, captureId?: string }} lookup - the order id, or the capture id for refunds
+ */
+async function lockPayPalTransaction(connection, { orderId, captureId }) {
+  const [rows] = await connection.execute(`
+    SELECT
+      pt.id,
+      pt.user_id,
+      pt.plan_id,
+      pt.paypal_order_id,
+      pt.capture_id,
+      pt.subscription_id,
+      pt.amount,
+      pt.status,
+      pt.credited_at,
+      p.plan_name,
+      p.cost,
+      p.number_of_hours
+    FROM paypal_transactions pt
+    JOIN plans p ON pt.plan_id = p.plan_id
+    WHERE ${orderId ? 'pt.paypal_order_id = ?' : 'pt.capture_id = ?'}
+    FOR UPDATE
+  `, [orderId || captureId]);
+
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Grant the plan hours for a captured PayPal order exactly once.
+ * Both the app's capture call and the PAYMENT.CAPTURE.COMPLETED webhook end up here; the row lock
+ * and credited_at make whichever arrives second a no-op.
+ *
+ * @param {string} orderId - paypal_order_id
+ * @param {object} [options]
+ * @param {string} [options.captureId] - PayPal capture id, used later to match refunds
+ * @param {string} [options.source] - 'capture' (app) or 'webhook'
+ * @returns {Promise<object|null>} null when the order is unknown
+ */
+async function creditPayPalOrder(orderId, options = {}) {
+  const { captureId = null, source = 'capture' } = options;
+
+  const result = await withTransaction(async (connection) => {
+    const transaction = await lockPayPalTransaction(connection, { orderId });
+    if (!transaction) {
+      return null;
+    }
+
+    if (transaction.credited_at || transaction.status === 'refunded') {
+      return { credited: false, alreadyCredited: true, transaction };
+    }
+
+    const [subscriptionResult] = await connection.execute(
+      `INSERT INTO subscriptions (user_id, plan_id, hours_remaining, hours_used, status, purchase_date)
+       VALUES (?, ?, ?, 0, 'active', NOW())`,
+      [transaction.user_id, transaction.plan_id, transaction.number_of_hours]
+    );
+    const subscriptionId = subscriptionResult.insertId;
+
+    await connection.execute(
+      `INSERT INTO payments (user_id, amount, status, payment_date, payment_method_id, subscription_id, payment_type, reference_number)
+       VALUES (?, ?, 'completed', NOW(), 1, ?, 'paypal', ?)`,
+      [transaction.user_id, transaction.amount, subscriptionId, captureId || orderId]
+    );
+
+    await connection.execute(
+      `UPDATE paypal_transactions
+       SET status = 'completed', capture_id = COALESCE(?, capture_id), subscription_id = ?, credited_at = NOW(), updated_at = NOW()
+       WHERE id = ?`,
+      [captureId, subscriptionId, transaction.id]
+    );
+
+    const settlement = await settlePenaltiesOnPurchase(connection, transaction.user_id, subscriptionId);
+
+    return { credited: true, alreadyCredited: false, transaction, subscriptionId, settlement };
+  });
+
+  if (!result || !result.credited) {
+    return result;
+  }
+
+  const { transaction, subscriptionId, settlement } = result;
+
+  await logUserActivity(
+    transaction.user_id,
+    ActionTypes.SUBSCRIPTION_PURCHASE,
+    `Subscription purchased via PayPal${source === 'webhook' ? ' (webhook)' : ''}: ${transaction.plan_name} - ${transaction.number_of_hours} hours for ₱${transaction.amount}`,
+    subscriptionId
+  );
+
+  await createNotification(
+    transaction.user_id,
+    'Purchase Completed',
+    `Your PayPal payment for ${transaction.plan_name} was confirmed and ${transaction.number_of_hours} hours were added to your balance.${settlement.hoursDeducted > 0 ? ` ${settlement.hoursDeducted} hours went to an outstanding penalty.` : ''}`,
+    'success',
+    { subscriptionId, paypalOrderId: transaction.paypal_order_id, link: NotificationLinks.balance() },
+    NotificationCategories.PAYMENT
+  );
+
+  console.log(`💳 Credited PayPal order ${transaction.paypal_order_id} (${source}) as subscription ${subscriptionId}${settlement.hoursDeducted > 0 ? `, ${settlement.hoursDeducted} penalty hours deducted` : ''}`);
+
+  return result;
+}
+
+/**
+ * PAYMENT.CAPTURE.DENIED - never credited, so only the order status changes
+ * @returns {Promise<boolean>} false when the order was unknown or already credited
+ */
+async function markPayPalOrderDenied(orderId) {
+  const result = await db.execute(`
+    UPDATE paypal_transactions
+    SET status = 'failed', updated_at = NOW()
+    WHERE paypal_order_id = ? AND credited_at IS NULL
+  `, [orderId]);
+
+  return result.affectedRows > 0;
+}
+
+async function isPayPalRefundRecorded(connection, refundId) {
+  if (!refundId) {
+    return false;
+  }
+  const [rows] = await connection.execute('SELECT id FROM paypal_refunds WHERE refund_id = ?', [refundId]);
+  return rows.length > 0;
+}
+
+/**
+ * Remember a refund by its PayPal refund id so the webhook for it is applied once
+ */
+async function recordPayPalRefund(connection, transactionId, { refundId, amount, hoursRemoved, source }) {
+  await connection.execute(`
+    INSERT INTO paypal_refunds (paypal_transaction_id, refund_id, amount, hours_removed, source)
+    VALUES (?, ?, ?, ?, ?)
+  `, [transactionId, refundId, amount, hoursRemoved, source]);
+}
+
+/**
+ * PAYMENT.CAPTURE.REFUNDED - take back the unused hours matching the refunded amount.
+ * Refunds add up on the payment: while the total is below the price paid the payment is
+ * 'partially_refunded' and the same share of the plan's hours is removed; once it is refunded in
+ * full the subscription is closed. Hours already parked stay used; removed hours are written to
+ * the transactions ledger.
+ * @param {{ orderId?: string, captureId?: string }} lookup
+ * @param {object} [refund]
+ * @param {string} [refund.refundId] - PayPal refund id; a refund is applied once
+ * @param {number|string} [refund.amount] - refunded amount (resource.amount.value); the rest of the payment when missing
+ * @returns {Promise<object|null>} null when the order is unknown
+ */
+async function refundPayPalOrder(lookup, { refundId = null, amount = null } = {}) {
+  const result = await withTransaction(async (connection) => {
+    const transaction = await lockPayPalTransaction(connection, lookup);
+    if (!transaction) {
+      return null;
+    }
+
+    // The order row lock serializes refunds of the same payment, so the check cannot race
+    if (transaction.status === 'refunded' || await isPayPalRefundRecorded(connection, refundId)) {
+      return { refunded: false, alreadyRefunded: true, transaction };
+    }
+
+    // An admin refund is waiting for PayPal; failing makes PayPal redeliver once it has been recorded
+    if (transaction.status === 'refund_pending') {
+      throw new Error(`PayPal order ${transaction.paypal_order_id} has an admin refund in progress`);
+    }
+
+    const [payments] = transaction.subscription_id
+      ? await connection.execute(`
+          SELECT payment_id, amount, refunded_amount
+          FROM payments
+          WHERE subscription_id = ? AND payment_type = 'paypal'
+          ORDER BY payment_id ASC
+          LIMIT 1
+          FOR UPDATE
+        `, [transaction.subscription_id])
+      : [[]];
+    const payment = payments[0] || null;
+
+    const paid = Number(payment ? payment.amount : transaction.amount) || 0;
+    const refundedBefore = Number(payment && payment.refunded_amount) || 0;
+    const outstanding = roundMoney(Math.max(0, paid - refundedBefore));
+    const requested = parseFloat(amount);
+    const refundAmount = Number.isFinite(requested) && requested > 0 ? roundMoney(Math.min(requested, outstanding)) : outstanding;
+    const refundedTotal = roundMoney(refundedBefore + refundAmount);
+    const fullyRefunded = refundedTotal >= paid;
+
+    let hoursRemoved = 0;
+    if (transaction.subscription_id) {
+      const revoked = await revokeSubscriptionHours(connection, transaction.subscription_id, {
+        status: 'refunded',
+        hours: fullyRefunded ? null : calculateRefundHours({ amount: paid, number_of_hours: transaction.number_of_hours }, refundAmount),
+        description: `PayPal ${fullyRefunded ? '' : 'partial '}refund for order ${transaction.paypal_order_id}`
+      });
+      hoursRemoved = revoked ? revoked.hoursRemoved : 0;
+    }
+
+    if (refundId) {
+      await recordPayPalRefund(connection, transaction.id, { refundId, amount: refundAmount, hoursRemoved, source: 'webhook' });
+    }
+
+    if (payment) {
+      await connection.execute(`
+        UPDATE payments
+        SET status = ?, refunded_amount = ?, refunded_at = NOW()
+        WHERE payment_id = ?
+      `, [fullyRefunded ? 'refunded' : 'partially_refunded', refundedTotal, payment.payment_id]);
+    }
+
+    await connection.execute(
+      `UPDATE paypal_transactions SET status = ?, refund_id = COALESCE(?, refund_id), updated_at = NOW() WHERE id = ?`,
+      [fullyRefunded ? 'refunded' : 'partially_refunded', refundId, transaction.id]
+    );
+
+    return { refunded: true, alreadyRefunded: false, transaction, refundAmount, fullyRefunded, hoursRemoved };
+  });
+
+  if (!result || !result.refunded) {
+    return result;
+  }
+
+  const { transaction, refundAmount, fullyRefunded, hoursRemoved } = result;
+
+  await logUserActivity(
+    transaction.user_id,
+    ActionTypes.PAYMENT_REFUND,
+    `PayPal payment ${fullyRefunded ? 'refunded' : 'partially refunded'}: ₱${refundAmount} of ${transaction.plan_name} (order ${transaction.paypal_order_id}), ${hoursRemoved} unused hours removed`,
+    transaction.subscription_id
+  );
+
+  await createNotification(
+    transaction.user_id,
+    'Payment Refunded',
+    `₱${refundAmount} of your PayPal payment for ${transaction.plan_name} was refunded.${hoursRemoved > 0 ? ` ${hoursRemoved} unused hours were removed from your balance.` : ''}`,
+    'info',
+    { subscriptionId: transaction.subscription_id, paypalOrderId: transaction.paypal_order_id, refundAmount, link: NotificationLinks.balance() },
+    NotificationCategories.PAYMENT
+  );
+
+  console.log(`↩️ Refunded ₱${refundAmount} of PayPal order ${transaction.paypal_order_id}${fullyRefunded ? ' in full' : ''}, removed ${hoursRemoved} hours`);
+
+  return result;
+}
+
+module.exports = {
+  creditPayPalOrder,
+  markPayPalOrderDenied,
+  refundPayPalOrder
+};
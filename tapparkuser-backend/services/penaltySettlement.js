@@ -0,0 +1,137 @@
+const db = require('../config/database');
+
+/**
+ * Get the penalty hours a user still owes
+ * @param {number} userId
+ * @returns {Promise<{ outstandingHours: number, penalties: Array }>}
+ */
+async function getOutstandingPenalties(userId) {
+  const penalties = await db.query(`
+    SELECT
+      penalty_id,
+      penalty_time,
+      hours_settled,
+      (penalty_time - hours_settled) as hours_outstanding
+    FROM penalty
+    WHERE user_id = ? AND status = 'outstanding'
+    ORDER BY penalty_id ASC
+  `, [userId]);
+
+  const outstandingHours = penalties.reduce((sum, penalty) => sum + Number(penalty.hours_outstanding), 0);
+
+  return {
+    outstandingHours: Math.round(outstandingHours * 100) / 100,
+    penalties
+  };
+}
+
+/**
+ * Deduct outstanding penalty hours from a newly purchased subscription.
+ * Must run inside the purchase transaction so the subscription and the settlement commit together.
+ * Penalties are settled oldest first; if the plan has fewer hours than owed, the rest stays outstanding.
+ *
+ * @param {object} connection - transaction connection (mysql2 execute API)
+ * @param {number} userId
+ * @param {number} subscriptionId - the subscription that was just inserted
+ * @returns {Promise<{ hoursDeducted: number, settledPenaltyIds: number[], remainingPenaltyHours: number }>}
+ */
+async function settlePenaltiesOnPurchase(connection, userId, subscriptionId) {
+  const [penalties] = await connection.execute(`
+    SELECT penalty_id, penalty_time, hours_settled
+    FROM penalty
+    WHERE user_id = ? AND status = 'outstanding'
+    ORDER BY penalty_id ASC
+    FOR UPDATE
+  `, [userId]);
+
+  if (penalties.length === 0) {
+    return { hoursDeducted: 0, settledPenaltyIds: [], remainingPenaltyHours: 0 };
+  }
+
+  const [subscriptions] = await connection.execute(
+    'SELECT hours_remaining FROM subscriptions WHERE subscription_id = ? FOR UPDATE',
+    [subscriptionId]
+  );
+  let availableHours = Number(subscriptions[0]?.hours_remaining || 0);
+
+  let hoursDeducted = 0;
+  let remainingPenaltyHours = 0;
+  const settledPenaltyIds = [];
+  const appliedPenaltyIds = [];
+
+  for (const penalty of penalties) {
+    const owed = Math.round((Number(penalty.penalty_time) - Number(penalty.hours_settled)) * 100) / 100;
+    const applied = Math.min(owed, availableHours);
+
+    if (applied > 0) {
+      const fullySettled = applied >= owed;
+      const status = fullySettled ? 'settled' : 'outstanding';
+      await connection.execute(`
+        UPDATE penalty
+        SET hours_settled = hours_settled + ?,
+            status = ?,
+            settled_at = CASE WHEN ? = 'settled' THEN NOW() ELSE settled_at END
+        WHERE penalty_id = ?
+      `, [applied, status, status, penalty.penalty_id]);
+
+      availableHours -= applied;
+      hoursDeducted += applied;
+      appliedPenaltyIds.push(penalty.penalty_id);
+      if (fullySettled) {
+        settledPenaltyIds.push(penalty.penalty_id);
+      }
+    }
+
+    remainingPenaltyHours += owed - applied;
+  }
+
+  hoursDeducted = Math.round(hoursDeducted * 100) / 100;
+  remainingPenaltyHours = Math.round(remainingPenaltyHours * 100) / 100;
+
+  if (hoursDeducted === 0) {
+    return { hoursDeducted: 0, settledPenaltyIds, remainingPenaltyHours };
+  }
+
+  // Balance across all active subscriptions, including the one just purchased
+  const [balanceRows] = await connection.execute(`
+    SELECT COALESCE(SUM(hours_remaining), 0) as total_hours_remaining
+    FROM subscriptions
+    WHERE user_id = ? AND status = 'active'
+  `, [userId]);
+  const balanceBefore = Number(balanceRows[0].total_hours_remaining);
+
+  // A plan fully used up by the penalty is consumed straight away
+  await connection.execute(`
+    UPDATE subscriptions
+    SET hours_remaining = hours_remaining - ?,
+        penalty_id = ?,
+        status = ?
+    WHERE subscription_id = ?
+  `, [
+    hoursDeducted,
+    appliedPenaltyIds[appliedPenaltyIds.length - 1],
+    availableHours <= 0 ? 'consumed' : 'active',
+    subscriptionId
+  ]);
+
+  await connection.execute(`
+    INSERT INTO transactions (
+      user_id, transaction_type, hours, balance_before, balance_after,
+      subscription_id, description, transaction_date
+    ) VALUES (?, 'penalty_deduction', ?, ?, ?, ?, ?, NOW())
+  `, [
+    userId,
+    hoursDeducted,
+    balanceBefore,
+    balanceBefore - hoursDeducted,
+    subscriptionId,
+    `Outstanding penalty deducted from new subscription (penalty #${appliedPenaltyIds.join(', #')})`
+  ]);
+
+  return { hoursDeducted, settledPenaltyIds, remainingPenaltyHours };
+}
+
+module.exports = {
+  getOutstandingPenalties,
+  settlePenaltiesOnPurchase
+};
@@ -0,0 +1,200 @@
+const db = require('../config/database');
+const { sendPushMessages, isPushEnabled } = require('../config/push');
+
+// Every notification belongs to one category; users can turn push delivery off per category
+// (the notification is still listed in the app)
+const NotificationCategories = {
+  BOOKING: 'booking',
+  PARKING: 'parking',
+  PAYMENT: 'payment',
+  FEEDBACK: 'feedback',
+  GENERAL: 'general'
+};
+
+const PushTokenDisableReasons = {
+  UNREGISTERED: 'unregistered',
+  DEVICE_NOT_REGISTERED: 'device_not_registered'
+};
+
+const EXPO_PUSH_TOKEN_PATTERN = /^(ExponentPushToken|ExpoPushToken)\[[^\]]+\]$/;
+
+function pushNotificationError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * HTTP status for an error thrown by this module, or null for unexpected errors
+ */
+function getPushNotificationErrorStatus(error) {
+  if (error.code === 'INVALID_PUSH_TOKEN') return 400;
+  if (error.code === 'INVALID_CATEGORY') return 400;
+  if (error.code === 'PUSH_TOKEN_NOT_FOUND') return 404;
+  return null;
+}
+
+const isExpoPushToken = (token) => EXPO_PUSH_TOKEN_PATTERN.test(String(token || ''));
+
+/**
+ * Register (or move) a device's Expo push token to a user's login session.
+ * A token is unique per device, so re-registering after another account signed in on
+ * the same phone hands the token over to the new user.
+ * @throws INVALID_PUSH_TOKEN when the value is not an Expo push token
+ */
+async function registerPushToken(userId, sessionId, { token, platform = null, deviceName = null }) {
+  if (!isExpoPushToken(token)) {
+    throw pushNotificationError('INVALID_PUSH_TOKEN', 'Invalid Expo push token');
+  }
+
+  await db.execute(`
+    INSERT INTO push_tokens (user_id, session_id, expo_push_token, platform, device_name, created_at, last_seen_at)
+    VALUES (?, ?, ?, ?, ?, NOW(), NOW())
+    ON DUPLICATE KEY UPDATE
+      user_id = VALUES(user_id),
+      session_id = VALUES(session_id),
+      platform = VALUES(platform),
+      device_name = VALUES(device_name),
+      last_seen_at = NOW(),
+      disabled_at = NULL,
+      disabled_reason = NULL
+  `, [userId, sessionId || null, token, platform, deviceName]);
+}
+
+/**
+ * Stop sending pushes to a device of the user
+ * @throws PUSH_TOKEN_NOT_FOUND when the token is not registered to the user
+ */
+async function unregisterPushToken(userId, token) {
+  const result = await db.execute(`
+    UPDATE push_tokens
+    SET disabled_at = NOW(), disabled_reason = ?
+    WHERE expo_push_token = ? AND user_id = ? AND disabled_at IS NULL
+  `, [PushTokenDisableReasons.UNREGISTERED, token, userId]);
+
+  if (result.affectedRows === 0) {
+    throw pushNotificationError('PUSH_TOKEN_NOT_FOUND', 'Push token not found');
+  }
+}
+
+/**
+ * Push setting of every category for a user, e.g. { booking: true, parking: false, ... }
+ */
+async function getNotificationPreferences(userId) {
+  const rows = await db.query(
+    'SELECT category, push_enabled FROM notification_preferences WHERE user_id = ?',
+    [userId]
+  );
+
+  const preferences = {};
+  Object.values(NotificationCategories).forEach((category) => {
+    preferences[category] = true;
+  });
+  rows.forEach((row) => {
+    if (row.category in preferences) {
+      preferences[row.category] = Boolean(row.push_enabled);
+    }
+  });
+
+  return preferences;
+}
+
+/**
+ * Update push settings for the given categories, leaving the others unchanged
+ * @param {object} changes - e.g. { parking: false }
+ * @throws INVALID_CATEGORY when a key is not one of NotificationCategories
+ */
+async function updateNotificationPreferences(userId, changes) {
+  const categories = Object.values(NotificationCategories);
+  const entries = Object.entries(changes || {});
+
+  const unknown = entries.find(([category]) => !categories.includes(category));
+  if (unknown) {
+    throw pushNotificationError('INVALID_CATEGORY', `Unknown notification category: ${unknown[0]}`);
+  }
+
+  if (entries.length > 0) {
+    await db.transaction(entries.map(([category, enabled]) => ({
+      sql: `
+        INSERT INTO notification_preferences (user_id, category, push_enabled)
+        VALUES (?, ?, ?)
+        ON DUPLICATE KEY UPDATE push_enabled = VALUES(push_enabled)
+      `,
+      params: [userId, category, enabled ? 1 : 0]
+    })));
+  }
+
+  return getNotificationPreferences(userId);
+}
+
+// Tokens of devices that are still signed in; tokens registered without a session (older app builds) are kept
+async function getActivePushTokens(userId) {
+  return db.query(`
+    SELECT pt.push_token_id, pt.expo_push_token
+    FROM push_tokens pt
+    LEFT JOIN auth_sessions s ON s.session_id = pt.session_id
+    WHERE pt.user_id = ?
+      AND pt.disabled_at IS NULL
+      AND (pt.session_id IS NULL OR (s.revoked_at IS NULL AND s.expires_at > NOW()))
+  `, [userId]);
+}
+
+/**
+ * Deliver a notification that was just stored in the notifications table to the user's devices.
+ * Skipped when the user turned the category off. Never throws - a failed push must not break
+ * the request that created the notification.
+ */
+async function dispatchPushNotification(userId, { notificationId, title, message, category = NotificationCategories.GENERAL, data = null }) {
+  if (!isPushEnabled()) return;
+
+  try {
+    const optOut = await db.query(
+      'SELECT push_enabled FROM notification_preferences WHERE user_id = ? AND category = ? AND push_enabled = 0',
+      [userId, category]
+    );
+    if (optOut.length > 0) return;
+
+    const tokens = await getActivePushTokens(userId);
+    if (tokens.length === 0) return;
+
+    const messages = tokens.map((token) => ({
+      to: token.expo_push_token,
+      title,
+      body: message,
+      sound: 'default',
+      data: {
+        notificationId,
+        category,
+        link: data?.link || null
+      }
+    }));
+
+    const tickets = await sendPushMessages(messages);
+
+    // Expo reports uninstalled apps and expired tokens as DeviceNotRegistered; stop sending to them
+    const staleTokenIds = tokens
+      .filter((token, index) => tickets[index]?.details?.error === 'DeviceNotRegistered')
+      .map((token) => token.push_token_id);
+
+    if (staleTokenIds.length > 0) {
+      await db.execute(`
+        UPDATE push_tokens
+        SET disabled_at = NOW(), disabled_reason = ?
+        WHERE push_token_id IN (${staleTokenIds.map(() => '?').join(', ')})
+      `, [PushTokenDisableReasons.DEVICE_NOT_REGISTERED, ...staleTokenIds]);
+      console.log(`📲 Disabled ${staleTokenIds.length} unregistered push token(s) for user ${userId}`);
+    }
+  } catch (error) {
+    console.error('Error dispatching push notification:', error.message);
+  }
+}
+
+module.exports = {
+  NotificationCategories,
+  getPushNotificationErrorStatus,
+  registerPushToken,
+  unregisterPushToken,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  dispatchPushNotification
+};
@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const sessionStore = require('./sessionStore');
+
+/**
+ * Signed, rotating QR tickets. The owner's phone receives the reservation's Ed25519 private key with
+ * the booking details and signs a fresh payload every QR_TICKET_PERIOD_SECONDS:
+ *
+ *   {"v":1,"rid":<reservationId>,"exp":<unix seconds>,"n":"<nonce>","sig":"<hex>"}
+ *
+ * sig is the Ed25519 signature of "v.rid.exp.n". The private key is derived from the reservation
+ * under the server secret, so the server re-derives it instead of storing it, and checking a ticket
+ * only needs the public key: attendant phones get public keys, which check tickets offline but
+ * cannot make them. A screenshot of the QR code stops working once it expires.
+ */
+const TICKET_VERSION = 1;
+const TICKET_PERIOD_SECONDS = parseInt(process.env.QR_TICKET_PERIOD_SECONDS, 10) || 30;
+// Tolerated difference between the phone's and the server's clocks
+const TICKET_SKEW_SECONDS = parseInt(process.env.QR_TICKET_SKEW_SECONDS, 10) || 60;
+// Hex characters in an Ed25519 signature
+const SIGNATURE_LENGTH = 128;
+// DER prefix turning a raw 32-byte Ed25519 private key into PKCS#8 (RFC 8410)
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+// Unsigned { qr_key } and { reservationId } payloads from older app versions. Off unless switched on,
+// and even then only for reservations booked before signed tickets (reservations.legacy_qr)
+const acceptsLegacyPayloads = () => process.env.QR_ACCEPT_LEGACY_PAYLOADS === 'true';
+
+function qrTicketError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * HTTP status for an error thrown by this module, or null for unexpected errors
+ */
+function getQrTicketErrorStatus(error) {
+  if (error.code === 'QR_INVALID' || error.code === 'QR_LEGACY_REJECTED') return 400;
+  if (error.code === 'QR_SIGNATURE_INVALID' || error.code === 'QR_EXPIRED' ||
+      error.code === 'QR_NOT_YET_VALID' || error.code === 'QR_REPLAYED') return 403;
+  return null;
+}
+
+// Falls back to a key derived from JWT_SECRET so existing deployments keep working without new config
+function getServerSecret() {
+  if (process.env.QR_TICKET_SECRET) {
+    return process.env.QR_TICKET_SECRET;
+  }
+  return crypto.createHash('sha256').update(`qr-tickets:${process.env.JWT_SECRET || ''}`).digest('hex');
+}
+
+// Raw private key of a reservation's tickets
+const getTicketSeed = (reservationId, qrKey) => crypto
+  .createHmac('sha256', getServerSecret())
+  .update(`ed25519:${reservationId}:${qrKey || ''}`)
+  .digest();
+
+const getTicketPublicKey = (reservationId, qrKey) => crypto.createPublicKey(crypto.createPrivateKey({
+  key: Buffer.concat([ED25519_PKCS8_PREFIX, getTicketSeed(reservationId, qrKey)]),
+  format: 'der',
+  type: 'pkcs8'
+}));
+
+// Raw 32-byte public key, the last bytes of its SPKI encoding
+const exportPublicKey = (publicKey) => publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('hex');
+
+const isTicketSignatureValid = (publicKey, { v, rid, exp, n, sig }) =>
+  crypto.verify(null, Buffer.from(`${v}.${rid}.${exp}.${n}`), publicKey, Buffer.from(sig, 'hex'));
+
+/**
+ * What the owner's phone needs to sign tickets for a reservation, or null once it can no longer be scanned
+ * @param {{ reservation_id: number, qr_key: string|null, booking_status: string }} reservation
+ */
+function getTicketSettings(reservation) {
+  if (reservation.booking_status !== 'reserved' && reservation.booking_status !== 'active') {
+    return null;
+  }
+  return {
+    version: TICKET_VERSION,
+    privateKey: getTicketSeed(reservation.reservation_id, reservation.qr_key).toString('hex'),
+    periodSeconds: TICKET_PERIOD_SECONDS,
+    // Lets the phone correct for its own clock when choosing expiries
+    serverTime: new Date().toISOString()
+  };
+}
+
+function parsePayload(qrCodeData) {
+  try {
+    const payload = typeof qrCodeData === 'string' ? JSON.parse(qrCodeData) : qrCodeData;
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Reservation id and qr_key a payload claims, without verifying it (for area checks and audit logs)
+ * @returns {{ reservationId: number|null, qrKey: string|null }}
+ */
+function readQrPayloadIds(qrCodeData) {
+  const payload = parsePayload(qrCodeData) || {};
+  const reservationId = parseInt(payload.rid || payload.reservationId, 10);
+  return {
+    reservationId: reservationId > 0 ? reservationId : null,
+    qrKey: typeof payload.qr_key === 'string' && payload.qr_key ? payload.qr_key : null
+  };
+}
+
+/**
+ * Check a scanned QR payload and resolve the reservation it belongs to. This does not use the
+ * ticket up: the session transition does, with consumeQrTicket, once the scan is allowed.
+ * at is when the ticket was scanned, for offline scans checked after the fact (default now).
+ * @returns {Promise<{ reservationId: number|null, qrKey: string|null, legacy: boolean, exp: number|null }>}
+ * @throws QR_INVALID, QR_LEGACY_REJECTED, QR_SIGNATURE_INVALID, QR_EXPIRED, QR_NOT_YET_VALID
+ */
+async function verifyQrTicket(qrCodeData, { at = null } = {}) {
+  const payload = parsePayload(qrCodeData);
+  if (!payload) {
+    throw qrTicketError('QR_INVALID', 'Invalid QR code format: not valid JSON');
+  }
+
+  if (payload.sig === undefined) {
+    if (!payload.qr_key && !payload.reservationId) {
+      throw qrTicketError('QR_INVALID', 'Invalid QR code format: missing ticket signature');
+    }
+    const legacyReservations = acceptsLegacyPayloads()
+      ? await db.query(
+        `SELECT reservation_id FROM reservations WHERE ${payload.qr_key ? 'qr_key' : 'reservation_id'} = ? AND legacy_qr = 1`,
+        [String(payload.qr_key || payload.reservationId)]
+      )
+      : [];
+    if (legacyReservations.length === 0) {
+      throw qrTicketError('QR_LEGACY_REJECTED', 'This QR code is from an older app version. Ask the driver to update the app and open the ticket again.');
+    }
+    return { reservationId: payload.qr_key ? null : legacyReservations[0].reservation_id, qrKey: payload.qr_key || null, legacy: true, exp: null };
+  }
+
+  const { v, rid, exp, n, sig } = payload;
+  if (v !== TICKET_VERSION || !Number.isInteger(rid) || rid < 1 || !Number.isInteger(exp) ||
+      typeof n !== 'string' || !/^[0-9a-f]{8,32}$/.test(n) ||
+      typeof sig !== 'string' || !/^[0-9a-f]+$/.test(sig) || sig.length !== SIGNATURE_LENGTH) {
+    throw qrTicketError('QR_INVALID', 'Invalid QR code format');
+  }
+
+  const now = Math.floor((at ? at.getTime() : Date.now()) / 1000);
+  if (exp < now - TICKET_SKEW_SECONDS) {
+    throw qrTicketError('QR_EXPIRED', 'This QR code has expired. Ask the driver to open the ticket on their phone.');
+  }
+  // The owner's phone holds the private key, so it could sign far-future tickets to share; only current ones count
+  if (exp > now + TICKET_PERIOD_SECONDS + TICKET_SKEW_SECONDS) {
+    throw qrTicketError('QR_NOT_YET_VALID', "This QR code is not valid yet. The phone's clock may be wrong.");
+  }
+
+  const reservations = await db.query(
+    'SELECT reservation_id, qr_key FROM reservations WHERE reservation_id = ?',
+    [rid]
+  );
+  // Unknown reservations fail like bad signatures so ids cannot be probed
+  if (reservations.length === 0 ||
+      !isTicketSignatureValid(getTicketPublicKey(rid, reservations[0].qr_key), { v, rid, exp, n, sig })) {
+    throw qrTicketError('QR_SIGNATURE_INVALID', 'This QR code is not a valid TapPark ticket.');
+  }
+
+  return { reservationId: rid, qrKey: null, legacy: false, exp };
+}
+
+/**
+ * Accept a verified signed ticket once: later scans must carry a newer expiry. Runs in the
+ * transaction of the session transition, so a scan refused by the session rules rolls it back.
+ * Legacy payloads have no expiry and are not tracked.
+ * @param {object} ticket - from verifyQrTicket
+ * @throws QR_REPLAYED
+ */
+async function consumeQrTicket(connection, ticket) {
+  if (ticket.legacy) {
+    return;
+  }
+  if (!await sessionStore.recordTicketExpiry(connection, ticket.reservationId, ticket.exp)) {
+    throw qrTicketError('QR_REPLAYED', 'This QR code was already scanned. Wait for it to refresh and scan again.');
+  }
+}
+
+/**
+ * Public ticket keys of every open reservation in an attendant's assigned area, so their phone can
+ * check tickets while offline. The phone keeps them only until the next refresh.
+ * @param {number|null} areaId - the assigned area; accounts without one get an empty pack
+ */
+async function listOfflineTickets(areaId) {
+  const tickets = !areaId ? [] : await db.query(`
+    SELECT
+      r.reservation_id,
+      r.qr_key,
+      r.booking_status,
+      r.last_ticket_exp,
+      v.plate_number,
+      COALESCE(sp.spot_number, r.spot_number) as spot_number,
+      pa.parking_area_name,
+      CONCAT(u.first_name, ' ', u.last_name) as user_name
+    FROM reservations r
+    LEFT JOIN vehicles v ON r.vehicle_id = v.vehicle_id
+    LEFT JOIN users u ON r.user_id = u.user_id
+    LEFT JOIN parking_spot sp ON r.parking_spots_id = sp.parking_spot_id
+    LEFT JOIN parking_section psec ON psec.parking_section_id = COALESCE(r.parking_section_id, sp.parking_section_id)
+    LEFT JOIN parking_area pa ON psec.parking_area_id = pa.parking_area_id
+    WHERE r.booking_status IN ('reserved', 'active') AND pa.parking_area_id = ?
+  `, [areaId]);
+
+  return {
+    version: TICKET_VERSION,
+    periodSeconds: TICKET_PERIOD_SECONDS,
+    skewSeconds: TICKET_SKEW_SECONDS,
+    serverTime: new Date().toISOString(),
+    tickets: tickets.map(ticket => ({
+      reservationId: ticket.reservation_id,
+      publicKey: exportPublicKey(getTicketPublicKey(ticket.reservation_id, ticket.qr_key)),
+      bookingStatus: ticket.booking_status,
+      lastTicketExp: ticket.last_ticket_exp,
+      plateNumber: ticket.plate_number,
+      spotNumber: ticket.spot_number,
+      areaName: ticket.parking_area_name,
+      userName: ticket.user_name
+    }))
+  };
+}
+
+module.exports = {
+  consumeQrTicket,
+  getQrTicketErrorStatus,
+  getTicketSettings,
+  listOfflineTickets,
+  readQrPayloadIds,
+  verifyQrTicket
+};
@@ -0,0 +1,301 @@
+const db = require('../config/database');
+
+/**
+ * Server-sent events hub. Clients hold one GET /api/realtime/stream open and receive:
+ *   - reservation.* on their own user channel (their bookings)
+ *   - reservation.* on an area channel when they are staff for that area
+ *   - spot.status / section.status on any area channel they subscribed to (availability only, no personal data)
+ *   - spot.occupancy (sensor readings) on an area channel when they are staff for that area
+ *   - notification.created on their own user channel
+ * Payloads are hints: screens refetch through the normal endpoints when an event arrives.
+ * Subscriptions live in this process, so run a single API instance or put a shared broker in front.
+ */
+const RealtimeEvents = {
+  RESERVATION_RESERVED: 'reservation.reserved',
+  RESERVATION_STARTED: 'reservation.started',
+  RESERVATION_ENDED: 'reservation.ended',
+  RESERVATION_CANCELLED: 'reservation.cancelled',
+  RESERVATION_EXPIRED: 'reservation.expired',
+  SPOT_STATUS: 'spot.status',
+  SECTION_STATUS: 'section.status',
+  SPOT_OCCUPANCY: 'spot.occupancy',
+  NOTIFICATION_CREATED: 'notification.created'
+};
+
+// Spot status left behind by each reservation event (regular spots only)
+const SPOT_STATUS_AFTER_EVENT = {
+  [RealtimeEvents.RESERVATION_RESERVED]: 'reserved',
+  [RealtimeEvents.RESERVATION_STARTED]: 'occupied',
+  [RealtimeEvents.RESERVATION_ENDED]: 'available',
+  [RealtimeEvents.RESERVATION_CANCELLED]: 'available',
+  [RealtimeEvents.RESERVATION_EXPIRED]: 'available'
+};
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const MAX_STREAMS_PER_USER = 5;
+
+const clients = new Set();
+let nextEventId = 1;
+let heartbeatTimer = null;
+
+function writeEvent(client, event, data) {
+  client.res.write(`id: ${nextEventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function startHeartbeat() {
+  if (heartbeatTimer) {
+    return;
+  }
+  // Comment lines keep proxies and mobile networks from closing idle streams
+  heartbeatTimer = setInterval(() => {
+    clients.forEach(client => client.res.write(': ping\n\n'));
+  }, HEARTBEAT_INTERVAL_MS);
+}
+
+function stopHeartbeatIfIdle() {
+  if (clients.size === 0 && heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+}
+
+/**
+ * Attach an open SSE response
+ * @param {object} res - express response with event-stream headers already sent
+ * @param {object} subscription
+ * @param {number} subscription.userId
+ * @param {number[]} subscription.areaIds - areas whose availability changes are wanted
+ * @param {number[]|null} subscription.staffAreaIds - areas whose reservation events are wanted; null means all
+ * @returns {() => void} detach function
+ */
+function addClient(res, { userId, areaIds = [], staffAreaIds = [] }) {
+  const client = {
+    res,
+    userId: Number(userId),
+    areaIds: new Set(areaIds.map(Number)),
+    staffAreaIds: staffAreaIds === null ? null : new Set(staffAreaIds.map(Number))
+  };
+
+  // A phone that reconnects repeatedly should not pile up streams
+  const own = [...clients].filter(existing => existing.userId === client.userId);
+  if (own.length >= MAX_STREAMS_PER_USER) {
+    const oldest = own[0];
+    clients.delete(oldest);
+    oldest.res.end();
+  }
+
+  clients.add(client);
+  startHeartbeat();
+
+  writeEvent(client, 'ready', {
+    userId: client.userId,
+    areaIds: [...client.areaIds],
+    staffAreaIds: client.staffAreaIds === null ? 'all' : [...client.staffAreaIds]
+  });
+  nextEventId++;
+
+  return () => {
+    clients.delete(client);
+    stopHeartbeatIfIdle();
+  };
+}
+
+function publish(filter, event, data) {
+  const payload = { ...data, at: new Date().toISOString() };
+  clients.forEach(client => {
+    if (filter(client)) {
+      writeEvent(client, event, payload);
+    }
+  });
+  nextEventId++;
+}
+
+function publishToUser(userId, event, data) {
+  publish(client => client.userId === Number(userId), event, data);
+}
+
+// Availability changes: anyone watching the area, plus staff of the area
+function publishToArea(areaId, event, data) {
+  const area = Number(areaId);
+  publish(
+    client => client.areaIds.has(area) || client.staffAreaIds === null || client.staffAreaIds.has(area),
+    event,
+    data
+  );
+}
+
+// Reservation details: staff of the area only (the owner gets them on the user channel)
+function publishToAreaStaff(areaId, event, data, exceptUserId) {
+  const area = Number(areaId);
+  publish(
+    client => client.userId !== Number(exceptUserId) &&
+      (client.staffAreaIds === null || client.staffAreaIds.has(area)),
+    event,
+    data
+  );
+}
+
+/**
+ * Announce a reservation lifecycle change to its owner, the area's staff and the area's availability watchers.
+ * Never throws: a failed broadcast must not fail the request that changed the reservation.
+ */
+async function publishReservationEvent(reservationId, event) {
+  if (clients.size === 0) {
+    return;
+  }
+
+  try {
+    const rows = await db.query(`
+      SELECT
+        r.reservation_id,
+        r.user_id,
+        r.booking_status,
+        r.parking_spots_id,
+        COALESCE(r.parking_section_id, sp.parking_section_id) as parking_section_id,
+        COALESCE(sp.spot_number, r.spot_number) as spot_number,
+        psec.parking_area_id
+      FROM reservations r
+      LEFT JOIN parking_spot sp ON r.parking_spots_id = sp.parking_spot_id
+      LEFT JOIN parking_section psec ON psec.parking_section_id = COALESCE(r.parking_section_id, sp.parking_section_id)
+      WHERE r.reservation_id = ?
+    `, [reservationId]);
+
+    if (rows.length === 0) {
+      return;
+    }
+
+    const reservation = rows[0];
+    const data = {
+      reservationId: reservation.reservation_id,
+      status: reservation.booking_status,
+      parkingAreaId: reservation.parking_area_id,
+      parkingSectionId: reservation.parking_section_id,
+      parkingSpotId: reservation.parking_spots_id || null,
+      spotNumber: reservation.spot_number
+    };
+
+    publishToUser(reservation.user_id, event, data);
+
+    if (!reservation.parking_area_id) {
+      return;
+    }
+
+    publishToAreaStaff(reservation.parking_area_id, event, data, reservation.user_id);
+
+    if (reservation.parking_spots_id) {
+      publishToArea(reservation.parking_area_id, RealtimeEvents.SPOT_STATUS, {
+        parkingAreaId: reservation.parking_area_id,
+        parkingSectionId: reservation.parking_section_id,
+        parkingSpotId: reservation.parking_spots_id,
+        status: SPOT_STATUS_AFTER_EVENT[event]
+      });
+    } else {
+      publishToArea(reservation.parking_area_id, RealtimeEvents.SECTION_STATUS, {
+        parkingAreaId: reservation.parking_area_id,
+        parkingSectionId: reservation.parking_section_id
+      });
+    }
+  } catch (error) {
+    console.error('Realtime publish error:', error);
+  }
+}
+
+/**
+ * Announce a manual spot status change (attendant override) to the spot's area
+ */
+async function publishSpotStatus(spotId, status) {
+  if (clients.size === 0) {
+    return;
+  }
+
+  try {
+    const rows = await db.query(`
+      SELECT ps.parking_section_id, psec.parking_area_id
+      FROM parking_spot ps
+      JOIN parking_section psec ON ps.parking_section_id = psec.parking_section_id
+      WHERE ps.parking_spot_id = ?
+    `, [spotId]);
+
+    if (rows.length > 0) {
+      publishToArea(rows[0].parking_area_id, RealtimeEvents.SPOT_STATUS, {
+        parkingAreaId: rows[0].parking_area_id,
+        parkingSectionId: rows[0].parking_section_id,
+        parkingSpotId: Number(spotId),
+        status
+      });
+    }
+  } catch (error) {
+    console.error('Realtime publish error:', error);
+  }
+}
+
+/**
+ * Announce a section status or capacity change to the section's area
+ */
+async function publishSectionStatus(sectionId, status = null) {
+  if (clients.size === 0) {
+    return;
+  }
+
+  try {
+    const rows = await db.query(
+      'SELECT parking_area_id FROM parking_section WHERE parking_section_id = ?',
+      [sectionId]
+    );
+
+    if (rows.length > 0) {
+      publishToArea(rows[0].parking_area_id, RealtimeEvents.SECTION_STATUS, {
+        parkingAreaId: rows[0].parking_area_id,
+        parkingSectionId: Number(sectionId),
+        status
+      });
+    }
+  } catch (error) {
+    console.error('Realtime publish error:', error);
+  }
+}
+
+/**
+ * Announce a sensor-reported occupancy change to the spot's area staff
+ */
+async function publishSpotOccupancy(spotId, isOccupied) {
+  if (clients.size === 0) {
+    return;
+  }
+
+  try {
+    const rows = await db.query(`
+      SELECT ps.parking_section_id, psec.parking_area_id
+      FROM parking_spot ps
+      JOIN parking_section psec ON ps.parking_section_id = psec.parking_section_id
+      WHERE ps.parking_spot_id = ?
+    `, [spotId]);
+
+    if (rows.length > 0) {
+      publishToAreaStaff(rows[0].parking_area_id, RealtimeEvents.SPOT_OCCUPANCY, {
+        parkingAreaId: rows[0].parking_area_id,
+        parkingSectionId: rows[0].parking_section_id,
+        parkingSpotId: Number(spotId),
+        isOccupied: Boolean(isOccupied)
+      });
+    }
+  } catch (error) {
+    console.error('Realtime publish error:', error);
+  }
+}
+
+function getClientCount() {
+  return clients.size;
+}
+
+module.exports = {
+  RealtimeEvents,
+  addClient,
+  publishToUser,
+  publishToArea,
+  publishReservationEvent,
+  publishSpotStatus,
+  publishSectionStatus,
+  publishSpotOccupancy,
+  getClientCount
+};
@@ -0,0 +1,798 @@
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const db = require('../config/database');
+
+/**
+ * Admin reports. Each report is built once as a list of tables (title, typed columns, rows,
+ * optional totals) and then rendered to CSV, XLSX or PDF, so every format shows the same figures.
+ * Last month's reports are generated on a schedule and kept under REPORTS_DIR.
+ */
+
+const REPORTS_DIR = process.env.REPORTS_DIR || path.join(__dirname, '..', 'storage', 'reports');
+const SCHEDULE_INTERVAL_MS = parseInt(process.env.REPORT_SCHEDULE_INTERVAL_MS, 10) || 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+
+const ReportTypes = {
+  REVENUE: 'revenue',
+  SESSIONS: 'sessions',
+  PENALTIES: 'penalties',
+  ATTENDANT_SCANS: 'attendant-scans'
+};
+
+const ReportFormats = {
+  CSV: 'csv',
+  XLSX: 'xlsx',
+  PDF: 'pdf'
+};
+
+const CONTENT_TYPES = {
+  [ReportFormats.CSV]: 'text/csv; charset=utf-8',
+  [ReportFormats.XLSX]: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  [ReportFormats.PDF]: 'application/pdf'
+};
+
+// Formats the monthly job writes; REPORT_SCHEDULE_FORMATS=pdf keeps only the PDFs
+const SCHEDULED_FORMATS = (process.env.REPORT_SCHEDULE_FORMATS || Object.values(ReportFormats).join(','))
+  .split(',')
+  .map(format => format.trim())
+  .filter(format => Object.values(ReportFormats).includes(format));
+
+let scheduleTimer = null;
+let isRunning = false;
+
+function reportError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * HTTP status for an error thrown by this module, or null for unexpected errors
+ */
+function getReportErrorStatus(error) {
+  if (error.code === 'INVALID_RANGE') return 400;
+  if (error.code === 'UNKNOWN_REPORT') return 404;
+  if (error.code === 'REPORT_NOT_FOUND') return 404;
+  if (error.code === 'REPORT_FILE_MISSING') return 410;
+  return null;
+}
+
+// ===== Periods =====
+
+const pad = (value) => String(value).padStart(2, '0');
+const formatDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+const formatDateTime = (date) => `${formatDate(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+/**
+ * Calendar month containing the date, in server time; `to` is exclusive
+ */
+function getMonthPeriod(date) {
+  return {
+    from: new Date(date.getFullYear(), date.getMonth(), 1),
+    to: new Date(date.getFullYear(), date.getMonth() + 1, 1)
+  };
+}
+
+function assertPeriod({ from, to }) {
+  if (!(from < to)) {
+    throw reportError('INVALID_RANGE', '"from" must be before "to"');
+  }
+  if (to - from > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+    throw reportError('INVALID_RANGE', `Reports may not cover more than ${MAX_RANGE_DAYS} days`);
+  }
+}
+
+// Last day included in the period, for titles and file names
+const lastDayOf = ({ to }) => new Date(to.getTime() - 1);
+
+const fullName = (firstName, lastName) => [firstName, lastName].filter(Boolean).join(' ') || 'Unknown';
+
+const sumColumn = (rows, key) => rows.reduce((total, row) => total + Number(row[key] || 0), 0);
+
+// ===== Report builders =====
+
+async function buildRevenueReport({ from, to }) {
+  const [byPlan, paypalOrders] = await Promise.all([
+    db.query(`
+      SELECT
+        COALESCE(pl.plan_name, 'Unknown plan') as plan_name,
+        CASE WHEN p.payment_type = 'paypal' THEN 'PayPal' ELSE COALESCE(pm.method_name, 'Other') END as channel,
+        COUNT(*) as payments,
+        SUM(p.amount) as gross,
+        SUM(COALESCE(p.refunded_amount, 0)) as refunded
+      FROM payments p
+      LEFT JOIN subscriptions s ON s.subscription_id = p.subscription_id
+      LEFT JOIN plans pl ON pl.plan_id = s.plan_id
+      LEFT JOIN payment_method pm ON pm.id = p.payment_method_id
+      WHERE p.payment_date >= ? AND p.payment_date < ?
+        AND p.status IN ('paid', 'completed', 'partially_refunded', 'refunded')
+      GROUP BY plan_name, channel
+      ORDER BY plan_name, channel
+    `, [from, to]),
+    db.query(`
+      SELECT
+        COALESCE(pl.plan_name, 'Unknown plan') as plan_name,
+        pt.status,
+        COUNT(*) as orders,
+        SUM(pt.amount) as amount
+      FROM paypal_transactions pt
+      LEFT JOIN plans pl ON pl.plan_id = pt.plan_id
+      WHERE pt.created_at >= ? AND pt.created_at < ?
+      GROUP BY plan_name, pt.status
+      ORDER BY plan_name, pt.status
+    `, [from, to])
+  ]);
+
+  const revenueRows = byPlan.map(row => ({
+    plan: row.plan_name,
+    channel: row.channel,
+    payments: Number(row.payments),
+    gross: Number(row.gross),
+    refunded: Number(row.refunded),
+    net: Number(row.gross) - Number(row.refunded)
+  }));
+
+  return {
+    title: 'Revenue Report',
+    tables: [
+      {
+        title: 'Revenue by plan and payment channel',
+        columns: [
+          { key: 'plan', header: 'Plan', type: 'text', width: 3 },
+          { key: 'channel', header: 'Channel', type: 'text', width: 2 },
+          { key: 'payments', header: 'Payments', type: 'integer', width: 1 },
+          { key: 'gross', header: 'Gross (PHP)', type: 'money', width: 1.5 },
+          { key: 'refunded', header: 'Refunded (PHP)', type: 'money', width: 1.5 },
+          { key: 'net', header: 'Net (PHP)', type: 'money', width: 1.5 }
+        ],
+        rows: revenueRows,
+        totals: {
+          plan: 'Total',
+          payments: sumColumn(revenueRows, 'payments'),
+          gross: sumColumn(revenueRows, 'gross'),
+          refunded: sumColumn(revenueRows, 'refunded'),
+          net: sumColumn(revenueRows, 'net')
+        }
+      },
+      {
+        // Orders left approved/failed here never reached the payments table
+        title: 'PayPal orders by status',
+        columns: [
+          { key: 'plan', header: 'Plan', type: 'text', width: 3 },
+          { key: 'status', header: 'Status', type: 'text', width: 2 },
+          { key: 'orders', header: 'Orders', type: 'integer', width: 1 },
+          { key: 'amount', header: 'Amount (PHP)', type: 'money', width: 1.5 }
+        ],
+        rows: paypalOrders.map(row => ({
+          plan: row.plan_name,
+          status: row.status,
+          orders: Number(row.orders),
+          amount: Number(row.amount)
+        }))
+      }
+    ]
+  };
+}
+
+async function buildSessionsReport({ from, to }) {
+  const rows = await db.query(`
+    SELECT
+      pa.parking_area_name,
+      COUNT(*) as bookings,
+      SUM(r.booking_status = 'completed') as completed,
+      SUM(r.booking_status = 'active') as active,
+      SUM(r.booking_status = 'cancelled') as cancelled,
+      SUM(r.booking_status = 'expired') as no_shows,
+      COUNT(DISTINCT r.user_id) as users,
+      SUM(CASE WHEN r.booking_status = 'completed' AND r.start_time IS NOT NULL AND r.end_time IS NOT NULL
+               THEN TIMESTAMPDIFF(MINUTE, r.start_time, r.end_time) ELSE 0 END) as parked_minutes
+    FROM reservations r
+    LEFT JOIN parking_spot ps ON ps.parking_spot_id = r.parking_spots_id
+    JOIN parking_section psec ON psec.parking_section_id = COALESCE(r.parking_section_id, ps.parking_section_id)
+    JOIN parking_area pa ON pa.parking_area_id = psec.parking_area_id
+    WHERE r.time_stamp >= ? AND r.time_stamp < ?
+    GROUP BY pa.parking_area_id, pa.parking_area_name
+    ORDER BY pa.parking_area_name
+  `, [from, to]);
+
+  const areaRows = rows.map(row => {
+    const completed = Number(row.completed);
+    const parkedMinutes = Number(row.parked_minutes);
+    return {
+      area: row.parking_area_name,
+      bookings: Number(row.bookings),
+      completed,
+      active: Number(row.active),
+      cancelled: Number(row.cancelled),
+      noShows: Number(row.no_shows),
+      users: Number(row.users),
+      parkedHours: parkedMinutes / 60,
+      avgMinutes: completed > 0 ? parkedMinutes / completed : null
+    };
+  });
+  const totalCompleted = sumColumn(areaRows, 'completed');
+  const totalParkedHours = sumColumn(areaRows, 'parkedHours');
+
+  return {
+    title: 'Parking Sessions Report',
+    tables: [
+      {
+        title: 'Sessions by area (by booking time)',
+        columns: [
+          { key: 'area', header: 'Area', type: 'text', width: 3 },
+          { key: 'bookings', header: 'Bookings', type: 'integer', width: 1 },
+          { key: 'completed', header: 'Completed', type: 'integer', width: 1 },
+          { key: 'active', header: 'Active', type: 'integer', width: 1 },
+          { key: 'cancelled', header: 'Cancelled', type: 'integer', width: 1 },
+          { key: 'noShows', header: 'No-shows', type: 'integer', width: 1 },
+          { key: 'users', header: 'Users', type: 'integer', width: 1 },
+          { key: 'parkedHours', header: 'Parked hours', type: 'number', width: 1.2 },
+          { key: 'avgMinutes', header: 'Avg. stay (min)', type: 'number', width: 1.2 }
+        ],
+        rows: areaRows,
+        totals: {
+          area: 'Total',
+          bookings: sumColumn(areaRows, 'bookings'),
+          completed: totalCompleted,
+          active: sumColumn(areaRows, 'active'),
+          cancelled: sumColumn(areaRows, 'cancelled'),
+          noShows: sumColumn(areaRows, 'noShows'),
+          parkedHours: totalParkedHours,
+          avgMinutes: totalCompleted > 0 ? (totalParkedHours * 60) / totalCompleted : null
+        }
+      }
+    ]
+  };
+}
+
+async function buildPenaltiesReport({ from, to }) {
+  const [issued, settled, outstanding] = await Promise.all([
+    db.query(`
+      SELECT COUNT(*) as penalties, COALESCE(SUM(penalty_time), 0) as hours
+      FROM penalty
+      WHERE created_at >= ? AND created_at < ?
+    `, [from, to]),
+    db.query(`
+      SELECT COUNT(*) as penalties, COALESCE(SUM(hours_settled), 0) as hours
+      FROM penalty
+      WHERE status = 'settled' AND settled_at >= ? AND settled_at < ?
+    `, [from, to]),
+    db.query(`
+      SELECT p.penalty_id, p.penalty_time, p.hours_settled, p.created_at, u.first_name, u.last_name, u.email
+      FROM penalty p
+      LEFT JOIN users u ON u.user_id = p.user_id
+      WHERE p.status = 'outstanding'
+      ORDER BY p.created_at, p.penalty_id
+    `)
+  ]);
+
+  const outstandingRows = outstanding.map(row => ({
+    penaltyId: row.penalty_id,
+    user: fullName(row.first_name, row.last_name),
+    email: row.email,
+    hours: Number(row.penalty_time),
+    settled: Number(row.hours_settled),
+    outstanding: Number(row.penalty_time) - Number(row.hours_settled),
+    issuedAt: row.created_at ? new Date(row.created_at) : null
+  }));
+
+  return {
+    title: 'Penalties Report',
+    tables: [
+      {
+        title: 'Penalties in period',
+        columns: [
+          { key: 'label', header: '', type: 'text', width: 3 },
+          { key: 'penalties', header: 'Penalties', type: 'integer', width: 1 },
+          { key: 'hours', header: 'Hours', type: 'number', width: 1 }
+        ],
+        rows: [
+          { label: 'Issued', penalties: Number(issued[0].penalties), hours: Number(issued[0].hours) },
+          { label: 'Settled', penalties: Number(settled[0].penalties), hours: Number(settled[0].hours) }
+        ]
+      },
+      {
+        // Current state, not the state at the end of the period
+        title: 'Outstanding penalties at generation time',
+        columns: [
+          { key: 'penaltyId', header: 'Penalty', type: 'integer', width: 0.8 },
+          { key: 'user', header: 'User', type: 'text', width: 2 },
+          { key: 'email', header: 'Email', type: 'text', width: 2.5 },
+          { key: 'hours', header: 'Hours', type: 'number', width: 1 },
+          { key: 'settled', header: 'Settled', type: 'number', width: 1 },
+          { key: 'outstanding', header: 'Outstanding', type: 'number', width: 1 },
+          { key: 'issuedAt', header: 'Issued', type: 'datetime', width: 1.5 }
+        ],
+        rows: outstandingRows,
+        totals: {
+          user: 'Total',
+          hours: sumColumn(outstandingRows, 'hours'),
+          settled: sumColumn(outstandingRows, 'settled'),
+          outstanding: sumColumn(outstandingRows, 'outstanding')
+        }
+      }
+    ]
+  };
+}
+
+async function buildAttendantScansReport({ from, to }) {
+  const [byAttendant, byDay] = await Promise.all([
+    db.query(`
+      SELECT
+        q.attendant_user_id,
+        u.first_name,
+        u.last_name,
+        u.email,
+        COALESCE(pa.parking_area_name, q.parking_area_name, 'Unknown area') as area_name,
+        SUM(q.scan_type = 'start') as starts,
+        SUM(q.scan_type = 'end') as ends,
+        COUNT(DISTINCT DATE(q.scan_timestamp)) as active_days,
+        MIN(q.scan_timestamp) as first_scan,
+        MAX(q.scan_timestamp) as last_scan
+      FROM qr_scan_tracking q
+      LEFT JOIN users u ON u.user_id = q.attendant_user_id
+      LEFT JOIN parking_area pa ON pa.parking_area_id = q.parking_area_id
+      WHERE q.scan_timestamp >= ? AND q.scan_timestamp < ?
+      GROUP BY q.attendant_user_id, u.first_name, u.last_name, u.email, area_name
+      ORDER BY u.last_name, u.first_name, area_name
+    `, [from, to]),
+    db.query(`
+      SELECT
+        DATE_FORMAT(q.scan_timestamp, '%Y-%m-%d') as day,
+        SUM(q.scan_type = 'start') as starts,
+        SUM(q.scan_type = 'end') as ends,
+        COUNT(DISTINCT q.attendant_user_id) as attendants
+      FROM qr_scan_tracking q
+      WHERE q.scan_timestamp >= ? AND q.scan_timestamp < ?
+      GROUP BY day
+      ORDER BY day
+    `, [from, to])
+  ]);
+
+  const attendantRows = byAttendant.map(row => ({
+    attendant: fullName(row.first_name, row.last_name),
+    email: row.email,
+    area: row.area_name,
+    starts: Number(row.starts),
+    ends: Number(row.ends),
+    scans: Number(row.starts) + Number(row.ends),
+    activeDays: Number(row.active_days),
+    firstScan: new Date(row.first_scan),
+    lastScan: new Date(row.last_scan)
+  }));
+  const dayRows = byDay.map(row => ({
+    day: row.day,
+    starts: Number(row.starts),
+    ends: Number(row.ends),
+    scans: Number(row.starts) + Number(row.ends),
+    attendants: Number(row.attendants)
+  }));
+
+  return {
+    title: 'Attendant Scan Activity Report',
+    tables: [
+      {
+        title: 'Scans by attendant and area',
+        columns: [
+          { key: 'attendant', header: 'Attendant', type: 'text', width: 2 },
+          { key: 'email', header: 'Email', type: 'text', width: 2.5 },
+          { key: 'area', header: 'Area', type: 'text', width: 2 },
+          { key: 'starts', header: 'Entry scans', type: 'integer', width: 1 },
+          { key: 'ends', header: 'Exit scans', type: 'integer', width: 1 },
+          { key: 'scans', header: 'Total', type: 'integer', width: 0.8 },
+          { key: 'activeDays', header: 'Days active', type: 'integer', width: 1 },
+          { key: 'firstScan', header: 'First scan', type: 'datetime', width: 1.5 },
+          { key: 'lastScan', header: 'Last scan', type: 'datetime', width: 1.5 }
+        ],
+        rows: attendantRows,
+        totals: {
+          attendant: 'Total',
+          starts: sumColumn(attendantRows, 'starts'),
+          ends: sumColumn(attendantRows, 'ends'),
+          scans: sumColumn(attendantRows, 'scans')
+        }
+      },
+      {
+        title: 'Scans by day',
+        columns: [
+          { key: 'day', header: 'Date', type: 'text', width: 1.5 },
+          { key: 'starts', header: 'Entry scans', type: 'integer', width: 1 },
+          { key: 'ends', header: 'Exit scans', type: 'integer', width: 1 },
+          { key: 'scans', header: 'Total', type: 'integer', width: 1 },
+          { key: 'attendants', header: 'Attendants', type: 'integer', width: 1 }
+        ],
+        rows: dayRows
+      }
+    ]
+  };
+}
+
+const REPORT_BUILDERS = {
+  [ReportTypes.REVENUE]: buildRevenueReport,
+  [ReportTypes.SESSIONS]: buildSessionsReport,
+  [ReportTypes.PENALTIES]: buildPenaltiesReport,
+  [ReportTypes.ATTENDANT_SCANS]: buildAttendantScansReport
+};
+
+/**
+ * Build a report for [from, to)
+ * @returns {Promise<{ type, title, from, to, generatedAt, tables }>}
+ */
+async function buildReport(type, period) {
+  const builder = REPORT_BUILDERS[type];
+  if (!builder) {
+    throw reportError('UNKNOWN_REPORT', `Unknown report: ${type}`);
+  }
+  assertPeriod(period);
+
+  const report = await builder(period);
+  return { type, from: period.from, to: period.to, generatedAt: new Date(), ...report };
+}
+
+// ===== Rendering =====
+
+const describePeriod = (report) => `${formatDate(report.from)} to ${formatDate(lastDayOf(report))}`;
+
+// Text for CSV and PDF cells; XLSX keeps numbers and dates typed
+function formatCell(value, type) {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  switch (type) {
+    case 'money':
+    case 'number':
+      return Number(value).toFixed(2);
+    case 'integer':
+      return String(Math.round(Number(value)));
+    case 'datetime':
+      return value instanceof Date ? formatDateTime(value) : String(value);
+    default:
+      return String(value);
+  }
+}
+
+const escapeCsv = (value) => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+function renderCsv(report) {
+  const lines = [
+    [report.title],
+    [`Period: ${describePeriod(report)}`],
+    [`Generated: ${formatDateTime(report.generatedAt)}`]
+  ];
+
+  report.tables.forEach(table => {
+    lines.push([], [table.title], table.columns.map(column => column.header));
+    table.rows.forEach(row => {
+      lines.push(table.columns.map(column => formatCell(row[column.key], column.type)));
+    });
+    if (table.totals) {
+      lines.push(table.columns.map(column => formatCell(table.totals[column.key], column.type)));
+    }
+  });
+
+  // The BOM makes Excel open the file as UTF-8
+  const csv = lines.map(line => line.map(escapeCsv).join(',')).join('\r\n');
+  return Buffer.from(`\uFEFF${csv}\r\n`, 'utf8');
+}
+
+const XLSX_FORMATS = {
+  money: '#,##0.00',
+  number: '#,##0.00',
+  integer: '#,##0',
+  datetime: 'yyyy-mm-dd hh:mm'
+};
+
+// Sheet names: at most 31 characters, none of []:*?/\
+const toSheetName = (title, index) => `${index + 1} ${title}`.replace(/[[\]:*?/\\]/g, '-').slice(0, 31);
+
+async function renderXlsx(report) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'TapPark';
+  workbook.created = report.generatedAt;
+
+  report.tables.forEach((table, index) => {
+    const sheet = workbook.addWorksheet(toSheetName(table.title, index));
+    const columnCount = table.columns.length;
+
+    sheet.addRow([`${report.title} - ${table.title}`]).font = { bold: true, size: 14 };
+    sheet.addRow([`Period: ${describePeriod(report)}`]);
+    sheet.addRow([`Generated: ${formatDateTime(report.generatedAt)}`]);
+    sheet.addRow([]);
+
+    const header = sheet.addRow(table.columns.map(column => column.header));
+    header.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    header.eachCell(cell => {
+      cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF8A0000' } };
+    });
+    sheet.views = [{ state: 'frozen', ySplit: header.number }];
+
+    const addValues = (values) => sheet.addRow(table.columns.map(column => {
+      const value = values[column.key];
+      return value === undefined ? null : value;
+    }));
+    table.rows.forEach(addValues);
+    if (table.totals) {
+      addValues(table.totals).font = { bold: true };
+    }
+
+    table.columns.forEach((column, columnIndex) => {
+      const sheetColumn = sheet.getColumn(columnIndex + 1);
+      sheetColumn.width = Math.max(12, Math.round(column.width * 12));
+      if (XLSX_FORMATS[column.type]) {
+        sheetColumn.numFmt = XLSX_FORMATS[column.type];
+      }
+    });
+    sheet.mergeCells(1, 1, 1, columnCount);
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+const PDF_COLORS = {
+  primary: '#8A0000',
+  text: '#222222',
+  muted: '#666666',
+  stripe: '#F4F4F4'
+};
+const PDF_ROW_HEIGHT = 18;
+
+function renderPdf(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      layout: 'landscape',
+      margin: 40,
+      info: { Title: `${report.title} ${describePeriod(report)}`, Author: 'TapPark' }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+    doc.font('Helvetica-Bold').fontSize(18).fillColor(PDF_COLORS.primary).text(report.title);
+    doc.font('Helvetica').fontSize(10).fillColor(PDF_COLORS.muted)
+      .text(`Period: ${describePeriod(report)}    Generated: ${formatDateTime(report.generatedAt)}`);
+
+    report.tables.forEach(table => {
+      const totalWeight = table.columns.reduce((total, column) => total + column.width, 0);
+      const widths = table.columns.map(column => (column.width / totalWeight) * contentWidth);
+
+      const drawRow = (cells, { bold = false, fill = null, color = PDF_COLORS.text } = {}) => {
+        if (doc.y + PDF_ROW_HEIGHT > bottom()) {
+          doc.addPage();
+        }
+        const y = doc.y;
+        if (fill) {
+          doc.rect(left, y, contentWidth, PDF_ROW_HEIGHT).fill(fill);
+        }
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor(color);
+        let x = left;
+        cells.forEach((cell, index) => {
+          const isText = table.columns[index].type === 'text';
+          doc.text(cell, x + 4, y + 5, {
+            width: widths[index] - 8,
+            align: isText ? 'left' : 'right',
+            lineBreak: false,
+            ellipsis: true
+          });
+          x += widths[index];
+        });
+        doc.x = left;
+        doc.y = y + PDF_ROW_HEIGHT;
+      };
+
+      const drawHeader = () => drawRow(table.columns.map(column => column.header), {
+        bold: true,
+        fill: PDF_COLORS.primary,
+        color: '#FFFFFF'
+      });
+
+      // Keep a table title together with its header and first rows
+      if (doc.y + PDF_ROW_HEIGHT * 4 > bottom()) {
+        doc.addPage();
+      }
+      doc.moveDown(1.5);
+      doc.font('Helvetica-Bold').fontSize(12).fillColor(PDF_COLORS.text).text(table.title, left);
+      doc.moveDown(0.3);
+      drawHeader();
+
+      if (table.rows.length === 0) {
+        drawRow(table.columns.map((column, index) => (index === 0 ? 'No data for this period' : '')), {
+          color: PDF_COLORS.muted
+        });
+      }
+      table.rows.forEach((row, rowIndex) => {
+        if (doc.y + PDF_ROW_HEIGHT > bottom()) {
+          doc.addPage();
+          drawHeader();
+        }
+        drawRow(table.columns.map(column => formatCell(row[column.key], column.type)), {
+          fill: rowIndex % 2 === 1 ? PDF_COLORS.stripe : null
+        });
+      });
+      if (table.totals) {
+        drawRow(table.columns.map(column => formatCell(table.totals[column.key], column.type)), { bold: true });
+      }
+    });
+
+    doc.end();
+  });
+}
+
+const RENDERERS = {
+  [ReportFormats.CSV]: async (report) => renderCsv(report),
+  [ReportFormats.XLSX]: renderXlsx,
+  [ReportFormats.PDF]: renderPdf
+};
+
+/**
+ * Render a built report
+ * @returns {Promise<{ buffer: Buffer, contentType: string, fileName: string }>}
+ */
+async function renderReport(report, format) {
+  const buffer = await RENDERERS[format](report);
+  return {
+    buffer,
+    contentType: CONTENT_TYPES[format],
+    fileName: `${report.type}_${formatDate(report.from)}_${formatDate(lastDayOf(report))}.${format}`
+  };
+}
+
+// ===== Archive =====
+
+/**
+ * Generate every report for the month containing `month` and store the files.
+ * Regenerating a month replaces its files.
+ * @param {number|null} generatedBy - admin user id, or null for the schedule
+ */
+async function archiveMonthlyReports(month, generatedBy = null, formats = SCHEDULED_FORMATS) {
+  const period = getMonthPeriod(month);
+  const directory = path.join(REPORTS_DIR, formatDate(period.from).slice(0, 7));
+  await fs.promises.mkdir(directory, { recursive: true });
+
+  const archived = [];
+  for (const type of Object.values(ReportTypes)) {
+    const report = await buildReport(type, period);
+    for (const format of formats) {
+      const { buffer, fileName } = await renderReport(report, format);
+      const filePath = path.join(directory, fileName);
+      await fs.promises.writeFile(filePath, buffer);
+
+      await db.execute(`
+        INSERT INTO report_archives
+          (report_type, format, period_start, period_end, file_name, file_path, file_size, generated_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          file_name = VALUES(file_name),
+          file_path = VALUES(file_path),
+          file_size = VALUES(file_size),
+          generated_by = VALUES(generated_by),
+          generated_at = CURRENT_TIMESTAMP
+      `, [type, format, period.from, period.to, fileName, path.relative(REPORTS_DIR, filePath), buffer.length, generatedBy]);
+      archived.push({ type, format, fileName, size: buffer.length });
+    }
+  }
+
+  return { periodStart: period.from, periodEnd: period.to, reports: archived };
+}
+
+async function listArchivedReports({ type = null, limit = 100 } = {}) {
+  const params = [];
+  let typeFilter = '';
+  if (type) {
+    typeFilter = 'WHERE report_type = ?';
+    params.push(type);
+  }
+
+  const rows = await db.query(`
+    SELECT report_id, report_type, format, period_start, period_end, file_name, file_size, generated_by, generated_at
+    FROM report_archives
+    ${typeFilter}
+    ORDER BY period_start DESC, report_type, format
+    LIMIT ${Number(limit)}
+  `, params);
+
+  return rows.map(row => ({
+    reportId: row.report_id,
+    type: row.report_type,
+    format: row.format,
+    periodStart: row.period_start,
+    periodEnd: row.period_end,
+    fileName: row.file_name,
+    fileSize: Number(row.file_size),
+    generatedBy: row.generated_by,
+    generatedAt: row.generated_at
+  }));
+}
+
+/**
+ * Location of a stored report file
+ * @returns {Promise<{ filePath: string, fileName: string }>}
+ */
+async function getArchivedReportFile(reportId) {
+  const rows = await db.query(
+    'SELECT file_name, file_path FROM report_archives WHERE report_id = ?',
+    [reportId]
+  );
+  if (rows.length === 0) {
+    throw reportError('REPORT_NOT_FOUND', 'Report not found');
+  }
+
+  const filePath = path.join(REPORTS_DIR, rows[0].file_path);
+  if (!fs.existsSync(filePath)) {
+    throw reportError('REPORT_FILE_MISSING', 'The stored report file no longer exists; regenerate the month');
+  }
+  return { filePath, fileName: rows[0].file_name };
+}
+
+/**
+ * Archive last month's reports once the month is over, if the schedule has not done so yet
+ */
+async function archivePreviousMonth() {
+  if (isRunning || SCHEDULED_FORMATS.length === 0) {
+    return null;
+  }
+  isRunning = true;
+
+  try {
+    const now = new Date();
+    const previousMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+    const existing = await db.query(`
+      SELECT COUNT(*) as count FROM report_archives
+      WHERE period_start = ? AND format IN (${SCHEDULED_FORMATS.map(() => '?').join(', ')})
+    `, [previousMonth, ...SCHEDULED_FORMATS]);
+
+    if (Number(existing[0].count) >= Object.values(ReportTypes).length * SCHEDULED_FORMATS.length) {
+      return null;
+    }
+
+    const result = await archiveMonthlyReports(previousMonth);
+    console.log(`📊 Archived ${result.reports.length} report(s) for ${formatDate(result.periodStart).slice(0, 7)}`);
+    return result;
+  } finally {
+    isRunning = false;
+  }
+}
+
+function startMonthlyReportJob() {
+  if (scheduleTimer) {
+    return;
+  }
+
+  const run = () => {
+    archivePreviousMonth().catch(error => {
+      console.error('Monthly report job error:', error);
+    });
+  };
+  scheduleTimer = setInterval(run, SCHEDULE_INTERVAL_MS);
+  run();
+
+  console.log(`📊 Monthly report job checking every ${SCHEDULE_INTERVAL_MS / 1000}s`);
+}
+
+function stopMonthlyReportJob() {
+  if (scheduleTimer) {
+    clearInterval(scheduleTimer);
+    scheduleTimer = null;
+  }
+}
+
+module.exports = {
+  ReportTypes,
+  ReportFormats,
+  getReportErrorStatus,
+  getMonthPeriod,
+  buildReport,
+  renderReport,
+  archiveMonthlyReports,
+  listArchivedReports,
+  getArchivedReportFile,
+  startMonthlyReportJob,
+  stopMonthlyReportJob
+};
@@ -0,0 +1,142 @@
+const db = require('../config/database');
+const { logUserActivity, ActionTypes } = require('../utils/userLogger');
+const { NotificationCategories, NotificationLinks, createNotification } = require('../utils/notifications');
+const { expireSession } = require('./parkingSession');
+
+// Fallback grace window when a parking area has no reservation_grace_minutes set
+const DEFAULT_GRACE_MINUTES = parseInt(process.env.DEFAULT_RESERVATION_GRACE_MINUTES, 10) || 30;
+const EXPIRY_INTERVAL_MS = parseInt(process.env.RESERVATION_EXPIRY_INTERVAL_MS, 10) || 60000;
+
+let expiryTimer = null;
+let isRunning = false;
+
+/**
+ * Compute when a reserved booking expires if it is not scanned by an attendant
+ * @param {Date|string} bookingTime - reservations.scheduled_start for scheduled bookings, otherwise time_stamp
+ * @param {number|null} graceMinutes - parking_area.reservation_grace_minutes
+ * @returns {{ expiresAt: string|null, gracePeriodMinutes: number }}
+ */
+function getReservationExpiry(bookingTime, graceMinutes) {
+  const gracePeriodMinutes = graceMinutes != null ? Number(graceMinutes) : DEFAULT_GRACE_MINUTES;
+  if (!bookingTime) {
+    return { expiresAt: null, gracePeriodMinutes };
+  }
+
+  const expiresAt = new Date(new Date(bookingTime).getTime() + gracePeriodMinutes * 60000);
+  return { expiresAt: expiresAt.toISOString(), gracePeriodMinutes };
+}
+
+/**
+ * Expire a single reservation and release its spot (or capacity section slot)
+ * Returns false if the reservation was already scanned or cancelled in the meantime
+ */
+async function expireReservation(reservation) {
+  try {
+    // Only expires if it is still reserved - the attendant may have scanned it meanwhile
+    await expireSession(reservation.reservation_id);
+  } catch (error) {
+    if (error.code === 'INVALID_SESSION_TRANSITION') {
+      return false;
+    }
+    throw error;
+  }
+
+  const areaName = reservation.parking_area_name || 'the parking area';
+  const spotLabel = reservation.spot_number ? ` (spot ${reservation.spot_number})` : '';
+
+  await logUserActivity(
+    reservation.user_id,
+    ActionTypes.PARKING_EXPIRE,
+    `Reservation expired (no-show) at ${areaName}${spotLabel} after ${reservation.grace_minutes} minute grace period`,
+    reservation.reservation_id
+  );
+
+  await createNotification(
+    reservation.user_id,
+    'Reservation Expired',
+    `Your reservation at ${areaName}${spotLabel} expired because it was not scanned within ${reservation.grace_minutes} minutes.`,
+    'warning',
+    { reservationId: reservation.reservation_id, bookingStatus: 'expired', link: NotificationLinks.history() },
+    NotificationCategories.BOOKING
+  );
+
+  return true;
+}
+
+/**
+ * Find reserved bookings past their area's grace window and expire them
+ * @returns {Promise<number>} number of reservations expired
+ */
+async function expireStaleReservations() {
+  if (isRunning) {
+    return 0;
+  }
+  isRunning = true;
+
+  try {
+    const staleReservations = await db.query(`
+      SELECT
+        r.reservation_id,
+        r.user_id,
+        r.parking_spots_id,
+        COALESCE(r.parking_section_id, sp.parking_section_id) as parking_section_id,
+        r.spot_number,
+        pa.parking_area_name,
+        COALESCE(pa.reservation_grace_minutes, ?) as grace_minutes
+      FROM reservations r
+      LEFT JOIN parking_spot sp ON r.parking_spots_id = sp.parking_spot_id
+      LEFT JOIN parking_section psec ON psec.parking_section_id = COALESCE(r.parking_section_id, sp.parking_section_id)
+      LEFT JOIN parking_area pa ON psec.parking_area_id = pa.parking_area_id
+      WHERE r.booking_status = 'reserved'
+        AND COALESCE(r.scheduled_start, r.time_stamp) + INTERVAL COALESCE(pa.reservation_grace_minutes, ?) MINUTE < NOW()
+    `, [DEFAULT_GRACE_MINUTES, DEFAULT_GRACE_MINUTES]);
+
+    let expiredCount = 0;
+    for (const reservation of staleReservations) {
+      try {
+        if (await expireReservation(reservation)) {
+          expiredCount++;
+        }
+      } catch (error) {
+        console.error(`❌ Failed to expire reservation ${reservation.reservation_id}:`, error);
+      }
+    }
+
+    if (expiredCount > 0) {
+      console.log(`⏰ Expired ${expiredCount} unclaimed reservation(s)`);
+    }
+
+    return expiredCount;
+  } finally {
+    isRunning = false;
+  }
+}
+
+function startReservationExpiryJob() {
+  if (expiryTimer) {
+    return;
+  }
+
+  expiryTimer = setInterval(() => {
+    expireStaleReservations().catch(error => {
+      console.error('Reservation expiry job error:', error);
+    });
+  }, EXPIRY_INTERVAL_MS);
+
+  console.log(`⏰ Reservation expiry job running every ${EXPIRY_INTERVAL_MS / 1000}s`);
+}
+
+function stopReservationExpiryJob() {
+  if (expiryTimer) {
+    clearInterval(expiryTimer);
+    expiryTimer = null;
+  }
+}
+
+module.exports = {
+  DEFAULT_GRACE_MINUTES,
+  getReservationExpiry,
+  expireStaleReservations,
+  startReservationExpiryJob,
+  stopReservationExpiryJob
+};
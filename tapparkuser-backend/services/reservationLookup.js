@@ -0,0 +1,130 @@
+const db = require('../config/database');
+
+/**
+ * Finding a booking without its QR code (dead phone, unreadable screen) and the identity check an
+ * attendant confirms before starting or ending it by hand. Manual scans are recorded in
+ * qr_scan_tracking like QR scans, with entry_method 'manual' and the document that was checked.
+ */
+const IdentityDocuments = {
+  DRIVERS_LICENSE: 'drivers_license',
+  GOVERNMENT_ID: 'government_id',
+  COMPANY_ID: 'company_id',
+  VEHICLE_REGISTRATION: 'vehicle_registration',
+  OTHER: 'other'
+};
+
+const MIN_QUERY_LENGTH = 2;
+const SEARCH_LIMIT = 20;
+// Finished bookings stay searchable this long, e.g. to check a driver who says they already left
+const RECENT_HOURS = 24;
+
+function lookupError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * HTTP status for an error thrown by this module, or null for unexpected errors
+ */
+function getReservationLookupErrorStatus(error) {
+  if (error.code === 'SEARCH_QUERY_TOO_SHORT' || error.code === 'IDENTITY_CHECK_REQUIRED') return 400;
+  return null;
+}
+
+const normalizePlate = (plate) => String(plate || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+const escapeLike = (value) => value.replace(/[\\%_]/g, match => `\\${match}`);
+
+/**
+ * Open and recently finished reservations matching a plate, owner name, reservation id or spot number
+ * @param {string} query
+ * @param {number|null} areaScope - from getAreaScope; null for every area
+ * @throws SEARCH_QUERY_TOO_SHORT
+ */
+async function searchReservations(query, areaScope) {
+  const term = String(query || '').trim();
+  const isId = /^\d+$/.test(term);
+  if (term.length < MIN_QUERY_LENGTH && !isId) {
+    throw lookupError('SEARCH_QUERY_TOO_SHORT', `Enter at least ${MIN_QUERY_LENGTH} characters`);
+  }
+
+  const plate = normalizePlate(term);
+  const matches = [
+    "CONCAT(u.first_name, ' ', u.last_name) LIKE ?",
+    'COALESCE(sp.spot_number, r.spot_number) = ?'
+  ];
+  const params = [`%${escapeLike(term)}%`, term];
+  if (plate) {
+    matches.push("REPLACE(REPLACE(UPPER(v.plate_number), ' ', ''), '-', '') LIKE ?");
+    params.push(`%${plate}%`);
+  }
+  if (isId) {
+    matches.push('r.reservation_id = ?');
+    params.push(term);
+  }
+  if (areaScope !== null) {
+    params.push(areaScope);
+  }
+
+  return db.query(`
+    SELECT
+      r.reservation_id,
+      r.booking_status,
+      r.time_stamp as booked_at,
+      r.start_time,
+      r.end_time,
+      v.plate_number,
+      v.vehicle_type,
+      v.brand,
+      v.color,
+      CONCAT(u.first_name, ' ', u.last_name) as user_name,
+      COALESCE(sp.spot_number, r.spot_number) as spot_number,
+      psec.section_name,
+      pa.parking_area_id,
+      pa.parking_area_name
+    FROM reservations r
+    LEFT JOIN vehicles v ON r.vehicle_id = v.vehicle_id
+    LEFT JOIN users u ON r.user_id = u.user_id
+    LEFT JOIN parking_spot sp ON r.parking_spots_id = sp.parking_spot_id
+    LEFT JOIN parking_section psec ON psec.parking_section_id = COALESCE(r.parking_section_id, sp.parking_section_id)
+    LEFT JOIN parking_area pa ON psec.parking_area_id = pa.parking_area_id
+    WHERE (
+        r.booking_status IN ('scheduled', 'reserved', 'active')
+        OR COALESCE(r.end_time, r.updated_at) >= DATE_SUB(NOW(), INTERVAL ${RECENT_HOURS} HOUR)
+      )
+      AND (${matches.join(' OR ')})
+      ${areaScope === null ? '' : 'AND pa.parking_area_id = ?'}
+    ORDER BY
+      CASE r.booking_status WHEN 'active' THEN 0 WHEN 'reserved' THEN 1 WHEN 'scheduled' THEN 2 ELSE 3 END,
+      r.reservation_id DESC
+    LIMIT ${SEARCH_LIMIT}
+  `, params);
+}
+
+/**
+ * Validate the identity check confirmed for a manual start or end
+ * @param {{ identityDocument: string, plateConfirmed: boolean, note?: string }} body
+ * @returns {{ document: string, note: string|null }}
+ * @throws IDENTITY_CHECK_REQUIRED
+ */
+function parseIdentityCheck(body) {
+  const { identityDocument, plateConfirmed, note } = body || {};
+  if (!Object.values(IdentityDocuments).includes(identityDocument)) {
+    throw lookupError('IDENTITY_CHECK_REQUIRED', `identityDocument must be one of: ${Object.values(IdentityDocuments).join(', ')}`);
+  }
+  if (plateConfirmed !== true) {
+    throw lookupError('IDENTITY_CHECK_REQUIRED', "Confirm that the vehicle's plate matches the booking");
+  }
+  const trimmedNote = typeof note === 'string' ? note.trim().slice(0, 255) : '';
+  if (identityDocument === IdentityDocuments.OTHER && !trimmedNote) {
+    throw lookupError('IDENTITY_CHECK_REQUIRED', 'Describe the document that was checked');
+  }
+  return { document: identityDocument, note: trimmedNote || null };
+}
+
+module.exports = {
+  IdentityDocuments,
+  getReservationLookupErrorStatus,
+  searchReservations,
+  parseIdentityCheck
+};
@@ -0,0 +1,357 @@
+const db = require('../config/database');
+const { logUserActivity, ActionTypes } = require('../utils/userLogger');
+const { NotificationCategories, NotificationLinks, createNotification } = require('../utils/notifications');
+const { DEFAULT_GRACE_MINUTES } = require('./reservationExpiry');
+const { cancelSession } = require('./parkingSession');
+const { RealtimeEvents, publishReservationEvent } = require('./realtime');
+
+// Scheduled booking rules
+const MIN_LEAD_MINUTES = parseInt(process.env.SCHEDULED_BOOKING_MIN_LEAD_MINUTES, 10) || 15;
+const MAX_ADVANCE_DAYS = parseInt(process.env.SCHEDULED_BOOKING_MAX_ADVANCE_DAYS, 10) || 7;
+const MAX_SLOT_HOURS = parseInt(process.env.SCHEDULED_BOOKING_MAX_SLOT_HOURS, 10) || 12;
+// Walk-in and guest bookings are refused if a scheduled slot on the same spot starts within this many minutes
+const WALK_IN_BUFFER_MINUTES = parseInt(process.env.SCHEDULED_HOLD_BUFFER_MINUTES, 10) || 60;
+const ACTIVATION_INTERVAL_MS = parseInt(process.env.SCHEDULED_ACTIVATION_INTERVAL_MS, 10) || 60000;
+
+// Statuses that still claim their time slot
+const SLOT_HOLDING_STATUSES = `('scheduled', 'reserved', 'active')`;
+
+let activationTimer = null;
+let isRunning = false;
+
+/**
+ * Validate a requested arrival window
+ * @param {Date} start - scheduled_start
+ * @param {Date} end - scheduled_end
+ * @returns {string|null} error message, or null when the window is valid
+ */
+function validateScheduleWindow(start, end) {
+  if (!(start instanceof Date) || isNaN(start.getTime()) || !(end instanceof Date) || isNaN(end.getTime())) {
+    return 'scheduledStart and scheduledEnd must be valid dates';
+  }
+
+  const now = Date.now();
+  if (start.getTime() < now + MIN_LEAD_MINUTES * 60000) {
+    return `Scheduled bookings must start at least ${MIN_LEAD_MINUTES} minutes from now`;
+  }
+  if (start.getTime() > now + MAX_ADVANCE_DAYS * 24 * 60 * 60000) {
+    return `Scheduled bookings can only be made up to ${MAX_ADVANCE_DAYS} days in advance`;
+  }
+  if (end.getTime() <= start.getTime()) {
+    return 'scheduledEnd must be after scheduledStart';
+  }
+  if (end.getTime() - start.getTime() > MAX_SLOT_HOURS * 60 * 60000) {
+    return `A time slot cannot be longer than ${MAX_SLOT_HOURS} hours`;
+  }
+
+  return null;
+}
+
+const SLOT_OVERLAP = `
+  (
+    booking_status IN ${SLOT_HOLDING_STATUSES}
+    AND scheduled_start IS NOT NULL
+    AND scheduled_start < ?
+    AND scheduled_end > ?
+  )
+`;
+// Walk-in and guest bookings holding a spot now; they have no end time
+const CURRENT_HOLD = `
+  (
+    booking_status IN ('reserved', 'active')
+    AND scheduled_start IS NULL
+  )
+`;
+
+// A window starting within the walk-in buffer also collides with the current walk-in holders,
+// otherwise the slot would only be cancelled once it failed to activate
+const startsWithinWalkInBuffer = (start) => start.getTime() < Date.now() + WALK_IN_BUFFER_MINUTES * 60000;
+
+const slotHoldCondition = (start) => (startsWithinWalkInBuffer(start)
+  ? `(${SLOT_OVERLAP} OR ${CURRENT_HOLD})`
+  : SLOT_OVERLAP);
+
+/**
+ * Find reservations holding a spot during the given window
+ * @param {object} connection - pool or transaction connection (mysql2 execute API)
+ */
+async function findSpotScheduleConflicts(connection, spotId, start, end) {
+  const [rows] = await connection.execute(`
+    SELECT reservation_id, scheduled_start, scheduled_end, booking_status
+    FROM reservations
+    WHERE parking_spots_id = ?
+      AND ${slotHoldCondition(start)}
+  `, [spotId, end, start]);
+  return rows;
+}
+
+/**
+ * Reservations holding a capacity section slot during the given window, with their slot labels
+ */
+async function findSectionScheduleHolds(connection, sectionId, start, end) {
+  const [rows] = await connection.execute(`
+    SELECT reservation_id, spot_number, booking_status
+    FROM reservations
+    WHERE parking_spots_id = 0
+      AND parking_section_id = ?
+      AND ${slotHoldCondition(start)}
+  `, [sectionId, end, start]);
+  return rows;
+}
+
+/**
+ * Count slots of a capacity section taken during the given window.
+ * Within the walk-in buffer the section's reserved and parked counts stand for the vehicles
+ * already there (activated slots are part of them), plus the slots not activated yet.
+ */
+async function countSectionScheduleHolds(connection, sectionId, start, end) {
+  const holds = await findSectionScheduleHolds(connection, sectionId, start, end);
+  if (!startsWithinWalkInBuffer(start)) {
+    return holds.length;
+  }
+
+  const [sections] = await connection.execute(
+    'SELECT parked_count, reserved_count FROM parking_section WHERE parking_section_id = ?',
+    [sectionId]
+  );
+  const current = sections.length > 0
+    ? (Number(sections[0].parked_count) || 0) + (Number(sections[0].reserved_count) || 0)
+    : 0;
+  return current + holds.filter(hold => hold.booking_status === 'scheduled').length;
+}
+
+/**
+ * Lowest free slot label ("<section>-<n>") in a capacity section during the given window, so labels
+ * of cancelled bookings are reused instead of duplicating a label still held
+ */
+async function getFreeSectionSlotLabel(connection, section, start, end) {
+  const holds = await findSectionScheduleHolds(connection, section.parking_section_id, start, end);
+  const prefix = `${section.section_name}-`;
+  const taken = new Set(holds
+    .filter(hold => typeof hold.spot_number === 'string' && hold.spot_number.startsWith(prefix))
+    .map(hold => hold.spot_number.slice(prefix.length)));
+
+  let index = 1;
+  while (taken.has(String(index))) {
+    index++;
+  }
+  return `${prefix}${index}`;
+}
+
+/**
+ * Find a scheduled (not yet activated) slot on a spot that a walk-in booking would collide with
+ * @returns {Promise<object|null>} the upcoming hold, or null when the spot is free to use now
+ */
+async function findUpcomingSpotHold(connection, spotId) {
+  const [rows] = await connection.execute(`
+    SELECT reservation_id, scheduled_start, scheduled_end
+    FROM reservations
+    WHERE parking_spots_id = ?
+      AND booking_status = 'scheduled'
+      AND scheduled_start < DATE_ADD(NOW(), INTERVAL ? MINUTE)
+      AND scheduled_end > NOW()
+    ORDER BY scheduled_start ASC
+    LIMIT 1
+  `, [spotId, WALK_IN_BUFFER_MINUTES]);
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Count scheduled (not yet activated) slots in a capacity section a walk-in would collide with.
+ * Activated slots are already part of reserved_count.
+ */
+async function countUpcomingSectionHolds(connection, sectionId) {
+  const [rows] = await connection.execute(`
+    SELECT COUNT(*) as holds
+    FROM reservations
+    WHERE parking_spots_id = 0
+      AND parking_section_id = ?
+      AND booking_status = 'scheduled'
+      AND scheduled_start < DATE_ADD(NOW(), INTERVAL ? MINUTE)
+      AND scheduled_end > NOW()
+  `, [sectionId, WALK_IN_BUFFER_MINUTES]);
+  return Number(rows[0].holds) || 0;
+}
+
+/**
+ * Cancel a scheduled booking whose spot could not be held at its window start
+ */
+async function cancelUnfulfilledSchedule(reservation) {
+  try {
+    await cancelSession(reservation.reservation_id, { allowedFrom: ['scheduled'] });
+  } catch (error) {
+    if (error.code === 'INVALID_SESSION_TRANSITION') {
+      return;
+    }
+    throw error;
+  }
+
+  await logUserActivity(
+    reservation.user_id,
+    ActionTypes.PARKING_CANCEL,
+    `Scheduled reservation cancelled: spot ${reservation.spot_number || ''} was not available at the start of the booked slot`,
+    reservation.reservation_id
+  );
+
+  await createNotification(
+    reservation.user_id,
+    'Scheduled Booking Cancelled',
+    `We could not hold spot ${reservation.spot_number || ''} for your scheduled booking because it was still in use. No hours were deducted.`,
+    'error',
+    { reservationId: reservation.reservation_id, bookingStatus: 'cancelled', link: NotificationLinks.history() },
+    NotificationCategories.BOOKING
+  );
+}
+
+/**
+ * Start holding the spot (or section slot) of a scheduled booking whose window has begun
+ * @returns {Promise<boolean>} true when the booking moved to 'reserved'
+ */
+async function activateScheduledReservation(reservation) {
+  const connection = await db.connection.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    let held;
+    if (reservation.parking_spots_id === 0) {
+      const [heldResult] = await connection.execute(`
+        UPDATE parking_section
+        SET reserved_count = reserved_count + 1
+        WHERE parking_section_id = ?
+          AND (capacity - parked_count - reserved_count) > 0
+      `, [reservation.parking_section_id]);
+      held = heldResult.affectedRows > 0;
+    } else {
+      const [heldResult] = await connection.execute(`
+        UPDATE parking_spot
+        SET status = 'reserved'
+        WHERE parking_spot_id = ? AND status = 'available'
+      `, [reservation.parking_spots_id]);
+      held = heldResult.affectedRows > 0;
+    }
+
+    if (!held) {
+      await connection.rollback();
+      return false;
+    }
+
+    const [updateResult] = await connection.execute(`
+      UPDATE reservations
+      SET booking_status = 'reserved'
+      WHERE reservation_id = ? AND booking_status = 'scheduled'
+    `, [reservation.reservation_id]);
+
+    if (updateResult.affectedRows === 0) {
+      await connection.rollback();
+      return false;
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  await createNotification(
+    reservation.user_id,
+    'Your Spot Is Ready',
+    `Spot ${reservation.spot_number || ''} at ${reservation.parking_area_name || 'the parking area'} is now being held for you. Show your QR code to the attendant within ${reservation.grace_minutes} minutes.`,
+    'info',
+    { reservationId: reservation.reservation_id, bookingStatus: 'reserved', link: NotificationLinks.activeParking(reservation.reservation_id) },
+    NotificationCategories.BOOKING
+  );
+  await publishReservationEvent(reservation.reservation_id, RealtimeEvents.RESERVATION_RESERVED);
+
+  return true;
+}
+
+/**
+ * Move scheduled bookings whose window has started to 'reserved'.
+ * Bookings whose spot is still in use are retried until the grace window passes, then cancelled.
+ * @returns {Promise<number>} number of bookings activated
+ */
+async function activateDueReservations() {
+  if (isRunning) {
+    return 0;
+  }
+  isRunning = true;
+
+  try {
+    const dueReservations = await db.query(`
+      SELECT
+        r.reservation_id,
+        r.user_id,
+        r.parking_spots_id,
+        COALESCE(r.parking_section_id, sp.parking_section_id) as parking_section_id,
+        r.spot_number,
+        r.scheduled_start,
+        pa.parking_area_name,
+        COALESCE(pa.reservation_grace_minutes, ?) as grace_minutes,
+        r.scheduled_start + INTERVAL COALESCE(pa.reservation_grace_minutes, ?) MINUTE < NOW() as grace_passed
+      FROM reservations r
+      LEFT JOIN parking_spot sp ON r.parking_spots_id = sp.parking_spot_id
+      LEFT JOIN parking_section psec ON psec.parking_section_id = COALESCE(r.parking_section_id, sp.parking_section_id)
+      LEFT JOIN parking_area pa ON psec.parking_area_id = pa.parking_area_id
+      WHERE r.booking_status = 'scheduled'
+        AND r.scheduled_start <= NOW()
+      ORDER BY r.scheduled_start ASC
+    `, [DEFAULT_GRACE_MINUTES, DEFAULT_GRACE_MINUTES]);
+
+    let activatedCount = 0;
+    for (const reservation of dueReservations) {
+      try {
+        if (await activateScheduledReservation(reservation)) {
+          activatedCount++;
+        } else if (reservation.grace_passed) {
+          await cancelUnfulfilledSchedule(reservation);
+        }
+      } catch (error) {
+        console.error(`❌ Failed to activate scheduled reservation ${reservation.reservation_id}:`, error);
+      }
+    }
+
+    if (activatedCount > 0) {
+      console.log(`📅 Activated ${activatedCount} scheduled reservation(s)`);
+    }
+
+    return activatedCount;
+  } finally {
+    isRunning = false;
+  }
+}
+
+function startScheduledReservationJob() {
+  if (activationTimer) {
+    return;
+  }
+
+  activationTimer = setInterval(() => {
+    activateDueReservations().catch(error => {
+      console.error('Scheduled reservation job error:', error);
+    });
+  }, ACTIVATION_INTERVAL_MS);
+
+  console.log(`📅 Scheduled reservation job running every ${ACTIVATION_INTERVAL_MS / 1000}s`);
+}
+
+function stopScheduledReservationJob() {
+  if (activationTimer) {
+    clearInterval(activationTimer);
+    activationTimer = null;
+  }
+}
+
+module.exports = {
+  WALK_IN_BUFFER_MINUTES,
+  validateScheduleWindow,
+  findSpotScheduleConflicts,
+  countSectionScheduleHolds,
+  getFreeSectionSlotLabel,
+  findUpcomingSpotHold,
+  countUpcomingSectionHolds,
+  activateDueReservations,
+  startScheduledReservationJob,
+  stopScheduledReservationJob
+};
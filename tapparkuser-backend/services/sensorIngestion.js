@@ -0,0 +1,471 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const { publishSpotOccupancy } = require('./realtime');
+
+/**
+ * Occupancy sensors. Gateways post readings (HTTP batch, or the MQTT bridge in
+ * scripts/sensor-mqtt-bridge.js which forwards to the same endpoint); each reading is stored in
+ * sensor_readings and moves parking_spot.is_occupied / occupied_at. Sensors that stop reporting
+ * are put in maintenance, and staff see where sensors and reservations disagree.
+ */
+const SENSOR_STALE_MINUTES = parseInt(process.env.SENSOR_STALE_MINUTES, 10) || 15;
+const SENSOR_HEALTH_INTERVAL_MS = parseInt(process.env.SENSOR_HEALTH_INTERVAL_MS, 10) || 60000;
+// A car being parked or leaving is not a discrepancy until it has lasted this long
+const SENSOR_DISCREPANCY_GRACE_MINUTES = parseInt(process.env.SENSOR_DISCREPANCY_GRACE_MINUTES, 10) || 5;
+// Gateway clocks may run slightly ahead; readings further in the future are clamped to now
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const MAX_READINGS_PER_BATCH = 500;
+
+const SensorStatuses = {
+  ACTIVE: 'active',
+  INACTIVE: 'inactive',
+  MAINTENANCE: 'maintenance'
+};
+
+const MaintenanceReasons = {
+  STALE: 'stale',
+  MANUAL: 'manual'
+};
+
+const DiscrepancyTypes = {
+  OCCUPIED_WITHOUT_RESERVATION: 'occupied_without_reservation',
+  RESERVATION_SPOT_EMPTY: 'reservation_spot_empty'
+};
+
+let healthTimer = null;
+let isRunning = false;
+
+function sensorError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * HTTP status for an error thrown by this module, or null for unexpected errors
+ */
+function getSensorErrorStatus(error) {
+  if (error.code === 'INVALID_READINGS') return 400;
+  if (error.code === 'TOO_MANY_READINGS') return 413;
+  if (error.code === 'SENSOR_NOT_FOUND') return 404;
+  if (error.code === 'GATEWAY_NOT_FOUND') return 404;
+  if (error.code === 'AREA_NOT_FOUND') return 404;
+  return null;
+}
+
+const hashGatewayKey = (apiKey) => crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+
+/**
+ * Create a gateway and its API key. The key is only returned here; the database keeps its hash.
+ * @param {number|null} parkingAreaId - limit the gateway to one area, or null for every area
+ * @throws AREA_NOT_FOUND
+ */
+async function createGateway(name, parkingAreaId, createdBy) {
+  if (parkingAreaId) {
+    const areas = await db.query('SELECT parking_area_id FROM parking_area WHERE parking_area_id = ?', [parkingAreaId]);
+    if (areas.length === 0) {
+      throw sensorError('AREA_NOT_FOUND', 'Parking area not found');
+    }
+  }
+
+  const apiKey = `tpsg_${crypto.randomBytes(24).toString('base64url')}`;
+  const result = await db.execute(`
+    INSERT INTO sensor_gateways (name, parking_area_id, api_key_hash, created_by, created_at)
+    VALUES (?, ?, ?, ?, NOW())
+  `, [name, parkingAreaId || null, hashGatewayKey(apiKey), createdBy]);
+
+  return { gatewayId: result.insertId, apiKey };
+}
+
+async function listGateways() {
+  return db.query(`
+    SELECT g.gateway_id, g.name, g.parking_area_id, pa.parking_area_name, g.created_at, g.last_seen_at, g.revoked_at
+    FROM sensor_gateways g
+    LEFT JOIN parking_area pa ON g.parking_area_id = pa.parking_area_id
+    ORDER BY g.revoked_at IS NULL DESC, g.gateway_id DESC
+  `);
+}
+
+/**
+ * @throws GATEWAY_NOT_FOUND when the gateway does not exist or is already revoked
+ */
+async function revokeGateway(gatewayId) {
+  const result = await db.execute(
+    'UPDATE sensor_gateways SET revoked_at = NOW() WHERE gateway_id = ? AND revoked_at IS NULL',
+    [gatewayId]
+  );
+  if (result.affectedRows === 0) {
+    throw sensorError('GATEWAY_NOT_FOUND', 'Sensor gateway not found');
+  }
+}
+
+/**
+ * Gateway owning an API key, or null when the key is unknown or revoked
+ */
+async function findGatewayByKey(apiKey) {
+  if (!apiKey) {
+    return null;
+  }
+
+  const gateways = await db.query(`
+    SELECT gateway_id, name, parking_area_id
+    FROM sensor_gateways
+    WHERE api_key_hash = ? AND revoked_at IS NULL
+  `, [hashGatewayKey(apiKey)]);
+
+  if (gateways.length === 0) {
+    return null;
+  }
+
+  await db.execute('UPDATE sensor_gateways SET last_seen_at = NOW() WHERE gateway_id = ?', [gateways[0].gateway_id]);
+  return gateways[0];
+}
+
+// Devices report occupancy as booleans, 0/1 or words; anything else is rejected
+function parseOccupied(value) {
+  if (value === true || value === 1 || value === '1') return true;
+  if (value === false || value === 0 || value === '0') return false;
+  if (typeof value === 'string') {
+    const word = value.trim().toLowerCase();
+    if (['occupied', 'true', 'on'].includes(word)) return true;
+    if (['vacant', 'empty', 'free', 'false', 'off'].includes(word)) return false;
+  }
+  return null;
+}
+
+/**
+ * Validate one raw reading: { sensorId, occupied, value?, readAt? }
+ * @returns {{ sensorId: number, occupied: boolean, value: string, readAt: Date }|null}
+ */
+function normalizeReading(raw) {
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+
+  const sensorId = parseInt(raw.sensorId, 10);
+  const occupied = parseOccupied(raw.occupied);
+  if (!sensorId || sensorId < 1 || occupied === null) {
+    return null;
+  }
+
+  const now = Date.now();
+  let readAt = raw.readAt ? new Date(raw.readAt) : new Date(now);
+  if (Number.isNaN(readAt.getTime())) {
+    return null;
+  }
+  if (readAt.getTime() > now + MAX_CLOCK_SKEW_MS) {
+    readAt = new Date(now);
+  }
+
+  const value = raw.value !== undefined && raw.value !== null ? String(raw.value).slice(0, 64) : (occupied ? '1' : '0');
+  return { sensorId, occupied, value, readAt };
+}
+
+/**
+ * Record a batch of readings from a gateway and apply them to spot occupancy.
+ * Readings are applied oldest first; a reading older than the sensor's last one is stored but
+ * does not change occupancy. Readings from sensors in maintenance are stored only, except that
+ * a sensor put in maintenance for going silent returns to active when it reports again.
+ * @returns {Promise<{ accepted: number, occupancyChanges: number, rejected: { index: number, sensorId: number|null, reason: string }[] }>}
+ * @throws INVALID_READINGS | TOO_MANY_READINGS
+ */
+async function ingestReadings(gateway, rawReadings) {
+  if (!Array.isArray(rawReadings) || rawReadings.length === 0) {
+    throw sensorError('INVALID_READINGS', 'readings must be a non-empty array');
+  }
+  if (rawReadings.length > MAX_READINGS_PER_BATCH) {
+    throw sensorError('TOO_MANY_READINGS', `At most ${MAX_READINGS_PER_BATCH} readings per request`);
+  }
+
+  const rejected = [];
+  const readings = [];
+  rawReadings.forEach((raw, index) => {
+    const reading = normalizeReading(raw);
+    if (reading) {
+      readings.push({ ...reading, index });
+    } else {
+      rejected.push({ index, sensorId: parseInt(raw?.sensorId, 10) || null, reason: 'INVALID_READING' });
+    }
+  });
+
+  const sensorIds = [...new Set(readings.map(reading => reading.sensorId))];
+  const sensorRows = sensorIds.length === 0 ? [] : await db.query(`
+    SELECT
+      s.sensor_id,
+      s.parking_spot_id,
+      s.status,
+      s.maintenance_reason,
+      s.last_read_at,
+      ps.is_occupied,
+      psec.parking_area_id
+    FROM sensors s
+    JOIN parking_spot ps ON s.parking_spot_id = ps.parking_spot_id
+    JOIN parking_section psec ON ps.parking_section_id = psec.parking_section_id
+    WHERE s.sensor_id IN (${sensorIds.map(() => '?').join(', ')})
+  `, sensorIds);
+
+  const sensors = new Map(sensorRows.map(row => [Number(row.sensor_id), {
+    ...row,
+    is_occupied: Boolean(row.is_occupied),
+    last_read_at: row.last_read_at ? new Date(row.last_read_at) : null
+  }]));
+
+  const statements = [];
+  const changedSpots = new Map();
+  const reportedSensors = new Set();
+  let accepted = 0;
+
+  readings.sort((a, b) => a.readAt - b.readAt);
+  for (const reading of readings) {
+    const sensor = sensors.get(reading.sensorId);
+    if (!sensor) {
+      rejected.push({ index: reading.index, sensorId: reading.sensorId, reason: 'SENSOR_NOT_FOUND' });
+      continue;
+    }
+    if (gateway.parking_area_id && Number(gateway.parking_area_id) !== Number(sensor.parking_area_id)) {
+      rejected.push({ index: reading.index, sensorId: reading.sensorId, reason: 'AREA_NOT_ALLOWED' });
+      continue;
+    }
+    if (sensor.status === SensorStatuses.INACTIVE) {
+      rejected.push({ index: reading.index, sensorId: reading.sensorId, reason: 'SENSOR_INACTIVE' });
+      continue;
+    }
+
+    accepted++;
+    statements.push({
+      sql: 'INSERT INTO sensor_readings (sensor_id, reading_value, reading_time) VALUES (?, ?, ?)',
+      params: [sensor.sensor_id, reading.value, reading.readAt]
+    });
+
+    if (sensor.last_read_at && reading.readAt < sensor.last_read_at) {
+      continue;
+    }
+    sensor.last_read_at = reading.readAt;
+    reportedSensors.add(sensor);
+
+    if (sensor.status === SensorStatuses.MAINTENANCE && sensor.maintenance_reason === MaintenanceReasons.STALE) {
+      sensor.status = SensorStatuses.ACTIVE;
+      sensor.maintenance_reason = null;
+      console.log(`📡 Sensor ${sensor.sensor_id} is reporting again`);
+    }
+
+    if (sensor.status === SensorStatuses.ACTIVE && sensor.is_occupied !== reading.occupied) {
+      sensor.is_occupied = reading.occupied;
+      statements.push({
+        sql: 'UPDATE parking_spot SET is_occupied = ?, occupied_at = ? WHERE parking_spot_id = ?',
+        params: [reading.occupied ? 1 : 0, reading.occupied ? reading.readAt : null, sensor.parking_spot_id]
+      });
+      changedSpots.set(Number(sensor.parking_spot_id), reading.occupied);
+    }
+  }
+
+  reportedSensors.forEach(sensor => {
+    statements.push({
+      sql: `
+        UPDATE sensors
+        SET last_read_at = GREATEST(COALESCE(last_read_at, ?), ?), status = ?, maintenance_reason = ?
+        WHERE sensor_id = ?
+      `,
+      params: [sensor.last_read_at, sensor.last_read_at, sensor.status, sensor.maintenance_reason, sensor.sensor_id]
+    });
+  });
+
+  if (statements.length > 0) {
+    await db.transaction(statements);
+  }
+
+  for (const [spotId, isOccupied] of changedSpots) {
+    await publishSpotOccupancy(spotId, isOccupied);
+  }
+
+  rejected.sort((a, b) => a.index - b.index);
+  return { accepted, occupancyChanges: changedSpots.size, rejected };
+}
+
+/**
+ * Put sensors that have not reported for SENSOR_STALE_MINUTES in maintenance
+ * @returns {Promise<number>} number of sensors marked stale
+ */
+async function markStaleSensors() {
+  if (isRunning) {
+    return 0;
+  }
+  isRunning = true;
+
+  try {
+    const result = await db.execute(`
+      UPDATE sensors
+      SET status = ?, maintenance_reason = ?
+      WHERE status = ?
+        AND COALESCE(last_read_at, installed_at) < NOW() - INTERVAL ? MINUTE
+    `, [SensorStatuses.MAINTENANCE, MaintenanceReasons.STALE, SensorStatuses.ACTIVE, SENSOR_STALE_MINUTES]);
+
+    if (result.affectedRows > 0) {
+      console.log(`📡 ${result.affectedRows} sensor(s) stopped reporting and were put in maintenance`);
+    }
+    return result.affectedRows;
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Set a sensor's status by hand. Maintenance set here is only cleared by staff.
+ * @throws SENSOR_NOT_FOUND
+ */
+async function setSensorStatus(sensorId, status) {
+  const result = await db.execute(
+    'UPDATE sensors SET status = ?, maintenance_reason = ? WHERE sensor_id = ?',
+    [status, status === SensorStatuses.MAINTENANCE ? MaintenanceReasons.MANUAL : null, sensorId]
+  );
+  if (result.affectedRows === 0) {
+    throw sensorError('SENSOR_NOT_FOUND', 'Sensor not found');
+  }
+}
+
+/**
+ * Sensors with their spot and health, for staff
+ * @param {number|null} areaScope - from getAreaScope(); null for every area
+ */
+async function getSensorHealth(areaScope) {
+  const sensors = await db.query(`
+    SELECT
+      s.sensor_id,
+      s.parking_spot_id,
+      ps.spot_number,
+      psec.section_name,
+      pa.parking_area_id,
+      pa.parking_area_name,
+      s.location_desc,
+      s.status,
+      s.maintenance_reason,
+      s.last_read_at,
+      ps.is_occupied
+    FROM sensors s
+    JOIN parking_spot ps ON s.parking_spot_id = ps.parking_spot_id
+    JOIN parking_section psec ON ps.parking_section_id = psec.parking_section_id
+    JOIN parking_area pa ON psec.parking_area_id = pa.parking_area_id
+    ${areaScope === null ? '' : 'WHERE pa.parking_area_id = ?'}
+    ORDER BY s.status = 'active', pa.parking_area_name, ps.spot_number
+  `, areaScope === null ? [] : [areaScope]);
+
+  const summary = { total: sensors.length, active: 0, maintenance: 0, inactive: 0 };
+  sensors.forEach(sensor => {
+    if (sensor.status in summary) {
+      summary[sensor.status]++;
+    }
+  });
+
+  return {
+    summary,
+    sensors: sensors.map(sensor => ({ ...sensor, is_occupied: Boolean(sensor.is_occupied) })),
+    staleAfterMinutes: SENSOR_STALE_MINUTES
+  };
+}
+
+/**
+ * Spots where an active sensor and the reservations disagree:
+ *   - occupied_without_reservation: the sensor sees a vehicle but no parking session is active
+ *   - reservation_spot_empty: a parking session is active but the sensor sees an empty spot
+ * @param {number|null} areaScope - from getAreaScope(); null for every area
+ */
+async function getSensorDiscrepancies(areaScope) {
+  const areaFilter = areaScope === null ? '' : 'AND pa.parking_area_id = ?';
+  const areaParams = areaScope === null ? [] : [areaScope];
+
+  const [occupiedWithoutReservation, reservationSpotEmpty] = await Promise.all([
+    db.query(`
+      SELECT
+        ps.parking_spot_id,
+        ps.spot_number,
+        psec.section_name,
+        pa.parking_area_id,
+        pa.parking_area_name,
+        s.sensor_id,
+        ps.occupied_at as since
+      FROM sensors s
+      JOIN parking_spot ps ON s.parking_spot_id = ps.parking_spot_id
+      JOIN parking_section psec ON ps.parking_section_id = psec.parking_section_id
+      JOIN parking_area pa ON psec.parking_area_id = pa.parking_area_id
+      WHERE s.status = 'active'
+        AND ps.is_occupied = 1
+        AND ps.occupied_at < NOW() - INTERVAL ? MINUTE
+        AND NOT EXISTS (
+          SELECT 1 FROM reservations r
+          WHERE r.parking_spots_id = ps.parking_spot_id AND r.booking_status = 'active'
+        )
+        ${areaFilter}
+      ORDER BY ps.occupied_at
+    `, [SENSOR_DISCREPANCY_GRACE_MINUTES, ...areaParams]),
+    db.query(`
+      SELECT
+        ps.parking_spot_id,
+        ps.spot_number,
+        psec.section_name,
+        pa.parking_area_id,
+        pa.parking_area_name,
+        s.sensor_id,
+        r.reservation_id,
+        v.plate_number,
+        CONCAT(u.first_name, ' ', u.last_name) as user_name,
+        r.start_time as since
+      FROM reservations r
+      JOIN parking_spot ps ON r.parking_spots_id = ps.parking_spot_id
+      JOIN sensors s ON s.parking_spot_id = ps.parking_spot_id
+      JOIN parking_section psec ON ps.parking_section_id = psec.parking_section_id
+      JOIN parking_area pa ON psec.parking_area_id = pa.parking_area_id
+      LEFT JOIN vehicles v ON r.vehicle_id = v.vehicle_id
+      LEFT JOIN users u ON r.user_id = u.user_id
+      WHERE r.booking_status = 'active'
+        AND s.status = 'active'
+        AND ps.is_occupied = 0
+        AND COALESCE(r.start_time, r.time_stamp) < NOW() - INTERVAL ? MINUTE
+        ${areaFilter}
+      ORDER BY r.start_time
+    `, [SENSOR_DISCREPANCY_GRACE_MINUTES, ...areaParams])
+  ]);
+
+  return [
+    ...occupiedWithoutReservation.map(row => ({ type: DiscrepancyTypes.OCCUPIED_WITHOUT_RESERVATION, ...row })),
+    ...reservationSpotEmpty.map(row => ({ type: DiscrepancyTypes.RESERVATION_SPOT_EMPTY, ...row }))
+  ];
+}
+
+function startSensorHealthJob() {
+  if (healthTimer) {
+    return;
+  }
+
+  healthTimer = setInterval(() => {
+    markStaleSensors().catch(error => {
+      console.error('Sensor health job error:', error);
+    });
+  }, SENSOR_HEALTH_INTERVAL_MS);
+
+  console.log(`📡 Sensor health job running every ${SENSOR_HEALTH_INTERVAL_MS / 1000}s`);
+}
+
+function stopSensorHealthJob() {
+  if (healthTimer) {
+    clearInterval(healthTimer);
+    healthTimer = null;
+  }
+}
+
+module.exports = {
+  SensorStatuses,
+  DiscrepancyTypes,
+  getSensorErrorStatus,
+  createGateway,
+  listGateways,
+  revokeGateway,
+  findGatewayByKey,
+  ingestReadings,
+  markStaleSensors,
+  setSensorStatus,
+  getSensorHealth,
+  getSensorDiscrepancies,
+  startSensorHealthJob,
+  stopSensorHealthJob
+};
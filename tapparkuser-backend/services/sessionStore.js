@@ -0,0 +1,175 @@
+/**
+ * Row-level reads and writes behind services/parkingSession.js. Every function runs on the
+ * caller's transaction connection; the lifecycle rules live in parkingSession, not here.
+ */
+
+/**
+ * Lock a reservation with the spot, vehicle and area details a transition needs
+ * @returns {Promise<object|null>} null when the reservation does not exist
+ */
+async function lockSession(connection, reservationId) {
+  const [rows] = await connection.execute(`
+    SELECT
+      r.reservation_id,
+      r.user_id,
+      r.vehicle_id,
+      r.parking_spots_id,
+      COALESCE(r.parking_section_id, sp.parking_section_id) as parking_section_id,
+      r.booking_status,
+      r.start_time,
+      COALESCE(sp.spot_number, r.spot_number) as spot_number,
+      v.plate_number,
+      r.qr_key,
+      psec.parking_area_id,
+      pa.parking_area_name,
+      pa.location
+    FROM reservations r
+    LEFT JOIN vehicles v ON r.vehicle_id = v.vehicle_id
+    LEFT JOIN parking_spot sp ON r.parking_spots_id = sp.parking_spot_id
+    LEFT JOIN parking_section psec ON psec.parking_section_id = COALESCE(r.parking_section_id, sp.parking_section_id)
+    LEFT JOIN parking_area pa ON psec.parking_area_id = pa.parking_area_id
+    WHERE r.reservation_id = ?
+    FOR UPDATE
+  `, [reservationId]);
+
+  return rows[0] || null;
+}
+
+/**
+ * Mark a reservation active from `at`, or from now
+ * @returns {Promise<Date>} the stored start_time
+ */
+async function markSessionActive(connection, reservationId, at = null) {
+  await connection.execute(`
+    UPDATE reservations
+    SET booking_status = 'active', start_time = COALESCE(?, NOW())
+    WHERE reservation_id = ?
+  `, [at, reservationId]);
+
+  const [rows] = await connection.execute(
+    'SELECT start_time FROM reservations WHERE reservation_id = ?',
+    [reservationId]
+  );
+  return rows[0].start_time;
+}
+
+/**
+ * Mark a reservation completed at `at`, or now. Reservations that never started get the same start time.
+ */
+async function markSessionCompleted(connection, reservationId, at = null) {
+  await connection.execute(`
+    UPDATE reservations
+    SET booking_status = 'completed',
+        end_time = COALESCE(?, NOW()),
+        start_time = COALESCE(start_time, ?, NOW())
+    WHERE reservation_id = ?
+  `, [at, at, reservationId]);
+}
+
+/**
+ * Mark a reservation cancelled or expired now
+ */
+async function markSessionClosed(connection, reservationId, status) {
+  await connection.execute(`
+    UPDATE reservations
+    SET booking_status = ?, end_time = NOW()
+    WHERE reservation_id = ?
+  `, [status, reservationId]);
+}
+
+/**
+ * Turn a reserved spot or capacity slot into an occupied one
+ */
+async function occupySessionHold(connection, session) {
+  if (session.parking_spots_id === 0) {
+    await connection.execute(`
+      UPDATE parking_section
+      SET reserved_count = GREATEST(0, reserved_count - 1),
+          parked_count = parked_count + 1
+      WHERE parking_section_id = ?
+    `, [session.parking_section_id]);
+  } else {
+    await connection.execute(`
+      UPDATE parking_spot
+      SET status = 'occupied'
+      WHERE parking_spot_id = ? AND status = 'reserved'
+    `, [session.parking_spots_id]);
+  }
+}
+
+/**
+ * Give a spot or capacity slot back. Scheduled bookings do not hold anything yet.
+ */
+async function releaseSessionHold(connection, session) {
+  if (session.booking_status === 'scheduled') {
+    return;
+  }
+
+  if (session.parking_spots_id === 0) {
+    const counter = session.booking_status === 'active' ? 'parked_count' : 'reserved_count';
+    await connection.execute(`
+      UPDATE parking_section
+      SET ${counter} = GREATEST(0, ${counter} - 1)
+      WHERE parking_section_id = ?
+    `, [session.parking_section_id]);
+  } else {
+    await connection.execute(`
+      UPDATE parking_spot
+      SET status = 'available'
+      WHERE parking_spot_id = ?
+    `, [session.parking_spots_id]);
+  }
+}
+
+/**
+ * Store a ticket's expiry as the newest one scanned, unless a ticket as new or newer was scanned before
+ * @returns {Promise<boolean>} false when the ticket was already used
+ */
+async function recordTicketExpiry(connection, reservationId, exp) {
+  const [result] = await connection.execute(`
+    UPDATE reservations SET last_ticket_exp = ?
+    WHERE reservation_id = ? AND (last_ticket_exp IS NULL OR last_ticket_exp < ?)
+  `, [exp, reservationId, exp]);
+  return result.affectedRows > 0;
+}
+
+async function insertScan(connection, session, attendantId, scanType, statusAtScan, { scannedAt = null, identityCheck = null } = {}) {
+  await connection.execute(`
+    INSERT INTO qr_scan_tracking (
+      reservation_id,
+      attendant_user_id,
+      vehicle_plate,
+      parking_area_name,
+      spot_number,
+      scan_type,
+      scan_timestamp,
+      status_at_scan,
+      entry_method,
+      identity_document,
+      identity_note
+    ) VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, NOW()), ?, ?, ?, ?)
+  `, [
+    session.reservation_id,
+    attendantId,
+    session.plate_number || null,
+    session.parking_area_name || null,
+    session.spot_number || null,
+    scanType,
+    scannedAt,
+    statusAtScan,
+    identityCheck ? 'manual' : 'qr',
+    identityCheck ? identityCheck.document : null,
+    identityCheck ? identityCheck.note : null
+  ]);
+}
+
+module.exports = {
+  lockSession,
+  markSessionActive,
+  markSessionCompleted,
+  markSessionClosed,
+  occupySessionHold,
+  releaseSessionHold,
+  recordTicketExpiry,
+  insertScan
+};
@@ -0,0 +1,171 @@
+const roundHours = (hours) => Math.round(hours * 100) / 100;
+
+// Ledger entries written here (transactions.transaction_type):
+//   hour_deduction - parking charged against a subscription (positive hours)
+//   refund         - unused hours taken back on refund/cancellation (negative hours)
+
+/**
+ * Charge parking hours against a user's subscriptions, oldest purchase first.
+ * Must run inside the caller's transaction so the session update and the deduction commit together.
+ * Each subscription touched gets its own hour_deduction row in `transactions`; a subscription that
+ * reaches zero is marked 'consumed'. A penalty is only created for hours the whole balance cannot cover.
+ *
+ * @param {object} connection - transaction connection (mysql2 execute API)
+ * @param {number} userId
+ * @param {number} hours - hours to charge
+ * @param {object} [options]
+ * @param {number} [options.reservationId] - reservation the charge belongs to
+ * @param {string} [options.description] - stored on each transactions row
+ * @returns {Promise<{ hoursDeducted: number, penaltyHours: number, penaltyId: number|null, balanceBefore: number, balanceAfter: number, deductions: Array }>}
+ */
+async function deductSubscriptionHours(connection, userId, hours, options = {}) {
+  const { reservationId = null, description = 'Parking session charge' } = options;
+
+  const [subscriptions] = await connection.execute(`
+    SELECT subscription_id, hours_remaining
+    FROM subscriptions
+    WHERE user_id = ? AND status = 'active' AND hours_remaining > 0
+    ORDER BY purchase_date ASC, subscription_id ASC
+    FOR UPDATE
+  `, [userId]);
+
+  const balanceBefore = roundHours(subscriptions.reduce((sum, sub) => sum + Number(sub.hours_remaining), 0));
+  let hoursLeft = roundHours(Number(hours) || 0);
+  let runningBalance = balanceBefore;
+  const deductions = [];
+
+  for (const subscription of subscriptions) {
+    if (hoursLeft <= 0) {
+      break;
+    }
+
+    const available = Number(subscription.hours_remaining);
+    const applied = roundHours(Math.min(available, hoursLeft));
+    const remaining = roundHours(available - applied);
+
+    await connection.execute(`
+      UPDATE subscriptions
+      SET hours_remaining = ?,
+          hours_used = hours_used + ?,
+          status = ?
+      WHERE subscription_id = ?
+    `, [remaining, applied, remaining <= 0 ? 'consumed' : 'active', subscription.subscription_id]);
+
+    await connection.execute(`
+      INSERT INTO transactions (
+        user_id, transaction_type, hours, balance_before, balance_after,
+        reservation_id, subscription_id, description, transaction_date
+      ) VALUES (?, 'hour_deduction', ?, ?, ?, ?, ?, ?, NOW())
+    `, [
+      userId,
+      applied,
+      runningBalance,
+      roundHours(runningBalance - applied),
+      reservationId,
+      subscription.subscription_id,
+      description
+    ]);
+
+    runningBalance = roundHours(runningBalance - applied);
+    hoursLeft = roundHours(hoursLeft - applied);
+    deductions.push({
+      subscriptionId: subscription.subscription_id,
+      hours: applied,
+      consumed: remaining <= 0
+    });
+  }
+
+  // Whatever the total balance could not cover becomes a penalty for the next purchase
+  let penaltyId = null;
+  if (hoursLeft > 0) {
+    const [penaltyResult] = await connection.execute(`
+      INSERT INTO penalty (user_id, penalty_time)
+      VALUES (?, ?)
+    `, [userId, hoursLeft]);
+    penaltyId = penaltyResult.insertId;
+  }
+
+  return {
+    hoursDeducted: roundHours(balanceBefore - runningBalance),
+    penaltyHours: hoursLeft,
+    penaltyId,
+    balanceBefore,
+    balanceAfter: runningBalance,
+    deductions
+  };
+}
+
+/**
+ * Take back the unused hours of a subscription and close it (refund or cancellation).
+ * Must run inside the caller's transaction. The removed hours are written to `transactions`
+ * as a 'refund' row with negative hours; hours already parked stay used.
+ *
+ * @param {object} connection - transaction connection (mysql2 execute API)
+ * @param {number} subscriptionId
+ * @param {object} options
+ * @param {string} options.status - final subscription status, 'refunded' or 'cancelled'
+ * @param {string} options.description - stored on the transactions row
+ * @param {number} [options.hours] - only remove this many unused hours (partial refund); the
+ *   subscription stays open while hours are left
+ * @returns {Promise<{ userId: number, previousStatus: string, hoursRemoved: number, closed: boolean, balanceBefore: number, balanceAfter: number }|null>} null when the subscription does not exist
+ */
+async function revokeSubscriptionHours(connection, subscriptionId, { status, description, hours = null }) {
+  const [subscriptions] = await connection.execute(
+    'SELECT user_id, hours_remaining, status FROM subscriptions WHERE subscription_id = ? FOR UPDATE',
+    [subscriptionId]
+  );
+
+  if (subscriptions.length === 0) {
+    return null;
+  }
+
+  const subscription = subscriptions[0];
+  const unusedHours = subscription.status === 'active' ? roundHours(Number(subscription.hours_remaining)) : 0;
+  const closes = hours === null || roundHours(hours) >= unusedHours;
+  const hoursRemoved = closes ? unusedHours : roundHours(Math.max(0, hours));
+
+  const [balanceRows] = await connection.execute(`
+    SELECT COALESCE(SUM(hours_remaining), 0) as total_hours_remaining
+    FROM subscriptions
+    WHERE user_id = ? AND status = 'active'
+  `, [subscription.user_id]);
+  const balanceBefore = roundHours(Number(balanceRows[0].total_hours_remaining));
+  const balanceAfter = roundHours(balanceBefore - hoursRemoved);
+
+  if (closes) {
+    await connection.execute(`
+      UPDATE subscriptions
+      SET hours_remaining = 0, status = ?
+      WHERE subscription_id = ?
+    `, [status, subscriptionId]);
+  } else {
+    await connection.execute(`
+      UPDATE subscriptions
+      SET hours_remaining = ?
+      WHERE subscription_id = ?
+    `, [roundHours(unusedHours - hoursRemoved), subscriptionId]);
+  }
+
+  if (hoursRemoved > 0) {
+    await connection.execute(`
+      INSERT INTO transactions (
+        user_id, transaction_type, hours, balance_before, balance_after,
+        subscription_id, description, transaction_date
+      ) VALUES (?, 'refund', ?, ?, ?, ?, ?, NOW())
+    `, [subscription.user_id, -hoursRemoved, balanceBefore, balanceAfter, subscriptionId, description]);
+  }
+
+  return {
+    userId: subscription.user_id,
+    previousStatus: subscription.status,
+    hoursRemoved,
+    closed: closes,
+    balanceBefore,
+    balanceAfter
+  };
+}
+
+module.exports = {
+  deductSubscriptionHours,
+  revokeSubscriptionHours
+};
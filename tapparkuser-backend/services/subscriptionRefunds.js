@@ -0,0 +1,351 @@
+const db = require('../config/database');
+const paypal = require('../config/paypal');
+const { logUserActivity, ActionTypes } = require('../utils/userLogger');
+const { NotificationCategories, NotificationLinks, createNotification } = require('../utils/notifications');
+const { revokeSubscriptionHours } = require('./subscriptionLedger');
+
+const RefundModes = {
+  FULL: 'full',
+  PRORATED: 'prorated'
+};
+
+// Paid plans that have not been refunded or cancelled yet; only active plans can be cancelled
+const REFUNDABLE_STATUSES = ['active', 'consumed'];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+function refundError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * HTTP status for an error thrown by this module, or null for unexpected errors
+ */
+function getRefundErrorStatus(error) {
+  if (error.code === 'SUBSCRIPTION_NOT_FOUND') return 404;
+  if (error.code === 'SUBSCRIPTION_NOT_REFUNDABLE') return 409;
+  if (error.code === 'NOTHING_TO_REFUND') return 400;
+  if (error.code === 'PAYPAL_REFUND_FAILED' || error.code === 'PAYPAL_REFUND_PENDING') return 502;
+  return null;
+}
+
+/**
+ * Money returned for a subscription: the whole payment, or the share of the plan's hours still unused
+ * @param {object} subscription - row from lockRefundableSubscription
+ * @param {string} mode - RefundModes
+ */
+function calculateRefundAmount(subscription, mode) {
+  const paid = Number(subscription.amount) || 0;
+  if (mode === RefundModes.FULL) {
+    return roundMoney(paid);
+  }
+
+  const planHours = Number(subscription.number_of_hours) || 0;
+  if (planHours <= 0) {
+    return 0;
+  }
+  const unusedShare = Math.min(1, Math.max(0, Number(subscription.hours_remaining) / planHours));
+  return roundMoney(paid * unusedShare);
+}
+
+/**
+ * Unused hours matching a refunded amount: the same share of the plan's hours as of the price paid
+ * @param {{ amount: number, number_of_hours: number }} purchase - price paid and plan hours
+ * @param {number} refundAmount
+ */
+function calculateRefundHours(purchase, refundAmount) {
+  const paid = Number(purchase.amount) || 0;
+  if (paid <= 0) {
+    return 0;
+  }
+  const share = Math.min(1, Math.max(0, Number(refundAmount) / paid));
+  return Math.round((Number(purchase.number_of_hours) || 0) * share * 100) / 100;
+}
+
+/**
+ * A subscription with its payment and PayPal order, all three rows locked for the caller's transaction
+ */
+async function lockRefundableSubscription(connection, subscriptionId) {
+  const [rows] = await connection.execute(`
+    SELECT
+      s.subscription_id,
+      s.user_id,
+      s.status,
+      s.hours_remaining,
+      p.plan_name,
+      p.number_of_hours,
+      pay.payment_id,
+      pay.amount,
+      pay.refunded_amount,
+      pay.payment_type,
+      pay.status as payment_status,
+      pt.id as paypal_transaction_id,
+      pt.paypal_order_id,
+      pt.capture_id
+    FROM subscriptions s
+    JOIN plans p ON s.plan_id = p.plan_id
+    LEFT JOIN payments pay ON pay.subscription_id = s.subscription_id
+    LEFT JOIN paypal_transactions pt ON pt.subscription_id = s.subscription_id
+    WHERE s.subscription_id = ?
+    ORDER BY pay.payment_id ASC
+    LIMIT 1
+    FOR UPDATE
+  `, [subscriptionId]);
+
+  if (rows.length === 0) {
+    throw refundError('SUBSCRIPTION_NOT_FOUND', 'Subscription not found');
+  }
+
+  return rows[0];
+}
+
+/**
+ * Run fn(connection) in a transaction and release the connection
+ */
+async function withTransaction(fn) {
+  if (!db.connection) {
+    await db.connect();
+  }
+
+  const connection = await db.connection.getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await fn(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+const isPayPalPurchase = (subscription) => subscription.payment_type === 'paypal' && Boolean(subscription.capture_id);
+
+// Status the payment and PayPal order return to when PayPal rejects a refund
+const refundableState = (subscription) => (Number(subscription.refunded_amount) > 0 ? 'partially_refunded' : 'completed');
+
+/**
+ * Check a locked subscription can be refunded and work out the amount
+ * @throws SUBSCRIPTION_NOT_REFUNDABLE, NOTHING_TO_REFUND
+ */
+function getAdminRefundAmount(subscription, mode) {
+  // A refund left pending by a failed request is finished by retrying it with the same PayPal request id
+  const pendingRetry = subscription.payment_status === 'refund_pending' && isPayPalPurchase(subscription);
+  if (!REFUNDABLE_STATUSES.includes(subscription.status) || !subscription.payment_id ||
+      subscription.payment_status === 'refunded' ||
+      (subscription.payment_status === 'refund_pending' && !pendingRetry)) {
+    throw refundError('SUBSCRIPTION_NOT_REFUNDABLE', `Subscription is ${subscription.status} and cannot be refunded`);
+  }
+
+  const outstanding = roundMoney(Number(subscription.amount) - (Number(subscription.refunded_amount) || 0));
+  const refundAmount = Math.min(calculateRefundAmount(subscription, mode), outstanding);
+  if (refundAmount <= 0) {
+    throw refundError('NOTHING_TO_REFUND', 'There is nothing left to refund on this subscription');
+  }
+  return refundAmount;
+}
+
+async function setPaymentStatus(connection, subscription, status) {
+  await connection.execute('UPDATE payments SET status = ? WHERE payment_id = ?', [status, subscription.payment_id]);
+  if (subscription.paypal_transaction_id) {
+    await connection.execute(
+      'UPDATE paypal_transactions SET status = ?, updated_at = NOW() WHERE id = ?',
+      [status, subscription.paypal_transaction_id]
+    );
+  }
+}
+
+/**
+ * Remove the unused hours and record the refunded money on the payment (and PayPal order)
+ */
+async function closeRefundedSubscription(connection, subscription, { mode, reason, refundAmount, refundId = null }) {
+  const revoked = await revokeSubscriptionHours(connection, subscription.subscription_id, {
+    status: 'refunded',
+    description: `${mode === RefundModes.FULL ? 'Full' : 'Pro-rated'} refund of ${subscription.plan_name}${reason ? `: ${reason}` : ''}`
+  });
+
+  const refundedTotal = roundMoney((Number(subscription.refunded_amount) || 0) + refundAmount);
+  const status = refundedTotal < Number(subscription.amount) ? 'partially_refunded' : 'refunded';
+
+  await connection.execute(`
+    UPDATE payments
+    SET status = ?, refunded_amount = ?, refunded_at = NOW()
+    WHERE payment_id = ?
+  `, [status, refundedTotal, subscription.payment_id]);
+
+  if (subscription.paypal_transaction_id) {
+    await connection.execute(`
+      UPDATE paypal_transactions
+      SET status = ?, refund_id = COALESCE(?, refund_id), updated_at = NOW()
+      WHERE id = ?
+    `, [status, refundId, subscription.paypal_transaction_id]);
+  }
+
+  // The PAYMENT.CAPTURE.REFUNDED webhook that follows finds this refund id and does nothing
+  if (refundId) {
+    await connection.execute(`
+      INSERT INTO paypal_refunds (paypal_transaction_id, refund_id, amount, hours_removed, source)
+      VALUES (?, ?, ?, ?, 'admin')
+    `, [subscription.paypal_transaction_id, refundId, refundAmount, revoked.hoursRemoved]);
+  }
+
+  return revoked;
+}
+
+/**
+ * Call PayPal for a claimed refund
+ * @throws PAYPAL_REFUND_FAILED when PayPal rejected it (the payment is restored),
+ *   PAYPAL_REFUND_PENDING when the outcome is unknown (the payment stays pending until retried)
+ */
+async function requestPayPalRefund(subscription, mode, refundAmount) {
+  const fullRefund = mode === RefundModes.FULL && !(Number(subscription.refunded_amount) > 0);
+  try {
+    return await paypal.refundCapture(
+      subscription.capture_id,
+      fullRefund ? null : refundAmount,
+      'USD',
+      `tappark-refund-${subscription.payment_id}`
+    );
+  } catch (error) {
+    if (error.response && error.response.status < 500) {
+      await withTransaction(async (connection) => {
+        const current = await lockRefundableSubscription(connection, subscription.subscription_id);
+        if (current.payment_status === 'refund_pending') {
+          await setPaymentStatus(connection, current, refundableState(current));
+        }
+      });
+      throw refundError('PAYPAL_REFUND_FAILED', 'PayPal could not refund this payment');
+    }
+    throw refundError('PAYPAL_REFUND_PENDING', 'PayPal did not confirm the refund. Retry to finish it; the payment cannot be refunded twice.');
+  }
+}
+
+/**
+ * Admin refund of a purchased subscription. The subscription and payment rows are locked while
+ * the refund is checked. PayPal purchases are then moved to 'refund_pending' and refunded with a
+ * PayPal-Request-Id derived from the payment, so double clicks and retries refund the money once;
+ * the unused hours are removed when PayPal confirms.
+ * @param {number} subscriptionId
+ * @param {{ mode: string, reason?: string, adminId: number }} options
+ */
+async function refundSubscription(subscriptionId, { mode, reason = null, adminId }) {
+  const claim = await withTransaction(async (connection) => {
+    const subscription = await lockRefundableSubscription(connection, subscriptionId);
+    const refundAmount = getAdminRefundAmount(subscription, mode);
+
+    if (!isPayPalPurchase(subscription)) {
+      const revoked = await closeRefundedSubscription(connection, subscription, { mode, reason, refundAmount });
+      return { subscription, refundAmount, revoked };
+    }
+
+    await setPaymentStatus(connection, subscription, 'refund_pending');
+    return { subscription, refundAmount, revoked: null };
+  });
+
+  const { subscription } = claim;
+  let { refundAmount, revoked } = claim;
+  let refundId = null;
+
+  if (!revoked) {
+    const refund = await requestPayPalRefund(subscription, mode, refundAmount);
+    refundId = refund.id;
+    // A retried request id returns the refund made the first time
+    if (refund.amount && refund.amount.value) {
+      refundAmount = roundMoney(parseFloat(refund.amount.value));
+    }
+
+    revoked = await withTransaction(async (connection) => {
+      const current = await lockRefundableSubscription(connection, subscriptionId);
+      if (current.payment_status !== 'refund_pending') {
+        throw refundError('SUBSCRIPTION_NOT_REFUNDABLE', 'This payment was already refunded by another request');
+      }
+      return closeRefundedSubscription(connection, current, { mode, reason, refundAmount, refundId });
+    });
+  }
+
+  await logUserActivity(
+    subscription.user_id,
+    ActionTypes.PAYMENT_REFUND,
+    `${mode === RefundModes.FULL ? 'Full' : 'Pro-rated'} refund of ₱${refundAmount} for ${subscription.plan_name} by admin ${adminId}. ${revoked.hoursRemoved} unused hours removed${reason ? `. Reason: ${reason}` : ''}`,
+    subscriptionId
+  );
+
+  await createNotification(
+    subscription.user_id,
+    'Purchase Refunded',
+    `₱${refundAmount} for your ${subscription.plan_name} plan has been refunded.${revoked.hoursRemoved > 0 ? ` ${revoked.hoursRemoved} unused hours were removed from your balance.` : ''}`,
+    'info',
+    { subscriptionId, paymentId: subscription.payment_id, refundAmount, link: NotificationLinks.balance() },
+    NotificationCategories.PAYMENT
+  );
+
+  return {
+    subscriptionId,
+    paymentId: subscription.payment_id,
+    mode,
+    refundAmount,
+    refundId,
+    hoursRemoved: revoked.hoursRemoved,
+    balanceAfter: revoked.balanceAfter
+  };
+}
+
+/**
+ * Admin cancellation without a refund: the unused hours are removed and the plan is closed
+ * @param {number} subscriptionId
+ * @param {{ reason?: string, adminId: number }} options
+ */
+async function cancelSubscription(subscriptionId, { reason = null, adminId }) {
+  const { subscription, revoked } = await withTransaction(async (connection) => {
+    const subscription = await lockRefundableSubscription(connection, subscriptionId);
+
+    if (subscription.status !== 'active') {
+      throw refundError('SUBSCRIPTION_NOT_REFUNDABLE', `Subscription is ${subscription.status} and cannot be cancelled`);
+    }
+    // The pending PayPal refund closes the plan once PayPal confirms it
+    if (subscription.payment_status === 'refund_pending') {
+      throw refundError('SUBSCRIPTION_NOT_REFUNDABLE', 'A refund of this subscription is in progress');
+    }
+
+    const revoked = await revokeSubscriptionHours(connection, subscriptionId, {
+      status: 'cancelled',
+      description: `Subscription ${subscription.plan_name} cancelled${reason ? `: ${reason}` : ''}`
+    });
+    return { subscription, revoked };
+  });
+
+  await logUserActivity(
+    subscription.user_id,
+    ActionTypes.SUBSCRIPTION_CANCEL,
+    `Subscription ${subscription.plan_name} cancelled by admin ${adminId}. ${revoked.hoursRemoved} unused hours removed${reason ? `. Reason: ${reason}` : ''}`,
+    subscriptionId
+  );
+
+  await createNotification(
+    subscription.user_id,
+    'Subscription Cancelled',
+    `Your ${subscription.plan_name} plan was cancelled.${revoked.hoursRemoved > 0 ? ` ${revoked.hoursRemoved} unused hours were removed from your balance.` : ''}${reason ? ` Reason: ${reason}` : ''}`,
+    'warning',
+    { subscriptionId, link: NotificationLinks.balance() },
+    NotificationCategories.PAYMENT
+  );
+
+  return {
+    subscriptionId,
+    hoursRemoved: revoked.hoursRemoved,
+    balanceAfter: revoked.balanceAfter
+  };
+}
+
+module.exports = {
+  RefundModes,
+  calculateRefundAmount,
+  calculateRefundHours,
+  getRefundErrorStatus,
+  refundSubscription,
+  cancelSubscription
+};
@@ -0,0 +1,150 @@
+/**
+ * In-memory stand-in for services/sessionStore.js. Reservations, spots and capacity sections
+ * live in `state` so tests can check what a transition wrote. `db` is a config/database
+ * replacement whose transactions only count commits and rollbacks; route lookups go through
+ * the `db.query` mock.
+ */
+const state = {
+  reservations: new Map(),
+  spots: new Map(),
+  sections: new Map(),
+  scans: [],
+  commits: 0,
+  rollbacks: 0
+};
+
+function reset() {
+  state.reservations.clear();
+  state.spots.clear();
+  state.sections.clear();
+  state.scans = [];
+  state.commits = 0;
+  state.rollbacks = 0;
+  db.query.mockReset();
+}
+
+/**
+ * Add a reservation plus the spot or capacity section it holds
+ * @param {object} reservation - reservations row; parking_spots_id 0 means a capacity section slot
+ */
+function seedReservation(reservation) {
+  const row = {
+    user_id: 7,
+    vehicle_id: 3,
+    parking_spots_id: 11,
+    parking_section_id: 4,
+    start_time: null,
+    end_time: null,
+    spot_number: 'A-1',
+    plate_number: 'ABC 123',
+    qr_key: 'qr-key',
+    last_ticket_exp: null,
+    parking_area_id: 2,
+    parking_area_name: 'Main Lot',
+    location: 'Campus',
+    ...reservation
+  };
+  state.reservations.set(Number(row.reservation_id), row);
+
+  if (row.parking_spots_id === 0) {
+    if (!state.sections.has(row.parking_section_id)) {
+      state.sections.set(row.parking_section_id, { reserved_count: 0, parked_count: 0 });
+    }
+    const section = state.sections.get(row.parking_section_id);
+    if (row.booking_status === 'reserved') section.reserved_count++;
+    if (row.booking_status === 'active') section.parked_count++;
+  } else {
+    const status = row.booking_status === 'active' ? 'occupied'
+      : row.booking_status === 'reserved' ? 'reserved' : 'available';
+    state.spots.set(row.parking_spots_id, { status });
+  }
+  return row;
+}
+
+const reservation = (reservationId) => state.reservations.get(Number(reservationId));
+
+const store = {
+  lockSession: async (connection, reservationId) => {
+    const row = reservation(reservationId);
+    return row ? { ...row } : null;
+  },
+  markSessionActive: async (connection, reservationId, at = null) => {
+    const row = reservation(reservationId);
+    row.booking_status = 'active';
+    row.start_time = at || new Date();
+    return row.start_time;
+  },
+  markSessionCompleted: async (connection, reservationId, at = null) => {
+    const row = reservation(reservationId);
+    row.booking_status = 'completed';
+    row.end_time = at || new Date();
+    row.start_time = row.start_time || row.end_time;
+  },
+  markSessionClosed: async (connection, reservationId, status) => {
+    const row = reservation(reservationId);
+    row.booking_status = status;
+    row.end_time = new Date();
+  },
+  occupySessionHold: async (connection, session) => {
+    if (session.parking_spots_id === 0) {
+      const section = state.sections.get(session.parking_section_id);
+      section.reserved_count = Math.max(0, section.reserved_count - 1);
+      section.parked_count++;
+    } else {
+      const spot = state.spots.get(session.parking_spots_id);
+      if (spot.status === 'reserved') spot.status = 'occupied';
+    }
+  },
+  releaseSessionHold: async (connection, session) => {
+    if (session.booking_status === 'scheduled') return;
+    if (session.parking_spots_id === 0) {
+      const section = state.sections.get(session.parking_section_id);
+      const counter = session.booking_status === 'active' ? 'parked_count' : 'reserved_count';
+      section[counter] = Math.max(0, section[counter] - 1);
+    } else {
+      state.spots.get(session.parking_spots_id).status = 'available';
+    }
+  },
+  recordTicketExpiry: async (connection, reservationId, exp) => {
+    const row = reservation(reservationId);
+    if (row.last_ticket_exp !== null && row.last_ticket_exp >= exp) {
+      return false;
+    }
+    row.last_ticket_exp = exp;
+    return true;
+  },
+  insertScan: async (connection, session, attendantId, scanType, statusAtScan, { scannedAt = null, identityCheck = null } = {}) => {
+    state.scans.push({
+      reservationId: session.reservation_id,
+      attendantId,
+      scanType,
+      statusAtScan,
+      scannedAt,
+      entryMethod: identityCheck ? 'manual' : 'qr',
+      identityDocument: identityCheck ? identityCheck.document : null
+    });
+  }
+};
+
+const connection = {
+  beginTransaction: async () => {},
+  commit: async () => { state.commits++; },
+  rollback: async () => { state.rollbacks++; },
+  release: () => {}
+};
+
+const db = {
+  connection: {
+    getConnection: async () => connection
+  },
+  connect: async () => db.connection,
+  query: jest.fn()
+};
+
+module.exports = {
+  store,
+  db,
+  state,
+  reset,
+  seedReservation
+};
@@ -0,0 +1,255 @@
+jest.mock('../../config/database', () => require('../helpers/fakeSessionStore').db);
+jest.mock('../../services/sessionStore', () => require('../helpers/fakeSessionStore').store);
+jest.mock('../../middleware/auth', () => ({
+  ...jest.requireActual('../../middleware/auth'),
+  authenticateToken: (req, res, next) => {
+    req.user = { user_id: Number(req.headers['x-test-user']) };
+    next();
+  },
+  requirePrivilege: () => (req, res, next) => next(),
+  requireAreaAccess: () => (req, res, next) => next()
+}));
+// Signatures are covered by the ticket service; here a scanned ticket just names its reservation and expiry
+jest.mock('../../services/qrTickets', () => ({
+  ...jest.requireActual('../../services/qrTickets'),
+  verifyQrTicket: jest.fn(async (qrCodeData) => {
+    const { rid, exp } = JSON.parse(qrCodeData);
+    return { reservationId: rid, qrKey: null, legacy: false, exp };
+  })
+}));
+jest.mock('../../services/accessLogs', () => ({
+  ...jest.requireActual('../../services/accessLogs'),
+  recordAccess: jest.fn(),
+  recordDeniedScan: jest.fn(),
+  classifyUnscannable: jest.fn(async () => ({ reason: 'unknown_key' }))
+}));
+jest.mock('../../utils/userLogger', () => ({
+  ...jest.requireActual('../../utils/userLogger'),
+  logUserActivity: jest.fn()
+}));
+jest.mock('../../services/subscriptionLedger', () => ({
+  deductSubscriptionHours: jest.fn(async (connection, userId, hours) => ({
+    hoursDeducted: hours,
+    penaltyHours: 0,
+    penaltyId: null,
+    balanceBefore: 10,
+    balanceAfter: 10 - hours,
+    deductions: []
+  }))
+}));
+
+const express = require('express');
+const request = require('supertest');
+const fakeStore = require('../helpers/fakeSessionStore');
+const { AccessDirections, recordDeniedScan } = require('../../services/accessLogs');
+
+const app = express();
+app.use(express.json());
+app.use('/api/parking-areas', require('../../routes/parking-areas'));
+app.use('/api/attendant', require('../../routes/attendant'));
+app.use('/api/capacity', require('../../routes/capacity-management'));
+
+// Half a minute short, so the time the request takes is rounded up to the expected minutes
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60000 + 30000);
+
+// Route lookups read the seeded reservation back; the transition itself goes through the store
+const lookupFinds = (row) => fakeStore.db.query.mockResolvedValue(row ? [{ ...row }] : []);
+
+const TICKET_EXP = 1900000000;
+const ticketFor = (reservationId) => JSON.stringify({ v: 1, rid: reservationId, exp: TICKET_EXP });
+
+beforeEach(() => {
+  fakeStore.reset();
+  jest.clearAllMocks();
+});
+
+describe('PUT /api/parking-areas/end-session/:reservationId', () => {
+  test("ends the user's active session with the shared billing rule", async () => {
+    fakeStore.seedReservation({ reservation_id: 30, booking_status: 'active', start_time: minutesAgo(20) });
+
+    const response = await request(app)
+      .put('/api/parking-areas/end-session/30')
+      .set('x-test-user', '7');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual(expect.objectContaining({ status: 'completed', durationMinutes: 20 }));
+    expect(fakeStore.state.reservations.get(30).booking_status).toBe('completed');
+    expect(fakeStore.state.spots.get(11).status).toBe('available');
+  });
+
+  test("answers 404 for another user's reservation", async () => {
+    fakeStore.seedReservation({ reservation_id: 31, booking_status: 'active', start_time: minutesAgo(20) });
+
+    const response = await request(app)
+      .put('/api/parking-areas/end-session/31')
+      .set('x-test-user', '8');
+
+    expect(response.status).toBe(404);
+    expect(response.body.errorCode).toBe('SESSION_NOT_FOUND');
+    expect(fakeStore.state.reservations.get(31).booking_status).toBe('active');
+  });
+
+  test('answers 409 for a session that already ended', async () => {
+    fakeStore.seedReservation({ reservation_id: 32, booking_status: 'completed', start_time: minutesAgo(20) });
+
+    const response = await request(app)
+      .put('/api/parking-areas/end-session/32')
+      .set('x-test-user', '7');
+
+    expect(response.status).toBe(409);
+    expect(response.body.errorCode).toBe('INVALID_SESSION_TRANSITION');
+  });
+});
+
+describe('PUT /api/attendant/end-parking-session/:reservationId', () => {
+  test('bills the same minutes as the user path', async () => {
+    fakeStore.seedReservation({ reservation_id: 40, booking_status: 'active', start_time: minutesAgo(20) });
+
+    const response = await request(app)
+      .put('/api/attendant/end-parking-session/40')
+      .set('x-test-user', '99');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual(expect.objectContaining({ durationMinutes: 20, durationHours: 20 / 60 }));
+  });
+
+  test('refuses reserved bookings, which are cancelled instead', async () => {
+    fakeStore.seedReservation({ reservation_id: 41, booking_status: 'reserved' });
+
+    const response = await request(app)
+      .put('/api/attendant/end-parking-session/41')
+      .set('x-test-user', '99');
+
+    expect(response.status).toBe(409);
+    expect(fakeStore.state.reservations.get(41).booking_status).toBe('reserved');
+  });
+});
+
+describe('POST /api/attendant/start-parking-session (QR scan)', () => {
+  const scanStart = (reservationId, vehiclePlate) => request(app)
+    .post('/api/attendant/start-parking-session')
+    .set('x-test-user', '99')
+    .send({ qrCodeData: ticketFor(reservationId), vehiclePlate });
+
+  test('a ticket refused for the wrong vehicle can still start the session at the right one', async () => {
+    lookupFinds(fakeStore.seedReservation({ reservation_id: 45, booking_status: 'reserved' }));
+
+    const mismatch = await scanStart(45, 'XYZ 999');
+
+    expect(mismatch.status).toBe(409);
+    expect(mismatch.body.errorCode).toBe('VEHICLE_MISMATCH');
+    expect(fakeStore.state.reservations.get(45).last_ticket_exp).toBeNull();
+
+    const response = await scanStart(45, 'ABC 123');
+
+    expect(response.status).toBe(200);
+    expect(fakeStore.state.reservations.get(45)).toEqual(expect.objectContaining({ booking_status: 'active', last_ticket_exp: TICKET_EXP }));
+  });
+});
+
+describe('POST /api/attendant/end-parking-session (QR scan)', () => {
+  const scanEnd = (reservationId) => request(app)
+    .post('/api/attendant/end-parking-session')
+    .set('x-test-user', '99')
+    .send({ qrCodeData: ticketFor(reservationId) });
+
+  test('ends an active session and records an end_active scan', async () => {
+    lookupFinds(fakeStore.seedReservation({ reservation_id: 50, booking_status: 'active', start_time: minutesAgo(15) }));
+
+    const response = await scanEnd(50);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual(expect.objectContaining({ status: 'completed', durationMinutes: 15 }));
+    expect(fakeStore.state.reservations.get(50)).toEqual(expect.objectContaining({ booking_status: 'completed', last_ticket_exp: TICKET_EXP }));
+    expect(fakeStore.state.spots.get(11).status).toBe('available');
+    expect(fakeStore.state.scans).toEqual([
+      { reservationId: 50, attendantId: 99, scanType: 'end_active', statusAtScan: 'active', scannedAt: null, entryMethod: 'qr', identityDocument: null }
+    ]);
+  });
+
+  test('ends a reserved booking directly with the one-minute minimum', async () => {
+    lookupFinds(fakeStore.seedReservation({ reservation_id: 51, booking_status: 'reserved', parking_spots_id: 0, parking_section_id: 8 }));
+
+    const response = await scanEnd(51);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.durationMinutes).toBe(1);
+    expect(fakeStore.state.sections.get(8).reserved_count).toBe(0);
+    expect(fakeStore.state.scans[0]).toEqual(expect.objectContaining({ scanType: 'end_reserved' }));
+  });
+
+  test.each(['scheduled', 'completed', 'cancelled'])('refuses a %s booking with 409', async (status) => {
+    lookupFinds(fakeStore.seedReservation({ reservation_id: 52, booking_status: status }));
+
+    const response = await scanEnd(52);
+
+    expect(response.status).toBe(409);
+    expect(response.body.errorCode).toBe('INVALID_SESSION_TRANSITION');
+    expect(fakeStore.state.reservations.get(52)).toEqual(expect.objectContaining({ booking_status: status, last_ticket_exp: null }));
+    expect(fakeStore.state.scans).toEqual([]);
+    expect(fakeStore.state.rollbacks).toBe(1);
+    expect(recordDeniedScan).toHaveBeenCalledWith(expect.objectContaining({ reservationId: 52, direction: AccessDirections.EXIT }));
+  });
+
+  test('refuses a ticket that was already scanned', async () => {
+    lookupFinds(fakeStore.seedReservation({
+      reservation_id: 53, booking_status: 'active', start_time: minutesAgo(15), last_ticket_exp: TICKET_EXP
+    }));
+
+    const response = await scanEnd(53);
+
+    expect(response.status).toBe(403);
+    expect(response.body.errorCode).toBe('QR_REPLAYED');
+    expect(fakeStore.state.reservations.get(53).booking_status).toBe('active');
+    expect(fakeStore.state.rollbacks).toBe(1);
+  });
+
+  test('answers 404 for an unknown QR code', async () => {
+    lookupFinds(null);
+
+    const response = await scanEnd(404);
+
+    expect(response.status).toBe(404);
+    expect(response.body.denialReason).toBe('unknown_key');
+    expect(fakeStore.state.commits).toBe(0);
+  });
+});
+
+describe('POST /api/capacity/sections/:sectionId/end-reservation', () => {
+  const endReservation = () => request(app)
+    .post('/api/capacity/sections/8/end-reservation')
+    .set('x-test-user', '7');
+
+  test("ends the user's active capacity booking and frees the parked slot", async () => {
+    lookupFinds(fakeStore.seedReservation({
+      reservation_id: 60, booking_status: 'active', parking_spots_id: 0, parking_section_id: 8, start_time: minutesAgo(30)
+    }));
+
+    const response = await endReservation();
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual(expect.objectContaining({ reservationId: 60, durationMinutes: 30, chargeHours: 0.5 }));
+    expect(fakeStore.state.reservations.get(60).booking_status).toBe('completed');
+    expect(fakeStore.state.sections.get(8)).toEqual({ reserved_count: 0, parked_count: 0 });
+  });
+
+  test.each(['reserved', 'scheduled', 'completed', 'cancelled'])('refuses a %s booking with 409', async (status) => {
+    lookupFinds(fakeStore.seedReservation({ reservation_id: 61, booking_status: status, parking_spots_id: 0, parking_section_id: 8 }));
+    const countersBefore = { ...fakeStore.state.sections.get(8) };
+
+    const response = await endReservation();
+
+    expect(response.status).toBe(409);
+    expect(response.body.errorCode).toBe('INVALID_SESSION_TRANSITION');
+    expect(fakeStore.state.reservations.get(61).booking_status).toBe(status);
+    expect(fakeStore.state.sections.get(8)).toEqual(countersBefore);
+  });
+
+  test('answers 404 when the user has no booking in the section', async () => {
+    lookupFinds(null);
+
+    const response = await endReservation();
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,68 @@
+const { addEnumValues } = require('../../scripts/helpers/addEnumValues');
+
+const normalize = (sql) => sql.replace(/\s+/g, ' ').trim();
+
+// Answers the information_schema lookup with `column` and records the ALTER that follows
+function fakeDb(column) {
+  const alters = [];
+  return {
+    alters,
+    query: jest.fn(async (sql) => {
+      if (sql.includes('information_schema')) {
+        return column ? [column] : [];
+      }
+      alters.push(normalize(sql));
+      return { affectedRows: 0 };
+    })
+  };
+}
+
+const statusColumn = (values, extra = {}) => ({
+  column_type: `enum(${values.map(value => `'${value}'`).join(',')})`,
+  is_nullable: 'YES',
+  column_default: 'created',
+  ...extra
+});
+
+describe('addEnumValues', () => {
+  test('appends only the missing values and keeps the default', async () => {
+    const db = fakeDb(statusColumn(['created', 'completed', 'refund_pending']));
+
+    const added = await addEnumValues(db, 'paypal_transactions', 'status', ['partially_refunded', 'refunded', 'refund_pending']);
+
+    expect(added).toEqual(['partially_refunded', 'refunded']);
+    expect(db.alters).toEqual([
+      "ALTER TABLE paypal_transactions MODIFY COLUMN status ENUM('created', 'completed', 'refund_pending', 'partially_refunded', 'refunded') NULL DEFAULT 'created'"
+    ]);
+  });
+
+  test('does nothing when every value exists, so a re-run keeps later additions', async () => {
+    const db = fakeDb(statusColumn(['created', 'refund_pending', 'partially_refunded', 'refunded']));
+
+    await expect(addEnumValues(db, 'paypal_transactions', 'status', ['partially_refunded', 'refunded'])).resolves.toEqual([]);
+    expect(db.alters).toEqual([]);
+  });
+
+  test('keeps NOT NULL columns without a default', async () => {
+    const db = fakeDb(statusColumn(['hour_addition', 'hour_deduction'], { is_nullable: 'NO', column_default: null }));
+
+    await addEnumValues(db, 'transactions', 'transaction_type', ['refund']);
+
+    expect(db.alters).toEqual([
+      "ALTER TABLE transactions MODIFY COLUMN transaction_type ENUM('hour_addition', 'hour_deduction', 'refund') NOT NULL"
+    ]);
+  });
+
+  test("reads MariaDB's quoted defaults", async () => {
+    const db = fakeDb(statusColumn(['created'], { column_default: "'created'" }));
+
+    await addEnumValues(db, 'paypal_transactions', 'status', ['refunded']);
+
+    expect(db.alters[0]).toContain("DEFAULT 'created'");
+    expect(db.alters[0]).not.toContain("''created''");
+  });
+
+  test('refuses a missing column', async () => {
+    await expect(addEnumValues(fakeDb(null), 'paypal_transactions', 'state', ['refunded'])).rejects.toThrow('does not exist');
+  });
+});
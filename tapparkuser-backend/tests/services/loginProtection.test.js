@@ -0,0 +1,43 @@
+jest.mock('../../config/database', () => ({ query: jest.fn(), execute: jest.fn() }));
+jest.mock('../../utils/userLogger', () => ({
+  ...jest.requireActual('../../utils/userLogger'),
+  logUserActivity: jest.fn()
+}));
+
+const {
+  LOCKOUT_THRESHOLD,
+  getUnknownLockRemainingSeconds,
+  recordUnknownLogin
+} = require('../../services/loginProtection');
+
+const failTimes = async (email, times) => {
+  let failure = null;
+  for (let attempt = 0; attempt < times; attempt++) {
+    failure = await recordUnknownLogin(email, 'wrong-password', '10.0.0.1');
+  }
+  return failure;
+};
+
+describe('recordUnknownLogin', () => {
+  test('counts down like an existing account', async () => {
+    const failure = await recordUnknownLogin('nobody-1@example.com', 'wrong-password', '10.0.0.1');
+
+    expect(failure).toEqual({ locked: false, lockSeconds: 0, attemptsRemaining: LOCKOUT_THRESHOLD - 1 });
+    expect(getUnknownLockRemainingSeconds('nobody-1@example.com')).toBe(0);
+  });
+
+  test('locks the email at the threshold for the base lockout', async () => {
+    const failure = await failTimes('nobody-2@example.com', LOCKOUT_THRESHOLD);
+
+    expect(failure).toEqual({ locked: true, lockSeconds: 15 * 60, attemptsRemaining: 0 });
+    expect(getUnknownLockRemainingSeconds('NOBODY-2@example.com')).toBeGreaterThan(15 * 60 - 5);
+    expect(getUnknownLockRemainingSeconds('nobody-3@example.com')).toBe(0);
+  });
+
+  test('doubles the lockout the next time', async () => {
+    await failTimes('nobody-4@example.com', LOCKOUT_THRESHOLD);
+    const failure = await failTimes('nobody-4@example.com', LOCKOUT_THRESHOLD);
+
+    expect(failure.lockSeconds).toBe(30 * 60);
+  });
+});
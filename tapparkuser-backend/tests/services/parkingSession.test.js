@@ -0,0 +1,259 @@
+jest.mock('../../config/database', () => require('../helpers/fakeSessionStore').db);
+jest.mock('../../services/sessionStore', () => require('../helpers/fakeSessionStore').store);
+jest.mock('../../utils/userLogger', () => ({
+  ...jest.requireActual('../../utils/userLogger'),
+  logUserActivity: jest.fn()
+}));
+jest.mock('../../services/realtime', () => ({
+  ...jest.requireActual('../../services/realtime'),
+  publishReservationEvent: jest.fn()
+}));
+jest.mock('../../services/accessLogs', () => ({
+  ...jest.requireActual('../../services/accessLogs'),
+  recordAccess: jest.fn()
+}));
+jest.mock('../../services/subscriptionLedger', () => ({
+  deductSubscriptionHours: jest.fn(async (connection, userId, hours) => ({
+    hoursDeducted: hours,
+    penaltyHours: 0,
+    penaltyId: null,
+    balanceBefore: 10,
+    balanceAfter: 10 - hours,
+    deductions: []
+  }))
+}));
+
+const fakeStore = require('../helpers/fakeSessionStore');
+const { deductSubscriptionHours } = require('../../services/subscriptionLedger');
+const { RealtimeEvents, publishReservationEvent } = require('../../services/realtime');
+const { AccessDirections, recordAccess } = require('../../services/accessLogs');
+const {
+  SESSION_TRANSITIONS,
+  SessionActors,
+  canTransition,
+  calculateSessionCharge,
+  getSessionErrorStatus,
+  startSession,
+  endSession,
+  cancelSession,
+  expireSession
+} = require('../../services/parkingSession');
+
+const minutesAfter = (date, minutes) => new Date(date.getTime() + minutes * 60000);
+
+beforeEach(() => {
+  fakeStore.reset();
+  jest.clearAllMocks();
+});
+
+describe('calculateSessionCharge', () => {
+  const start = new Date('2026-01-05T08:00:00Z');
+
+  test('rounds partial minutes up', () => {
+    expect(calculateSessionCharge(start, new Date('2026-01-05T08:30:01Z'))).toEqual({
+      durationMinutes: 31,
+      durationHours: 31 / 60
+    });
+  });
+
+  test('charges exact minutes without rounding', () => {
+    expect(calculateSessionCharge(start, minutesAfter(start, 90)).durationMinutes).toBe(90);
+  });
+
+  test('charges at least one minute', () => {
+    expect(calculateSessionCharge(start, start)).toEqual({ durationMinutes: 1, durationHours: 1 / 60 });
+    expect(calculateSessionCharge(start, new Date(start.getTime() + 500)).durationMinutes).toBe(1);
+  });
+});
+
+describe('SESSION_TRANSITIONS', () => {
+  test('allows the lifecycle edges', () => {
+    expect(canTransition('scheduled', 'reserved')).toBe(true);
+    expect(canTransition('reserved', 'active')).toBe(true);
+    expect(canTransition('reserved', 'completed')).toBe(true);
+    expect(canTransition('reserved', 'expired')).toBe(true);
+    expect(canTransition('active', 'completed')).toBe(true);
+  });
+
+  test('terminal statuses cannot move', () => {
+    for (const status of ['completed', 'cancelled', 'expired']) {
+      expect(SESSION_TRANSITIONS[status]).toEqual([]);
+    }
+  });
+
+  test('rejects skipping or reversing steps', () => {
+    expect(canTransition('scheduled', 'active')).toBe(false);
+    expect(canTransition('active', 'cancelled')).toBe(false);
+    expect(canTransition('active', 'reserved')).toBe(false);
+    expect(canTransition('unknown', 'active')).toBe(false);
+  });
+});
+
+describe('reserve → start → end', () => {
+  test('starts a reserved spot booking and occupies the spot', async () => {
+    fakeStore.seedReservation({ reservation_id: 1, booking_status: 'reserved' });
+
+    const session = await startSession(1, { scannedBy: 99 });
+
+    expect(session.previous_status).toBe('reserved');
+    expect(session.booking_status).toBe('active');
+    expect(session.start_time).toBeInstanceOf(Date);
+    expect(fakeStore.state.reservations.get(1).booking_status).toBe('active');
+    expect(fakeStore.state.spots.get(11).status).toBe('occupied');
+    expect(fakeStore.state.scans).toEqual([
+      { reservationId: 1, attendantId: 99, scanType: 'start', statusAtScan: 'active', scannedAt: null, entryMethod: 'qr', identityDocument: null }
+    ]);
+    expect(recordAccess).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      reservationId: 1, direction: AccessDirections.ENTRY, granted: true, attendantId: 99, areaId: 2
+    }));
+    expect(publishReservationEvent).toHaveBeenCalledWith(1, RealtimeEvents.RESERVATION_STARTED);
+  });
+
+  test('ends an active session, frees the spot and bills the parked minutes', async () => {
+    // Half a minute short, so the time the test takes is rounded up to 45 minutes
+    fakeStore.seedReservation({ reservation_id: 2, booking_status: 'active', start_time: new Date(Date.now() - 45 * 60000 + 30000) });
+
+    const result = await endSession(2, { endedBy: SessionActors.ATTENDANT_SCAN, scannedBy: 99 });
+
+    expect(result.previousStatus).toBe('active');
+    expect(result.durationMinutes).toBe(45);
+    expect(deductSubscriptionHours).toHaveBeenCalledWith(expect.anything(), 7, 45 / 60, expect.objectContaining({ reservationId: 2 }));
+    expect(fakeStore.state.reservations.get(2).booking_status).toBe('completed');
+    expect(fakeStore.state.spots.get(11).status).toBe('available');
+    expect(fakeStore.state.scans[0]).toEqual(expect.objectContaining({ scanType: 'end_active', statusAtScan: 'active' }));
+    expect(recordAccess).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ direction: AccessDirections.EXIT }));
+    expect(publishReservationEvent).toHaveBeenCalledWith(2, RealtimeEvents.RESERVATION_ENDED);
+  });
+
+  test('ending a reserved booking bills the one-minute minimum', async () => {
+    fakeStore.seedReservation({ reservation_id: 3, booking_status: 'reserved' });
+
+    const result = await endSession(3, { endedBy: SessionActors.ATTENDANT, scannedBy: 99 });
+
+    expect(result.previousStatus).toBe('reserved');
+    expect(result.durationMinutes).toBe(1);
+    expect(fakeStore.state.scans[0]).toEqual(expect.objectContaining({ scanType: 'end_reserved', statusAtScan: 'reserved' }));
+  });
+
+  test('moves capacity section counters through the whole lifecycle', async () => {
+    fakeStore.seedReservation({ reservation_id: 4, booking_status: 'reserved', parking_spots_id: 0, parking_section_id: 8 });
+
+    await startSession(4);
+    expect(fakeStore.state.sections.get(8)).toEqual({ reserved_count: 0, parked_count: 1 });
+
+    await endSession(4);
+    expect(fakeStore.state.sections.get(8)).toEqual({ reserved_count: 0, parked_count: 0 });
+  });
+
+  test('bills offline scans with the times they were recorded', async () => {
+    const startTime = new Date('2026-01-05T08:00:00Z');
+    const endTime = new Date('2026-01-05T08:45:20Z');
+    fakeStore.seedReservation({ reservation_id: 5, booking_status: 'reserved' });
+
+    await startSession(5, { scannedBy: 99, at: startTime });
+    const result = await endSession(5, { endedBy: SessionActors.ATTENDANT_SCAN, scannedBy: 99, at: endTime });
+
+    expect(result.durationMinutes).toBe(46);
+    expect(fakeStore.state.reservations.get(5)).toEqual(expect.objectContaining({ start_time: startTime, end_time: endTime }));
+    expect(fakeStore.state.scans.map(scan => scan.scannedAt)).toEqual([startTime, endTime]);
+  });
+
+  test('records manual starts with the identity check', async () => {
+    fakeStore.seedReservation({ reservation_id: 7, booking_status: 'reserved' });
+
+    await startSession(7, { scannedBy: 99, identityCheck: { document: 'drivers_license', note: null } });
+
+    expect(fakeStore.state.scans[0]).toEqual(expect.objectContaining({ entryMethod: 'manual', identityDocument: 'drivers_license' }));
+  });
+
+  test('refuses an offline end time before the session started', async () => {
+    const startTime = new Date('2026-01-05T08:00:00Z');
+    fakeStore.seedReservation({ reservation_id: 6, booking_status: 'active', start_time: startTime });
+
+    await expect(endSession(6, { at: minutesAfter(startTime, -5) }))
+      .rejects.toMatchObject({ code: 'INVALID_SESSION_TRANSITION' });
+    expect(fakeStore.state.reservations.get(6).booking_status).toBe('active');
+    expect(fakeStore.state.rollbacks).toBe(1);
+  });
+});
+
+describe('cancel and expire', () => {
+  test('cancels a reserved booking without billing and releases the spot', async () => {
+    fakeStore.seedReservation({ reservation_id: 10, booking_status: 'reserved' });
+
+    const session = await cancelSession(10, { userId: 7 });
+
+    expect(session.booking_status).toBe('cancelled');
+    expect(fakeStore.state.reservations.get(10).booking_status).toBe('cancelled');
+    expect(fakeStore.state.spots.get(11).status).toBe('available');
+    expect(deductSubscriptionHours).not.toHaveBeenCalled();
+    expect(publishReservationEvent).toHaveBeenCalledWith(10, RealtimeEvents.RESERVATION_CANCELLED);
+  });
+
+  test('cancels a scheduled booking without touching the section counters', async () => {
+    fakeStore.seedReservation({ reservation_id: 11, booking_status: 'scheduled', parking_spots_id: 0, parking_section_id: 8 });
+    fakeStore.state.sections.get(8).reserved_count = 2;
+
+    await cancelSession(11, { allowedFrom: ['scheduled'] });
+
+    expect(fakeStore.state.reservations.get(11).booking_status).toBe('cancelled');
+    expect(fakeStore.state.sections.get(8).reserved_count).toBe(2);
+  });
+
+  test('expires a reserved booking and frees its section slot', async () => {
+    fakeStore.seedReservation({ reservation_id: 12, booking_status: 'reserved', parking_spots_id: 0, parking_section_id: 8 });
+
+    const session = await expireSession(12);
+
+    expect(session.booking_status).toBe('expired');
+    expect(fakeStore.state.sections.get(8).reserved_count).toBe(0);
+    expect(deductSubscriptionHours).not.toHaveBeenCalled();
+    expect(publishReservationEvent).toHaveBeenCalledWith(12, RealtimeEvents.RESERVATION_EXPIRED);
+  });
+});
+
+describe('rejected transitions', () => {
+  const rejected = [
+    ['start', 'scheduled', () => startSession(20)],
+    ['start', 'active', () => startSession(20)],
+    ['start', 'completed', () => startSession(20)],
+    ['end', 'scheduled', () => endSession(20)],
+    ['end', 'cancelled', () => endSession(20)],
+    ['end', 'expired', () => endSession(20)],
+    ['cancel', 'active', () => cancelSession(20)],
+    ['cancel', 'completed', () => cancelSession(20)],
+    ['expire', 'scheduled', () => expireSession(20)],
+    ['expire', 'active', () => expireSession(20)]
+  ];
+
+  test.each(rejected)('%s from %s is refused', async (action, status, run) => {
+    fakeStore.seedReservation({ reservation_id: 20, booking_status: status, start_time: new Date() });
+
+    const error = await run().catch(caught => caught);
+
+    expect(error.code).toBe('INVALID_SESSION_TRANSITION');
+    expect(getSessionErrorStatus(error)).toBe(409);
+    expect(fakeStore.state.reservations.get(20).booking_status).toBe(status);
+    expect(fakeStore.state.rollbacks).toBe(1);
+  });
+
+  test('allowedFrom narrows the statuses a route may end', async () => {
+    fakeStore.seedReservation({ reservation_id: 21, booking_status: 'active', start_time: new Date() });
+
+    await expect(endSession(21, { allowedFrom: ['reserved'] }))
+      .rejects.toMatchObject({ code: 'INVALID_SESSION_TRANSITION' });
+  });
+
+  test("another user's reservation is reported as not found", async () => {
+    fakeStore.seedReservation({ reservation_id: 22, booking_status: 'reserved' });
+
+    const error = await cancelSession(22, { userId: 8 }).catch(caught => caught);
+
+    expect(error.code).toBe('SESSION_NOT_FOUND');
+    expect(getSessionErrorStatus(error)).toBe(404);
+  });
+
+  test('unknown reservations are not found', async () => {
+    await expect(startSession(404)).rejects.toMatchObject({ code: 'SESSION_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,56 @@
+const { renderTemplate, renderEmail } = require('../../utils/templates');
+
+const verifyVariables = {
+  firstName: 'Ana',
+  verifyUrl: 'https://tappark.example/verify?token=abc',
+  expiresInHours: 24
+};
+
+describe('renderTemplate', () => {
+  test('fills every placeholder', () => {
+    const text = renderTemplate('email/verify-email.txt', verifyVariables);
+
+    expect(text).toContain('Hi Ana,');
+    expect(text).toContain('https://tappark.example/verify?token=abc');
+    expect(text).toContain('expires in 24 hours');
+    expect(text).not.toMatch(/\{\{/);
+  });
+
+  test('escapes {{name}} in HTML templates', () => {
+    const html = renderTemplate('email/verify-email.html', { ...verifyVariables, firstName: '<b>Ana</b> & "co"' });
+
+    expect(html).toContain('Hi &lt;b&gt;Ana&lt;/b&gt; &amp; &quot;co&quot;,');
+  });
+
+  test('leaves plain text templates unescaped', () => {
+    expect(renderTemplate('email/verify-email.txt', { ...verifyVariables, firstName: 'Ana & Ben' })).toContain('Hi Ana & Ben,');
+  });
+
+  test('renders missing values as empty', () => {
+    expect(renderTemplate('email/verify-email.txt', { ...verifyVariables, firstName: null })).toContain('Hi ,');
+  });
+
+  test('does not expand placeholders inside substituted values', () => {
+    const text = renderTemplate('email/verify-email.txt', { ...verifyVariables, firstName: '{{verifyUrl}} {{{expiresInHours}}}' });
+
+    expect(text).toContain('Hi {{verifyUrl}} {{{expiresInHours}}},');
+  });
+});
+
+describe('renderEmail', () => {
+  test('inserts the escaped content into the layout as-is', () => {
+    const email = renderEmail('verify-email', 'Verify your email', { ...verifyVariables, firstName: '<i>Ana</i>' });
+
+    expect(email.subject).toBe('Verify your email');
+    expect(email.html).toContain('<title>Verify your email</title>');
+    expect(email.html).toContain('<p>Hi &lt;i&gt;Ana&lt;/i&gt;,</p>');
+    expect(email.text).toContain('Hi <i>Ana</i>,');
+  });
+
+  test('a value that looks like the layout slot stays literal', () => {
+    const email = renderEmail('verify-email', 'Verify your email', { ...verifyVariables, firstName: '{{{content}}} {{subject}}' });
+
+    expect(email.html).toContain('<p>Hi {{{content}}} {{subject}},</p>');
+    expect(email.html.match(/Verify your email/g)).toHaveLength(1);
+  });
+});
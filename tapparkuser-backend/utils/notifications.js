@@ -0,0 +1,69 @@
+const db = require('../config/database');
+const { RealtimeEvents, publishToUser } = require('../services/realtime');
+const { NotificationCategories, dispatchPushNotification } = require('../services/pushNotifications');
+
+/**
+ * Deep-link targets stored as `link` in the notification's data column.
+ * `pathname` is the app route opened when the notification is tapped.
+ */
+const NotificationLinks = {
+  activeParking: (reservationId) => ({
+    pathname: '/screens/ActiveParkingScreen',
+    params: { reservationId: String(reservationId) }
+  }),
+  history: () => ({ pathname: '/screens/HistoryScreen' }),
+  balance: () => ({ pathname: '/screens/BalanceScreen' }),
+  feedback: (feedbackId) => ({
+    pathname: '/screens/MyFeedbackScreen',
+    params: { feedbackId: String(feedbackId) }
+  })
+};
+
+/**
+ * Create an in-app notification for a user in the notifications table
+ * @param {number} userId - User ID who should receive the notification
+ * @param {string} title - Short notification title
+ * @param {string} message - Notification body text
+ * @param {string} type - One of 'info', 'warning', 'success', 'error'
+ * @param {object|null} data - Extra payload stored as JSON (e.g. { reservationId, link: NotificationLinks.history() })
+ * @param {string} category - One of NotificationCategories; decides whether the user's push opt-outs apply
+ */
+async function createNotification(userId, title, message, type = 'info', data = null, category = NotificationCategories.GENERAL) {
+  try {
+    const result = await db.execute(`
+      INSERT INTO notifications (
+        user_id,
+        title,
+        message,
+        type,
+        data,
+        created_at
+      ) VALUES (?, ?, ?, ?, ?, NOW())
+    `, [userId, title, message, type, data ? JSON.stringify(data) : null]);
+
+    // Lets an open app refresh its unread badge without polling
+    publishToUser(userId, RealtimeEvents.NOTIFICATION_CREATED, {
+      notificationId: result.insertId,
+      title,
+      type
+    });
+
+    // Not awaited so a slow push provider does not hold up the request
+    dispatchPushNotification(userId, {
+      notificationId: result.insertId,
+      title,
+      message,
+      category,
+      data
+    });
+  } catch (error) {
+    // Log error but don't throw - we don't want notification failures to break the app
+    console.error('Error creating notification:', error);
+  }
+}
+
+module.exports = {
+  NotificationCategories,
+  NotificationLinks,
+  createNotification
+};
@@ -0,0 +1,58 @@
+const { body } = require('express-validator');
+
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 10;
+const PASSWORD_MAX_LENGTH = 128;
+
+// Passwords that top every leaked-password list; checked case-insensitively
+const COMMON_PASSWORDS = new Set([
+  '123456789', '1234567890', '12345678910', 'password', 'password1', 'password12', 'password123',
+  'password1234', 'qwerty123', 'qwerty1234', 'qwertyuiop', '1q2w3e4r5t', '1qaz2wsx3edc', 'iloveyou1',
+  'iloveyou123', 'abc1234567', 'abcd123456', 'admin12345', 'welcome123', 'letmein123', 'princess1',
+  'sunshine1', 'football1', 'baseball1', 'superman1', 'starwars1', 'passw0rd123', 'p@ssw0rd1',
+  'changeme123', 'tappark123', 'tapparkuser', 'foundation1'
+]);
+
+/**
+ * Reason a password is refused, or null when it is acceptable
+ * @param {string} password
+ * @param {string} [email] - the account's email; its name part may not appear in the password
+ */
+function getPasswordProblem(password, email = '') {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  }
+  if (password.length > PASSWORD_MAX_LENGTH) {
+    return `Password must be at most ${PASSWORD_MAX_LENGTH} characters`;
+  }
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    return 'Password must contain both letters and numbers';
+  }
+
+  const lowered = password.toLowerCase();
+  if (COMMON_PASSWORDS.has(lowered)) {
+    return 'This password is too common. Please choose another one';
+  }
+  const emailName = String(email || '').split('@')[0].toLowerCase();
+  if (emailName.length >= 4 && lowered.includes(emailName)) {
+    return 'Password must not contain your email address';
+  }
+
+  return null;
+}
+
+/**
+ * express-validator rule for a new password field; the email comes from the body or the signed-in user
+ */
+const newPasswordRule = (field) => body(field).custom((value, { req }) => {
+  const problem = getPasswordProblem(value, req.body.email || req.user?.email);
+  if (problem) {
+    throw new Error(problem);
+  }
+  return true;
+});
+
+module.exports = {
+  PASSWORD_MIN_LENGTH,
+  getPasswordProblem,
+  newPasswordRule
+};
@@ -0,0 +1,318 @@
+/**
+ * SVG handling for uploaded parking layouts: sanitizing against an allow-list and extracting
+ * spot/section geometry once, so clients never have to parse the raw SVG.
+ */
+
+const MAX_SVG_BYTES = 2 * 1024 * 1024;
+
+// Drawing elements the layout editor produces; anything else is dropped together with its content
+const ALLOWED_ELEMENTS = new Set([
+  'svg', 'g', 'defs', 'pattern', 'lineargradient', 'radialgradient', 'stop', 'clippath', 'mask',
+  'symbol', 'marker', 'use', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'path',
+  'text', 'tspan', 'title', 'desc'
+]);
+
+const SELF_CLOSING_OUTPUT = new Set(['rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'path', 'stop', 'use']);
+
+// Same rules as the app's MapAnalyzer / svgSpotPositioning
+const SPOT_ID_PATTERN = /^(?:F\d+-)?([A-Z]+)-(\d+)$/i;
+const SECTION_LABEL_PATTERN = /^[A-Z0-9]{1,5}$/;
+
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\?[\s\S]*?\?>|<!([^>]*)>|<\/\s*([a-zA-Z][\w:.-]*)\s*>|<([a-zA-Z][\w:.-]*)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>|[^<]+|</g;
+const ATTRIBUTE_PATTERN = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+function svgLayoutError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function isSafeAttribute(name, value) {
+  const lowerName = name.toLowerCase();
+  const lowerValue = value.toLowerCase().replace(/\s+/g, '');
+
+  if (lowerName.startsWith('on')) return false;
+  if (lowerValue.includes('javascript:') || lowerValue.includes('data:text/html')) return false;
+  // Only links to elements of the same document (gradients, patterns, <use>)
+  if ((lowerName === 'href' || lowerName === 'xlink:href') && !value.trim().startsWith('#')) return false;
+  if (/url\((?!['"]?#)/.test(lowerValue)) return false;
+  if (lowerName === 'style' && (lowerValue.includes('expression(') || lowerValue.includes('@import'))) return false;
+  return /^[a-zA-Z_:][\w:.-]*$/.test(name);
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  let match;
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  while ((match = ATTRIBUTE_PATTERN.exec(source)) !== null) {
+    const value = match[2] ?? match[3] ?? match[4] ?? '';
+    if (isSafeAttribute(match[1], value)) {
+      attributes[match[1]] = value;
+    }
+  }
+  return attributes;
+}
+
+/**
+ * Parse an SVG into a small element tree, keeping only allow-listed elements and attributes
+ * @throws INVALID_SVG when the document is not a single well-formed <svg> element
+ */
+function parseSvg(svg) {
+  if (typeof svg !== 'string' || svg.trim().length === 0) {
+    throw svgLayoutError('INVALID_SVG', 'SVG content is required');
+  }
+  if (Buffer.byteLength(svg, 'utf8') > MAX_SVG_BYTES) {
+    throw svgLayoutError('INVALID_SVG', `SVG must be smaller than ${MAX_SVG_BYTES / 1024 / 1024} MB`);
+  }
+
+  const root = { name: '#root', attributes: {}, children: [] };
+  const stack = [root];
+  // Depth inside a dropped element; its whole subtree is skipped
+  let droppedDepth = 0;
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(svg)) !== null) {
+    const [token, declaration, closingName, openingName, attributeSource, selfClosing] = match;
+    const parent = stack[stack.length - 1];
+
+    if (declaration !== undefined) {
+      // <!DOCTYPE> / <!ENTITY> can pull in external resources or expand without bound
+      throw svgLayoutError('INVALID_SVG', 'SVG must not contain DOCTYPE or ENTITY declarations');
+    }
+    if (token.startsWith('<!--') || token.startsWith('<?') || token.startsWith('<![CDATA[')) {
+      continue;
+    }
+    if (token === '<') {
+      throw svgLayoutError('INVALID_SVG', 'Malformed SVG markup');
+    }
+
+    if (openingName !== undefined) {
+      const name = openingName.toLowerCase();
+      if (droppedDepth > 0 || !ALLOWED_ELEMENTS.has(name)) {
+        if (!selfClosing) droppedDepth += 1;
+        continue;
+      }
+      const element = { name: openingName, attributes: parseAttributes(attributeSource || ''), children: [] };
+      parent.children.push(element);
+      if (!selfClosing) stack.push(element);
+    } else if (closingName !== undefined) {
+      if (droppedDepth > 0) {
+        droppedDepth -= 1;
+        continue;
+      }
+      if (stack.length === 1 || parent.name.toLowerCase() !== closingName.toLowerCase()) {
+        throw svgLayoutError('INVALID_SVG', `Malformed SVG: unexpected </${closingName}>`);
+      }
+      stack.pop();
+    } else if (droppedDepth === 0 && token.trim().length > 0) {
+      parent.children.push({ text: token });
+    }
+  }
+
+  if (stack.length > 1 || droppedDepth > 0) {
+    throw svgLayoutError('INVALID_SVG', 'Malformed SVG: unclosed elements');
+  }
+
+  const elements = root.children.filter(child => child.name);
+  if (elements.length !== 1 || elements[0].name.toLowerCase() !== 'svg') {
+    throw svgLayoutError('INVALID_SVG', 'Layout must be a single <svg> document');
+  }
+  return elements[0];
+}
+
+const escapeAttribute = (value) => value.replace(/&(?![a-zA-Z]+;|#\d+;|#x[0-9a-fA-F]+;)/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+function serialize(node) {
+  if (node.text !== undefined) {
+    return node.text;
+  }
+  const attributes = Object.entries(node.attributes)
+    .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+    .join('');
+  if (node.children.length === 0 && SELF_CLOSING_OUTPUT.has(node.name.toLowerCase())) {
+    return `<${node.name}${attributes}/>`;
+  }
+  return `<${node.name}${attributes}>${node.children.map(serialize).join('')}</${node.name}>`;
+}
+
+/**
+ * Sanitized copy of an SVG: scripts, event handlers, foreign content and external references removed
+ * @throws INVALID_SVG
+ */
+function sanitizeSvg(svg) {
+  return serialize(parseSvg(svg));
+}
+
+const toNumber = (value, fallback = 0) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+// Only translate() is applied; the editor positions every tile and slot that way
+function parseTranslate(transform) {
+  const match = /translate\(\s*([-\d.eE+]+)(?:[\s,]+([-\d.eE+]+))?\s*\)/.exec(transform || '');
+  return match ? { x: toNumber(match[1]), y: toNumber(match[2]) } : { x: 0, y: 0 };
+}
+
+const textOf = (node) => node.children
+  .map(child => (child.text !== undefined ? child.text : textOf(child)))
+  .join('')
+  .trim();
+
+function findFirst(node, predicate) {
+  for (const child of node.children || []) {
+    if (child.name && predicate(child)) return child;
+    if (child.name) {
+      const found = findFirst(child, predicate);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+const isSizedRect = (node) => node.name.toLowerCase() === 'rect' &&
+  toNumber(node.attributes.width) > 0 && toNumber(node.attributes.height) > 0;
+
+function boxOf(rect, offset) {
+  return {
+    x: offset.x + toNumber(rect.attributes.x),
+    y: offset.y + toNumber(rect.attributes.y),
+    width: toNumber(rect.attributes.width),
+    height: toNumber(rect.attributes.height)
+  };
+}
+
+function isSpotElement(node) {
+  const { attributes } = node;
+  return attributes['data-type'] === 'parking-slot' ||
+    Boolean(attributes['data-slot-id']) ||
+    (node.name.toLowerCase() === 'g' && SPOT_ID_PATTERN.test(attributes.id || ''));
+}
+
+/**
+ * Extract parking geometry from an SVG layout.
+ * Spots: elements with data-type="parking-slot" / data-slot-id, or groups whose id looks like a
+ * spot (A-1, F1-VB-10). Sections: groups labelled with a short upper-case <text> (e.g. "VB"),
+ * sized by their first background rect. Coordinates are absolute viewBox units.
+ */
+function extractGeometry(svgRoot) {
+  const rootAttributes = svgRoot.attributes;
+  const viewBoxParts = (rootAttributes.viewBox || '').trim().split(/[\s,]+/).map(Number);
+  const width = toNumber(rootAttributes.width, viewBoxParts[2] || 0);
+  const height = toNumber(rootAttributes.height, viewBoxParts[3] || 0);
+  const viewBox = viewBoxParts.length >= 4 && viewBoxParts.every(Number.isFinite)
+    ? { x: viewBoxParts[0], y: viewBoxParts[1], width: viewBoxParts[2], height: viewBoxParts[3] }
+    : { x: 0, y: 0, width, height };
+
+  const spots = [];
+  const sections = [];
+  const warnings = [];
+
+  const walk = (node, offset) => {
+    for (const child of node.children) {
+      if (!child.name) continue;
+      const translate = parseTranslate(child.attributes.transform);
+      const position = { x: offset.x + translate.x, y: offset.y + translate.y };
+
+      if (isSpotElement(child)) {
+        const rect = isSizedRect(child) ? child : findFirst(child, isSizedRect);
+        const elementId = child.attributes['data-slot-id'] || child.attributes.id;
+        if (!rect || !elementId) {
+          warnings.push(`Parking slot ${elementId || '(no id)'} has no rect or id and was skipped`);
+          continue;
+        }
+        const idMatch = SPOT_ID_PATTERN.exec(child.attributes.id || '');
+        spots.push({
+          elementId,
+          spotNumber: elementId,
+          section: child.attributes['data-section'] || (idMatch ? idMatch[1] : null),
+          slot: child.attributes['data-slot'] || (idMatch ? idMatch[2] : null),
+          localSlot: child.attributes['data-local-slot'] || null,
+          ...boxOf(rect, isSizedRect(child) ? offset : position)
+        });
+        continue;
+      }
+
+      if (child.name.toLowerCase() === 'g') {
+        const label = child.children.find(grandChild => grandChild.name && grandChild.name.toLowerCase() === 'text');
+        const labelText = label ? textOf(label) : '';
+        const background = child.children.find(grandChild => grandChild.name && isSizedRect(grandChild));
+        if (labelText && SECTION_LABEL_PATTERN.test(labelText) && !/^\d+$/.test(labelText) && background) {
+          sections.push({
+            elementId: `section-${labelText}`,
+            sectionName: labelText,
+            ...boxOf(background, position)
+          });
+          continue;
+        }
+      }
+
+      walk(child, position);
+    }
+  };
+  walk(svgRoot, { x: 0, y: 0 });
+
+  // MapAnalyzer's sanity checks, reported back to the uploader
+  if (spots.length === 0 && sections.length === 0) {
+    warnings.push('No parking slots or sections detected - check data-slot-id attributes and section labels');
+  }
+  if (viewBox.width === 0 || viewBox.height === 0) {
+    warnings.push('SVG has no viewBox or size');
+  } else if (width > 0 && height > 0 && Math.abs(width / viewBox.width - height / viewBox.height) > 0.1) {
+    warnings.push('Non-uniform scaling between width/height and viewBox');
+  }
+
+  const duplicates = spots
+    .map(spot => spot.elementId)
+    .filter((id, index, ids) => ids.indexOf(id) !== index);
+  if (duplicates.length > 0) {
+    warnings.push(`Duplicate parking slot ids: ${[...new Set(duplicates)].join(', ')}`);
+  }
+
+  return { viewBox, width, height, spots, sections, warnings };
+}
+
+/**
+ * Validate, sanitize and analyze an uploaded layout in one pass
+ * @throws INVALID_SVG
+ * @returns {{ svg: string, geometry: object }}
+ */
+function processSvgLayout(svg) {
+  const root = parseSvg(svg);
+  return {
+    svg: serialize(root),
+    geometry: extractGeometry(root)
+  };
+}
+
+/**
+ * Recover svg_data from layout_data saved by the old editor, which was sometimes not valid JSON.
+ * Only the layout migration uses this; published revisions keep the SVG in its own column.
+ */
+function extractLegacySvg(layoutData) {
+  if (!layoutData) return null;
+  if (typeof layoutData === 'object') return layoutData.svg_data || null;
+
+  try {
+    return JSON.parse(layoutData).svg_data || null;
+  } catch (error) {
+    const quoted = layoutData.match(/"svg_data"\s*:\s*"((?:[^"\\]|\\.)*)"/);
+    if (quoted) {
+      try {
+        return JSON.parse(`"${quoted[1]}"`);
+      } catch (unescapeError) {
+        // fall through to the raw markup
+      }
+    }
+    const raw = layoutData.match(/<svg[\s\S]*?<\/svg>/);
+    return raw ? raw[0] : null;
+  }
+}
+
+module.exports = {
+  MAX_SVG_BYTES,
+  sanitizeSvg,
+  processSvgLayout,
+  extractLegacySvg
+};
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+
+const templatesDir = path.join(__dirname, '../templates');
+const cache = new Map();
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+function loadTemplate(name) {
+  if (!cache.has(name)) {
+    cache.set(name, fs.readFileSync(path.join(templatesDir, name), 'utf8'));
+  }
+  return cache.get(name);
+}
+
+/**
+ * Render a file from templates/ with {{name}} placeholders.
+ * In .html templates {{name}} is HTML-escaped and {{{name}}} is inserted as-is.
+ * Placeholders are replaced in one pass, so inserted values are never expanded again.
+ * @param {string} name - path relative to templates/, e.g. 'email/verify-email.html'
+ * @param {object} variables
+ * @returns {string}
+ */
+function renderTemplate(name, variables = {}) {
+  const escape = name.endsWith('.html') ? escapeHtml : String;
+  const lookup = (key) => (variables[key] === undefined || variables[key] === null ? '' : variables[key]);
+
+  return loadTemplate(name).replace(
+    /\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g,
+    (match, rawKey, key) => (rawKey ? String(lookup(rawKey)) : escape(lookup(key)))
+  );
+}
+
+/**
+ * Render an email from templates/email/<name>.html and .txt, wrapped in the shared layout
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+function renderEmail(name, subject, variables = {}) {
+  const content = renderTemplate(`email/${name}.html`, variables);
+  return {
+    subject,
+    html: renderTemplate('email/layout.html', { subject, content }),
+    text: renderTemplate(`email/${name}.txt`, variables)
+  };
+}
+
+module.exports = {
+  renderTemplate,
+  renderEmail
+};
@@ -36,6 +36,12 @@ const ActionTypes = {
   PASSWORD_CHANGE: 'PASSWORD_CHANGE',
   PROFILE_IMAGE_UPDATE: 'PROFILE_IMAGE_UPDATE',
   TERMS_ACCEPTED: 'TERMS_ACCEPTED',
+  EMAIL_VERIFIED: 'EMAIL_VERIFIED',
+  PASSWORD_RESET_REQUEST: 'PASSWORD_RESET_REQUEST',
+  PASSWORD_RESET: 'PASSWORD_RESET',
+  LOGIN_FAILED: 'LOGIN_FAILED',
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+  ACCOUNT_UNLOCKED: 'ACCOUNT_UNLOCKED',
   
   // Vehicles
   VEHICLE_CREATE: 'VEHICLE_CREATE',
@@ -48,6 +54,8 @@ const ActionTypes = {
   PARKING_START: 'PARKING_START',
   PARKING_END: 'PARKING_END',
   PARKING_CANCEL: 'PARKING_CANCEL',
+  PARKING_EXPIRE: 'PARKING_EXPIRE',
+  PARKING_AREA_UPDATE: 'PARKING_AREA_UPDATE',
   
   // Payments
   PAYMENT_TOPUP: 'PAYMENT_TOPUP',
@@ -71,6 +79,30 @@ const ActionTypes = {
   // QR Codes
   QR_GENERATE: 'QR_GENERATE',
   QR_SCAN: 'QR_SCAN',
+
+  // Administration
+  PRIVILEGE_GRANT: 'PRIVILEGE_GRANT',
+  PRIVILEGE_REVOKE: 'PRIVILEGE_REVOKE',
+  USER_AREA_ASSIGN: 'USER_AREA_ASSIGN',
+  SENSOR_GATEWAY_CREATE: 'SENSOR_GATEWAY_CREATE',
+  SENSOR_GATEWAY_REVOKE: 'SENSOR_GATEWAY_REVOKE',
+  SENSOR_STATUS_UPDATE: 'SENSOR_STATUS_UPDATE',
+  PARKING_AREA_CREATE: 'PARKING_AREA_CREATE',
+  PARKING_AREA_UPDATE: 'PARKING_AREA_UPDATE',
+  PARKING_AREA_DELETE: 'PARKING_AREA_DELETE',
+  PARKING_SECTION_CREATE: 'PARKING_SECTION_CREATE',
+  PARKING_SECTION_UPDATE: 'PARKING_SECTION_UPDATE',
+  PARKING_SECTION_DELETE: 'PARKING_SECTION_DELETE',
+  PARKING_SPOT_CREATE: 'PARKING_SPOT_CREATE',
+  PARKING_SPOT_UPDATE: 'PARKING_SPOT_UPDATE',
+  PARKING_SPOT_DELETE: 'PARKING_SPOT_DELETE',
+  PARKING_LAYOUT_UPLOAD: 'PARKING_LAYOUT_UPLOAD',
+  PARKING_LAYOUT_PUBLISH: 'PARKING_LAYOUT_PUBLISH',
+  PARKING_LAYOUT_ROLLBACK: 'PARKING_LAYOUT_ROLLBACK',
+  PARKING_CLOSURE_CREATE: 'PARKING_CLOSURE_CREATE',
+  PARKING_CLOSURE_DELETE: 'PARKING_CLOSURE_DELETE',
+  REPORT_EXPORT: 'REPORT_EXPORT',
+  REPORT_ARCHIVE: 'REPORT_ARCHIVE',
 };
 
 module.exports = {
@@ -31,7 +31,8 @@ import {
   writeMaroonIconSvg,
   whiteCustomerServiceIconSvg,
   whiteStarIconSvg,
-  maroonStarIconSvg
+  maroonStarIconSvg,
+  maroonProfileIconSvg
 } from './assets/icons/index2';
 import { ApiService } from '../services/api';
 import { useScreenDimensions } from '../hooks/use-screen-dimensions';
@@ -200,6 +201,16 @@ const ProfileScreen: React.FC = () => {
         setTimeout(() => hideLoading(), 500);
       }
     },
+    {
+      id: 'devices',
+      title: 'Signed-in Devices',
+      icon: maroonProfileIconSvg,
+      onPress: () => {
+        showLoading();
+        router.push('/screens/DevicesScreen');
+        setTimeout(() => hideLoading(), 500);
+      }
+    },
     {
       id: 'registeredVehicles',
       title: 'Registered Vehicles',
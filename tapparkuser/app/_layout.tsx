@@ -4,6 +4,7 @@ import { View } from 'react-native';
 import { DrawerProvider } from '../contexts/DrawerContext';
 import { AuthProvider } from '../contexts/AuthContext';
 import { LoadingProvider } from '../contexts/LoadingContext';
+import { NotificationProvider } from '../contexts/NotificationContext';
 import { ThemeProvider, useThemeColors } from '../contexts/ThemeContext';
 import CustomDrawer from '../components/CustomDrawer';
 import GlobalSpinner from '../components/GlobalSpinner';
@@ -97,11 +98,13 @@ export default function RootLayout() {
 		<GestureHandlerRootView style={{ flex: 1 }}>
 			<ThemeProvider>
 				<AuthProvider>
-					<LoadingProvider>
-						<DrawerProvider>
-							<ThemedRootLayout />
-						</DrawerProvider>
-					</LoadingProvider>
+					<NotificationProvider>
+						<LoadingProvider>
+							<DrawerProvider>
+								<ThemedRootLayout />
+							</DrawerProvider>
+						</LoadingProvider>
+					</NotificationProvider>
 				</AuthProvider>
 			</ThemeProvider>
 		</GestureHandlerRootView>
@@ -1,8 +1,16 @@
 import { useNavigation } from '@react-navigation/native';
 import { useRouter } from 'expo-router';
 import { useAuth } from '../../contexts/AuthContext';
-import React, { useState, useEffect, useRef, useCallback } from 'react';
-import ApiService from '../../services/api';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import ApiService, {
+  DeniedScan,
+  IdentityDocument,
+  ReservationSearchResult,
+  SensorDiscrepancy,
+  SensorHealthEntry
+} from '../../services/api';
+import { RealtimeService } from '../../services/realtime';
+import { useRealtime } from '../../hooks/use-realtime';
 import {
   Alert,
   Animated,
@@ -53,6 +61,7 @@ interface ParkingSlot {
   vehicleType: string;
   status: 'available' | 'occupied' | 'reserved';
   section: string;
+  floor?: number;
   occupantName?: string;
   plateNumber?: string;
 }
@@ -73,14 +82,40 @@ interface ActivityRecord {
   status: string;
 }
 
+const MAX_DENIED_SCANS_SHOWN = 5;
+
+const DENIAL_REASON_LABELS: Record<DeniedScan['denial_reason'], string> = {
+  invalid_format: 'Unreadable QR code',
+  unknown_key: 'Unknown ticket',
+  invalid_signature: 'Forged or altered ticket',
+  expired: 'Expired ticket',
+  replayed: 'Ticket already scanned',
+  legacy_payload: 'Outdated app ticket',
+  wrong_area: 'Wrong parking area',
+  vehicle_mismatch: 'Vehicle does not match',
+  already_active: 'Parking already started',
+  not_scannable: 'Reservation not scannable'
+};
+
+const IDENTITY_DOCUMENT_OPTIONS: { value: IdentityDocument; label: string }[] = [
+  { value: 'drivers_license', label: "Driver's license" },
+  { value: 'government_id', label: 'Government ID' },
+  { value: 'company_id', label: 'Company or school ID' },
+  { value: 'vehicle_registration', label: 'Vehicle registration' },
+  { value: 'other', label: 'Other' }
+];
+
 const DashboardScreen: React.FC = () => {
   const router = useRouter();
   const navigation = useNavigation();
   const { user, isAuthenticated } = useAuth();
+  // Attendants receive events for their assigned area without naming it
+  const isRealtimeConnected = useRealtime([], isAuthenticated);
   const screenDimensions = useScreenDimensions();
   
   // State variables
   const [selectedVehicleType, setSelectedVehicleType] = useState('all');
+  const [selectedFloor, setSelectedFloor] = useState<number | 'all'>('all');
   const [viewMode, setViewMode] = useState<'grid' | 'list'>('grid');
   const [selectedSlot, setSelectedSlot] = useState<ParkingSlot | null>(null);
   const [modalVisible, setModalVisible] = useState(false);
@@ -127,6 +162,18 @@ const DashboardScreen: React.FC = () => {
   const [vehicleTypes, setVehicleTypes] = useState<VehicleType[]>([]);
   const [parkingSlots, setParkingSlots] = useState<ParkingSlot[]>([]);
   const [capacitySections, setCapacitySections] = useState<any[]>([]);
+
+  // Floors of the assigned area that have slots or capacity sections
+  const floors = useMemo(() => {
+    const floorNumbers = new Set<number>();
+    parkingSlots.forEach(slot => floorNumbers.add(slot.floor ?? 1));
+    capacitySections.forEach(section => floorNumbers.add(section.floor ?? 1));
+    return [...floorNumbers].sort((a, b) => a - b);
+  }, [parkingSlots, capacitySections]);
+
+  const isOnSelectedFloor = (item: { floor?: number }) => (
+    selectedFloor === 'all' || (item.floor ?? 1) === selectedFloor
+  );
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   
@@ -154,6 +201,24 @@ const DashboardScreen: React.FC = () => {
   const [lastUpdateTime, setLastUpdateTime] = useState<Date | null>(null);
   const pulseAnim = useRef(new Animated.Value(1)).current;
 
+  // Occupancy sensor alerts (only shown when the area has sensors)
+  const [sensorDiscrepancies, setSensorDiscrepancies] = useState<SensorDiscrepancy[]>([]);
+  const [sensorsNeedingAttention, setSensorsNeedingAttention] = useState<SensorHealthEntry[]>([]);
+  const [sensorCount, setSensorCount] = useState(0);
+
+  // Refused QR scans in the attendant's area (last 24 hours)
+  const [deniedScans, setDeniedScans] = useState<DeniedScan[]>([]);
+
+  // Manual entry: find a booking without its QR code and start/end it after an identity check
+  const [reservationQuery, setReservationQuery] = useState('');
+  const [reservationResults, setReservationResults] = useState<ReservationSearchResult[] | null>(null);
+  const [isSearchingReservations, setIsSearchingReservations] = useState(false);
+  const [manualEntry, setManualEntry] = useState<{ reservation: ReservationSearchResult; action: 'start' | 'end' } | null>(null);
+  const [identityDocument, setIdentityDocument] = useState<IdentityDocument | null>(null);
+  const [identityNote, setIdentityNote] = useState('');
+  const [plateConfirmed, setPlateConfirmed] = useState(false);
+  const [isSubmittingManualEntry, setIsSubmittingManualEntry] = useState(false);
+
   useEffect(() => {
     sectionSpotsRef.current = sectionSpots;
   }, [sectionSpots]);
@@ -1219,9 +1284,10 @@ const DashboardScreen: React.FC = () => {
     loadDashboardData();
   }, []);
 
-  // Real-time polling for parking slots updates
+  // Real-time updates for parking slots: follow the realtime stream, or poll while it is down
   useEffect(() => {
     let pollingInterval: ReturnType<typeof setInterval> | null = null;
+    let unsubscribe: (() => void) | null = null;
     
     // Start polling every 5 seconds to update parking slot statuses
     const startPolling = () => {
@@ -1244,6 +1310,12 @@ const DashboardScreen: React.FC = () => {
         ])
       );
       pulseAnimation.start();
+
+      if (isRealtimeConnected) {
+        console.log('📡 Following realtime stream for parking slot updates');
+        unsubscribe = RealtimeService.subscribeRefresh(() => true, updateParkingSlotsSmoothly);
+        return;
+      }
       
       pollingInterval = setInterval(async () => {
         try {
@@ -1268,11 +1340,326 @@ const DashboardScreen: React.FC = () => {
       if (pollingInterval) {
         console.log('🛑 Stopping real-time polling');
         clearInterval(pollingInterval);
-        setIsPolling(false);
-        pulseAnim.stopAnimation();
       }
+      if (unsubscribe) {
+        unsubscribe();
+      }
+      setIsPolling(false);
+      pulseAnim.stopAnimation();
     };
-  }, []); // Empty dependency array means this runs once on mount
+  }, [isRealtimeConnected]);
+
+  const fetchSensorAlerts = useCallback(async () => {
+    try {
+      const [discrepancyResponse, healthResponse] = await Promise.all([
+        ApiService.getSensorDiscrepancies(),
+        ApiService.getSensorHealth()
+      ]);
+      if (discrepancyResponse.success) {
+        setSensorDiscrepancies(discrepancyResponse.data.discrepancies);
+      }
+      if (healthResponse.success) {
+        setSensorCount(healthResponse.data.summary.total);
+        setSensorsNeedingAttention(healthResponse.data.sensors.filter(sensor => sensor.status !== 'active'));
+      }
+    } catch (error) {
+      console.error('❌ Error fetching sensor alerts:', error);
+    }
+  }, []);
+
+  // Sensor readings and reservation changes both move discrepancies; follow the stream or poll
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    fetchSensorAlerts();
+    if (isRealtimeConnected) {
+      return RealtimeService.subscribeRefresh(
+        (event) => event.type === 'spot.occupancy' || event.type.startsWith('reservation.'),
+        fetchSensorAlerts,
+        2000
+      );
+    }
+
+    const sensorPollingInterval = setInterval(fetchSensorAlerts, 30000);
+    return () => clearInterval(sensorPollingInterval);
+  }, [isAuthenticated, isRealtimeConnected, fetchSensorAlerts]);
+
+  const fetchDeniedScans = useCallback(async () => {
+    try {
+      const response = await ApiService.getDeniedScans();
+      if (response.success) {
+        setDeniedScans(response.data.scans);
+      }
+    } catch (error) {
+      console.error('❌ Error fetching denied scans:', error);
+    }
+  }, []);
+
+  // Denials are not broadcast, so poll; a minute is recent enough to spot repeated attempts
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    fetchDeniedScans();
+    const deniedScansInterval = setInterval(fetchDeniedScans, 60000);
+    return () => clearInterval(deniedScansInterval);
+  }, [isAuthenticated, fetchDeniedScans]);
+
+  const handleSensorBackInService = (sensor: SensorHealthEntry) => {
+    Alert.alert(
+      'Sensor Back in Service',
+      `Mark the sensor at spot ${sensor.spot_number} as working? Its readings will update occupancy again.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Confirm',
+          onPress: async () => {
+            try {
+              const response = await ApiService.updateSensorStatus(sensor.sensor_id, 'active');
+              if (response.success) {
+                fetchSensorAlerts();
+              } else {
+                Alert.alert('Error', response.message || 'Failed to update sensor');
+              }
+            } catch (error: any) {
+              Alert.alert('Error', error.message || 'Failed to update sensor');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const renderSensorAlerts = () => {
+    if (sensorCount === 0) return null;
+
+    const formatSince = (since: string | null) => since ? new Date(since).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' }) : '';
+
+    return (
+      <View style={[styles.sectionContainer, { padding: getAdaptivePadding(screenDimensions, 20) }]}>
+        <View style={styles.sensorAlertsHeader}>
+          <Text style={[styles.sectionTitle, { fontSize: getAdaptiveFontSize(screenDimensions, 16) }]}>Sensor Alerts</Text>
+          <Text style={styles.sensorAlertsCount}>
+            {sensorDiscrepancies.length + sensorsNeedingAttention.length}
+          </Text>
+        </View>
+
+        {sensorDiscrepancies.length === 0 && sensorsNeedingAttention.length === 0 && (
+          <Text style={styles.sensorAlertsEmpty}>Sensors match the reservations in this area.</Text>
+        )}
+
+        {sensorDiscrepancies.map(discrepancy => (
+          <View key={`${discrepancy.type}-${discrepancy.parking_spot_id}`} style={styles.sensorAlertRow}>
+            <MaterialIcons
+              name={discrepancy.type === 'occupied_without_reservation' ? 'directions-car' : 'event-busy'}
+              size={20}
+              color="#D97706"
+            />
+            <View style={styles.sensorAlertText}>
+              <Text style={styles.sensorAlertTitle}>
+                Spot {discrepancy.spot_number}{discrepancy.section_name ? ` · ${discrepancy.section_name}` : ''}
+              </Text>
+              <Text style={styles.sensorAlertDetail}>
+                {discrepancy.type === 'occupied_without_reservation'
+                  ? `Vehicle detected with no active parking${discrepancy.since ? ` since ${formatSince(discrepancy.since)}` : ''}`
+                  : `Spot is empty but ${discrepancy.plate_number || discrepancy.user_name || 'a vehicle'} is parked here (reservation #${discrepancy.reservation_id})`}
+              </Text>
+            </View>
+          </View>
+        ))}
+
+        {sensorsNeedingAttention.map(sensor => (
+          <View key={`sensor-${sensor.sensor_id}`} style={styles.sensorAlertRow}>
+            <MaterialIcons name="sensors-off" size={20} color="#6B7280" />
+            <View style={styles.sensorAlertText}>
+              <Text style={styles.sensorAlertTitle}>Sensor at spot {sensor.spot_number}</Text>
+              <Text style={styles.sensorAlertDetail}>
+                {sensor.status === 'inactive'
+                  ? 'Inactive'
+                  : sensor.maintenance_reason === 'stale'
+                    ? `No readings${sensor.last_read_at ? ` since ${formatSince(sensor.last_read_at)}` : ' yet'}`
+                    : 'In maintenance'}
+              </Text>
+            </View>
+            {sensor.status === 'maintenance' && sensor.maintenance_reason === 'manual' && (
+              <TouchableOpacity style={styles.sensorAlertAction} onPress={() => handleSensorBackInService(sensor)}>
+                <Text style={styles.sensorAlertActionText}>Back in service</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        ))}
+      </View>
+    );
+  };
+
+  const searchReservations = async () => {
+    const query = reservationQuery.trim();
+    if (query.length < 2 && !/^\d+$/.test(query)) {
+      Alert.alert('Find a Booking', 'Enter at least 2 characters of a plate, name, reservation ID or spot.');
+      return;
+    }
+
+    setIsSearchingReservations(true);
+    try {
+      const response = await ApiService.searchReservations(query);
+      if (response.success) {
+        setReservationResults(response.data.reservations);
+      }
+    } catch (error) {
+      console.error('❌ Error searching reservations:', error);
+      Alert.alert('Search Failed', error instanceof Error ? error.message : 'Failed to search reservations');
+    } finally {
+      setIsSearchingReservations(false);
+    }
+  };
+
+  const openManualEntry = (reservation: ReservationSearchResult, action: 'start' | 'end') => {
+    setManualEntry({ reservation, action });
+    setIdentityDocument(null);
+    setIdentityNote('');
+    setPlateConfirmed(false);
+  };
+
+  const closeManualEntry = () => {
+    setManualEntry(null);
+  };
+
+  const handleConfirmManualEntry = async () => {
+    if (!manualEntry) return;
+
+    if (!identityDocument) {
+      Alert.alert('Identity Check', 'Select the document you checked.');
+      return;
+    }
+    if (identityDocument === 'other' && !identityNote.trim()) {
+      Alert.alert('Identity Check', 'Describe the document you checked.');
+      return;
+    }
+    if (!plateConfirmed) {
+      Alert.alert('Identity Check', 'Confirm that the plate on the vehicle matches the booking.');
+      return;
+    }
+
+    const { reservation, action } = manualEntry;
+    const identityCheck = { identityDocument, plateConfirmed, note: identityNote.trim() || undefined };
+
+    setIsSubmittingManualEntry(true);
+    try {
+      if (action === 'start') {
+        const response = await ApiService.manualStartSession(reservation.reservation_id, identityCheck);
+        if (response.success) {
+          Alert.alert('Parking Session Started', `Vehicle: ${response.data.vehiclePlate}\nSpot: ${response.data.spotNumber}\nArea: ${response.data.areaName}`);
+        }
+      } else {
+        const response = await ApiService.manualEndSession(reservation.reservation_id, identityCheck);
+        if (response.success) {
+          Alert.alert('Parking Session Ended', `${response.message}\n\nDuration: ${response.data.durationMinutes} minutes`);
+        }
+      }
+
+      closeManualEntry();
+      fetchParkingSlots();
+      searchReservations();
+    } catch (error) {
+      console.error(`❌ Error with manual ${action}:`, error);
+      Alert.alert('Error', error instanceof Error ? error.message : `Failed to ${action} parking session`);
+    } finally {
+      setIsSubmittingManualEntry(false);
+    }
+  };
+
+  const renderReservationSearch = () => (
+    <View style={[styles.sectionContainer, { padding: getAdaptivePadding(screenDimensions, 20) }]}>
+      <Text style={[styles.sectionTitle, { fontSize: getAdaptiveFontSize(screenDimensions, 16) }]}>Find a Booking</Text>
+
+      <View style={styles.reservationSearchBar}>
+        <TextInput
+          style={[styles.input, styles.reservationSearchInput]}
+          placeholder="Plate, name, reservation ID or spot"
+          placeholderTextColor="#999"
+          value={reservationQuery}
+          onChangeText={setReservationQuery}
+          onSubmitEditing={searchReservations}
+          returnKeyType="search"
+          autoCorrect={false}
+        />
+        <TouchableOpacity style={styles.reservationSearchButton} onPress={searchReservations} disabled={isSearchingReservations}>
+          {isSearchingReservations
+            ? <ActivityIndicator size="small" color="#fff" />
+            : <MaterialIcons name="search" size={22} color="#fff" />}
+        </TouchableOpacity>
+      </View>
+
+      {reservationResults !== null && reservationResults.length === 0 && (
+        <Text style={styles.sensorAlertsEmpty}>No bookings in your area match this search.</Text>
+      )}
+
+      {reservationResults?.map(reservation => (
+        <View key={`booking-${reservation.reservation_id}`} style={styles.sensorAlertRow}>
+          <MaterialIcons name="directions-car" size={20} color="#800000" />
+          <View style={styles.sensorAlertText}>
+            <Text style={styles.sensorAlertTitle}>
+              {reservation.plate_number || 'No plate'} · {reservation.user_name || 'Unknown driver'}
+            </Text>
+            <Text style={styles.sensorAlertDetail}>
+              #{reservation.reservation_id} · {reservation.booking_status.charAt(0).toUpperCase() + reservation.booking_status.slice(1)}
+              {reservation.spot_number ? ` · Spot ${reservation.spot_number}` : ''}
+              {reservation.parking_area_name ? ` · ${reservation.parking_area_name}` : ''}
+            </Text>
+          </View>
+          {reservation.booking_status === 'reserved' && (
+            <TouchableOpacity style={styles.sensorAlertAction} onPress={() => openManualEntry(reservation, 'start')}>
+              <Text style={styles.sensorAlertActionText}>Start</Text>
+            </TouchableOpacity>
+          )}
+          {(reservation.booking_status === 'reserved' || reservation.booking_status === 'active') && (
+            <TouchableOpacity style={styles.sensorAlertAction} onPress={() => openManualEntry(reservation, 'end')}>
+              <Text style={styles.sensorAlertActionText}>End</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      ))}
+    </View>
+  );
+
+  const renderDeniedScans = () => {
+    const formatTime = (time: string) => new Date(time).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+    return (
+      <View style={[styles.sectionContainer, { padding: getAdaptivePadding(screenDimensions, 20) }]}>
+        <View style={styles.sensorAlertsHeader}>
+          <Text style={[styles.sectionTitle, { fontSize: getAdaptiveFontSize(screenDimensions, 16) }]}>Denied Scans</Text>
+          <Text style={styles.sensorAlertsCount}>{deniedScans.length}</Text>
+        </View>
+
+        {deniedScans.length === 0 && (
+          <Text style={styles.sensorAlertsEmpty}>No scans were refused in the last 24 hours.</Text>
+        )}
+
+        {deniedScans.slice(0, MAX_DENIED_SCANS_SHOWN).map(scan => (
+          <View key={`denied-${scan.access_log_id}`} style={styles.sensorAlertRow}>
+            <MaterialIcons name="block" size={20} color="#DC2626" />
+            <View style={styles.sensorAlertText}>
+              <Text style={styles.sensorAlertTitle}>
+                {DENIAL_REASON_LABELS[scan.denial_reason] || 'Scan refused'}
+                {scan.vehicle_plate ? ` · ${scan.vehicle_plate}` : ''}
+              </Text>
+              <Text style={styles.sensorAlertDetail}>
+                {scan.direction === 'ENTRY' ? 'Entry' : 'Exit'} at {formatTime(scan.access_time)}
+                {scan.reservation_id ? ` · reservation #${scan.reservation_id}` : ''}
+                {scan.attendant_name ? ` · ${scan.attendant_name}` : ''}
+              </Text>
+            </View>
+          </View>
+        ))}
+
+        {deniedScans.length > MAX_DENIED_SCANS_SHOWN && (
+          <Text style={styles.sensorAlertsEmpty}>
+            {deniedScans.length - MAX_DENIED_SCANS_SHOWN} earlier denied scan{deniedScans.length - MAX_DENIED_SCANS_SHOWN !== 1 ? 's' : ''} not shown
+          </Text>
+        )}
+      </View>
+    );
+  };
 
   const handleLogout = () => {
     Alert.alert(
@@ -1596,7 +1983,7 @@ const DashboardScreen: React.FC = () => {
       );
     }
 
-    return capacitySections.map(section => {
+    return capacitySections.filter(isOnSelectedFloor).map(section => {
       // Calculate capacity stats from capacity section data
       const totalCapacity = section.totalCapacity;
       const occupied = section.parkedCount || 0;
@@ -2331,6 +2718,11 @@ const DashboardScreen: React.FC = () => {
         </View>
 
         
+        {/* Sensor Alerts Section */}
+        {renderReservationSearch()}
+        {renderSensorAlerts()}
+        {renderDeniedScans()}
+
         {/* Parking Slots Section */}
         <View style={[styles.sectionContainer, { padding: getAdaptivePadding(screenDimensions, 20) }]}>
           <View style={styles.parkingSlotsHeader}>
@@ -2339,7 +2731,24 @@ const DashboardScreen: React.FC = () => {
             {attendantProfile?.assignedAreaName || 'Foundation University Main Campus'}
           </Text>
               <Text style={[styles.sectionTitle, { fontSize: getAdaptiveFontSize(screenDimensions, 16) }]}>Parking Slots</Text>
-              <Text style={[styles.floorText, { fontSize: getAdaptiveFontSize(screenDimensions, 14) }]}>Floor 1 - Parking</Text>
+              <Text style={[styles.floorText, { fontSize: getAdaptiveFontSize(screenDimensions, 14) }]}>
+                {selectedFloor === 'all' ? (floors.length > 1 ? 'All Floors' : `Floor ${floors[0] ?? 1}`) : `Floor ${selectedFloor}`} - Parking
+              </Text>
+              {floors.length > 1 && (
+                <View style={styles.floorFilters}>
+                  {(['all', ...floors] as const).map(floor => (
+                    <TouchableOpacity
+                      key={floor}
+                      style={[styles.floorFilterButton, selectedFloor === floor && styles.activeFilter]}
+                      onPress={() => setSelectedFloor(floor)}
+                    >
+                      <Text style={[styles.floorFilterText, selectedFloor === floor && styles.activeFloorFilterText]}>
+                        {floor === 'all' ? 'All' : `F${floor}`}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              )}
             </View>
             <View style={styles.controlsContainer}>
               <View style={styles.viewModeControls}>
@@ -2426,7 +2835,7 @@ const DashboardScreen: React.FC = () => {
               // For other filters, show regular parking sections
               // Filter out ALL motorcycle spots - they should only appear as capacity sections
               const filteredParkingSlots = parkingSlots.filter(slot => 
-                slot.vehicleType?.toLowerCase() !== 'motorcycle'
+                slot.vehicleType?.toLowerCase() !== 'motorcycle' && isOnSelectedFloor(slot)
               );
               
               // Get unique sections that actually have parking slots (excluding all motorcycle spots)
@@ -2981,6 +3390,93 @@ const DashboardScreen: React.FC = () => {
         </View>
       </Modal>
 
+      {/* Manual Entry Modal */}
+      <Modal
+        visible={manualEntry !== null}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={closeManualEntry}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={[styles.slotDetailsModal, { maxHeight: '80%', flex: 0 }]}>
+            <Text style={styles.slotDetailsTitle}>
+              {manualEntry?.action === 'start' ? 'Start' : 'End'} Parking Without QR
+            </Text>
+
+            <ScrollView
+              style={{ maxHeight: 400 }}
+              contentContainerStyle={{ paddingBottom: 10 }}
+              showsVerticalScrollIndicator={true}
+            >
+              {manualEntry && (
+                <View style={{ marginBottom: 16 }}>
+                  <Text style={styles.slotDetailLabel}>
+                    Reservation #{manualEntry.reservation.reservation_id} · {manualEntry.reservation.user_name || 'Unknown driver'}
+                  </Text>
+                  <Text style={styles.slotDetailValue}>
+                    {[manualEntry.reservation.plate_number, manualEntry.reservation.color, manualEntry.reservation.brand].filter(Boolean).join(' · ')}
+                    {manualEntry.reservation.spot_number ? ` · Spot ${manualEntry.reservation.spot_number}` : ''}
+                  </Text>
+                </View>
+              )}
+
+              <Text style={[styles.slotDetailLabel, { marginBottom: 8 }]}>Document checked *</Text>
+              <View style={styles.identityOptions}>
+                {IDENTITY_DOCUMENT_OPTIONS.map(option => (
+                  <TouchableOpacity
+                    key={option.value}
+                    style={[styles.identityOption, identityDocument === option.value && styles.identityOptionSelected]}
+                    onPress={() => setIdentityDocument(option.value)}
+                  >
+                    <Text style={[styles.identityOptionText, identityDocument === option.value && styles.identityOptionTextSelected]}>
+                      {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              <Text style={[styles.slotDetailLabel, { marginBottom: 8 }]}>
+                Note {identityDocument === 'other' ? '*' : '(Optional)'}
+              </Text>
+              <TextInput
+                style={[styles.input, { marginBottom: 16 }]}
+                placeholder={identityDocument === 'other' ? 'Which document was checked?' : 'Anything worth recording'}
+                placeholderTextColor="#999"
+                value={identityNote}
+                onChangeText={setIdentityNote}
+                maxLength={255}
+              />
+
+              <TouchableOpacity style={styles.plateConfirmRow} onPress={() => setPlateConfirmed(!plateConfirmed)}>
+                <MaterialIcons name={plateConfirmed ? 'check-box' : 'check-box-outline-blank'} size={22} color="#800000" />
+                <Text style={styles.plateConfirmText}>
+                  The driver&apos;s name matches the document and the plate on the vehicle is {manualEntry?.reservation.plate_number || 'the booked plate'}
+                </Text>
+              </TouchableOpacity>
+            </ScrollView>
+
+            <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginTop: 20 }}>
+              <TouchableOpacity
+                style={[styles.goBackButton, { flex: 0.48, backgroundColor: '#ccc' }]}
+                onPress={closeManualEntry}
+                disabled={isSubmittingManualEntry}
+              >
+                <Text style={styles.goBackButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.goBackButton, { flex: 0.48, backgroundColor: '#8B0000' }]}
+                onPress={handleConfirmManualEntry}
+                disabled={isSubmittingManualEntry}
+              >
+                <Text style={[styles.goBackButtonText, { color: '#fff' }]}>
+                  {isSubmittingManualEntry ? 'Saving...' : manualEntry?.action === 'start' ? 'Start Parking' : 'End Parking'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
       {/* Guest Booking Modal */}
       <Modal
         visible={showGuestBookingModal}
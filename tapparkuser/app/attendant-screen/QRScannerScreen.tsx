@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import {
   Text,
   TouchableOpacity,
@@ -14,6 +14,7 @@ import { MaterialIcons } from '@expo/vector-icons';
 import { CameraView, useCameraPermissions } from 'expo-camera';
 import { useRouter } from "expo-router";
 import ApiService from '../../services/api';
+import { OfflineScanService, OfflineSyncConflict } from '../../services/offlineScans';
 import { useAuth } from '../../contexts/AuthContext';
 import { useScreenDimensions, getAdaptiveFontSize, getAdaptiveSpacing, getAdaptivePadding } from '../../hooks/use-screen-dimensions';
 
@@ -22,6 +23,13 @@ type ScanResult = {
   type: string;
 };
 
+const OFFLINE_SYNC_INTERVAL = 30000;
+// Reservations open and close all day, so the offline ticket list is renewed regularly while online
+const TICKET_PACK_REFRESH_INTERVAL = 5 * 60 * 1000;
+
+const describeConflict = (conflict: OfflineSyncConflict) =>
+  `${conflict.scanType === 'start' ? 'Start' : 'End'} · ${conflict.plateNumber || `reservation #${conflict.reservationId}`}: ${conflict.message}`;
+
 export default function QRScannerScreen() {
   const router = useRouter();
   const { user, isAuthenticated } = useAuth();
@@ -47,6 +55,68 @@ export default function QRScannerScreen() {
   const totalParkingTime = 60 * 60; // 1 hour total parking time in seconds
   const [currentSession, setCurrentSession] = useState<any>(null);
 
+  // Offline scanning: scans are checked on the phone and queued until the server is reachable
+  const [isOffline, setIsOffline] = useState(false);
+  const [pendingScans, setPendingScans] = useState(0);
+  const lastTicketPackRefresh = useRef(0);
+
+  const syncOfflineScans = useCallback(async () => {
+    if (!user) return;
+
+    try {
+      const summary = await OfflineScanService.sync(user.user_id);
+      setIsOffline(false);
+      if (summary) {
+        setPendingScans(summary.remaining);
+        // Applied scans changed reservations; take the next ticket list from the server
+        lastTicketPackRefresh.current = 0;
+        if (summary.conflicts.length > 0) {
+          Alert.alert(
+            'Offline Scans Not Applied',
+            `${summary.applied} offline scan${summary.applied !== 1 ? 's were' : ' was'} applied. These could not be:\n\n${summary.conflicts.map(describeConflict).join('\n\n')}`
+          );
+        }
+      }
+
+      if (Date.now() - lastTicketPackRefresh.current > TICKET_PACK_REFRESH_INTERVAL) {
+        await OfflineScanService.refreshTicketPack(user.user_id);
+        lastTicketPackRefresh.current = Date.now();
+      }
+    } catch (error) {
+      if (ApiService.isNetworkError(error)) {
+        setIsOffline(true);
+      } else {
+        console.error('❌ Error syncing offline scans:', error);
+      }
+    }
+  }, [user]);
+
+  useEffect(() => {
+    if (!user) return;
+
+    OfflineScanService.getQueue(user.user_id).then(queue => setPendingScans(queue.length));
+    syncOfflineScans();
+    const syncInterval = setInterval(syncOfflineScans, OFFLINE_SYNC_INTERVAL);
+    return () => clearInterval(syncInterval);
+  }, [user, syncOfflineScans]);
+
+  const handleOfflineScan = async (type: 'start' | 'end', data: string) => {
+    if (!user) return;
+
+    const check = await OfflineScanService.queueScan(user.user_id, type, data);
+    if (!check.ok) {
+      Alert.alert('Scan Refused', check.message);
+      return;
+    }
+
+    setPendingScans(count => count + 1);
+    Alert.alert(
+      type === 'start' ? 'Parking Start Saved Offline' : 'Parking End Saved Offline',
+      `The server cannot be reached. The ticket was checked on this phone and the scan will be sent when the signal is back.\n\nVehicle: ${check.ticket.plateNumber || 'Unknown'}\nSpot: ${check.ticket.spotNumber || 'Unknown'}`,
+      [{ text: 'OK' }]
+    );
+  };
+
   useEffect(() => {
     console.log('🔐 QR Scanner - Component mounted');
     console.log('🔐 QR Scanner - Permission status:', permission);
@@ -137,7 +207,10 @@ export default function QRScannerScreen() {
       const qrData = JSON.parse(data);
       console.log('📱 QR Code scanned:', qrData);
       
-      if (scanMode === 'start') {
+      if (isOffline) {
+        // Skip the request timeout while there is no signal; the periodic sync notices when it returns
+        await handleOfflineScan(scanMode, data);
+      } else if (scanMode === 'start') {
         // Start parking session
         console.log('🟢 Starting parking session');
         
@@ -161,7 +234,13 @@ export default function QRScannerScreen() {
           }
         } catch (error) {
           console.error('❌ API Error starting parking session:', error);
-          Alert.alert('Error', 'Failed to start parking session');
+          if (ApiService.isNetworkError(error)) {
+            setIsOffline(true);
+            await handleOfflineScan('start', data);
+          } else {
+            // Expired, replayed or unsigned tickets come back with a message the attendant can act on
+            Alert.alert('Error', error instanceof Error ? error.message : 'Failed to start parking session');
+          }
         }
         
       } else if (scanMode === 'end') {
@@ -194,7 +273,12 @@ export default function QRScannerScreen() {
           }
         } catch (error) {
           console.error('❌ API Error ending parking session:', error);
-          Alert.alert('Error', 'Failed to end parking session');
+          if (ApiService.isNetworkError(error)) {
+            setIsOffline(true);
+            await handleOfflineScan('end', data);
+          } else {
+            Alert.alert('Error', error instanceof Error ? error.message : 'Failed to end parking session');
+          }
         }
       }
       
@@ -451,6 +535,21 @@ export default function QRScannerScreen() {
       )}
 
       <View style={[styles.statusContainer, { padding: getAdaptivePadding(screenDimensions, 15) }]}>
+        {(isOffline || pendingScans > 0) && (
+          <View style={styles.offlineBanner}>
+            <MaterialIcons name={isOffline ? 'cloud-off' : 'cloud-upload'} size={18} color="#fff" />
+            <Text style={[styles.offlineBannerText, { fontSize: getAdaptiveFontSize(screenDimensions, 13) }]}>
+              {isOffline ? 'Offline · tickets are checked on this phone' : 'Back online'}
+              {pendingScans > 0 ? ` · ${pendingScans} scan${pendingScans !== 1 ? 's' : ''} waiting to sync` : ''}
+            </Text>
+            {pendingScans > 0 && (
+              <TouchableOpacity style={styles.offlineSyncButton} onPress={syncOfflineScans}>
+                <Text style={styles.offlineSyncButtonText}>Sync now</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+
         <View style={[styles.statusTextContainer, { 
           paddingHorizontal: getAdaptivePadding(screenDimensions, 30), 
           paddingVertical: getAdaptivePadding(screenDimensions, 15) 
@@ -630,6 +729,32 @@ const styles = StyleSheet.create({
     backgroundColor: 'transparent',
     padding: 15
   },
+  offlineBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    backgroundColor: '#374151',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 12,
+    marginBottom: 10
+  },
+  offlineBannerText: {
+    color: '#fff',
+    fontSize: 13,
+    flexShrink: 1
+  },
+  offlineSyncButton: {
+    backgroundColor: '#fff',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 8
+  },
+  offlineSyncButtonText: {
+    color: '#374151',
+    fontSize: 13,
+    fontWeight: '600'
+  },
   statusTextContainer: {
     backgroundColor: '#800000',
     paddingHorizontal: 30,
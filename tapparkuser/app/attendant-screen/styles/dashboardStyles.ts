@@ -139,6 +139,106 @@ export const dashboardScreenStyles = StyleSheet.create({
     color: '#333333',
     marginBottom: 10,
   },
+  sensorAlertsHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  sensorAlertsCount: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#800000',
+    marginBottom: 10,
+  },
+  sensorAlertsEmpty: {
+    fontSize: 14,
+    color: '#666666',
+  },
+  sensorAlertRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#F0F0F0',
+  },
+  sensorAlertText: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  sensorAlertTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333333',
+  },
+  sensorAlertDetail: {
+    fontSize: 13,
+    color: '#666666',
+    marginTop: 2,
+  },
+  sensorAlertAction: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: '#800000',
+    marginLeft: 8,
+  },
+  sensorAlertActionText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#800000',
+  },
+  reservationSearchBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  reservationSearchInput: {
+    flex: 1,
+    paddingVertical: 10,
+    fontSize: 14,
+  },
+  reservationSearchButton: {
+    backgroundColor: '#800000',
+    borderRadius: 8,
+    padding: 10,
+    marginLeft: 8,
+  },
+  identityOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 16,
+  },
+  identityOption: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#CCCCCC',
+  },
+  identityOptionSelected: {
+    backgroundColor: '#800000',
+    borderColor: '#800000',
+  },
+  identityOptionText: {
+    fontSize: 13,
+    color: '#333333',
+  },
+  identityOptionTextSelected: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
+  plateConfirmRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  plateConfirmText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333333',
+  },
   vehicleTypesContainer: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -188,6 +288,26 @@ export const dashboardScreenStyles = StyleSheet.create({
     color: '#666666',
     marginTop: 4,
   },
+  floorFilters: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 4,
+    marginTop: 8,
+  },
+  floorFilterButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 6,
+    backgroundColor: '#F0F0F0',
+  },
+  floorFilterText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#383838',
+  },
+  activeFloorFilterText: {
+    color: '#FFFFFF',
+  },
   controlsContainer: {
     alignItems: 'flex-end',
   },
@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
-import { getMapConfig, ParkingMapConfig } from '../../config/parkingMapConfigs';
+import { getMapConfig } from '../../config/parkingMapConfigs';
 import {
   Text,
   TouchableOpacity,
@@ -19,11 +19,16 @@ import { useRouter, useLocalSearchParams } from 'expo-router';
 import { useFocusEffect } from '@react-navigation/native';
 import SharedHeader from '../../components/SharedHeader';
 import InteractiveParkingLayout from '../../components/InteractiveParkingLayout';
+import FloorSelector from '../../components/FloorSelector';
 import { getActiveParkingScreenStyles } from '../styles/activeParkingScreenStyles';
 import { useThemeColors, useTheme } from '../../contexts/ThemeContext';
 import { useAuth } from '../../contexts/AuthContext';
 import { useLoading } from '../../contexts/LoadingContext';
-import ApiService from '../../services/api';
+import ApiService, { LayoutFloor, QrTicketSettings } from '../../services/api';
+import { RealtimeService } from '../../services/realtime';
+import { getLayoutTouchables } from '../../utils/svgSpotPositioning';
+import { buildQrTicket, getServerClockOffset, getTicketPeriod } from '../../utils/qrTicket';
+import { useRealtime } from '../../hooks/use-realtime';
 import { useScreenDimensions, getAdaptiveSize, getAdaptiveFontSize, getAdaptivePadding, getAdaptiveSpacing } from '../../hooks/use-screen-dimensions';
 
 const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
@@ -106,12 +111,15 @@ const formatHoursToHHMM = (decimalHours: number): string => {
      endTime?: string | null;
    };
    bookingStatus: string;
-   qrCode: string;
-   qrKey?: string;
+   qrCode?: string | null;
+   qrKey?: string | null;
+   ticket?: QrTicketSettings | null;
    penaltyInfo?: {
      hasPenalty?: boolean;
      penaltyHours?: number;
    } | null;
+   expiresAt?: string | null;
+   gracePeriodMinutes?: number | null;
  };
 
 const ActiveParkingScreen: React.FC = () => {
@@ -127,6 +135,10 @@ const ActiveParkingScreen: React.FC = () => {
   
   // Booking data state
   const [bookingData, setBookingData] = useState<any>(null);
+  const isRealtimeConnected = useRealtime(
+    bookingData?.parkingArea?.id ? [bookingData.parkingArea.id] : [],
+    isAuthenticated
+  );
   const [isBookingLoading, setIsBookingLoading] = useState(true); // Add loading state for booking data
   const [bookingError, setBookingError] = useState<string | null>(null);
   
@@ -134,6 +146,9 @@ const ActiveParkingScreen: React.FC = () => {
   const [svgContent, setSvgContent] = useState<string>('');
   const [isLoadingSvg, setIsLoadingSvg] = useState(false);
   const [layoutId, setLayoutId] = useState<number | null>(null);
+  const [layoutFloors, setLayoutFloors] = useState<LayoutFloor[]>([]);
+  const [layoutFloor, setLayoutFloor] = useState<number | null>(null);
+  const [bookedFloor, setBookedFloor] = useState<number | null>(null);
   // Responsive SVG dimensions calculation - memoized to prevent infinite re-renders
   const svgDimensions = useMemo(() => {
     let svgWidth: number;
@@ -238,6 +253,10 @@ const ActiveParkingScreen: React.FC = () => {
   const [elapsedTime, setElapsedTime] = useState(0); // Track elapsed time in seconds
   const intervalRef = useRef<ReturnType<typeof setInterval> | null>(null);
   const progressAnim = useRef(new Animated.Value(0)).current;
+  // Seconds left before an unscanned reservation is released (null when not applicable)
+  const [expiryRemaining, setExpiryRemaining] = useState<number | null>(null);
+  // Signed ticket payload shown as the QR code, re-signed every ticket period
+  const [qrTicketValue, setQrTicketValue] = useState<string | null>(null);
   
   // Real parking start time from booking data
   const parkingStartTime = useRef<number | null>(null);
@@ -268,1138 +287,6 @@ const ActiveParkingScreen: React.FC = () => {
   };
 
 
-  // Parse SVG to extract clickable elements (updated to match HomeScreen logic)
-  const parseSvgForClickableElements = (svgString: string, layoutSections?: any[]) => {
-    const spots: Array<{
-      id: string;
-      x: number;
-      y: number;
-      width: number;
-      height: number;
-      spotNumber?: string;
-      spotId?: string;
-      localSlot?: string;
-      section?: string;
-    }> = [];
-    
-    try {
-      // Extract viewBox to calculate relative positions
-      const viewBoxMatch = svgString.match(/viewBox=["']([^"']+)["']/);
-      let viewBox = { x: 0, y: 0, width: 276, height: 322 }; // Default
-      if (viewBoxMatch) {
-        const parts = viewBoxMatch[1].trim().split(/[\s,]+/).filter(p => p).map(Number);
-        if (parts.length >= 4) {
-          viewBox = { x: parts[0], y: parts[1], width: parts[2], height: parts[3] };
-        }
-      }
-      
-      // Also try to get width/height attributes
-      const widthMatch = svgString.match(/width=["']([^"']+)["']/);
-      const heightMatch = svgString.match(/height=["']([^"']+)["']/);
-      if (widthMatch && heightMatch) {
-        const w = parseFloat(widthMatch[1]);
-        const h = parseFloat(heightMatch[1]);
-        if (!isNaN(w) && !isNaN(h) && w > 0 && h > 0) {
-          viewBox.width = w;
-          viewBox.height = h;
-        }
-      }
-      
-      // Find all elements with IDs OR data attributes (for FU Main layout)
-      const idRegex = /<(\w+)[^>]*\sid=["']([^"']+)["'][^>]*>/g;
-      const dataRegex = /<(\w+)[^>]*\sdata-type=["']parking-slot["'][^>]*>/g;
-      
-      // Process elements with ID attributes
-      let match;
-      while ((match = idRegex.exec(svgString)) !== null) {
-        const elementType = match[1];
-        const id = match[2];
-        const fullElement = match[0];
-        const matchIndex = match.index;
-        
-        // DEBUG: Log every element found with ID
-        console.log(`🔍 DEBUG: Found element with ID: ${id} (type: ${elementType})`);
-        console.log(`🔍 DEBUG: Full element snippet: ${fullElement.substring(0, 200)}...`);
-        
-        // SPECIAL DEBUG: Pay extra attention to anything with "4" in the ID
-        if (id.toLowerCase().includes('4') || id.toLowerCase().includes('spot') || id.toLowerCase().includes('parking')) {
-          console.log(`🚨 SPOT 4 DEBUG: Found potential spot 4 element: ${id}`);
-          console.log(`🚨 SPOT 4 DEBUG: Element type: ${elementType}`);
-          console.log(`🚨 SPOT 4 DEBUG: Full element: ${fullElement}`);
-          console.log(`🚨 SPOT 4 DEBUG: Match index: ${matchIndex}`);
-        }
-        
-        // Skip elements with "element" in their ID - these are not parking spots
-        const idLower = id.toLowerCase();
-        if (idLower.includes('element') || idLower.includes('road') || idLower.includes('path') || idLower.includes('line') || idLower.includes('arrow')) {
-          console.log(`🚫 Skipping non-parking element: ${id}`);
-          continue;
-        }
-        
-        // Only process elements that are likely parking spots
-        // Check if the element has parking-related attributes or is within a parking context
-        const hasParkingAttributes = fullElement.includes('data-slot') || 
-                                     fullElement.includes('data-section') ||
-                                     fullElement.includes('data-parking') ||
-                                     idLower.includes('spot') ||
-                                     idLower.includes('parking') ||
-                                     idLower.includes('slot');
-        
-        if (!hasParkingAttributes) {
-          console.log(`🚫 Skipping element without parking attributes: ${id} (type: ${elementType})`);
-          continue;
-        }
-        
-        // Additional check: skip if element type suggests it's not a parking spot
-        if (elementType === 'polygon' || elementType === 'line' || elementType === 'path') {
-          console.log(`🚫 Skipping ${elementType} element (not a parking spot): ${id}`);
-          continue;
-        }
-        
-        // CRITICAL: Only process if this is a legitimate parking spot
-        // This prevents creating touchables for non-existent spots
-        const isLegitimateParkingSpot = 
-          id.includes('FPA-') || // FU Main format
-          id.includes('S-') ||   // Spot format
-          id.includes('spot') || // Spot keyword
-          id.includes('parking') || // Parking keyword
-          id.includes('section-') || // Capacity sections (V, X, VB)
-          (id.match(/\d+/) && parseInt(id.match(/\d+/)![1]) > 0 && parseInt(id.match(/\d+/)![1]) <= 50); // Valid numbers
-        
-        if (!isLegitimateParkingSpot) {
-          console.log(`🚫 Skipping non-legitimate parking spot: ${id}`);
-          continue;
-        }
-        
-        // Check if this element is inside a road group (handle nested groups)
-        const beforeMatch = svgString.substring(0, matchIndex);
-        let isInRoadGroup = false;
-        let accumulatedTransform: { x: number; y: number } = { x: 0, y: 0 };
-        
-        // Find all parent groups and check for road groups, also accumulate transforms
-        let searchPos = matchIndex;
-        const parentGroups: Array<{ tag: string; index: number }> = [];
-        
-        while (searchPos >= 0) {
-          const lastGroupOpen = beforeMatch.lastIndexOf('<g', searchPos);
-          const lastGroupClose = beforeMatch.lastIndexOf('</g>', searchPos);
-          
-          if (lastGroupOpen > lastGroupClose && lastGroupOpen >= 0) {
-            const groupTagStart = lastGroupOpen;
-            const groupTagEnd = beforeMatch.indexOf('>', groupTagStart) + 1;
-            if (groupTagEnd > groupTagStart) {
-              const groupTag = beforeMatch.substring(groupTagStart, groupTagEnd);
-              parentGroups.push({ tag: groupTag, index: groupTagStart });
-              
-              // Check if this group is a road group
-              const groupIdMatch = groupTag.match(/id=["']([^"']+)["']/i);
-              const groupClassMatch = groupTag.match(/class=["']([^"']+)["']/i);
-              
-              if (groupIdMatch && groupIdMatch[1].toLowerCase().includes('road')) {
-                isInRoadGroup = true;
-                break;
-              }
-              if (groupClassMatch && groupClassMatch[1].toLowerCase().includes('road')) {
-                isInRoadGroup = true;
-                break;
-              }
-              
-              // Accumulate transform from parent groups (for nested floors/sections)
-              const transformMatch = groupTag.match(/transform=["']translate\(([^)]+)\)["']/);
-              if (transformMatch) {
-                const coords = transformMatch[1].split(/[,\s]+/).map(parseFloat);
-                accumulatedTransform.x += coords[0] || 0;
-                accumulatedTransform.y += coords[1] || 0;
-              }
-              
-              searchPos = lastGroupOpen - 1;
-            } else {
-              break;
-            }
-          } else {
-            break;
-          }
-        }
-        
-        // Skip road elements - check if ID or class contains "road" (case-insensitive)
-        const classMatch = fullElement.match(/class=["']([^"']+)["']/i);
-        const classLower = classMatch ? classMatch[1].toLowerCase() : '';
-        
-        if (idLower.includes('road') || classLower.includes('road') || isInRoadGroup) {
-          console.log(`🚫 Skipping road element: ${id}${isInRoadGroup ? ' (in road group)' : ''}`);
-          continue;
-        }
-        
-        // Extract coordinates based on element type
-        let x = 0, y = 0, width = 0, height = 0;
-        
-        if (elementType === 'rect') {
-          const xMatch = fullElement.match(/x=["']([^"']+)["']/);
-          const yMatch = fullElement.match(/y=["']([^"']+)["']/);
-          const widthMatch = fullElement.match(/width=["']([^"']+)["']/);
-          const heightMatch = fullElement.match(/height=["']([^"']+)["']/);
-          
-          x = xMatch ? parseFloat(xMatch[1]) : 0;
-          y = yMatch ? parseFloat(yMatch[1]) : 0;
-          width = widthMatch ? parseFloat(widthMatch[1]) : 40;
-          height = heightMatch ? parseFloat(heightMatch[1]) : 20;
-        } else if (elementType === 'circle') {
-          const cxMatch = fullElement.match(/cx=["']([^"']+)["']/);
-          const cyMatch = fullElement.match(/cy=["']([^"']+)["']/);
-          const rMatch = fullElement.match(/r=["']([^"']+)["']/);
-          
-          const cx = cxMatch ? parseFloat(cxMatch[1]) : 0;
-          const cy = cyMatch ? parseFloat(cyMatch[1]) : 0;
-          const r = rMatch ? parseFloat(rMatch[1]) : 10;
-          
-          x = cx - r;
-          y = cy - r;
-          width = r * 2;
-          height = r * 2;
-        } else if (elementType === 'g') {
-          // For groups, find the complete group element and its children
-          // Find the matching closing </g> tag
-          let depth = 1;
-          let pos = matchIndex + fullElement.length;
-          let groupEnd = -1;
-          
-          while (pos < svgString.length && depth > 0) {
-            const nextOpen = svgString.indexOf('<g', pos);
-            const nextClose = svgString.indexOf('</g>', pos);
-            
-            if (nextClose === -1) break;
-            
-            if (nextOpen !== -1 && nextOpen < nextClose) {
-              depth++;
-              pos = nextOpen + 2;
-            } else {
-              depth--;
-              if (depth === 0) {
-                groupEnd = nextClose + 4;
-                break;
-              }
-              pos = nextClose + 4;
-            }
-          }
-          
-          if (groupEnd === -1) {
-            // Couldn't find closing tag, skip
-            continue;
-          }
-          
-          const groupContent = svgString.substring(matchIndex, groupEnd);
-          
-          // Check for transform on the group and combine with accumulated parent transforms
-          const transformMatch = fullElement.match(/transform=["']translate\(([^)]+)\)["']/);
-          let tx = accumulatedTransform.x;
-          let ty = accumulatedTransform.y;
-          if (transformMatch) {
-            const coords = transformMatch[1].split(/[,\s]+/).map(parseFloat);
-            tx += coords[0] || 0;
-            ty += coords[1] || 0;
-          }
-          
-          // Look for rect elements inside the group - find the largest one (likely the main parking spot)
-          // Also handle nested groups within this group (for sections/floors)
-          type RectInfo = { x: number; y: number; width: number; height: number; area: number };
-          let largestRect: RectInfo | null = null;
-          
-          // Extract inner content of the group (without the opening/closing tags) for processing
-          const groupTagEndPos = matchIndex + fullElement.length;
-          const innerGroupContent = svgString.substring(groupTagEndPos, groupEnd - 4);
-          
-          // Function to recursively find rects in nested groups
-          // Add depth limit to prevent infinite recursion
-          const findRectsInContent = (content: string, parentTx: number, parentTy: number, depth: number = 0): void => {
-            // Safety: prevent infinite recursion (max depth of 10 levels)
-            if (depth > 10) {
-              console.warn('⚠️ Maximum recursion depth reached in findRectsInContent');
-              return;
-            }
-            
-            // Safety: prevent processing empty or too large content
-            if (!content || content.length > 100000) {
-              return;
-            }
-            
-            // Find all rects in content (including nested ones - we'll filter by group depth later if needed)
-            const rectRegex = /<rect[^>]*>/g;
-            const rectMatches: RegExpExecArray[] = [];
-            let rectMatch;
-            
-            // Collect all rect matches first
-            rectRegex.lastIndex = 0; // Reset regex
-            while ((rectMatch = rectRegex.exec(content)) !== null) {
-              rectMatches.push(rectMatch);
-            }
-            
-            // Process found rects
-            for (const match of rectMatches) {
-              const rectElement = match[0];
-              const rxMatch = rectElement.match(/x=["']([^"']+)["']/);
-              const ryMatch = rectElement.match(/y=["']([^"']+)["']/);
-              const rWidthMatch = rectElement.match(/width=["']([^"']+)["']/);
-              const rHeightMatch = rectElement.match(/height=["']([^"']+)["']/);
-              
-              if (rxMatch && ryMatch && rWidthMatch && rHeightMatch) {
-                const rx = parseFloat(rxMatch[1]);
-                const ry = parseFloat(ryMatch[1]);
-                const rw = parseFloat(rWidthMatch[1]);
-                const rh = parseFloat(rHeightMatch[1]);
-                
-                if (!isNaN(rx) && !isNaN(ry) && !isNaN(rw) && !isNaN(rh) && rw > 0 && rh > 0) {
-                  const area = rw * rh;
-                  // Keep the largest rect (this represents the main parking spot area)
-                  if (!largestRect || area > largestRect.area) {
-                    largestRect = {
-                      x: rx + parentTx,
-                      y: ry + parentTy,
-                      width: rw,
-                      height: rh,
-                      area: area
-                    };
-                  }
-                }
-              }
-            }
-            
-            // Also check nested groups (for floors/sections) - but limit recursion
-            // Use indexOf instead of regex to avoid regex state issues
-            const processedGroups = new Set<number>(); // Track processed group start positions
-            let groupCount = 0;
-            const maxGroups = 50; // Limit number of groups to process
-            let searchStart = 0;
-            
-            while (groupCount < maxGroups && searchStart < content.length) {
-              const groupOpenPos = content.indexOf('<g', searchStart);
-              if (groupOpenPos === -1) break;
-              
-              // Skip if we've already processed this group
-              if (processedGroups.has(groupOpenPos)) {
-                searchStart = groupOpenPos + 2;
-                continue;
-              }
-              processedGroups.add(groupOpenPos);
-              
-              const groupTagEnd = content.indexOf('>', groupOpenPos);
-              if (groupTagEnd === -1) {
-                searchStart = groupOpenPos + 2;
-                continue;
-              }
-              
-              const nestedGroupTag = content.substring(groupOpenPos, groupTagEnd + 1);
-              
-              // Find matching closing tag
-              let nestedDepth = 1;
-              let nestedPos = groupTagEnd;
-              let nestedGroupEnd = -1;
-              
-              while (nestedPos < content.length && nestedDepth > 0) {
-                const nextOpen = content.indexOf('<g', nestedPos);
-                const nextClose = content.indexOf('</g>', nestedPos);
-                
-                if (nextClose === -1) break;
-                
-                if (nextOpen !== -1 && nextOpen < nextClose) {
-                  nestedDepth++;
-                  nestedPos = nextOpen + 2;
-                } else {
-                  nestedDepth--;
-                  if (nestedDepth === 0) {
-                    nestedGroupEnd = nextClose + 4;
-                    break;
-                  }
-                  nestedPos = nextClose + 4;
-                }
-              }
-              
-              if (nestedGroupEnd > groupOpenPos && nestedGroupEnd <= content.length) {
-                // Extract inner content (without the group tags) to prevent re-processing
-                const innerContent = content.substring(groupTagEnd + 1, nestedGroupEnd - 4);
-                
-                // Only process if inner content is not empty
-                if (innerContent && innerContent.trim().length > 0) {
-                  const nestedTransformMatch = nestedGroupTag.match(/transform=["']translate\(([^)]+)\)["']/);
-                  let nestedTx = parentTx;
-                  let nestedTy = parentTy;
-                  
-                  if (nestedTransformMatch) {
-                    const nestedCoords = nestedTransformMatch[1].split(/[,\s]+/).map(parseFloat);
-                    nestedTx += nestedCoords[0] || 0;
-                    nestedTy += nestedCoords[1] || 0;
-                  }
-                  
-                  // Recursively search nested groups with increased depth
-                  findRectsInContent(innerContent, nestedTx, nestedTy, depth + 1);
-                  groupCount++;
-                }
-                
-                // Move search position past this group to avoid re-processing
-                searchStart = nestedGroupEnd;
-              } else {
-                // If we couldn't find the closing tag, skip this group
-                searchStart = groupTagEnd + 1;
-              }
-            }
-          };
-          
-          // Process the inner content of the group (without the group tags themselves)
-          findRectsInContent(innerGroupContent, tx, ty, 0);
-          
-          // Also look for path elements in the group and calculate bounding box (including nested)
-          const pathRegex = /<path[^>]*d=["']([^"']+)["'][^>]*>/g;
-          let pathMatch;
-          let pathMinX = Infinity, pathMinY = Infinity, pathMaxX = -Infinity, pathMaxY = -Infinity;
-          let foundPath = false;
-          
-          // Reset regex lastIndex
-          pathRegex.lastIndex = 0;
-          while ((pathMatch = pathRegex.exec(innerGroupContent)) !== null) {
-            const pathData = pathMatch[1];
-            // Parse path data to get bounding box (simplified - handles M, L, H, V commands)
-            const coords: number[] = [];
-            const numbers = pathData.match(/[-+]?[0-9]*\.?[0-9]+/g);
-            if (numbers) {
-              numbers.forEach(num => {
-                const val = parseFloat(num);
-                if (!isNaN(val)) coords.push(val);
-              });
-              
-              // Get min/max from coordinates
-              if (coords.length >= 2) {
-                for (let i = 0; i < coords.length; i += 2) {
-                  if (i + 1 < coords.length) {
-                    const px = coords[i] + tx;
-                    const py = coords[i + 1] + ty;
-                    pathMinX = Math.min(pathMinX, px);
-                    pathMinY = Math.min(pathMinY, py);
-                    pathMaxX = Math.max(pathMaxX, px);
-                    pathMaxY = Math.max(pathMaxY, py);
-                    foundPath = true;
-                  }
-                }
-              }
-            }
-          }
-          
-          // Use the largest rect if found, otherwise use path bounds, otherwise fallback
-          if (largestRect) {
-            x = (largestRect as RectInfo).x;
-            y = (largestRect as RectInfo).y;
-            width = (largestRect as RectInfo).width;
-            height = (largestRect as RectInfo).height;
-          } else if (foundPath) {
-            x = pathMinX;
-            y = pathMinY;
-            width = pathMaxX - pathMinX;
-            height = pathMaxY - pathMinY;
-          } else {
-            // Fallback: try transform only with estimated size based on viewBox
-            if (transformMatch) {
-              x = tx;
-              y = ty;
-              // Use reasonable default size - adjust based on typical parking spot sizes
-              width = viewBox.width / 5; // About 1/5 of viewBox width
-              height = viewBox.height / 10; // About 1/10 of viewBox height
-            } else {
-              continue; // Skip if no transform and no rects/paths found
-            }
-          }
-        }
-        
-        // Extract spot number from ID (handle various formats)
-        // Formats: "F1-A-1", "A-1", "spot-1", "parking-1", "section-a-spot-1", etc.
-        let spotNumber = id;
-        
-        // Try different patterns
-        // Pattern 1: F{floor}-{section}-{number} or {section}-{number}
-        const sectionSpotMatch = id.match(/(?:F\d+-)?([A-Z]+)-(\d+)/i);
-        if (sectionSpotMatch) {
-          spotNumber = sectionSpotMatch[2]; // Use just the number part
-        } else {
-          // Pattern 2: spot-{number} or parking-{number}
-          const spotMatch = id.match(/(?:spot|parking)[-_]?(\d+)/i);
-          if (spotMatch) {
-            spotNumber = spotMatch[1];
-          } else {
-            // Pattern 3: Any number in the ID
-            const numMatch = id.match(/(\d+)/);
-            if (numMatch) {
-              spotNumber = numMatch[1];
-            }
-          }
-        }
-        
-        // Only add if we have valid coordinates and reasonable size for parking spots
-        if (width > 0 && height > 0 && !isNaN(width) && !isNaN(height) && 
-            width >= 20 && height >= 20) { // Minimum size for parking spots
-          
-          // FINAL VALIDATION: Ensure this looks like a real parking spot
-          const aspectRatio = width / height;
-          const isReasonableShape = 
-            (width >= 40 && width <= 80 && height >= 40 && height <= 80) || // Standard parking spot
-            (width >= 20 && width <= 100 && height >= 20 && height <= 100); // Flexible range
-          
-          if (!isReasonableShape) {
-            console.log(`🚫 Skipping element with unreasonable parking spot dimensions: ${id} (${width}x${height})`);
-            continue;
-          }
-          
-          // SPOT 4 DEBUG: Log when any spot is being added
-          console.log(`✅ DEBUG: Adding parking spot: ${id} at (${x}, ${y}) size ${width}x${height} type: ${elementType}`);
-          console.log(`✅ DEBUG: Spot details:`, {
-            id,
-            spotNumber,
-            x,
-            y,
-            width,
-            height,
-            elementType,
-            aspectRatio,
-            isReasonableShape
-          });
-          
-          // SPECIAL DEBUG: Extra logging for spot 4
-          if (id.toLowerCase().includes('4') || spotNumber === '4') {
-            console.log(`🚨 SPOT 4 DEBUG: ABOUT TO ADD SPOT 4!`);
-            console.log(`🚨 SPOT 4 DEBUG: Final spot 4 details:`, {
-              id,
-              spotNumber,
-              x,
-              y,
-              width,
-              height,
-              elementType,
-              fullElement: fullElement.substring(0, 300)
-            });
-          }
-          
-          spots.push({
-            id,
-            x,
-            y,
-            width,
-            height,
-            spotNumber,
-            spotId: id,
-          });
-          
-          if (id.toLowerCase().includes('4') || spotNumber === '4') {
-            console.log(`🚨 SPOT 4 DEBUG: SPOT 4 HAS BEEN ADDED TO ARRAY!`);
-          }
-        } else {
-          console.log(`🚫 Skipping element too small for parking spot: ${id} (${width}x${height}) type: ${elementType}`);
-        }
-      }
-      
-      // Process FU Main parking slots with data attributes
-      console.log('🔍 Processing FU Main parking slots with data attributes...');
-      let dataMatch;
-      while ((dataMatch = dataRegex.exec(svgString)) !== null) {
-        const elementType = dataMatch[1];
-        const fullElement = dataMatch[0];
-        const matchIndex = dataMatch.index;
-        
-        // Extract data attributes from the element
-        const dataSlotMatch = fullElement.match(/data-slot=["']([^"']+)["']/);
-        const dataSlotIdMatch = fullElement.match(/data-slot-id=["']([^"']+)["']/);
-        const dataSectionMatch = fullElement.match(/data-section=["']([^"']+)["']/);
-        const dataLocalSlotMatch = fullElement.match(/data-local-slot=["']([^"']+)["']/);
-        
-        if (dataSlotMatch && dataSlotIdMatch) {
-          const slotNumber = dataSlotMatch[1];
-          const slotId = dataSlotIdMatch[1];
-          const section = dataSectionMatch ? dataSectionMatch[1] : 'Unknown';
-          const localSlot = dataLocalSlotMatch ? dataLocalSlotMatch[1] : null;
-          
-          // Apply the same filtering as regular ID processing
-          const idLower = slotId.toLowerCase();
-          if (idLower.includes('element') || idLower.includes('road') || idLower.includes('path') || idLower.includes('line') || idLower.includes('arrow')) {
-            console.log(`🚫 Skipping FU Main element with non-parking ID: ${slotId}`);
-            continue;
-          }
-          
-          // Additional check: skip if element type suggests it's not a parking spot
-          if (elementType === 'polygon' || elementType === 'line' || elementType === 'path') {
-            console.log(`🚫 Skipping FU Main ${elementType} element (not a parking spot): ${slotId}`);
-            continue;
-          }
-          
-          // CRITICAL: Only process if this is a legitimate parking spot with proper attributes
-          // This prevents creating touchables for non-existent spots
-          const isLegitimateParkingSpot = 
-            slotId.includes('FPA-') || // FU Main format
-            slotId.includes('S-') ||   // Spot format
-            slotId.includes('section-') || // Capacity sections
-            section.includes('S') ||   // Section S
-            (localSlot && parseInt(localSlot) > 0 && parseInt(localSlot) <= 50); // Valid slot numbers
-          
-          if (!isLegitimateParkingSpot) {
-            console.log(`🚫 Skipping non-legitimate parking spot: ${slotId} (section: ${section}, local: ${localSlot})`);
-            continue;
-          }
-          
-          console.log(`🎯 Found FU Main parking slot: ${slotId} (${section}-${slotNumber}) local: ${localSlot}`);
-          
-          // Extract transform attribute for positioning
-          const transformMatch = fullElement.match(/transform=["']translate\(([^)]+)\)["']/);
-          let x = 0, y = 0;
-          
-          if (transformMatch) {
-            const coords = transformMatch[1].split(/[,\s]+/).map(parseFloat);
-            x = coords[0] || 0;
-            y = coords[1] || 0;
-          }
-          
-          // Look for rect elements within this group for dimensions
-          const rectRegex = /<rect[^>]*x=["']([^"']+)["'][^>]*y=["']([^"']+)["'][^>]*width=["']([^"']+)["'][^>]*height=["']([^"']+)["'][^>]*>/g;
-          let rectMatch;
-          let width = 50; // Default size for FU Main spots
-          let height = 50;
-          
-          // Find the next closing tag to limit search scope
-          const searchEnd = svgString.indexOf('</g>', matchIndex);
-          const searchScope = searchEnd > -1 ? svgString.substring(matchIndex, searchEnd) : svgString.substring(matchIndex);
-          
-          while ((rectMatch = rectRegex.exec(searchScope)) !== null) {
-            const rectWidth = parseFloat(rectMatch[3]);
-            const rectHeight = parseFloat(rectMatch[4]);
-            
-            if (!isNaN(rectWidth) && !isNaN(rectHeight) && rectWidth > 0 && rectHeight > 0) {
-              width = rectWidth;
-              height = rectHeight;
-              break; // Use the first valid rect found
-            }
-          }
-          
-          // Add the FU Main parking spot with all attributes
-          // Use dynamic coordinate validation based on map configuration
-          const parkingAreaName = bookingData?.parkingArea?.name || 'FPA';
-          const parkingAreaId = bookingData?.parkingArea?.id || 2;
-          const mapConfig = getMapConfig(parkingAreaId, parkingAreaName);
-          const { minX, minY, maxX, maxY } = mapConfig.coordinateBounds;
-          const isInRoadArea = (x < minX || y < minY || x > maxX || y > maxY);
-          
-          if (isInRoadArea) {
-            console.log(`🚫 Skipping FU Main spot in road area: ${slotId} at (${x}, ${y}) - bounds: (${minX},${minY}) to (${maxX},${maxY})`);
-            continue;
-          }
-          
-          // FINAL VALIDATION: Ensure this looks like a real parking spot
-          const isReasonableShape = 
-            (width >= 40 && width <= 80 && height >= 40 && height <= 80) || // Standard parking spot
-            (width >= 20 && width <= 100 && height >= 20 && height <= 100); // Flexible range
-          
-          if (!isReasonableShape) {
-            console.log(`🚫 Skipping FU Main element with unreasonable dimensions: ${slotId} (${width}x${height})`);
-            continue;
-          }
-          
-          spots.push({
-            id: slotId,
-            x: x,
-            y: y,
-            width: width,
-            height: height,
-            spotNumber: slotNumber,
-            spotId: slotId,
-            localSlot: localSlot || undefined, // Handle null value
-            section: section || undefined, // Handle null value
-          });
-          
-          console.log(`✅ Added FU Main spot: ${slotId} at (${x}, ${y}) size ${width}x${height} local: ${localSlot}`);
-        }
-      }
-      
-      // Process FPA parking slots (same as HomeScreen logic)
-      console.log('🔍 Processing FPA parking slots...');
-      const fpaSlotRegex = /<g[^>]*\sdata-type=["']parking-slot["'][^>]*data-slot-id=["']([^"']+)["'][^>]*data-slot=["']([^"']+)["'][^>]*data-section=["']([^"']+)["'][^>]*data-local-slot=["']([^"']+)["'][^>]*>/g;
-      let fpaMatch;
-      
-      while ((fpaMatch = fpaSlotRegex.exec(svgString)) !== null) {
-        const fullElement = fpaMatch[0];
-        const slotId = fpaMatch[1]; // FPA-S-001, FPA-S-002, etc.
-        const slotNumber = fpaMatch[2]; // 001, 002, etc.
-        const section = fpaMatch[3]; // S
-        const localSlot = fpaMatch[4]; // 1, 2, 3, 4
-        
-        // Apply spot ID mapping if available
-        const parkingAreaName = bookingData?.parkingArea?.name || 'FPA';
-        const parkingAreaId = bookingData?.parkingArea?.id || 2;
-        const mapConfig = getMapConfig(parkingAreaId, parkingAreaName);
-        const mappedSlotId = mapConfig.spotIdMapping?.[slotId] || slotId;
-        
-        console.log(`🎯 Found parking slot: ${slotId} -> mapped to ${mappedSlotId} (${section}-${slotNumber}) local: ${localSlot}`);
-        console.log(`🔍 Slot Debug: slotId=${slotId}, mappedSlotId=${mappedSlotId}, slotNumber=${slotNumber}, section=${section}, localSlot=${localSlot}`);
-        
-        // Extract transform for positioning
-        const transformMatch = fullElement.match(/transform=["']translate\(([^)]+)\)["']/);
-        let x = 0, y = 0;
-        
-        if (transformMatch) {
-          const coords = transformMatch[1].split(/[,\s]+/).map(parseFloat);
-          x = coords[0] || 0;
-          y = coords[1] || 0;
-          console.log(`🔍 FPA Slot Transform: x=${x}, y=${y}`);
-        }
-        
-        // Look for rect element for dimensions
-        const rectRegex = /<rect[^>]*x=["']([^"']+)["'][^>]*y=["']([^"']+)["'][^>]*width=["']([^"']+)["'][^>]*height=["']([^"']+)["'][^>]*>/;
-        const rectMatch = rectRegex.exec(fullElement);
-        
-        let width = 46; // Default FPA spot size
-        let height = 46;
-        
-        if (rectMatch) {
-          const rectX = parseFloat(rectMatch[1]);
-          const rectY = parseFloat(rectMatch[2]);
-          const rectWidth = parseFloat(rectMatch[3]);
-          const rectHeight = parseFloat(rectMatch[4]);
-          
-          if (!isNaN(rectWidth) && !isNaN(rectHeight) && rectWidth > 0 && rectHeight > 0) {
-            width = rectWidth;
-            height = rectHeight;
-            console.log(`🔍 FPA Slot Rect: ${rectWidth}x${rectHeight} at (${rectX}, ${rectY})`);
-          }
-        }
-        
-        // Add the FPA parking spot
-        const fpaSpot = {
-          id: mappedSlotId, // Use the mapped spot ID
-          x: x,
-          y: y,
-          width: width,
-          height: height,
-          spotNumber: slotNumber,
-          spotId: mappedSlotId, // Use the mapped spot ID
-          localSlot: localSlot,
-          section: section,
-        };
-        
-        spots.push(fpaSpot);
-        
-        console.log(`✅ Added spot: ${mappedSlotId} (original: ${slotId}) at (${x}, ${y}) size ${width}x${height} local: ${localSlot}`);
-        console.log(`🔍 FPA Spot Object:`, fpaSpot);
-      }
-      
-      // Process capacity sections from layout data instead of hardcoded ones
-      console.log('🔍 Processing capacity sections from layout data...');
-      
-      // Check if we have sections data from layout
-      const sectionsFromLayout = layoutSections || [];
-      console.log('🔍 Layout sections found:', sectionsFromLayout.length);
-      
-      if (sectionsFromLayout.length > 0) {
-        // Process sections from layout data - ONLY capacity_only sections
-        const capacityOnlySections = sectionsFromLayout.filter(section => 
-          section.section_data && section.section_data.section_mode === 'capacity_only'
-        );
-        
-        console.log(`🔍 Found ${capacityOnlySections.length} capacity-only sections out of ${sectionsFromLayout.length} total sections`);
-        
-        for (const layoutSection of capacityOnlySections) {
-          const sectionName = layoutSection.section_data.section_name; // E, I, SD
-          const position = layoutSection.position; // "1,0", "0,2", "4,0"
-          
-          console.log(`🎯 Processing capacity section from layout: ${sectionName} at position ${position}`);
-          
-          // Parse position to get coordinates
-          const [row, col] = position.split(',').map(Number);
-          
-          // Convert grid position to SVG coordinates (this may need adjustment based on your grid system)
-          const x = col * 52; // Approximate based on 52px width from SVG
-          const y = row * 52; // Approximate based on 52px height from SVG
-          
-          // Look for the actual section in the SVG to get precise coordinates
-          const sectionSelector = `<g transform="translate(${x}, ${y})">`;
-          const startIndex = svgString.indexOf(sectionSelector);
-          
-          if (startIndex !== -1) {
-            console.log(`✅ Found layout section ${sectionName} in SVG at position ${position}`);
-            
-            // Extract the section group for dimensions
-            const sectionStart = startIndex + sectionSelector.length;
-            const sectionEnd = svgString.indexOf('</g>', sectionStart);
-            const sectionContent = svgString.substring(sectionStart, sectionEnd);
-            
-            // Look for the capacity background rect
-            const rectRegex = /<rect[^>]*x=["']([^"']+)["'][^>]*y=["']([^"']+)["'][^>]*width=["']([^"']+)["'][^>]*height=["']([^"']+)["'][^>]*>/;
-            const rectMatch = rectRegex.exec(sectionContent);
-            
-            if (rectMatch) {
-              const rectX = parseFloat(rectMatch[1]);
-              const rectY = parseFloat(rectMatch[2]);
-              const rectWidth = parseFloat(rectMatch[3]);
-              const rectHeight = parseFloat(rectMatch[4]);
-              
-              console.log(`📐 Layout section ${sectionName} dimensions: ${rectWidth}x${rectHeight} at (${rectX}, ${rectY})`);
-              
-              // Add the layout section as a clickable spot - ONLY for capacity_only sections
-              const sectionId = `section-${sectionName}`;
-              const existingSection = spots.find(spot => spot.id === sectionId);
-              if (!existingSection) {
-                spots.push({
-                  id: sectionId,
-                  x: rectX,
-                  y: rectY,
-                  width: rectWidth,
-                  height: rectHeight,
-                  spotNumber: sectionName,
-                  spotId: sectionId,
-                  section: sectionName,
-                });
-                
-                console.log(`✅ Added CAPACITY-ONLY layout section: ${sectionName} at (${rectX}, ${rectY}) size ${rectWidth}x${rectHeight}`);
-              } else {
-                console.log(`🚫 Skipping duplicate layout section: ${sectionId}`);
-              }
-            } else {
-              console.log(`⚠️ Could not find rect for layout section ${sectionName}, using fallback coordinates`);
-              
-              // Fallback: add with estimated coordinates
-              const sectionId = `section-${sectionName}`;
-              const existingSection = spots.find(spot => spot.id === sectionId);
-              if (!existingSection) {
-                spots.push({
-                  id: sectionId,
-                  x: x,
-                  y: y,
-                  width: 52,
-                  height: 156, // Default height
-                  spotNumber: sectionName,
-                  spotId: sectionId,
-                  section: sectionName,
-                });
-                
-                console.log(`✅ Added CAPACITY-ONLY layout section (fallback): ${sectionName} at (${x}, ${y})`);
-              }
-            }
-          } else {
-            console.log(`⚠️ Could not find layout section ${sectionName} in SVG at expected position ${position}`);
-          }
-        }
-        
-        // Log slot-based sections that are being ignored
-        const slotBasedSections = sectionsFromLayout.filter(section => 
-          section.section_data && section.section_data.section_mode === 'slot_based'
-        );
-        if (slotBasedSections.length > 0) {
-          console.log(`🚫 Ignoring ${slotBasedSections.length} slot-based sections:`, slotBasedSections.map(s => s.section_data.section_name));
-        }
-      } else {
-        // Fallback to hardcoded sections if no layout data
-        console.log('⚠️ No layout sections found, using fallback hardcoded sections');
-        
-        // Process FU Main capacity sections (V, X, VB) - look for the actual section groups in the SVG
-        console.log('🔍 Processing FU Main capacity sections (V, X, VB) as fallback...');
-        
-        // Look for the specific section groups in the SVG
-        const sectionGroups = [
-          {
-            name: 'V',
-            transform: 'translate(-3, 49)',
-            selector: '<g transform="translate(-3, 49)">',
-            endIndex: svgString.indexOf('</g>', svgString.indexOf('<g transform="translate(-3, 49)">'))
-          },
-          {
-            name: 'VB', 
-            transform: 'translate(101, -3)',
-            selector: '<g transform="translate(101, -3)">',
-            endIndex: svgString.indexOf('</g>', svgString.indexOf('<g transform="translate(101, -3)">'))
-          },
-          {
-            name: 'X',
-            transform: 'translate(101, 101)', 
-            selector: '<g transform="translate(101, 101)">',
-            endIndex: svgString.indexOf('</g>', svgString.indexOf('<g transform="translate(101, 101)">'))
-          }
-        ];
-        
-        for (const section of sectionGroups) {
-          const startIndex = svgString.indexOf(section.selector);
-          
-          if (startIndex === -1) {
-            console.log(`⚠️ Section ${section.name} not found in SVG`);
-            continue;
-          }
-          
-          console.log(`🎯 Found FU Main capacity section: ${section.name}`);
-          
-          // Extract coordinates from transform
-          const coords = section.transform.match(/translate\(([^)]+)\)/);
-          let x = 0, y = 0;
-          if (coords) {
-            const xy = coords[1].split(/[,\s]+/).map(parseFloat);
-            x = xy[0] || 0;
-            y = xy[1] || 0;
-          }
-          
-          // Find the section background rect for dimensions
-          const sectionStart = startIndex + section.selector.length;
-          const sectionEnd = section.endIndex > -1 ? section.endIndex : svgString.indexOf('</g>', startIndex);
-          const sectionContent = svgString.substring(sectionStart, sectionEnd);
-          
-          // Look for the capacity background rect
-          const rectRegex = /<rect[^>]*x=["']([^"']+)["'][^>]*y=["']([^"']+)["'][^>]*width=["']([^"']+)["'][^>]*height=["']([^"']+)["'][^>]*>/;
-          const rectMatch = rectRegex.exec(sectionContent);
-          
-          if (rectMatch) {
-            const rectX = parseFloat(rectMatch[1]);
-            const rectY = parseFloat(rectMatch[2]);
-            const rectWidth = parseFloat(rectMatch[3]);
-            const rectHeight = parseFloat(rectMatch[4]);
-            
-            console.log(`📐 Section ${section.name} rect found: ${rectWidth}x${rectHeight} at (${rectX}, ${rectY})`);
-            
-            // Add the capacity section as a clickable spot
-            const sectionId = `section-${section.name}`;
-            const existingSection = spots.find(spot => spot.id === sectionId);
-            if (!existingSection) {
-              spots.push({
-                id: sectionId,
-                x: rectX,
-                y: rectY,
-                width: rectWidth,
-                height: rectHeight,
-                spotNumber: section.name,
-                spotId: sectionId,
-                section: section.name,
-              });
-              
-              console.log(`✅ Added FU Main section: ${section.name} at (${rectX}, ${rectY}) size ${rectWidth}x${rectHeight} ID: ${sectionId}`);
-            } else {
-              console.log(`🚫 Skipping duplicate capacity section: ${sectionId} (already exists)`);
-              continue;
-            }
-          }
-        }
-      }
-      
-      // Alternative approach: Look for sections by finding text elements with section letters from layout data
-      console.log('🔍 Trying alternative section detection by text content...');
-      const sectionLetters = sectionsFromLayout && sectionsFromLayout.length > 0 
-        ? sectionsFromLayout.map((s: any) => s.section_data?.section_name).filter(Boolean)
-        : ['V', 'X', 'VB']; // Fallback
-      
-      for (const letter of sectionLetters) {
-        // Look for text elements containing the section letter
-        const textRegex = new RegExp(`<text[^>]*>${letter}<\\/text>`, 'i');
-        const textMatch = textRegex.exec(svgString);
-        
-        if (textMatch) {
-          console.log(`🎯 Found text element for section ${letter}:`, textMatch[0]);
-          
-          // Check if this section is capacity_only before processing
-          const sectionData = sectionsFromLayout.find(s => s.section_data?.section_name === letter);
-          if (sectionData && sectionData.section_data.section_mode === 'slot_based') {
-            console.log(`🚫 Skipping slot-based section: ${letter}`);
-            continue;
-          }
-          
-          console.log(`✅ Processing capacity-only section: ${letter}`);
-          
-          // Find the parent group of this text element
-          const textIndex = textMatch.index;
-          const beforeText = svgString.substring(0, textIndex);
-          
-          // Look for the parent group
-          let searchPos = textIndex;
-          let parentGroupStart = -1;
-          
-          while (searchPos >= 0) {
-            const lastGroupOpen = beforeText.lastIndexOf('<g', searchPos);
-            const lastGroupClose = beforeText.lastIndexOf('</g>', searchPos);
-            
-            if (lastGroupOpen > lastGroupClose && lastGroupOpen >= 0) {
-              parentGroupStart = lastGroupOpen;
-              break;
-            }
-            searchPos = lastGroupOpen - 1;
-          }
-          
-          if (parentGroupStart >= 0) {
-            const groupEnd = svgString.indexOf('</g>', parentGroupStart);
-            const groupContent = svgString.substring(parentGroupStart, groupEnd);
-            
-            console.log(`🔍 Found parent group for section ${letter}:`, groupContent.substring(0, 100) + '...');
-            
-            // Extract transform from this group
-            const transformMatch = groupContent.match(/transform=["']([^"']+)["']/);
-            if (transformMatch) {
-              const transform = transformMatch[1];
-              console.log(`🎯 Extracted transform for section ${letter}: ${transform}`);
-              
-              // Parse coordinates
-              const coords = transform.match(/translate\(([^)]+)\)/);
-              let x = 0, y = 0;
-              if (coords) {
-                const xy = coords[1].split(/[,\s]+/).map(parseFloat);
-                x = xy[0] || 0;
-                y = xy[1] || 0;
-              }
-              
-              // Look for rect in this group for dimensions
-              const rectMatch = groupContent.match(/<rect[^>]*width=["']([^"']+)["'][^>]*height=["']([^"']+)["']/);
-              let width = 100, height = 50;
-              
-              if (rectMatch) {
-                width = parseFloat(rectMatch[1]) || 100;
-                height = parseFloat(rectMatch[2]) || 50;
-              }
-              
-              // Check if this section already exists
-              const existingSection = spots.find(s => s.id === `section-${letter}`);
-              if (!existingSection) {
-                spots.push({
-                  id: `section-${letter}`,
-                  x: x,
-                  y: y,
-                  width: width,
-                  height: height,
-                  spotNumber: letter,
-                  spotId: `section-${letter}`,
-                });
-                
-                console.log(`✅ Added ${letter} section via text detection: at (${x}, ${y}) size ${width}x${height}`);
-              } else {
-                console.log(`ℹ️ Section ${letter} already exists, skipping duplicate`);
-              }
-            }
-          }
-        } else {
-          console.log(`⚠️ No text element found for section ${letter}`);
-        }
-      }
-      
-      // Also look for text elements that might indicate spot numbers
-      const textRegex = /<text[^>]*>([^<]+)<\/text>/g;
-      while ((match = textRegex.exec(svgString)) !== null) {
-        const textContent = match[1].trim();
-        const textElement = match[0];
-        
-        // SPOT 4 DEBUG: Log all text elements found
-        console.log(`🔍 TEXT DEBUG: Found text element: "${textContent}"`);
-        console.log(`🔍 TEXT DEBUG: Full text element: ${textElement.substring(0, 200)}...`);
-        
-        // Check if text looks like a spot number
-        if (/^\d+$/.test(textContent)) {
-          console.log(`🚨 SPOT 4 DEBUG: Found numeric text: "${textContent}" - this could become spot ${textContent}!`);
-          
-          const xMatch = textElement.match(/x=["']([^"']+)["']/);
-          const yMatch = textElement.match(/y=["']([^"']+)["']/);
-          
-          if (xMatch && yMatch) {
-            const x = parseFloat(xMatch[1]);
-            const y = parseFloat(yMatch[1]);
-            
-            console.log(`🚨 SPOT 4 DEBUG: Text coordinates: x=${x}, y=${y}`);
-            console.log(`🚨 SPOT 4 DEBUG: This text could create a touchable spot at road position!`);
-            
-            // Check if these coordinates look like they're in a road area - use dynamic configuration
-            const parkingAreaName = bookingData?.parkingArea?.name || 'FPA';
-            const parkingAreaId = bookingData?.parkingArea?.id || 2;
-            const mapConfig = getMapConfig(parkingAreaId, parkingAreaName);
-            const { minX, minY, maxX, maxY } = mapConfig.coordinateBounds;
-            const isInRoadArea = (x < minX || y < minY || x > maxX || y > maxY);
-            if (isInRoadArea) {
-              console.log(`🚨 SPOT 4 DEBUG: TEXT IS IN ROAD AREA! This is likely the problematic spot ${textContent}! Bounds: (${minX},${minY}) to (${maxX},${maxY})`);
-            }
-          }
-        }
-        
-        // Check if text looks like a spot number
-        if (/^\d+$/.test(textContent)) {
-          console.log(`🚨 SPOT 4 DEBUG: Found numeric text: "${textContent}" - this could become spot ${textContent}!`);
-          
-          const xMatch = textElement.match(/x=["']([^"']+)["']/);
-          const yMatch = textElement.match(/y=["']([^"']+)["']/);
-          
-          if (xMatch && yMatch) {
-            const x = parseFloat(xMatch[1]);
-            const y = parseFloat(yMatch[1]);
-            
-            console.log(`🚨 SPOT 4 DEBUG: Text coordinates: x=${x}, y=${y}`);
-            console.log(`🚨 SPOT 4 DEBUG: This text could create a touchable spot at road position!`);
-            
-            // Check if these coordinates look like they're in a road area - use dynamic configuration
-            const parkingAreaName = bookingData?.parkingArea?.name || 'FPA';
-            const parkingAreaId = bookingData?.parkingArea?.id || 2;
-            const mapConfig = getMapConfig(parkingAreaId, parkingAreaName);
-            const { minX, minY, maxX, maxY } = mapConfig.coordinateBounds;
-            const isInRoadArea = (x < minX || y < minY || x > maxX || y > maxY);
-            if (isInRoadArea) {
-              console.log(`🚨 SPOT 4 DEBUG: TEXT IS IN ROAD AREA! This is likely the problematic spot ${textContent}! Bounds: (${minX},${minY}) to (${maxX},${maxY})`);
-            }
-            
-            // CRITICAL FIX: Check if this text element is inside a parking spot group
-            // If it is, we should NOT create a separate touchable spot from it
-            const textStartIndex = textRegex.lastIndex - textElement.length;
-            const precedingText = svgString.substring(Math.max(0, textStartIndex - 500), textStartIndex);
-            
-            // Check if the text is inside a parking spot group (has data-type="parking-slot")
-            const isInParkingSpotGroup = precedingText.includes('data-type="parking-slot"') ||
-                                       precedingText.includes('data-slot=') ||
-                                       precedingText.includes('data-section=');
-            
-            if (isInParkingSpotGroup) {
-              console.log(`🚫 TEXT FIX: Skipping text "${textContent}" - it's inside a parking spot group, should not create separate touchable`);
-              continue;
-            }
-            
-            // Check if we already have a spot at this location
-            const existingSpot = spots.find(s => 
-              Math.abs(s.x - x) < 20 && Math.abs(s.y - y) < 20
-            );
-            
-            if (!existingSpot) {
-              console.log(`🚨 SPOT 4 DEBUG: Creating spot from text "${textContent}" at (${x}, ${y})`);
-              spots.push({
-                id: `text-spot-${textContent}`,
-                x: x - 15,
-                y: y - 10,
-                width: 30,
-                height: 20,
-                spotNumber: textContent,
-                spotId: `text-spot-${textContent}`,
-              });
-              
-              if (textContent === '4') {
-                console.log(`🚨 SPOT 4 DEBUG: CREATED SPOT 4 FROM TEXT! This is the culprit!`);
-              }
-            }
-          }
-        }
-      }
-      
-      console.log(`✅ Parsed ${spots.length} clickable spots from SVG`);
-    } catch (error) {
-      console.error('❌ Error parsing SVG:', error);
-    }
-    
-    console.log(`🎯 Total parking spots found: ${spots.length}`);
-    console.log('📍 Final spot list:', spots.map(s => ({ 
-      id: s.id, 
-      spotNumber: s.spotNumber, 
-      x: s.x, 
-      y: s.y, 
-      width: s.width, 
-      height: s.height,
-      section: (s as any).section,
-      localSlot: (s as any).localSlot
-    })));
-    
-    // Log any suspicious spots that might be in roads
-    const suspiciousSpots = spots.filter(s => 
-      s.id.includes('4') && 
-      (s.x < 50 || s.y < 50 || s.x > 1200 || s.y > 300) // Check if in road-like areas
-    );
-    if (suspiciousSpots.length > 0) {
-      console.log('⚠️ Suspicious spots (possible road elements):', suspiciousSpots);
-    }
-    
-    return spots;
-  };
-
   // Function to load spot statuses from backend (with smooth update like attendant dashboard)
   const loadSpotStatuses = async (areaId: number, skipChangeCheck = false) => {
     try {
@@ -1464,7 +351,8 @@ const ActiveParkingScreen: React.FC = () => {
   };
 
   // Function to load SVG content using AJAX
-  const loadSvgContent = async (forceRefresh = false) => {
+  // Without a floor the backend opens the floor of this booking
+  const loadSvgContent = async (forceRefresh = false, floor?: number) => {
     if (!bookingData?.parkingArea?.id) return;
     
     // Clear existing content if forcing refresh
@@ -1478,18 +366,22 @@ const ActiveParkingScreen: React.FC = () => {
       console.log('🖼️ Loading parking layout for area:', bookingData.parkingArea.id, forceRefresh ? '(FORCE REFRESH)' : '');
       
       // Get layout info
-      const layoutInfo = await ApiService.getParkingAreaLayout(bookingData.parkingArea.id);
+      const layoutInfo = await ApiService.getParkingAreaLayout(bookingData.parkingArea.id, floor);
       console.log('📊 Layout response:', layoutInfo);
+
+      if (layoutInfo.success) {
+        setLayoutFloors(layoutInfo.data.floors || []);
+        setLayoutFloor(layoutInfo.data.floor ?? null);
+        setBookedFloor(layoutInfo.data.bookedFloor ?? null);
+      }
       
       if (layoutInfo.success && layoutInfo.data.hasLayout && layoutInfo.data.layoutSvg) {
         const svg = layoutInfo.data.layoutSvg;
         setSvgContent(svg);
         setLayoutId(layoutInfo.data.layoutId);
         
-        // Parse SVG for clickable elements
-        const layoutSections = (layoutInfo.data as any)?.sections || [];
-        const spots = parseSvgForClickableElements(layoutInfo.data.layoutSvg, layoutSections);
-        setClickableSpots(spots);
+        // Spot positions are precomputed by the backend when the layout is uploaded
+        setClickableSpots(layoutInfo.data.geometry ? getLayoutTouchables(layoutInfo.data.geometry) : []);
         
         // Load spot statuses in parallel with SVG
         loadSpotStatuses(bookingData.parkingArea.id, true);
@@ -2321,6 +1213,19 @@ const ActiveParkingScreen: React.FC = () => {
       return; // Only poll when layout tab is active
     }
 
+    const areaId = bookingData.parkingArea.id;
+
+    // Realtime stream connected: refresh when this area's spots or sections change instead of polling
+    if (isRealtimeConnected) {
+      return RealtimeService.subscribeRefresh(
+        (event) => event.data.parkingAreaId === Number(areaId),
+        () => {
+          loadSpotStatuses(areaId);
+          fetchCapacitySections(areaId);
+        }
+      );
+    }
+
     let pollingInterval: ReturnType<typeof setInterval> | null = null;
     
     // Start polling every 10 seconds to update spot statuses
@@ -2356,7 +1261,7 @@ const ActiveParkingScreen: React.FC = () => {
         clearInterval(pollingInterval);
       }
     };
-  }, [activeTab, bookingData?.parkingArea?.id]);
+  }, [activeTab, bookingData?.parkingArea?.id, isRealtimeConnected]);
 
   // Debug capacity sections state changes
   useEffect(() => {
@@ -2822,6 +1727,22 @@ const ActiveParkingScreen: React.FC = () => {
           const bookingData = response.data as unknown as BookingDetails;
           console.log('📊 Current booking status:', bookingData);
 
+          // Reservation was released because nobody scanned it within the grace period
+          if (bookingData.bookingStatus === 'expired') {
+            console.log('⏰ Reservation expired - stopping polling');
+            if (pollingInterval) {
+              clearInterval(pollingInterval);
+              pollingInterval = null;
+            }
+            setBookingData(null);
+            Alert.alert(
+              'Reservation Expired',
+              'Your reservation was released because it was not scanned by an attendant within the grace period.',
+              [{ text: 'OK', onPress: () => router.replace('/screens/HomeScreen') }]
+            );
+            return;
+          }
+
           // If attendant started the session and our timer isn't running
           if (bookingData.bookingStatus === 'active' && !isTimerRunning && bookingData.timestamps.startTime) {
             console.log('🟢 Attendant started session - syncing timer');
@@ -2932,17 +1853,72 @@ const ActiveParkingScreen: React.FC = () => {
       }
     };
 
-    // Poll immediately, then start polling every 1 second for real-time updates
+    // Poll immediately, then follow reservation events from the realtime stream,
+    // or poll every 1 second while the stream is unavailable
     pollReservationStatus();
-    pollingInterval = setInterval(pollReservationStatus, 1000);
+    const unsubscribe = isRealtimeConnected
+      ? RealtimeService.subscribeRefresh(
+          (event) => event.type.startsWith('reservation.') && event.data.reservationId === Number(bookingData.reservationId),
+          pollReservationStatus,
+          0
+        )
+      : null;
+    if (!isRealtimeConnected) {
+      pollingInterval = setInterval(pollReservationStatus, 1000);
+    }
 
     // Cleanup
     return () => {
+      unsubscribe?.();
       if (pollingInterval) {
         clearInterval(pollingInterval);
       }
     };
-  }, [bookingData?.reservationId, isTimerRunning, isAuthenticated]);
+  }, [bookingData?.reservationId, isTimerRunning, isAuthenticated, isRealtimeConnected]);
+
+  // Countdown to reservation expiry while waiting for the attendant to scan
+  useEffect(() => {
+    if (isTimerRunning || bookingData?.bookingStatus !== 'reserved' || !bookingData?.expiresAt) {
+      setExpiryRemaining(null);
+      return;
+    }
+
+    const expiresAtMs = new Date(bookingData.expiresAt).getTime();
+    const updateRemaining = () => {
+      setExpiryRemaining(Math.max(0, Math.floor((expiresAtMs - Date.now()) / 1000)));
+    };
+
+    updateRemaining();
+    const countdownInterval = setInterval(updateRemaining, 1000);
+
+    return () => clearInterval(countdownInterval);
+  }, [bookingData?.expiresAt, bookingData?.bookingStatus, isTimerRunning]);
+
+  // Sign a fresh ticket QR whenever a new period starts, on the server's clock
+  useEffect(() => {
+    const ticket = bookingData?.ticket;
+    const reservationId = bookingData?.reservationId;
+    if (!ticket || !reservationId) {
+      setQrTicketValue(null);
+      return;
+    }
+
+    const clockOffset = getServerClockOffset(ticket, Date.now());
+    let signedPeriod = -1;
+    const refreshTicket = () => {
+      const serverNow = Date.now() + clockOffset;
+      const period = getTicketPeriod(ticket, serverNow);
+      if (period !== signedPeriod) {
+        signedPeriod = period;
+        setQrTicketValue(buildQrTicket(reservationId, ticket, serverNow));
+      }
+    };
+
+    refreshTicket();
+    const ticketInterval = setInterval(refreshTicket, 1000);
+
+    return () => clearInterval(ticketInterval);
+  }, [bookingData?.ticket, bookingData?.reservationId]);
 
   const formatTime = (seconds: number) => {
     const hours = Math.floor(seconds / 3600);
@@ -3239,50 +2215,10 @@ const ActiveParkingScreen: React.FC = () => {
             <View style={activeParkingScreenStyles.qrSection}>
               <View style={activeParkingScreenStyles.qrContainer}>
                 {(() => {
-                  // Validate and clean qrKey - ensure it's a string, not JSON
-                  let qrKey: string | null = null;
-                  
-                  // Debug logging
-                  console.log('🔍 QR Code Debug - bookingData:', bookingData ? 'exists' : 'null');
-                  console.log('🔍 QR Code Debug - bookingData.qrKey:', bookingData?.qrKey);
-                  
-                  if (bookingData?.qrKey !== null && bookingData?.qrKey !== undefined && bookingData?.qrKey !== '') {
-                    const rawKey = String(bookingData.qrKey).trim();
-                    console.log('🔍 QR Code Debug - rawKey:', rawKey);
-                    
-                    // Check if it's JSON (starts with { or [)
-                    if (rawKey.startsWith('{') || rawKey.startsWith('[')) {
-                      try {
-                        const parsed = JSON.parse(rawKey);
-                        // If it parsed to an object, it's not a valid UUID - skip it
-                        console.log('⚠️ QR Code Debug - qrKey appears to be JSON, rejecting');
-                        qrKey = null;
-                      } catch (e) {
-                        // Parse failed but starts with {, still not valid
-                        console.log('⚠️ QR Code Debug - qrKey parse failed, rejecting');
-                        qrKey = null;
-                      }
-                    } else {
-                      // Not JSON - use it as is (should be UUID string)
-                      qrKey = rawKey;
-                      console.log('✅ QR Code Debug - Valid qrKey found:', qrKey);
-                    }
-                  } else {
-                    console.log('❌ QR Code Debug - No qrKey found in bookingData');
-                  }
-                  
-                  // Only render QRCode if we have a valid qrKey
-                  if (qrKey) {
-                    // Generate QR code data with only qr_key (matches backend implementation)
-                    // IMPORTANT: Only qr_key is included in the QR code for validation
-                    const qrData = {
-                      qr_key: qrKey
-                    };
-                    const qrString = JSON.stringify(qrData);
-                    
+                  if (qrTicketValue) {
                     return (
                       <QRCode
-                        value={qrString}
+                        value={qrTicketValue}
                         size={(() => {
                           const smallestDim = Math.min(screenDimensions.width, screenDimensions.height);
                           // Responsive QR code size based on smallest dimension - Enlarged for better visibility
@@ -3308,13 +2244,13 @@ const ActiveParkingScreen: React.FC = () => {
                       />
                     );
                   } else {
-                    // Show placeholder when qrKey is missing
+                    // Show placeholder while the ticket is loading or once the booking can no longer be scanned
                     return (
                       <View style={activeParkingScreenStyles.qrPlaceholder}>
                         <Text style={activeParkingScreenStyles.qrPlaceholderEmoji}>📱</Text>
                         <Text style={activeParkingScreenStyles.qrPlaceholderText}>QR Code</Text>
                         <Text style={activeParkingScreenStyles.qrPlaceholderSubtext}>
-                          {bookingData ? 'QR key not available. This reservation may not have a qr_key in the database.' : 'Loading...'}
+                          {bookingData ? 'QR ticket not available for this booking.' : 'Loading...'}
                         </Text>
                       </View>
                     );
@@ -3325,6 +2261,16 @@ const ActiveParkingScreen: React.FC = () => {
                 {!isTimerRunning ? 'Waiting for attendant to start parking session...' : 
                  'Parking session is active. Attendant will end the session.'}
               </Text>
+              {expiryRemaining !== null && (
+                <Text style={[
+                  activeParkingScreenStyles.expiryCountdown,
+                  expiryRemaining <= 300 && activeParkingScreenStyles.expiryCountdownUrgent
+                ]}>
+                  {expiryRemaining > 0
+                    ? `Reservation expires in ${formatTime(expiryRemaining)}`
+                    : 'Reservation is expiring...'}
+                </Text>
+              )}
             </View>
 
             {/* Dashed Separator */}
@@ -3397,7 +2343,7 @@ const ActiveParkingScreen: React.FC = () => {
                   <TouchableOpacity
                     style={activeParkingScreenStyles.refreshButton}
                     onPress={() => {
-                      loadSvgContent(true);
+                      loadSvgContent(true, layoutFloor ?? undefined);
                       if (bookingData?.parkingArea?.id) {
                         loadSpotStatuses(bookingData.parkingArea.id, true); // Force refresh on manual refresh
                       }
@@ -3463,6 +2409,12 @@ const ActiveParkingScreen: React.FC = () => {
                     <Text style={activeParkingScreenStyles.refreshButtonText}> Reset</Text>
                   </TouchableOpacity>
                 </View>
+                <FloorSelector
+                  floors={layoutFloors}
+                  selectedFloor={layoutFloor}
+                  onSelectFloor={(floor) => loadSvgContent(true, floor)}
+                  bookedFloor={bookedFloor}
+                />
                 <View style={activeParkingScreenStyles.mapContainer}>
                   <ScrollView 
                     ref={scrollViewRef}
@@ -4058,16 +3010,22 @@ const ActiveParkingScreen: React.FC = () => {
               </View>
             ) : (
               <View style={activeParkingScreenStyles.emptyStateContainer}>
+                <FloorSelector
+                  floors={layoutFloors}
+                  selectedFloor={layoutFloor}
+                  onSelectFloor={(floor) => loadSvgContent(true, floor)}
+                  bookedFloor={bookedFloor}
+                />
                 <Text style={activeParkingScreenStyles.emptyStateTitle}>🚧 No Layout Available</Text>
                 <Text style={activeParkingScreenStyles.emptyStateMessage}>
-                  No parking layout is available for this area yet.
+                  No parking layout is available for {layoutFloors.length > 1 ? `floor ${layoutFloor} of ` : ''}this area yet.
                 </Text>
                 <Text style={activeParkingScreenStyles.emptyStateSubMessage}>
                   The layout will be displayed here once it's configured for this parking area.
                 </Text>
                 <TouchableOpacity
                   style={activeParkingScreenStyles.refreshButton}
-                  onPress={() => loadSvgContent(true)}
+                  onPress={() => loadSvgContent(true, layoutFloor ?? undefined)}
                 >
                   <Ionicons name="refresh" size={16} color="#FFFFFF" />
                   <Text style={activeParkingScreenStyles.refreshButtonText}> Refresh</Text>
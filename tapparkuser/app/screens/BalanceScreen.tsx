@@ -229,6 +229,13 @@ const BalanceScreen: React.FC = () => {
     }
   };
 
+  // Refunded purchases keep their row but no longer count toward the balance
+  const isRefundedTransaction = (transaction: any) => {
+    return Number(transaction.refunded_amount) > 0 ||
+      transaction.status === 'refunded' ||
+      transaction.status === 'partially_refunded';
+  };
+
   // Get subscription plan name
   const getSubscriptionPlanName = (transaction: any) => {
     return transaction.subscription_plan_name || transaction.plan_name || 'Subscription Plan';
@@ -278,6 +285,9 @@ const BalanceScreen: React.FC = () => {
       case 'failed':
       case 'cancelled':
         return '#F44336';
+      case 'refunded':
+      case 'partially_refunded':
+        return '#607D8B';
       default:
         return '#8A0000';
     }
@@ -382,6 +392,18 @@ const BalanceScreen: React.FC = () => {
                 <Text style={balanceScreenStyles.topUpText}>+ ADD HOURS</Text>
               </TouchableOpacity>
             </View>
+
+            {/* Outstanding Penalty */}
+            {subscriptionBalance?.outstanding_penalty_hours > 0 && (
+              <View style={balanceScreenStyles.penaltyNotice}>
+                <Text style={balanceScreenStyles.penaltyNoticeTitle}>
+                  Outstanding penalty: {formatHoursToHHMM(Number(subscriptionBalance.outstanding_penalty_hours))} hrs
+                </Text>
+                <Text style={balanceScreenStyles.penaltyNoticeText}>
+                  These hours will be deducted from the next plan you purchase.
+                </Text>
+              </View>
+            )}
           </View>
 
           {/* Transactions Section */}
@@ -424,7 +446,10 @@ const BalanceScreen: React.FC = () => {
                     />
                   </View>
                   <View style={balanceScreenStyles.transactionInfo}>
-                    <Text style={balanceScreenStyles.transactionAmount}>
+                    <Text style={[
+                      balanceScreenStyles.transactionAmount,
+                      isRefundedTransaction(transaction) && balanceScreenStyles.refundedTransactionAmount
+                    ]}>
                       {formatTransactionAmount(transaction)}
                     </Text>
                     {transaction.payment_type === 'subscription' && (
@@ -432,6 +457,11 @@ const BalanceScreen: React.FC = () => {
                         {getSubscriptionPlanName(transaction)}
                       </Text>
                     )}
+                    {isRefundedTransaction(transaction) && (
+                      <Text style={balanceScreenStyles.refundedLabel}>
+                        Refunded ₱{Number(transaction.refunded_amount || transaction.amount).toFixed(2)}
+                      </Text>
+                    )}
                   </View>
                   <SvgXml 
                     xml={maroonTimeIconSvg}
@@ -516,7 +546,7 @@ const BalanceScreen: React.FC = () => {
                   <View style={balanceScreenStyles.detailRow}>
                     <Text style={balanceScreenStyles.detailLabel}>Status:</Text>
                     <Text style={[balanceScreenStyles.detailValue, { color: getTransactionStatusColor(selectedTransaction.status) }]}>
-                      {selectedTransaction.status.charAt(0).toUpperCase() + selectedTransaction.status.slice(1)}
+                      {(selectedTransaction.status.charAt(0).toUpperCase() + selectedTransaction.status.slice(1)).replace('_', ' ')}
                     </Text>
                   </View>
                 )}
@@ -572,6 +602,40 @@ const BalanceScreen: React.FC = () => {
                         </Text>
                       </View>
                     )}
+                    {Number(selectedTransaction.penalty_hours_deducted) > 0 && (
+                      <View style={balanceScreenStyles.detailRow}>
+                        <Text style={balanceScreenStyles.detailLabel}>Penalty Deducted:</Text>
+                        <Text style={[balanceScreenStyles.detailValue, balanceScreenStyles.penaltyDeductionValue]}>
+                          - {formatHoursToHHMM(Number(selectedTransaction.penalty_hours_deducted))} hours
+                        </Text>
+                      </View>
+                    )}
+                    {isRefundedTransaction(selectedTransaction) && (
+                      <>
+                        <View style={balanceScreenStyles.detailRow}>
+                          <Text style={balanceScreenStyles.detailLabel}>Refunded:</Text>
+                          <Text style={[balanceScreenStyles.detailValue, balanceScreenStyles.refundedValue]}>
+                            ₱{Number(selectedTransaction.refunded_amount || selectedTransaction.amount).toFixed(2)}
+                          </Text>
+                        </View>
+                        {selectedTransaction.refunded_at && (
+                          <View style={balanceScreenStyles.detailRow}>
+                            <Text style={balanceScreenStyles.detailLabel}>Refunded On:</Text>
+                            <Text style={balanceScreenStyles.detailValue}>
+                              {formatTransactionDate(selectedTransaction.refunded_at)}
+                            </Text>
+                          </View>
+                        )}
+                        {Number(selectedTransaction.refunded_hours) > 0 && (
+                          <View style={balanceScreenStyles.detailRow}>
+                            <Text style={balanceScreenStyles.detailLabel}>Hours Removed:</Text>
+                            <Text style={[balanceScreenStyles.detailValue, balanceScreenStyles.refundedValue]}>
+                              - {formatHoursToHHMM(Number(selectedTransaction.refunded_hours))} hours
+                            </Text>
+                          </View>
+                        )}
+                      </>
+                    )}
                   </>
                 )}
 
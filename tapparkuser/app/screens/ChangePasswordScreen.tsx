@@ -21,6 +21,7 @@ import { useAuth } from '../../contexts/AuthContext';
 import { useThemeColors, useTheme } from '../../contexts/ThemeContext';
 import { useLoading } from '../../contexts/LoadingContext';
 import ApiService from '../../services/api';
+import { getPasswordProblem } from '../../utils/passwordPolicy';
 import { useScreenDimensions } from '../../hooks/use-screen-dimensions';
 
 const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
@@ -130,8 +131,9 @@ const ChangePasswordScreen: React.FC = () => {
       Alert.alert('Error', 'Please enter a new password');
       return false;
     }
-    if (newPassword.length < 6) {
-      Alert.alert('Error', 'New password must be at least 6 characters long');
+    const passwordProblem = getPasswordProblem(newPassword);
+    if (passwordProblem) {
+      Alert.alert('Error', passwordProblem);
       return false;
     }
     if (newPassword !== confirmPassword) {
@@ -0,0 +1,200 @@
+import React, { useCallback, useState } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+  RefreshControl
+} from 'react-native';
+import { useRouter } from 'expo-router';
+import { useFocusEffect } from '@react-navigation/native';
+import SharedHeader from '../../components/SharedHeader';
+import { useAuth } from '../../contexts/AuthContext';
+import { useThemeColors } from '../../contexts/ThemeContext';
+import { useLoading } from '../../contexts/LoadingContext';
+import { ApiService } from '../../services/api';
+import { getDevicesScreenStyles } from '../styles/devicesScreenStyles';
+
+type DeviceSession = Awaited<ReturnType<typeof ApiService.getSessions>>['data']['sessions'][number];
+
+const formatDateTime = (value: string | null) => {
+  if (!value) return 'Never';
+  return new Date(value).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+// Devices signed in to this account; each can be signed out remotely
+const DevicesScreen: React.FC = () => {
+  const router = useRouter();
+  const { logout } = useAuth();
+  const colors = useThemeColors();
+  const { showLoading, hideLoading } = useLoading();
+  const styles = getDevicesScreenStyles(colors);
+
+  const [sessions, setSessions] = useState<DeviceSession[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [busySessionId, setBusySessionId] = useState<number | null>(null);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const response = await ApiService.getSessions();
+      if (response.success) {
+        setSessions(response.data.sessions);
+      }
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+      Alert.alert('Error', error instanceof Error ? error.message : 'Failed to load devices');
+    } finally {
+      setIsLoading(false);
+      setIsRefreshing(false);
+    }
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadSessions();
+    }, [loadSessions])
+  );
+
+  const handleSignOutDevice = (session: DeviceSession) => {
+    if (session.is_current) {
+      Alert.alert('Log Out', 'Log out of this device?', [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Log Out',
+          style: 'destructive',
+          onPress: async () => {
+            await logout();
+            router.replace('/screens/LoginScreen');
+          }
+        }
+      ]);
+      return;
+    }
+
+    Alert.alert('Sign Out Device', `Sign out ${session.device_name || 'this device'}?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Sign Out',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            setBusySessionId(session.session_id);
+            await ApiService.revokeSession(session.session_id);
+            setSessions((current) => current.filter((item) => item.session_id !== session.session_id));
+          } catch (error) {
+            Alert.alert('Error', error instanceof Error ? error.message : 'Failed to sign out device');
+          } finally {
+            setBusySessionId(null);
+          }
+        }
+      }
+    ]);
+  };
+
+  const handleLogoutAll = () => {
+    Alert.alert(
+      'Log Out of All Devices',
+      'Every device, including this one, will need to log in again.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Log Out All',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              showLoading();
+              await ApiService.logoutAllDevices();
+            } catch (error) {
+              console.error('Logout all error:', error);
+            } finally {
+              await logout();
+              hideLoading();
+              router.replace('/screens/LoginScreen');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <SharedHeader
+        title="Signed-in Devices"
+        showBackButton
+        onBackPress={() => {
+          showLoading();
+          router.back();
+          setTimeout(() => hideLoading(), 500);
+        }}
+      />
+
+      <ScrollView
+        contentContainerStyle={styles.scrollContent}
+        refreshControl={
+          <RefreshControl
+            refreshing={isRefreshing}
+            onRefresh={() => {
+              setIsRefreshing(true);
+              loadSessions();
+            }}
+            colors={[colors.primary]}
+            tintColor={colors.primary}
+          />
+        }
+      >
+        <Text style={styles.introText}>
+          These devices are signed in to your account. Sign out any device you don&apos;t recognize.
+        </Text>
+
+        {isLoading ? (
+          <ActivityIndicator size="large" color={colors.primary} />
+        ) : sessions.length === 0 ? (
+          <Text style={styles.emptyText}>No signed-in devices</Text>
+        ) : (
+          sessions.map((session) => (
+            <View
+              key={session.session_id}
+              style={[styles.deviceCard, session.is_current && styles.currentDeviceCard]}
+            >
+              <View style={styles.deviceInfo}>
+                <Text style={styles.deviceName}>{session.device_name || 'Unknown device'}</Text>
+                {session.is_current && <Text style={styles.currentBadge}>This device</Text>}
+                <Text style={styles.deviceMeta}>
+                  {session.platform ? `${session.platform} • ` : ''}Signed in {formatDateTime(session.created_at)}
+                </Text>
+                <Text style={styles.deviceMeta}>Last active {formatDateTime(session.last_used_at)}</Text>
+              </View>
+              <TouchableOpacity
+                style={[styles.signOutButton, busySessionId === session.session_id && styles.disabledButton]}
+                onPress={() => handleSignOutDevice(session)}
+                disabled={busySessionId === session.session_id}
+              >
+                {busySessionId === session.session_id ? (
+                  <ActivityIndicator size="small" color={colors.primary} />
+                ) : (
+                  <Text style={styles.signOutButtonText}>Sign Out</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          ))
+        )}
+
+        <TouchableOpacity style={styles.logoutAllButton} onPress={handleLogoutAll}>
+          <Text style={styles.logoutAllButtonText}>Log Out of All Devices</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </View>
+  );
+};
+
+export default DevicesScreen;
@@ -0,0 +1,238 @@
+import React, { useState } from 'react';
+import {
+  View,
+  TextInput,
+  TouchableOpacity,
+  Text,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+  Keyboard,
+  TouchableWithoutFeedback,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useRouter, useLocalSearchParams } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import { loginStyles } from '../styles/loginStyles';
+import { ApiService } from '../../services/api';
+import { getPasswordProblem } from '../../utils/passwordPolicy';
+
+// Two steps: request a code by email, then enter the code with a new password.
+// The reset email links here with ?email=&code= so both fields can arrive prefilled.
+export default function ForgotPasswordScreen() {
+  const router = useRouter();
+  const params = useLocalSearchParams<{ email?: string; code?: string }>();
+
+  const [step, setStep] = useState<'request' | 'reset'>(params.code ? 'reset' : 'request');
+  const [email, setEmail] = useState(params.email || '');
+  const [code, setCode] = useState(params.code || '');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [info, setInfo] = useState('');
+
+  const isValidEmail = (value: string) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+
+  const handleRequestCode = async () => {
+    setError('');
+    setInfo('');
+
+    if (!isValidEmail(email.trim())) {
+      setError('Please enter a valid email address');
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      const response = await ApiService.requestPasswordReset(email.trim());
+      setInfo(response.message);
+      setStep('reset');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to send reset code');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleResetPassword = async () => {
+    setError('');
+
+    if (!code.trim()) {
+      setError('Enter the code from the email');
+      return;
+    }
+    const passwordProblem = getPasswordProblem(newPassword);
+    if (passwordProblem) {
+      setError(passwordProblem);
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      const response = await ApiService.resetPassword(email.trim(), code.trim(), newPassword);
+      Alert.alert('Password Reset', response.message, [
+        { text: 'OK', onPress: () => router.replace('/screens/LoginScreen') }
+      ]);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to reset password');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleGoBack = () => {
+    if (step === 'reset' && !params.code) {
+      setStep('request');
+      setError('');
+      return;
+    }
+    router.replace('/screens/LoginScreen');
+  };
+
+  return (
+    <SafeAreaView style={styles.safeArea} edges={['top', 'bottom']}>
+      <TouchableWithoutFeedback onPress={Keyboard.dismiss}>
+        <View style={{ flex: 1 }}>
+          <KeyboardAvoidingView
+            behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+            style={{ flex: 1 }}
+            enabled
+          >
+            <ScrollView
+              contentContainerStyle={styles.scrollContent}
+              keyboardShouldPersistTaps="handled"
+              showsVerticalScrollIndicator={false}
+              bounces={false}
+            >
+              <View style={styles.middleSection}>
+                <Text style={styles.formTitle}>
+                  {step === 'request' ? 'Forgot your password?' : 'Set a new password'}
+                </Text>
+                <Text style={styles.formSubtitle}>
+                  {step === 'request'
+                    ? 'Enter the email you signed up with and we will send you a reset code.'
+                    : `Enter the code sent to ${email.trim() || 'your email'} and choose a new password.`}
+                </Text>
+              </View>
+
+              <View style={styles.inputSection}>
+                <TextInput
+                  style={styles.inputField}
+                  placeholder="Email"
+                  placeholderTextColor="#9CA3AF"
+                  value={email}
+                  onChangeText={(text) => {
+                    setEmail(text);
+                    if (error) setError('');
+                  }}
+                  editable={step === 'request'}
+                  keyboardType="email-address"
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                />
+
+                {step === 'reset' && (
+                  <>
+                    <TextInput
+                      style={styles.inputField}
+                      placeholder="Reset code"
+                      placeholderTextColor="#9CA3AF"
+                      value={code}
+                      onChangeText={(text) => {
+                        setCode(text.toUpperCase());
+                        if (error) setError('');
+                      }}
+                      autoCapitalize="characters"
+                      autoCorrect={false}
+                      maxLength={12}
+                    />
+                    <View style={styles.passwordContainer}>
+                      <TextInput
+                        style={styles.passwordFieldWithIcon}
+                        placeholder="New password"
+                        placeholderTextColor="#9CA3AF"
+                        secureTextEntry={!showPassword}
+                        value={newPassword}
+                        onChangeText={(text) => {
+                          setNewPassword(text);
+                          if (error) setError('');
+                        }}
+                        autoCapitalize="none"
+                        autoCorrect={false}
+                      />
+                      <TouchableOpacity
+                        onPress={() => setShowPassword(!showPassword)}
+                        style={styles.eyeIconButton}
+                      >
+                        <Ionicons
+                          name={showPassword ? 'eye-off-outline' : 'eye-outline'}
+                          size={22}
+                          color="#6B7280"
+                        />
+                      </TouchableOpacity>
+                    </View>
+                    <TextInput
+                      style={styles.inputField}
+                      placeholder="Confirm new password"
+                      placeholderTextColor="#9CA3AF"
+                      secureTextEntry={!showPassword}
+                      value={confirmPassword}
+                      onChangeText={(text) => {
+                        setConfirmPassword(text);
+                        if (error) setError('');
+                      }}
+                      autoCapitalize="none"
+                      autoCorrect={false}
+                    />
+                    <TouchableOpacity
+                      onPress={handleRequestCode}
+                      style={styles.forgotPasswordLink}
+                      disabled={isSubmitting}
+                    >
+                      <Text style={styles.forgotPasswordText}>Send a new code</Text>
+                    </TouchableOpacity>
+                  </>
+                )}
+
+                {info ? <Text style={styles.infoText}>{info}</Text> : null}
+                {error ? <Text style={styles.errorText}>{error}</Text> : null}
+              </View>
+
+              <View style={styles.bottomSection}>
+                <View style={styles.buttonContainer}>
+                  <TouchableOpacity onPress={handleGoBack} style={styles.goBackButton}>
+                    <Text style={styles.goBackButtonText}>Go Back</Text>
+                  </TouchableOpacity>
+
+                  <TouchableOpacity
+                    onPress={step === 'request' ? handleRequestCode : handleResetPassword}
+                    style={[styles.loginButton, isSubmitting && { opacity: 0.7 }]}
+                    disabled={isSubmitting}
+                  >
+                    {isSubmitting ? (
+                      <ActivityIndicator color="#FFFFFF" size="small" />
+                    ) : (
+                      <Text style={styles.loginButtonText}>
+                        {step === 'request' ? 'Send Code' : 'Reset'}
+                      </Text>
+                    )}
+                  </TouchableOpacity>
+                </View>
+              </View>
+            </ScrollView>
+          </KeyboardAvoidingView>
+        </View>
+      </TouchableWithoutFeedback>
+    </SafeAreaView>
+  );
+}
+
+const styles = loginStyles;
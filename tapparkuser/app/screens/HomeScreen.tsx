@@ -27,7 +27,10 @@ import { useAuth } from '../../contexts/AuthContext';
 import { useDrawer } from '../../contexts/DrawerContext';
 import { useLoading } from '../../contexts/LoadingContext';
 import { useThemeColors, useTheme } from '../../contexts/ThemeContext';
-import ApiService from '../../services/api';
+import ApiService, { AvailabilityForecast } from '../../services/api';
+import { RealtimeService } from '../../services/realtime';
+import { getLayoutTouchables } from '../../utils/svgSpotPositioning';
+import { useRealtime } from '../../hooks/use-realtime';
 import TermsModal from '../../components/TermsModal';
 import { 
   lineGraphIconSvg, 
@@ -85,6 +88,57 @@ const getResponsiveMargin = (baseMargin: number) => {
   return baseMargin;
 };
 
+// Scheduled bookings - slots start on the hour, up to a week ahead
+const SCHEDULE_DAYS = 7;
+const SCHEDULE_DURATIONS = [1, 2, 3, 4];
+const SCHEDULE_MIN_LEAD_MINUTES = 15;
+
+const getScheduleDate = (dayOffset: number, hour: number) => {
+  const date = new Date();
+  date.setDate(date.getDate() + dayOffset);
+  date.setHours(hour, 0, 0, 0);
+  return date;
+};
+
+const getScheduleDayLabel = (dayOffset: number) => {
+  if (dayOffset === 0) return 'Today';
+  if (dayOffset === 1) return 'Tomorrow';
+  return getScheduleDate(dayOffset, 0).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+};
+
+// Start hours for a day that still respect the backend's minimum lead time
+const getAvailableStartHours = (dayOffset: number) => {
+  const earliestStart = Date.now() + SCHEDULE_MIN_LEAD_MINUTES * 60 * 1000;
+  return Array.from({ length: 24 }, (_, hour) => hour)
+    .filter(hour => getScheduleDate(dayOffset, hour).getTime() >= earliestStart);
+};
+
+const formatScheduleHour = (hour: number) => {
+  const displayHour = hour % 12 === 0 ? 12 : hour % 12;
+  return `${displayHour}:00 ${hour < 12 ? 'AM' : 'PM'}`;
+};
+
+// Forecasts open on the next whole hour
+const getDefaultForecastTime = () => {
+  const next = new Date(Date.now() + 60 * 60 * 1000);
+  const dayOffset = next.getDate() === new Date().getDate() ? 0 : 1;
+  return { dayOffset, hour: next.getHours() };
+};
+
+// Forecast section types are car/motorcycle/bicycle; e-bikes park in bicycle sections
+const toForecastVehicleType = (vehicleType?: string) => {
+  const type = (vehicleType || '').toLowerCase();
+  return type === 'ebike' || type === 'bike' ? 'bicycle' : type;
+};
+
+const formatScheduleWindow = (start: string, end: string) => {
+  const startDate = new Date(start);
+  const endDate = new Date(end);
+  const day = startDate.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+  const timeOptions: Intl.DateTimeFormatOptions = { hour: 'numeric', minute: '2-digit' };
+  return `${day}, ${startDate.toLocaleTimeString('en-US', timeOptions)} - ${endDate.toLocaleTimeString('en-US', timeOptions)}`;
+};
+
 export default function HomeScreen() {
   const { user, isAuthenticated, isLoading, checkAuthStatus } = useAuth();
   const { toggleDrawer } = useDrawer();
@@ -97,6 +151,20 @@ export default function HomeScreen() {
   const [showTermsModal, setShowTermsModal] = useState(false);
   const [isAcceptingTerms, setIsAcceptingTerms] = useState(false);
   const [hasCheckedTerms, setHasCheckedTerms] = useState(false);
+  const [isResendingVerification, setIsResendingVerification] = useState(false);
+
+  // Unverified accounts can browse but not book or buy plans until the email link is opened
+  const handleResendVerification = async () => {
+    try {
+      setIsResendingVerification(true);
+      const response = await ApiService.resendVerificationEmail();
+      Alert.alert('Email Sent', response.message);
+    } catch (error) {
+      Alert.alert('Error', error instanceof Error ? error.message : 'Failed to send verification email');
+    } finally {
+      setIsResendingVerification(false);
+    }
+  };
 
   // Set Android navigation bar to black
   useEffect(() => {
@@ -204,10 +272,25 @@ export default function HomeScreen() {
   const [selectedParkingArea, setSelectedParkingArea] = useState<any>(null);
   const [assignedSpotDetails, setAssignedSpotDetails] = useState<any>(null);
   const [frequentSpots, setFrequentSpots] = useState<any[]>([]);
+  const frequentAreaIds = useMemo(
+    () => [...new Set<number>(frequentSpots.map((spot) => Number(spot.parking_area_id)).filter(Boolean))],
+    [frequentSpots]
+  );
+  const isRealtimeConnected = useRealtime(frequentAreaIds, isAuthenticated);
   const [isLoadingFrequentSpots, setIsLoadingFrequentSpots] = useState(false);
   const [selectedSpotForBooking, setSelectedSpotForBooking] = useState<any>(null);
   const [showVehicleMismatchModal, setShowVehicleMismatchModal] = useState(false);
   const [mismatchData, setMismatchData] = useState<any>(null);
+  const [upcomingBookings, setUpcomingBookings] = useState<any[]>([]);
+  const [isScheduleMode, setIsScheduleMode] = useState(false);
+  const [scheduleDayOffset, setScheduleDayOffset] = useState(0);
+  const [scheduleStartHour, setScheduleStartHour] = useState<number | null>(null);
+  const [scheduleDurationHours, setScheduleDurationHours] = useState(1);
+  const [isSchedulingBooking, setIsSchedulingBooking] = useState(false);
+  const [forecastDayOffset, setForecastDayOffset] = useState(() => getDefaultForecastTime().dayOffset);
+  const [forecastHour, setForecastHour] = useState(() => getDefaultForecastTime().hour);
+  const [forecasts, setForecasts] = useState<AvailabilityForecast[]>([]);
+  const [isForecastPickerVisible, setIsForecastPickerVisible] = useState(false);
   const [canScrollVehicles, setCanScrollVehicles] = useState(false);
   const vehicleScrollViewWidth = useRef(0);
   const vehicleContentWidth = useRef(0);
@@ -330,6 +413,66 @@ export default function HomeScreen() {
     }
   }, [isAuthenticated]);
 
+  // Forecast for the chosen time, shown on the parking area cards
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setForecasts([]);
+      return;
+    }
+    const fetchForecasts = async () => {
+      try {
+        const response = await ApiService.getAvailabilityForecast(getScheduleDate(forecastDayOffset, forecastHour));
+        if (response.success) {
+          setForecasts(response.data.forecasts);
+        }
+      } catch (error) {
+        console.error('Error fetching availability forecast:', error);
+        setForecasts([]);
+      }
+    };
+    fetchForecasts();
+  }, [isAuthenticated, forecastDayOffset, forecastHour]);
+
+  // Forecast of an area for the user's own vehicle types (all types when they have no vehicle)
+  const getAreaForecast = (areaId: number) => {
+    const vehicleTypes = new Set(userVehicles.map(vehicle => toForecastVehicleType(vehicle.vehicle_type)));
+    const areaForecasts = forecasts.filter(forecast =>
+      forecast.parkingAreaId === Number(areaId) &&
+      (vehicleTypes.size === 0 || vehicleTypes.has(forecast.vehicleType))
+    );
+    if (areaForecasts.length === 0) {
+      return null;
+    }
+    return {
+      expectedFree: areaForecasts.reduce((total, forecast) => total + forecast.expectedFree, 0),
+      openCapacity: areaForecasts.reduce((total, forecast) => total + forecast.openCapacity, 0),
+      closed: areaForecasts.every(forecast => forecast.closed),
+      isLowConfidence: areaForecasts.some(forecast => forecast.confidence === 'low'),
+    };
+  };
+
+  const forecastTimeLabel = `${getScheduleDayLabel(forecastDayOffset)}, ${formatScheduleHour(forecastHour)}`;
+
+  // Fetch upcoming scheduled bookings
+  const fetchUpcomingBookings = async () => {
+    try {
+      const response = await ApiService.getMyBookings();
+      if (response.success) {
+        setUpcomingBookings(response.data.upcomingBookings || []);
+      }
+    } catch (error) {
+      console.error('Error fetching upcoming bookings:', error);
+    }
+  };
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      fetchUpcomingBookings();
+    } else {
+      setUpcomingBookings([]);
+    }
+  }, [isAuthenticated]);
+
   // Fetch frequently used parking spots
   useEffect(() => {
     const fetchFrequentSpots = async () => {
@@ -375,11 +518,18 @@ export default function HomeScreen() {
       }
     };
 
-    // Poll every 10 seconds
+    // Refresh when one of these areas changes; poll every 10 seconds while the realtime stream is down
+    if (isRealtimeConnected) {
+      return RealtimeService.subscribeRefresh(
+        (event) => !!event.data.parkingAreaId && frequentAreaIds.includes(event.data.parkingAreaId),
+        pollFrequentSpots
+      );
+    }
+
     const pollingInterval = setInterval(pollFrequentSpots, 10000);
 
     return () => clearInterval(pollingInterval);
-  }, [isAuthenticated, frequentSpots.length > 0]);
+  }, [isAuthenticated, frequentSpots.length > 0, isRealtimeConnected, frequentAreaIds]);
 
   // Reset scroll state when vehicles change
   useEffect(() => {
@@ -677,6 +827,8 @@ export default function HomeScreen() {
 
   const handleCloseBookingModal = () => {
     setIsBookingModalVisible(false);
+    setIsScheduleMode(false);
+    setScheduleStartHour(null);
     setSelectedArea('');
     setAssignedSlot('');
     setSelectedVehicleForParking(null);
@@ -767,6 +919,73 @@ export default function HomeScreen() {
     }
   };
 
+  const handleOpenScheduleMode = () => {
+    // Late in the evening there may be no slots left today
+    setScheduleDayOffset(getAvailableStartHours(0).length > 0 ? 0 : 1);
+    setScheduleStartHour(null);
+    setScheduleDurationHours(1);
+    setIsScheduleMode(true);
+  };
+
+  const handleScheduleBooking = async () => {
+    if (!selectedVehicleForParking || !selectedParkingArea || scheduleStartHour === null) {
+      Alert.alert('Error', 'Please select a day and start time for your booking');
+      return;
+    }
+
+    const scheduledStart = getScheduleDate(scheduleDayOffset, scheduleStartHour);
+    const scheduledEnd = new Date(scheduledStart.getTime() + scheduleDurationHours * 60 * 60 * 1000);
+
+    try {
+      setIsSchedulingBooking(true);
+      // Let the server pick a spot that is free for the whole slot
+      const response = await ApiService.bookScheduledParking(
+        selectedVehicleForParking.id,
+        selectedParkingArea.id,
+        scheduledStart.toISOString(),
+        scheduledEnd.toISOString()
+      );
+
+      if (response.success) {
+        const details = response.data.bookingDetails;
+        handleCloseBookingModal();
+        fetchUpcomingBookings();
+        Alert.alert(
+          'Booking Scheduled',
+          `Spot ${details.spotNumber} at ${details.areaName} is booked for ${formatScheduleWindow(details.scheduledStart, details.scheduledEnd)}.\n\nThe spot will be held for you from the start of your slot.`
+        );
+      }
+    } catch (error) {
+      console.error('Error scheduling booking:', error);
+      Alert.alert('Error', error instanceof Error ? error.message : 'Failed to schedule booking');
+    } finally {
+      setIsSchedulingBooking(false);
+    }
+  };
+
+  const handleCancelUpcomingBooking = (booking: any) => {
+    Alert.alert(
+      'Cancel Scheduled Booking',
+      `Cancel your booking at ${booking.parkingArea?.name || 'this parking area'} on ${formatScheduleWindow(booking.timestamps.scheduledStart, booking.timestamps.scheduledEnd)}?`,
+      [
+        { text: 'Keep', style: 'cancel' },
+        {
+          text: 'Cancel Booking',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await ApiService.cancelScheduledBooking(booking.reservationId);
+              fetchUpcomingBookings();
+            } catch (error) {
+              console.error('Error cancelling scheduled booking:', error);
+              Alert.alert('Error', error instanceof Error ? error.message : 'Failed to cancel booking');
+            }
+          }
+        }
+      ]
+    );
+  };
+
   const handleBookParking = (area: any) => {
     setSelectedParkingArea(area);
     setIsVehicleSelectionModalVisible(true);
@@ -1087,1075 +1306,6 @@ export default function HomeScreen() {
     console.log('Selecting parking area:', areaId);
   };
 
-  // Parse SVG to extract clickable elements
-  const parseSvgForClickableElements = (svgString: string, layoutSections?: any[]) => {
-    const spots: Array<{
-      id: string;
-      x: number;
-      y: number;
-      width: number;
-      height: number;
-      spotNumber?: string;
-      spotId?: string;
-      localSlot?: string;
-      section?: string;
-    }> = [];
-    
-    try {
-      // Extract viewBox to calculate relative positions
-      const viewBoxMatch = svgString.match(/viewBox=["']([^"']+)["']/);
-      let viewBox = { x: 0, y: 0, width: 276, height: 322 }; // Default
-      if (viewBoxMatch) {
-        const parts = viewBoxMatch[1].trim().split(/[\s,]+/).filter(p => p).map(Number);
-        if (parts.length >= 4) {
-          viewBox = { x: parts[0], y: parts[1], width: parts[2], height: parts[3] };
-        }
-      }
-      
-      // Also try to get width/height attributes
-      const widthMatch = svgString.match(/width=["']([^"']+)["']/);
-      const heightMatch = svgString.match(/height=["']([^"']+)["']/);
-      if (widthMatch && heightMatch) {
-        const w = parseFloat(widthMatch[1]);
-        const h = parseFloat(heightMatch[1]);
-        if (!isNaN(w) && !isNaN(h) && w > 0 && h > 0) {
-          viewBox.width = w;
-          viewBox.height = h;
-        }
-      }
-      
-      // Find all elements with IDs OR data attributes (for FU Main layout)
-      const idRegex = /<(\w+)[^>]*\sid=["']([^"']+)["'][^>]*>/g;
-      const dataRegex = /<(\w+)[^>]*\sdata-type=["']parking-slot["'][^>]*>/g;
-      
-      // Process elements with ID attributes
-      let match;
-      while ((match = idRegex.exec(svgString)) !== null) {
-        const elementType = match[1];
-        const id = match[2];
-        const fullElement = match[0];
-        const matchIndex = match.index;
-        
-        // DEBUG: Log every element found with ID (DISABLED - ISSUE FIXED)
-        // console.log(`🔍 DEBUG: Found element with ID: ${id} (type: ${elementType})`);
-        // console.log(`🔍 DEBUG: Full element snippet: ${fullElement.substring(0, 200)}...`);
-        
-        // TEMPORARILY DISABLE FILTERING TO SEE ALL ELEMENTS
-        // Skip elements with "element" in their ID - these are not parking spots
-        const idLower = id.toLowerCase();
-        if (idLower.includes('element')) {
-          console.log(`🚫 Skipping non-parking element: ${id}`);
-          continue;
-        }
-        
-        // DEBUG: Log all FPA-S elements to see what's happening
-        if (idLower.includes('fpa-s-')) {
-          console.log(`🔍 DEBUG: Found FPA-S element: ${id} (type: ${elementType})`);
-          console.log(`🔍 DEBUG: Full element: ${fullElement.substring(0, 300)}...`);
-        }
-        
-        // RE-ENABLE REGULAR ID PROCESSING
-        // Only process elements that are likely parking spots
-        // Check if the element has parking-related attributes or is within a parking context
-        const hasParkingAttributes = fullElement.includes('data-slot') || 
-                                     fullElement.includes('data-section') ||
-                                     fullElement.includes('data-parking') ||
-                                     idLower.includes('spot') ||
-                                     idLower.includes('parking') ||
-                                     idLower.includes('slot') ||
-                                     idLower.match(/\d+/); // Any ID with numbers
-        
-        if (!hasParkingAttributes) {
-          console.log(`🚫 Skipping element without parking attributes: ${id} (type: ${elementType})`);
-          continue;
-        }
-        
-        // Additional check: skip if element type suggests it's not a parking spot
-        if (elementType === 'polygon' || elementType === 'line' || elementType === 'path') {
-          console.log(`🚫 Skipping ${elementType} element (not a parking spot): ${id}`);
-          continue;
-        }
-        
-        // RE-ENABLE LEGITIMATE SPOT CHECK
-        // CRITICAL: Only process if this is a legitimate parking spot
-        // This prevents creating touchables for non-existent spots
-        const isLegitimateParkingSpot = 
-          id.includes('FPA-') || // FU Main format
-          id.includes('S-') ||   // Spot format
-          id.includes('spot') || // Spot keyword
-          id.includes('parking') || // Parking keyword
-          id.includes('section-') || // Capacity sections (V, X, VB)
-          (id.match(/^[A-Z]+\d+$/) && parseInt(id.match(/\d+/)![1]) > 0 && parseInt(id.match(/\d+/)![1]) <= 50); // Format like "V4", "X12"
-        
-        if (!isLegitimateParkingSpot) {
-          console.log(`🚫 Skipping non-legitimate parking spot: ${id}`);
-          continue;
-        }
-        
-        // DEBUG: Log if FPA-S-004 passes all checks
-        if (id === 'FPA-S-004') {
-          console.log(`🎯 DEBUG: FPA-S-004 passed all checks! Processing...`);
-        }
-        
-        // ADDITIONAL FILTERING: Skip common non-parking elements
-        const isNonParkingElement = 
-          idLower.includes('arrow') ||
-          idLower.includes('line') ||
-          idLower.includes('path') ||
-          idLower.includes('border') ||
-          idLower.includes('background') ||
-          idLower.includes('bg') ||
-          idLower.includes('marker') ||
-          idLower.includes('symbol') ||
-          idLower.includes('icon') ||
-          idLower.includes('text') ||
-          idLower.includes('label') ||
-          idLower.includes('road') ||
-          idLower.includes('street') ||
-          idLower.includes('lane') ||
-          idLower.includes('marking') ||
-          idLower.includes('strip') ||
-          idLower.includes('gradient') ||
-          idLower.includes('pattern') ||
-          (elementType === 'polygon' && !idLower.includes('section-')) ||
-          (elementType === 'path' && !idLower.includes('section-')) ||
-          (elementType === 'line') ||
-          (elementType === 'polyline') ||
-          (elementType === 'text') ||
-          (elementType === 'linearGradient') ||
-          (elementType === 'pattern');
-        
-        if (isNonParkingElement) {
-          console.log(`🚫 Skipping non-parking element type: ${id} (type: ${elementType})`);
-          continue;
-        }
-        
-        // Check if this element is inside a road group (handle nested groups)
-        const beforeMatch = svgString.substring(0, matchIndex);
-        let isInRoadGroup = false;
-        let accumulatedTransform: { x: number; y: number } = { x: 0, y: 0 };
-        
-        // Find all parent groups and check for road groups, also accumulate transforms
-        let searchPos = matchIndex;
-        const parentGroups: Array<{ tag: string; index: number }> = [];
-        
-        while (searchPos >= 0) {
-          const lastGroupOpen = beforeMatch.lastIndexOf('<g', searchPos);
-          const lastGroupClose = beforeMatch.lastIndexOf('</g>', searchPos);
-          
-          if (lastGroupOpen > lastGroupClose && lastGroupOpen >= 0) {
-            const groupTagStart = lastGroupOpen;
-            const groupTagEnd = beforeMatch.indexOf('>', groupTagStart) + 1;
-            if (groupTagEnd > groupTagStart) {
-              const groupTag = beforeMatch.substring(groupTagStart, groupTagEnd);
-              parentGroups.push({ tag: groupTag, index: groupTagStart });
-              
-              // Check if this group is a road group
-              const groupIdMatch = groupTag.match(/id=["']([^"']+)["']/i);
-              const groupClassMatch = groupTag.match(/class=["']([^"']+)["']/i);
-              
-              if (groupIdMatch && groupIdMatch[1].toLowerCase().includes('road')) {
-                isInRoadGroup = true;
-                break;
-              }
-              if (groupClassMatch && groupClassMatch[1].toLowerCase().includes('road')) {
-                isInRoadGroup = true;
-                break;
-              }
-              
-              // Accumulate transform from parent groups (for nested floors/sections)
-              const transformMatch = groupTag.match(/transform=["']translate\(([^)]+)\)["']/);
-              if (transformMatch) {
-                const coords = transformMatch[1].split(/[,\s]+/).map(parseFloat);
-                accumulatedTransform.x += coords[0] || 0;
-                accumulatedTransform.y += coords[1] || 0;
-              }
-              
-              searchPos = lastGroupOpen - 1;
-            } else {
-              break;
-            }
-          } else {
-            break;
-          }
-        }
-        
-        // Skip road elements - check if ID or class contains "road" (case-insensitive)
-        const classMatch = fullElement.match(/class=["']([^"']+)["']/i);
-        const classLower = classMatch ? classMatch[1].toLowerCase() : '';
-        
-        if (idLower.includes('road') || classLower.includes('road') || isInRoadGroup) {
-          console.log(`🚫 Skipping road element: ${id}${isInRoadGroup ? ' (in road group)' : ''}`);
-          continue;
-        }
-        
-        // Extract coordinates based on element type
-        let x = 0, y = 0, width = 0, height = 0;
-        
-        if (elementType === 'rect') {
-          const xMatch = fullElement.match(/x=["']([^"']+)["']/);
-          const yMatch = fullElement.match(/y=["']([^"']+)["']/);
-          const widthMatch = fullElement.match(/width=["']([^"']+)["']/);
-          const heightMatch = fullElement.match(/height=["']([^"']+)["']/);
-          
-          x = xMatch ? parseFloat(xMatch[1]) : 0;
-          y = yMatch ? parseFloat(yMatch[1]) : 0;
-          width = widthMatch ? parseFloat(widthMatch[1]) : 40;
-          height = heightMatch ? parseFloat(heightMatch[1]) : 20;
-        } else if (elementType === 'circle') {
-          const cxMatch = fullElement.match(/cx=["']([^"']+)["']/);
-          const cyMatch = fullElement.match(/cy=["']([^"']+)["']/);
-          const rMatch = fullElement.match(/r=["']([^"']+)["']/);
-          
-          const cx = cxMatch ? parseFloat(cxMatch[1]) : 0;
-          const cy = cyMatch ? parseFloat(cyMatch[1]) : 0;
-          const r = rMatch ? parseFloat(rMatch[1]) : 10;
-          
-          x = cx - r;
-          y = cy - r;
-          width = r * 2;
-          height = r * 2;
-        } else if (elementType === 'g') {
-          // For groups, find the complete group element and its children
-          // Find the matching closing </g> tag
-          let depth = 1;
-          let pos = matchIndex + fullElement.length;
-          let groupEnd = -1;
-          
-          while (pos < svgString.length && depth > 0) {
-            const nextOpen = svgString.indexOf('<g', pos);
-            const nextClose = svgString.indexOf('</g>', pos);
-            
-            if (nextClose === -1) break;
-            
-            if (nextOpen !== -1 && nextOpen < nextClose) {
-              depth++;
-              pos = nextOpen + 2;
-            } else {
-              depth--;
-              if (depth === 0) {
-                groupEnd = nextClose + 4;
-                break;
-              }
-              pos = nextClose + 4;
-            }
-          }
-          
-          if (groupEnd === -1) {
-            // Couldn't find closing tag, skip
-            continue;
-          }
-          
-          const groupContent = svgString.substring(matchIndex, groupEnd);
-          
-          // Check for transform on the group and combine with accumulated parent transforms
-          const transformMatch = fullElement.match(/transform=["']translate\(([^)]+)\)["']/);
-          let tx = accumulatedTransform.x;
-          let ty = accumulatedTransform.y;
-          if (transformMatch) {
-            const coords = transformMatch[1].split(/[,\s]+/).map(parseFloat);
-            tx += coords[0] || 0;
-            ty += coords[1] || 0;
-          }
-          
-          // Look for rect elements inside the group - find the largest one (likely the main parking spot)
-          // Also handle nested groups within this group (for sections/floors)
-          type RectInfo = { x: number; y: number; width: number; height: number; area: number };
-          let largestRect: RectInfo | null = null;
-          
-          // Extract inner content of the group (without the opening/closing tags) for processing
-          const groupTagEndPos = matchIndex + fullElement.length;
-          const innerGroupContent = svgString.substring(groupTagEndPos, groupEnd - 4);
-          
-          // Function to recursively find rects in nested groups
-          // Add depth limit to prevent infinite recursion
-          const findRectsInContent = (content: string, parentTx: number, parentTy: number, depth: number = 0): void => {
-            // Safety: prevent infinite recursion (max depth of 10 levels)
-            if (depth > 10) {
-              console.warn('⚠️ Maximum recursion depth reached in findRectsInContent');
-              return;
-            }
-            
-            // Safety: prevent processing empty or too large content
-            if (!content || content.length > 100000) {
-              return;
-            }
-            
-            // Find all rects in content (including nested ones - we'll filter by group depth later if needed)
-            const rectRegex = /<rect[^>]*>/g;
-            const rectMatches: RegExpExecArray[] = [];
-            let rectMatch;
-            
-            // Collect all rect matches first
-            rectRegex.lastIndex = 0; // Reset regex
-            while ((rectMatch = rectRegex.exec(content)) !== null) {
-              rectMatches.push(rectMatch);
-            }
-            
-            // Process found rects
-            for (const match of rectMatches) {
-              const rectElement = match[0];
-              const rxMatch = rectElement.match(/x=["']([^"']+)["']/);
-              const ryMatch = rectElement.match(/y=["']([^"']+)["']/);
-              const rWidthMatch = rectElement.match(/width=["']([^"']+)["']/);
-              const rHeightMatch = rectElement.match(/height=["']([^"']+)["']/);
-              
-              if (rxMatch && ryMatch && rWidthMatch && rHeightMatch) {
-                const rx = parseFloat(rxMatch[1]);
-                const ry = parseFloat(ryMatch[1]);
-                const rw = parseFloat(rWidthMatch[1]);
-                const rh = parseFloat(rHeightMatch[1]);
-                
-                if (!isNaN(rx) && !isNaN(ry) && !isNaN(rw) && !isNaN(rh) && rw > 0 && rh > 0) {
-                  const area = rw * rh;
-                  // Keep the largest rect (this represents the main parking spot area)
-                  if (!largestRect || area > largestRect.area) {
-                    largestRect = {
-                      x: rx + parentTx,
-                      y: ry + parentTy,
-                      width: rw,
-                      height: rh,
-                      area: area
-                    };
-                  }
-                }
-              }
-            }
-            
-            // Also check nested groups (for floors/sections) - but limit recursion
-            // Use indexOf instead of regex to avoid regex state issues
-            const processedGroups = new Set<number>(); // Track processed group start positions
-            let groupCount = 0;
-            const maxGroups = 50; // Limit number of groups to process
-            let searchStart = 0;
-            
-            while (groupCount < maxGroups && searchStart < content.length) {
-              const groupOpenPos = content.indexOf('<g', searchStart);
-              if (groupOpenPos === -1) break;
-              
-              // Skip if we've already processed this group
-              if (processedGroups.has(groupOpenPos)) {
-                searchStart = groupOpenPos + 2;
-                continue;
-              }
-              processedGroups.add(groupOpenPos);
-              
-              const groupTagEnd = content.indexOf('>', groupOpenPos);
-              if (groupTagEnd === -1) {
-                searchStart = groupOpenPos + 2;
-                continue;
-              }
-              
-              const nestedGroupTag = content.substring(groupOpenPos, groupTagEnd + 1);
-              
-              // Find matching closing tag
-              let nestedDepth = 1;
-              let nestedPos = groupTagEnd;
-              let nestedGroupEnd = -1;
-              
-              while (nestedPos < content.length && nestedDepth > 0) {
-                const nextOpen = content.indexOf('<g', nestedPos);
-                const nextClose = content.indexOf('</g>', nestedPos);
-                
-                if (nextClose === -1) break;
-                
-                if (nextOpen !== -1 && nextOpen < nextClose) {
-                  nestedDepth++;
-                  nestedPos = nextOpen + 2;
-                } else {
-                  nestedDepth--;
-                  if (nestedDepth === 0) {
-                    nestedGroupEnd = nextClose + 4;
-                    break;
-                  }
-                  nestedPos = nextClose + 4;
-                }
-              }
-              
-              if (nestedGroupEnd > groupOpenPos && nestedGroupEnd <= content.length) {
-                // Extract inner content (without the group tags) to prevent re-processing
-                const innerContent = content.substring(groupTagEnd + 1, nestedGroupEnd - 4);
-                
-                // Only process if inner content is not empty
-                // Remove the length check that was too restrictive - just check it's not the same
-                if (innerContent && innerContent.trim().length > 0) {
-                  const nestedTransformMatch = nestedGroupTag.match(/transform=["']translate\(([^)]+)\)["']/);
-                  let nestedTx = parentTx;
-                  let nestedTy = parentTy;
-                  
-                  if (nestedTransformMatch) {
-                    const nestedCoords = nestedTransformMatch[1].split(/[,\s]+/).map(parseFloat);
-                    nestedTx += nestedCoords[0] || 0;
-                    nestedTy += nestedCoords[1] || 0;
-                  }
-                  
-                  // Recursively search nested groups with increased depth
-                  findRectsInContent(innerContent, nestedTx, nestedTy, depth + 1);
-                  groupCount++;
-                }
-                
-                // Move search position past this group to avoid re-processing
-                searchStart = nestedGroupEnd;
-              } else {
-                // If we couldn't find the closing tag, skip this group
-                searchStart = groupTagEnd + 1;
-              }
-            }
-          };
-          
-          // Process the inner content of the group (without the group tags themselves)
-          findRectsInContent(innerGroupContent, tx, ty, 0);
-          
-          // Also look for path elements in the group and calculate bounding box (including nested)
-          const pathRegex = /<path[^>]*d=["']([^"']+)["'][^>]*>/g;
-          let pathMatch;
-          let pathMinX = Infinity, pathMinY = Infinity, pathMaxX = -Infinity, pathMaxY = -Infinity;
-          let foundPath = false;
-          
-          // Reset regex lastIndex
-          pathRegex.lastIndex = 0;
-          while ((pathMatch = pathRegex.exec(groupContent)) !== null) {
-            const pathData = pathMatch[1];
-            // Parse path data to get bounding box (simplified - handles M, L, H, V commands)
-            const coords: number[] = [];
-            const numbers = pathData.match(/[-+]?[0-9]*\.?[0-9]+/g);
-            if (numbers) {
-              numbers.forEach(num => {
-                const val = parseFloat(num);
-                if (!isNaN(val)) coords.push(val);
-              });
-              
-              // Get min/max from coordinates
-              if (coords.length >= 2) {
-                for (let i = 0; i < coords.length; i += 2) {
-                  if (i + 1 < coords.length) {
-                    const px = coords[i] + tx;
-                    const py = coords[i + 1] + ty;
-                    pathMinX = Math.min(pathMinX, px);
-                    pathMinY = Math.min(pathMinY, py);
-                    pathMaxX = Math.max(pathMaxX, px);
-                    pathMaxY = Math.max(pathMaxY, py);
-                    foundPath = true;
-                  }
-                }
-              }
-            }
-          }
-          
-          // Use the largest rect if found, otherwise use path bounds, otherwise fallback
-          if (largestRect) {
-            x = (largestRect as RectInfo).x;
-            y = (largestRect as RectInfo).y;
-            width = (largestRect as RectInfo).width;
-            height = (largestRect as RectInfo).height;
-          } else if (foundPath) {
-            x = pathMinX;
-            y = pathMinY;
-            width = pathMaxX - pathMinX;
-            height = pathMaxY - pathMinY;
-          } else {
-            // Fallback: try transform only with estimated size based on viewBox
-            if (transformMatch) {
-              x = tx;
-              y = ty;
-              // Use reasonable default size - adjust based on typical parking spot sizes
-              width = viewBox.width / 5; // About 1/5 of viewBox width
-              height = viewBox.height / 10; // About 1/10 of viewBox height
-            } else {
-              continue; // Skip if no transform and no rects/paths found
-            }
-          }
-        }
-        
-        // Extract spot number from ID (handle various formats)
-        // Formats: "FPA-S-001", "F1-A-1", "A-1", "spot-1", "parking-1", "section-a-spot-1", etc.
-        let spotNumber = id;
-        
-        // Check if this is a capacity section (V, VB, SD, X, etc.)
-        const isCapacitySection = /^[A-Z]{1,3}$/.test(id) && !id.includes('FPA') && !id.includes('-');
-        
-        // Special handling for FPA capacity sections based on layout data
-        const isFPACapacitySection = (id === 'E' || id === 'I' || id === 'SD') && 
-          selectedAreaForSpots?.name?.toLowerCase().includes('fpa');
-        
-        // DEBUG: Log capacity section detection during SVG parsing
-        if (isCapacitySection || isFPACapacitySection) {
-          console.log('🔍 DEBUG: Found capacity section in SVG:', {
-            id,
-            elementType,
-            isCapacitySection,
-            isFPACapacitySection,
-            areaName: selectedAreaForSpots?.name,
-            fullElement: fullElement.substring(0, 200) + '...'
-          });
-          
-          // Check if the element contains section_data or section_mode information
-          if (fullElement.includes('section_data') || fullElement.includes('section_mode')) {
-            console.log('🎯 FOUND SECTION_DATA IN SVG:', id);
-            console.log('🎯 Element containing section_data:', fullElement);
-            
-            // Try to extract section_mode if present
-            const sectionModeMatch = fullElement.match(/section_mode["\s]*[:=]["\s]*([^"'\s>]+)/);
-            if (sectionModeMatch) {
-              console.log('🎯 SECTION_MODE FOUND:', sectionModeMatch[1], 'for section:', id);
-            }
-          }
-        }
-        
-        if (isCapacitySection || isFPACapacitySection) {
-          // For capacity sections, use the ID as the spot number directly
-          spotNumber = id; // "V", "VB", "SD", "E", "I", etc.
-        } else {
-          // Try different patterns for regular parking spots
-          // Pattern 1: FPA-{section}-{number} (FPA specific format)
-          const fpaSpotMatch = id.match(/FPA-([A-Z]+)-(\d+)/i);
-          if (fpaSpotMatch) {
-            spotNumber = fpaSpotMatch[2]; // Use just the number part (e.g., "001" from "FPA-S-001")
-          } else {
-            // Pattern 2: F{floor}-{section}-{number} or {section}-{number}
-            const sectionSpotMatch = id.match(/(?:F\d+-)?([A-Z]+)-(\d+)/i);
-            if (sectionSpotMatch) {
-              spotNumber = sectionSpotMatch[2]; // Use just the number part
-            } else {
-              // Pattern 3: spot-{number} or parking-{number}
-              const spotMatch = id.match(/(?:spot|parking)[-_]?(\d+)/i);
-              if (spotMatch) {
-                spotNumber = spotMatch[1];
-              } else {
-                // Pattern 4: Any number in the ID
-                const numMatch = id.match(/(\d+)/);
-                if (numMatch) {
-                  spotNumber = numMatch[1];
-                }
-              }
-            }
-          }
-        }
-        
-        // RE-ENABLE SIZE VALIDATION (more lenient)
-        // Only add if we have valid coordinates and reasonable size for parking spots
-        if (width > 0 && height > 0 && !isNaN(width) && !isNaN(height) && 
-            width >= 10 && height >= 10) { // Reduced minimum size
-          
-          // MORE LENIENT VALIDATION
-          // FINAL VALIDATION: Ensure this looks like a real parking spot
-          const aspectRatio = width / height;
-          const isReasonableShape = 
-            (width >= 20 && width <= 150 && height >= 20 && height <= 150); // More flexible range
-          
-          if (!isReasonableShape) {
-            console.log(`🚫 Skipping element with unreasonable parking spot dimensions: ${id} (${width}x${height})`);
-            continue;
-          }
-          
-          console.log(`📍 Found spot: ${id} (${spotNumber}) - x:${x}, y:${y}, w:${width}, h:${height}`);
-          
-          // Check for duplicates - skip if this spot ID already exists
-          const existingSpot = spots.find(spot => spot.id === id);
-          if (existingSpot) {
-            console.log(`🚫 Skipping duplicate spot: ${id} (already exists at x:${existingSpot.x}, y:${existingSpot.y})`);
-            continue;
-          }
-          
-          // Also check for duplicate spot numbers (different IDs but same spot number)
-          const existingSpotNumber = spots.find(spot => spot.spotNumber === spotNumber);
-          if (existingSpotNumber && spotNumber) {
-            console.log(`🚫 Skipping duplicate spot number: ${spotNumber} (ID: ${id} already exists as ID: ${existingSpotNumber.id})`);
-            continue;
-          }
-          
-          // console.log(`✅ Adding spot: ${id} (${spotNumber}) at (${x}, ${y})`); // DISABLED - LESS NOISE
-          
-          // Skip elements that are too large (likely infrastructure)
-          if (width > 200 || height > 200) {
-            console.log(`🚫 Skipping oversized element: ${id} (${width}x${height}) - likely infrastructure`);
-            continue;
-          }
-          
-          // Skip elements with unusual aspect ratios (likely roads/paths)
-          if (width > 0 && height > 0) {
-            const aspectRatio = width / height;
-            if (aspectRatio > 5 || aspectRatio < 0.2) {
-              console.log(`🚫 Skipping element with unusual aspect ratio: ${id} (${aspectRatio.toFixed(2)}) - likely road/path`);
-              continue;
-            }
-          }
-          
-          // Additional position-based filtering - skip elements that are likely in road areas
-          // Roads are typically in the middle of the layout with specific Y coordinates
-          const isInRoadArea = (y > 80 && y < 120) && (x > 100 && x < 200);
-          if (isInRoadArea && !idLower.includes('section-')) {
-            console.log(`🚫 Skipping element in road area: ${id} at (${x}, ${y})`);
-            continue;
-          }
-          
-          spots.push({
-            id,
-            x,
-            y,
-            width,
-            height,
-            spotNumber,
-            spotId: id,
-          });
-        } else {
-          console.log(`⚠️ Skipping spot ${id} - invalid dimensions: x:${x}, y:${y}, w:${width}, h:${height}`);
-        }
-      }
-      
-      // DISABLED: Text element processing was creating duplicate spots from labels
-      // This was causing "text-spot-4" to appear on roads from text labels
-      // const textRegex = /<text[^>]*>([^<]+)<\/text>/g;
-      // while ((match = textRegex.exec(svgString)) !== null) {
-      //   const textContent = match[1].trim();
-      //   const textElement = match[0];
-        
-      //   // Only process text that looks like a spot number (1-2 digits)
-      //   if (/^\d{1,2}$/.test(textContent)) {
-      //     const xMatch = textElement.match(/x=["']([^"']+)["']/);
-      //     const yMatch = textElement.match(/y=["']([^"']+)["']/);
-        
-      //     if (xMatch && yMatch) {
-      //       const x = parseFloat(xMatch[1]);
-      //       const y = parseFloat(yMatch[1]);
-        
-      //       const existingSpot = spots.find(s => 
-      //         Math.abs(s.x - x) < 20 && Math.abs(s.y - y) < 20
-      //       );
-        
-      //       if (!existingSpot) {
-      //         spots.push({
-      //           id: `text-spot-${textContent}`,
-      //           x: x - 15,
-      //           y: y - 10,
-      //           width: 30,
-      //           height: 20,
-      //           spotNumber: textContent,
-      //           spotId: `spot-${textContent}`,
-      //         });
-      //       } else {
-      //         existingSpot.spotNumber = textContent;
-      //       }
-      //     }
-      //   }
-      // }
-      
-      // Process FU Main layout elements with data-type="parking-slot"
-      console.log('🔍 Processing FU Main parking slots with data attributes...');
-      let dataMatch;
-      while ((dataMatch = dataRegex.exec(svgString)) !== null) {
-        const elementType = dataMatch[1];
-        const fullElement = dataMatch[0];
-        const matchIndex = dataMatch.index;
-        
-        // Extract data attributes from the element
-        const dataSlotMatch = fullElement.match(/data-slot=["']([^"']+)["']/);
-        const dataSlotIdMatch = fullElement.match(/data-slot-id=["']([^"']+)["']/);
-        const dataSectionMatch = fullElement.match(/data-section=["']([^"']+)["']/);
-        const dataLocalSlotMatch = fullElement.match(/data-local-slot=["']([^"']+)["']/);
-        
-        if (dataSlotMatch && dataSlotIdMatch) {
-          const slotNumber = dataSlotMatch[1];
-          const slotId = dataSlotIdMatch[1];
-          const section = dataSectionMatch ? dataSectionMatch[1] : 'Unknown';
-          const localSlot = dataLocalSlotMatch ? dataLocalSlotMatch[1] : null;
-          
-          // TEMPORARILY DISABLE FU MAIN FILTERING
-          // Apply the same filtering as regular ID processing
-          // const idLower = slotId.toLowerCase();
-          // if (idLower.includes('element') || idLower.includes('road') || idLower.includes('path') || idLower.includes('line') || idLower.includes('arrow')) {
-          //   console.log(`🚫 Skipping FU Main element with non-parking ID: ${slotId}`);
-          //   continue;
-          // }
-          
-          // Additional check: skip if element type suggests it's not a parking spot
-          // if (elementType === 'polygon' || elementType === 'line' || elementType === 'path') {
-          //   console.log(`🚫 Skipping FU Main ${elementType} element (not a parking spot): ${slotId}`);
-          //   continue;
-          // }
-          
-          // CRITICAL: Only process if this is a legitimate parking spot with proper attributes
-          // This prevents creating touchables for non-existent spots
-          const isLegitimateParkingSpot = true; // Temporarily allow all
-          
-          // if (!isLegitimateParkingSpot) {
-          //   console.log(`🚫 Skipping non-legitimate parking spot: ${slotId} (section: ${section}, local: ${localSlot})`);
-          //   continue;
-          // }
-          
-          console.log(`🎯 Found FU Main parking slot: ${slotId} (${section}-${slotNumber}) local: ${localSlot}`);
-          
-          // Extract transform attribute for positioning
-          const transformMatch = fullElement.match(/transform=["']translate\(([^)]+)\)["']/);
-          let x = 0, y = 0;
-          
-          if (transformMatch) {
-            const coords = transformMatch[1].split(/[,\s]+/).map(parseFloat);
-            x = coords[0] || 0;
-            y = coords[1] || 0;
-          }
-          
-          // Look for rect elements within this group for dimensions
-          const rectRegex = /<rect[^>]*x=["']([^"']+)["'][^>]*y=["']([^"']+)["'][^>]*width=["']([^"']+)["'][^>]*height=["']([^"']+)["'][^>]*>/g;
-          let rectMatch;
-          let width = 50; // Default size for FU Main spots
-          let height = 50;
-          
-          // Find the next closing tag to limit search scope
-          const searchEnd = svgString.indexOf('</g>', matchIndex);
-          const searchScope = searchEnd > -1 ? svgString.substring(matchIndex, searchEnd) : svgString.substring(matchIndex);
-          
-          while ((rectMatch = rectRegex.exec(searchScope)) !== null) {
-            const rectWidth = parseFloat(rectMatch[3]);
-            const rectHeight = parseFloat(rectMatch[4]);
-            
-            if (!isNaN(rectWidth) && !isNaN(rectHeight) && rectWidth > 0 && rectHeight > 0) {
-              width = rectWidth;
-              height = rectHeight;
-              break; // Use the first valid rect found
-            }
-          }
-          
-          // TEMPORARILY DISABLE FU MAIN SIZE VALIDATION
-          // Add the FU Main parking spot with all attributes
-          // Additional coordinate validation to ensure it's not in a road area
-          // const isInRoadArea = (x < 50 || y < 50 || x > 1200 || y > 300); // Road-like boundaries
-          
-          // if (isInRoadArea) {
-          //   console.log(`🚫 Skipping FU Main spot in road area: ${slotId} at (${x}, ${y})`);
-          //   continue;
-          // }
-          
-          // FINAL VALIDATION: Ensure this looks like a real parking spot
-          // const isReasonableShape = 
-          //   (width >= 40 && width <= 80 && height >= 40 && height <= 80) || // Standard parking spot
-          //   (width >= 20 && width <= 100 && height >= 20 && height <= 100); // Flexible range
-          
-          // if (!isReasonableShape) {
-          //   console.log(`🚫 Skipping FU Main element with unreasonable dimensions: ${slotId} (${width}x${height})`);
-          //   continue;
-          // }
-          
-          spots.push({
-            id: slotId,
-            x: x,
-            y: y,
-            width: width,
-            height: height,
-            spotNumber: slotNumber,
-            spotId: slotId,
-            localSlot: localSlot || undefined, // Handle null value
-            section: section || undefined, // Handle null value
-          });
-          
-          console.log(`✅ Added FU Main spot: ${slotId} at (${x}, ${y}) size ${width}x${height} local: ${localSlot}`);
-        }
-      }
-      
-      // Process capacity sections from layout data instead of hardcoded ones
-      console.log('🔍 Processing capacity sections from layout data...');
-      
-      // Check if we have sections data from layout
-      const sectionsFromLayout = layoutSections || [];
-      console.log('🔍 Layout sections found:', sectionsFromLayout.length);
-      
-      if (sectionsFromLayout.length > 0) {
-        // Process sections from layout data - ONLY capacity_only sections
-        const capacityOnlySections = sectionsFromLayout.filter(section => 
-          section.section_data && section.section_data.section_mode === 'capacity_only'
-        );
-        
-        console.log(`🔍 Found ${capacityOnlySections.length} capacity-only sections out of ${sectionsFromLayout.length} total sections`);
-        
-        for (const layoutSection of capacityOnlySections) {
-          const sectionName = layoutSection.section_data.section_name; // E, I, SD
-          const position = layoutSection.position; // "1,0", "0,2", "4,0"
-          
-          console.log(`🎯 Processing capacity section from layout: ${sectionName} at position ${position}`);
-          
-          // Parse position to get coordinates
-          const [row, col] = position.split(',').map(Number);
-          
-          // Convert grid position to SVG coordinates (this may need adjustment based on your grid system)
-          const x = col * 52; // Approximate based on 52px width from SVG
-          const y = row * 52; // Approximate based on 52px height from SVG
-          
-          // Look for the actual section in the SVG to get precise coordinates
-          const sectionSelector = `<g transform="translate(${x}, ${y})">`;
-          const startIndex = svgString.indexOf(sectionSelector);
-          
-          if (startIndex !== -1) {
-            console.log(`✅ Found layout section ${sectionName} in SVG at position ${position}`);
-            
-            // Extract the section group for dimensions
-            const sectionStart = startIndex + sectionSelector.length;
-            const sectionEnd = svgString.indexOf('</g>', sectionStart);
-            const sectionContent = svgString.substring(sectionStart, sectionEnd);
-            
-            // Look for the capacity background rect
-            const rectRegex = /<rect[^>]*x=["']([^"']+)["'][^>]*y=["']([^"']+)["'][^>]*width=["']([^"']+)["'][^>]*height=["']([^"']+)["'][^>]*>/;
-            const rectMatch = rectRegex.exec(sectionContent);
-            
-            if (rectMatch) {
-              const rectX = parseFloat(rectMatch[1]);
-              const rectY = parseFloat(rectMatch[2]);
-              const rectWidth = parseFloat(rectMatch[3]);
-              const rectHeight = parseFloat(rectMatch[4]);
-              
-              console.log(`📐 Layout section ${sectionName} dimensions: ${rectWidth}x${rectHeight} at (${rectX}, ${rectY})`);
-              
-              // Add the layout section as a clickable spot - ONLY for capacity_only sections
-              const sectionId = `section-${sectionName}`;
-              const existingSection = spots.find(spot => spot.id === sectionId);
-              if (!existingSection) {
-                spots.push({
-                  id: sectionId,
-                  x: rectX,
-                  y: rectY,
-                  width: rectWidth,
-                  height: rectHeight,
-                  spotNumber: sectionName,
-                  spotId: sectionId,
-                  section: sectionName,
-                });
-                
-                console.log(`✅ Added CAPACITY-ONLY layout section: ${sectionName} at (${rectX}, ${rectY}) size ${rectWidth}x${rectHeight}`);
-              } else {
-                console.log(`🚫 Skipping duplicate layout section: ${sectionId}`);
-              }
-            } else {
-              console.log(`⚠️ Could not find rect for layout section ${sectionName}, using fallback coordinates`);
-              
-              // Fallback: add with estimated coordinates
-              const sectionId = `section-${sectionName}`;
-              const existingSection = spots.find(spot => spot.id === sectionId);
-              if (!existingSection) {
-                spots.push({
-                  id: sectionId,
-                  x: x,
-                  y: y,
-                  width: 52,
-                  height: 156, // Default height
-                  spotNumber: sectionName,
-                  spotId: sectionId,
-                  section: sectionName,
-                });
-                
-                console.log(`✅ Added CAPACITY-ONLY layout section (fallback): ${sectionName} at (${x}, ${y})`);
-              }
-            }
-          } else {
-            console.log(`⚠️ Could not find layout section ${sectionName} in SVG at expected position ${position}`);
-          }
-        }
-        
-        // Log slot-based sections that are being ignored
-        const slotBasedSections = sectionsFromLayout.filter(section => 
-          section.section_data && section.section_data.section_mode === 'slot_based'
-        );
-        if (slotBasedSections.length > 0) {
-          console.log(`🚫 Ignoring ${slotBasedSections.length} slot-based sections:`, slotBasedSections.map(s => s.section_data.section_name));
-        }
-      } else {
-        // Fallback to hardcoded sections if no layout data
-        console.log('⚠️ No layout sections found, using fallback hardcoded sections');
-        
-        // Process FU Main capacity sections (V, X, VB) - look for the actual section groups in the SVG
-        console.log('🔍 Processing FU Main capacity sections (V, X, VB) as fallback...');
-        
-        // Look for the specific section groups in the SVG
-        const sectionGroups = [
-          {
-            name: 'V',
-            transform: 'translate(-3, 49)',
-            selector: '<g transform="translate(-3, 49)">',
-            endIndex: svgString.indexOf('</g>', svgString.indexOf('<g transform="translate(-3, 49)">'))
-          },
-          {
-            name: 'VB', 
-            transform: 'translate(101, -3)',
-            selector: '<g transform="translate(101, -3)">',
-            endIndex: svgString.indexOf('</g>', svgString.indexOf('<g transform="translate(101, -3)">'))
-          },
-          {
-            name: 'X',
-            transform: 'translate(101, 101)', 
-            selector: '<g transform="translate(101, 101)">',
-            endIndex: svgString.indexOf('</g>', svgString.indexOf('<g transform="translate(101, 101)">'))
-          }
-        ];
-        
-        for (const section of sectionGroups) {
-          const startIndex = svgString.indexOf(section.selector);
-          
-          if (startIndex === -1) {
-            console.log(`⚠️ Section ${section.name} not found in SVG`);
-            continue;
-          }
-          
-          console.log(`🎯 Found FU Main capacity section: ${section.name}`);
-          
-          // Extract coordinates from transform
-          const coords = section.transform.match(/translate\(([^)]+)\)/);
-          let x = 0, y = 0;
-          if (coords) {
-            const xy = coords[1].split(/[,\s]+/).map(parseFloat);
-            x = xy[0] || 0;
-            y = xy[1] || 0;
-          }
-          
-          // Find the section background rect for dimensions
-          const sectionStart = startIndex + section.selector.length;
-          const sectionEnd = section.endIndex > -1 ? section.endIndex : svgString.indexOf('</g>', startIndex);
-          const sectionContent = svgString.substring(sectionStart, sectionEnd);
-          
-          // Look for the capacity background rect
-          const rectRegex = /<rect[^>]*x=["']([^"']+)["'][^>]*y=["']([^"']+)["'][^>]*width=["']([^"']+)["'][^>]*height=["']([^"']+)["'][^>]*>/;
-          const rectMatch = rectRegex.exec(sectionContent);
-          
-          if (rectMatch) {
-            const rectX = parseFloat(rectMatch[1]);
-            const rectY = parseFloat(rectMatch[2]);
-            const rectWidth = parseFloat(rectMatch[3]);
-            const rectHeight = parseFloat(rectMatch[4]);
-            
-            console.log(`📐 Section ${section.name} rect found: ${rectWidth}x${rectHeight} at (${rectX}, ${rectY})`);
-            
-            // Add the capacity section as a clickable spot
-            const sectionId = `section-${section.name}`;
-            const existingSection = spots.find(spot => spot.id === sectionId);
-            if (!existingSection) {
-              spots.push({
-                id: sectionId,
-                x: rectX,
-                y: rectY,
-                width: rectWidth,
-                height: rectHeight,
-                spotNumber: section.name,
-                spotId: sectionId,
-                section: section.name,
-              });
-              
-              console.log(`✅ Added FU Main section: ${section.name} at (${rectX}, ${rectY}) size ${rectWidth}x${rectHeight} ID: ${sectionId}`);
-            } else {
-              console.log(`🚫 Skipping duplicate capacity section: ${sectionId} (already exists)`);
-              continue;
-            }
-          }
-        }
-      }
-      
-      // Alternative approach: Look for sections by finding text elements with section letters from layout data
-      console.log('🔍 Trying alternative section detection by text content...');
-      const sectionLetters = sectionsFromLayout && sectionsFromLayout.length > 0 
-        ? sectionsFromLayout.map((s: any) => s.section_data?.section_name).filter(Boolean)
-        : ['V', 'X', 'VB']; // Fallback
-      
-      for (const letter of sectionLetters) {
-        // Look for text elements containing the section letter
-        const textRegex = new RegExp(`<text[^>]*>${letter}<\\/text>`, 'i');
-        const textMatch = textRegex.exec(svgString);
-        
-        if (textMatch) {
-          console.log(`🎯 Found text element for section ${letter}:`, textMatch[0]);
-          
-          // Check if this section is capacity_only before processing
-          const sectionData = sectionsFromLayout.find(s => s.section_data?.section_name === letter);
-          if (sectionData && sectionData.section_data.section_mode === 'slot_based') {
-            console.log(`🚫 Skipping slot-based section: ${letter}`);
-            continue;
-          }
-          
-          console.log(`✅ Processing capacity-only section: ${letter}`);
-          
-          // Find the parent group of this text element
-          const textIndex = textMatch.index;
-          const beforeText = svgString.substring(0, textIndex);
-          
-          // Look for the parent group
-          let searchPos = textIndex;
-          let parentGroupStart = -1;
-          
-          while (searchPos >= 0) {
-            const lastGroupOpen = beforeText.lastIndexOf('<g', searchPos);
-            const lastGroupClose = beforeText.lastIndexOf('</g>', searchPos);
-            
-            if (lastGroupOpen > lastGroupClose && lastGroupOpen >= 0) {
-              parentGroupStart = lastGroupOpen;
-              break;
-            }
-            searchPos = lastGroupOpen - 1;
-          }
-          
-          if (parentGroupStart >= 0) {
-            const groupEnd = svgString.indexOf('</g>', parentGroupStart);
-            const groupContent = svgString.substring(parentGroupStart, groupEnd);
-            
-            console.log(`🔍 Found parent group for section ${letter}:`, groupContent.substring(0, 100) + '...');
-            
-            // Extract transform from this group
-            const transformMatch = groupContent.match(/transform=["']([^"']+)["']/);
-            if (transformMatch) {
-              const transform = transformMatch[1];
-              console.log(`🎯 Extracted transform for section ${letter}: ${transform}`);
-              
-              // Parse transform coordinates
-              const transformCoords = transform.match(/translate\(([^)]+)\)/);
-              if (transformCoords) {
-                const xy = transformCoords[1].split(/[,\s]+/).map(parseFloat);
-                const tx = xy[0] || 0;
-                const ty = xy[1] || 0;
-                
-                // Look for rect in this group for dimensions
-                const groupRectRegex = /<rect[^>]*width=["']([^"']+)["'][^>]*height=["']([^"']+)["'][^>]*>/;
-                const groupRectMatch = groupRectRegex.exec(groupContent);
-                
-                let secWidth = 80; // Default section size
-                let secHeight = 40;
-                
-                if (groupRectMatch) {
-                  const rWidth = parseFloat(groupRectMatch[1]);
-                  const rHeight = parseFloat(groupRectMatch[2]);
-                  
-                  if (!isNaN(rWidth) && !isNaN(rHeight) && rWidth > 0 && rHeight > 0) {
-                    secWidth = rWidth;
-                    secHeight = rHeight;
-                  }
-                }
-                
-                // Add the section as a clickable spot if not already added
-                const sectionId = `section-${letter}`;
-                const existingSection = spots.find(s => s.id === sectionId);
-                if (!existingSection) {
-                  spots.push({
-                    id: `section-${letter}`,
-                    x: tx,
-                    y: ty,
-                    width: secWidth,
-                    height: secHeight,
-                    spotNumber: letter,
-                    spotId: `section-${letter}`,
-                  });
-                  
-                  console.log(`✅ Added FU Main section (alternative): ${letter} at (${tx}, ${ty}) size ${secWidth}x${secHeight}`);
-                }
-              }
-            }
-          }
-        }
-      }
-      
-      console.log(`✅ Parsed ${spots.length} clickable spots from SVG`);
-    } catch (error) {
-      console.error('❌ Error parsing SVG:', error);
-    }
-    
-    console.log(`✅ SVG parsing complete. Found ${spots.length} clickable spots:`, 
-      spots.map(spot => ({ id: spot.id, spotNumber: spot.spotNumber, x: spot.x, y: spot.y })));
-    
-    return spots;
-  };
-
   // Load spot statuses from backend
   const loadSpotStatuses = async (areaId: number) => {
     try {
@@ -2491,78 +1641,12 @@ export default function HomeScreen() {
       // Load parking layout SVG
       const layoutResponse = await ApiService.getParkingAreaLayout(area.id);
       
-      // DEBUG: Log the raw layout response to see if it contains sections
-      console.log('🔍 RAW LAYOUT RESPONSE:', JSON.stringify(layoutResponse, null, 2));
-      
       if (layoutResponse.success && layoutResponse.data.hasLayout && layoutResponse.data.layoutSvg) {
         const svg = layoutResponse.data.layoutSvg;
         setSvgContent(svg);
         
-        // DEBUG: Check if layout response contains sections data
-        if ((layoutResponse.data as any).sections) {
-          console.log('🎯 FOUND SECTIONS IN LAYOUT DATA:', (layoutResponse.data as any).sections);
-          
-          // Extract capacity-only sections from layout data
-          const layoutSections = (layoutResponse.data as any).sections;
-          const capacityOnlySections = layoutSections.filter((section: any) => 
-            section.section_data && section.section_data.section_mode === 'capacity_only'
-          );
-          
-          console.log('🎯 CAPACITY-ONLY SECTIONS FROM LAYOUT:', capacityOnlySections);
-          capacityOnlySections.forEach((section: any) => {
-            console.log('🎯 Capacity-only section details:', {
-              section_name: section.section_data.section_name,
-              type: section.section_data.type,
-              section_mode: section.section_data.section_mode,
-              capacity: section.section_data.capacity,
-              position: section.position
-            });
-          });
-        } else {
-          console.log('ℹ️ No sections data found in layout response');
-          console.log('🔍 Available layout data properties:', Object.keys(layoutResponse.data));
-          
-          // DEBUG: Try to extract capacity sections from SVG directly
-          console.log('🔍 Attempting to extract capacity sections from SVG...');
-          const svg = layoutResponse.data.layoutSvg;
-          
-          // Look for capacity section groups in the SVG
-          const capacitySectionRegex = /<g[^>]*transform="translate\([^)]+\)"[^>]*>[\s\S]*?<\/g>/g;
-          const sectionGroups = svg.match(capacitySectionRegex);
-          
-          if (sectionGroups) {
-            console.log('🔍 Found section groups in SVG:', sectionGroups.length);
-            
-            sectionGroups.forEach((group, index) => {
-              // Look for section labels (text elements with single letters)
-              const textMatch = group.match(/<text[^>]*>([A-Z]+)<\/text>/);
-              if (textMatch) {
-                const sectionName = textMatch[1];
-                console.log(`🎯 Found capacity section ${index + 1}:`, {
-                  sectionName,
-                  group: group.substring(0, 200) + '...',
-                  // Check if it has capacity gradient (indicating capacity-only)
-                  hasCapacityGradient: group.includes('capacityGradient'),
-                  // Look for section data attributes
-                  hasSectionData: group.includes('section_data'),
-                  hasSectionMode: group.includes('section_mode')
-                });
-                
-                // Check if this looks like a capacity-only section
-                if (group.includes('capacityGradient')) {
-                  console.log(`🎯 ${sectionName} appears to be a capacity-only section (has capacityGradient)`);
-                }
-              }
-            });
-          } else {
-            console.log('🔍 No section groups found in SVG');
-          }
-        }
-        
-        // Parse SVG for clickable elements
-        const layoutSections = (layoutResponse.data as any)?.sections || [];
-        const spots = parseSvgForClickableElements(svg, layoutSections);
-        setClickableSpots(spots);
+        // Spot positions are precomputed by the backend when the layout is uploaded
+        setClickableSpots(layoutResponse.data.geometry ? getLayoutTouchables(layoutResponse.data.geometry) : []);
         
         // Calculate aspect ratio from SVG (but use fixed standard size)
         const viewBoxMatch = svg.match(/viewBox=["']([^"']+)["']/);
@@ -2851,6 +1935,57 @@ export default function HomeScreen() {
           </View>
         </View>
 
+        {/* Email verification reminder */}
+        {user?.is_verified === false && (
+          <View style={homeScreenStyles.verifyEmailBanner}>
+            <Text style={homeScreenStyles.verifyEmailTitle}>Verify your email</Text>
+            <Text style={homeScreenStyles.verifyEmailText}>
+              Open the link we sent to {user.email} to start booking parking and buying plans.
+            </Text>
+            <View style={homeScreenStyles.verifyEmailActions}>
+              <TouchableOpacity onPress={handleResendVerification} disabled={isResendingVerification}>
+                <Text style={homeScreenStyles.verifyEmailAction}>
+                  {isResendingVerification ? 'Sending...' : 'Resend email'}
+                </Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={() => checkAuthStatus()}>
+                <Text style={homeScreenStyles.verifyEmailAction}>I&apos;ve verified</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+
+        {/* Upcoming Scheduled Bookings Section */}
+        {upcomingBookings.length > 0 && (
+        <View style={homeScreenStyles.section}>
+          <View style={homeScreenStyles.sectionHeader}>
+            <Ionicons name="calendar-outline" size={16} color={colors.primary} />
+            <Text style={homeScreenStyles.sectionTitle}>Upcoming Bookings</Text>
+          </View>
+          {upcomingBookings.map((booking) => (
+            <View key={booking.reservationId} style={homeScreenStyles.upcomingBookingCard}>
+              <View style={homeScreenStyles.upcomingBookingInfo}>
+                <Text style={homeScreenStyles.upcomingBookingTitle}>
+                  {booking.parkingArea?.name || 'Parking Area'} - Spot {booking.parkingSlot?.spotNumber || 'N/A'}
+                </Text>
+                <Text style={homeScreenStyles.upcomingBookingTime}>
+                  {formatScheduleWindow(booking.timestamps.scheduledStart, booking.timestamps.scheduledEnd)}
+                </Text>
+                <Text style={homeScreenStyles.upcomingBookingDetail}>
+                  {booking.vehicleDetails?.plateNumber || ''}
+                </Text>
+              </View>
+              <TouchableOpacity
+                style={homeScreenStyles.upcomingBookingCancel}
+                onPress={() => handleCancelUpcomingBooking(booking)}
+              >
+                <Text style={homeScreenStyles.upcomingBookingCancelText}>Cancel</Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+        </View>
+        )}
+
         {/* Registered Vehicle Section */}
         <View style={homeScreenStyles.section}>
           <View style={homeScreenStyles.sectionHeader}>
@@ -3090,6 +2225,13 @@ export default function HomeScreen() {
           <View style={homeScreenStyles.sectionHeader}>
             <SvgXml xml={checkboxIconSvg} width={16} height={16} />
             <Text style={homeScreenStyles.sectionTitle}>Select Parking Area</Text>
+            <TouchableOpacity
+              style={homeScreenStyles.forecastTimeButton}
+              onPress={() => setIsForecastPickerVisible(true)}
+            >
+              <Ionicons name="time-outline" size={14} color={colors.primary} />
+              <Text style={homeScreenStyles.forecastTimeText}>{forecastTimeLabel}</Text>
+            </TouchableOpacity>
           </View>
           
           {isLoadingParkingAreas ? (
@@ -3108,7 +2250,9 @@ export default function HomeScreen() {
             style={homeScreenStyles.horizontalScroll}
             contentContainerStyle={homeScreenStyles.horizontalScrollContent}
           >
-              {parkingAreas.map((area) => (
+              {parkingAreas.map((area) => {
+                const areaForecast = getAreaForecast(area.id);
+                return (
             <TouchableOpacity 
                   key={area.id}
               style={homeScreenStyles.areaCard}
@@ -3118,13 +2262,21 @@ export default function HomeScreen() {
                   <Text style={[homeScreenStyles.areaName, { fontSize: getResponsiveFontSize(12), color: colors.textSecondary, marginTop: 4 }]}>
                     {area.available_spots || 0} / {area.total_spots || 0} spots available
                   </Text>
+                  {areaForecast && (
+                    <Text style={homeScreenStyles.areaForecastText}>
+                      {areaForecast.closed
+                        ? `Closed at ${formatScheduleHour(forecastHour)}`
+                        : `~${areaForecast.expectedFree} / ${areaForecast.openCapacity} free at ${formatScheduleHour(forecastHour)}${areaForecast.isLowConfidence ? ' (est.)' : ''}`}
+                    </Text>
+                  )}
                   <Ionicons 
                     name="location" 
                     size={40} 
                     color={getLandmarkIconColor(area.available_spots, area.total_spots)} 
                   />
             </TouchableOpacity>
-              ))}
+                );
+              })}
           </ScrollView>
           )}
         </View>
@@ -3132,6 +2284,65 @@ export default function HomeScreen() {
       </ScrollView>
       </View>
 
+      {/* Forecast Time Modal */}
+      <Modal
+        visible={isForecastPickerVisible}
+        transparent={true}
+        animationType="fade"
+        onRequestClose={() => setIsForecastPickerVisible(false)}
+      >
+        <View style={homeScreenStyles.modalOverlay}>
+          <View style={homeScreenStyles.modalContainer}>
+            <Text style={homeScreenStyles.modalTitle}>Forecast Availability</Text>
+            <Text style={homeScreenStyles.scheduleSummaryText}>
+              Expected free spots based on past weeks and scheduled bookings
+            </Text>
+
+            <Text style={homeScreenStyles.scheduleLabel}>Day</Text>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={homeScreenStyles.scheduleChipRow}>
+              {Array.from({ length: SCHEDULE_DAYS }, (_, dayOffset) => dayOffset)
+                .filter(dayOffset => getAvailableStartHours(dayOffset).length > 0)
+                .map(dayOffset => (
+                  <TouchableOpacity
+                    key={dayOffset}
+                    style={[homeScreenStyles.scheduleChip, forecastDayOffset === dayOffset && homeScreenStyles.scheduleChipSelected]}
+                    onPress={() => {
+                      setForecastDayOffset(dayOffset);
+                      const hours = getAvailableStartHours(dayOffset);
+                      if (!hours.includes(forecastHour)) {
+                        setForecastHour(hours[0]);
+                      }
+                    }}
+                  >
+                    <Text style={[homeScreenStyles.scheduleChipText, forecastDayOffset === dayOffset && homeScreenStyles.scheduleChipTextSelected]}>
+                      {getScheduleDayLabel(dayOffset)}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+            </ScrollView>
+
+            <Text style={homeScreenStyles.scheduleLabel}>Arrival time</Text>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={homeScreenStyles.scheduleChipRow}>
+              {getAvailableStartHours(forecastDayOffset).map(hour => (
+                <TouchableOpacity
+                  key={hour}
+                  style={[homeScreenStyles.scheduleChip, forecastHour === hour && homeScreenStyles.scheduleChipSelected]}
+                  onPress={() => setForecastHour(hour)}
+                >
+                  <Text style={[homeScreenStyles.scheduleChipText, forecastHour === hour && homeScreenStyles.scheduleChipTextSelected]}>
+                    {formatScheduleHour(hour)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+
+            <TouchableOpacity style={homeScreenStyles.closeButton} onPress={() => setIsForecastPickerVisible(false)}>
+              <Text style={homeScreenStyles.closeButtonText}>Done</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+
       {/* Parking Booking Modal */}
       <Modal
         visible={isModalVisible}
@@ -3201,10 +2412,87 @@ export default function HomeScreen() {
                 <ActivityIndicator size="large" color={colors.primary} />
                 <Text style={homeScreenStyles.loadingText}>Assigning parking spot...</Text>
               </View>
+            ) : isScheduleMode ? (
+              <>
+                <Text style={homeScreenStyles.scheduleLabel}>Day</Text>
+                <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={homeScreenStyles.scheduleChipRow}>
+                  {Array.from({ length: SCHEDULE_DAYS }, (_, dayOffset) => dayOffset)
+                    .filter(dayOffset => getAvailableStartHours(dayOffset).length > 0)
+                    .map(dayOffset => (
+                      <TouchableOpacity
+                        key={dayOffset}
+                        style={[homeScreenStyles.scheduleChip, scheduleDayOffset === dayOffset && homeScreenStyles.scheduleChipSelected]}
+                        onPress={() => {
+                          setScheduleDayOffset(dayOffset);
+                          setScheduleStartHour(null);
+                        }}
+                      >
+                        <Text style={[homeScreenStyles.scheduleChipText, scheduleDayOffset === dayOffset && homeScreenStyles.scheduleChipTextSelected]}>
+                          {getScheduleDayLabel(dayOffset)}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                </ScrollView>
+
+                <Text style={homeScreenStyles.scheduleLabel}>Arrival time</Text>
+                <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={homeScreenStyles.scheduleChipRow}>
+                  {getAvailableStartHours(scheduleDayOffset).map(hour => (
+                    <TouchableOpacity
+                      key={hour}
+                      style={[homeScreenStyles.scheduleChip, scheduleStartHour === hour && homeScreenStyles.scheduleChipSelected]}
+                      onPress={() => setScheduleStartHour(hour)}
+                    >
+                      <Text style={[homeScreenStyles.scheduleChipText, scheduleStartHour === hour && homeScreenStyles.scheduleChipTextSelected]}>
+                        {formatScheduleHour(hour)}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </ScrollView>
+
+                <Text style={homeScreenStyles.scheduleLabel}>Duration</Text>
+                <View style={homeScreenStyles.scheduleChipRow}>
+                  {SCHEDULE_DURATIONS.map(hours => (
+                    <TouchableOpacity
+                      key={hours}
+                      style={[homeScreenStyles.scheduleChip, scheduleDurationHours === hours && homeScreenStyles.scheduleChipSelected]}
+                      onPress={() => setScheduleDurationHours(hours)}
+                    >
+                      <Text style={[homeScreenStyles.scheduleChipText, scheduleDurationHours === hours && homeScreenStyles.scheduleChipTextSelected]}>
+                        {hours}h
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+
+                {scheduleStartHour !== null && (
+                  <Text style={homeScreenStyles.scheduleSummaryText}>
+                    {formatScheduleWindow(
+                      getScheduleDate(scheduleDayOffset, scheduleStartHour).toISOString(),
+                      getScheduleDate(scheduleDayOffset, scheduleStartHour + scheduleDurationHours).toISOString()
+                    )}
+                  </Text>
+                )}
+
+                {isSchedulingBooking ? (
+                  <ActivityIndicator size="large" color={colors.primary} />
+                ) : (
+                  <TouchableOpacity style={homeScreenStyles.bookNowButton} onPress={handleScheduleBooking}>
+                    <Text style={homeScreenStyles.bookNowButtonText}>Confirm Schedule</Text>
+                  </TouchableOpacity>
+                )}
+                <TouchableOpacity style={homeScreenStyles.scheduleLaterButton} onPress={() => setIsScheduleMode(false)}>
+                  <Text style={homeScreenStyles.scheduleLaterButtonText}>Book Now Instead</Text>
+                </TouchableOpacity>
+              </>
             ) : (
-              <TouchableOpacity style={homeScreenStyles.bookNowButton} onPress={handleBookNow}>
-                <Text style={homeScreenStyles.bookNowButtonText}>Book Now</Text>
-              </TouchableOpacity>
+              <>
+                <TouchableOpacity style={homeScreenStyles.bookNowButton} onPress={handleBookNow}>
+                  <Text style={homeScreenStyles.bookNowButtonText}>Book Now</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={homeScreenStyles.scheduleLaterButton} onPress={handleOpenScheduleMode}>
+                  <Text style={homeScreenStyles.scheduleLaterButtonText}>Schedule for Later</Text>
+                </TouchableOpacity>
+              </>
             )}
             
             <TouchableOpacity style={homeScreenStyles.closeButton} onPress={handleCloseBookingModal}>
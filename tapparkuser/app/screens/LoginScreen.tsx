@@ -310,6 +310,15 @@ export default function LoginScreen() {
               </TouchableOpacity>
             </View>
             {generalError ? <Text style={styles.errorText}>{generalError}</Text> : null}
+            <TouchableOpacity
+              onPress={() => router.push({
+                pathname: '/screens/ForgotPasswordScreen',
+                params: email.trim() ? { email: email.trim() } : {}
+              } as any)}
+              style={styles.forgotPasswordLink}
+            >
+              <Text style={styles.forgotPasswordText}>Forgot password?</Text>
+            </TouchableOpacity>
           </View>
 
           {/* Bottom Section - Buttons */}
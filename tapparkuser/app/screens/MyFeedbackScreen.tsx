@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -12,7 +12,7 @@ import {
   Modal,
   TextInput,
 } from 'react-native';
-import { useRouter } from 'expo-router';
+import { useRouter, useLocalSearchParams } from 'expo-router';
 import { SvgXml } from 'react-native-svg';
 import { useFocusEffect } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
@@ -56,6 +56,8 @@ interface FeedbackComment {
 
 const MyFeedbackScreen: React.FC = () => {
   const router = useRouter();
+  const params = useLocalSearchParams<{ feedbackId?: string }>();
+  const openedFeedbackId = useRef<string | null>(null);
   const { user } = useAuth();
   const colors = useThemeColors();
   const screenDimensions = useScreenDimensions();
@@ -163,6 +165,14 @@ const MyFeedbackScreen: React.FC = () => {
     }
   };
 
+  // Opened from a "New Reply" notification: show that feedback once the list has loaded
+  useEffect(() => {
+    if (!params.feedbackId || loading || openedFeedbackId.current === params.feedbackId) return;
+    openedFeedbackId.current = params.feedbackId;
+    navigateToFeedbackDetail(Number(params.feedbackId));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [params.feedbackId, loading, feedbackList]);
+
   const closeModal = () => {
     setModalVisible(false);
     setSelectedFeedback(null);
@@ -0,0 +1,313 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+  RefreshControl,
+  Switch
+} from 'react-native';
+import { useRouter } from 'expo-router';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import SharedHeader from '../../components/SharedHeader';
+import { useThemeColors } from '../../contexts/ThemeContext';
+import { useLoading } from '../../contexts/LoadingContext';
+import { useNotifications } from '../../contexts/NotificationContext';
+import { ApiService, AppNotification, NotificationCategory, NotificationPreferences } from '../../services/api';
+import { RealtimeService } from '../../services/realtime';
+import { getNotificationsScreenStyles, getNotificationTypeColor } from '../styles/notificationsScreenStyles';
+
+const PAGE_SIZE = 20;
+
+const TYPE_ICONS: Record<string, keyof typeof Ionicons.glyphMap> = {
+  success: 'checkmark-circle-outline',
+  warning: 'warning-outline',
+  error: 'alert-circle-outline',
+  info: 'information-circle-outline',
+};
+
+const PUSH_CATEGORIES: { category: NotificationCategory; label: string; description: string }[] = [
+  { category: 'booking', label: 'Bookings', description: 'Confirmations, held spots and expired reservations' },
+  { category: 'parking', label: 'Parking sessions', description: 'When parking starts and ends' },
+  { category: 'payment', label: 'Payments', description: 'Purchases, refunds and penalties' },
+  { category: 'feedback', label: 'Feedback replies', description: 'Replies to your feedback' },
+  { category: 'general', label: 'Other', description: 'Everything else' },
+];
+
+const formatDateTime = (value: string) => {
+  return new Date(value).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+const isUnread = (notification: AppNotification) => !notification.is_read;
+
+// Booking, parking, payment and feedback notifications; tapping one opens the screen it links to
+const NotificationsScreen: React.FC = () => {
+  const router = useRouter();
+  const colors = useThemeColors();
+  const { showLoading, hideLoading } = useLoading();
+  const { unreadCount, setUnreadCount } = useNotifications();
+  const styles = getNotificationsScreenStyles(colors);
+
+  const [notifications, setNotifications] = useState<AppNotification[]>([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [showPushSettings, setShowPushSettings] = useState(false);
+  const [preferences, setPreferences] = useState<NotificationPreferences | null>(null);
+
+  const loadNotifications = useCallback(async (pageToLoad: number = 1) => {
+    try {
+      const response = await ApiService.getNotifications(pageToLoad, PAGE_SIZE);
+      if (response.success) {
+        setNotifications((current) =>
+          pageToLoad === 1 ? response.data.notifications : [...current, ...response.data.notifications]
+        );
+        setPage(pageToLoad);
+        setTotalPages(response.data.pagination.totalPages || 1);
+        setUnreadCount(Number(response.data.unreadCount));
+      }
+    } catch (error) {
+      console.error('Error loading notifications:', error);
+      Alert.alert('Error', error instanceof Error ? error.message : 'Failed to load notifications');
+    } finally {
+      setIsLoading(false);
+      setIsRefreshing(false);
+      setIsLoadingMore(false);
+    }
+  }, [setUnreadCount]);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadNotifications(1);
+    }, [loadNotifications])
+  );
+
+  // Show new notifications as they arrive while the screen is open
+  useEffect(() => {
+    return RealtimeService.subscribeRefresh(
+      (event) => event.type === 'notification.created',
+      () => loadNotifications(1)
+    );
+  }, [loadNotifications]);
+
+  const togglePushSettings = async () => {
+    const nextShow = !showPushSettings;
+    setShowPushSettings(nextShow);
+    if (!nextShow || preferences) return;
+
+    try {
+      const response = await ApiService.getNotificationPreferences();
+      if (response.success) {
+        setPreferences(response.data.preferences);
+      }
+    } catch (error) {
+      Alert.alert('Error', error instanceof Error ? error.message : 'Failed to load notification settings');
+      setShowPushSettings(false);
+    }
+  };
+
+  const handlePreferenceChange = async (category: NotificationCategory, enabled: boolean) => {
+    if (!preferences) return;
+
+    const previous = preferences;
+    setPreferences({ ...preferences, [category]: enabled });
+    try {
+      const response = await ApiService.updateNotificationPreferences({ [category]: enabled });
+      if (response.success) {
+        setPreferences(response.data.preferences);
+      }
+    } catch (error) {
+      setPreferences(previous);
+      Alert.alert('Error', error instanceof Error ? error.message : 'Failed to update notification settings');
+    }
+  };
+
+  const handleLoadMore = () => {
+    if (isLoadingMore || isLoading || page >= totalPages) return;
+    setIsLoadingMore(true);
+    loadNotifications(page + 1);
+  };
+
+  const markRead = async (notification: AppNotification) => {
+    if (!isUnread(notification)) return;
+
+    setNotifications((current) =>
+      current.map((item) => (item.id === notification.id ? { ...item, is_read: true } : item))
+    );
+    setUnreadCount(Math.max(0, unreadCount - 1));
+    try {
+      await ApiService.markNotificationRead(notification.id);
+    } catch (error) {
+      console.error('Error marking notification read:', error);
+    }
+  };
+
+  const handlePress = async (notification: AppNotification) => {
+    await markRead(notification);
+
+    const link = notification.data?.link;
+    if (!link?.pathname) return;
+
+    showLoading('Loading...', link.pathname);
+    router.push({ pathname: link.pathname, params: link.params || {} } as never);
+    setTimeout(() => hideLoading(), 500);
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await ApiService.markAllNotificationsRead();
+      setNotifications((current) => current.map((item) => ({ ...item, is_read: true })));
+      setUnreadCount(0);
+    } catch (error) {
+      Alert.alert('Error', error instanceof Error ? error.message : 'Failed to mark notifications as read');
+    }
+  };
+
+  const handleDelete = (notification: AppNotification) => {
+    Alert.alert('Delete Notification', 'Remove this notification?', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await ApiService.deleteNotification(notification.id);
+            setNotifications((current) => current.filter((item) => item.id !== notification.id));
+            if (isUnread(notification)) {
+              setUnreadCount(Math.max(0, unreadCount - 1));
+            }
+          } catch (error) {
+            Alert.alert('Error', error instanceof Error ? error.message : 'Failed to delete notification');
+          }
+        }
+      }
+    ]);
+  };
+
+  const renderNotification = ({ item }: { item: AppNotification }) => (
+    <TouchableOpacity
+      style={[styles.notificationCard, isUnread(item) && styles.unreadCard]}
+      onPress={() => handlePress(item)}
+      onLongPress={() => handleDelete(item)}
+      activeOpacity={0.7}
+    >
+      <Ionicons
+        name={TYPE_ICONS[item.type] || TYPE_ICONS.info}
+        size={24}
+        color={getNotificationTypeColor(colors, item.type)}
+        style={styles.typeIcon}
+      />
+      <View style={styles.notificationBody}>
+        <View style={styles.titleRow}>
+          <Text style={styles.notificationTitle}>{item.title}</Text>
+          {isUnread(item) && <View style={styles.unreadDot} />}
+        </View>
+        <Text style={styles.notificationMessage}>{item.message}</Text>
+        <Text style={styles.notificationTime}>{formatDateTime(item.created_at)}</Text>
+      </View>
+      <TouchableOpacity style={styles.deleteButton} onPress={() => handleDelete(item)}>
+        <Ionicons name="trash-outline" size={18} color={colors.textMuted} />
+      </TouchableOpacity>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <SharedHeader
+        title="Notifications"
+        showBackButton
+        showNotificationBell={false}
+        onBackPress={() => {
+          showLoading();
+          router.back();
+          setTimeout(() => hideLoading(), 500);
+        }}
+      />
+
+      <View style={styles.toolbar}>
+        <Text style={styles.toolbarText}>
+          {unreadCount > 0 ? `${unreadCount} unread` : 'All caught up'}
+        </Text>
+        <View style={styles.toolbarActions}>
+          {unreadCount > 0 && (
+            <TouchableOpacity onPress={handleMarkAllRead}>
+              <Text style={styles.markAllText}>Mark all as read</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity style={styles.settingsButton} onPress={togglePushSettings}>
+            <Ionicons
+              name={showPushSettings ? 'settings' : 'settings-outline'}
+              size={20}
+              color={showPushSettings ? colors.primary : colors.textSecondary}
+            />
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {showPushSettings && (
+        <View style={styles.settingsPanel}>
+          <Text style={styles.settingsTitle}>Push notifications</Text>
+          {preferences ? (
+            PUSH_CATEGORIES.map(({ category, label, description }) => (
+              <View key={category} style={styles.settingRow}>
+                <View style={styles.settingText}>
+                  <Text style={styles.settingLabel}>{label}</Text>
+                  <Text style={styles.settingDescription}>{description}</Text>
+                </View>
+                <Switch
+                  value={preferences[category]}
+                  onValueChange={(enabled) => handlePreferenceChange(category, enabled)}
+                  trackColor={{ false: colors.border, true: colors.primary }}
+                />
+              </View>
+            ))
+          ) : (
+            <ActivityIndicator size="small" color={colors.primary} style={styles.footerLoader} />
+          )}
+          <Text style={styles.settingsNote}>Turned-off categories still appear in this list.</Text>
+        </View>
+      )}
+
+      {isLoading ? (
+        <ActivityIndicator size="large" color={colors.primary} style={styles.footerLoader} />
+      ) : (
+        <FlatList
+          data={notifications}
+          keyExtractor={(item) => String(item.id)}
+          renderItem={renderNotification}
+          contentContainerStyle={styles.listContent}
+          onEndReached={handleLoadMore}
+          onEndReachedThreshold={0.3}
+          ListEmptyComponent={<Text style={styles.emptyText}>No notifications yet</Text>}
+          ListFooterComponent={
+            isLoadingMore ? <ActivityIndicator size="small" color={colors.primary} style={styles.footerLoader} /> : null
+          }
+          refreshControl={
+            <RefreshControl
+              refreshing={isRefreshing}
+              onRefresh={() => {
+                setIsRefreshing(true);
+                loadNotifications(1);
+              }}
+              colors={[colors.primary]}
+              tintColor={colors.primary}
+            />
+          }
+        />
+      )}
+    </View>
+  );
+};
+
+export default NotificationsScreen;
@@ -21,6 +21,7 @@ import { SvgXml } from 'react-native-svg';
 import { carIconSvg } from '../assets/icons/index2';
 import { signupStyles } from '../styles/signupStyles';
 import ApiService from '../../services/api';
+import { getPasswordProblem } from '../../utils/passwordPolicy';
 
 const { width: screenWidth } = Dimensions.get('window');
 
@@ -134,8 +135,9 @@ export default function SignupScreen() {
     }
 
     // Password validation
-    if (password.length < 6) {
-      Alert.alert('Error', 'Password must be at least 6 characters long');
+    const passwordProblem = getPasswordProblem(password);
+    if (passwordProblem) {
+      Alert.alert('Error', passwordProblem);
       return;
     }
 
@@ -54,6 +54,7 @@ const TopUpScreen: React.FC = () => {
   const [plans, setPlans] = useState<Plan[]>([]);
   const [loading, setLoading] = useState(true);
   const [purchasing, setPurchasing] = useState(false);
+  const [outstandingPenaltyHours, setOutstandingPenaltyHours] = useState(0);
   
   const styles = createHistoryScreenStyles(screenDimensions, colors);
   
@@ -111,9 +112,22 @@ const TopUpScreen: React.FC = () => {
     }
   };
 
+  // Outstanding penalty hours are deducted from the next purchased plan
+  const loadOutstandingPenalty = async () => {
+    try {
+      const penaltyResponse = await ApiService.getOutstandingPenalty();
+      if (penaltyResponse.success) {
+        setOutstandingPenaltyHours(Number(penaltyResponse.data.outstanding_hours) || 0);
+      }
+    } catch (error) {
+      console.error('Error loading outstanding penalty:', error);
+    }
+  };
+
   useFocusEffect(
     React.useCallback(() => {
       loadUserProfile();
+      loadOutstandingPenalty();
       fetchPlans();
     }, [])
   );
@@ -202,7 +216,7 @@ const TopUpScreen: React.FC = () => {
         if (response.success) {
           Alert.alert(
             'Payment Successful!',
-            `You have successfully purchased ${selectedPlan?.plan_name}!\n\nHours added: ${selectedPlan?.number_of_hours}\nTotal hours remaining: ${response.data.total_hours_remaining || 'Updated'}`,
+            `You have successfully purchased ${selectedPlan?.plan_name}!\n\nHours added: ${selectedPlan?.number_of_hours}${response.data.penalty_hours_deducted ? `\nPenalty deducted: ${response.data.penalty_hours_deducted} hours` : ''}\nTotal hours remaining: ${response.data.total_hours_remaining || 'Updated'}`,
             [
               {
                 text: 'OK',
@@ -292,6 +306,17 @@ const TopUpScreen: React.FC = () => {
             {/* Plans Section */}
             <View style={styles.spotsContainer}>
               <Text style={styles.spotsTitle}>Available Plans</Text>
+
+              {outstandingPenaltyHours > 0 && (
+                <View style={styles.penaltyNotice}>
+                  <Text style={styles.penaltyNoticeTitle}>
+                    Outstanding penalty: {outstandingPenaltyHours} hours
+                  </Text>
+                  <Text style={styles.penaltyNoticeText}>
+                    These hours will be deducted from the plan you purchase.
+                  </Text>
+                </View>
+              )}
               
               {loading ? (
                 <View style={styles.loadingContainer}>
@@ -393,6 +418,17 @@ const TopUpScreen: React.FC = () => {
                     <Text style={[styles.reservationDetailSubValue, { marginTop: 8, marginBottom: 16 }]}>
                       {selectedPlan.description}
                     </Text>
+
+                    {outstandingPenaltyHours > 0 && (
+                      <View style={styles.penaltyNotice}>
+                        <Text style={styles.penaltyNoticeTitle}>
+                          Penalty deduction: -{Math.min(outstandingPenaltyHours, Number(selectedPlan.number_of_hours))} hours
+                        </Text>
+                        <Text style={styles.penaltyNoticeText}>
+                          You will receive {Math.max(0, Number(selectedPlan.number_of_hours) - outstandingPenaltyHours)} of {selectedPlan.number_of_hours} hours after your outstanding penalty is settled.
+                        </Text>
+                      </View>
+                    )}
                   </View>
                 </View>
                 
@@ -17,6 +17,7 @@ export default function ScreensLayout() {
       <Stack.Screen name="GreetingsScreen" />
       <Stack.Screen name="LoginScreen" />
       <Stack.Screen name="SignupScreen" />
+      <Stack.Screen name="ForgotPasswordScreen" />
       <Stack.Screen name="AboutScreen" />
       <Stack.Screen name="AddVehicleScreen" />
       <Stack.Screen name="HomeScreen" />
@@ -24,6 +25,8 @@ export default function ScreensLayout() {
       <Stack.Screen name="FavoritesScreen" />
       <Stack.Screen name="HistoryScreen" />
       <Stack.Screen name="ChangePasswordScreen" />
+      <Stack.Screen name="DevicesScreen" />
+      <Stack.Screen name="NotificationsScreen" />
       <Stack.Screen name="RegisteredVehiclesScreen" />
       <Stack.Screen name="TermsAndConditionsScreen" />
       <Stack.Screen name="BalanceScreen" />
@@ -197,6 +197,16 @@ export const getActiveParkingScreenStyles = (colors: ThemeColors) => StyleSheet.
     color: colors.primary,
     textAlign: 'center',
   },
+  expiryCountdown: {
+    fontSize: getResponsiveFontSize(14),
+    fontWeight: '600',
+    color: colors.textSecondary,
+    textAlign: 'center',
+    marginTop: getResponsivePadding(8),
+  },
+  expiryCountdownUrgent: {
+    color: colors.error,
+  },
   separator: {
     height: 1,
     borderTopWidth: 1,
@@ -248,6 +248,24 @@ export const getBalanceScreenStyles = (colors: ThemeColors) => StyleSheet.create
     fontSize: getResponsiveFontSize(16),
     fontWeight: 'bold',
   },
+  penaltyNotice: {
+    marginTop: getResponsivePadding(15),
+    padding: getResponsivePadding(12),
+    borderRadius: getResponsiveSize(8),
+    borderLeftWidth: 4,
+    borderLeftColor: colors.error,
+    backgroundColor: colors.background,
+  },
+  penaltyNoticeTitle: {
+    fontSize: getResponsiveFontSize(15),
+    fontWeight: 'bold',
+    color: colors.error,
+  },
+  penaltyNoticeText: {
+    fontSize: getResponsiveFontSize(13),
+    color: colors.textSecondary,
+    marginTop: getResponsivePadding(4),
+  },
   transactionsSection: {
     marginTop: getResponsivePadding(10),
   },
@@ -294,6 +312,16 @@ export const getBalanceScreenStyles = (colors: ThemeColors) => StyleSheet.create
     color: colors.textSecondary,
     marginTop: getResponsivePadding(2),
   },
+  refundedTransactionAmount: {
+    color: colors.textSecondary,
+    textDecorationLine: 'line-through',
+  },
+  refundedLabel: {
+    fontSize: getResponsiveFontSize(12),
+    color: colors.warning,
+    fontWeight: '600',
+    marginTop: getResponsivePadding(2),
+  },
   loadingContainer: {
     alignItems: 'center',
     justifyContent: 'center',
@@ -414,6 +442,14 @@ export const getBalanceScreenStyles = (colors: ThemeColors) => StyleSheet.create
     fontWeight: 'bold',
     color: colors.primary,
   },
+  penaltyDeductionValue: {
+    color: colors.error,
+    fontWeight: '600',
+  },
+  refundedValue: {
+    color: colors.warning,
+    fontWeight: '600',
+  },
   transactionId: {
     fontSize: getResponsiveFontSize(12),
     fontFamily: 'monospace',
@@ -0,0 +1,107 @@
+import { StyleSheet } from 'react-native';
+import {
+  getResponsiveFontSize,
+  getResponsiveSize,
+  getResponsivePadding,
+  getResponsiveMargin
+} from './sharedStyles';
+
+type ThemeColors = {
+  background: string;
+  card: string;
+  text: string;
+  textSecondary: string;
+  textMuted: string;
+  textInverse: string;
+  primary: string;
+  border: string;
+  shadow: string;
+  success: string;
+};
+
+export const getDevicesScreenStyles = (colors: ThemeColors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  scrollContent: {
+    padding: getResponsivePadding(20),
+    paddingBottom: getResponsivePadding(40),
+  },
+  introText: {
+    fontSize: getResponsiveFontSize(14),
+    color: colors.textSecondary,
+    marginBottom: getResponsiveMargin(16),
+  },
+  deviceCard: {
+    backgroundColor: colors.card,
+    borderRadius: getResponsiveSize(12),
+    borderWidth: 1,
+    borderColor: colors.border,
+    padding: getResponsivePadding(16),
+    marginBottom: getResponsiveMargin(12),
+    flexDirection: 'row',
+    alignItems: 'center',
+    shadowColor: colors.shadow,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.08,
+    shadowRadius: getResponsiveSize(4),
+    elevation: 2,
+  },
+  currentDeviceCard: {
+    borderColor: colors.primary,
+  },
+  deviceInfo: {
+    flex: 1,
+    marginRight: getResponsiveMargin(12),
+  },
+  deviceName: {
+    fontSize: getResponsiveFontSize(16),
+    fontWeight: '600',
+    color: colors.text,
+  },
+  currentBadge: {
+    fontSize: getResponsiveFontSize(12),
+    fontWeight: '600',
+    color: colors.success,
+    marginTop: getResponsiveMargin(2),
+  },
+  deviceMeta: {
+    fontSize: getResponsiveFontSize(13),
+    color: colors.textSecondary,
+    marginTop: getResponsiveMargin(4),
+  },
+  signOutButton: {
+    borderWidth: 1,
+    borderColor: colors.primary,
+    borderRadius: getResponsiveSize(16),
+    paddingVertical: getResponsivePadding(6),
+    paddingHorizontal: getResponsivePadding(12),
+  },
+  signOutButtonText: {
+    color: colors.primary,
+    fontSize: getResponsiveFontSize(13),
+    fontWeight: '600',
+  },
+  logoutAllButton: {
+    backgroundColor: colors.primary,
+    borderRadius: getResponsiveSize(25),
+    paddingVertical: getResponsivePadding(16),
+    alignItems: 'center',
+    marginTop: getResponsiveMargin(12),
+  },
+  logoutAllButtonText: {
+    color: colors.textInverse,
+    fontSize: getResponsiveFontSize(16),
+    fontWeight: '600',
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: colors.textMuted,
+    fontSize: getResponsiveFontSize(14),
+    marginVertical: getResponsiveMargin(24),
+  },
+  disabledButton: {
+    opacity: 0.6,
+  },
+});
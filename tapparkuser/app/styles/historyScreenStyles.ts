@@ -477,6 +477,24 @@ export const createHistoryScreenStyles = (screenDimensions: any, colors: ThemeCo
     color: colors.primary,
     marginTop: getAdaptiveMargin(screenDimensions, 10),
   },
+  penaltyNotice: {
+    borderLeftWidth: 4,
+    borderLeftColor: colors.error,
+    backgroundColor: colors.backgroundSecondary,
+    borderRadius: getAdaptiveSize(screenDimensions, 8),
+    padding: getAdaptivePadding(screenDimensions, 12),
+    marginBottom: getAdaptiveMargin(screenDimensions, 16),
+  },
+  penaltyNoticeTitle: {
+    fontSize: getAdaptiveFontSize(screenDimensions, 15),
+    fontWeight: 'bold',
+    color: colors.error,
+  },
+  penaltyNoticeText: {
+    fontSize: getAdaptiveFontSize(screenDimensions, 13),
+    color: colors.textSecondary,
+    marginTop: getAdaptiveMargin(screenDimensions, 4),
+  },
   emptyContainer: {
     alignItems: 'center',
     justifyContent: 'center',
@@ -112,6 +112,36 @@ export const getHomeScreenStyles = (colors: ThemeColors) => StyleSheet.create({
     paddingHorizontal: getResponsivePadding(20),
     marginBottom: getResponsiveMargin(30),
   },
+  verifyEmailBanner: {
+    marginHorizontal: getResponsivePadding(20),
+    marginBottom: getResponsiveMargin(24),
+    padding: getResponsivePadding(14),
+    borderRadius: getResponsiveSize(8),
+    borderLeftWidth: 4,
+    borderLeftColor: colors.warning,
+    backgroundColor: colors.card,
+  },
+  verifyEmailTitle: {
+    fontSize: getResponsiveFontSize(16),
+    fontWeight: '600',
+    color: colors.text,
+    marginBottom: getResponsiveMargin(4),
+  },
+  verifyEmailText: {
+    fontSize: getResponsiveFontSize(14),
+    color: colors.textSecondary,
+    lineHeight: getResponsiveFontSize(20),
+  },
+  verifyEmailActions: {
+    flexDirection: 'row',
+    gap: getResponsiveSize(20),
+    marginTop: getResponsiveMargin(10),
+  },
+  verifyEmailAction: {
+    fontSize: getResponsiveFontSize(14),
+    fontWeight: '600',
+    color: colors.primary,
+  },
   sectionHeader: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -267,6 +297,26 @@ export const getHomeScreenStyles = (colors: ThemeColors) => StyleSheet.create({
     color: colors.text,
     flex: 1,
   },
+  areaForecastText: {
+    fontSize: getResponsiveFontSize(11),
+    color: colors.primary,
+    marginTop: getResponsiveMargin(4),
+  },
+  forecastTimeButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginLeft: 'auto',
+    borderWidth: 1,
+    borderColor: colors.primary,
+    borderRadius: getResponsiveSize(12),
+    paddingVertical: getResponsivePadding(4),
+    paddingHorizontal: getResponsivePadding(8),
+  },
+  forecastTimeText: {
+    fontSize: getResponsiveFontSize(12),
+    color: colors.primary,
+    marginLeft: getResponsiveMargin(4),
+  },
   areaLocationIcon: {
     alignSelf: 'flex-end',
     marginTop: getResponsiveMargin(8),
@@ -792,6 +842,98 @@ export const getHomeScreenStyles = (colors: ThemeColors) => StyleSheet.create({
     fontSize: getResponsiveFontSize(16),
     fontWeight: 'bold',
   },
+  // Scheduled Booking Styles
+  scheduleLaterButton: {
+    borderWidth: 1,
+    borderColor: colors.primary,
+    borderRadius: getResponsiveSize(8),
+    paddingVertical: getResponsivePadding(14),
+    paddingHorizontal: getResponsivePadding(32),
+    marginBottom: getResponsiveMargin(12),
+    width: '100%',
+    alignItems: 'center',
+  },
+  scheduleLaterButtonText: {
+    color: colors.primary,
+    fontSize: getResponsiveFontSize(16),
+    fontWeight: '600',
+  },
+  scheduleLabel: {
+    fontSize: getResponsiveFontSize(14),
+    fontWeight: '600',
+    color: colors.text,
+    alignSelf: 'flex-start',
+    marginTop: getResponsiveMargin(8),
+    marginBottom: getResponsiveMargin(8),
+  },
+  scheduleChipRow: {
+    flexDirection: 'row',
+    paddingBottom: getResponsivePadding(4),
+  },
+  scheduleChip: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: getResponsiveSize(16),
+    paddingVertical: getResponsivePadding(6),
+    paddingHorizontal: getResponsivePadding(12),
+    marginRight: getResponsiveMargin(8),
+    backgroundColor: colors.card,
+  },
+  scheduleChipSelected: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primary,
+  },
+  scheduleChipText: {
+    fontSize: getResponsiveFontSize(13),
+    color: colors.text,
+  },
+  scheduleChipTextSelected: {
+    color: colors.textInverse,
+    fontWeight: '600',
+  },
+  scheduleSummaryText: {
+    fontSize: getResponsiveFontSize(14),
+    color: colors.textSecondary,
+    textAlign: 'center',
+    marginVertical: getResponsiveMargin(12),
+  },
+  upcomingBookingCard: {
+    backgroundColor: colors.card,
+    borderWidth: 1,
+    borderColor: colors.primary,
+    borderRadius: 12,
+    padding: getResponsivePadding(16),
+    marginBottom: getResponsiveMargin(12),
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  upcomingBookingInfo: {
+    flex: 1,
+  },
+  upcomingBookingTitle: {
+    fontSize: getResponsiveFontSize(14),
+    fontWeight: '600',
+    color: colors.text,
+  },
+  upcomingBookingTime: {
+    fontSize: getResponsiveFontSize(13),
+    color: colors.primary,
+    marginTop: getResponsiveMargin(4),
+  },
+  upcomingBookingDetail: {
+    fontSize: getResponsiveFontSize(12),
+    color: colors.textSecondary,
+    marginTop: getResponsiveMargin(2),
+  },
+  upcomingBookingCancel: {
+    paddingVertical: getResponsivePadding(8),
+    paddingHorizontal: getResponsivePadding(12),
+  },
+  upcomingBookingCancelText: {
+    fontSize: getResponsiveFontSize(13),
+    fontWeight: '600',
+    color: colors.error,
+  },
 });
 
 // Export default styles for backward compatibility (light theme)
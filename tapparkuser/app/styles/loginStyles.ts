@@ -227,6 +227,37 @@ export const loginStyles = StyleSheet.create({
     marginBottom: getResponsiveMargin(8),
     fontWeight: '500',
   },
+  forgotPasswordLink: {
+    alignSelf: 'flex-end',
+    paddingVertical: getResponsivePadding(6),
+  },
+  forgotPasswordText: {
+    color: '#800000',
+    fontSize: getResponsiveFontSize(15),
+    fontWeight: '600',
+  },
+  formTitle: {
+    fontSize: getResponsiveFontSize(24),
+    fontWeight: '700',
+    color: '#1F2937',
+    textAlign: 'center',
+    marginBottom: getResponsiveMargin(8),
+  },
+  formSubtitle: {
+    fontSize: getResponsiveFontSize(15),
+    color: '#6B7280',
+    textAlign: 'center',
+    lineHeight: getResponsiveFontSize(21),
+    marginBottom: getResponsiveMargin(20),
+  },
+  infoText: {
+    color: '#047857',
+    fontSize: getResponsiveFontSize(14),
+    marginTop: getResponsiveMargin(4),
+    marginLeft: getResponsiveMargin(4),
+    marginBottom: getResponsiveMargin(8),
+    fontWeight: '500',
+  },
 });
 
 export default loginStyles;
@@ -0,0 +1,170 @@
+import { StyleSheet } from 'react-native';
+import {
+  getResponsiveFontSize,
+  getResponsiveSize,
+  getResponsivePadding,
+  getResponsiveMargin
+} from './sharedStyles';
+
+type ThemeColors = {
+  background: string;
+  card: string;
+  text: string;
+  textSecondary: string;
+  textMuted: string;
+  primary: string;
+  border: string;
+  shadow: string;
+  success: string;
+  error: string;
+  warning: string;
+  info: string;
+};
+
+export const getNotificationsScreenStyles = (colors: ThemeColors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  toolbar: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: getResponsivePadding(20),
+    paddingTop: getResponsivePadding(16),
+    paddingBottom: getResponsivePadding(4),
+  },
+  toolbarText: {
+    fontSize: getResponsiveFontSize(14),
+    color: colors.textSecondary,
+  },
+  toolbarActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  settingsButton: {
+    padding: getResponsivePadding(4),
+    marginLeft: getResponsiveMargin(12),
+  },
+  settingsPanel: {
+    backgroundColor: colors.card,
+    borderRadius: getResponsiveSize(12),
+    borderWidth: 1,
+    borderColor: colors.border,
+    padding: getResponsivePadding(16),
+    marginHorizontal: getResponsiveMargin(20),
+    marginTop: getResponsiveMargin(12),
+  },
+  settingsTitle: {
+    fontSize: getResponsiveFontSize(15),
+    fontWeight: '600',
+    color: colors.text,
+    marginBottom: getResponsiveMargin(8),
+  },
+  settingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: getResponsivePadding(8),
+  },
+  settingText: {
+    flex: 1,
+    marginRight: getResponsiveMargin(12),
+  },
+  settingLabel: {
+    fontSize: getResponsiveFontSize(14),
+    color: colors.text,
+  },
+  settingDescription: {
+    fontSize: getResponsiveFontSize(12),
+    color: colors.textMuted,
+    marginTop: getResponsiveMargin(2),
+  },
+  settingsNote: {
+    fontSize: getResponsiveFontSize(12),
+    color: colors.textMuted,
+    marginTop: getResponsiveMargin(8),
+  },
+  markAllText: {
+    fontSize: getResponsiveFontSize(14),
+    fontWeight: '600',
+    color: colors.primary,
+  },
+  listContent: {
+    padding: getResponsivePadding(20),
+    paddingTop: getResponsivePadding(12),
+    paddingBottom: getResponsivePadding(40),
+  },
+  notificationCard: {
+    backgroundColor: colors.card,
+    borderRadius: getResponsiveSize(12),
+    borderWidth: 1,
+    borderColor: colors.border,
+    padding: getResponsivePadding(16),
+    marginBottom: getResponsiveMargin(12),
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    shadowColor: colors.shadow,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.08,
+    shadowRadius: getResponsiveSize(4),
+    elevation: 2,
+  },
+  unreadCard: {
+    borderColor: colors.primary,
+  },
+  typeIcon: {
+    marginRight: getResponsiveMargin(12),
+    marginTop: getResponsiveMargin(2),
+  },
+  notificationBody: {
+    flex: 1,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  notificationTitle: {
+    flex: 1,
+    fontSize: getResponsiveFontSize(15),
+    fontWeight: '600',
+    color: colors.text,
+  },
+  unreadDot: {
+    width: getResponsiveSize(8),
+    height: getResponsiveSize(8),
+    borderRadius: getResponsiveSize(4),
+    backgroundColor: colors.primary,
+    marginLeft: getResponsiveMargin(8),
+  },
+  notificationMessage: {
+    fontSize: getResponsiveFontSize(14),
+    color: colors.textSecondary,
+    marginTop: getResponsiveMargin(4),
+    lineHeight: getResponsiveFontSize(20),
+  },
+  notificationTime: {
+    fontSize: getResponsiveFontSize(12),
+    color: colors.textMuted,
+    marginTop: getResponsiveMargin(8),
+  },
+  deleteButton: {
+    padding: getResponsivePadding(4),
+    marginLeft: getResponsiveMargin(8),
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: colors.textMuted,
+    fontSize: getResponsiveFontSize(14),
+    marginVertical: getResponsiveMargin(24),
+  },
+  footerLoader: {
+    marginVertical: getResponsiveMargin(16),
+  },
+});
+
+export const getNotificationTypeColor = (colors: ThemeColors, type: string) => {
+  if (type === 'success') return colors.success;
+  if (type === 'warning') return colors.warning;
+  if (type === 'error') return colors.error;
+  return colors.info;
+};
@@ -13,6 +13,7 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { useRouter, usePathname } from 'expo-router';
 import { useAuth } from '../contexts/AuthContext';
 import { useLoading } from '../contexts/LoadingContext';
+import { useNotifications } from '../contexts/NotificationContext';
 import { useTheme, useThemeColors } from '../contexts/ThemeContext';
 import {
   whiteHomeIconSvg,
@@ -77,6 +78,7 @@ const CustomDrawer: React.FC<CustomDrawerProps> = ({ isOpen, onClose }) => {
   const { isDarkMode, toggleTheme } = useTheme();
   const colors = useThemeColors();
   const pathname = usePathname();
+  const { unreadCount } = useNotifications();
   
   const slideAnim = useRef(new Animated.Value(-DRAWER_WIDTH)).current;
   const overlayOpacity = useRef(new Animated.Value(0)).current;
@@ -119,6 +121,13 @@ const CustomDrawer: React.FC<CustomDrawerProps> = ({ isOpen, onClose }) => {
       text: 'History', 
       route: '/screens/HistoryScreen' 
     },
+    { 
+      id: 'Notifications', 
+      useIonicon: true,
+      ioniconName: 'notifications-outline',
+      text: 'Notifications', 
+      route: '/screens/NotificationsScreen' 
+    },
     { 
       id: 'My Feedback', 
       activeIcon: whiteStarIconSvg, 
@@ -243,6 +252,7 @@ const CustomDrawer: React.FC<CustomDrawerProps> = ({ isOpen, onClose }) => {
             showBackButton={true}
             onBackPress={onClose}
             leftIcon="close"
+            showNotificationBell={false}
           />
 
               {/* Menu Items */}
@@ -267,7 +277,7 @@ const CustomDrawer: React.FC<CustomDrawerProps> = ({ isOpen, onClose }) => {
                           />
                         ) : (
                           <SvgXml 
-                            xml={isActive ? item.activeIcon : item.inactiveIcon}
+                            xml={(isActive ? item.activeIcon : item.inactiveIcon) ?? null}
                             width={getResponsiveSize(24)}
                             height={getResponsiveSize(24)}
                           />
@@ -281,6 +291,11 @@ const CustomDrawer: React.FC<CustomDrawerProps> = ({ isOpen, onClose }) => {
                         >
                           {item.text}
                         </Text>
+                        {item.id === 'Notifications' && unreadCount > 0 && (
+                          <View style={dynamicStyles.menuBadge}>
+                            <Text style={dynamicStyles.menuBadgeText}>{unreadCount > 99 ? '99+' : unreadCount}</Text>
+                          </View>
+                        )}
                       </TouchableOpacity>
                     </View>
                   );
@@ -405,6 +420,21 @@ const getStyles = (colors: ReturnType<typeof useThemeColors>) => StyleSheet.crea
   activeMenuText: {
     color: colors.drawerActiveText,
   },
+  menuBadge: {
+    marginLeft: 'auto',
+    minWidth: 22,
+    height: 22,
+    paddingHorizontal: 6,
+    borderRadius: 11,
+    backgroundColor: colors.error,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  menuBadgeText: {
+    color: '#FFFFFF',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
   bottomSection: {
     marginTop: 'auto',
     paddingBottom: 20,
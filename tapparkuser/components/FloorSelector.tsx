@@ -0,0 +1,90 @@
+import React from 'react';
+import { ScrollView, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { LayoutFloor } from '../services/api';
+
+interface FloorSelectorProps {
+  floors: LayoutFloor[];
+  selectedFloor: number | null;
+  onSelectFloor: (floor: number) => void;
+  // Floor of the user's booking; marked so it can be found after switching away
+  bookedFloor?: number | null;
+}
+
+/**
+ * Horizontal floor tabs with free/total counts. Renders nothing for single-floor areas.
+ */
+const FloorSelector: React.FC<FloorSelectorProps> = ({
+  floors,
+  selectedFloor,
+  onSelectFloor,
+  bookedFloor = null,
+}) => {
+  if (floors.length < 2) {
+    return null;
+  }
+
+  return (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      contentContainerStyle={styles.container}
+    >
+      {floors.map(item => {
+        const isSelected = item.floor === selectedFloor;
+        return (
+          <TouchableOpacity
+            key={item.floor}
+            style={[styles.floorTab, isSelected && styles.floorTabSelected, !item.hasLayout && styles.floorTabNoLayout]}
+            onPress={() => onSelectFloor(item.floor)}
+            activeOpacity={0.7}
+          >
+            <Text style={[styles.floorLabel, isSelected && styles.floorLabelSelected]}>
+              Floor {item.floor}{item.floor === bookedFloor ? ' •' : ''}
+            </Text>
+            <Text style={[styles.floorCount, isSelected && styles.floorLabelSelected]}>
+              {item.hasLayout ? `${item.availableSpots}/${item.totalSpots} free` : 'No layout'}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    gap: 8,
+  },
+  floorTab: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#8A0000',
+    backgroundColor: '#FFFFFF',
+    alignItems: 'center',
+  },
+  floorTabSelected: {
+    backgroundColor: '#8A0000',
+  },
+  floorTabNoLayout: {
+    opacity: 0.6,
+  },
+  floorLabel: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#8A0000',
+  },
+  floorLabelSelected: {
+    color: '#FFFFFF',
+  },
+  floorCount: {
+    fontSize: 11,
+    color: '#666',
+    marginTop: 2,
+  },
+});
+
+export default FloorSelector;
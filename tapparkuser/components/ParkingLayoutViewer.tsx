@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
-import { View, Text, ActivityIndicator, Alert } from 'react-native';
+import { View, Text, ActivityIndicator } from 'react-native';
 import { SvgXml } from 'react-native-svg';
-import { ApiService } from '../services/api';
+import { ApiService, LayoutFloor } from '../services/api';
+import FloorSelector from './FloorSelector';
 
 interface ParkingLayoutViewerProps {
   areaId: number;
@@ -18,51 +19,38 @@ const ParkingLayoutViewer: React.FC<ParkingLayoutViewerProps> = ({
   const [isLoading, setIsLoading] = useState<boolean>(true);
   const [error, setError] = useState<string>('');
   const [areaName, setAreaName] = useState<string>('');
+  const [floors, setFloors] = useState<LayoutFloor[]>([]);
+  const [selectedFloor, setSelectedFloor] = useState<number | null>(null);
+  const [bookedFloor, setBookedFloor] = useState<number | null>(null);
 
   useEffect(() => {
+    // The first load opens the floor of the user's booking (chosen by the backend)
+    setSelectedFloor(null);
     loadParkingLayout();
+  // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [areaId]);
 
-  const loadParkingLayout = async () => {
+  const loadParkingLayout = async (floor?: number) => {
     try {
       setIsLoading(true);
       setError('');
 
-      // Get all parking layouts from merge database
-      const layoutsResponse = await ApiService.getParkingLayouts();
+      const layoutResponse = await ApiService.getParkingAreaLayout(areaId, floor);
       
-      if (!layoutsResponse.success) {
-        throw new Error('Failed to fetch parking layouts');
+      if (!layoutResponse.success) {
+        throw new Error('Failed to fetch parking layout');
       }
 
-      // Find layout for the specific area
-      const areaLayout = layoutsResponse.data.layouts.find(layout => layout.areaId === areaId);
-      
-      if (!areaLayout || !areaLayout.hasLayoutData) {
-        throw new Error('No layout data available for this parking area');
-      }
+      const layout = layoutResponse.data;
+      setAreaName(layout.areaName);
+      setFloors(layout.floors || []);
+      setBookedFloor(layout.bookedFloor ?? null);
+      setSelectedFloor(layout.floor ?? null);
+      setLayoutSvg(layout.hasLayout ? layout.layoutSvg : '');
 
-      setAreaName(areaLayout.areaName);
-
-      // For now, we'll display a placeholder since the layout_data is stored as LONGTEXT
-      // In a real implementation, you would parse the layout_data and convert it to SVG
-      const placeholderSvg = `
-        <svg width="100%" height="400" viewBox="0 0 400 400" xmlns="http://www.w3.org/2000/svg">
-          <rect width="100%" height="100%" fill="#f0f0f0" stroke="#ccc" stroke-width="2"/>
-          <text x="50%" y="50%" text-anchor="middle" font-family="Arial" font-size="24" fill="#666">
-            ${areaLayout.areaName} - Floor ${areaLayout.floor}
-          </text>
-          <text x="50%" y="60%" text-anchor="middle" font-family="Arial" font-size="16" fill="#999">
-            Layout Data Available (${areaLayout.layoutDataLength} characters)
-          </text>
-          <text x="50%" y="70%" text-anchor="middle" font-family="Arial" font-size="14" fill="#999">
-            Created: ${new Date(areaLayout.createdAt).toLocaleDateString()}
-          </text>
-        </svg>
-      `;
-      
-      setLayoutSvg(placeholderSvg);
-      onLayoutLoaded?.(`${areaLayout.areaName}-floor-${areaLayout.floor}`);
+      if (layout.hasLayout) {
+        onLayoutLoaded?.(layout.layoutName);
+      }
 
     } catch (err) {
       const errorMessage = err instanceof Error ? err.message : 'Failed to load parking layout';
@@ -74,8 +62,14 @@ const ParkingLayoutViewer: React.FC<ParkingLayoutViewerProps> = ({
     }
   };
 
+  const handleSelectFloor = (floor: number) => {
+    if (floor !== selectedFloor) {
+      loadParkingLayout(floor);
+    }
+  };
+
   const handleRetry = () => {
-    loadParkingLayout();
+    loadParkingLayout(selectedFloor ?? undefined);
   };
 
   if (isLoading) {
@@ -128,21 +122,33 @@ const ParkingLayoutViewer: React.FC<ParkingLayoutViewerProps> = ({
     );
   }
 
+  const floorSelector = (
+    <FloorSelector
+      floors={floors}
+      selectedFloor={selectedFloor}
+      onSelectFloor={handleSelectFloor}
+      bookedFloor={bookedFloor}
+    />
+  );
+
   if (!layoutSvg) {
     return (
-      <View style={{ 
-        flex: 1, 
-        justifyContent: 'center', 
-        alignItems: 'center',
-        padding: 20 
-      }}>
-        <Text style={{ 
-          color: '#666',
-          fontSize: 16,
-          textAlign: 'center'
+      <View style={{ flex: 1 }}>
+        {floorSelector}
+        <View style={{ 
+          flex: 1, 
+          justifyContent: 'center', 
+          alignItems: 'center',
+          padding: 20 
         }}>
-          No layout available for {areaName}
-        </Text>
+          <Text style={{ 
+            color: '#666',
+            fontSize: 16,
+            textAlign: 'center'
+          }}>
+            No layout available for {areaName}{floors.length > 1 ? ` floor ${selectedFloor}` : ''}
+          </Text>
+        </View>
       </View>
     );
   }
@@ -159,6 +165,8 @@ const ParkingLayoutViewer: React.FC<ParkingLayoutViewerProps> = ({
       }}>
         {areaName} Layout
       </Text>
+
+      {floorSelector}
       
       <View style={{ 
         flex: 1,
@@ -2,7 +2,11 @@ import React, { useRef, useEffect } from 'react';
 import { View, Text, TouchableOpacity, StyleSheet, Animated } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
+import { useRouter } from 'expo-router';
 import { useDrawer } from '../contexts/DrawerContext';
+import { useAuth } from '../contexts/AuthContext';
+import { useLoading } from '../contexts/LoadingContext';
+import { useNotifications } from '../contexts/NotificationContext';
 import { useThemeColors } from '../contexts/ThemeContext';
 import { useScreenDimensions, getAdaptiveFontSize, getAdaptiveSpacing, getAdaptivePadding, getAdaptiveSize } from '../hooks/use-screen-dimensions';
 
@@ -14,6 +18,7 @@ interface SharedHeaderProps {
   rightIcon?: string;
   onRightPress?: () => void;
   rightComponent?: React.ReactNode;
+  showNotificationBell?: boolean; // Bell with unread badge when the right side is otherwise empty
 }
 
 const SharedHeader: React.FC<SharedHeaderProps> = ({ 
@@ -23,9 +28,14 @@ const SharedHeader: React.FC<SharedHeaderProps> = ({
   leftIcon,
   rightIcon,
   onRightPress,
-  rightComponent
+  rightComponent,
+  showNotificationBell = true
 }) => {
+  const router = useRouter();
   const { toggleDrawer } = useDrawer();
+  const { isAuthenticated } = useAuth();
+  const { showLoading, hideLoading } = useLoading();
+  const { unreadCount } = useNotifications();
   const colors = useThemeColors();
   const screenDimensions = useScreenDimensions();
   const lastPressTime = useRef(0);
@@ -85,6 +95,12 @@ const SharedHeader: React.FC<SharedHeaderProps> = ({
     }
   };
 
+  const handleNotificationsPress = () => {
+    showLoading('Loading...', '/screens/NotificationsScreen');
+    router.push('/screens/NotificationsScreen');
+    setTimeout(() => hideLoading(), 500);
+  };
+
   // Calculate actual header height based on content
   // Button size: 40px (minHeight) + padding
   // Padding vertical: (16*2 + 3) = 35px (responsive)
@@ -144,6 +160,24 @@ const SharedHeader: React.FC<SharedHeaderProps> = ({
               color={colors.headerText || '#FFFFFF'} 
             />
           </TouchableOpacity>
+        ) : showNotificationBell && isAuthenticated ? (
+          <TouchableOpacity 
+            style={dynamicStyles.rightButton} 
+            onPress={handleNotificationsPress}
+            activeOpacity={0.7}
+            accessibilityLabel={unreadCount > 0 ? `Notifications, ${unreadCount} unread` : 'Notifications'}
+          >
+            <Ionicons 
+              name="notifications-outline" 
+              size={screenDimensions.isTablet ? 28 : 26} 
+              color={colors.headerText || '#FFFFFF'} 
+            />
+            {unreadCount > 0 && (
+              <View style={dynamicStyles.badge}>
+                <Text style={dynamicStyles.badgeText}>{unreadCount > 99 ? '99+' : unreadCount}</Text>
+              </View>
+            )}
+          </TouchableOpacity>
         ) : (
           <View style={dynamicStyles.rightButton} />
         )}
@@ -196,6 +230,25 @@ const getStyles = (colors: ReturnType<typeof useThemeColors>, screenDimensions:
     justifyContent: 'center',
     // Ensure icon is visible and properly centered
   },
+  badge: {
+    position: 'absolute',
+    top: 2,
+    right: 2,
+    minWidth: 18,
+    height: 18,
+    paddingHorizontal: 4,
+    borderRadius: 9,
+    backgroundColor: colors.error,
+    borderWidth: 1.5,
+    borderColor: '#FFFFFF',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  badgeText: {
+    color: '#FFFFFF',
+    fontSize: 10,
+    fontWeight: 'bold',
+  },
   rightComponentContainer: {
     padding: 0,
     minWidth: 40,
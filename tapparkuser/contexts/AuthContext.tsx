@@ -1,5 +1,8 @@
 import React, { createContext, useContext, useState, useEffect, ReactNode } from 'react';
+import { Alert } from 'react-native';
 import ApiService from '../services/api';
+import { PushNotificationService } from '../services/pushNotifications';
+import { OfflineScanService } from '../services/offlineScans';
 
 interface User {
   user_id: number;
@@ -9,6 +12,7 @@ interface User {
   hour_balance: number;
   type_id: number;
   account_type_name: string;
+  is_verified?: boolean;
   terms_accepted?: boolean;
 }
 
@@ -84,6 +88,16 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // The server ended this session (signed out from another device, password changed, or refresh failed)
+  useEffect(() => {
+    const unsubscribe = ApiService.onSessionExpired(() => {
+      setUser(null);
+      setIsAuthenticated(false);
+      Alert.alert('Signed Out', 'Your session has ended. Please log in again.');
+    });
+    return unsubscribe;
+  }, []);
+
   const login = async (email: string, password: string): Promise<{ success: boolean; user?: User; error?: string }> => {
     try {
       setIsLoading(true);
@@ -109,6 +123,13 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
 
   const logout = async (): Promise<void> => {
     try {
+      // Needs the session, so it runs before the token is discarded
+      await PushNotificationService.unregister();
+      if (user) {
+        // Offline scans left unsent stay queued for this attendant's next sign-in
+        await OfflineScanService.sync(user.user_id).catch(() => null);
+      }
+      await OfflineScanService.clearTicketPack();
       await ApiService.logout();
     } catch (error) {
       // Silent logout - no console errors needed
@@ -0,0 +1,94 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, ReactNode } from 'react';
+import { AppState } from 'react-native';
+import { router } from 'expo-router';
+import { ApiService } from '../services/api';
+import { RealtimeService } from '../services/realtime';
+import { PushNotificationService } from '../services/pushNotifications';
+import { useAuth } from './AuthContext';
+
+// Badge refresh interval; while a screen holds the realtime stream open, new notifications arrive immediately
+const UNREAD_POLL_INTERVAL = 60000;
+
+interface NotificationContextType {
+  unreadCount: number;
+  refreshUnreadCount: () => Promise<void>;
+  setUnreadCount: (count: number) => void;
+}
+
+const NotificationContext = createContext<NotificationContextType | undefined>(undefined);
+
+export const useNotifications = () => {
+  const context = useContext(NotificationContext);
+  if (!context) {
+    throw new Error('useNotifications must be used within a NotificationProvider');
+  }
+  return context;
+};
+
+interface NotificationProviderProps {
+  children: ReactNode;
+}
+
+export const NotificationProvider: React.FC<NotificationProviderProps> = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  const refreshUnreadCount = useCallback(async () => {
+    try {
+      const response = await ApiService.getUnreadNotificationCount();
+      if (response.success) {
+        setUnreadCount(response.data.unreadCount);
+      }
+    } catch (error) {
+      console.error('Error fetching unread notification count:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setUnreadCount(0);
+      return;
+    }
+
+    refreshUnreadCount();
+    const pollingInterval = setInterval(refreshUnreadCount, UNREAD_POLL_INTERVAL);
+    const unsubscribe = RealtimeService.subscribeRefresh(
+      (event) => event.type === 'notification.created',
+      refreshUnreadCount
+    );
+    const appStateSubscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        refreshUnreadCount();
+      }
+    });
+
+    return () => {
+      clearInterval(pollingInterval);
+      unsubscribe();
+      appStateSubscription.remove();
+    };
+  }, [isAuthenticated, refreshUnreadCount]);
+
+  // Register this device for push once signed in, and open the screen a tapped push links to
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    PushNotificationService.register();
+    return PushNotificationService.onNotificationOpened((link) => {
+      refreshUnreadCount();
+      router.push({ pathname: link.pathname, params: link.params || {} } as never);
+    });
+  }, [isAuthenticated, refreshUnreadCount]);
+
+  return (
+    <NotificationContext.Provider
+      value={{
+        unreadCount,
+        refreshUnreadCount,
+        setUnreadCount,
+      }}
+    >
+      {children}
+    </NotificationContext.Provider>
+  );
+};
@@ -0,0 +1,32 @@
+import { useEffect, useState } from 'react';
+import { RealtimeService } from '../services/realtime';
+
+/**
+ * Keep the shared realtime stream open while the calling screen is mounted.
+ * Returns whether the stream is connected so the screen can fall back to polling when it is not.
+ * @param areaIds parking areas whose spot/section availability the screen shows
+ * @param enabled pass false (e.g. signed out) to leave the stream alone
+ */
+export const useRealtime = (areaIds: number[] = [], enabled: boolean = true): boolean => {
+  const [isConnected, setIsConnected] = useState(() => RealtimeService.isConnected());
+  const areaKey = areaIds.join(',');
+
+  useEffect(() => {
+    if (!enabled) {
+      setIsConnected(false);
+      return;
+    }
+
+    const ids = areaKey ? areaKey.split(',').map(Number) : [];
+    const release = RealtimeService.retain(ids);
+    const unsubscribe = RealtimeService.onConnectionChange(setIsConnected);
+    setIsConnected(RealtimeService.isConnected());
+
+    return () => {
+      unsubscribe();
+      release();
+    };
+  }, [areaKey, enabled]);
+
+  return isConnected;
+};
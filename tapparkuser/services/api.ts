@@ -1,5 +1,7 @@
 import { getApiUrl } from '../config/api';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import Constants from 'expo-constants';
+import { Platform } from 'react-native';
 import * as FileSystem from 'expo-file-system/legacy';
 
 const MULTIPART_UPLOAD_TYPE = (FileSystem as any)?.FileSystemUploadType?.MULTIPART ?? 1;
@@ -9,6 +11,219 @@ const MULTIPART_UPLOAD_TYPE = (FileSystem as any)?.FileSystemUploadType?.MULTIPA
 const API_BASE_URL = getApiUrl();
 console.log('🌍 API Base URL:', API_BASE_URL);
 
+export interface NotificationLink {
+  pathname: string;
+  params?: Record<string, string>;
+}
+
+export interface AppNotification {
+  id: number;
+  title: string;
+  message: string;
+  type: 'info' | 'warning' | 'success' | 'error';
+  is_read: boolean | number;
+  data: ({ link?: NotificationLink } & Record<string, unknown>) | null;
+  created_at: string;
+}
+
+export type NotificationCategory = 'booking' | 'parking' | 'payment' | 'feedback' | 'general';
+
+// Push delivery per category; the notification itself is always listed in the app
+export type NotificationPreferences = Record<NotificationCategory, boolean>;
+
+export interface SensorDiscrepancy {
+  type: 'occupied_without_reservation' | 'reservation_spot_empty';
+  parking_spot_id: number;
+  spot_number: string;
+  section_name: string;
+  parking_area_id: number;
+  parking_area_name: string;
+  sensor_id: number;
+  since: string | null;
+  reservation_id?: number;
+  plate_number?: string | null;
+  user_name?: string | null;
+}
+
+export interface SensorHealthEntry {
+  sensor_id: number;
+  parking_spot_id: number;
+  spot_number: string;
+  section_name: string;
+  parking_area_id: number;
+  parking_area_name: string;
+  location_desc: string | null;
+  status: 'active' | 'inactive' | 'maintenance';
+  maintenance_reason: 'stale' | 'manual' | null;
+  last_read_at: string | null;
+  is_occupied: boolean;
+}
+
+// Layout geometry is extracted by the backend when a layout is uploaded; coordinates are viewBox units
+export interface LayoutBox {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export interface LayoutSpotGeometry extends LayoutBox {
+  elementId: string;
+  spotNumber: string;
+  section: string | null;
+  slot: string | null;
+  localSlot: string | null;
+  parkingSpotId: number | null;
+  parkingSectionId: number | null;
+}
+
+export interface LayoutSectionGeometry extends LayoutBox {
+  elementId: string;
+  sectionName: string;
+  parkingSectionId: number | null;
+  sectionMode: 'slot_based' | 'capacity_only' | null;
+}
+
+export interface LayoutGeometry {
+  viewBox: LayoutBox;
+  width: number;
+  height: number;
+  spots: LayoutSpotGeometry[];
+  sections: LayoutSectionGeometry[];
+  warnings: string[];
+}
+
+export interface LayoutFloor {
+  floor: number;
+  hasLayout: boolean;
+  layoutId: number | null;
+  version: number | null;
+  totalSpots: number;
+  availableSpots: number;
+  occupiedSpots: number;
+  reservedSpots: number;
+}
+
+export interface AreaClosure {
+  closureId: number;
+  parkingSectionId?: number;
+  startsAt: string;
+  endsAt: string;
+  reason: string | null;
+}
+
+export interface AvailabilityForecast {
+  parkingAreaId: number;
+  parkingAreaName: string;
+  vehicleType: 'car' | 'motorcycle' | 'bicycle';
+  capacity: number;
+  openCapacity: number;
+  expectedOccupied: number;
+  expectedFree: number;
+  scheduledHolds: number;
+  closed: boolean;
+  closures: AreaClosure[];
+  confidence: 'low' | 'medium' | 'high';
+}
+
+// Lets the phone sign its own rotating ticket QR codes (see utils/qrTicket.ts)
+export interface QrTicketSettings {
+  version: number;
+  // Hex Ed25519 key the owner's phone signs tickets with
+  privateKey: string;
+  periodSeconds: number;
+  serverTime: string;
+}
+
+// One refused attendant QR scan from access_logs
+export interface DeniedScan {
+  access_log_id: number;
+  reservation_id: number | null;
+  qr_key: string | null;
+  access_time: string;
+  direction: 'ENTRY' | 'EXIT';
+  denial_reason: 'invalid_format' | 'unknown_key' | 'invalid_signature' | 'expired' | 'replayed' |
+    'legacy_payload' | 'wrong_area' | 'vehicle_mismatch' | 'already_active' | 'not_scannable';
+  attendant_user_id: number | null;
+  attendant_name: string | null;
+  parking_area_id: number | null;
+  parking_area_name: string | null;
+  vehicle_plate: string | null;
+  details: string | null;
+}
+
+// Open reservation in the attendant's area, for checking tickets without signal (services/offlineScans.ts)
+export interface OfflineTicket {
+  reservationId: number;
+  // Hex Ed25519 key; checks tickets but cannot sign them
+  publicKey: string;
+  bookingStatus: 'reserved' | 'active';
+  lastTicketExp: number | null;
+  plateNumber: string | null;
+  spotNumber: string | null;
+  areaName: string | null;
+  userName: string | null;
+}
+
+export interface OfflineTicketPack {
+  version: number;
+  periodSeconds: number;
+  skewSeconds: number;
+  serverTime: string;
+  tickets: OfflineTicket[];
+}
+
+export interface OfflineScanUpload {
+  clientScanId: string;
+  scanType: 'start' | 'end';
+  qrCodeData: string;
+  scannedAt: string;
+}
+
+export interface OfflineScanResult {
+  clientScanId: string;
+  scanType: 'start' | 'end';
+  scannedAt: string;
+  status: 'applied' | 'conflict' | 'duplicate';
+  previousStatus?: 'applied' | 'conflict';
+  reservationId: number | null;
+  errorCode?: string | null;
+  message?: string | null;
+  vehiclePlate?: string;
+  spotNumber?: string;
+  areaName?: string;
+  durationMinutes?: number;
+  chargeHours?: number;
+  penaltyHours?: number;
+}
+
+// Booking found by plate, owner name, reservation ID or spot (attendant manual entry)
+export interface ReservationSearchResult {
+  reservation_id: number;
+  booking_status: 'scheduled' | 'reserved' | 'active' | 'completed' | 'cancelled' | 'expired';
+  booked_at: string;
+  start_time: string | null;
+  end_time: string | null;
+  plate_number: string | null;
+  vehicle_type: string | null;
+  brand: string | null;
+  color: string | null;
+  user_name: string | null;
+  spot_number: string | null;
+  section_name: string | null;
+  parking_area_id: number | null;
+  parking_area_name: string | null;
+}
+
+export type IdentityDocument = 'drivers_license' | 'government_id' | 'company_id' | 'vehicle_registration' | 'other';
+
+// What the attendant confirmed before starting or ending a booking without its QR code
+export interface IdentityCheck {
+  identityDocument: IdentityDocument;
+  plateConfirmed: boolean;
+  note?: string;
+}
+
 // API Service for Tapparkuser Backend
 export class ApiService {
   private static baseURL = API_BASE_URL;
@@ -79,6 +294,11 @@ export class ApiService {
     }
   }
   
+  // True when a request failed because the server could not be reached (no signal, timeout)
+  static isNetworkError(error: unknown): boolean {
+    return error instanceof Error && error.name === 'NetworkError';
+  }
+
   private static buildUrl(endpoint: string): string {
     if (/^https?:\/\//i.test(endpoint)) {
       return endpoint;
@@ -134,7 +354,8 @@ export class ApiService {
     url: string,
     options: RequestInit,
     useCache: boolean,
-    cacheKey: string
+    cacheKey: string,
+    isRetryAfterRefresh: boolean = false
   ): Promise<T> {
     
     const defaultHeaders: Record<string, string> = {
@@ -203,17 +424,37 @@ export class ApiService {
         // Handle 401 Unauthorized - distinguish between login errors and token errors
         if (response.status === 401) {
           const errorMessage = data.message || data.error || 'Authentication failed';
+
+          // Access tokens are short-lived: renew once with the refresh token and replay the request
+          if (data.errorCode === 'TOKEN_EXPIRED' && !isRetryAfterRefresh && token && !this.isAuthEndpoint(url)) {
+            if (await this.refreshAccessToken()) {
+              return this.executeRequest<T>(url, options, useCache, cacheKey, true);
+            }
+          }
           
           // Only remove token if it's a token expiration issue, not login failure
-          if (errorMessage.includes('expired') || errorMessage.includes('invalid') || !data.message) {
+          if (data.errorCode === 'SESSION_REVOKED' || data.errorCode === 'TOKEN_EXPIRED' ||
+              errorMessage.includes('expired') || errorMessage.includes('invalid') || !data.message) {
             console.log('🔐 Token expired or invalid, removing token');
             await this.removeToken();
+            if (token) {
+              this.notifySessionExpired();
+            }
             throw new Error('Authentication error: Please login again');
           } else {
             // This is a login error (wrong email/password), pass through the server message
             throw new Error(errorMessage);
           }
         }
+        // A deactivated or suspended account is signed out; the server message says why
+        if (response.status === 403 &&
+            (data.errorCode === 'ACCOUNT_INACTIVE' || data.errorCode === 'ACCOUNT_SUSPENDED')) {
+          await this.removeToken();
+          if (token) {
+            this.notifySessionExpired();
+          }
+          throw new Error(data.message);
+        }
         // Handle 503 Service Unavailable - usually database connection errors
         if (response.status === 503) {
           const errorMessage = data.message || data.error || 'Service unavailable';
@@ -274,7 +515,10 @@ export class ApiService {
           ? `Connection timeout: Server at ${this.baseURL} did not respond. Check if backend is running.`
           : `Network error: Cannot reach server at ${this.baseURL}. Ensure backend is running and devices are on the same network.`;
         
-        throw new Error(errorMsg);
+        // Lets callers tell an unreachable server apart from a refused request (see isNetworkError)
+        const networkError = new Error(errorMsg);
+        networkError.name = 'NetworkError';
+        throw networkError;
       }
       
       // Don't log authentication errors that are expected
@@ -304,8 +548,92 @@ export class ApiService {
   // Token management
   private static token: string | null = null;
   private static readonly TOKEN_KEY = 'tappark_auth_token';
+  private static readonly REFRESH_TOKEN_KEY = 'tappark_refresh_token';
   private static tokenInitialized = false;
 
+  // A single refresh is shared by every request that hit an expired token at the same time
+  private static refreshPromise: Promise<boolean> | null = null;
+  private static sessionExpiredListeners = new Set<() => void>();
+
+  // Called when the session ends on the server side (signed out elsewhere, password changed, refresh failed)
+  static onSessionExpired(listener: () => void): () => void {
+    this.sessionExpiredListeners.add(listener);
+    return () => {
+      this.sessionExpiredListeners.delete(listener);
+    };
+  }
+
+  private static notifySessionExpired(): void {
+    this.sessionExpiredListeners.forEach((listener) => {
+      try {
+        listener();
+      } catch (error) {
+        console.error('Session expired listener failed:', error);
+      }
+    });
+  }
+
+  private static isAuthEndpoint(url: string): boolean {
+    return url.includes('/auth/login') || url.includes('/auth/register') || url.includes('/auth/refresh');
+  }
+
+  // Labels this device in the signed-in devices list
+  private static getDeviceInfo(): { deviceName: string; platform: string } {
+    return {
+      deviceName: Constants.deviceName || `${Platform.OS} device`,
+      platform: Platform.OS,
+    };
+  }
+
+  // Exchange the stored refresh token for a new token pair; false when the session is gone
+  private static async refreshAccessToken(): Promise<boolean> {
+    if (this.refreshPromise) {
+      return this.refreshPromise;
+    }
+
+    this.refreshPromise = (async () => {
+      try {
+        const refreshToken = await AsyncStorage.getItem(this.REFRESH_TOKEN_KEY);
+        if (!refreshToken) {
+          return false;
+        }
+
+        const response = await this.fetchWithTimeout(this.buildUrl('/auth/refresh'), {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken }),
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok || !data.success || !data.data?.token) {
+          console.log('🔐 Session refresh rejected:', data.message || response.status);
+          return false;
+        }
+
+        await this.storeToken(data.data.token, data.data.refreshToken);
+        console.log('🔄 Access token refreshed');
+        return true;
+      } catch (error) {
+        console.error('Failed to refresh session:', error);
+        return false;
+      } finally {
+        this.refreshPromise = null;
+      }
+    })();
+
+    return this.refreshPromise;
+  }
+
+  // Used by long-lived connections (realtime stream) that cannot go through request()
+  static async refreshSession(): Promise<boolean> {
+    return this.refreshAccessToken();
+  }
+
+  static getRealtimeStreamUrl(areaIds: number[] = []): string {
+    const query = areaIds.length > 0 ? `?areas=${areaIds.join(',')}` : '';
+    return this.buildUrl(`/realtime/stream${query}`);
+  }
+
   // Initialize token from AsyncStorage on app start
   static async initializeToken(): Promise<void> {
     if (this.tokenInitialized) return;
@@ -344,11 +672,14 @@ export class ApiService {
     }
   }
 
-  private static async storeToken(token: string): Promise<void> {
+  private static async storeToken(token: string, refreshToken?: string): Promise<void> {
     try {
       // Store token in both memory and AsyncStorage
       this.token = token;
       await AsyncStorage.setItem(this.TOKEN_KEY, token);
+      if (refreshToken) {
+        await AsyncStorage.setItem(this.REFRESH_TOKEN_KEY, refreshToken);
+      }
       console.log('Token stored in memory and AsyncStorage');
     } catch (error) {
       console.error('Failed to store token:', error);
@@ -359,7 +690,7 @@ export class ApiService {
     try {
       // Remove token from both memory and AsyncStorage
       this.token = null;
-      await AsyncStorage.removeItem(this.TOKEN_KEY);
+      await AsyncStorage.multiRemove([this.TOKEN_KEY, this.REFRESH_TOKEN_KEY]);
       console.log('Token removed from memory and AsyncStorage');
     } catch (error) {
       console.error('Failed to remove token:', error);
@@ -380,18 +711,21 @@ export class ApiService {
           hour_balance: number;
           type_id: number;
           account_type_name: string;
+          is_verified?: boolean;
           terms_accepted?: boolean;
         };
         token: string;
+        refreshToken: string;
+        expiresIn: number;
       };
     }>('/auth/login', {
       method: 'POST',
-      body: JSON.stringify({ email, password }),
+      body: JSON.stringify({ email, password, ...this.getDeviceInfo() }),
     });
 
-    // Store token after successful login
+    // Store tokens after successful login
     if (response.success && response.data.token) {
-      await this.storeToken(response.data.token);
+      await this.storeToken(response.data.token, response.data.refreshToken);
     }
 
     return response;
@@ -417,15 +751,18 @@ export class ApiService {
           isVerified: boolean;
         };
         token: string;
+        refreshToken: string;
+        expiresIn: number;
+        verificationEmailSent?: boolean;
       };
     }>('/auth/register', {
       method: 'POST',
-      body: JSON.stringify(userData),
+      body: JSON.stringify({ ...userData, ...this.getDeviceInfo() }),
     });
 
-    // Store token after successful registration
+    // Store tokens after successful registration
     if (response.success && response.data.token) {
-      await this.storeToken(response.data.token);
+      await this.storeToken(response.data.token, response.data.refreshToken);
     }
 
     return response;
@@ -444,6 +781,47 @@ export class ApiService {
     }
   }
 
+  static async logoutAllDevices() {
+    try {
+      return await this.request<{
+        success: boolean;
+        message: string;
+        data: { sessionsRevoked: number };
+      }>('/auth/logout-all', {
+        method: 'POST',
+      });
+    } finally {
+      await this.removeToken();
+    }
+  }
+
+  static async getSessions() {
+    return this.request<{
+      success: boolean;
+      data: {
+        sessions: {
+          session_id: number;
+          device_name: string | null;
+          platform: string | null;
+          ip_address: string | null;
+          created_at: string;
+          last_used_at: string | null;
+          expires_at: string;
+          is_current: boolean;
+        }[];
+      };
+    }>('/auth/sessions');
+  }
+
+  static async revokeSession(sessionId: number) {
+    return this.request<{
+      success: boolean;
+      message: string;
+    }>(`/auth/sessions/${sessionId}`, {
+      method: 'DELETE',
+    });
+  }
+
   static async getProfile() {
     return this.request<{
       success: boolean;
@@ -570,6 +948,38 @@ export class ApiService {
     });
   }
 
+  // Email a single-use password reset code
+  static async requestPasswordReset(email: string) {
+    return this.request<{
+      success: boolean;
+      message: string;
+    }>('/auth/forgot-password', {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+    });
+  }
+
+  // Set a new password with the emailed reset code
+  static async resetPassword(email: string, code: string, newPassword: string) {
+    return this.request<{
+      success: boolean;
+      message: string;
+    }>('/auth/reset-password', {
+      method: 'POST',
+      body: JSON.stringify({ email, code, newPassword }),
+    });
+  }
+
+  // Send a new email verification link to the signed-in user
+  static async resendVerificationEmail() {
+    return this.request<{
+      success: boolean;
+      message: string;
+    }>('/auth/resend-verification', {
+      method: 'POST',
+    });
+  }
+
   // Vehicle endpoints
   static async getVehicles() {
     return this.request<{
@@ -770,6 +1180,21 @@ export class ApiService {
     }>('/parking/locations', {}, true); // Use cache
   }
 
+  // Expected free capacity per area and vehicle type at a time within the next week
+  static async getAvailabilityForecast(at: Date, areaId?: number) {
+    const query = new URLSearchParams({ at: at.toISOString() });
+    if (areaId !== undefined) {
+      query.append('areaId', String(areaId));
+    }
+    return this.request<{
+      success: boolean;
+      data: {
+        at: string;
+        forecasts: AvailabilityForecast[];
+      };
+    }>(`/parking-areas/forecast?${query.toString()}`);
+  }
+
   static async getParkingSpots(areaId: number, vehicleType?: string, includeAll?: boolean) {
     const query = new URLSearchParams();
     if (vehicleType) {
@@ -808,6 +1233,7 @@ export class ApiService {
           status: string;
           spot_type: string;
           section_name: string;
+          floor: number;
           is_user_booked?: boolean | number; // Indicates if current user has booked this spot
         }>;
       };
@@ -819,11 +1245,9 @@ export class ApiService {
       success: boolean;
       data: {
         reservationId: number;
-        qrCode: string;
         message: string;
         bookingDetails: {
           reservationId: number;
-          qrCode: string;
           vehiclePlate: string;
           vehicleType: string;
           vehicleBrand: string;
@@ -1000,7 +1424,11 @@ export class ApiService {
           startTime: string;
         };
         bookingStatus: string;
-        qrCode: string;
+        qrCode?: string | null;
+        qrKey?: string | null;
+        ticket?: QrTicketSettings | null;
+        expiresAt?: string | null;
+        gracePeriodMinutes?: number | null;
       };
     }>(`/parking-areas/booking/${reservationId}?t=${timestamp}`);
   }
@@ -1033,14 +1461,90 @@ export class ApiService {
           timestamps: {
             bookingTime: string;
             startTime: string;
+            scheduledStart?: string | null;
+            scheduledEnd?: string | null;
           };
           bookingStatus: string;
-          qrCode: string;
+          qrCode?: string | null;
         }>;
+        upcomingBookings?: {
+          reservationId: number;
+          parkingArea: {
+            id?: number;
+            name: string;
+            location: string;
+          };
+          parkingSlot: {
+            spotNumber: string;
+            spotType: string;
+            sectionName: string;
+          };
+          vehicleDetails: {
+            plateNumber: string;
+            vehicleType: string;
+          };
+          timestamps: {
+            bookingTime: string;
+            scheduledStart: string;
+            scheduledEnd: string;
+          };
+          bookingStatus: string;
+        }[];
       };
     }>(`/parking-areas/my-bookings?t=${timestamp}`);
   }
 
+  // Book a spot for a future time slot - the spot is held only once the slot starts
+  static async bookScheduledParking(
+    vehicleId: number,
+    areaId: number,
+    scheduledStart: string,
+    scheduledEnd: string,
+    spotId?: number
+  ) {
+    return this.request<{
+      success: boolean;
+      data: {
+        reservationId: number;
+        message: string;
+        bookingDetails: {
+          reservationId: number;
+          vehiclePlate: string;
+          vehicleType: string;
+          areaName: string;
+          areaLocation: string;
+          spotNumber: string;
+          spotType: string;
+          scheduledStart: string;
+          scheduledEnd: string;
+          status: string;
+        };
+      };
+    }>('/parking-areas/book-scheduled', {
+      method: 'POST',
+      body: JSON.stringify({
+        vehicleId,
+        areaId,
+        spotId,
+        scheduledStart,
+        scheduledEnd
+      }),
+    });
+  }
+
+  static async cancelScheduledBooking(reservationId: number) {
+    return this.request<{
+      success: boolean;
+      message: string;
+      data: {
+        reservationId: number;
+        status: string;
+      };
+    }>(`/parking-areas/scheduled/${reservationId}/cancel`, {
+      method: 'PUT',
+    });
+  }
+
   static async endParkingSession(reservationId: number) {
     return this.request<{
       success: boolean;
@@ -1049,6 +1553,10 @@ export class ApiService {
         reservationId: number;
         status: string;
         spotFreed: boolean;
+        durationMinutes?: number;
+        chargeHours?: number;
+        balanceHours?: number;
+        penaltyHours?: number;
       };
     }>(`/parking-areas/end-session/${reservationId}`, {
       method: 'PUT',
@@ -1128,6 +1636,8 @@ export class ApiService {
         plan_name: string;
         hours_added: number;
         cost: number;
+        penalty_hours_deducted?: number;
+        remaining_penalty_hours?: number;
         total_hours_remaining: number;
       };
     }>('/subscriptions/purchase', {
@@ -1147,6 +1657,7 @@ export class ApiService {
         total_hours_used: number;
         active_subscriptions: number;
         user_hour_balance: number;
+        outstanding_penalty_hours?: number;
         subscriptions: Array<{
           subscription_id: number;
           purchase_date: string;
@@ -1160,12 +1671,65 @@ export class ApiService {
     }>('/subscriptions/balance');
   }
 
+  // Penalty hours that will be deducted from the next purchased plan
+  static async getOutstandingPenalty() {
+    return this.request<{
+      success: boolean;
+      data: {
+        outstanding_hours: number;
+        penalties: {
+          penalty_id: number;
+          penalty_time: number;
+          hours_settled: number;
+          hours_outstanding: number;
+        }[];
+      };
+    }>('/subscriptions/penalty');
+  }
+
+  // Admin: refund a purchase in full or pro-rated by its unused hours
+  static async refundSubscription(subscriptionId: number, mode: 'full' | 'prorated', reason?: string) {
+    return this.request<{
+      success: boolean;
+      message: string;
+      data: {
+        subscriptionId: number;
+        paymentId: number;
+        mode: 'full' | 'prorated';
+        refundAmount: number;
+        refundId: string | null;
+        hoursRemoved: number;
+        balanceAfter: number;
+      };
+    }>(`/subscriptions/${subscriptionId}/refund`, {
+      method: 'POST',
+      body: JSON.stringify({ mode, reason })
+    });
+  }
+
+  // Admin: cancel an active subscription without a refund
+  static async cancelSubscription(subscriptionId: number, reason?: string) {
+    return this.request<{
+      success: boolean;
+      message: string;
+      data: {
+        subscriptionId: number;
+        hoursRemoved: number;
+        balanceAfter: number;
+      };
+    }>(`/subscriptions/${subscriptionId}/cancel`, {
+      method: 'POST',
+      body: JSON.stringify({ reason })
+    });
+  }
+
   // Get frequently used parking spots
   static async getFrequentSpots(limit: number = 5) {
     return this.request<{
       success: boolean;
       data: {
         frequent_spots: Array<{
+          parking_area_id: number;
           location_name: string;
           location_address: string;
           spot_number: string;
@@ -1180,6 +1744,98 @@ export class ApiService {
     }>(`/history/frequent-spots?limit=${limit}`);
   }
 
+  // Notification center
+  static async getNotifications(page: number = 1, limit: number = 20, unreadOnly: boolean = false) {
+    const params = new URLSearchParams({ page: page.toString(), limit: limit.toString() });
+    if (unreadOnly) params.append('unreadOnly', 'true');
+
+    return this.request<{
+      success: boolean;
+      data: {
+        notifications: AppNotification[];
+        unreadCount: number;
+        pagination: {
+          currentPage: number;
+          totalPages: number;
+          totalItems: number;
+          itemsPerPage: number;
+        };
+      };
+    }>(`/users/notifications?${params}`);
+  }
+
+  static async getUnreadNotificationCount() {
+    return this.request<{
+      success: boolean;
+      data: { unreadCount: number };
+    }>('/users/notifications/unread-count');
+  }
+
+  static async markNotificationRead(notificationId: number) {
+    return this.request<{
+      success: boolean;
+      message: string;
+    }>(`/users/notifications/${notificationId}/read`, {
+      method: 'PATCH',
+    });
+  }
+
+  static async markAllNotificationsRead() {
+    return this.request<{
+      success: boolean;
+      message: string;
+    }>('/users/notifications/read-all', {
+      method: 'PATCH',
+    });
+  }
+
+  static async deleteNotification(notificationId: number) {
+    return this.request<{
+      success: boolean;
+      message: string;
+    }>(`/users/notifications/${notificationId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  static async registerPushToken(token: string) {
+    return this.request<{
+      success: boolean;
+      message: string;
+    }>('/users/push-tokens', {
+      method: 'POST',
+      body: JSON.stringify({ token, ...this.getDeviceInfo() }),
+    });
+  }
+
+  static async unregisterPushToken(token: string) {
+    return this.request<{
+      success: boolean;
+      message: string;
+    }>('/users/push-tokens', {
+      method: 'DELETE',
+      body: JSON.stringify({ token }),
+    });
+  }
+
+  static async getNotificationPreferences() {
+    return this.request<{
+      success: boolean;
+      data: { preferences: NotificationPreferences };
+    }>('/users/notification-preferences');
+  }
+
+  static async updateNotificationPreferences(preferences: Partial<NotificationPreferences>) {
+    return this.request<{
+      success: boolean;
+      message: string;
+      data: { preferences: NotificationPreferences };
+    }>('/users/notification-preferences', {
+      method: 'PUT',
+      body: JSON.stringify({ preferences }),
+    });
+  }
+
   // Attendant API methods
   static async getVehicleTypes() {
     return this.request<{
@@ -1207,6 +1863,7 @@ export class ApiService {
           vehicleType: string;
           status: 'available' | 'occupied' | 'reserved';
           section: string;
+          floor: number;
           occupantName?: string;
           plateNumber?: string;
         }>;
@@ -1383,6 +2040,91 @@ export class ApiService {
     }>('/attendant/scan-history');
   }
 
+  // Public ticket keys for scanning without signal
+  static async getOfflineTickets() {
+    return this.request<{
+      success: boolean;
+      data: OfflineTicketPack;
+    }>('/attendant/offline-tickets');
+  }
+
+  // Upload scans queued while offline; the server applies them in the order they happened
+  static async syncOfflineScans(scans: OfflineScanUpload[]) {
+    return this.request<{
+      success: boolean;
+      message: string;
+      data: {
+        results: OfflineScanResult[];
+        applied: number;
+        conflicts: number;
+      };
+    }>('/attendant/offline-scans', {
+      method: 'POST',
+      body: JSON.stringify({ scans }),
+    });
+  }
+
+  // Find a booking without its QR code
+  static async searchReservations(query: string) {
+    return this.request<{
+      success: boolean;
+      data: { reservations: ReservationSearchResult[] };
+    }>(`/attendant/reservations/search?q=${encodeURIComponent(query)}`);
+  }
+
+  static async manualStartSession(reservationId: number, identityCheck: IdentityCheck) {
+    return this.request<{
+      success: boolean;
+      message: string;
+      data: {
+        reservationId: number;
+        vehiclePlate: string;
+        spotNumber: string;
+        areaName: string;
+        startTime: string;
+        status: string;
+      };
+    }>(`/attendant/reservations/${reservationId}/manual-start`, {
+      method: 'POST',
+      body: JSON.stringify(identityCheck),
+    });
+  }
+
+  static async manualEndSession(reservationId: number, identityCheck: IdentityCheck) {
+    return this.request<{
+      success: boolean;
+      message: string;
+      data: {
+        reservationId: number;
+        vehiclePlate: string;
+        spotNumber: string;
+        areaName: string;
+        startTime: string;
+        endTime: string;
+        durationMinutes: number;
+        chargeHours: number;
+        balanceHours: number;
+        status: string;
+        penaltyHours: number;
+        hasPenalty: boolean;
+      };
+    }>(`/attendant/reservations/${reservationId}/manual-end`, {
+      method: 'POST',
+      body: JSON.stringify(identityCheck),
+    });
+  }
+
+  // Denied QR scans in the attendant's area over the last `hours` (default 24)
+  static async getDeniedScans(hours?: number) {
+    return this.request<{
+      success: boolean;
+      data: {
+        hours: number;
+        scans: DeniedScan[];
+      };
+    }>(`/attendant/denied-scans${hours ? `?hours=${hours}` : ''}`);
+  }
+
   // Admin: Create guest booking
   static async createGuestBooking(bookingData: {
     spotId: number;
@@ -1398,10 +2140,8 @@ export class ApiService {
       message: string;
       data: {
         reservationId: number;
-        qrCode: string;
         bookingDetails: {
           reservationId: number;
-          qrCode: string;
           guestName: string;
           vehiclePlate: string;
           vehicleType: string;
@@ -1429,6 +2169,10 @@ export class ApiService {
         reservationId: number;
         status: string;
         spotFreed: boolean;
+        durationMinutes?: number;
+        chargeHours?: number;
+        balanceHours?: number;
+        penaltyHours?: number;
       };
     }>(`/attendant/end-parking-session/${reservationId}`, {
       method: 'PUT',
@@ -1451,9 +2195,10 @@ export class ApiService {
   }
 
   // Parking Layout API Methods
-  static async getParkingAreaLayout(areaId: number) {
+  static async getParkingAreaLayout(areaId: number, floor?: number) {
     // Add cache-busting timestamp to ensure fresh data
     const timestamp = Date.now();
+    const floorParam = floor !== undefined ? `&floor=${floor}` : '';
     return this.request<{
       success: boolean;
       data: {
@@ -1461,12 +2206,17 @@ export class ApiService {
         areaName: string;
         location: string;
         layoutId: number | null;
+        version: number | null;
         layoutName: string;
         layoutSvg: string;
         hasLayout: boolean;
         floor?: number;
+        geometry: LayoutGeometry | null;
+        sections: any[];
+        bookedFloor: number | null;
+        floors: LayoutFloor[];
       };
-    }>(`/parking-areas/area/${areaId}/layout?t=${timestamp}`);
+    }>(`/parking-areas/area/${areaId}/layout?t=${timestamp}${floorParam}`);
   }
 
   static async getParkingLayouts() {
@@ -1526,9 +2276,12 @@ export class ApiService {
         plan_name: string;
         hours_added: number;
         cost: number;
+        penalty_hours_deducted?: number;
+        remaining_penalty_hours?: number;
         total_hours_remaining: number;
         orderId: string;
         captureId: string;
+        alreadyCredited?: boolean;
       };
     }>('/paypal/capture-order', {
       method: 'POST',
@@ -1575,6 +2328,7 @@ export class ApiService {
         availableCapacity: number;
         activeReservations: number;
         utilizationRate: string;
+        floor: number;
       }>;
     }>(`/capacity/areas/${areaId}/capacity-status`);
   }
@@ -1758,6 +2512,35 @@ export class ApiService {
     });
   }
 
+  // Occupancy sensors (attendant dashboard)
+  static async getSensorDiscrepancies() {
+    return this.request<{
+      success: boolean;
+      data: { discrepancies: SensorDiscrepancy[] };
+    }>('/sensors/discrepancies');
+  }
+
+  static async getSensorHealth() {
+    return this.request<{
+      success: boolean;
+      data: {
+        summary: { total: number; active: number; maintenance: number; inactive: number };
+        sensors: SensorHealthEntry[];
+        staleAfterMinutes: number;
+      };
+    }>('/sensors/health');
+  }
+
+  static async updateSensorStatus(sensorId: number, status: SensorHealthEntry['status']) {
+    return this.request<{
+      success: boolean;
+      message: string;
+    }>(`/sensors/${sensorId}/status`, {
+      method: 'PATCH',
+      body: JSON.stringify({ status })
+    });
+  }
+
   // Feedback endpoints
   static async submitFeedback(feedbackData: {
     rating: number;
@@ -0,0 +1,186 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { ApiService, OfflineScanResult, OfflineScanUpload, OfflineTicket, OfflineTicketPack } from './api';
+import { isTicketSignatureValid, readSignedTicket } from '../utils/qrTicket';
+
+const TICKET_PACK_KEY = 'tappark_offline_ticket_pack';
+// Queues are kept per attendant so a shared phone never uploads one attendant's scans as another's
+const QUEUE_KEY_PREFIX = 'tappark_offline_scans_';
+// Matches the server's batch limit
+const SYNC_BATCH_SIZE = 200;
+
+interface StoredTicketPack extends OfflineTicketPack {
+  userId: number;
+  // Milliseconds to add to this phone's clock to get the server's when the pack was downloaded
+  clockOffset: number;
+}
+
+export interface QueuedScan extends OfflineScanUpload {
+  reservationId: number;
+  plateNumber: string | null;
+  spotNumber: string | null;
+}
+
+export type OfflineScanCheck =
+  | { ok: true; scan: QueuedScan; ticket: OfflineTicket }
+  | { ok: false; message: string };
+
+export interface OfflineSyncConflict extends OfflineScanResult {
+  plateNumber: string | null;
+}
+
+export interface OfflineSyncSummary {
+  applied: number;
+  conflicts: OfflineSyncConflict[];
+  remaining: number;
+}
+
+const createScanId = (userId: number): string =>
+  `${userId}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Attendant scanning without signal.
+ * While online the scanner keeps a ticket pack: the public ticket keys of the open reservations in
+ * the attendant's area, which check tickets but cannot sign them. Offline, queueScan() checks a
+ * signed ticket against it the way the server would (signature, expiry, one use per ticket,
+ * reservation status) and stores the scan with the server time it happened. sync() uploads the queue once the server is reachable again; the server applies
+ * the scans in that order, bills with the recorded times and returns the ones it could not apply.
+ */
+export class OfflineScanService {
+  private static syncPromise: Promise<OfflineSyncSummary | null> | null = null;
+
+  static async refreshTicketPack(userId: number): Promise<void> {
+    const response = await ApiService.getOfflineTickets();
+    if (!response.success) return;
+
+    const pack: StoredTicketPack = {
+      ...response.data,
+      userId,
+      clockOffset: new Date(response.data.serverTime).getTime() - Date.now(),
+    };
+    await AsyncStorage.setItem(TICKET_PACK_KEY, JSON.stringify(pack));
+  }
+
+  // The pack is only for the signed-in attendant; queued scans stay for their next sign-in
+  static async clearTicketPack(): Promise<void> {
+    await AsyncStorage.removeItem(TICKET_PACK_KEY);
+  }
+
+  private static async loadTicketPack(userId: number): Promise<StoredTicketPack | null> {
+    const stored = await AsyncStorage.getItem(TICKET_PACK_KEY);
+    if (!stored) return null;
+    const pack: StoredTicketPack = JSON.parse(stored);
+    return pack.userId === userId ? pack : null;
+  }
+
+  static async getQueue(userId: number): Promise<QueuedScan[]> {
+    const stored = await AsyncStorage.getItem(`${QUEUE_KEY_PREFIX}${userId}`);
+    return stored ? JSON.parse(stored) : [];
+  }
+
+  private static async saveQueue(userId: number, queue: QueuedScan[]): Promise<void> {
+    if (queue.length === 0) {
+      await AsyncStorage.removeItem(`${QUEUE_KEY_PREFIX}${userId}`);
+    } else {
+      await AsyncStorage.setItem(`${QUEUE_KEY_PREFIX}${userId}`, JSON.stringify(queue));
+    }
+  }
+
+  /**
+   * Check a scanned ticket against the ticket pack and queue the scan if the server would accept it
+   */
+  static async queueScan(userId: number, scanType: 'start' | 'end', qrCodeData: string): Promise<OfflineScanCheck> {
+    const signed = readSignedTicket(qrCodeData);
+    if (!signed) {
+      return { ok: false, message: 'This QR code cannot be checked offline. Ask the driver to update the app, or scan again once you are back online.' };
+    }
+
+    const pack = await this.loadTicketPack(userId);
+    if (!pack) {
+      return { ok: false, message: 'No offline ticket list on this phone yet. Open the scanner once with signal to download it.' };
+    }
+
+    const ticket = pack.tickets.find(entry => entry.reservationId === signed.rid);
+    if (!ticket) {
+      return { ok: false, message: 'This reservation is not open in your parking area.' };
+    }
+    if (signed.v !== pack.version || !isTicketSignatureValid(signed, ticket.publicKey)) {
+      return { ok: false, message: 'This QR code is not a valid TapPark ticket.' };
+    }
+
+    const serverNow = Date.now() + pack.clockOffset;
+    const nowSeconds = Math.floor(serverNow / 1000);
+    if (signed.exp < nowSeconds - pack.skewSeconds) {
+      return { ok: false, message: 'This QR code has expired. Ask the driver to open the ticket on their phone.' };
+    }
+    if (signed.exp > nowSeconds + pack.periodSeconds + pack.skewSeconds) {
+      return { ok: false, message: "This QR code is not valid yet. The phone's clock may be wrong." };
+    }
+    if (ticket.lastTicketExp !== null && signed.exp <= ticket.lastTicketExp) {
+      return { ok: false, message: 'This QR code was already scanned. Wait for it to refresh and scan again.' };
+    }
+    if (scanType === 'start' && ticket.bookingStatus !== 'reserved') {
+      return { ok: false, message: 'Parking has already started for this reservation.' };
+    }
+
+    const scan: QueuedScan = {
+      clientScanId: createScanId(userId),
+      scanType,
+      qrCodeData,
+      scannedAt: new Date(serverNow).toISOString(),
+      reservationId: ticket.reservationId,
+      plateNumber: ticket.plateNumber,
+      spotNumber: ticket.spotNumber,
+    };
+    await this.saveQueue(userId, [...(await this.getQueue(userId)), scan]);
+
+    // Track what the server will see, so the same ticket or a second start is refused offline too
+    const tickets = scanType === 'end'
+      ? pack.tickets.filter(entry => entry.reservationId !== ticket.reservationId)
+      : pack.tickets.map(entry => entry.reservationId === ticket.reservationId
+        ? { ...entry, bookingStatus: 'active' as const, lastTicketExp: signed.exp }
+        : entry);
+    await AsyncStorage.setItem(TICKET_PACK_KEY, JSON.stringify({ ...pack, tickets }));
+
+    return { ok: true, scan, ticket };
+  }
+
+  /**
+   * Upload queued scans. Resolves null when nothing was queued; throws when the server cannot be
+   * reached, leaving the queue for the next attempt.
+   */
+  static async sync(userId: number): Promise<OfflineSyncSummary | null> {
+    if (!this.syncPromise) {
+      this.syncPromise = this.uploadQueue(userId).finally(() => {
+        this.syncPromise = null;
+      });
+    }
+    return this.syncPromise;
+  }
+
+  private static async uploadQueue(userId: number): Promise<OfflineSyncSummary | null> {
+    const queue = await this.getQueue(userId);
+    if (queue.length === 0) return null;
+
+    const batch = queue.slice(0, SYNC_BATCH_SIZE);
+    const response = await ApiService.syncOfflineScans(batch.map(({ clientScanId, scanType, qrCodeData, scannedAt }) => ({
+      clientScanId,
+      scanType,
+      qrCodeData,
+      scannedAt,
+    })));
+
+    // Every returned scan is settled; scans queued during the upload stay
+    const settled = new Set(response.data.results.map(result => result.clientScanId));
+    const remaining = (await this.getQueue(userId)).filter(scan => !settled.has(scan.clientScanId));
+    await this.saveQueue(userId, remaining);
+
+    const conflicts = response.data.results
+      .filter(result => result.status === 'conflict' || (result.status === 'duplicate' && result.previousStatus === 'conflict'))
+      .map(result => ({
+        ...result,
+        plateNumber: batch.find(scan => scan.clientScanId === result.clientScanId)?.plateNumber ?? null,
+      }));
+
+    return { applied: response.data.applied, conflicts, remaining: remaining.length };
+  }
+}
@@ -0,0 +1,86 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import Constants from 'expo-constants';
+import * as Notifications from 'expo-notifications';
+import { Platform } from 'react-native';
+import { ApiService, NotificationLink } from './api';
+
+const PUSH_TOKEN_KEY = 'tappark_push_token';
+
+// Pushes arriving while the app is open still show a banner; the unread badge refreshes separately
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowBanner: true,
+    shouldShowList: true,
+    shouldPlaySound: false,
+    shouldSetBadge: false,
+  }),
+});
+
+/**
+ * Expo push registration for the signed-in user.
+ * register() runs after login (it asks for permission the first time) and unregister() before
+ * logout, so a shared phone stops receiving the previous user's notifications.
+ */
+export class PushNotificationService {
+  static async register(): Promise<void> {
+    // Push tokens are only issued to iOS/Android builds
+    if (Platform.OS === 'web') return;
+
+    try {
+      if (Platform.OS === 'android') {
+        await Notifications.setNotificationChannelAsync('default', {
+          name: 'Default',
+          importance: Notifications.AndroidImportance.DEFAULT,
+        });
+      }
+
+      let { status } = await Notifications.getPermissionsAsync();
+      if (status !== 'granted') {
+        ({ status } = await Notifications.requestPermissionsAsync());
+      }
+      if (status !== 'granted') {
+        console.log('🔕 Push notifications not allowed - in-app notifications only');
+        return;
+      }
+
+      const projectId = Constants.expoConfig?.extra?.eas?.projectId ?? Constants.easConfig?.projectId;
+      const { data: token } = await Notifications.getExpoPushTokenAsync(projectId ? { projectId } : undefined);
+
+      await ApiService.registerPushToken(token);
+      await AsyncStorage.setItem(PUSH_TOKEN_KEY, token);
+    } catch (error) {
+      // Simulators and builds without an EAS project cannot get a token
+      console.log('🔕 Push registration skipped:', error instanceof Error ? error.message : error);
+    }
+  }
+
+  static async unregister(): Promise<void> {
+    try {
+      const token = await AsyncStorage.getItem(PUSH_TOKEN_KEY);
+      if (!token) return;
+
+      await AsyncStorage.removeItem(PUSH_TOKEN_KEY);
+      await ApiService.unregisterPushToken(token);
+    } catch {
+      // The server also ignores the token once the session is signed out
+    }
+  }
+
+  // Called with the deep link of a push the user tapped, including the one that opened the app
+  static onNotificationOpened(listener: (link: NotificationLink) => void): () => void {
+    const openLink = (response: Notifications.NotificationResponse | null) => {
+      if (!response) return;
+      // Handled once; otherwise the launch notification would reopen after every login
+      Notifications.clearLastNotificationResponse();
+
+      const link = response.notification.request.content.data?.link as NotificationLink | null | undefined;
+      if (link?.pathname) {
+        listener(link);
+      }
+    };
+
+    openLink(Notifications.getLastNotificationResponse());
+    const subscription = Notifications.addNotificationResponseReceivedListener(openLink);
+    return () => subscription.remove();
+  }
+}
@@ -0,0 +1,293 @@
+import { ApiService } from './api';
+
+export type RealtimeEventType =
+  | 'reservation.reserved'
+  | 'reservation.started'
+  | 'reservation.ended'
+  | 'reservation.cancelled'
+  | 'reservation.expired'
+  | 'spot.status'
+  | 'section.status'
+  | 'spot.occupancy'
+  | 'notification.created';
+
+export interface RealtimeEventData {
+  reservationId?: number;
+  status?: string | null;
+  parkingAreaId?: number;
+  parkingSectionId?: number;
+  parkingSpotId?: number | null;
+  spotNumber?: string;
+  isOccupied?: boolean;
+  notificationId?: number;
+  title?: string;
+  type?: string;
+  at: string;
+}
+
+export interface RealtimeEvent {
+  type: RealtimeEventType;
+  data: RealtimeEventData;
+}
+
+type RealtimeListener = (event: RealtimeEvent) => void;
+type ConnectionListener = (connected: boolean) => void;
+
+const MIN_RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 30000;
+// Batch area changes from screens mounting together into one reconnect
+const AREA_CHANGE_DELAY = 300;
+
+/**
+ * Server-sent events client for /realtime/stream.
+ * React Native has no EventSource, so the stream is read from XMLHttpRequest progress events
+ * (which also lets us send the Authorization header). One connection is shared by every screen;
+ * screens call retain() while mounted and listen with subscribe(). Events are hints to refetch,
+ * and screens keep polling whenever isConnected() is false.
+ */
+export class RealtimeService {
+  private static xhr: XMLHttpRequest | null = null;
+  private static listeners = new Set<RealtimeListener>();
+  private static connectionListeners = new Set<ConnectionListener>();
+  private static connected = false;
+  private static holders = 0;
+  private static areaCounts = new Map<number, number>();
+  private static streamAreaKey = '';
+  private static connectTimer: ReturnType<typeof setTimeout> | null = null;
+  private static reconnectAttempts = 0;
+  private static readOffset = 0;
+  private static buffer = '';
+
+  // Keep the stream open (and watching the given areas) until the returned release function is called
+  static retain(areaIds: number[] = []): () => void {
+    this.holders += 1;
+    areaIds.forEach((areaId) => {
+      this.areaCounts.set(areaId, (this.areaCounts.get(areaId) || 0) + 1);
+    });
+
+    if (!this.xhr || this.getAreaKey() !== this.streamAreaKey) {
+      this.scheduleConnect(AREA_CHANGE_DELAY);
+    }
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+
+      this.holders -= 1;
+      areaIds.forEach((areaId) => {
+        const count = (this.areaCounts.get(areaId) || 0) - 1;
+        if (count > 0) {
+          this.areaCounts.set(areaId, count);
+        } else {
+          this.areaCounts.delete(areaId);
+        }
+      });
+
+      if (this.holders <= 0) {
+        this.holders = 0;
+        this.disconnect();
+      } else if (this.getAreaKey() !== this.streamAreaKey) {
+        this.scheduleConnect(AREA_CHANGE_DELAY);
+      }
+    };
+  }
+
+  static subscribe(listener: RealtimeListener): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  // Call refresh once per burst of matching events (a booking publishes a reservation and a spot event together)
+  static subscribeRefresh(
+    matches: (event: RealtimeEvent) => boolean,
+    refresh: () => void,
+    delay: number = 500
+  ): () => void {
+    let timer: ReturnType<typeof setTimeout> | null = null;
+    const unsubscribe = this.subscribe((event) => {
+      if (timer || !matches(event)) return;
+      timer = setTimeout(() => {
+        timer = null;
+        refresh();
+      }, delay);
+    });
+
+    return () => {
+      unsubscribe();
+      if (timer) {
+        clearTimeout(timer);
+      }
+    };
+  }
+
+  static onConnectionChange(listener: ConnectionListener): () => void {
+    this.connectionListeners.add(listener);
+    return () => {
+      this.connectionListeners.delete(listener);
+    };
+  }
+
+  static isConnected(): boolean {
+    return this.connected;
+  }
+
+  private static getAreaKey(): string {
+    return [...this.areaCounts.keys()].sort((a, b) => a - b).join(',');
+  }
+
+  private static setConnected(connected: boolean): void {
+    if (this.connected === connected) return;
+    this.connected = connected;
+    this.connectionListeners.forEach((listener) => {
+      try {
+        listener(connected);
+      } catch (error) {
+        console.error('Realtime connection listener failed:', error);
+      }
+    });
+  }
+
+  private static scheduleConnect(delay: number): void {
+    if (this.connectTimer) {
+      clearTimeout(this.connectTimer);
+    }
+    this.connectTimer = setTimeout(() => {
+      this.connectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  private static scheduleReconnect(): void {
+    if (this.holders === 0) return;
+    const delay = Math.min(MAX_RECONNECT_DELAY, MIN_RECONNECT_DELAY * 2 ** this.reconnectAttempts);
+    this.reconnectAttempts += 1;
+    console.log(`📡 Realtime stream closed - reconnecting in ${delay}ms`);
+    this.scheduleConnect(delay);
+  }
+
+  private static closeStream(): void {
+    if (this.xhr) {
+      const xhr = this.xhr;
+      this.xhr = null;
+      xhr.onprogress = null;
+      xhr.onreadystatechange = null;
+      xhr.onerror = null;
+      xhr.abort();
+    }
+    this.setConnected(false);
+  }
+
+  private static disconnect(): void {
+    if (this.connectTimer) {
+      clearTimeout(this.connectTimer);
+      this.connectTimer = null;
+    }
+    this.reconnectAttempts = 0;
+    this.closeStream();
+  }
+
+  private static async connect(): Promise<void> {
+    this.closeStream();
+    if (this.holders === 0) return;
+
+    const token = await ApiService.getStoredToken();
+    if (!token || this.holders === 0) return;
+
+    const areaIds = [...this.areaCounts.keys()];
+    const xhr = new XMLHttpRequest();
+    this.xhr = xhr;
+    this.streamAreaKey = this.getAreaKey();
+    this.readOffset = 0;
+    this.buffer = '';
+
+    xhr.open('GET', ApiService.getRealtimeStreamUrl(areaIds));
+    xhr.setRequestHeader('Authorization', `Bearer ${token}`);
+    xhr.setRequestHeader('Accept', 'text/event-stream');
+
+    xhr.onprogress = () => {
+      if (this.xhr === xhr) {
+        this.readChunk(xhr.responseText);
+      }
+    };
+
+    xhr.onreadystatechange = () => {
+      if (this.xhr !== xhr || xhr.readyState !== XMLHttpRequest.DONE) return;
+      this.xhr = null;
+      this.setConnected(false);
+
+      // The stream also ends when the access token expires; refresh it before reconnecting
+      if (xhr.status === 401) {
+        ApiService.refreshSession().then((refreshed) => {
+          if (refreshed) {
+            this.scheduleConnect(0);
+          } else {
+            console.log('🔐 Realtime stream unauthorized - staying on polling');
+          }
+        });
+        return;
+      }
+
+      this.scheduleReconnect();
+    };
+
+    xhr.onerror = () => {
+      if (this.xhr !== xhr) return;
+      this.xhr = null;
+      this.setConnected(false);
+      this.scheduleReconnect();
+    };
+
+    xhr.send();
+  }
+
+  // responseText keeps growing for the life of the stream; only parse what arrived since the last call
+  private static readChunk(responseText: string): void {
+    this.buffer += responseText.slice(this.readOffset);
+    this.readOffset = responseText.length;
+
+    const blocks = this.buffer.split('\n\n');
+    this.buffer = blocks.pop() || '';
+    blocks.forEach((block) => this.handleBlock(block));
+  }
+
+  private static handleBlock(block: string): void {
+    let eventName = 'message';
+    const dataLines: string[] = [];
+
+    block.split('\n').forEach((line) => {
+      if (line.startsWith('event:')) {
+        eventName = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trim());
+      }
+    });
+
+    if (eventName === 'ready') {
+      this.reconnectAttempts = 0;
+      this.setConnected(true);
+      return;
+    }
+
+    if (dataLines.length === 0) return;
+
+    let data: RealtimeEventData;
+    try {
+      data = JSON.parse(dataLines.join('\n'));
+    } catch {
+      console.error('Realtime event could not be parsed:', eventName);
+      return;
+    }
+
+    const event: RealtimeEvent = { type: eventName as RealtimeEventType, data };
+    this.listeners.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Realtime listener failed:', error);
+      }
+    });
+  }
+}
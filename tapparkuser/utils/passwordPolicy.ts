@@ -0,0 +1,20 @@
+/**
+ * Password Policy
+ * Quick client-side check before sending a new password; the backend applies the full policy
+ * (common passwords, email name) and its message is shown if it refuses
+ */
+
+export const PASSWORD_MIN_LENGTH = 10;
+
+/**
+ * Reason a new password would be refused, or null when it looks acceptable
+ */
+export const getPasswordProblem = (password: string): string | null => {
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters long`;
+  }
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    return 'Password must contain both letters and numbers';
+  }
+  return null;
+};
@@ -0,0 +1,84 @@
+/**
+ * QR Ticket Signing
+ * Builds the signed ticket payload shown as the parking QR code. A new payload is signed every
+ * period with the reservation's Ed25519 private key, so a screenshot stops working within a minute.
+ * The attendant scanner checks the signature with the public key when it has no signal.
+ * Must match services/qrTickets.js in the backend.
+ */
+
+import { ed25519 } from '@noble/curves/ed25519';
+import { bytesToHex, hexToBytes, utf8ToBytes } from '@noble/hashes/utils';
+import { QrTicketSettings } from '../services/api';
+
+export interface SignedTicket {
+  v: number;
+  rid: number;
+  exp: number;
+  n: string;
+  sig: string;
+}
+
+const getSignedMessage = ({ v, rid, exp, n }: Omit<SignedTicket, 'sig'>): Uint8Array =>
+  utf8ToBytes(`${v}.${rid}.${exp}.${n}`);
+
+/**
+ * Milliseconds to add to this phone's clock to get the server's, measured when the settings arrived
+ */
+export const getServerClockOffset = (ticket: QrTicketSettings, receivedAt: number): number => {
+  const serverTime = new Date(ticket.serverTime).getTime();
+  return Number.isNaN(serverTime) ? 0 : serverTime - receivedAt;
+};
+
+// The signature protects the ticket; the nonce only keeps payloads of different periods distinct
+const createNonce = (): string => {
+  let nonce = '';
+  for (let i = 0; i < 16; i++) {
+    nonce += Math.floor(Math.random() * 16).toString(16);
+  }
+  return nonce;
+};
+
+/**
+ * Index of the ticket period containing the given time, used to know when to sign a new payload
+ */
+export const getTicketPeriod = (ticket: QrTicketSettings, serverNow: number): number =>
+  Math.floor(serverNow / 1000 / ticket.periodSeconds);
+
+/**
+ * Signed QR payload for a reservation, valid until the end of the current period
+ */
+export const buildQrTicket = (reservationId: number, ticket: QrTicketSettings, serverNow: number): string => {
+  const exp = (getTicketPeriod(ticket, serverNow) + 1) * ticket.periodSeconds;
+  const n = createNonce();
+  const sig = bytesToHex(ed25519.sign(getSignedMessage({ v: ticket.version, rid: reservationId, exp, n }), hexToBytes(ticket.privateKey)));
+
+  return JSON.stringify({ v: ticket.version, rid: reservationId, exp, n, sig });
+};
+
+/**
+ * The signed ticket in scanned QR data, or null for unreadable and unsigned (older app) payloads
+ */
+export const readSignedTicket = (qrCodeData: string): SignedTicket | null => {
+  try {
+    const payload = JSON.parse(qrCodeData);
+    if (payload && Number.isInteger(payload.v) && Number.isInteger(payload.rid) && Number.isInteger(payload.exp) &&
+        typeof payload.n === 'string' && typeof payload.sig === 'string') {
+      return payload;
+    }
+  } catch {
+    // Not JSON, so not a ticket
+  }
+  return null;
+};
+
+/**
+ * Whether a scanned ticket was signed with the private key matching the reservation's public key
+ */
+export const isTicketSignatureValid = (ticket: SignedTicket, publicKey: string): boolean => {
+  try {
+    return ed25519.verify(hexToBytes(ticket.sig), getSignedMessage(ticket), hexToBytes(publicKey));
+  } catch {
+    // Malformed signature or key
+    return false;
+  }
+};